@@ -65,11 +65,249 @@ var HttpClient = {
    * @returns {string|null} API name or null
    */
   getAPINameFromURL: function(url) {
-    if (url.indexOf('private-zillow') !== -1) return 'private_zillow';
-    if (url.indexOf('redfin-base-us') !== -1) return 'redfin';
-    if (url.indexOf('us-real-estate') !== -1) return 'us_real_estate';
-    if (url.indexOf('generativelanguage') !== -1) return 'gemini';
-    return null;
+    // shared-core usageTracking, matched against the data provider registry
+    return getAPINameFromURL(url);
+  },
+
+  /**
+   * Cassette override set by useCassette() - null means "read Script Properties"
+   */
+  cassette: null,
+
+  /**
+   * Query parameters left out of cassette keys and recordings (credentials)
+   */
+  CASSETTE_REDACTED_PARAMS: ['key', 'api_key', 'apikey', 'token', 'access_token'],
+
+  /**
+   * Record or replay HTTP responses for this execution
+   * Overrides the HTTP_CASSETTE_MODE / HTTP_CASSETTE_FOLDER_ID Script Properties.
+   * @param {string|null} mode - 'record', 'replay', 'off', or null to clear the override
+   * @param {string} folderId - Drive folder holding the cassette files (defaults to HTTP_CASSETTE_FOLDER_ID)
+   * @returns {boolean} Success status
+   */
+  useCassette: function(mode, folderId) {
+    if (mode === null || mode === undefined) {
+      this.cassette = null;
+      return true;
+    }
+
+    if (['record', 'replay', 'off'].indexOf(mode) === -1) {
+      PlatformLogger.error('Invalid cassette mode: ' + mode);
+      return false;
+    }
+
+    this.cassette = { mode: mode, folderId: folderId || null };
+    return true;
+  },
+
+  /**
+   * Get the active cassette settings
+   * @returns {Object|null} { mode, folderId } or null when requests go to the network
+   */
+  getCassette: function() {
+    var mode = this.cassette ? this.cassette.mode : null;
+    var folderId = this.cassette ? this.cassette.folderId : null;
+
+    if (!mode || !folderId) {
+      try {
+        var props = PropertiesService.getScriptProperties();
+        mode = mode || props.getProperty('HTTP_CASSETTE_MODE');
+        folderId = folderId || props.getProperty('HTTP_CASSETTE_FOLDER_ID');
+      } catch (error) {
+        PlatformLogger.error('Failed to read cassette settings: ' + error);
+      }
+    }
+
+    if (mode !== 'record' && mode !== 'replay') return null;
+
+    if (!folderId) {
+      PlatformLogger.warn('Cassette mode "' + mode + '" ignored: HTTP_CASSETTE_FOLDER_ID is not set');
+      return null;
+    }
+
+    return { mode: mode, folderId: folderId };
+  },
+
+  /**
+   * Normalize a URL for cassette matching
+   * Lowercases scheme and host, drops the fragment, trailing slash and
+   * credential parameters, and sorts the query string.
+   * @param {string} url - Request URL
+   * @returns {string} Normalized URL
+   */
+  normalizeCassetteUrl: function(url) {
+    var redacted = this.CASSETTE_REDACTED_PARAMS;
+    var withoutHash = String(url).split('#')[0];
+    var queryIndex = withoutHash.indexOf('?');
+    var base = queryIndex === -1 ? withoutHash : withoutHash.substring(0, queryIndex);
+    var query = queryIndex === -1 ? '' : withoutHash.substring(queryIndex + 1);
+
+    var origin = /^([a-z][a-z0-9+.-]*:\/\/[^\/]+)(.*)$/i.exec(base);
+    if (origin) {
+      var path = origin[2].length > 1 ? origin[2].replace(/\/+$/, '') : '';
+      base = origin[1].toLowerCase() + path;
+    }
+
+    var decode = function(part) {
+      try {
+        return decodeURIComponent(part.replace(/\+/g, ' '));
+      } catch (error) {
+        return part; // Malformed escape - compare as-is
+      }
+    };
+
+    var params = query.split('&')
+      .filter(function(pair) { return pair !== ''; })
+      .map(function(pair) {
+        var eq = pair.indexOf('=');
+        return {
+          name: decode(eq === -1 ? pair : pair.substring(0, eq)),
+          value: eq === -1 ? '' : decode(pair.substring(eq + 1))
+        };
+      })
+      .filter(function(param) { return redacted.indexOf(param.name.toLowerCase()) === -1; })
+      .sort(function(a, b) {
+        if (a.name !== b.name) return a.name < b.name ? -1 : 1;
+        return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+      })
+      .map(function(param) {
+        return encodeURIComponent(param.name) + '=' + encodeURIComponent(param.value);
+      });
+
+    return params.length > 0 ? base + '?' + params.join('&') : base;
+  },
+
+  /**
+   * Build the cassette key for a request
+   * JSON payloads are re-serialized with sorted keys so property order doesn't matter.
+   * Headers are not part of the key (they only carry credentials).
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {string} payload - Request body (optional)
+   * @returns {string} Cassette key
+   */
+  getCassetteKey: function(method, url, payload) {
+    var key = method.toUpperCase() + ' ' + this.normalizeCassetteUrl(url);
+
+    if (payload) {
+      var sortKeys = function(value) {
+        if (Array.isArray(value)) return value.map(sortKeys);
+        if (value && typeof value === 'object') {
+          return Object.keys(value).sort().reduce(function(sorted, name) {
+            sorted[name] = sortKeys(value[name]);
+            return sorted;
+          }, {});
+        }
+        return value;
+      };
+
+      try {
+        key += ' ' + JSON.stringify(sortKeys(JSON.parse(payload)));
+      } catch (error) {
+        key += ' ' + payload;
+      }
+    }
+
+    return key;
+  },
+
+  /**
+   * Get the cassette file name for a request: <api>_<FNV-1a hash of key>.json
+   * @param {string} url - Request URL
+   * @param {string} key - Cassette key
+   * @returns {string} File name
+   */
+  getCassetteFileName: function(url, key) {
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < key.length; i++) {
+      hash ^= key.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return (this.getAPINameFromURL(url) || 'http') + '_' + ('0000000' + hash.toString(16)).slice(-8) + '.json';
+  },
+
+  /**
+   * Answer a request from the cassette folder without touching the network
+   * @param {Object} cassette - { mode, folderId }
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {string} payload - Request body (optional)
+   * @returns {Object} Response object { statusCode, body, headers, usage, replayed }
+   */
+  replayFromCassette: function(cassette, method, url, payload) {
+    var key = this.getCassetteKey(method, url, payload);
+    var fileName = this.getCassetteFileName(url, key);
+
+    try {
+      var files = DriveApp.getFolderById(cassette.folderId).getFilesByName(fileName);
+
+      if (files.hasNext()) {
+        var episode = JSON.parse(files.next().getBlob().getDataAsString());
+        var response = episode.response;
+
+        return {
+          statusCode: response.statusCode,
+          body: response.body,
+          headers: response.headers || {},
+          success: response.statusCode >= 200 && response.statusCode < 300,
+          usage: this.extractUsageFromHeaders(response.headers),
+          replayed: true
+        };
+      }
+    } catch (error) {
+      PlatformLogger.error('Cassette read failed for ' + fileName + ': ' + error);
+    }
+
+    return {
+      statusCode: 0,
+      body: '',
+      headers: {},
+      success: false,
+      error: 'No cassette recording for ' + key + ' (' + fileName + ')'
+    };
+  },
+
+  /**
+   * Save a live response to the cassette folder, replacing any earlier recording
+   * @param {Object} cassette - { mode, folderId }
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {string} payload - Request body (optional)
+   * @param {Object} response - Response object from get()/post()
+   */
+  recordToCassette: function(cassette, method, url, payload, response) {
+    var key = this.getCassetteKey(method, url, payload);
+    var fileName = this.getCassetteFileName(url, key);
+    var episode = {
+      key: key,
+      request: {
+        method: method.toUpperCase(),
+        url: this.normalizeCassetteUrl(url),
+        payload: payload || null
+      },
+      response: {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: response.body
+      },
+      recordedAt: new Date().toISOString()
+    };
+
+    try {
+      var folder = DriveApp.getFolderById(cassette.folderId);
+      var content = JSON.stringify(episode, null, 2);
+      var files = folder.getFilesByName(fileName);
+
+      if (files.hasNext()) {
+        files.next().setContent(content);
+      } else {
+        folder.createFile(fileName, content);
+      }
+      PlatformLogger.debug('Cassette recorded: ' + key);
+    } catch (error) {
+      PlatformLogger.error('Cassette write failed for ' + fileName + ': ' + error);
+    }
   },
 
   /**
@@ -87,6 +325,11 @@ var HttpClient = {
       muteHttpExceptions: true
     };
 
+    var cassette = this.getCassette();
+    if (cassette && cassette.mode === 'replay') {
+      return this.replayFromCassette(cassette, 'get', url, null);
+    }
+
     try {
       var response = UrlFetchApp.fetch(url, fetchOptions);
       var headers = response.getHeaders();
@@ -109,13 +352,19 @@ var HttpClient = {
         }
       }
 
-      return {
+      var result = {
         statusCode: response.getResponseCode(),
         body: response.getContentText(),
         headers: headers,
         success: response.getResponseCode() >= 200 && response.getResponseCode() < 300,
         usage: usage
       };
+
+      if (cassette && cassette.mode === 'record') {
+        this.recordToCassette(cassette, 'get', url, null, result);
+      }
+
+      return result;
     } catch (error) {
       return {
         statusCode: 0,
@@ -144,6 +393,11 @@ var HttpClient = {
       muteHttpExceptions: true
     };
 
+    var cassette = this.getCassette();
+    if (cassette && cassette.mode === 'replay') {
+      return this.replayFromCassette(cassette, 'post', url, fetchOptions.payload);
+    }
+
     try {
       var response = UrlFetchApp.fetch(url, fetchOptions);
       var headers = response.getHeaders();
@@ -166,13 +420,19 @@ var HttpClient = {
         }
       }
 
-      return {
+      var result = {
         statusCode: response.getResponseCode(),
         body: response.getContentText(),
         headers: headers,
         success: response.getResponseCode() >= 200 && response.getResponseCode() < 300,
         usage: usage
       };
+
+      if (cassette && cassette.mode === 'record') {
+        this.recordToCassette(cassette, 'post', url, fetchOptions.payload, result);
+      }
+
+      return result;
     } catch (error) {
       return {
         statusCode: 0,
@@ -403,9 +663,7 @@ var QuotaManager = {
    * @returns {boolean} Success status
    */
   setPrimaryAPI: function(apiName) {
-    var validAPIs = ['auto', 'private_zillow', 'us_real_estate', 'redfin', 'gemini'];
-
-    if (validAPIs.indexOf(apiName) === -1) {
+    if (!isValidAPIId(apiName)) {
       PlatformLogger.error('Invalid API name: ' + apiName);
       return false;
     }
@@ -463,7 +721,7 @@ var QuotaManager = {
    * @returns {Array<string>} Array of available API names
    */
   getAvailableAPIs: function() {
-    var allAPIs = ['private_zillow', 'us_real_estate', 'redfin', 'gemini'];
+    var allAPIs = getAPICallOrder('auto');
     var available = [];
 
     for (var i = 0; i < allAPIs.length; i++) {
@@ -482,23 +740,8 @@ var QuotaManager = {
    * @returns {Array<string>} Ordered array of API names (excluding blocked ones)
    */
   getAPICallOrder: function(primaryAPI) {
-    var primary = primaryAPI || this.getPrimaryAPI();
-    var defaultPriority = ['private_zillow', 'us_real_estate', 'redfin', 'gemini'];
-    var order = [];
-
-    // If auto mode or invalid, use default priority
-    if (primary === 'auto' || defaultPriority.indexOf(primary) === -1) {
-      order = defaultPriority.slice(); // Copy
-    } else {
-      // Put selected API first, then others in default order
-      var others = [];
-      for (var i = 0; i < defaultPriority.length; i++) {
-        if (defaultPriority[i] !== primary) {
-          others.push(defaultPriority[i]);
-        }
-      }
-      order = [primary].concat(others);
-    }
+    // Selected API first, then the rest in provider priority order (shared-core apiSelector)
+    var order = getAPICallOrder(primaryAPI || this.getPrimaryAPI());
 
     // Filter out blocked APIs
     var available = [];
@@ -517,13 +760,10 @@ var QuotaManager = {
    * @returns {Object} Reset information { period, resets }
    */
   getQuotaResetTime: function(apiName) {
-    var resetInfo = {
-      'private_zillow': { period: 'monthly', resets: '1st of next month' },
-      'us_real_estate': { period: 'monthly', resets: '1st of next month' },
-      'redfin': { period: 'monthly', resets: '1st of next month' },
-      'gemini': { period: 'daily', resets: 'midnight tonight' }
-    };
-    return resetInfo[apiName] || { period: 'unknown', resets: 'unknown' };
+    var quota = getAPIQuota(apiName);
+    if (quota && quota.period === 'month') return { period: 'monthly', resets: '1st of next month' };
+    if (quota && quota.period === 'day') return { period: 'daily', resets: 'midnight tonight' };
+    return { period: 'unknown', resets: 'unknown' };
   }
 };
 
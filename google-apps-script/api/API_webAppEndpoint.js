@@ -105,8 +105,19 @@ function handleAnalyze(data) {
   validateAnalysisData(data);
 
   // Phase 2.5: Get analysis mode (defaults to STANDARD if not provided)
-  const analysisMode = data.analysisMode || getAnalysisMode();
-  Logger.log(`🔍 Analysis Mode: ${analysisMode}`);
+  const requestedMode = data.analysisMode || getAnalysisMode();
+
+  // Pre-flight API budget: step down to a cheaper mode, or refuse, when the
+  // remaining quota won't cover the requested one
+  const apiBudget = resolveRunApiBudget(requestedMode, data);
+  if (apiBudget.refused) {
+    throw new Error(apiBudget.message);
+  }
+  const analysisMode = apiBudget.mode;
+  if (apiBudget.degraded) {
+    Logger.log(`⚠️ ${apiBudget.message}`);
+  }
+  Logger.log(`🔍 Analysis Mode: ${analysisMode} (up to ${apiBudget.plan.totalCalls} API calls)`);
 
   // Route to appropriate mode-specific function
   let result;
@@ -146,7 +157,7 @@ function handleAnalyze(data) {
 
     // Calculate flip analysis
     Logger.log('🔨 Calculating flip analysis...');
-    const flipAnalysis = calculateFlipAnalysis(data);
+    const flipAnalysis = calculateWebAppFlipAnalysis(data);
     flipAnalysis.arvMethod = result.arvCalculationMethod;
     flipAnalysis.arvSources = result.arvSources;
     if (result.historicalValidation) {
@@ -189,8 +200,19 @@ function handleAnalyze(data) {
     Logger.log('⚠️ Skipping flip/rental analysis - insufficient data');
   }
 
-  // Add mode indicator and API usage summary to response
+  // Sources that disagreed on the property or its comps (e.g. sqft off by >10%)
+  if (result.dataConflicts && result.dataConflicts.length > 0) {
+    result.alerts = (result.alerts || []).concat(buildConflictAlerts(result.dataConflicts));
+  }
+
+  if (apiBudget.degraded) {
+    result.alerts = (result.alerts || []).concat([{ type: 'warning', category: 'data', message: apiBudget.message }]);
+  }
+
+  // Add mode indicator, the planned API calls and API usage summary to response
   result.analysisMode = analysisMode;
+  result.requestedAnalysisMode = apiBudget.requestedMode;
+  result.apiBudget = apiBudget.plan;
   result.apiUsageSummary = getApiUsageSummaryForMode(analysisMode);
 
   return result;
@@ -218,7 +240,7 @@ function handleFetchComps(data) {
 function handleCalculateFlip(data) {
   validateFlipData(data);
 
-  const flipAnalysis = calculateFlipAnalysis(data);
+  const flipAnalysis = calculateWebAppFlipAnalysis(data);
 
   return flipAnalysis;
 }
@@ -677,8 +699,10 @@ function calculateRentalEstimates(data, propertyDetails, comps) {
 
 /**
  * Calculate flip analysis (wrapper for analyzer.js)
+ * Named apart from shared-core's calculateFlipAnalysis(propertyData, arv), which
+ * loads after this file in Apps Script and would replace it
  */
-function calculateFlipAnalysis(data) {
+function calculateWebAppFlipAnalysis(data) {
   const purchasePrice = parseFloat(data.purchasePrice);
   const rehabCost = parseFloat(data.rehabCost || 0);
   const arv = parseFloat(data.arv);
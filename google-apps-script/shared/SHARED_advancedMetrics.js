@@ -5,7 +5,9 @@
  * ===============================
  *
  * Implements advanced financial calculations:
- * - Internal Rate of Return (IRR)
+ * - Multi-year pro forma through a refinance or sale (levered and
+ *   unlevered IRR, equity multiple, equity build-up)
+ * - Internal Rate of Return (IRR), pre-tax and after-tax
  * - Net Present Value (NPV)
  * - Break-even analysis
  * - Multiple loan scenario comparisons
@@ -96,76 +98,73 @@ function calculateNPV(cashFlows, discountRate) {
 }
 
 /**
- * Generate multi-year cash flow projections for rental property
- * @param {number} years - Number of years to project
- * @returns {Object} Cash flow projection data
+ * Project the rental year by year through its sale with the saved pro forma
+ * assumptions (see getProFormaAssumptions in SHARED_config.js) and
+ * projectProForma in shared-core/calculations/proforma.js. Income and
+ * expense lines follow the As-Is Rental section, including a saved unit mix;
+ * debt service comes from the amortization sheet's schedule, extra payments
+ * included.
+ * @param {number} [years] - Holding period; defaults to the saved assumptions
+ * @returns {Object} { cashFlows, yearlyData, totalInvestment, proForma }, or { error, message }
  */
-function generateCashFlowProjections(years = 10) {
+function generateCashFlowProjections(years) {
   const purchasePrice = getField("purchasePrice", 0);
-  const downPaymentPct = getField("downPayment", 20) / 100;
   const rehabCost = getField("rehabCost", 0);
-  const rentEstimate = getField("rentEstimate", 3500);
-  const propertyTaxRate = getField("propertyTaxRate", 0.0125);
-  const insuranceMonthly = getField("insuranceMonthly", 100);
-  const vacancyRate = getField("vacancyRate", 0.06);
-  const interestRate = getField("loanInterestRate", 7) / 100;
-  const loanTerm = getField("loanTerm", 30);
-
-  const totalInvestment = purchasePrice + rehabCost;
-  const downPayment = purchasePrice * downPaymentPct;
-  const totalCashInvested = downPayment + rehabCost;
-  const loanAmount = purchasePrice - downPayment;
-
-  // Calculate monthly payment
-  const monthlyRate = interestRate / 12;
-  const totalMonths = loanTerm * 12;
-  const monthlyPayment = (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -totalMonths));
+  const cashInvestment = getField("cashInvestment", 0);
+  const maintenanceRate = getField("maintenanceRate", 1) / 100;
+  const includePropertyManagement = getField("includePropertyManagement", "Yes");
+
+  const unitMix = getUnitMix();
+  const rentRoll = unitMix ? buildRentRoll(unitMix, { vacancyRate: getField("vacancyRate", 6) / 100 }) : null;
+  const useRentRoll = rentRoll && !rentRoll.error;
+
+  // Cash deployed and closing costs match the rental analysis
+  const financingPlan = getFinancingPlan();
+  const financing = financingPlan ? buildFinancingSchedule(financingPlan) : null;
+  const useFinancing = financing && !financing.error;
+  const downPayment = useFinancing
+    ? Math.max(0, purchasePrice - getFundedAtClosing(financingPlan))
+    : purchasePrice * getField("downPayment", 20) / 100;
+  const closingCosts = useFinancing ? financing.upfrontCosts : 0;
+
+  const amortization = buildAmortizationAnalysis();
+  const assumptions = Object.assign({}, getProFormaAssumptions());
+  if (years) {
+    // A shorter window leaves out a refinance or replacement that falls after it
+    assumptions.holdYears = years;
+    if (assumptions.refinanceYear >= years) assumptions.refinanceYear = null;
+    assumptions.capexItems = (assumptions.capexItems || []).filter(item => item.year <= years);
+  }
 
-  // Annual assumptions
-  const rentGrowthRate = 0.03; // 3% annual rent growth
-  const expenseGrowthRate = 0.025; // 2.5% annual expense growth
-  const appreciationRate = 0.04; // 4% annual property appreciation
-
-  const cashFlows = [-totalCashInvested]; // Year 0: Initial investment (negative)
-  const yearlyData = [];
-
-  for (let year = 1; year <= years; year++) {
-    // Rent with growth
-    const annualRent = rentEstimate * 12 * Math.pow(1 + rentGrowthRate, year - 1);
-    const vacancyLoss = annualRent * vacancyRate;
-    const effectiveGrossIncome = annualRent - vacancyLoss;
-
-    // Operating expenses with growth
-    const propertyTax = totalInvestment * propertyTaxRate * Math.pow(1 + expenseGrowthRate, year - 1);
-    const insurance = insuranceMonthly * 12 * Math.pow(1 + expenseGrowthRate, year - 1);
-    const maintenance = totalInvestment * 0.01 * Math.pow(1 + expenseGrowthRate, year - 1);
-    const propertyManagement = effectiveGrossIncome * 0.08;
-    const totalExpenses = propertyTax + insurance + maintenance + propertyManagement;
-
-    // NOI and cash flow
-    const noi = effectiveGrossIncome - totalExpenses;
-    const debtService = monthlyPayment * 12;
-    const annualCashFlow = noi - debtService;
-
-    // Property value with appreciation
-    const propertyValue = totalInvestment * Math.pow(1 + appreciationRate, year);
-
-    cashFlows.push(annualCashFlow);
-
-    yearlyData.push({
-      year: year,
-      rent: annualRent,
-      noi: noi,
-      cashFlow: annualCashFlow,
-      propertyValue: propertyValue,
-      cumulativeCashFlow: cashFlows.slice(1).reduce((a, b) => a + b, 0)
-    });
+  const proForma = projectProForma({
+    purchasePrice: purchasePrice,
+    rehabCost: rehabCost,
+    closingCosts: closingCosts,
+    cashInvested: downPayment + cashInvestment + rehabCost + closingCosts,
+    grossRent: (useRentRoll ? rentRoll.grossMonthlyRent : getField("rentEstimate", 3500)) * 12,
+    vacancyRate: useRentRoll ? rentRoll.vacancyRate : getField("vacancyRate", 6) / 100,
+    expenses: {
+      propertyTaxes: getField("propertyTaxRate", 0.0125) * purchasePrice,
+      insurance: getField("insuranceMonthly", 100) * 12,
+      maintenance: purchasePrice * maintenanceRate,
+      hoaFees: getField("hoaFees", 0) * 12,
+      utilities: getField("utilitiesCost", 0) * 12
+    },
+    managementRate: includePropertyManagement === "Yes" ? getField("propertyManagementRate", 8) / 100 : 0,
+    loan: amortization.error ? null : amortization.loan,
+    loanOptions: amortization.error ? null : amortization.options
+  }, assumptions);
+
+  if (proForma.error) {
+    Logger.log(`⚠️ Pro forma unavailable: ${proForma.message}`);
+    return proForma;
   }
 
   return {
-    cashFlows: cashFlows,
-    yearlyData: yearlyData,
-    totalInvestment: totalCashInvested
+    cashFlows: proForma.leveredCashFlows,
+    yearlyData: proForma.years.map(y => Object.assign({ rent: y.grossRent }, y)),
+    totalInvestment: proForma.cashInvested,
+    proForma: proForma
   };
 }
 
@@ -359,68 +358,100 @@ function generateAdvancedMetricsAnalysis() {
 
   let row = 4;
 
-  // Section 1: Multi-Year Projections & IRR/NPV
-  sheet.getRange(row, 1, 1, 2).merge()
-    .setValue("10-Year Cash Flow Projections")
-    .setFontWeight("bold")
-    .setFontSize(12)
-    .setBackground("#e8f0fe")
-    .setHorizontalAlignment("left");
-  row++;
-
-  const projections = generateCashFlowProjections(10);
-  const irr = calculateIRR(projections.cashFlows);
-  const npv = calculateNPV(projections.cashFlows, 0.10); // 10% discount rate
-
-  // Summary metrics
-  const summaryData = [
-    ["Initial Investment", -projections.cashFlows[0]],
-    ["", ""],
-    ["Internal Rate of Return (IRR)", irr],
-    ["Net Present Value (NPV @ 10%)", npv],
-    ["", ""],
-    ["Total 10-Year Cash Flow", projections.yearlyData.reduce((sum, y) => sum + y.cashFlow, 0)],
-    ["Final Property Value (Est.)", projections.yearlyData[9].propertyValue]
-  ];
+  // Section 1: Multi-Year Pro Forma & IRR/NPV
+  const projections = generateCashFlowProjections();
+  const holdYears = projections.error ? 0 : projections.proForma.sale.year;
 
-  sheet.getRange(row, 1, summaryData.length, 2).setValues(summaryData);
-  sheet.getRange(row, 2).setNumberFormat('"$"#,##0');
-  sheet.getRange(row + 2, 2).setNumberFormat("0.00%");
-  sheet.getRange(row + 3, 2).setNumberFormat('"$"#,##0');
-  sheet.getRange(row + 5, 2, 2, 1).setNumberFormat('"$"#,##0');
-
-  row += summaryData.length + 2;
-
-  // Year-by-year breakdown
-  sheet.getRange(row, 1, 1, 6).merge()
-    .setValue("Year-by-Year Breakdown")
+  sheet.getRange(row, 1, 1, 2).merge()
+    .setValue(projections.error ? "Cash Flow Projections" : `${holdYears}-Year Pro Forma`)
     .setFontWeight("bold")
     .setFontSize(12)
     .setBackground("#e8f0fe")
     .setHorizontalAlignment("left");
   row++;
 
-  const headers = ["Year", "Annual Rent", "NOI", "Cash Flow", "Property Value", "Cumulative CF"];
-  sheet.getRange(row, 1, 1, headers.length).setValues([headers])
-    .setFontWeight("bold")
-    .setBackground("#d9e2f3")
-    .setHorizontalAlignment("center")
-    .setBorder(true, true, true, true, true, true, "#000000", SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
-  row++;
-
-  const yearlyRows = projections.yearlyData.map(y => [
-    y.year,
-    y.rent,
-    y.noi,
-    y.cashFlow,
-    y.propertyValue,
-    y.cumulativeCashFlow
-  ]);
+  if (projections.error) {
+    sheet.getRange(row, 1).setValue("Pro forma unavailable: " + projections.message);
+    row += 3;
+  } else {
+    const proForma = projections.proForma;
+    const npv = calculateNPV(projections.cashFlows, 0.10); // 10% discount rate
+
+    // After-tax IRR over the tax profile's holding period, sale included
+    const taxProjection = buildTaxProjection();
+    const afterTaxIRR = taxProjection.error ? null : calculateIRR(taxProjection.afterTaxCashFlows);
+    const percent = value => (value === null ? "N/A" : value / 100);
+
+    // Summary metrics
+    const summaryData = [
+      ["Initial Investment", proForma.cashInvested, "$"],
+      ["", ""],
+      [`Levered IRR (${holdYears}-Year Hold & Sale)`, percent(proForma.leveredIRR), "%"],
+      ["Unlevered IRR", percent(proForma.unleveredIRR), "%"],
+      [taxProjection.error ? "After-Tax IRR" : `After-Tax IRR (${taxProjection.sale.year}-Year Hold & Sale)`, afterTaxIRR === null ? "N/A" : afterTaxIRR, "%"],
+      ["Equity Multiple", proForma.equityMultiple, "x"],
+      ["Net Present Value (NPV @ 10%)", npv, "$"],
+      ["", ""],
+      [`Total ${holdYears}-Year Cash Flow`, proForma.totals.cashFlow, "$"],
+      ["Loan Paydown", proForma.totals.principalPaid, "$"],
+      ["Capital Replacements", proForma.totals.capexSpent, "$"],
+      [`Sale Price (${proForma.sale.method})`, proForma.sale.salePrice, "$"],
+      ["Selling Costs", proForma.sale.sellingCosts, "$"],
+      ["Net Sale Proceeds (After Loan)", proForma.sale.netProceeds, "$"],
+      ["Total Profit", proForma.totals.profit, "$"]
+    ];
+    if (proForma.refinance) {
+      summaryData.push(
+        [`Refinance (Year ${proForma.refinance.year}) New Loan`, proForma.refinance.newLoan, "$"],
+        ["Refinance Cash Out", proForma.refinance.cashOut, "$"]
+      );
+    }
 
-  sheet.getRange(row, 1, yearlyRows.length, headers.length).setValues(yearlyRows);
-  sheet.getRange(row, 2, yearlyRows.length, 5).setNumberFormat('"$"#,##0');
+    sheet.getRange(row, 1, summaryData.length, 2).setValues(summaryData.map(d => [d[0], d[1]]));
+    summaryData.forEach((d, i) => {
+      if (d[2] === "$") sheet.getRange(row + i, 2).setNumberFormat('"$"#,##0');
+      if (d[2] === "%") sheet.getRange(row + i, 2).setNumberFormat("0.00%");
+      if (d[2] === "x") sheet.getRange(row + i, 2).setNumberFormat('0.00"x"');
+    });
 
-  row += yearlyRows.length + 2;
+    row += summaryData.length + 2;
+
+    // Year-by-year breakdown
+    sheet.getRange(row, 1, 1, 10).merge()
+      .setValue("Year-by-Year Breakdown")
+      .setFontWeight("bold")
+      .setFontSize(12)
+      .setBackground("#e8f0fe")
+      .setHorizontalAlignment("left");
+    row++;
+
+    const headers = ["Year", "Annual Rent", "NOI", "Capex", "Debt Service", "Cash Flow", "Loan Balance", "Property Value", "Equity", "Cumulative CF"];
+    sheet.getRange(row, 1, 1, headers.length).setValues([headers])
+      .setFontWeight("bold")
+      .setBackground("#d9e2f3")
+      .setHorizontalAlignment("center")
+      .setBorder(true, true, true, true, true, true, "#000000", SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+    row++;
+
+    // Capex is the reserve plus any replacement the reserve could not cover; cash flow includes refinance proceeds
+    const yearlyRows = projections.yearlyData.map(y => [
+      y.year,
+      y.rent,
+      y.noi,
+      y.capexReserve + y.capexShortfall,
+      y.debtService,
+      y.cashFlow + y.refinanceProceeds,
+      y.loanBalance,
+      y.propertyValue,
+      y.equity,
+      y.cumulativeCashFlow
+    ]);
+
+    sheet.getRange(row, 1, yearlyRows.length, headers.length).setValues(yearlyRows);
+    sheet.getRange(row, 2, yearlyRows.length, headers.length - 1).setNumberFormat('"$"#,##0');
+
+    row += yearlyRows.length + 2;
+  }
 
   // Section 2: Break-Even Analysis
   sheet.getRange(row, 1, 1, 2).merge()
@@ -9,12 +9,70 @@
  * - Cumulative interest paid
  * - Remaining balance
  * - Option to view first 12 months or full loan term
+ * - Hard money, seller carry, ARM and other structures from the saved
+ *   financing plan (rate resets and balloons shown month by month)
+ * - Extra principal, lump sums, recasts and biweekly payments from the saved
+ *   amortization options, with interest saved versus paying as agreed
  */
 
+/**
+ * Build the debt schedule the amortization sheet shows
+ * Uses the spreadsheet's financing plan when one is saved, otherwise the
+ * fixed mortgage described on the Inputs sheet.
+ * @returns {Object} buildFinancingSchedule result (error set when there is no loan)
+ */
+function buildAmortizationFinancing() {
+  let loans = getFinancingPlan();
+
+  if (!loans) {
+    const purchasePrice = getField("purchasePrice", 0);
+    const downPaymentPct = getField("downPayment", 20) / 100;
+    const interestRate = getField("loanInterestRate", 7) / 100;
+    const loanTermMonths = getField("loanTerm", 30) * 12;
+
+    loans = [createLoan('CONVENTIONAL', purchasePrice * (1 - downPaymentPct), {
+      rate: interestRate,
+      termMonths: loanTermMonths,
+      amortizationMonths: loanTermMonths
+    })];
+  }
+
+  const financing = buildFinanci/**
+ * First payment date for the schedule: the first of next month
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getFirstPaymentDate() {
+  const today = new Date();
+  return new Date(Date.UTC(today.getFullYear(), today.getMonth() + 1, 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Run the amortization engine on the deal's primary loan
+ * The first loan of the financing plan (or the Inputs sheet mortgage) is
+ * scheduled with the saved extra payments; ARM resets carry over as rate changes.
+ * @returns {Object} analyzeAmortization result plus the loan, its name and the schedule options (error set when there is no loan)
+ */
+function buildAmortizationAnalysis() {
+  const financing = buildAmortizationFinancing();
+  if (financing.error) return financing;
+
+  const primary = financing.loans[0].loan;
+  const converted = toAmortizationLoan(primary);
+  const options = createAmortizationOptions(Object.assign({}, getAmortizationOptions(), { startDate: getFirstPaymentDate() }));
+  options.rateChanges = converted.rateChanges;
+
+  const analysis = analyzeAmortization(converted.loan, options);
+  if (analysis.error) {
+    Logger.log(`⚠️ Amortization schedule unavailable: ${analysis.message}`);
+    return analysis;
+  }
+  return Object.assign(analysis, { loan: converted.loan, loanName: primary.name, options: options });
+}
+
 /**
  * Generate amortization schedule for the loan
- * @param {number} months - Number of months to display (12 for first year, or full term)
- * @returns {Array} Array of payment objects with month, payment, principal, interest, balance
+ * @param {number} months - Number of loan months to display (12 for first year, or full term)
+ * @returns {Array} Array of rows: payment #, date, rate, payment, principal, extra principal, interest, balloon, balance, cumulative interest
  */
 function generateAmortizationSchedule(months = 12) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -28,28 +86,29 @@ function generateAmortizationSchedule(months = 12) {
   const amortSheet = ss.getSheetByName("Amortization Schedule");
   amortSheet.clearContents();
 
-  // Get loan details from Inputs
-  const purchasePrice = getField("purchasePrice", 0);
-  const downPaymentPct = getField("downPayment", 20) / 100;
-  const interestRate = getField("loanInterestRate", 7) / 100;
-  const loanTerm = getField("loanTerm", 30);
+  // Get loan details from the financing plan or the Inputs sheet
+  const analysis = buildAmortizationAnalysis();
+  if (analysis.error) {
+    amortSheet.getRange("A1").setValue("Amortization schedule unavailable: " + analysis.message);
+    return [];
+  }
 
-  const loanAmount = purchasePrice * (1 - downPaymentPct);
-  const monthlyRate = interestRate / 12;
-  const totalMonths = loanTerm * 12;
-  const monthlyPayment = (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -totalMonths));
+  const schedule = analysis.schedule;
+  const baseline = analysis.baseline;
+  const biweekly = schedule.frequency === "biweekly";
+  const columnCount = 10;
 
   // Title and timestamp - using standardized header formatting with merged cells
-  const titleRange = amortSheet.getRange("A1:F1");
+  const titleRange = amortSheet.getRange(1, 1, 1, columnCount);
   titleRange.merge();
   titleRange.setValue("Loan Amortization Schedule");
   styleHeader(titleRange, 'h1');
   titleRange.setBackground("#1a73e8");
   titleRange.setFontColor("white");
 
-  const timestampRange = amortSheet.getRange("A2:F2");
+  const timestampRange = amortSheet.getRange(2, 1, 1, columnCount);
   timestampRange.merge();
-  timestampRange.setValue("Generated: " + new Date().toLocaleString())
+  timestampRange.setValue(analysis.loanName + " • Generated: " + new Date().toLocaleString())
     .setFontSize(9)
     .setFontColor("#666666");
 
@@ -65,12 +124,18 @@ function generateAmortizationSchedule(months = 12) {
   row++;
 
   const summaryData = [
-    ["Loan Amount", loanAmount],
-    ["Interest Rate", interestRate],
-    ["Loan Term (Years)", loanTerm],
-    ["Monthly Payment", monthlyPayment],
-    ["Total Payments", monthlyPayment * totalMonths],
-    ["Total Interest", (monthlyPayment * totalMonths) - loanAmount]
+    ["Loan Amount", analysis.loan.principal],
+    ["Interest Rate", analysis.loan.annualRate],
+    ["Loan Term (Years)", analysis.loan.termMonths / 12],
+    [biweekly ? "Biweekly Payment" : "Monthly Payment", schedule.scheduledPayment],
+    ["Extra Principal Paid", schedule.totals.extraPrincipal],
+    ["Balloon Payments", schedule.totals.balloon],
+    ["Total Payments", schedule.totals.paid],
+    ["Total Interest", schedule.totals.interest],
+    ["Interest Saved", analysis.interestSaved],
+    ["Payoff Date", schedule.payoffDate],
+    ["Payoff Date (As Agreed)", baseline.payoffDate],
+    ["Months Saved", analysis.monthsSaved]
   ];
 
   amortSheet.getRange(row, 1, summaryData.length, 2).setValues(summaryData);
@@ -78,17 +143,19 @@ function generateAmortizationSchedule(months = 12) {
   // Format summary
   amortSheet.getRange(row, 2).setNumberFormat('"$"#,##0');
   amortSheet.getRange(row + 1, 2).setNumberFormat("0.00%");
-  amortSheet.getRange(row + 2, 2).setNumberFormat("0");
-  amortSheet.getRange(row + 3, 2, 3, 1).setNumberFormat('"$"#,##0');
+  amortSheet.getRange(row + 2, 2).setNumberFormat("0.#");
+  amortSheet.getRange(row + 3, 2, 6, 1).setNumberFormat('"$"#,##0');
+  amortSheet.getRange(row + 11, 2).setNumberFormat("0");
 
   row += summaryData.length + 2;
 
-  // Determine how many months to show
-  const monthsToShow = Math.min(months, totalMonths);
+  // Determine how many payments to show
+  const rowsToShow = schedule.schedule.filter(payment => payment.month <= months);
+  const monthsShown = rowsToShow.length > 0 ? rowsToShow[rowsToShow.length - 1].month : 0;
 
   // Payment Schedule Header
-  amortSheet.getRange(row, 1, 1, 6).merge()
-    .setValue(`Payment Schedule (First ${monthsToShow} Months)`)
+  amortSheet.getRange(row, 1, 1, columnCount).merge()
+    .setValue(`Payment Schedule (First ${monthsShown} Months${biweekly ? ", Biweekly" : ""})`)
     .setFontWeight("bold")
     .setFontSize(12)
     .setBackground("#e8f0fe")
@@ -96,7 +163,7 @@ function generateAmortizationSchedule(months = 12) {
   row++;
 
   // Column headers
-  const headers = ["Month", "Payment", "Principal", "Interest", "Balance", "Cumulative Interest"];
+  const headers = ["Payment #", "Date", "Rate", "Payment", "Principal", "Extra Principal", "Interest", "Balloon", "Balance", "Cumulative Interest"];
   amortSheet.getRange(row, 1, 1, headers.length).setValues([headers])
     .setFontWeight("bold")
     .setBackground("#d9e2f3")
@@ -104,40 +171,45 @@ function generateAmortizationSchedule(months = 12) {
     .setBorder(true, true, true, true, true, true, "#000000", SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
   row++;
 
-  // Calculate amortization schedule
-  let balance = loanAmount;
+  // Lay out the schedule rows
   let cumulativeInterest = 0;
-  const scheduleData = [];
-
-  for (let month = 1; month <= monthsToShow; month++) {
-    const interestPayment = balance * monthlyRate;
-    const principalPayment = monthlyPayment - interestPayment;
-    balance -= principalPayment;
-    cumulativeInterest += interestPayment;
-
-    scheduleData.push([
-      month,
-      monthlyPayment,
-      principalPayment,
-      interestPayment,
-      Math.max(0, balance), // Prevent negative balance due to rounding
+  const scheduleData = rowsToShow.map(payment => {
+    cumulativeInterest += payment.interest;
+    return [
+      payment.period,
+      payment.date,
+      payment.rate,
+      payment.payment,
+      payment.principal,
+      payment.extraPrincipal,
+      payment.interest,
+      payment.balloon,
+      payment.balance,
       cumulativeInterest
-    ]);
+    ];
+  });
+
+  if (scheduleData.length === 0) {
+    Logger.log("⚠️ No payments to show");
+    return [];
   }
 
   // Write schedule data
   amortSheet.getRange(row, 1, scheduleData.length, headers.length).setValues(scheduleData);
 
   // Format schedule data
-  for (let i = 0; i < scheduleData.length; i++) {
-    amortSheet.getRange(row + i, 1).setNumberFormat("0"); // Month
-    amortSheet.getRange(row + i, 2, 1, 5).setNumberFormat('"$"#,##0'); // All currency columns
-  }
+  amortSheet.getRange(row, 1, scheduleData.length, 1).setNumberFormat("0"); // Payment #
+  amortSheet.getRange(row, 3, scheduleData.length, 1).setNumberFormat("0.00%"); // Rate
+  amortSheet.getRange(row, 4, scheduleData.length, 7).setNumberFormat('"$"#,##0'); // All currency columns
 
-  // Add alternating row colors for readability
+  // Add alternating row colors for readability; rate changes, recasts, extra payments and balloons stand out
   for (let i = 0; i < scheduleData.length; i++) {
-    const color = i % 2 === 0 ? "#ffffff" : "#f9f9f9";
+    const isEvent = rowsToShow[i].events.length > 0;
+    const color = isEvent ? "#fff9e6" : (i % 2 === 0 ? "#ffffff" : "#f9f9f9");
     amortSheet.getRange(row + i, 1, 1, headers.length).setBackground(color);
+    if (isEvent) {
+      amortSheet.getRange(row + i, 1).setNote(rowsToShow[i].events.join(", "));
+    }
   }
 
   row += scheduleData.length + 2;
@@ -152,14 +224,14 @@ function generateAmortizationSchedule(months = 12) {
   row++;
 
   const lastPayment = scheduleData[scheduleData.length - 1];
-  const totalPrincipalPaid = loanAmount - lastPayment[4];
-  const totalInterestPaid = lastPayment[5];
-  const percentPrincipalPaid = totalPrincipalPaid / loanAmount;
+  const totalPrincipalPaid = scheduleData.reduce((sum, payment) => sum + payment[4] + payment[5] + payment[7], 0);
+  const totalInterestPaid = lastPayment[9];
+  const percentPrincipalPaid = totalPrincipalPaid / analysis.loan.principal;
 
   const statsData = [
     ["Total Principal Paid", totalPrincipalPaid],
     ["Total Interest Paid", totalInterestPaid],
-    ["Remaining Balance", lastPayment[4]],
+    ["Remaining Balance", lastPayment[8]],
     ["% of Loan Paid Off", percentPrincipalPaid]
   ];
 
@@ -168,12 +240,23 @@ function generateAmortizationSchedule(months = 12) {
   amortSheet.getRange(row + 3, 2).setNumberFormat("0.00%");
 
   // Set column widths
-  amortSheet.setColumnWidth(1, 80);   // Month
-  amortSheet.setColumnWidth(2, 120);  // Payment
-  amortSheet.setColumnWidth(3, 120);  // Principal
-  amortSheet.setColumnWidth(4, 120);  // Interest
-  amortSheet.setColumnWidth(5, 120);  // Balance
-  amortSheet.setColumnWidth(6, 150);  // Cumulative Interest
+  amortSheet.setColumnWidth(1, 80);   // Payment #
+  amortSheet.setColumnWidth(2, 100);  // Date
+  amortSheet.setColumnWidth(3, 80);   // Rate
+  amortSheet.setColumnWidth(4, 120);  // Payment
+  amortSheet.setColumnWidth(5, 120);  // Principal
+  amortSheet.setColumnWidth(6, 120);  // Extra Principal
+  amortSheet.setColumnWidth(7, 120);  // Interest
+  amortSheet.setColumnWidth(8, 120);  // Balloon
+  amortSheet.setColumnWidth(9, 120);  // Balance
+  amortSheet.setColumnWidth(10, 150); // Cumulative Interest
+
+  Logger.log(`✅ Amortization schedule generated for ${monthsShown} months (${scheduleData.length} payments)`);
+
+  return scheduleData;
+}
+
+lumnWidth(8, 150);  // Cumulative Interest
 
   Logger.log(`✅ Amortization schedule generated for ${monthsToShow} months`);
 
@@ -184,9 +267,8 @@ function generateAmortizationSchedule(months = 12) {
  * Generate full loan term amortization schedule
  */
 function generateFullAmortizationSchedule() {
-  const loanTerm = getField("loanTerm", 30);
-  const totalMonths = loanTerm * 12;
-  return generateAmortizationSchedule(totalMonths);
+  const analysis = buildAmortizationAnalysis();
+  return generateAmortizationSchedule(analysis.error ? 0 : analysis.schedule.payoffMonth);
 }
 
 /**
@@ -202,28 +284,29 @@ function generateFirstYearAmortization() {
  * @returns {number} Total interest paid
  */
 function calculateTotalInterest(months) {
-  const purchasePrice = getField("purchasePrice", 0);
-  const downPaymentPct = getField("downPayment", 20) / 100;
-  const interestRate = getField("loanInterestRate", 7) / 100;
-  const loanTerm = getField("loanTerm", 30);
-
-  const loanAmount = purchasePrice * (1 - downPaymentPct);
-  const monthlyRate = interestRate / 12;
-  const totalMonths = loanTerm * 12;
-  const monthlyPayment = (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -totalMonths));
-
-  let balance = loanAmount;
-  let totalInterest = 0;
-  const periodsToCalculate = Math.min(months, totalMonths);
-
-  for (let month = 1; month <= periodsToCalculate; month++) {
-    const interestPayment = balance * monthlyRate;
-    const principalPayment = monthlyPayment - interestPayment;
-    balance -= principalPayment;
-    totalInterest += interestPayment;
-  }
+  const financing = buildAmortizationFinancing();
+  if (financing.error) return 0;
 
-  return totalInterest;
+  return financing.schedule
+    .slice(0, months)
+    .reduce((sum, payment) => sum + payment.interest, 0);
+}
+
+/**
+ * Payoff of the primary loan with the saved extra payments
+ * @returns {Object} { interestSaved, monthsSaved, payoffDate, baselinePayoffDate }
+ */
+function getPayoffSummary() {
+  const analysis = buildAmortizationAnalysis();
+  if (analysis.error) {
+    return { interestSaved: 0, monthsSaved: 0, payoffDate: null, baselinePayoffDate: null };
+  }
+  return {
+    interestSaved: analysis.interestSaved,
+    monthsSaved: analysis.monthsSaved,
+    payoffDate: analysis.schedule.payoffDate,
+    baselinePayoffDate: analysis.baseline.payoffDate
+  };
 }
 
 /**
@@ -231,27 +314,21 @@ function calculateTotalInterest(months) {
  * @returns {Object} Summary object with key metrics
  */
 function getAmortizationSummary() {
-  const purchasePrice = getField("purchasePrice", 0);
-  const downPaymentPct = getField("downPayment", 20) / 100;
-  const interestRate = getField("loanInterestRate", 7) / 100;
-  const loanTerm = getField("loanTerm", 30);
-
-  const loanAmount = purchasePrice * (1 - downPaymentPct);
-  const monthlyRate = interestRate / 12;
-  const totalMonths = loanTerm * 12;
-  const monthlyPayment = (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -totalMonths));
-
-  const totalPayments = monthlyPayment * totalMonths;
-  const totalInterest = totalPayments - loanAmount;
-  const firstYearInterest = calculateTotalInterest(12);
+  const financing = buildAmortizationFinancing();
+  if (financing.error) {
+    return { loanAmount: 0, monthlyPayment: 0, totalPayments: 0, totalInterest: 0, firstYearInterest: 0, interestRate: 0, loanTerm: 0 };
+  }
 
   return {
-    loanAmount: loanAmount,
-    monthlyPayment: monthlyPayment,
-    totalPayments: totalPayments,
-    totalInterest: totalInterest,
-    firstYearInterest: firstYearInterest,
-    interestRate: interestRate,
-    loanTerm: loanTerm
+    loanAmount: getFundedAtClosing(financing.loans.map(result => result.loan)) + financing.totals.drawn,
+    monthlyPayment: financing.monthlyPayment,
+    totalPayments: financing.totals.payments + financing.totals.balloon,
+    totalInterest: financing.totals.interest,
+    firstYearInterest: calculateTotalInterest(12),
+    interestRate: financing.schedule[0].rate,
+    loanTerm: financing.schedule.length / 12,
+    balloons: financing.balloons,
+    rateResets: financing.rateResets,
+    ...getPayoffSummary()
   };
 }
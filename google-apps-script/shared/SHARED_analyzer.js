@@ -84,6 +84,54 @@ function validateUserProvidedData(data) {
   };
 }
 
+/**
+ * Property record with per-field provenance (shared-core/api/propertyRecord.js)
+ * Merges the property details, any other records (estimates...) and the
+ * user's own entries, which win, then puts the merged values back on
+ * propertyDetails so the analysis runs on them.
+ *
+ * @param {Object} data - Analysis input, read for the user's own entries
+ * @param {Object} propertyDetails - Details tagged with their dataSource, or
+ *   carrying the propertyRecord fetchPropertyDetails merged across providers
+ * @param {Array<Object>} extraRecords - More records from normalizePropertyRecord
+ * @returns {Object} { values, provenance }
+ */
+function buildPropertyRecord(data, propertyDetails, extraRecords) {
+  const propertyRecord = mergePropertyRecords(
+    [propertyDetails.propertyRecord || normalizePropertyRecord(propertyDetails, propertyDetails.dataSource)]
+      .concat(extraRecords || [])
+      .concat([normalizePropertyRecord(data, 'user')])
+  );
+
+  DETAIL_MERGE_FIELDS.forEach(function(field) {
+    if (propertyRecord.values[field] !== undefined) {
+      propertyDetails[field] = propertyRecord.values[field];
+    }
+  });
+
+  return propertyRecord;
+}
+
+/**
+ * Conflicts between sources on the subject property and the comps, for
+ * the analysis alerts. Fields the user entered themselves are settled.
+ *
+ * @param {Object} propertyDetails - From fetchPropertyDetails
+ * @param {Array} comps - From fetchCompsData
+ * @param {Object} propertyRecord - From buildPropertyRecord
+ * @returns {Array<Object>} RecordConflicts
+ */
+function collectDataConflicts(propertyDetails, comps, propertyRecord) {
+  const propertyConflicts = ((propertyDetails && propertyDetails.conflicts) || []).filter(function(conflict) {
+    const provenance = propertyRecord.provenance[conflict.field];
+    return !provenance || provenance.source !== 'user';
+  });
+
+  return (comps || []).reduce(function(conflicts, comp) {
+    return conflicts.concat(comp.conflicts || []);
+  }, propertyConflicts);
+}
+
 /**
  * Analyze property in Basic Mode (0-1 API calls)
  * User provides all property details and comps
@@ -124,7 +172,8 @@ function analyzePropertyBasicMode(data) {
     sqft: data.sqft,
     yearBuilt: data.yearBuilt,
     lotSize: data.lotSize || null,
-    propertyType: data.propertyType || 'Single Family'
+    propertyType: data.propertyType || 'Single Family',
+    dataSource: 'user'
   };
 
   // Calculate ARV from user-provided comps or use user-provided ARV
@@ -172,10 +221,13 @@ function analyzePropertyBasicMode(data) {
   PlatformLogger.success(`✅ Basic Mode Analysis completed in ${duration.toFixed(2)}s`);
   PlatformLogger.info(`📊 API calls used: ${apiCallCount}`);
 
+  const propertyRecord = buildPropertyRecord(data, propertyDetails);
+
   return {
     success: true,
     mode: 'BASIC',
     propertyDetails,
+    propertyRecord,
     arv,
     arvCalculationMethod,
     comps: data.comps || [],
@@ -217,8 +269,8 @@ function analyzePropertyStandardMode(data) {
       city: data.city,
       state: data.state,
       zip: data.zip
-    });
-    apiCallCount++;
+    }, 'STANDARD');
+    apiCallCount += Math.max(1, ((propertyDetails && propertyDetails.sources) || []).length); // One per provider that answered
 
     if (!propertyDetails) {
       throw new Error('Failed to fetch property details');
@@ -233,7 +285,7 @@ function analyzePropertyStandardMode(data) {
       city: data.city,
       state: data.state,
       zip: data.zip
-    });
+    }, false, 'STANDARD');
     apiCallCount++;
 
     if (!comps || comps.length === 0) {
@@ -296,10 +348,16 @@ function analyzePropertyStandardMode(data) {
     PlatformLogger.success(`✅ Standard Mode Analysis completed in ${duration.toFixed(2)}s`);
     PlatformLogger.info(`📊 API calls used: ${apiCallCount}`);
 
+    const propertyRecord = buildPropertyRecord(data, propertyDetails, [
+      normalizePropertyRecord({ rentEstimate: rentEstimate }, 'private_zillow')
+    ]);
+
     return {
       success: true,
       mode: 'STANDARD',
       propertyDetails,
+      propertyRecord,
+      dataConflicts: collectDataConflicts(propertyDetails, comps, propertyRecord),
       arv,
       arvCalculationMethod,
       comps: comps || [],
@@ -360,8 +418,8 @@ function analyzePropertyDeepMode(data, options = {}) {
       city: data.city,
       state: data.state,
       zip: data.zip
-    });
-    apiCallCount++;
+    }, 'DEEP');
+    apiCallCount += Math.max(1, ((propertyDetails && propertyDetails.sources) || []).length); // One per provider that answered
 
     if (!propertyDetails) {
       throw new Error('Failed to fetch property details');
@@ -376,7 +434,7 @@ function analyzePropertyDeepMode(data, options = {}) {
       city: data.city,
       state: data.state,
       zip: data.zip
-    });
+    }, false, 'DEEP');
     apiCallCount++;
 
     if (!comps || comps.length === 0) {
@@ -553,10 +611,17 @@ function analyzePropertyDeepMode(data, options = {}) {
     PlatformLogger.success(`✅ Deep Mode Analysis completed in ${duration.toFixed(2)}s`);
     PlatformLogger.info(`📊 API calls used: ${apiCallCount}`);
 
+    const propertyRecord = buildPropertyRecord(data, propertyDetails, [
+      normalizePropertyRecord({ zestimate: zillowEstimate, rentEstimate: rentEstimate }, 'private_zillow'),
+      normalizePropertyRecord({ estimate: usRealEstateEstimate }, 'us_real_estate')
+    ]);
+
     return {
       success: true,
       mode: 'DEEP',
       propertyDetails,
+      propertyRecord,
+      dataConflicts: collectDataConflicts(propertyDetails, comps, propertyRecord),
       arv,
       arvCalculationMethod,
       arvSources,
@@ -628,14 +693,35 @@ function generateFlipAnalysis(comps) {
   const cashInvestment = getField("cashInvestment", 0);
   const helocAmount = getField("helocAmount", 0);
   const helocInterest = getField("helocInterest", 0.07);
-  const rehabCost = getField("rehabCost", 0);
   const monthsToFlip = getField("monthsToFlip", 6);
-  const downPayment = purchasePrice * downPaymentPct;
+
+  // A saved scope of work prices the rehab line by line and sets its own contingency
+  const rehabEstimate = buildRehabEstimate();
+  const rehabCost = rehabEstimate ? rehabEstimate.subtotal : getField("rehabCost", 0);
+  const contingencyRate = rehabEstimate ? rehabEstimate.contingencyRate : 0.1;
+
+  // A saved financing plan (hard money, private money, ...) replaces the mortgage + HELOC:
+  // the monthly debt line is the plan's average interest and points/fees are paid upfront
+  const financingPlan = getFinancingPlan();
+  const financing = financingPlan ? buildFinancingSchedule(financingPlan, monthsToFlip) : null;
+  if (financing && financing.error) {
+    PlatformLogger.warn(`⚠️ Financing plan ignored: ${financing.message}`);
+  }
+  const useFinancing = financing && !financing.error;
+
+  const downPayment = useFinancing
+    ? Math.max(0, purchasePrice - getFundedAtClosing(financingPlan))
+    : purchasePrice * downPaymentPct;
   const loanAmount = purchasePrice - downPayment;
   const monthlyRate = interestRate / 12;
-  const monthlyPI = (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -loanTerm * 12));
-  const helocCost = helocAmount * helocInterest * (monthsToFlip / 12);
-  const totalCashRequired = downPayment + rehabCost + cashInvestment;
+  const monthlyPI = useFinancing
+    ? financing.totals.interest / monthsToFlip
+    : (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -loanTerm * 12));
+  const helocMonthlyInterest = useFinancing ? 0 : helocAmount * helocInterest / 12;
+  const helocCost = helocMonthlyInterest * monthsToFlip;
+  const lenderUpfrontCosts = useFinancing ? financing.upfrontCosts : 0;
+  const drawFunded = useFinancing ? financing.totals.drawn : 0;
+  const totalCashRequired = downPayment + Math.max(0, rehabCost - drawFunded) + cashInvestment + lenderUpfrontCosts;
 
   // Check if in Simple Mode
   const simpleMode = isSimpleMode();
@@ -668,7 +754,7 @@ function generateFlipAnalysis(comps) {
       ["Loan Term (Years)", loanTerm],
       ["Months to Flip", monthsToFlip],
       ["", ""],
-      ["HELOC Interest Cost", helocCost],
+      [useFinancing ? "Points & Lender Fees" : "HELOC Interest Cost", useFinancing ? lenderUpfrontCosts : helocCost],
       ["Total Cash Required", totalCashRequired]
     ];
   }
@@ -686,13 +772,13 @@ function generateFlipAnalysis(comps) {
 
   // Calculate holding costs (mortgage + HELOC + taxes + insurance + utilities)
   const monthlyPropertyTax = (purchasePrice * propertyTaxRate) / 12;
-  const monthlyHoldingCosts = monthlyPI + (helocAmount * helocInterest / 12) + monthlyPropertyTax + insuranceMonthly + utilitiesCost;
-  const holdingCost = monthlyHoldingCosts * monthsToFlip;
+  const monthlyHoldingCosts = monthlyPI + helocMonthlyInterest + monthlyPropertyTax + insuranceMonthly + utilitiesCost;
+  const holdingCost = monthlyHoldingCosts * monthsToFlip + lenderUpfrontCosts;
 
   const closingCosts = purchasePrice * 0.02;
-  const contingency = rehabCost * 0.1;
+  const contingency = rehabCost * contingencyRate;
   const totalRehab = rehabCost + contingency;
-  const totalCosts = closingCosts + holdingCost + totalRehab + downPayment;
+  const totalCosts = closingCosts + holdingCost + Math.max(0, totalRehab - drawFunded) + downPayment;
 
   let costStartRow = row;
   if (!simpleMode) {
@@ -706,12 +792,12 @@ function generateFlipAnalysis(comps) {
 
     const costData = [
       ["Rehab Cost (Base)", rehabCost],
-      ["Contingency (10%)", contingency],
+      [`Contingency (${Math.round(contingencyRate * 100)}%)`, contingency],
       ["Total Rehab Cost", totalRehab],
       ["Acquisition Costs (2%)", closingCosts],
       ["Holding Costs (Monthly)", monthlyHoldingCosts],
-      ["  - Mortgage P&I", monthlyPI],
-      ["  - HELOC Interest", helocAmount * helocInterest / 12],
+      [useFinancing ? "  - Loan Interest (avg)" : "  - Mortgage P&I", monthlyPI],
+      [useFinancing ? "  - Points & Fees (upfront, in total)" : "  - HELOC Interest", useFinancing ? lenderUpfrontCosts : helocMonthlyInterest],
       ["  - Property Tax", monthlyPropertyTax],
       ["  - Insurance", insuranceMonthly],
       ["  - Utilities", utilitiesCost],
@@ -731,6 +817,10 @@ function generateFlipAnalysis(comps) {
     sheet.getRange(row + 10, 1, 1, 2).setBackground("#fff9e6");
 
     row += costData.length + 1;
+
+    if (rehabEstimate) {
+      row = writeRehabScopeSection(sheet, row, rehabEstimate);
+    }
   }
 
   // --- Section 3: Comps Data (show header in both modes) ---
@@ -1265,10 +1355,18 @@ function generateRentalAnalysis(comps) {
   const helocAmount = getField("helocAmount", 0);
   const helocInterest = getField("helocInterest", 0.07);
   const rehabCost = getField("rehabCost", 0);
-  const rentEstimate = getField("rentEstimate", 3500);
+
+  // A saved unit mix replaces the single rent estimate with the rent roll
+  const unitMix = getUnitMix();
+  const rentRoll = unitMix ? buildRentRoll(unitMix, { vacancyRate: getField("vacancyRate", 6) / 100 }) : null;
+  if (rentRoll && rentRoll.error) {
+    PlatformLogger.warn(`⚠️ Unit mix ignored: ${rentRoll.message}`);
+  }
+  const useRentRoll = rentRoll && !rentRoll.error;
+  const rentEstimate = useRentRoll ? rentRoll.grossMonthlyRent : getField("rentEstimate", 3500);
 
   // Phase 3: Configurable rental parameters
-  const vacancyRate = getField("vacancyRate", 6) / 100; // Default 6%
+  const vacancyRate = useRentRoll ? rentRoll.vacancyRate : getField("vacancyRate", 6) / 100; // Default 6%
   const maintenanceRate = getField("maintenanceRate", 1) / 100; // Default 1% of property value
   const propertyManagementRate = getField("propertyManagementRate", 8) / 100; // Default 8%
   const includePropertyManagement = getField("includePropertyManagement", "Yes");
@@ -1278,12 +1376,21 @@ function generateRentalAnalysis(comps) {
   const propertyTaxRate = getField("propertyTaxRate", 0.0125);
   const insuranceMonthly = getField("insuranceMonthly", 100);
 
-  const downPayment = purchasePrice * downPaymentPct;
+  // As-is debt service comes from the saved financing plan when there is one
+  const financingPlan = getFinancingPlan();
+  const financing = financingPlan ? buildFinancingSchedule(financingPlan) : null;
+  const useFinancing = financing && !financing.error;
+
+  const downPayment = useFinancing
+    ? Math.max(0, purchasePrice - getFundedAtClosing(financingPlan))
+    : purchasePrice * downPaymentPct;
   const loanAmount = purchasePrice - downPayment;
   const monthlyRate = interestRate / 12;
-  const monthlyPI = (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -loanTerm * 12));
-  const helocMonthlyInterest = (helocAmount * helocInterest) / 12;
-  const totalCashDeployed = downPayment + cashInvestment + rehabCost;
+  const monthlyPI = useFinancing
+    ? sumDebtService(financing, 1, 12) / 12
+    : (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -loanTerm * 12));
+  const helocMonthlyInterest = useFinancing ? 0 : (helocAmount * helocInterest) / 12;
+  const totalCashDeployed = downPayment + cashInvestment + rehabCost + (useFinancing ? financing.upfrontCosts : 0);
   let row = 5;
 
   // === Section 1: As-Is Rental ===
@@ -1353,6 +1460,16 @@ function generateRentalAnalysis(comps) {
 
   row += asIsData.length + 2;
 
+  if (useRentRoll) {
+    row = writeRentRollSection(sheet, row, rentRoll, {
+      purchasePrice: purchasePrice,
+      monthlyCashFlow: asIsMonthlyCashFlow,
+      unitMix: unitMix,
+      vacancyRate: getField("vacancyRate", 6) / 100,
+      managementRate: includePropertyManagement === "Yes" ? propertyManagementRate : 0
+    });
+  }
+
   // === Section 2: After-Flip (BRRRR) ===
   sheet.getRange(row, 1, 1, 2).merge()
     .setValue("Part 2 – After-Flip (BRRRR)")
@@ -1376,7 +1493,8 @@ function generateRentalAnalysis(comps) {
       }
     }
   }
-  const newRent = rentEstimate * 1.15;
+  // Renovated units lease at market; a single-family rent is bumped 15%
+  const newRent = useRentRoll && rentRoll.marketMonthlyRent > 0 ? rentRoll.marketMonthlyRent : rentEstimate * 1.15;
 
   // BRRRR calculations (after renovation)
   const newGrossIncome = newRent * 12;
@@ -1512,6 +1630,83 @@ function generateRentalAnalysis(comps) {
   PlatformLogger.success("✅ Rental Analysis with enhanced formatting completed.");
 }
 
+/**
+ * Write the rent roll under the as-is rental: one row per unit, totals and,
+ * when the owner lives in a unit, what the house hack costs them
+ * @param {Sheet} sheet - Rental Analysis sheet
+ * @param {number} startRow - First row
+ * @param {Object} rentRoll - buildRentRoll result
+ * @param {Object} deal - { purchasePrice, monthlyCashFlow, unitMix, vacancyRate, managementRate }
+ * @returns {number} Next free row after a blank spacer
+ */
+function writeRentRollSection(sheet, startRow, rentRoll, deal) {
+  let row = startRow;
+  const currency = '"$"#,##0';
+
+  sheet.getRange(row, 1, 1, 7).merge()
+    .setValue(`Rent Roll – ${rentRoll.unitCount} Units (${Math.round(deal.purchasePrice / rentRoll.unitCount).toLocaleString()} per door)`)
+    .setFontWeight("bold")
+    .setFontSize(12)
+    .setBackground("#e8f0fe")
+    .setHorizontalAlignment("left");
+  row++;
+
+  sheet.getRange(row, 1, 1, 7).setValues([["Unit", "Bed/Bath", "Current Rent", "Market Rent", "Vacancy", "Effective Rent", "Lease Ends"]])
+    .setFontWeight("bold")
+    .setBackground("#f3f3f3");
+  row++;
+
+  const rows = rentRoll.units.map(u => [
+    u.ownerOccupied ? `${u.label} (owner)` : u.label,
+    `${u.beds === null ? "-" : u.beds}/${u.baths === null ? "-" : u.baths}`,
+    u.currentRent > 0 ? u.currentRent : "Vacant",
+    u.marketRent,
+    u.vacancyRate,
+    u.effectiveRent,
+    u.leaseEnd || "-"
+  ]);
+  rows.push(["Income Units", "", rentRoll.grossMonthlyRent, rentRoll.marketMonthlyRent, rentRoll.vacancyRate, rentRoll.effectiveMonthlyRent, ""]);
+  sheet.getRange(row, 1, rows.length, 7).setValues(rows);
+  sheet.getRange(row, 3, rows.length, 2).setNumberFormat(currency);
+  sheet.getRange(row, 5, rows.length, 1).setNumberFormat("0.0%");
+  sheet.getRange(row, 6, rows.length, 1).setNumberFormat(currency);
+  sheet.getRange(row + rows.length - 1, 1, 1, 7).setFontWeight("bold");
+  row += rows.length;
+
+  if (rentRoll.lossToLease > 0) {
+    sheet.getRange(row, 1).setValue(`In-place rents are $${Math.round(rentRoll.lossToLease).toLocaleString()}/month below market; ${rentRoll.leasesEndingWithin12Months} lease(s) end within 12 months.`)
+      .setFontStyle("italic")
+      .setFontColor("#666666");
+    row++;
+  }
+
+  if (rentRoll.ownerUnit) {
+    // Once the owner moves out their unit leases at market; management follows the extra income
+    const movedOut = buildRentRoll(deal.unitMix.map(u => (u.ownerOccupied ? Object.assign({}, u, { ownerOccupied: false, currentRent: 0 }) : u)),
+      { vacancyRate: deal.vacancyRate });
+    const extraIncome = movedOut.error ? 0 : movedOut.effectiveMonthlyRent - rentRoll.effectiveMonthlyRent;
+    const netHousingCost = -deal.monthlyCashFlow;
+    const houseHackData = [
+      ["Owner-Occupied Unit", rentRoll.ownerUnit],
+      ["Net Monthly Housing Cost ($)", netHousingCost],
+      ["Savings vs. Renting It ($/month)", rentRoll.ownerUnitMarketRent - netHousingCost],
+      ["Monthly Cash Flow After Moving Out ($)", deal.monthlyCashFlow + extraIncome * (1 - deal.managementRate)]
+    ];
+    row++;
+    sheet.getRange(row, 1, 1, 2).merge()
+      .setValue("House Hack")
+      .setFontWeight("bold")
+      .setBackground("#d4edda");
+    row++;
+    sheet.getRange(row, 1, houseHackData.length, 2).setValues(houseHackData);
+    sheet.getRange(row, 1, houseHackData.length, 1).setFontWeight("bold").setHorizontalAlignment("left");
+    sheet.getRange(row + 1, 2, houseHackData.length - 1, 1).setNumberFormat(currency);
+    row += houseHackData.length;
+  }
+
+  return row + 2;
+}
+
 /**
  * Generate the Scenario Analysis section for a sheet.
  * Dynamically builds a clean, labeled section with proper formatting.
@@ -77,6 +77,52 @@ function checkQuotaAvailable(apiName, period = 'month') {
   return available;
 }
 
+/**
+ * Usage of every data provider this period, as checkQuotaAvailable() sees it.
+ * Providers blocked from their response headers count as used up.
+ * @returns {Object} { providerId: { used, limit, threshold } }
+ */
+function getProviderQuotaUsage() {
+  const quotas = getApiQuotas();
+  const now = new Date();
+
+  return getDataProviders().reduce(function(usage, provider) {
+    const period = provider.quota.period;
+    const periodKey = period === 'month' ? now.toISOString().slice(0, 7) : now.toISOString().slice(0, 10);
+    const prefix = provider.id.toUpperCase();
+    const limit = quotas[`${prefix}_${period.toUpperCase()}_LIMIT`] || provider.quota.limit;
+
+    usage[provider.id] = {
+      used: QuotaManager.isAPIBlocked(provider.id) ? limit : QuotaManager.getUsage(provider.id, periodKey),
+      limit: limit,
+      threshold: quotas[`${prefix}_THRESHOLD`] || 0
+    };
+    return usage;
+  }, {});
+}
+
+/**
+ * Pre-flight API budget for an analysis: the requested mode's planned calls,
+ * or a cheaper mode's when the remaining quota won't cover them
+ * @param {string} analysisMode - Requested mode
+ * @param {Object} data - Analysis input; a user ARV or comps allows falling back to Basic
+ * @returns {Object} resolveAnalysisBudget() result (mode, plan, degraded, refused, message)
+ */
+function resolveRunApiBudget(analysisMode, data) {
+  const fieldMergeCalls = {};
+  Object.keys(ANALYSIS_MODE_CONFIG).forEach(function(mode) {
+    fieldMergeCalls[mode] = ANALYSIS_MODE_CONFIG[mode].fieldMergeCalls || 0;
+  });
+
+  return resolveAnalysisBudget(analysisMode, {
+    primaryAPI: QuotaManager.getPrimaryAPI(),
+    usage: getProviderQuotaUsage(),
+    fieldMergeCalls: fieldMergeCalls,
+    thresholdPercent: getApiQuotas().THRESHOLD_PERCENT,
+    canRunBasic: !!(data.arv || (data.comps && data.comps.length > 0))
+  });
+}
+
 /**
  * Display current API usage from RapidAPI response headers
  * Run this from: REI Tools > Advanced Tools > Check API Usage
@@ -178,6 +224,99 @@ function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000) {
   throw new Error(`Failed after ${maxRetries} attempts: ${lastError}`);
 }
 
+/**
+ * Hand-written fetchers that stand in for a provider's shared-core request
+ * builder while its endpoints are still being discovered (each tries several
+ * endpoint patterns). Anything not listed here goes through the provider's
+ * registry definition in fetchFromProvider().
+ */
+const PROVIDER_FETCHERS = {
+  comps: {
+    'private_zillow': fetchCompsFromPrivateZillow,
+    'us_real_estate': fetchCompsFromUSRealEstate,
+    'redfin': fetchCompsFromRedfin,
+    'gemini': function(data) {
+      const { GEMINI_API_KEY } = getApiKeys();
+      if (!GEMINI_API_KEY) {
+        throw new Error('Gemini API key not configured');
+      }
+      return fetchCompsFromGemini(data, GEMINI_API_KEY);
+    }
+  },
+  propertyDetails: {
+    'private_zillow': function(data) {
+      return fetchPropertyDetailsFromPrivateZillow(data, getApiKeys().RAPIDAPI_KEY);
+    },
+    'redfin': function(data) {
+      return fetchPropertyDetailsFromRedfin(data, getApiKeys().RAPIDAPI_KEY);
+    }
+  }
+};
+
+/**
+ * Fetch one capability from one data provider (shared-core/api/providers.js)
+ * Uses the hand-written fetcher if there is one, otherwise builds the request
+ * from the provider definition and calls it as a RapidAPI endpoint. Either
+ * way the records come back in the capability's schema (normalizeProviderData).
+ *
+ * @param {string} providerId - Provider ID (e.g. 'redfin')
+ * @param {string} capability - comps, propertyDetails, rentComps...
+ * @param {Object} data - Property data (address, city, state, zip, zpid)
+ * @returns {Object|Array|null} Normalized record(s); throws on failure
+ */
+function fetchFromProvider(providerId, capability, data) {
+  const override = PROVIDER_FETCHERS[capability] && PROVIDER_FETCHERS[capability][providerId];
+  if (override) {
+    return normalizeProviderData(capability, override(data), providerId);
+  }
+
+  const provider = getDataProvider(providerId);
+  const request = buildProviderRequest(providerId, capability, data);
+  if (request.error) {
+    throw new Error(request.message);
+  }
+
+  const path = provider.endpointPath(request.endpoint);
+  if (!path) {
+    throw new Error(`${provider.name} has no ${request.endpoint} endpoint configured`);
+  }
+
+  const { RAPIDAPI_KEY } = getApiKeys();
+  if (!RAPIDAPI_KEY) {
+    throw new Error('RAPIDAPI_KEY not configured');
+  }
+
+  const options = {
+    headers: {
+      'X-RapidAPI-Key': RAPIDAPI_KEY,
+      'X-RapidAPI-Host': provider.host
+    }
+  };
+
+  let response;
+  if (request.method === 'POST') {
+    options.payload = JSON.stringify(request.params);
+    response = HttpClient.post(provider.baseUrl + path, options);
+  } else {
+    const query = Object.keys(request.params || {})
+      .filter(function(key) { return request.params[key] !== null && request.params[key] !== undefined; })
+      .map(function(key) { return `${encodeURIComponent(key)}=${encodeURIComponent(request.params[key])}`; })
+      .join('&');
+    response = HttpClient.get(provider.baseUrl + path + (query ? `?${query}` : ''), options);
+  }
+
+  if (!response.success) {
+    throw new Error(`${provider.name} returned HTTP ${response.statusCode}`);
+  }
+
+  const result = request.parser(JSON.parse(response.body));
+  if (result.error) {
+    throw new Error(result.message);
+  }
+
+  return result.data;
+}
+
 /**
  * Fetch comps data using waterfall API strategy with quota management
  * Priority: US Real Estate → Zillow → Gemini → Bridge
@@ -185,6 +324,7 @@ function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000) {
  * UPDATED: Phase 1.4 - Now uses AI-matched similar homes (propertyComps & similarHomes)
  * UPDATED: Phase 2.5 - Added analysisMode parameter for mode-based conditional logic
  * MIGRATED: Phase 0.6 - Now uses CacheManager, QuotaManager, and PlatformLogger
+ * UPDATED: Gaps left by the first provider are filled from the next ones (fillMissingCompFields)
  *
  * @param {Object} data - Property data including address, city, state, zip, zpid (optional)
  * @param {boolean} forceRefresh - If true, bypass cache and fetch fresh data
@@ -218,70 +358,34 @@ function fetchCompsData(data, forceRefresh = false, analysisMode = null) {
 
   PlatformLogger.info(`🎯 Primary API: ${primaryAPI} | Available APIs: ${apiCallOrder.join(' → ')}`);
 
-  // API fetch functions map
-  const apiFetchFunctions = {
-    'private_zillow': {
-      name: 'Private Zillow',
-      icon: '🏠',
-      quota: '250/month',
-      period: 'month',
-      fetch: fetchCompsFromPrivateZillow
-    },
-    'us_real_estate': {
-      name: 'US Real Estate',
-      icon: '🏘️',
-      quota: '300/month',
-      period: 'month',
-      fetch: fetchCompsFromUSRealEstate
-    },
-    'redfin': {
-      name: 'Redfin',
-      icon: '🏡',
-      quota: '111/month',
-      period: 'month',
-      fetch: fetchCompsFromRedfin
-    },
-    'gemini': {
-      name: 'Gemini AI',
-      icon: '🤖',
-      quota: '1500/day',
-      period: 'day',
-      fetch: function(data) {
-        const { GEMINI_API_KEY } = getApiKeys();
-        if (!GEMINI_API_KEY) {
-          throw new Error('Gemini API key not configured');
-        }
-        return fetchCompsFromGemini(data, GEMINI_API_KEY);
-      }
-    }
-  };
-
-  // Try each API in order
+  // Try each provider that can supply comps, in order
   for (var i = 0; i < apiCallOrder.length; i++) {
     var apiName = apiCallOrder[i];
-    var apiConfig = apiFetchFunctions[apiName];
+    var provider = getDataProvider(apiName);
 
-    if (!apiConfig) continue;
+    if (!provider || !providerSupports(apiName, 'comps')) continue;
 
     // Check quota availability
-    if (!checkQuotaAvailable(apiName, apiConfig.period)) {
-      PlatformLogger.warn(`${apiConfig.icon} ${apiConfig.name} quota exceeded, skipping`);
+    if (!checkQuotaAvailable(apiName, provider.quota.period)) {
+      PlatformLogger.warn(`${provider.icon} ${provider.name} quota exceeded, skipping`);
       continue;
     }
 
     try {
       var priorityLabel = (i === 0 && primaryAPI !== 'auto') ? 'Primary' : `Priority ${i + 1}`;
-      PlatformLogger.info(`${apiConfig.icon} ${priorityLabel}: Trying ${apiConfig.name} for comps (${apiConfig.quota})...`);
+      PlatformLogger.info(`${provider.icon} ${priorityLabel}: Trying ${provider.name} for comps (${provider.quota.limit}/${provider.quota.period})...`);
 
-      comps = retryWithBackoff(function() { return apiConfig.fetch(data); });
+      comps = retryWithBackoff(function() { return fetchFromProvider(apiName, 'comps', data); });
 
       if (comps && comps.length > 0) {
-        PlatformLogger.success(`✅ ${apiConfig.name} SUCCESS: ${comps.length} comps`);
+        PlatformLogger.success(`✅ ${provider.name} SUCCESS: ${comps.length} comps`);
         trackAPIUsage(apiName, true);
-        return comps;
+        // Canonical comp fields, each comp stamped with where and when it was fetched
+        comps = comps.map(function(comp) { return normalizeCompRecord(comp, apiName); });
+        return fillMissingCompFields(comps, data, apiCallOrder.slice(i + 1), getAnalysisModeConfig(mode).fieldMergeCalls || 0);
       }
     } catch (err) {
-      PlatformLogger.warn(`${apiConfig.name} comps failed: ${err.message}`);
+      PlatformLogger.warn(`${provider.name} comps failed: ${err.message}`);
       trackAPIUsage(apiName, false);
     }
   }
@@ -292,6 +396,52 @@ function fetchCompsData(data, forceRefresh = false, analysisMode = null) {
   return [];
 }
 
+/**
+ * Ask the next comp providers for fields the comps are still missing
+ * (sqft, year built...) and cross-check the values they agree on. Only
+ * listings of the same sales are used - the comp set itself doesn't change.
+ *
+ * @param {Array} comps - Canonical comps from the first provider that answered
+ * @param {Object} data - Property data passed to fetchCompsData
+ * @param {Array<string>} remainingAPIs - Providers after that one, in call order
+ * @param {number} budget - Extra provider calls allowed
+ * @returns {Array} Comps with gaps filled; disagreements recorded on each comp's conflicts
+ */
+function fillMissingCompFields(comps, data, remainingAPIs, budget) {
+  let merged = comps;
+  let callsLeft = budget;
+
+  for (var i = 0; i < remainingAPIs.length && callsLeft > 0; i++) {
+    var missing = missingCompFields(merged);
+    if (missing.length === 0) break;
+
+    var apiName = remainingAPIs[i];
+    var provider = getDataProvider(apiName);
+    if (!provider || !providerSupports(apiName, 'comps')) continue;
+    if (getSourceConfidence(apiName) < MIN_MERGE_CONFIDENCE) continue;
+    if (!checkQuotaAvailable(apiName, provider.quota.period)) continue;
+
+    callsLeft--;
+    try {
+      PlatformLogger.info(`${provider.icon} Asking ${provider.name} for missing comp fields: ${missing.join(', ')}`);
+      var extra = fetchFromProvider(apiName, 'comps', data) || [];
+      trackAPIUsage(apiName, true);
+      merged = mergeCompRecords(merged, extra.map(function(comp) { return normalizeCompRecord(comp, apiName); }));
+    } catch (err) {
+      PlatformLogger.warn(`${provider.name} comps failed: ${err.message}`);
+      trackAPIUsage(apiName, false);
+    }
+  }
+
+  merged.forEach(function(comp) {
+    (comp.conflicts || []).forEach(function(conflict) {
+      PlatformLogger.warn(`⚠️ Sources disagree on ${comp.address} ${conflict.label}: ${conflict.values.map(function(entry) { return `${entry.source} ${entry.value}`; }).join(' vs ')}`);
+    });
+  });
+
+  return merged;
+}
+
 /**
  * Fetch comps from Private Zillow API
  * NOTE: Will try multiple endpoint patterns to find working one
@@ -554,10 +704,15 @@ function fetchCompsFromOpenAI(data, OPENAI_API_KEY) {
 
 /**
  * Fetch property details (beds, baths, sqft) with API priority fallback
- * Priority: Private Zillow → US Real Estate → Redfin → Defaults
+ * Priority: providers with the propertyDetails capability, in call order → Defaults
  * UPDATED: Correct API priority (zillow-com1 NO LONGER EXISTS)
+ * UPDATED: Field-level merge - later providers fill what earlier ones left out
+ *
+ * @param {Object} data - Property data including address, city, state, zip
+ * @param {string} analysisMode - Analysis mode (BASIC, STANDARD, DEEP) - sets the extra-call budget
+ * @returns {Object} Details plus sources, propertyRecord (per-field provenance) and conflicts
  */
-function fetchPropertyDetails(data) {
+function fetchPropertyDetails(data, analysisMode = null) {
   PlatformLogger.info(`🏠 Fetching property details for: ${data.address}, ${data.city}, ${data.state}`);
 
   // If user provided property details in Basic Mode, use those
@@ -570,7 +725,8 @@ function fetchPropertyDetails(data) {
       yearBuilt: data.yearBuilt || null,
       lotSize: data.lotSize || null,
       propertyType: data.propertyType || 'Single Family',
-      zpid: null
+      zpid: null,
+      dataSource: 'user'
     };
   }
 
@@ -580,59 +736,80 @@ function fetchPropertyDetails(data) {
     return getDefaultPropertyDetails();
   }
 
-  // Priority 1: Try Private Zillow
-  try {
-    if (checkQuotaAvailable('private_zillow', 'month')) {
-      PlatformLogger.info("📍 Priority 1: Trying Private Zillow for property details...");
-      const details = fetchPropertyDetailsFromPrivateZillow(data, RAPIDAPI_KEY);
-      if (details) {
-        PlatformLogger.success("✅ Got property details from Private Zillow");
-        trackAPIUsage('private_zillow', true);
-        return details;
+  // Ask each provider that can supply property details, in order. Once one
+  // answers, the rest are only asked for fields still missing, within the
+  // analysis mode's budget of extra calls.
+  const mode = analysisMode || getAnalysisMode();
+  let extraCalls = getAnalysisModeConfig(mode).fieldMergeCalls || 0;
+  const apiCallOrder = QuotaManager.getAPICallOrder().filter(function(apiName) {
+    return providerSupports(apiName, 'propertyDetails');
+  });
+  const fetched = [];
+  const records = [];
+  const sources = [];
+
+  for (var i = 0; i < apiCallOrder.length; i++) {
+    var apiName = apiCallOrder[i];
+    var provider = getDataProvider(apiName);
+
+    if (records.length > 0) {
+      var missing = missingRecordFields(mergePropertyRecords(records));
+      if (missing.length === 0) break;
+      if (extraCalls <= 0) {
+        PlatformLogger.info(`⏭️ Field merge budget spent, leaving ${missing.join(', ')} unfilled`);
+        break;
       }
+      if (getSourceConfidence(apiName) < MIN_MERGE_CONFIDENCE) continue;
     }
-  } catch (e) {
-    PlatformLogger.warn(`Private Zillow property details failed: ${e.message}`);
-    trackAPIUsage('private_zillow', false);
-  }
 
-  // Priority 2: Try US Real Estate
-  try {
-    if (checkQuotaAvailable('us_real_estate', 'month')) {
-      PlatformLogger.info("🔑 Priority 2: Trying US Real Estate for property details...");
-      const details = fetchPropertyDetailsFromUSRealEstate(data, RAPIDAPI_KEY);
-      if (details) {
-        PlatformLogger.success("✅ Got property details from US Real Estate");
-        trackAPIUsage('us_real_estate', true);
-        return details;
+    try {
+      if (checkQuotaAvailable(apiName, provider.quota.period)) {
+        if (records.length > 0) {
+          extraCalls--;
+          PlatformLogger.info(`${provider.icon} Asking ${provider.name} for missing fields: ${missingRecordFields(mergePropertyRecords(records)).join(', ')}`);
+        } else {
+          PlatformLogger.info(`${provider.icon} Priority ${i + 1}: Trying ${provider.name} for property details...`);
+        }
+
+        const details = fetchFromProvider(apiName, 'propertyDetails', data);
+        if (details && (details.beds || details.sqft)) {
+          PlatformLogger.success(`✅ Got property details from ${provider.name}`);
+          trackAPIUsage(apiName, true);
+          fetched.push(details);
+          records.push(normalizePropertyRecord(details, apiName));
+          sources.push(apiName);
+        }
       }
+    } catch (e) {
+      PlatformLogger.warn(`${provider.name} property details failed: ${e.message}`);
+      trackAPIUsage(apiName, false);
     }
-  } catch (e) {
-    PlatformLogger.warn(`US Real Estate property details failed: ${e.message}`);
-    trackAPIUsage('us_real_estate', false);
   }
 
-  // Priority 3: Try Redfin
-  try {
-    if (checkQuotaAvailable('redfin', 'month')) {
-      PlatformLogger.info("🏘️ Priority 3: Trying Redfin for property details...");
-      const details = fetchPropertyDetailsFromRedfin(data, RAPIDAPI_KEY);
-      if (details) {
-        PlatformLogger.success("✅ Got property details from Redfin");
-        trackAPIUsage('redfin', true);
-        return details;
-      }
-    }
-  } catch (e) {
-    PlatformLogger.warn(`Redfin property details failed: ${e.message}`);
-    trackAPIUsage('redfin', false);
+  if (records.length === 0) {
+    // Fallback to defaults with helpful message
+    PlatformLogger.warn("⚠️ All property details APIs failed, using defaults");
+    PlatformLogger.warn("💡 For accurate details, use Basic Mode and enter property info manually");
+    return getDefaultPropertyDetails();
   }
 
-  // Fallback to defaults with helpful message
-  PlatformLogger.warn("⚠️ All property details APIs failed, using defaults");
-  PlatformLogger.warn("💡 For accurate details, use Basic Mode and enter property info manually");
+  // Field-by-field merge; defaults only fill what no provider returned
+  const conflicts = findRecordConflicts(records);
+  const merged = mergePropertyRecords(records.concat([normalizePropertyRecord(getDefaultPropertyDetails(), 'default')]));
+  const details = Object.assign({}, getDefaultPropertyDetails(), fetched[0]);
+  DETAIL_MERGE_FIELDS.concat(['zpid']).forEach(function(field) {
+    if (merged.values[field] !== undefined) details[field] = merged.values[field];
+  });
+
+  conflicts.forEach(function(conflict) {
+    PlatformLogger.warn(`⚠️ Sources disagree on ${conflict.label}: ${conflict.values.map(function(entry) { return `${entry.source} ${entry.value}`; }).join(' vs ')}`);
+  });
 
-  return getDefaultPropertyDetails();
+  details.dataSource = sources[0];
+  details.sources = sources;
+  details.propertyRecord = merged;
+  details.conflicts = conflicts;
+  return details;
 }
 
 /**
@@ -668,12 +845,12 @@ function fetchPropertyDetailsFromPrivateZillow(data, apiKey) {
         // Private Zillow may have different field names
         if (json.bedrooms || json.beds || json.livingArea || json.sqft) {
           return {
-        beds: json.bedrooms || json.beds || 3,
-        baths: json.bathrooms || json.baths || 2,
-        sqft: json.livingArea || json.sqft || 1500,
+        beds: json.bedrooms || json.beds || null,
+        baths: json.bathrooms || json.baths || null,
+        sqft: json.livingArea || json.sqft || null,
         yearBuilt: json.yearBuilt || null,
         lotSize: json.lotSize || null,
-        propertyType: json.propertyType || json.homeType || 'Single Family',
+        propertyType: json.propertyType || json.homeType || null,
             zpid: json.zpid || null
           };
         }
@@ -719,12 +896,12 @@ function fetchPropertyDetailsFromRedfin(data, apiKey) {
         // Redfin may have different field names
         if (json.beds || json.bedrooms || json.sqft || json.livingArea) {
           return {
-            beds: json.beds || json.bedrooms || 3,
-            baths: json.baths || json.bathrooms || 2,
-            sqft: json.sqft || json.livingArea || 1500,
+            beds: json.beds || json.bedrooms || null,
+            baths: json.baths || json.bathrooms || null,
+            sqft: json.sqft || json.livingArea || null,
             yearBuilt: json.yearBuilt || json.year_built || null,
             lotSize: json.lotSize || json.lot_size || null,
-            propertyType: json.propertyType || json.homeType || 'Single Family',
+            propertyType: json.propertyType || json.homeType || null,
             zpid: null
           };
         }
@@ -748,7 +925,8 @@ function getDefaultPropertyDetails() {
     yearBuilt: null,
     lotSize: null,
     propertyType: 'Single Family',
-    zpid: null
+    zpid: null,
+    dataSource: 'default'
   };
 }
 
@@ -341,6 +341,7 @@ const ANALYSIS_MODE_CONFIG = {
     name: 'Basic Mode',
     description: 'User provides property details and comps. Minimal API usage.',
     maxApiCalls: 1,
+    fieldMergeCalls: 0, // Extra provider calls per fetch to fill fields the first source left out
     features: {
       userProvidedData: true,
       propertyDetails: false,
@@ -358,6 +359,7 @@ const ANALYSIS_MODE_CONFIG = {
     name: 'Standard Mode',
     description: 'Fetch property details and comps automatically. Moderate API usage.',
     maxApiCalls: 4,
+    fieldMergeCalls: 1,
     features: {
       userProvidedData: false,
       propertyDetails: true,    // 1 API call
@@ -375,6 +377,7 @@ const ANALYSIS_MODE_CONFIG = {
     name: 'Deep Mode',
     description: 'Full automation with historical validation and market analysis. Maximum API usage.',
     maxApiCalls: 12,
+    fieldMergeCalls: 2,
     features: {
       userProvidedData: false,
       propertyDetails: true,        // 1 API call
@@ -484,6 +487,550 @@ function isFeatureEnabled(featureName, mode = null) {
   return config.features[featureName] || false;
 }
 
+// ============================================================================
+// SCORING PROFILES
+// ============================================================================
+
+/**
+ * Scoring profiles (weights, thresholds and recommendation bands) come from
+ * shared-core/calculations/scoring.js. A user's own profiles are stored in
+ * User Properties so they follow them to every spreadsheet; the profile each
+ * analysis spreadsheet is scored with is stored in its Document Properties,
+ * like the analysis mode.
+ */
+
+/**
+ * Get the current user's saved scoring profiles
+ *
+ * @returns {Array<Object>} User-defined profiles (built-in presets excluded)
+ */
+function getUserScoringProfiles() {
+  try {
+    const userProps = PropertiesService.getUserProperties();
+    const stored = userProps.getProperty('SCORING_PROFILES');
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    Logger.log(`⚠️ Error reading scoring profiles: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get every profile the user can choose: built-in presets, then their own
+ *
+ * @returns {Array<Object>} Complete scoring profiles
+ */
+function getAllScoringProfiles() {
+  return PRESET_SCORING_PROFILES.concat(getUserScoringProfiles().map(resolveScoringProfile));
+}
+
+/**
+ * Get a scoring profile by id
+ * Falls back to the default profile when the id is unknown (e.g. deleted)
+ *
+ * @param {string} profileId - Profile id (optional, defaults to this spreadsheet's profile)
+ * @returns {Object} Scoring profile
+ */
+function getScoringProfile(profileId = null) {
+  const targetId = profileId || getActiveScoringProfileId();
+  return getAllScoringProfiles().find(profile => profile.id === targetId) || DEFAULT_SCORING_PROFILE;
+}
+
+/**
+ * Create or replace one of the current user's scoring profiles
+ *
+ * @param {Object} profile - Profile to save; a new id is assigned when it has none
+ * @returns {Object} { success: boolean, errors: Array, profile: Object|null }
+ */
+function saveUserScoringProfile(profile) {
+  const validation = validateScoringProfile(profile);
+  if (!validation.valid) {
+    return { success: false, errors: validation.errors, profile: null };
+  }
+  if (PRESET_SCORING_PROFILES.some(preset => preset.id === profile.id)) {
+    return { success: false, errors: ['Built-in profiles cannot be changed; save a copy instead'], profile: null };
+  }
+
+  try {
+    const saved = resolveScoringProfile({
+      ...profile,
+      id: profile.id || `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      name: profile.name.trim()
+    });
+    const profiles = getUserScoringProfiles().filter(existing => existing.id !== saved.id);
+    profiles.push(saved);
+
+    PropertiesService.getUserProperties().setProperty('SCORING_PROFILES', JSON.stringify(profiles));
+
+    Logger.log(`✅ Scoring profile saved: ${saved.name}`);
+    return { success: true, errors: [], profile: saved };
+  } catch (error) {
+    Logger.log(`❌ Error saving scoring profile: ${error.message}`);
+    return { success: false, errors: [error.message], profile: null };
+  }
+}
+
+/**
+ * Delete one of the current user's scoring profiles
+ *
+ * @param {string} profileId - Profile id
+ * @returns {boolean} Success status
+ */
+function deleteUserScoringProfile(profileId) {
+  try {
+    const profiles = getUserScoringProfiles().filter(profile => profile.id !== profileId);
+    PropertiesService.getUserProperties().setProperty('SCORING_PROFILES', JSON.stringify(profiles));
+
+    Logger.log(`✅ Scoring profile deleted: ${profileId}`);
+    return true;
+  } catch (error) {
+    Logger.log(`❌ Error deleting scoring profile: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get the id of the profile this spreadsheet's analysis is scored with
+ *
+ * @returns {string} Profile id (defaults to the built-in default profile)
+ */
+function getActiveScoringProfileId() {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    return docProps.getProperty('SCORING_PROFILE_ID') || DEFAULT_SCORING_PROFILE.id;
+  } catch (error) {
+    Logger.log(`⚠️ Error getting scoring profile: ${error.message}`);
+    return DEFAULT_SCORING_PROFILE.id;
+  }
+}
+
+/**
+ * Set the profile this spreadsheet's analysis is scored with
+ *
+ * @param {string} profileId - Profile id
+ * @returns {boolean} Success status
+ */
+function setActiveScoringProfileId(profileId) {
+  try {
+    if (!getAllScoringProfiles().some(profile => profile.id === profileId)) {
+      Logger.log(`❌ Unknown scoring profile: ${profileId}`);
+      return false;
+    }
+
+    const docProps = PropertiesService.getDocumentProperties();
+    docProps.setProperty('SCORING_PROFILE_ID', profileId);
+
+    Logger.log(`✅ Scoring profile set to: ${profileId}`);
+    return true;
+  } catch (error) {
+    Logger.log(`❌ Error setting scoring profile: ${error.message}`);
+    return false;
+  }
+}
+
+// ============================================================================
+// FINANCING PLAN
+// ============================================================================
+
+/**
+ * The loans funding this spreadsheet's deal (see LOAN_TYPES in
+ * shared-core/calculations/financing.js). Stored in Document Properties with
+ * the rest of the per-deal settings. When no plan is saved, the analysis falls
+ * back to the Inputs sheet's fixed mortgage and HELOC.
+ */
+
+/**
+ * Get the financing plan saved for this spreadsheet
+ *
+ * @returns {Array<Object>|null} Loan terms, or null for the default mortgage
+ */
+function getFinancingPlan() {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    const stored = docProps.getProperty('FINANCING_PLAN');
+    const loans = stored ? JSON.parse(stored) : null;
+    return Array.isArray(loans) && loans.length > 0 ? loans : null;
+  } catch (error) {
+    Logger.log(`⚠️ Error reading financing plan: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save (or clear) the financing plan for this spreadsheet
+ *
+ * @param {Array<Object>|null} loans - Loan terms; empty or null restores the default mortgage
+ * @returns {Object} { success: boolean, errors: Array }
+ */
+function saveFinancingPlan(loans) {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    if (!Array.isArray(loans) || loans.length === 0) {
+      docProps.deleteProperty('FINANCING_PLAN');
+      Logger.log('✅ Financing plan cleared');
+      return { success: true, errors: [] };
+    }
+
+    const errors = loans.reduce((all, loan) => all.concat(validateLoan(loan).errors), []);
+    if (errors.length > 0) {
+      return { success: false, errors: errors };
+    }
+
+    docProps.setProperty('FINANCING_PLAN', JSON.stringify(loans));
+    Logger.log(`✅ Financing plan saved: ${loans.map(loan => loan.name).join(' + ')}`);
+    return { success: true, errors: [] };
+  } catch (error) {
+    Logger.log(`❌ Error saving financing plan: ${error.message}`);
+    return { success: false, errors: [error.message] };
+  }
+}
+
+// ============================================================================
+// AMORTIZATION OPTIONS
+// ============================================================================
+
+/**
+ * How the borrower plans to pay down this deal's loan: extra monthly
+ * principal, a one-time lump sum (optionally followed by a recast) and
+ * biweekly payments. Turned into engine options by createAmortizationOptions
+ * in shared-core/calculations/amortization.js.
+ */
+
+/**
+ * Get the amortization options saved for this spreadsheet
+ *
+ * @returns {Object|null} { extraMonthly, lumpSum, lumpSumMonth, recastAfterLumpSum, biweekly }, or null to pay as agreed
+ */
+function getAmortizationOptions() {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    const stored = docProps.getProperty('AMORTIZATION_OPTIONS');
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    Logger.log(`⚠️ Error reading amortization options: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save (or clear) the amortization options for this spreadsheet
+ *
+ * @param {Object|null} settings - Options; null or nothing extra restores the standard schedule
+ * @returns {Object} { success: boolean, errors: Array }
+ */
+function saveAmortizationOptions(settings) {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    const hasOptions = settings && (settings.extraMonthly > 0 || settings.lumpSum > 0 || settings.biweekly);
+    if (!hasOptions) {
+      docProps.deleteProperty('AMORTIZATION_OPTIONS');
+      return { success: true, errors: [] };
+    }
+
+    const errors = [];
+    if (settings.extraMonthly < 0 || settings.lumpSum < 0) {
+      errors.push('Extra payments cannot be negative');
+    }
+    if (settings.lumpSum > 0 && settings.lumpSumMonth !== null && settings.lumpSumMonth !== undefined && !(settings.lumpSumMonth >= 1)) {
+      errors.push('Lump sum month must be at least 1');
+    }
+    if (errors.length > 0) {
+      return { success: false, errors: errors };
+    }
+
+    docProps.setProperty('AMORTIZATION_OPTIONS', JSON.stringify({
+      extraMonthly: settings.extraMonthly || 0,
+      lumpSum: settings.lumpSum || 0,
+      lumpSumMonth: settings.lumpSumMonth || 12,
+      recastAfterLumpSum: !!settings.recastAfterLumpSum,
+      biweekly: !!settings.biweekly
+    }));
+    Logger.log('✅ Amortization options saved');
+    return { success: true, errors: [] };
+  } catch (error) {
+    Logger.log(`❌ Error saving amortization options: ${error.message}`);
+    return { success: false, errors: [error.message] };
+  }
+}
+
+// ============================================================================
+// TAX PROFILE
+// ============================================================================
+
+/**
+ * The investor's tax situation for this deal: filing status, other income,
+ * land split, cost segregation, bonus depreciation and holding period.
+ * Shares are stored as decimals; see DEFAULT_TAX_PROFILE in
+ * shared-core/calculations/tax.js for the fields.
+ */
+
+/**
+ * Get the tax profile saved for this spreadsheet
+ *
+ * @returns {Object|null} Partial tax profile, or null to use the defaults
+ */
+function getTaxProfile() {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    const stored = docProps.getProperty('TAX_PROFILE');
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    Logger.log(`⚠️ Error reading tax profile: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save (or clear) the tax profile for this spreadsheet
+ *
+ * @param {Object|null} profile - Partial tax profile (decimals); null restores the defaults
+ * @returns {Object} { success: boolean, errors: Array }
+ */
+function saveTaxProfile(profile) {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    if (!profile) {
+      docProps.deleteProperty('TAX_PROFILE');
+      return { success: true, errors: [] };
+    }
+
+    const validation = validateTaxProfile(resolveTaxProfile(profile));
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    docProps.setProperty('TAX_PROFILE', JSON.stringify(profile));
+    Logger.log('✅ Tax profile saved');
+    return { success: true, errors: [] };
+  } catch (error) {
+    Logger.log(`❌ Error saving tax profile: ${error.message}`);
+    return { success: false, errors: [error.message] };
+  }
+}
+
+// ============================================================================
+// SHORT-TERM RENTAL
+// ============================================================================
+
+/**
+ * Short-term rental assumptions for this deal: nightly rate, seasonality,
+ * cleaning, platform and management fees, occupancy tax and furnishing.
+ * Rates are stored as decimals; see DEFAULT_STR_ASSUMPTIONS in
+ * shared-core/calculations/str.js. Nothing is saved when the sidebar has no
+ * nightly rate, and the STR sheet and score are skipped.
+ */
+
+/**
+ * Get the short-term rental assumptions saved for this spreadsheet
+ *
+ * @returns {Object|null} Partial assumptions, or null when the deal is not analyzed as a short-term rental
+ */
+function getSTRSettings() {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    const stored = docProps.getProperty('STR_SETTINGS');
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    Logger.log(`⚠️ Error reading short-term rental settings: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save (or clear) the short-term rental assumptions for this spreadsheet
+ *
+ * @param {Object|null} settings - Partial assumptions (decimals); null turns the analysis off
+ * @returns {Object} { success: boolean, errors: Array }
+ */
+function saveSTRSettings(settings) {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    if (!settings) {
+      docProps.deleteProperty('STR_SETTINGS');
+      return { success: true, errors: [] };
+    }
+
+    const validation = validateSTRAssumptions(resolveSTRAssumptions(settings));
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    docProps.setProperty('STR_SETTINGS', JSON.stringify(settings));
+    Logger.log('✅ Short-term rental settings saved');
+    return { success: true, errors: [] };
+  } catch (error) {
+    Logger.log(`❌ Error saving short-term rental settings: ${error.message}`);
+    return { success: false, errors: [error.message] };
+  }
+}
+
+// ============================================================================
+// UNIT MIX
+// ============================================================================
+
+/**
+ * Units for duplexes through fourplexes: beds, baths, current and market
+ * rent, lease end, vacancy (decimal) and the owner-occupied unit when the
+ * deal is a house hack. See buildRentRoll in shared-core/calculations/rentRoll.js.
+ * Nothing is saved for a single-family deal, and the rent estimate on the
+ * Inputs sheet applies.
+ */
+
+/**
+ * Get the unit mix saved for this spreadsheet
+ *
+ * @returns {Array|null} RentalUnit objects, or null for a single-unit property
+ */
+function getUnitMix() {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    const stored = docProps.getProperty('UNIT_MIX');
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    Logger.log(`⚠️ Error reading unit mix: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save (or clear) the unit mix for this spreadsheet
+ *
+ * @param {Array|null} units - RentalUnit objects (vacancy as decimals); null or empty goes back to one rent estimate
+ * @returns {Object} { success: boolean, errors: Array }
+ */
+function saveUnitMix(units) {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    if (!units || units.length === 0) {
+      docProps.deleteProperty('UNIT_MIX');
+      return { success: true, errors: [] };
+    }
+
+    const validation = validateUnitMix(units);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    docProps.setProperty('UNIT_MIX', JSON.stringify(units));
+    Logger.log(`✅ Unit mix saved (${units.length} units)`);
+    return { success: true, errors: [] };
+  } catch (error) {
+    Logger.log(`❌ Error saving unit mix: ${error.message}`);
+    return { success: false, errors: [error.message] };
+  }
+}
+
+// ============================================================================
+// PRO FORMA
+// ============================================================================
+
+/**
+ * Hold-period assumptions for the multi-year pro forma: rent and expense
+ * growth, appreciation, capex reserve and scheduled replacements, an
+ * optional refinance year, and the exit cap rate and selling costs.
+ * Rates are stored as decimals; see DEFAULT_PROFORMA_ASSUMPTIONS in
+ * shared-core/calculations/proforma.js.
+ */
+
+/**
+ * Get the pro forma assumptions saved for this spreadsheet
+ *
+ * @returns {Object|null} Partial assumptions, or null to use the defaults
+ */
+function getProFormaAssumptions() {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    const stored = docProps.getProperty('PROFORMA_ASSUMPTIONS');
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    Logger.log(`⚠️ Error reading pro forma assumptions: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save (or clear) the pro forma assumptions for this spreadsheet
+ *
+ * @param {Object|null} assumptions - Partial assumptions (decimals); null restores the defaults
+ * @returns {Object} { success: boolean, errors: Array }
+ */
+function saveProFormaAssumptions(assumptions) {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    if (!assumptions) {
+      docProps.deleteProperty('PROFORMA_ASSUMPTIONS');
+      return { success: true, errors: [] };
+    }
+
+    const validation = validateProFormaAssumptions(resolveProFormaAssumptions(assumptions));
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    docProps.setProperty('PROFORMA_ASSUMPTIONS', JSON.stringify(assumptions));
+    Logger.log('✅ Pro forma assumptions saved');
+    return { success: true, errors: [] };
+  } catch (error) {
+    Logger.log(`❌ Error saving pro forma assumptions: ${error.message}`);
+    return { success: false, errors: [error.message] };
+  }
+}
+
+// ============================================================================
+// REHAB SCOPE OF WORK
+// ============================================================================
+
+/**
+ * Line-item rehab budget: catalog items with quantities, a finish level and
+ * an optional contingency (decimal). When saved, its total budget replaces
+ * the Rehab Cost input; see estimateRehab in
+ * shared-core/calculations/rehab.js.
+ */
+
+/**
+ * Get the scope of work saved for this spreadsheet
+ *
+ * @returns {Object|null} RehabScope, or null to use the Rehab Cost input
+ */
+function getRehabScope() {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    const stored = docProps.getProperty('REHAB_SCOPE');
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    Logger.log(`⚠️ Error reading rehab scope: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save (or clear) the scope of work for this spreadsheet
+ *
+ * @param {Object|null} scope - RehabScope; null or no items goes back to the Rehab Cost input
+ * @returns {Object} { success: boolean, errors: Array }
+ */
+function saveRehabScope(scope) {
+  try {
+    const docProps = PropertiesService.getDocumentProperties();
+    if (!scope || !scope.items || scope.items.length === 0) {
+      docProps.deleteProperty('REHAB_SCOPE');
+      return { success: true, errors: [] };
+    }
+
+    const validation = validateRehabScope(scope);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    docProps.setProperty('REHAB_SCOPE', JSON.stringify(scope));
+    Logger.log(`✅ Rehab scope saved (${scope.items.length} line items)`);
+    return { success: true, errors: [] };
+  } catch (error) {
+    Logger.log(`❌ Error saving rehab scope: ${error.message}`);
+    return { success: false, errors: [error.message] };
+  }
+}
+
 // ============================================================================
 // EXPORTS - Make functions available globally
 // ============================================================================
@@ -512,4 +1059,41 @@ if (typeof global !== 'undefined') {
   global.isValidAnalysisMode = isValidAnalysisMode;
   global.getAllAnalysisModes = getAllAnalysisModes;
   global.isFeatureEnabled = isFeatureEnabled;
+
+  // Scoring profile exports
+  global.getUserScoringProfiles = getUserScoringProfiles;
+  global.getAllScoringProfiles = getAllScoringProfiles;
+  global.getScoringProfile = getScoringProfile;
+  global.saveUserScoringProfile = saveUserScoringProfile;
+  global.deleteUserScoringProfile = deleteUserScoringProfile;
+  global.getActiveScoringProfileId = getActiveScoringProfileId;
+  global.setActiveScoringProfileId = setActiveScoringProfileId;
+
+  // Financing plan exports
+  global.getFinancingPlan = getFinancingPlan;
+  global.saveFinancingPlan = saveFinancingPlan;
+
+  // Amortization options exports
+  global.getAmortizationOptions = getAmortizationOptions;
+  global.saveAmortizationOptions = saveAmortizationOptions;
+
+  // Tax profile exports
+  global.getTaxProfile = getTaxProfile;
+  global.saveTaxProfile = saveTaxProfile;
+
+  // Short-term rental exports
+  global.getSTRSettings = getSTRSettings;
+  global.saveSTRSettings = saveSTRSettings;
+
+  // Unit mix exports
+  global.getUnitMix = getUnitMix;
+  global.saveUnitMix = saveUnitMix;
+
+  // Pro forma exports
+  global.getProFormaAssumptions = getProFormaAssumptions;
+  global.saveProFormaAssumptions = saveProFormaAssumptions;
+
+  // Rehab scope exports
+  global.getRehabScope = getRehabScope;
+  global.saveRehabScope = saveRehabScope;
 }
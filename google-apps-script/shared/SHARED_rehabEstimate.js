@@ -0,0 +1,80 @@
+/**
+ * ===============================
+ * REHAB SCOPE OF WORK
+ * ===============================
+ *
+ * Prices the scope of work saved from the sidebar (see getRehabScope in
+ * SHARED_config.js) with estimateRehab in shared-core/calculations/rehab.js:
+ * catalog line items at the chosen finish level, scaled for the property's
+ * state, plus a contingency that follows the scope and the home's age.
+ * The Flip Analysis sheet uses the estimate in place of the Rehab Cost
+ * input and its flat 10% contingency.
+ */
+
+/**
+ * Estimate the saved scope of work for the property on the Inputs sheet
+ * @returns {Object|null} estimateRehab result, or null when no scope is saved or it can't be priced
+ */
+function buildRehabEstimate() {
+  const scope = getRehabScope();
+  if (!scope) return null;
+
+  // The contingency for the home's age was fixed when the sidebar saved the scope
+  const estimate = estimateRehab(scope, { state: getField("state", "") });
+
+  if (estimate.error) {
+    Logger.log(`⚠️ Rehab scope of work ignored: ${estimate.message}`);
+    return null;
+  }
+  return estimate;
+}
+
+/**
+ * Write the scope of work by trade, then each line item
+ * @param {Sheet} sheet - Target sheet
+ * @param {number} row - First row
+ * @param {Object} estimate - estimateRehab result
+ * @returns {number} Next free row after a blank spacer
+ */
+function writeRehabScopeSection(sheet, row, estimate) {
+  sheet.getRange(row, 1, 1, 5).merge()
+    .setValue(`Scope of Work (${estimate.lines.length} items, ~${estimate.estimatedDays} working days)`)
+    .setFontWeight("bold")
+    .setFontSize(12)
+    .setBackground("#e8f0fe")
+    .setHorizontalAlignment("left");
+  row++;
+
+  const tradeRows = estimate.trades.map(t => [t.label, t.cost, t.contingency, t.total, t.days]);
+  tradeRows.push([
+    estimate.costFactor !== 1 ? `Total (${estimate.state} cost factor ${estimate.costFactor})` : "Total",
+    estimate.subtotal,
+    estimate.contingency,
+    estimate.totalBudget,
+    estimate.estimatedDays
+  ]);
+  sheet.getRange(row, 1, 1, 5)
+    .setValues([["Trade", "Line Items", "Contingency", "Budget", "Days"]])
+    .setFontWeight("bold")
+    .setBackground("#f1f3f4");
+  sheet.getRange(row + 1, 1, tradeRows.length, 5).setValues(tradeRows);
+  sheet.getRange(row + 1, 2, tradeRows.length, 3).setNumberFormat('"$"#,##0');
+  sheet.getRange(row + tradeRows.length, 1, 1, 5).setFontWeight("bold").setBackground("#fff9e6");
+  row += tradeRows.length + 2;
+
+  const lineRows = estimate.lines.map(l => [
+    l.room ? `${l.label} (${l.room})` : l.label,
+    l.quantity,
+    REHAB_UNITS[l.unit] || l.unit,
+    l.unitCost,
+    l.cost
+  ]);
+  sheet.getRange(row, 1, 1, 5)
+    .setValues([["Line Item", "Qty", "Unit", "Unit Cost", "Cost"]])
+    .setFontWeight("bold")
+    .setBackground("#f1f3f4");
+  sheet.getRange(row + 1, 1, lineRows.length, 5).setValues(lineRows);
+  sheet.getRange(row + 1, 4, lineRows.length, 2).setNumberFormat('"$"#,##0.00');
+
+  return row + lineRows.length + 2;
+}
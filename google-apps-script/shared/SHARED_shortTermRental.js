@@ -0,0 +1,185 @@
+/**
+ * ===============================
+ * SHORT-TERM RENTAL ANALYSIS
+ * ===============================
+ *
+ * Runs the deal as a short-term rental (Airbnb, VRBO) with the assumptions
+ * saved from the sidebar (see getSTRSettings in SHARED_config.js) and
+ * calculateSTRAnalysis in shared-core/calculations/str.js:
+ * - Nightly rate and occupancy by month from a seasonality curve
+ * - Cleaning fees charged per stay and cleaning paid per turnover
+ * - Platform, management and local occupancy tax on bookings
+ * - Furnishing, utilities and supplies on top of the rental's fixed costs
+ * - NOI, cap rate, cash flow, cash-on-cash and break-even occupancy
+ *
+ * Taxes, insurance, maintenance, HOA and the loan come from the same Inputs
+ * fields as the Rental Analysis sheet, so the two strategies line up.
+ */
+
+/**
+ * Analyze the deal on the Inputs sheet as a short-term rental
+ * @returns {Object|null} calculateSTRAnalysis result, or null when no nightly rate is saved
+ */
+function buildSTRAnalysis() {
+  const settings = getSTRSettings();
+  if (!settings) return null;
+
+  const financingPlan = getFinancingPlan();
+  const analysis = calculateSTRAnalysis({
+    purchasePrice: getField("purchasePrice", 0),
+    downPayment: getField("downPayment", 20) / 100,
+    loanInterestRate: getField("loanInterestRate", 7) / 100,
+    loanTerm: getField("loanTerm", 30),
+    rehabCost: getField("rehabCost", 0),
+    cashInvestment: getField("cashInvestment", 0),
+    helocAmount: getField("helocAmount", 0),
+    helocInterest: getField("helocInterest", 0.07),
+    propertyTaxRate: getField("propertyTaxRate", 0.0125),
+    insuranceMonthly: getField("insuranceMonthly", 100),
+    maintenanceRate: getField("maintenanceRate", 1) / 100,
+    hoaFees: getField("hoaFees", 0),
+    financing: financingPlan || []
+  }, settings);
+
+  if (analysis.error) {
+    Logger.log(`⚠️ Short-term rental analysis unavailable: ${analysis.message}`);
+  }
+  return analysis;
+}
+
+/**
+ * Write a titled label/value block
+ * @param {Sheet} sheet - Target sheet
+ * @param {number} row - First row
+ * @param {string} title - Section title
+ * @param {Array} data - [label, value, format] rows; format is "$", "%" (decimal) or omitted
+ * @returns {number} Next free row after a blank spacer
+ */
+function writeSTRSection(sheet, row, title, data) {
+  sheet.getRange(row, 1, 1, 2).merge()
+    .setValue(title)
+    .setFontWeight("bold")
+    .setFontSize(12)
+    .setBackground("#e8f0fe")
+    .setHorizontalAlignment("left");
+  row++;
+
+  sheet.getRange(row, 1, data.length, 2).setValues(data.map(d => [d[0], d[1]]));
+  data.forEach((d, i) => {
+    if (d[2] === "$") sheet.getRange(row + i, 2).setNumberFormat('"$"#,##0');
+    if (d[2] === "%") sheet.getRange(row + i, 2).setNumberFormat("0.00%");
+  });
+
+  return row + data.length + 2;
+}
+
+/**
+ * Generate the STR Analysis sheet
+ * @returns {Object|null} The analysis for scoring, or null when there is none
+ */
+function generateSTRAnalysis() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName("STR Analysis");
+  const analysis = buildSTRAnalysis();
+
+  // Leave the workbook alone for deals that are not analyzed as short-term rentals
+  if (!analysis && !sheet) return null;
+  if (!sheet) {
+    sheet = ss.insertSheet("STR Analysis");
+  }
+
+  sheet.clearContents();
+
+  const titleRange = sheet.getRange("A1:F1");
+  titleRange.merge();
+  titleRange.setValue("Short-Term Rental Analysis");
+  styleHeader(titleRange, 'h1');
+  titleRange.setBackground("#1a73e8");
+  titleRange.setFontColor("white");
+
+  sheet.getRange("A2:F2").merge()
+    .setValue("Generated: " + new Date().toLocaleString())
+    .setFontSize(9)
+    .setFontColor("#666666");
+
+  if (!analysis) {
+    sheet.getRange("A4").setValue("Enter a nightly rate under Short-Term Rental in the sidebar to analyze this deal as an Airbnb.");
+    return null;
+  }
+  if (analysis.error) {
+    sheet.getRange("A4").setValue("Short-term rental analysis unavailable: " + analysis.message);
+    return null;
+  }
+
+  const a = analysis.assumptions;
+  const costs = analysis.expenseBreakdown;
+  let row = 4;
+
+  row = writeSTRSection(sheet, row, "Assumptions", [
+    ["Nightly Rate", a.nightlyRate, "$"],
+    ["Seasonality", a.occupancyByMonth ? "Custom" : STR_SEASONALITY[a.seasonality].label],
+    ["Average Stay (Nights)", a.averageStayNights],
+    ["Cleaning Fee per Stay", a.cleaningFee, "$"],
+    ["Cleaning Cost per Turnover", a.cleaningCost, "$"],
+    ["Platform Fee", a.platformFeeRate, "%"],
+    ["Management", a.managementRate, "%"],
+    ["Occupancy Tax", a.occupancyTaxRate, "%"],
+    ["Furnishing", a.furnishingCost, "$"]
+  ]);
+
+  row = writeSTRSection(sheet, row, "Annual Revenue", [
+    ["Occupancy", analysis.occupancy / 100, "%"],
+    ["Nights Booked", analysis.nightsBooked],
+    ["Stays", analysis.stays],
+    ["Nightly Revenue", analysis.rentalRevenue, "$"],
+    ["Cleaning Fees Collected", analysis.cleaningFeeIncome, "$"],
+    ["Gross Revenue", analysis.grossRevenue, "$"]
+  ]);
+
+  row = writeSTRSection(sheet, row, "Annual Expenses", [
+    ["Platform Fees", costs.platformFees, "$"],
+    ["Management", costs.management, "$"],
+    ["Occupancy Tax", costs.occupancyTax, "$"],
+    ["Cleaning", costs.cleaning, "$"],
+    ["Property Taxes", costs.propertyTaxes, "$"],
+    ["Insurance", costs.insurance, "$"],
+    ["Maintenance", costs.maintenance, "$"],
+    ["HOA", costs.hoaFees, "$"],
+    ["Utilities & Internet", costs.utilities, "$"],
+    ["Supplies", costs.supplies, "$"],
+    ["Total Expenses", analysis.totalExpenses, "$"]
+  ]);
+
+  row = writeSTRSection(sheet, row, "Returns", [
+    ["Net Operating Income ($)", analysis.noi, "$"],
+    ["Annual Debt Service ($)", analysis.annualDebtService, "$"],
+    ["Annual Cash Flow ($)", analysis.annualCashFlow, "$"],
+    ["Monthly Cash Flow ($)", analysis.monthlyCashFlow, "$"],
+    ["Total Cash Invested ($)", analysis.totalCashInvested, "$"],
+    ["Cap Rate (%)", analysis.capRate / 100, "%"],
+    ["Cash-on-Cash Return (%)", analysis.cocReturn / 100, "%"],
+    ["DSCR", analysis.dscr],
+    ["Break-Even Occupancy (%)", analysis.breakEvenOccupancy === null ? "None" : analysis.breakEvenOccupancy / 100, "%"]
+  ]);
+
+  // Month-by-month bookings
+  sheet.getRange(row, 1, 1, 6).merge()
+    .setValue("Bookings by Month")
+    .setFontWeight("bold")
+    .setFontSize(12)
+    .setBackground("#e8f0fe");
+  row++;
+  sheet.getRange(row, 1, 1, 5).setValues([["Month", "Occupancy", "Nights", "Stays", "Revenue"]])
+    .setFontWeight("bold")
+    .setBackground("#f3f3f3");
+  row++;
+  sheet.getRange(row, 1, analysis.months.length, 5).setValues(analysis.months.map(m => [
+    m.label, m.occupancy / 100, m.nights, m.stays, m.revenue
+  ]));
+  sheet.getRange(row, 2, analysis.months.length, 1).setNumberFormat("0.0%");
+  sheet.getRange(row, 5, analysis.months.length, 1).setNumberFormat('"$"#,##0');
+
+  sheet.autoResizeColumns(1, 5);
+  Logger.log("✅ STR Analysis sheet generated");
+  return analysis;
+}
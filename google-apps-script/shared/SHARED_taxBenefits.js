@@ -4,148 +4,139 @@
  * Phase 2 Enhancement
  * ===============================
  *
- * Calculates tax benefits for real estate investments including:
- * - Depreciation (27.5 years for residential)
- * - Mortgage interest deduction
- * - Property tax deduction
- * - Capital gains tax considerations
+ * Projects a rental's taxes year by year through its sale using the saved
+ * tax profile (see getTaxProfile in SHARED_config.js) and projectTaxes in
+ * shared-core/calculations/tax.js:
+ * - Federal brackets for the investor's filing status and other income
+ * - Land split from assessor values or the land %
+ * - 27.5-year residential depreciation plus optional cost segregation
+ *   (5/7/15-year classes) and bonus depreciation
+ * - Mortgage interest from the deal's primary loan
+ * - Passive loss limits with suspended losses carried forward
+ * - Depreciation recapture and capital gains at the sale
+ * - After-tax cash flow and IRR
  * - 1031 exchange scenarios
  */
 
 /**
- * Calculate annual depreciation for residential rental property
- * @param {number} propertyValue - Total property value
- * @param {number} landValue - Land value (not depreciable, typically 20% of total)
- * @returns {number} Annual depreciation amount
+ * Run the tax projection for the deal on the Inputs sheet
+ * Income and expenses follow the As-Is Rental section of the analysis; the
+ * loan is the primary loan the amortization sheet schedules.
+ * @returns {Object} projectTaxes result (error set when the deal cannot be projected)
  */
-function calculateDepreciation(propertyValue, landValue = null) {
-  // If land value not provided, estimate as 20% of property value
-  if (landValue === null) {
-    landValue = propertyValue * 0.20;
+function buildTaxProjection() {
+  const purchasePrice = getField("purchasePrice", 0);
+  const rehabCost = getField("rehabCost", 0);
+  const cashInvestment = getField("cashInvestment", 0);
+  const rentEstimate = getField("rentEstimate", 3500);
+  const vacancyRate = getField("vacancyRate", 6) / 100;
+  const maintenanceRate = getField("maintenanceRate", 1) / 100;
+  const propertyManagementRate = getField("propertyManagementRate", 8) / 100;
+  const includePropertyManagement = getField("includePropertyManagement", "Yes");
+  const hoaFees = getField("hoaFees", 0);
+  const utilitiesCost = getField("utilitiesCost", 0);
+  const propertyTaxRate = getField("propertyTaxRate", 0.0125);
+  const insuranceMonthly = getField("insuranceMonthly", 100);
+
+  const effectiveGrossIncome = rentEstimate * 12 * (1 - vacancyRate);
+  const operatingExpenses = propertyTaxRate * purchasePrice
+    + insuranceMonthly * 12
+    + purchasePrice * maintenanceRate
+    + (includePropertyManagement === "Yes" ? effectiveGrossIncome * propertyManagementRate : 0)
+    + hoaFees * 12
+    + utilitiesCost * 12;
+
+  // Cash deployed and closing costs match the rental analysis
+  const financingPlan = getFinancingPlan();
+  const financing = financingPlan ? buildFinancingSchedule(financingPlan) : null;
+  const useFinancing = financing && !financing.error;
+  const downPayment = useFinancing
+    ? Math.max(0, purchasePrice - getFundedAtClosing(financingPlan))
+    : purchasePrice * getField("downPayment", 20) / 100;
+  const closingCosts = useFinancing ? financing.upfrontCosts : 0;
+
+  const amortization = buildAmortizationAnalysis();
+
+  const projection = projectTaxes({
+    purchasePrice: purchasePrice,
+    rehabCost: rehabCost,
+    closingCosts: closingCosts,
+    cashInvested: downPayment + cashInvestment + rehabCost + closingCosts,
+    effectiveGrossIncome: effectiveGrossIncome,
+    operatingExpenses: operatingExpenses,
+    loan: amortization.error ? null : amortization.loan
+  }, getTaxProfile());
+
+  if (projection.error) {
+    Logger.log(`⚠️ Tax projection unavailable: ${projection.message}`);
   }
-
-  const depreciableBasis = propertyValue - landValue;
-  const residentialDepreciationPeriod = 27.5; // years for residential rental property
-
-  return depreciableBasis / residentialDepreciationPeriod;
+  return projection;
 }
 
 /**
- * Calculate total tax benefits for a rental property
- * @param {Object} params - Parameters object
- * @returns {Object} Tax benefits breakdown
+ * Summarize the first year's tax benefits
+ * @param {Object} projection - buildTaxProjection result
+ * @returns {Object} Year-one deductions and tax saved
  */
-function calculateTaxBenefits(params = {}) {
-  const purchasePrice = params.purchasePrice || getField("purchasePrice", 0);
-  const rehabCost = params.rehabCost || getField("rehabCost", 0);
-  const downPaymentPct = (params.downPayment || getField("downPayment", 20)) / 100;
-  const interestRate = (params.interestRate || getField("loanInterestRate", 7)) / 100;
-  const loanTerm = params.loanTerm || getField("loanTerm", 30);
-  const propertyTaxRate = params.propertyTaxRate || getField("propertyTaxRate", 0.0125);
-  const taxBracket = params.taxBracket || 0.24; // Default to 24% federal tax bracket
-
-  // Total property value after rehab
-  const totalPropertyValue = purchasePrice + rehabCost;
-
-  // Calculate depreciation
-  const landValue = totalPropertyValue * 0.20; // 20% land, 80% building
-  const annualDepreciation = calculateDepreciation(totalPropertyValue, landValue);
-
-  // Calculate first year mortgage interest
-  const loanAmount = purchasePrice * (1 - downPaymentPct);
-  const firstYearInterest = calculateTotalInterest(12);
-
-  // Calculate property taxes
-  const annualPropertyTax = totalPropertyValue * propertyTaxRate;
-
-  // Total deductions
-  const totalDeductions = annualDepreciation + firstYearInterest + annualPropertyTax;
-
-  // Tax savings (deductions × tax bracket)
-  const taxSavings = totalDeductions * taxBracket;
+function calculateTaxBenefits(projection) {
+  const firstYear = projection.years[0];
 
   return {
-    annualDepreciation: annualDepreciation,
-    firstYearInterest: firstYearInterest,
-    annualPropertyTax: annualPropertyTax,
-    totalDeductions: totalDeductions,
-    taxSavings: taxSavings,
-    taxBracket: taxBracket,
-    depreciableBasis: totalPropertyValue - landValue,
-    landValue: landValue
+    annualDepreciation: firstYear.depreciation,
+    firstYearInterest: firstYear.interest,
+    operatingExpenses: firstYear.operatingExpenses,
+    totalDeductions: firstYear.depreciation + firstYear.interest + firstYear.operatingExpenses,
+    taxableIncome: firstYear.taxableIncome,
+    deductedLoss: firstYear.deductedLoss,
+    suspendedLoss: firstYear.suspendedLoss,
+    taxSavings: -firstYear.taxDue,
+    taxBracket: projection.marginalRate,
+    depreciableBasis: projection.depreciableBasis,
+    landValue: projection.landValue
   };
 }
 
 /**
- * Calculate capital gains tax on property sale
- * @param {Object} params - Parameters object
+ * Summarize the sale at the end of the holding period
+ * @param {Object} projection - buildTaxProjection result
  * @returns {Object} Capital gains breakdown
  */
-function calculateCapitalGains(params = {}) {
-  const purchasePrice = params.purchasePrice || getField("purchasePrice", 0);
-  const rehabCost = params.rehabCost || getField("rehabCost", 0);
-  const salePrice = params.salePrice || purchasePrice * 1.2; // Default 20% appreciation
-  const yearsHeld = params.yearsHeld || 5;
-  const taxBracket = params.taxBracket || 0.24;
-
-  // Calculate adjusted basis
-  const totalPropertyValue = purchasePrice + rehabCost;
-  const landValue = totalPropertyValue * 0.20;
-  const annualDepreciation = calculateDepreciation(totalPropertyValue, landValue);
-  const totalDepreciation = annualDepreciation * yearsHeld;
-  const adjustedBasis = totalPropertyValue - totalDepreciation;
-
-  // Calculate capital gain
-  const capitalGain = salePrice - adjustedBasis;
-
-  // Separate depreciation recapture from long-term capital gains
-  const depreciationRecapture = totalDepreciation;
-  const longTermCapitalGain = capitalGain - depreciationRecapture;
-
-  // Tax rates
-  const depreciationRecaptureRate = 0.25; // 25% for depreciation recapture
-  const longTermCapitalGainsRate = yearsHeld >= 1 ? 0.15 : taxBracket; // 15% if held > 1 year, otherwise ordinary income
-
-  // Calculate taxes
-  const depreciationRecaptureTax = depreciationRecapture * depreciationRecaptureRate;
-  const longTermCapitalGainsTax = Math.max(0, longTermCapitalGain) * longTermCapitalGainsRate;
-  const totalCapitalGainsTax = depreciationRecaptureTax + longTermCapitalGainsTax;
-
-  // Net proceeds after tax
-  const sellingCosts = salePrice * 0.06; // 6% selling costs
-  const netProceeds = salePrice - adjustedBasis - totalCapitalGainsTax - sellingCosts;
+function calculateCapitalGains(projection) {
+  const sale = projection.sale;
 
   return {
-    salePrice: salePrice,
-    originalBasis: totalPropertyValue,
-    totalDepreciation: totalDepreciation,
-    adjustedBasis: adjustedBasis,
-    capitalGain: capitalGain,
-    depreciationRecapture: depreciationRecapture,
-    longTermCapitalGain: longTermCapitalGain,
-    depreciationRecaptureTax: depreciationRecaptureTax,
-    longTermCapitalGainsTax: longTermCapitalGainsTax,
-    totalCapitalGainsTax: totalCapitalGainsTax,
-    sellingCosts: sellingCosts,
-    netProceeds: netProceeds,
-    yearsHeld: yearsHeld
+    salePrice: sale.salePrice,
+    adjustedBasis: sale.adjustedBasis,
+    totalDepreciation: projection.totals.depreciation,
+    capitalGain: sale.gain,
+    ordinaryRecapture: sale.ordinaryRecapture,
+    depreciationRecapture: sale.unrecaptured1250,
+    longTermCapitalGain: sale.capitalGain,
+    suspendedLossReleased: sale.suspendedLossReleased,
+    ordinaryTax: sale.ordinaryTax,
+    depreciationRecaptureTax: sale.recaptureTax,
+    longTermCapitalGainsTax: sale.capitalGainsTax,
+    totalCapitalGainsTax: sale.totalTax,
+    sellingCosts: sale.sellingCosts,
+    loanPayoff: sale.loanPayoff,
+    netProceeds: sale.afterTaxProceeds,
+    yearsHeld: sale.year
   };
 }
 
 /**
  * Calculate 1031 exchange scenario
+ * @param {Object} projection - buildTaxProjection result; the exchange defers its sale taxes
  * @param {Object} params - Parameters object
  * @returns {Object} 1031 exchange analysis
  */
-function calculate1031Exchange(params = {}) {
-  const currentPropertyValue = params.currentPropertyValue || getField("purchasePrice", 0);
-  const currentEquity = params.currentEquity || currentPropertyValue * 0.3;
+function calculate1031Exchange(projection, params = {}) {
+  const currentPropertyValue = params.currentPropertyValue || projection.sale.salePrice;
+  const currentEquity = params.currentEquity || projection.sale.preTaxProceeds;
   const newPropertyPrice = params.newPropertyPrice || currentPropertyValue * 1.5;
   const exchangeFees = params.exchangeFees || 2000; // Typical 1031 exchange fees
 
-  // Calculate deferred taxes
-  const capitalGainsWithout1031 = calculateCapitalGains(params);
-  const taxesDeferred = capitalGainsWithout1031.totalCapitalGainsTax;
+  const taxesDeferred = Math.max(0, projection.sale.totalTax);
 
   // Calculate new loan amount needed
   const newLoanAmount = newPropertyPrice - currentEquity;
@@ -170,6 +161,32 @@ function calculate1031Exchange(params = {}) {
   };
 }
 
+/**
+ * Write a titled label/value section to the Tax Benefits sheet
+ * @param {Sheet} sheet - Tax Benefits sheet
+ * @param {number} row - First row
+ * @param {string} title - Section title
+ * @param {Array} data - [label, value, format] rows; format is "$", "%" or blank
+ * @returns {number} Row after the section
+ */
+function writeTaxSection(sheet, row, title, data) {
+  sheet.getRange(row, 1, 1, 2).merge()
+    .setValue(title)
+    .setFontWeight("bold")
+    .setFontSize(12)
+    .setBackground("#e8f0fe")
+    .setHorizontalAlignment("left");
+  row++;
+
+  sheet.getRange(row, 1, data.length, 2).setValues(data.map(d => [d[0], d[1]]));
+  data.forEach((d, i) => {
+    if (d[2] === "$") sheet.getRange(row + i, 2).setNumberFormat('"$"#,##0');
+    if (d[2] === "%") sheet.getRange(row + i, 2).setNumberFormat("0.00%");
+  });
+
+  return row + data.length + 2;
+}
+
 /**
  * Generate Tax Benefits Analysis sheet
  */
@@ -185,125 +202,140 @@ function generateTaxBenefitsAnalysis() {
   sheet.clearContents();
 
   // Title and timestamp - using standardized header formatting with merged cells
-  const titleRange = sheet.getRange("A1:B1");
+  const titleRange = sheet.getRange("A1:J1");
   titleRange.merge();
   titleRange.setValue("Tax Benefits & Depreciation Analysis");
   styleHeader(titleRange, 'h1');
   titleRange.setBackground("#1a73e8");
   titleRange.setFontColor("white");
 
-  const timestampRange = sheet.getRange("A2:B2");
+  const timestampRange = sheet.getRange("A2:J2");
   timestampRange.merge();
   timestampRange.setValue("Generated: " + new Date().toLocaleString())
     .setFontSize(9)
     .setFontColor("#666666");
 
-  let row = 4;
-
-  // Section 1: Annual Tax Benefits
-  sheet.getRange(row, 1, 1, 2).merge()
-    .setValue("Annual Tax Benefits")
-    .setFontWeight("bold")
-    .setFontSize(12)
-    .setBackground("#e8f0fe")
-    .setHorizontalAlignment("left");
-  row++;
+  const projection = buildTaxProjection();
+  if (projection.error) {
+    sheet.getRange("A4").setValue("Tax projection unavailable: " + projection.message);
+    return;
+  }
 
-  const taxBenefits = calculateTaxBenefits();
+  const profile = projection.profile;
+  const costSeg = profile.costSegregation;
+  let row = 4;
 
-  const benefitsData = [
-    ["Depreciable Basis", taxBenefits.depreciableBasis],
-    ["Land Value (Non-Depreciable)", taxBenefits.landValue],
+  // Section 1: Tax Profile
+  row = writeTaxSection(sheet, row, "Tax Profile", [
+    ["Filing Status", FILING_STATUSES[profile.filingStatus]],
+    ["Other Taxable Income", profile.ordinaryIncome, "$"],
+    ["Marginal Tax Rate", projection.marginalRate, "%"],
+    ["Real Estate Professional", profile.realEstateProfessional ? "Yes" : "No"],
     ["", ""],
-    ["Annual Depreciation", taxBenefits.annualDepreciation],
-    ["First Year Mortgage Interest", taxBenefits.firstYearInterest],
-    ["Annual Property Tax", taxBenefits.annualPropertyTax],
+    ["Land Value (" + projection.landValueSource + ")", projection.landValue, "$"],
+    ["Land Share of Purchase Price", projection.landValueRatio, "%"],
+    ["Depreciable Basis", projection.depreciableBasis, "$"],
+    ["Cost Segregation (5 / 7 / 15-Year)", [costSeg.fiveYear, costSeg.sevenYear, costSeg.fifteenYear]
+      .map(share => Math.round((share || 0) * 100) + "%").join(" / ")],
+    ["Bonus Depreciation", profile.bonusDepreciationRate, "%"]
+  ]);
+
+  // Section 2: First Year Tax Benefits
+  const taxBenefits = calculateTaxBenefits(projection);
+  row = writeTaxSection(sheet, row, "First Year Tax Benefits", [
+    ["Depreciation", taxBenefits.annualDepreciation, "$"],
+    ["Mortgage Interest", taxBenefits.firstYearInterest, "$"],
+    ["Operating Expenses (incl. Property Tax)", taxBenefits.operatingExpenses, "$"],
+    ["Total Deductions", taxBenefits.totalDeductions, "$"],
     ["", ""],
-    ["Total Annual Deductions", taxBenefits.totalDeductions],
-    ["Tax Bracket", taxBenefits.taxBracket],
-    ["Annual Tax Savings", taxBenefits.taxSavings]
-  ];
-
-  sheet.getRange(row, 1, benefitsData.length, 2).setValues(benefitsData);
-
-  // Format currency and percentages
-  [row, row + 1, row + 3, row + 4, row + 5, row + 7, row + 9].forEach(r => {
-    sheet.getRange(r, 2).setNumberFormat('"$"#,##0');
-  });
-  sheet.getRange(row + 8, 2).setNumberFormat("0.00%");
-
-  row += benefitsData.length + 2;
-
-  // Section 2: Capital Gains Analysis (5-year hold)
-  sheet.getRange(row, 1, 1, 2).merge()
-    .setValue("Capital Gains Analysis (5-Year Hold)")
+    ["Taxable Rental Income", taxBenefits.taxableIncome, "$"],
+    ["Loss Deducted Against Other Income", taxBenefits.deductedLoss, "$"],
+    ["Suspended Loss Carried Forward", taxBenefits.suspendedLoss, "$"],
+    ["Tax Saved", taxBenefits.taxSavings, "$"]
+  ]);
+
+  // Section 3: Year-by-Year Projection
+  const headers = ["Year", "NOI", "Interest", "Depreciation", "Taxable Income", "Loss Deducted",
+    "Suspended Loss", "Tax Due (Saved)", "Pre-Tax Cash Flow", "After-Tax Cash Flow"];
+  sheet.getRange(row, 1, 1, headers.length).merge()
+    .setValue("Year-by-Year Tax Projection")
     .setFontWeight("bold")
     .setFontSize(12)
     .setBackground("#e8f0fe")
     .setHorizontalAlignment("left");
   row++;
 
-  const capitalGains = calculateCapitalGains({ yearsHeld: 5 });
-
-  const capitalGainsData = [
-    ["Sale Price (Est.)", capitalGains.salePrice],
-    ["Original Basis", capitalGains.originalBasis],
-    ["Total Depreciation Taken", capitalGains.totalDepreciation],
-    ["Adjusted Basis", capitalGains.adjustedBasis],
-    ["", ""],
-    ["Total Capital Gain", capitalGains.capitalGain],
-    ["Depreciation Recapture", capitalGains.depreciationRecapture],
-    ["Long-Term Capital Gain", capitalGains.longTermCapitalGain],
-    ["", ""],
-    ["Depreciation Recapture Tax (25%)", capitalGains.depreciationRecaptureTax],
-    ["Long-Term Capital Gains Tax (15%)", capitalGains.longTermCapitalGainsTax],
-    ["Total Capital Gains Tax", capitalGains.totalCapitalGainsTax],
-    ["Selling Costs (6%)", capitalGains.sellingCosts],
-    ["", ""],
-    ["Net Proceeds After Tax", capitalGains.netProceeds]
-  ];
-
-  sheet.getRange(row, 1, capitalGainsData.length, 2).setValues(capitalGainsData);
-
-  // Format all currency values
-  [row, row + 1, row + 2, row + 3, row + 5, row + 6, row + 7, row + 9, row + 10, row + 11, row + 12, row + 14].forEach(r => {
-    sheet.getRange(r, 2).setNumberFormat('"$"#,##0');
-  });
-
-  row += capitalGainsData.length + 2;
-
-  // Section 3: 1031 Exchange Scenario
-  sheet.getRange(row, 1, 1, 2).merge()
-    .setValue("1031 Exchange Scenario")
+  sheet.getRange(row, 1, 1, headers.length).setValues([headers])
     .setFontWeight("bold")
-    .setFontSize(12)
-    .setBackground("#e8f0fe")
-    .setHorizontalAlignment("left");
+    .setBackground("#d9e2f3")
+    .setHorizontalAlignment("center")
+    .setBorder(true, true, true, true, true, true, "#000000", SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
   row++;
 
-  const exchange1031 = calculate1031Exchange();
-
-  const exchangeData = [
-    ["Current Property Value", exchange1031.currentPropertyValue],
-    ["Current Equity", exchange1031.currentEquity],
-    ["New Property Price", exchange1031.newPropertyPrice],
-    ["Exchange Fees", exchange1031.exchangeFees],
+  const yearlyRows = projection.years.map(y => [
+    y.year,
+    y.noi,
+    y.interest,
+    y.depreciation,
+    y.taxableIncome,
+    y.deductedLoss,
+    y.suspendedLoss,
+    y.taxDue,
+    y.cashFlow,
+    y.afterTaxCashFlow
+  ]);
+
+  sheet.getRange(row, 1, yearlyRows.length, headers.length).setValues(yearlyRows);
+  sheet.getRange(row, 2, yearlyRows.length, headers.length - 1).setNumberFormat('"$"#,##0;("$"#,##0)');
+
+  row += yearlyRows.length + 2;
+
+  // Section 4: Sale at the end of the hold
+  const capitalGains = calculateCapitalGains(projection);
+  row = writeTaxSection(sheet, row, `Sale After ${capitalGains.yearsHeld}-Year Hold`, [
+    ["Sale Price (Est.)", capitalGains.salePrice, "$"],
+    ["Selling Costs", capitalGains.sellingCosts, "$"],
+    ["Total Depreciation Taken", capitalGains.totalDepreciation, "$"],
+    ["Adjusted Basis", capitalGains.adjustedBasis, "$"],
+    ["Total Gain", capitalGains.capitalGain, "$"],
+    ["", ""],
+    ["Cost Segregation Recapture (Ordinary)", capitalGains.ordinaryRecapture, "$"],
+    ["Depreciation Recapture (25% Max)", capitalGains.depreciationRecapture, "$"],
+    ["Long-Term Capital Gain", capitalGains.longTermCapitalGain, "$"],
+    ["Suspended Losses Released", capitalGains.suspendedLossReleased, "$"],
+    ["", ""],
+    ["Ordinary Income Tax", capitalGains.ordinaryTax, "$"],
+    ["Depreciation Recapture Tax", capitalGains.depreciationRecaptureTax, "$"],
+    ["Long-Term Capital Gains Tax", capitalGains.longTermCapitalGainsTax, "$"],
+    ["Total Tax on Sale", capitalGains.totalCapitalGainsTax, "$"],
+    ["Loan Payoff", capitalGains.loanPayoff, "$"],
+    ["Net Proceeds After Tax", capitalGains.netProceeds, "$"]
+  ]);
+
+  // Section 5: Returns
+  row = writeTaxSection(sheet, row, "Returns", [
+    ["Cash Invested", -projection.afterTaxCashFlows[0], "$"],
+    ["Tax Saved Over Hold", projection.totals.taxSaved, "$"],
+    ["Pre-Tax IRR", projection.preTaxIRR === null ? "N/A" : projection.preTaxIRR / 100, "%"],
+    ["After-Tax IRR", projection.afterTaxIRR === null ? "N/A" : projection.afterTaxIRR / 100, "%"]
+  ]);
+
+  // Section 6: 1031 Exchange Scenario
+  const exchange1031 = calculate1031Exchange(projection);
+  row = writeTaxSection(sheet, row, "1031 Exchange Scenario", [
+    ["Current Property Value", exchange1031.currentPropertyValue, "$"],
+    ["Current Equity", exchange1031.currentEquity, "$"],
+    ["New Property Price", exchange1031.newPropertyPrice, "$"],
+    ["Exchange Fees", exchange1031.exchangeFees, "$"],
     ["", ""],
-    ["Taxes Deferred", exchange1031.taxesDeferred],
-    ["Net Benefit", exchange1031.benefit],
+    ["Taxes Deferred", exchange1031.taxesDeferred, "$"],
+    ["Net Benefit", exchange1031.benefit, "$"],
     ["", ""],
     ["Recommendation", exchange1031.recommendation]
-  ];
-
-  sheet.getRange(row, 1, exchangeData.length, 2).setValues(exchangeData);
-
-  // Format currency values
-  [row, row + 1, row + 2, row + 3, row + 5, row + 6].forEach(r => {
-    sheet.getRange(r, 2).setNumberFormat('"$"#,##0');
-  });
+  ]);
 
   // Color code recommendation
-  const recCell = sheet.getRange(row + 8, 2);
+  const recCell = sheet.getRange(row - 3, 2);
   if (exchange1031.recommendation === "Recommended") {
     recCell.setBackground("#d4edda").setFontColor("#155724");
   } else {
@@ -313,6 +345,7 @@ function generateTaxBenefitsAnalysis() {
   // Set column widths
   sheet.setColumnWidth(1, 250);
   sheet.setColumnWidth(2, 150);
+  sheet.setColumnWidths(3, headers.length - 2, 120);
 
   Logger.log("✅ Tax Benefits Analysis generated");
 }
@@ -140,7 +140,8 @@ function createFlipCashFlowChart(sheet) {
 function createFlipCostBreakdownChart(sheet) {
   try {
     const purchasePrice = getField("purchasePrice", 0);
-    const rehabCost = getField("rehabCost", 0);
+    const rehabEstimate = buildRehabEstimate();
+    const rehabCost = rehabEstimate ? rehabEstimate.subtotal : getField("rehabCost", 0);
     const downPaymentPct = getField("downPayment", 20) / 100;
     const monthsToFlip = getField("monthsToFlip", 6);
     const propertyTaxRate = getField("propertyTaxRate", 0.0125);
@@ -156,7 +157,7 @@ function createFlipCostBreakdownChart(sheet) {
     const monthlyPropertyTax = (purchasePrice * propertyTaxRate) / 12;
     const holdingCosts = (monthlyPI + monthlyPropertyTax + insuranceMonthly) * monthsToFlip;
     const closingCosts = purchasePrice * 0.02;
-    const contingency = rehabCost * 0.1;
+    const contingency = rehabEstimate ? rehabEstimate.contingency : rehabCost * 0.1;
 
     // Create data for pie chart
     const pieData = [
@@ -457,53 +458,23 @@ function createCashFlowComparisonChart(sheet) {
 
 /**
  * Create 10-year cash flow projection chart
+ * Years come from the pro forma (generateCashFlowProjections), so growth,
+ * capital replacements and a refinance show up as they do on the Advanced
+ * Metrics sheet.
  */
 function create10YearCashFlowChart(sheet) {
   try {
-    const rentEstimate = getField("rentEstimate", 3500);
-    const purchasePrice = getField("purchasePrice", 0);
-    const downPaymentPct = getField("downPayment", 20) / 100;
-    const interestRate = getField("loanInterestRate", 7) / 100;
-    const loanTerm = getField("loanTerm", 30);
-    const vacancyRate = getField("vacancyRate", 6) / 100;
-    const propertyTaxRate = getField("propertyTaxRate", 0.0125);
-    const insuranceMonthly = getField("insuranceMonthly", 100);
-    const maintenanceRate = getField("maintenanceRate", 1) / 100;
-
-    // Calculate base values
-    const downPayment = purchasePrice * downPaymentPct;
-    const loanAmount = purchasePrice - downPayment;
-    const monthlyRate = interestRate / 12;
-    const monthlyPI = (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -loanTerm * 12));
+    const projections = generateCashFlowProjections(10);
+    if (projections.error) {
+      Logger.log("⚠️ 10-year cash flow chart skipped: " + projections.message);
+      return;
+    }
+    const assumptions = projections.proForma.assumptions;
 
-    // Create 10-year projection
     const projectionData = [["Year", "Annual Cash Flow (Yearly)", "Cumulative Cash Flow (Total)"]];
-    let cumulativeCashFlow = 0;
-    const rentGrowth = 0.03; // 3% annual rent growth
-
-    for (let year = 1; year <= 10; year++) {
-      const adjustedRent = rentEstimate * Math.pow(1 + rentGrowth, year - 1);
-      const grossIncome = adjustedRent * 12;
-      const vacancyLoss = grossIncome * vacancyRate;
-      const effectiveGrossIncome = grossIncome - vacancyLoss;
-
-      const propertyTaxes = propertyTaxRate * purchasePrice;
-      const insurance = insuranceMonthly * 12;
-      const maintenance = purchasePrice * maintenanceRate;
-      const totalOperatingExpenses = propertyTaxes + insurance + maintenance;
-
-      const NOI = effectiveGrossIncome - totalOperatingExpenses;
-      const annualDebtService = monthlyPI * 12;
-      const annualCashFlow = NOI - annualDebtService;
-
-      cumulativeCashFlow += annualCashFlow;
-
-      projectionData.push([
-        "Year " + year,
-        Math.round(annualCashFlow),
-        Math.round(cumulativeCashFlow)
-      ]);
-    }
+    projections.yearlyData.forEach(y => {
+      projectionData.push(["Year " + y.year, y.cashFlow + y.refinanceProceeds, y.cumulativeCashFlow]);
+    });
 
     // Write data to sheet (hidden area)
     const dataStartRow = sheet.getMaxRows() - 5;
@@ -514,7 +485,7 @@ function create10YearCashFlowChart(sheet) {
       .setChartType(Charts.ChartType.LINE)
       .addRange(sheet.getRange(dataStartRow, 10, projectionData.length, 3))
       .setPosition(20, 5, 0, 0)
-      .setOption('title', '10-Year Cash Flow Projection (3% Annual Rent Growth)')
+      .setOption('title', `10-Year Cash Flow Projection (${+(assumptions.rentGrowth * 100).toFixed(1)}% Rent / ${+(assumptions.expenseGrowth * 100).toFixed(1)}% Expense Growth)`)
       .setOption('width', 600)
       .setOption('height', 300)
       .setOption('legend', { position: 'bottom' })
@@ -86,7 +86,7 @@ function setPrimaryAPI(apiName) {
  * @returns {Array<string>} Array of blocked API names
  */
 function getBlockedAPIs() {
-  const apis = ['private_zillow', 'us_real_estate', 'redfin', 'gemini'];
+  const apis = getAPICallOrder('auto');
   const blocked = [];
 
   for (var i = 0; i < apis.length; i++) {
@@ -98,19 +98,53 @@ function getBlockedAPIs() {
   return blocked;
 }
 
+/**
+ * Get the scoring profiles for the sidebar's selector and editor
+ * @returns {Object} { profiles, activeId, fields } - fields labels each editable metric
+ */
+function getScoringProfileOptions() {
+  return {
+    profiles: getAllScoringProfiles().map(profile => ({
+      ...profile,
+      builtIn: PRESET_SCORING_PROFILES.some(preset => preset.id === profile.id)
+    })),
+    activeId: getActiveScoringProfileId(),
+    fields: SCORING_PROFILE_FIELDS
+  };
+}
+
+/**
+ * Turn the sidebar's loan structure fields into financing plan loans
+ * The sidebar takes percentages; the note rate is its loan interest rate.
+ * @param {Object} data - Sidebar data (financing: { type, ltv, points, termMonths, interestOnlyMonths, fundRehab })
+ * @returns {Array<Object>} Loan terms, empty for the default mortgage + HELOC
+ */
+function buildSidebarFinancingPlan(data) {
+  const options = data.financing || {};
+  const toDecimal = value => (value === null || value === undefined ? null : value / 100);
+
+  return createFinancingPlan({
+    type: options.type,
+    ltv: toDecimal(options.ltv),
+    rate: data.loanInterestRate ? data.loanInterestRate / 100 : null,
+    points: toDecimal(options.points),
+    termMonths: options.termMonths,
+    interestOnlyMonths: options.interestOnlyMonths,
+    fundRehab: options.fundRehab
+  }, {
+    purchasePrice: data.purchasePrice,
+    downPayment: (data.downPayment || 20) / 100,
+    rehabCost: data.rehabCost,
+    monthsToFlip: data.monthsToFlip
+  });
+}
+
 /**
  * Get API names with their display labels and blocked status
  * @returns {Array<Object>} Array of API info objects
  */
 function getAPIInfo() {
-  const apis = [
-    { id: 'private_zillow', name: 'Private Zillow', icon: '🏠' },
-    { id: 'us_real_estate', name: 'US Real Estate', icon: '🏘️' },
-    { id: 'redfin', name: 'Redfin', icon: '🏡' },
-    { id: 'gemini', name: 'Gemini AI', icon: '🤖' }
-  ];
-
-  return apis.map(function(api) {
+  return getDataProviders().map(function(api) {
     return {
       id: api.id,
       name: api.name,
@@ -375,24 +409,118 @@ function showAPIUsage() {
   SpreadsheetApp.getUi().alert(message);
 }
 
+/**
+ * Run the full analysis from the sidebar (or the Inputs sheet) and write every analysis tab
+ * @param {Object} data - Sidebar form data
+ * @returns {{ran: boolean}} Whether the analysis ran; when it didn't, the reason was already shown
+ */
 function runAnalysis(data) {
   Logger.log("▶️ runAnalysis() started");
 
   if (!data) {
     SpreadsheetApp.getUi().alert("No sidebar data received.");
-    return;
+    return { ran: false };
   }
 
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const inputs = ss.getSheetByName("Inputs");
   if (!inputs) {
     Logger.log("❌ Inputs sheet not found");
-    return;
+    return { ran: false };
+  }
+
+  // Get analysis mode from data or use current mode, stepping down when the
+  // remaining API quota won't cover it
+  const apiBudget = resolveRunApiBudget(data.analysisMode || getAnalysisMode(), data);
+  if (apiBudget.refused) {
+    SpreadsheetApp.getUi().alert("⚠️ Analysis not run:\n\n" + apiBudget.message);
+    return { ran: false };
+  }
+  const analysisMode = apiBudget.mode;
+  if (apiBudget.degraded) {
+    ss.toast(apiBudget.message, "⚠️ API budget", 10);
+  }
+  Logger.log(`📊 Running analysis in ${analysisMode} mode (up to ${apiBudget.plan.totalCalls} API calls)`);
+
+  // Scoring profile chosen in the sidebar; remembered for this spreadsheet
+  const scoringProfile = getScoringProfile(data.scoringProfileId);
+  setActiveScoringProfileId(scoringProfile.id);
+  Logger.log(`⭐ Scoring with the ${scoringProfile.name} profile`);
+
+  // Loan structure chosen in the sidebar; runs from the Inputs sheet keep the saved plan
+  if (data.financing !== undefined) {
+    const financingResult = saveFinancingPlan(buildSidebarFinancingPlan(data));
+    if (!financingResult.success) {
+      SpreadsheetApp.getUi().alert("⚠️ Financing plan not saved:\n\n" + financingResult.errors.join("\n"));
+      return { ran: false };
+    }
+  }
+
+  // Extra payments, recasts and biweekly payments for the amortization sheet
+  if (data.amortization !== undefined) {
+    const amortizationResult = saveAmortizationOptions(data.amortization);
+    if (!amortizationResult.success) {
+      SpreadsheetApp.getUi().alert("⚠️ Amortization options not saved:\n\n" + amortizationResult.errors.join("\n"));
+      return { ran: false };
+    }
+  }
+
+  // Filing status, land split, cost segregation and holding period for the tax projection
+  if (data.taxProfile !== undefined) {
+    const taxResult = saveTaxProfile(data.taxProfile);
+    if (!taxResult.success) {
+      SpreadsheetApp.getUi().alert("⚠️ Tax profile not saved:\n\n" + taxResult.errors.join("\n"));
+      return { ran: false };
+    }
   }
 
-  // Get analysis mode from data or use current mode
-  const analysisMode = data.analysisMode || getAnalysisMode();
-  Logger.log(`📊 Running analysis in ${analysisMode} mode`);
+  // Nightly rate, seasonality and fees; a blank nightly rate turns the short-term rental analysis off
+  if (data.str !== undefined) {
+    const strResult = saveSTRSettings(data.str);
+    if (!strResult.success) {
+      SpreadsheetApp.getUi().alert("⚠️ Short-term rental settings not saved:\n\n" + strResult.errors.join("\n"));
+      return { ran: false };
+    }
+  }
+
+  // Per-unit rents for a duplex through fourplex; no units goes back to the single rent estimate
+  if (data.units !== undefined) {
+    const unitResult = saveUnitMix(data.units);
+    if (!unitResult.success) {
+      SpreadsheetApp.getUi().alert("⚠️ Unit mix not saved:\n\n" + unitResult.errors.join("\n"));
+      return { ran: false };
+    }
+  }
+
+  // Growth, capex, refinance and exit assumptions for the multi-year pro forma
+  if (data.proForma !== undefined) {
+    const proFormaResult = saveProFormaAssumptions(data.proForma);
+    if (!proFormaResult.success) {
+      SpreadsheetApp.getUi().alert("⚠️ Pro forma assumptions not saved:\n\n" + proFormaResult.errors.join("\n"));
+      return { ran: false };
+    }
+  }
+
+  // Line items for the rehab budget; no items goes back to the Rehab Cost input. The year built
+  // isn't on the Inputs sheet, so the contingency it implies is saved with the scope.
+  const rehabEstimate = data.rehabScope
+    ? estimateRehab(data.rehabScope, { state: data.state, yearBuilt: data.yearBuilt })
+    : null;
+  if (data.rehabScope !== undefined) {
+    const scope = rehabEstimate && !rehabEstimate.error
+      ? Object.assign({}, data.rehabScope, { contingencyRate: rehabEstimate.contingencyRate })
+      : data.rehabScope;
+    const rehabScopeResult = saveRehabScope(scope);
+    if (!rehabScopeResult.success) {
+      SpreadsheetApp.getUi().alert("⚠️ Rehab scope of work not saved:\n\n" + rehabScopeResult.errors.join("\n"));
+      return { ran: false };
+    }
+  }
+
+  // The scope's line items become the Rehab Cost input, and its contingency the Contingency input
+  if (rehabEstimate && !rehabEstimate.error) {
+    data.rehabCost = rehabEstimate.subtotal;
+  }
 
   // --- Calculate HELOC / Loan Amount ---
   const downPayment = (data.purchasePrice || 0) * (data.downPayment / 100 || 0.2);
@@ -420,8 +548,10 @@ function runAnalysis(data) {
     setField("rehabCost", data.rehabCost || "");
     setField("monthsToFlip", data.monthsToFlip || "", "@");
 
-    // Contingency (10% of rehab)
-    const contingency = data.rehabCost ? data.rehabCost * 0.1 : 0;
+    // Contingency (10% of rehab, or the scope of work's)
+    const contingency = rehabEstimate && !rehabEstimate.error
+      ? rehabEstimate.contingency
+      : (data.rehabCost ? data.rehabCost * 0.1 : 0);
     setField("contingency", contingency, '"$"#,##0');
 
     // Rental Inputs defaults (if empty)
@@ -480,6 +610,9 @@ function runAnalysis(data) {
   // Step 3: Run Rental Analysis (As-Is + BRRRR)
   generateRentalAnalysis(comps);
 
+  // Step 3b: Short-term rental, when the sidebar has a nightly rate
+  const strAnalysis = generateSTRAnalysis();
+
   // Step 4: Generate Scenarios automatically (embedded in analysis tabs)
   // Note: generateScenarios() is called within generateFlipAnalysis and generateRentalAnalysis
 
@@ -529,13 +662,13 @@ function runAnalysis(data) {
       };
 
       // Calculate flip score
-      const flipScore = calculateFlipScore(flipData);
+      const flipScore = calculateFlipScore(flipData, scoringProfile);
 
       // Generate flip alerts
       const flipAlerts = generateFlipAlerts(flipData);
 
       // Get recommendation
-      const flipRecommendation = getDealRecommendation(flipScore.total);
+      const flipRecommendation = getDealRecommendation(flipScore.total, scoringProfile);
 
       // Save to history
       saveAnalysisToHistory({
@@ -560,13 +693,13 @@ function runAnalysis(data) {
       };
 
       // Calculate rental score
-      const rentalScore = calculateRentalScore(rentalData);
+      const rentalScore = calculateRentalScore(rentalData, null, scoringProfile);
 
       // Generate rental alerts
       const rentalAlerts = generateRentalAlerts(rentalData);
 
       // Get recommendation
-      const rentalRecommendation = getDealRecommendation(rentalScore.total);
+      const rentalRecommendation = getDealRecommendation(rentalScore.total, scoringProfile);
 
       // Save to history
       saveAnalysisToHistory({
@@ -581,6 +714,32 @@ function runAnalysis(data) {
       });
     }
 
+    if (strAnalysis) {
+      const strData = {
+        monthlyCashFlow: strAnalysis.monthlyCashFlow,
+        roi: strAnalysis.cocReturn / 100,
+        capRate: strAnalysis.capRate / 100,
+        dscr: strAnalysis.dscr,
+        occupancy: strAnalysis.occupancy / 100,
+        breakEvenOccupancy: strAnalysis.breakEvenOccupancy === null ? null : strAnalysis.breakEvenOccupancy / 100
+      };
+
+      const strScore = calculateSTRScore(strData, scoringProfile);
+      const strAlerts = generateRentalAlerts(strData);
+      const strRecommendation = getDealRecommendation(strScore.total, scoringProfile);
+
+      saveAnalysisToHistory({
+        address: data.address || '',
+        type: 'STR',
+        roi: strData.roi,
+        profit: 0,
+        cashFlow: strData.monthlyCashFlow,
+        score: strScore.total,
+        status: `${strRecommendation.emoji} ${strRecommendation.label}`,
+        alertCount: strAlerts.length
+      });
+    }
+
     // Update inputs summary panel with new data
     updateInputsSummary();
 
@@ -589,7 +748,8 @@ function runAnalysis(data) {
     Logger.log("⚠️ Phase 4 integration error: " + e);
   }
 
-  SpreadsheetApp.getUi().alert("✅ Analysis complete! All tabs updated.\n\nIncludes: Flip & Rental Analysis, Sensitivity, Amortization, Tax Benefits, Advanced Metrics, Flip Enhancements, Charts & Visualizations, Scoring, and Alerts.\n\nCheck the Inputs tab for a quick summary of results.");
+  SpreadsheetApp.getUi().alert("✅ Analysis complete! All tabs updated.\n\nIncludes: Flip, Rental & Short-Term Rental Analysis, Sensitivity, Amortization, Tax Benefits, Advanced Metrics, Flip Enhancements, Charts & Visualizations, Scoring, and Alerts.\n\nCheck the Inputs tab for a quick summary of results.");
+  return { ran: true };
 }
 
 /**
@@ -28,6 +28,7 @@ function testAllAdapterComponents() {
   PlatformLogger.info('\n📡 Testing HttpClient...');
   results = runTest(results, 'HttpClient.get', testHttpClientGet);
   results = runTest(results, 'HttpClient.retryWithBackoff', testHttpClientRetry);
+  results = runTest(results, 'HttpClient cassette keys', testHttpClientCassetteKeys);
 
   // Test CacheManager
   PlatformLogger.info('\n💾 Testing CacheManager...');
@@ -134,6 +135,21 @@ function testHttpClientRetry() {
   assert(attempts === 2, 'Should retry once before succeeding');
 }
 
+function testHttpClientCassetteKeys() {
+  var url = 'HTTPS://Private-Zillow.p.rapidapi.com/byzpid/?zpid=44471319&key=SECRET#top';
+
+  assert(HttpClient.normalizeCassetteUrl(url) === 'https://private-zillow.p.rapidapi.com/byzpid?zpid=44471319',
+    'URL should be lowercased with credentials, fragment and trailing slash removed');
+
+  var key = HttpClient.getCassetteKey('get', url);
+  assert(HttpClient.getCassetteFileName(url, key) === 'private_zillow_2d5bde55.json',
+    'File name should match the Web App adapter');
+
+  var a = HttpClient.getCassetteKey('post', 'https://x.test/a', JSON.stringify({ b: 1, a: 2 }));
+  var b = HttpClient.getCassetteKey('post', 'https://x.test/a', JSON.stringify({ a: 2, b: 1 }));
+  assert(a === b, 'JSON payload key order should not change the cassette key');
+}
+
 /**
  * ===============================
  * CACHE MANAGER TESTS
@@ -182,6 +182,24 @@ function runAPITests() {
   return results;
 }
 
+/**
+ * Run API-related tests against recorded responses instead of live RapidAPI
+ * Record once with HttpClient.useCassette('record', folderId) (or the
+ * HTTP_CASSETTE_MODE Script Property), then replay as often as needed
+ * without spending quota.
+ * @param {string} folderId - Drive folder with the cassette files (defaults to HTTP_CASSETTE_FOLDER_ID)
+ */
+function runAPITestsOffline(folderId) {
+  PlatformLogger.info("📼 Replaying API tests from cassettes - no live API calls");
+
+  HttpClient.useCassette('replay', folderId);
+  try {
+    return runAPITests();
+  } finally {
+    HttpClient.useCassette(null);
+  }
+}
+
 /**
  * Run ARV-related tests
  * Historical Validation
@@ -366,6 +384,7 @@ function showTestMenu() {
 📦 TEST SUITES:
    runCoreTests()                   - Adapters + Migration
    runAPITests()                    - API Priority + ZPID Lookup
+   runAPITestsOffline()             - Same, replayed from cassettes (no quota)
    runARVTests()                    - Historical Validation
 
 🔍 INDIVIDUAL TEST SUITES:
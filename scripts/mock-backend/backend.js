@@ -0,0 +1,296 @@
+/**
+ * Mock Backend
+ *
+ * Runs the real API_webAppEndpoint.js doGet/doPost handlers (plus the mode
+ * router in SHARED_analyzer.js, SHARED_config.js, SHARED_apiBridge.js and the
+ * shared-core globals they call) inside a Node vm context.
+ * The SHARED_apiBridge provider calls are replaced with lookups into the
+ * recorded fixtures in scripts/mock-backend/fixtures, and comps are ranked with
+ * shared-core the way the sidebar ranks them. Every provider call is counted
+ * against the same monthly/daily limits as RapidAPI so getApiUsage and
+ * diagnostics behave like the deployed script.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { chainable, loadAppsScript } = require('../parity/appsScriptStubs');
+const { APPS_SCRIPT_DIRS, toAppsScript } = require('../sync-shared-core');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SHARED_CORE_DIR = path.join(__dirname, '../../shared-core');
+
+const SCRIPT_FILES = [
+  'shared/SHARED_config.js',
+  'shared/SHARED_analyzer.js',
+  'shared/SHARED_apiBridge.js',
+  'api/API_webAppEndpoint.js'
+];
+
+/**
+ * The script files plus shared-core as Apps Script gets it (built the way
+ * sync-shared-core.js builds google-apps-script/shared-core), in the order
+ * Apps Script loads a project: by path, so later files win on duplicate names
+ * @returns {Array<string|{file: string, source: string}>} Entries for loadAppsScript
+ */
+function appsScriptFiles() {
+  const sharedCore = APPS_SCRIPT_DIRS.flatMap(dir =>
+    fs.readdirSync(path.join(SHARED_CORE_DIR, dir))
+      .filter(file => file.endsWith('.js'))
+      .map(file => {
+        const relativePath = `${dir}/${file}`;
+        const source = fs.readFileSync(path.join(SHARED_CORE_DIR, relativePath), 'utf8');
+        return { file: `shared-core/${relativePath}`, source: toAppsScript(source, relativePath) };
+      })
+  );
+
+  const fileName = entry => (typeof entry === 'string' ? entry : entry.file);
+  return SCRIPT_FILES.concat(sharedCore).sort((a, b) => (fileName(a) < fileName(b) ? -1 : 1));
+}
+
+// Same limits handleGetApiUsage falls back to
+const PROVIDER_LIMITS = {
+  private_zillow: 250,
+  us_real_estate: 300,
+  redfin: 111,
+  gemini: 1500
+};
+
+// Hosts handleGetApiUsage probes, by provider
+const PROVIDER_HOSTS = {
+  'private-zillow.p.rapidapi.com': 'private_zillow',
+  'us-real-estate.p.rapidapi.com': 'us_real_estate',
+  'redfin-base-us.p.rapidapi.com': 'redfin'
+};
+
+/**
+ * Key a fixture by street address and zip, ignoring case and spacing
+ * @param {string} address - Street address
+ * @param {string} zip - Zip code
+ * @returns {string} Lookup key
+ */
+function fixtureKey(address, zip) {
+  return `${address || ''}|${zip || ''}`.toLowerCase().replace(/[\s,.#]+/g, ' ').trim();
+}
+
+/**
+ * Load recorded fixtures
+ * @param {string} dir - Fixtures directory
+ * @returns {{byAddress: Map<string, Object>, fallback: Object}} Fixtures
+ */
+function loadFixtures(dir) {
+  const byAddress = new Map();
+  let fallback = null;
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (fixture.id === 'default') {
+        fallback = fixture;
+      } else {
+        byAddress.set(fixtureKey(fixture.address, fixture.zip), fixture);
+      }
+    });
+
+  if (!fallback) {
+    throw new Error(`No default.json fixture in ${dir}`);
+  }
+
+  return { byAddress, fallback };
+}
+
+/**
+ * In-memory stand-in for CacheService.getScriptCache()
+ * @returns {Object} Cache stub
+ */
+function createCache() {
+  const entries = new Map();
+  return chainable({
+    get: (key) => (entries.has(key) ? entries.get(key) : null),
+    put: (key, value) => { entries.set(key, String(value)); },
+    remove: (key) => { entries.delete(key); },
+    removeAll: (keys) => keys.forEach(key => entries.delete(key))
+  });
+}
+
+/**
+ * Create a mock backend
+ * @param {Object} options - { core: shared-core module namespace, fixturesDir }
+ * @returns {{doGet: Function, doPost: Function, getUsage: Function}} Backend
+ */
+function createBackend({ core, fixturesDir = FIXTURES_DIR }) {
+  const fixtures = loadFixtures(fixturesDir);
+  const usage = Object.fromEntries(Object.keys(PROVIDER_LIMITS).map(api => [api, 0]));
+  const scriptCache = createCache();
+
+  const findFixture = (data) => fixtures.byAddress.get(fixtureKey(data.address, data.zip)) || fixtures.fallback;
+
+  // Count a provider call and cache its usage the way HttpClient caches RapidAPI headers
+  function recordCall(apiName) {
+    usage[apiName]++;
+    const limit = PROVIDER_LIMITS[apiName];
+    const snapshot = {
+      used: usage[apiName],
+      limit,
+      remaining: Math.max(0, limit - usage[apiName]),
+      percentage: (usage[apiName] / limit) * 100
+    };
+    scriptCache.put(`${apiName}_usage`, JSON.stringify(snapshot), 3600);
+    return snapshot;
+  }
+
+  // Fixture-backed replacements for the SHARED_apiBridge functions the router calls
+  const providers = {
+    getApiKeys: () => ({ RAPIDAPI_KEY: 'mock', GEMINI_API_KEY: 'mock' }),
+
+    fetchPropertyDetails(data) {
+      if (data.beds && data.baths && data.sqft) {
+        return {
+          beds: data.beds,
+          baths: data.baths,
+          sqft: data.sqft,
+          yearBuilt: data.yearBuilt || null,
+          lotSize: data.lotSize || null,
+          propertyType: data.propertyType || 'Single Family',
+          zpid: null
+        };
+      }
+      const { source, ...details } = findFixture(data).propertyDetails;
+      recordCall(source);
+      return { ...details };
+    },
+
+    fetchCompsData(data, forceRefresh = false, analysisMode = null) {
+      const mode = analysisMode || context.getAnalysisMode();
+      if (!context.isFeatureEnabled('compsData', mode)) {
+        return [];
+      }
+
+      const fixture = findFixture(data);
+      recordCall(fixture.comps.source);
+
+      const comps = fixture.comps.items.map(comp => ({
+        city: data.city,
+        state: data.state,
+        zip: data.zip,
+        ...comp,
+        dataSource: `${fixture.comps.source}_comps`,
+        isReal: fixture !== fixtures.fallback
+      }));
+      return core.sortCompsByRelevance(comps, fixture.propertyDetails);
+    },
+
+    fetchZillowZestimate(zpid) {
+      const fixture = [...fixtures.byAddress.values()].find(f => f.propertyDetails.zpid === zpid);
+      if (!fixture || !fixture.estimates.zillow) return null;
+      recordCall('private_zillow');
+      return { zestimate: fixture.estimates.zillow };
+    },
+
+    getUSRealEstatePropertyId(data) {
+      return findFixture(data).estimates.usRealEstatePropertyId;
+    },
+
+    fetchUSRealEstateHomeEstimate(propertyId) {
+      const fixture = [...fixtures.byAddress.values()].find(f => f.estimates.usRealEstatePropertyId === propertyId);
+      if (!fixture || !fixture.estimates.usRealEstate) return null;
+      recordCall('us_real_estate');
+      return { estimate: fixture.estimates.usRealEstate };
+    },
+
+    validateARVAgainstMarketTrends(estimatedARV, zpid) {
+      const fixture = [...fixtures.byAddress.values()].find(f => f.propertyDetails.zpid === zpid);
+      return fixture ? fixture.historicalValidation : null;
+    }
+  };
+
+  // handleGetApiUsage probes each provider through HttpClient and reads the usage headers
+  const HttpClient = {
+    get(url) {
+      const apiName = PROVIDER_HOSTS[new URL(url).host];
+      if (!apiName) {
+        return { statusCode: 404, body: '', headers: {}, success: false };
+      }
+      return { statusCode: 200, body: '{}', headers: {}, success: true, usage: recordCall(apiName) };
+    }
+  };
+
+  // The bridge's quota checks (resolveRunApiBudget) go through coreAdapter's
+  // QuotaManager; this one reports the calls counted above
+  const QuotaManager = {
+    getAPIKeys: () => providers.getApiKeys(),
+    getQuotaLimits: () => ({ THRESHOLD_PERCENT: 0.9 }),
+    getUsage: (apiName) => usage[apiName] || 0,
+    isAPIBlocked: (apiName) => !!PROVIDER_LIMITS[apiName] && usage[apiName] / PROVIDER_LIMITS[apiName] >= 0.9,
+    getPrimaryAPI: () => 'auto'
+  };
+
+  let output = null;
+  const ContentService = {
+    MimeType: { JSON: 'application/json' },
+    createTextOutput(text) {
+      output = text;
+      return chainable({ getContent: () => text });
+    }
+  };
+
+  const context = loadAppsScript(appsScriptFiles(), {
+    ...providers,
+    HttpClient,
+    QuotaManager,
+    ContentService,
+    CacheService: chainable({
+      getScriptCache: () => scriptCache,
+      getUserCache: () => createCache()
+    })
+  });
+  // Loaded files declare some of the same names (SHARED_apiBridge.js has the
+  // fetchers, arv.js has validateARVAgainstMarketTrends)
+  Object.assign(context, providers);
+
+  return {
+    /**
+     * Health check, as doGet answers it
+     * @returns {Object} Response body
+     */
+    doGet() {
+      context.doGet({});
+      return JSON.parse(output);
+    },
+
+    /**
+     * Run one doPost request
+     * @param {string} contents - Raw request body ({ action, data } as JSON)
+     * @returns {Object} Response body ({ success, data | error, timestamp })
+     */
+    doPost(contents) {
+      context.doPost({ postData: { contents, type: 'text/plain' } });
+      return JSON.parse(output);
+    },
+
+    /**
+     * Provider calls made so far
+     * @returns {Object} Calls per provider
+     */
+    getUsage() {
+      return { ...usage };
+    }
+  };
+}
+
+/**
+ * Load shared-core and create a mock backend
+ * @param {Object} options - { fixturesDir }
+ * @returns {Promise<Object>} Backend
+ */
+async function loadBackend(options = {}) {
+  const core = await import(pathToFileURL(path.join(__dirname, '../../shared-core/index.js')).href);
+  return createBackend({ ...options, core });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  createBackend,
+  loadBackend
+};
@@ -0,0 +1,52 @@
+/**
+ * Mock backend smoke test
+ *
+ * Posts an analyze request through the real doPost handler with every Apps
+ * Script file the router calls loaded, so a global missing from the mock's
+ * context (an error inside a success envelope) fails here.
+ *
+ * Usage:
+ *   node --test scripts/mock-backend/
+ *   npm run test:mock-backend
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackend } = require('./backend');
+
+const property = {
+  address: '1420 Maple Ave',
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 300000,
+  rehabCost: 40000
+};
+
+const analyze = (backend, data) => backend.doPost(JSON.stringify({ action: 'analyze', data }));
+
+test('analyze runs the flip against the recorded comps', async () => {
+  const backend = await loadBackend();
+  const body = analyze(backend, { ...property, analysisMode: 'STANDARD' });
+
+  assert.strictEqual(body.success, true, body.error);
+  assert.strictEqual(body.data.success, true, body.data.error);
+  assert.strictEqual(body.data.mode, 'STANDARD');
+  assert.strictEqual(body.data.comps.length, 6);
+  assert.ok(body.data.arv > 0);
+  assert.strictEqual(body.data.flip.arv, body.data.arv);
+  assert.strictEqual(body.data.flip.purchasePrice, property.purchasePrice);
+  assert.strictEqual(body.data.apiBudget.mode, 'STANDARD');
+});
+
+test('analyze counts its provider calls against the budget', async () => {
+  const backend = await loadBackend();
+  analyze(backend, { ...property, analysisMode: 'STANDARD' });
+  const used = backend.getUsage();
+
+  const body = analyze(backend, { ...property, analysisMode: 'STANDARD' });
+  const planned = body.data.apiBudget.providers.find(provider => provider.providerId === 'private_zillow');
+
+  assert.ok(used.private_zillow > 0);
+  assert.strictEqual(planned.used, used.private_zillow);
+});
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Backend Server
+ *
+ * Local stand-in for the Google Apps Script Web App. Answers GET with the
+ * doGet health check and POST with doPost's { success, data | error, timestamp }
+ * envelope, so the web app can run end-to-end without a deployment or
+ * RapidAPI quota. See backend.js for what is real and what is recorded.
+ *
+ * Like Apps Script, every response is HTTP 200 - failures are reported in the
+ * body. Unlike Apps Script, CORS headers are sent so the Vite dev server can
+ * call it directly.
+ *
+ * Usage:
+ *   node scripts/mock-backend/server.js                  Listen on port 8787
+ *   node scripts/mock-backend/server.js --port 9000      Listen on another port
+ *   node scripts/mock-backend/server.js --latency 800    Delay each response (ms)
+ *   node scripts/mock-backend/server.js --fixtures <dir> Use another fixtures directory
+ *   npm run mock-backend
+ *
+ * Then start the web app with VITE_API_URL=http://localhost:8787
+ */
+
+const http = require('http');
+const path = require('path');
+const { FIXTURES_DIR, loadBackend } = require('./backend');
+
+const DEFAULT_PORT = 8787;
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+/**
+ * Read a "--name value" command line option
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @param {string} name - Option name without dashes
+ * @param {string} fallback - Value when the option is absent
+ * @returns {string} Option value
+ */
+function readOption(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+/**
+ * Collect a request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body text
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+async function startServer() {
+  const args = process.argv.slice(2);
+  const port = parseInt(readOption(args, 'port', process.env.PORT || DEFAULT_PORT), 10);
+  const latency = parseInt(readOption(args, 'latency', '0'), 10);
+  const fixturesDir = path.resolve(readOption(args, 'fixtures', FIXTURES_DIR));
+
+  const backend = await loadBackend({ fixturesDir });
+
+  const server = http.createServer(async (req, res) => {
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    };
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, headers);
+      res.end();
+      return;
+    }
+
+    let body;
+    let label = req.method;
+    if (req.method === 'GET') {
+      body = backend.doGet();
+    } else if (req.method === 'POST') {
+      const contents = await readBody(req);
+      body = backend.doPost(contents);
+      try {
+        label = `POST ${JSON.parse(contents).action}`;
+      } catch (e) {
+        label = 'POST (unparseable body)';
+      }
+    } else {
+      res.writeHead(405, headers);
+      res.end();
+      return;
+    }
+
+    if (latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, latency));
+    }
+
+    const failed = body.success === false;
+    log(`${failed ? '❌' : '✅'} ${label}${failed ? ` - ${body.error}` : ''}`, failed ? 'yellow' : 'reset');
+
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  server.listen(port, () => {
+    log(`\n🧪 Mock backend listening on http://localhost:${port}`, 'green');
+    log(`   Fixtures: ${fixturesDir}`, 'cyan');
+    log(`   Start the web app with VITE_API_URL=http://localhost:${port}\n`, 'cyan');
+  });
+}
+
+startServer().catch(error => {
+  log(`❌ Mock backend failed to start: ${error.stack || error.message}`, 'red');
+  process.exit(1);
+});
@@ -0,0 +1,193 @@
+/**
+ * Apps Script Stubs for the Parity Harness
+ *
+ * Just enough of SpreadsheetApp and the sidebar/config globals to run
+ * SHARED_analyzer.js and API_webAppEndpoint.js inside a Node vm context.
+ * Sheets record the values written to them so the harness can read the
+ * results back by row label, the same way a user reads the sheet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const GAS_ROOT = path.join(__dirname, '../../google-apps-script');
+
+/**
+ * Wrap an object so any method it doesn't define is a chainable no-op
+ * (setFontWeight, setBackground, merge, ...)
+ * @param {Object} target - Object with the methods we care about
+ * @returns {Proxy} Chainable proxy
+ */
+function chainable(target) {
+  const proxy = new Proxy(target, {
+    get(obj, prop) {
+      if (prop in obj) return obj[prop];
+      if (typeof prop === 'symbol') return undefined;
+      return () => proxy;
+    }
+  });
+  return proxy;
+}
+
+/**
+ * Convert an A1 reference ("A1", "B12") into a 1-based row/column
+ * @param {string} a1 - A1 notation
+ * @returns {{row: number, col: number}} Position
+ */
+function parseA1(a1) {
+  const match = /^([A-Z]+)(\d+)$/.exec(a1);
+  if (!match) throw new Error(`Unsupported range: ${a1}`);
+  const col = match[1].split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+  return { row: parseInt(match[2], 10), col };
+}
+
+/**
+ * Create an in-memory sheet that records cell values
+ * @param {string} name - Sheet name
+ * @returns {Object} Sheet stub
+ */
+function createSheet(name) {
+  const cells = new Map();
+  const key = (row, col) => `${row},${col}`;
+
+  function makeRange(row, col, numRows = 1, numCols = 1) {
+    return chainable({
+      setValue(value) {
+        cells.set(key(row, col), value);
+        return this;
+      },
+      setValues(values) {
+        values.forEach((rowValues, r) => {
+          rowValues.forEach((value, c) => cells.set(key(row + r, col + c), value));
+        });
+        return this;
+      },
+      setFormula(formula) {
+        cells.set(key(row, col), formula);
+        return this;
+      },
+      getValue() {
+        return cells.has(key(row, col)) ? cells.get(key(row, col)) : '';
+      },
+      getValues() {
+        const values = [];
+        for (let r = 0; r < numRows; r++) {
+          const rowValues = [];
+          for (let c = 0; c < numCols; c++) {
+            const k = key(row + r, col + c);
+            rowValues.push(cells.has(k) ? cells.get(k) : '');
+          }
+          values.push(rowValues);
+        }
+        return values;
+      }
+    });
+  }
+
+  function lastRowAndColumn() {
+    let lastRow = 0;
+    let lastCol = 0;
+    cells.forEach((_, k) => {
+      const [r, c] = k.split(',').map(Number);
+      lastRow = Math.max(lastRow, r);
+      lastCol = Math.max(lastCol, c);
+    });
+    return { lastRow, lastCol };
+  }
+
+  return chainable({
+    getName: () => name,
+    getRange(rowOrA1, col, numRows, numCols) {
+      if (typeof rowOrA1 === 'string') {
+        const pos = parseA1(rowOrA1);
+        return makeRange(pos.row, pos.col);
+      }
+      return makeRange(rowOrA1, col, numRows, numCols);
+    },
+    getDataRange() {
+      const { lastRow, lastCol } = lastRowAndColumn();
+      return makeRange(1, 1, Math.max(lastRow, 1), Math.max(lastCol, 1));
+    },
+    clearContents() {
+      cells.clear();
+      return this;
+    },
+
+    /**
+     * Read label/value rows (column A/B) in the order they were written
+     * @returns {Array<{label: string, value: *}>} Rows with a label
+     */
+    readLabelRows() {
+      const { lastRow } = lastRowAndColumn();
+      const rows = [];
+      for (let r = 1; r <= lastRow; r++) {
+        const label = cells.get(key(r, 1));
+        if (typeof label === 'string' && label.trim()) {
+          rows.push({ label: label.trim(), value: cells.get(key(r, 2)) });
+        }
+      }
+      return rows;
+    }
+  });
+}
+
+/**
+ * Create a spreadsheet stub with the given sheets
+ * @param {Array<string>} sheetNames - Sheet names
+ * @returns {Object} Spreadsheet stub
+ */
+function createSpreadsheet(sheetNames) {
+  const sheets = {};
+  sheetNames.forEach(name => { sheets[name] = createSheet(name); });
+
+  return chainable({
+    getSheetByName: (name) => sheets[name] || null,
+    getSheets: () => Object.values(sheets)
+  });
+}
+
+/**
+ * Build a vm context with Apps Script globals stubbed and load script files into it
+ * @param {Array<string|{file: string, source: string}>} files - Paths relative to
+ *   google-apps-script/, or scripts built in memory (file names their place in the project)
+ * @param {Object} globals - Extra globals (getField, fetch stubs, ...)
+ * @param {Object} documentProperties - Values returned by PropertiesService.getDocumentProperties()
+ * @returns {Object} vm context with every top-level function as a property
+ */
+function loadAppsScript(files, globals = {}, documentProperties = {}) {
+  const silent = chainable({});
+  const properties = (values) => chainable({
+    getProperty: (name) => (values[name] !== undefined ? values[name] : null)
+  });
+  const context = vm.createContext({
+    console,
+    Logger: silent,
+    PlatformLogger: silent,
+    Utilities: chainable({ sleep: () => {} }),
+    PropertiesService: chainable({
+      getScriptProperties: () => properties({}),
+      getDocumentProperties: () => properties(documentProperties),
+      getUserProperties: () => properties({})
+    }),
+    CacheService: chainable({
+      getScriptCache: () => chainable({ get: () => null }),
+      getUserCache: () => chainable({ get: () => null })
+    }),
+    ...globals
+  });
+
+  files.forEach(entry => {
+    const file = typeof entry === 'string' ? entry : entry.file;
+    const source = typeof entry === 'string' ? fs.readFileSync(path.join(GAS_ROOT, file), 'utf8') : entry.source;
+    vm.runInContext(source, context, { filename: file });
+  });
+
+  return context;
+}
+
+module.exports = {
+  chainable,
+  createSpreadsheet,
+  loadAppsScript
+};
@@ -0,0 +1,312 @@
+/**
+ * Parity Harness Implementations
+ *
+ * Runs one fixture through each flip/rental implementation and normalizes
+ * the results into the same shape:
+ *
+ *   { flip: {...}, asIs: {...}, brrrr: {...} }
+ *
+ * Money is in dollars, capRate/cocReturn/roi are percentages (8.5 = 8.5%).
+ * A field an implementation doesn't compute is null and skipped when comparing.
+ *
+ * Fixture rates are decimals (shared-core convention); each adapter converts
+ * them into the units that implementation reads (the sheet and the web form
+ * take percentages for down payment and interest rate).
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { chainable, createSpreadsheet, loadAppsScript } = require('./appsScriptStubs');
+
+// Field spec shared by the reporter: unit decides the comparison tolerance
+const FIELDS = {
+  flip: {
+    arv: 'usd',
+    totalRehab: 'usd',
+    closingCosts: 'usd',
+    holdingCosts: 'usd',
+    sellingCosts: 'usd',
+    netProfit: 'usd',
+    roi: 'pct'
+  },
+  asIs: {
+    monthlyRent: 'usd',
+    noi: 'usd',
+    annualDebtService: 'usd',
+    monthlyCashFlow: 'usd',
+    capRate: 'pct',
+    cocReturn: 'pct',
+    dscr: 'ratio'
+  },
+  brrrr: {
+    monthlyRent: 'usd',
+    noi: 'usd',
+    annualDebtService: 'usd',
+    monthlyCashFlow: 'usd',
+    capRate: 'pct',
+    cocReturn: 'pct',
+    dscr: 'ratio'
+  }
+};
+
+const round2 = (value) => (typeof value === 'number' && isFinite(value) ? Math.round(value * 100) / 100 : null);
+const toPercent = (value) => (value === undefined || value === null ? undefined : value * 100);
+
+/**
+ * Round every field and fill in nulls for anything not computed
+ * @param {Object} result - Raw { flip, asIs, brrrr } values
+ * @returns {Object} Normalized result
+ */
+function normalize(result) {
+  const normalized = {};
+  Object.keys(FIELDS).forEach(section => {
+    normalized[section] = {};
+    Object.keys(FIELDS[section]).forEach(field => {
+      const value = result[section] ? result[section][field] : null;
+      normalized[section][field] = round2(value);
+    });
+  });
+  return normalized;
+}
+
+/**
+ * Three recent remodeled comps priced at the fixture ARV, so the sheet's own
+ * comps-based ARV logic lands on the same ARV the other implementations get
+ * @param {Object} fixture - Parity fixture
+ * @returns {Array} Comps
+ */
+function compsAtARV(fixture) {
+  const saleDate = new Date();
+  saleDate.setMonth(saleDate.getMonth() - 1);
+  const sqft = fixture.property.sqft || 1500;
+
+  return [1, 2, 3].map(n => ({
+    address: `${n} Parity Comp`,
+    price: fixture.arv,
+    sqft: sqft,
+    beds: fixture.property.beds,
+    baths: fixture.property.baths,
+    saleDate: saleDate.toISOString().slice(0, 10),
+    condition: 'remodeled'
+  }));
+}
+
+/**
+ * Google Sheets: SHARED_analyzer.js generateFlipAnalysis + generateRentalAnalysis
+ * @param {Object} fixture - Parity fixture
+ * @returns {Object} Normalized result
+ */
+function runSheets(fixture) {
+  const p = fixture.property;
+  const spreadsheet = createSpreadsheet(['Flip Analysis', 'Rental Analysis']);
+
+  // Values as the Inputs sheet holds them (percent fields are whole numbers)
+  const inputs = {
+    ...p,
+    downPayment: toPercent(p.downPayment),
+    loanInterestRate: toPercent(p.loanInterestRate),
+    vacancyRate: toPercent(p.vacancyRate),
+    maintenanceRate: toPercent(p.maintenanceRate),
+    propertyManagementRate: toPercent(p.propertyManagementRate),
+    rentEstimate: fixture.monthlyRent
+  };
+
+  const ctx = loadAppsScript(['shared/SHARED_analyzer.js'], {
+    SpreadsheetApp: chainable({
+      getActiveSpreadsheet: () => spreadsheet,
+      BorderStyle: { SOLID: 'SOLID', SOLID_MEDIUM: 'SOLID_MEDIUM' }
+    }),
+    getField: (name, defaultValue) => (inputs[name] !== undefined ? inputs[name] : defaultValue),
+    getAnalysisMode: () => 'STANDARD',
+    getAnalysisModeConfig: () => ({ name: 'Standard Mode', maxApiCalls: 4, estimatedMonthlyCapacity: '' }),
+    // No saved financing plan, so the default mortgage + HELOC applies
+    getFinancingPlan: () => null,
+    // No saved unit mix, so the single rent estimate applies
+    getUnitMix: () => null,
+    buildRehabEstimate: () => null,
+    styleHeader: () => {},
+    // No zpid, so Zillow/US Real Estate estimates and historical validation are skipped
+    fetchPropertyDetails: () => ({ beds: p.beds, baths: p.baths, sqft: p.sqft || 1500 }),
+    fetchZillowZestimate: () => null,
+    getUSRealEstatePropertyId: () => null,
+    fetchUSRealEstateHomeEstimate: () => null,
+    validateARVAgainstMarketTrends: () => null
+  }, {
+    // Advanced Mode writes the full cost breakdown
+    analysisMode: 'Advanced'
+  });
+
+  ctx.generateFlipAnalysis(compsAtARV(fixture));
+  ctx.generateRentalAnalysis([]);
+
+  const flipRows = spreadsheet.getSheetByName('Flip Analysis').readLabelRows();
+  const flipValue = (prefix) => {
+    const row = flipRows.find(r => r.label.startsWith(prefix));
+    return row ? row.value : null;
+  };
+
+  // Rental sheet repeats labels per section, so split on the section headers
+  const rentalRows = spreadsheet.getSheetByName('Rental Analysis').readLabelRows();
+  const sectionStart = (title) => rentalRows.findIndex(r => r.label.startsWith(title));
+  const asIsStart = sectionStart('Part 1');
+  const brrrrStart = sectionStart('Part 2');
+  const profitStart = sectionStart('Profit & ROI');
+  const rentalValue = (from, to, prefix) => {
+    const row = rentalRows.slice(from, to).find(r => r.label.startsWith(prefix));
+    return row ? row.value : null;
+  };
+  const section = (from, to, rentLabel) => {
+    const noi = rentalValue(from, to, 'Net Operating Income');
+    const annualDebtService = rentalValue(from, to, 'Annual Debt Service');
+    return {
+      monthlyRent: rentalValue(from, to, rentLabel),
+      noi,
+      annualDebtService,
+      monthlyCashFlow: (noi - annualDebtService) / 12,
+      capRate: rentalValue(from, to, 'Cap Rate') * 100,
+      cocReturn: rentalValue(from, to, 'Cash-on-Cash Return') * 100,
+      dscr: rentalValue(from, to, 'DSCR')
+    };
+  };
+
+  const brrrr = section(brrrrStart, profitStart, 'Post-Flip Monthly Rent');
+  brrrr.monthlyCashFlow = rentalValue(profitStart, rentalRows.length, 'Annual Cash Flow') / 12;
+
+  return normalize({
+    flip: {
+      arv: flipValue('After Repair Value'),
+      totalRehab: flipValue('Total Rehab Cost'),
+      closingCosts: flipValue('Acquisition Costs'),
+      holdingCosts: flipValue('Total Holding Costs'),
+      sellingCosts: flipValue('Total Selling Costs'),
+      netProfit: flipValue('Net Profit'),
+      roi: flipValue('ROI') * 100
+    },
+    asIs: section(asIsStart, brrrrStart, 'Monthly Rent'),
+    brrrr
+  });
+}
+
+/**
+ * Web App backend: API_webAppEndpoint.js calculateWebAppFlipAnalysis + calculateRentalAnalysis,
+ * fed the way handleAnalyze prepares the request once an ARV is known
+ * @param {Object} fixture - Parity fixture
+ * @returns {Object} Normalized result
+ */
+function runEndpoint(fixture) {
+  const p = fixture.property;
+  const ctx = loadAppsScript(['api/API_webAppEndpoint.js']);
+
+  // Request body as PropertyForm sends it
+  const data = {
+    address: p.address,
+    city: p.city,
+    state: p.state,
+    zip: p.zip,
+    purchasePrice: p.purchasePrice,
+    downPayment: toPercent(p.downPayment),
+    loanInterestRate: toPercent(p.loanInterestRate),
+    loanTerm: p.loanTerm,
+    rehabCost: p.rehabCost,
+    monthsToFlip: p.monthsToFlip,
+    cashInvestment: p.cashInvestment,
+    helocInterest: toPercent(p.helocInterest)
+  };
+
+  // Mirrors handleAnalyze
+  data.arv = fixture.arv;
+  data.closingCosts = data.purchasePrice * 0.025;
+  data.holdingMonths = data.monthsToFlip || 6;
+  const estimates = ctx.calculateRentalEstimates(data, null, []);
+  data.monthlyRent = estimates.monthlyRent;
+  data.propertyTax = estimates.propertyTax;
+  data.insurance = estimates.insurance;
+  data.hoaFees = estimates.hoaFees;
+  data.maintenance = estimates.maintenance;
+  data.vacancy = estimates.vacancy;
+
+  const flip = ctx.calculateWebAppFlipAnalysis(data);
+  const rental = ctx.calculateRentalAnalysis(data);
+
+  const monthlyOperating = rental.propertyTax + rental.insurance + rental.hoaFees + rental.maintenance + rental.vacancy;
+  const noi = (rental.monthlyRent - monthlyOperating) * 12;
+  const annualDebtService = rental.monthlyPayment * 12;
+
+  return normalize({
+    flip: {
+      arv: flip.arv,
+      totalRehab: flip.rehabCost,
+      closingCosts: flip.closingCosts,
+      holdingCosts: null,
+      sellingCosts: flip.sellingCosts,
+      netProfit: flip.netProfit,
+      roi: flip.roi
+    },
+    asIs: {
+      monthlyRent: rental.monthlyRent,
+      noi,
+      annualDebtService,
+      monthlyCashFlow: rental.cashFlow,
+      capRate: rental.capRate,
+      cocReturn: rental.cashOnCashReturn,
+      dscr: annualDebtService > 0 ? noi / annualDebtService : null
+    },
+    brrrr: null
+  });
+}
+
+/**
+ * shared-core: calculateFlipAnalysis, calculateAsIsRental, calculateBRRRRRental
+ * @param {Object} core - shared-core module namespace
+ * @param {Object} fixture - Parity fixture
+ * @returns {Object} Normalized result
+ */
+function runSharedCore(core, fixture) {
+  const { property, arv, monthlyRent } = fixture;
+  const flip = core.calculateFlipAnalysis(property, arv);
+  const asIs = core.calculateAsIsRental(property, monthlyRent);
+  const brrrr = core.calculateBRRRRRental(property, arv, monthlyRent);
+
+  const rental = (r) => (r.error ? null : {
+    monthlyRent,
+    noi: r.noi,
+    annualDebtService: r.annualDebtService,
+    monthlyCashFlow: r.annualCashFlow / 12,
+    capRate: r.capRate,
+    cocReturn: r.cocReturn,
+    dscr: r.dscr
+  });
+
+  return normalize({
+    flip: flip.error ? null : {
+      arv: flip.arv,
+      totalRehab: flip.rehab.totalRehab,
+      closingCosts: flip.acquisition.closingCosts,
+      holdingCosts: flip.holding.totalHoldingCosts,
+      sellingCosts: flip.selling.totalSellingCosts,
+      netProfit: flip.netProfit,
+      roi: flip.roi
+    },
+    asIs: rental(asIs),
+    brrrr: rental(brrrr)
+  });
+}
+
+/**
+ * Load every implementation
+ * @returns {Promise<Array<{id: string, label: string, run: Function}>>} Implementations
+ */
+async function loadImplementations() {
+  const core = await import(pathToFileURL(path.join(__dirname, '../../shared-core/index.js')).href);
+
+  return [
+    { id: 'sheets', label: 'Sheets (SHARED_analyzer)', run: runSheets },
+    { id: 'endpoint', label: 'Web App API (API_webAppEndpoint)', run: runEndpoint },
+    { id: 'sharedCore', label: 'shared-core', run: (fixture) => runSharedCore(core, fixture) }
+  ];
+}
+
+module.exports = {
+  FIELDS,
+  loadImplementations
+};
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * Flip/Rental Parity Harness
+ *
+ * Runs every JSON fixture in scripts/parity/fixtures through the Google Sheets
+ * analyzer, the Web App API endpoint and shared-core (in Node, with Apps Script
+ * globals stubbed) and reports each field where the implementations disagree.
+ *
+ * Results are also compared with the golden files in scripts/parity/golden so
+ * an unintended change to any implementation shows up as drift.
+ *
+ * Usage:
+ *   node scripts/parity/run.js              Report divergences, fail on golden drift
+ *                                           or a gross flip profit divergence
+ *   node scripts/parity/run.js --update     Rewrite golden files
+ *   node scripts/parity/run.js --strict     Also fail when implementations diverge
+ *   node scripts/parity/run.js --json       Print the raw report as JSON
+ *   node scripts/parity/run.js <fixture-id> Run a single fixture
+ *   npm run parity
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FIELDS, loadImplementations } = require('./implementations');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+// Largest difference still treated as equal, per unit
+const TOLERANCE = {
+  usd: 1,
+  pct: 0.01,
+  ratio: 0.01
+};
+
+// Largest flip profit divergence that can still come from differing conventions
+// (closing-cost, contingency and selling rates). Anything wider means a cost is
+// missing from, or counted twice in, one implementation, and fails every run
+const GROSS_SPREAD = {
+  'flip.netProfit': fixture => fixture.arv * 0.10,
+  'flip.roi': () => 50
+};
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+/**
+ * Load fixtures, optionally filtered to one id
+ * @param {string} onlyId - Fixture id or undefined
+ * @returns {Array<Object>} Fixtures sorted by id
+ */
+function loadFixtures(onlyId) {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')))
+    .filter(fixture => !onlyId || fixture.id === onlyId);
+}
+
+/**
+ * Find fields where implementations disagree beyond tolerance
+ * @param {Object} results - Normalized results keyed by implementation id
+ * @param {Object} fixture - Fixture the results were run on
+ * @returns {Array<Object>} Divergences with every implementation's value, flagged gross when too wide to accept
+ */
+function findDivergences(results, fixture) {
+  const divergences = [];
+
+  Object.keys(FIELDS).forEach(section => {
+    Object.keys(FIELDS[section]).forEach(field => {
+      const values = {};
+      Object.keys(results).forEach(implId => {
+        const value = results[implId][section][field];
+        if (value !== null) values[implId] = value;
+      });
+
+      const numbers = Object.values(values);
+      if (numbers.length < 2) return;
+
+      const spread = Math.max(...numbers) - Math.min(...numbers);
+      if (spread > TOLERANCE[FIELDS[section][field]]) {
+        const name = `${section}.${field}`;
+        const gross = GROSS_SPREAD[name] ? spread > GROSS_SPREAD[name](fixture) : false;
+        divergences.push({ field: name, unit: FIELDS[section][field], spread: Math.round(spread * 100) / 100, gross, values });
+      }
+    });
+  });
+
+  return divergences;
+}
+
+/**
+ * Compare results with the stored golden file
+ * @param {Object} results - Normalized results keyed by implementation id
+ * @param {Object|null} golden - Stored results or null if none yet
+ * @returns {Array<string>} Human-readable drift lines
+ */
+function findGoldenDrift(results, golden) {
+  if (!golden) return ['no golden file (run with --update)'];
+
+  const drift = [];
+  Object.keys(results).forEach(implId => {
+    Object.keys(FIELDS).forEach(section => {
+      Object.keys(FIELDS[section]).forEach(field => {
+        const expected = golden[implId] ? golden[implId][section][field] : undefined;
+        const actual = results[implId][section][field];
+        if (expected !== actual) {
+          drift.push(`${implId} ${section}.${field}: ${expected} → ${actual}`);
+        }
+      });
+    });
+  });
+  return drift;
+}
+
+function formatValue(value, unit) {
+  if (unit === 'usd') return `${value < 0 ? '-' : ''}$${Math.abs(Math.round(value)).toLocaleString('en-US')}`;
+  if (unit === 'pct') return `${value.toFixed(2)}%`;
+  return value.toFixed(2);
+}
+
+async function runParity() {
+  const args = process.argv.slice(2);
+  const update = args.includes('--update');
+  const strict = args.includes('--strict');
+  const asJson = args.includes('--json');
+  const onlyId = args.find(arg => !arg.startsWith('--'));
+
+  const implementations = await loadImplementations();
+  const fixtures = loadFixtures(onlyId);
+
+  if (fixtures.length === 0) {
+    log(`❌ No fixtures found${onlyId ? ` with id "${onlyId}"` : ''}`, 'red');
+    process.exit(1);
+  }
+
+  const report = fixtures.map(fixture => {
+    const results = {};
+    implementations.forEach(impl => {
+      results[impl.id] = impl.run(fixture);
+    });
+
+    const goldenPath = path.join(GOLDEN_DIR, `${fixture.id}.json`);
+    const golden = fs.existsSync(goldenPath) ? JSON.parse(fs.readFileSync(goldenPath, 'utf8')) : null;
+
+    if (update) {
+      fs.writeFileSync(goldenPath, JSON.stringify(results, null, 2) + '\n');
+    }
+
+    return {
+      id: fixture.id,
+      description: fixture.description,
+      results,
+      divergences: findDivergences(results, fixture),
+      drift: update ? [] : findGoldenDrift(results, golden)
+    };
+  });
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    log('\n🔍 Flip/Rental parity report', 'cyan');
+    log(`   ${implementations.map(impl => `${impl.id} = ${impl.label}`).join(', ')}\n`, 'cyan');
+
+    report.forEach(entry => {
+      log(`📄 ${entry.id} - ${entry.description}`);
+
+      if (entry.divergences.length === 0) {
+        log('   ✅ All implementations agree', 'green');
+      }
+      entry.divergences.forEach(d => {
+        const values = implementations
+          .filter(impl => d.values[impl.id] !== undefined)
+          .map(impl => `${impl.id} ${formatValue(d.values[impl.id], d.unit)}`)
+          .join('  ');
+        if (d.gross) {
+          log(`   ❌ ${d.field.padEnd(26)} ${values}`, 'red');
+        } else {
+          log(`   ⚠️  ${d.field.padEnd(26)} ${values}`, 'yellow');
+        }
+      });
+
+      entry.drift.forEach(line => log(`   ❌ golden drift: ${line}`, 'red'));
+      log('');
+    });
+  }
+
+  const divergenceCount = report.reduce((sum, entry) => sum + entry.divergences.length, 0);
+  const grossCount = report.reduce((sum, entry) => sum + entry.divergences.filter(d => d.gross).length, 0);
+  const driftCount = report.reduce((sum, entry) => sum + entry.drift.length, 0);
+
+  if (!asJson) {
+    log(`${divergenceCount} divergent fields across ${report.length} fixtures`, divergenceCount ? 'yellow' : 'green');
+    if (grossCount) {
+      log(`❌ ${grossCount} flip profit divergences too wide to be a difference in conventions`, 'red');
+    }
+    if (update) {
+      log(`✨ Golden files updated in ${GOLDEN_DIR}`, 'green');
+    } else {
+      log(driftCount ? `❌ ${driftCount} golden file mismatches` : '✅ Golden files match', driftCount ? 'red' : 'green');
+    }
+  }
+
+  if (driftCount > 0 || grossCount > 0 || (strict && divergenceCount > 0)) {
+    process.exit(1);
+  }
+}
+
+runParity().catch(error => {
+  log(`❌ Parity run failed: ${error.stack || error.message}`, 'red');
+  process.exit(1);
+});
@@ -3,9 +3,11 @@
 /**
  * Sync Shared Core Library
  *
- * This script copies the shared-core directory to both Google Apps Script
- * and Web App directories. Use this as a fallback if symlinks don't work
- * (e.g., on Windows or in CI/CD environments).
+ * shared-core is written as ES modules. This script builds the Google Apps
+ * Script copy (export/import statements stripped so every function lands in
+ * the global scope) and copies the modules as-is into the Web App directory.
+ * The Web App copy is only needed if the web-app/src/shared-core symlink
+ * doesn't work (e.g., on Windows or in CI/CD environments).
  *
  * Usage:
  *   node scripts/sync-shared-core.js
@@ -28,21 +30,66 @@ function log(message, color = 'reset') {
   console.log(`${colors[color]}${message}${colors.reset}`);
 }
 
+// Module directories pushed to Apps Script (index.js, tests and fixtures stay behind)
+const APPS_SCRIPT_DIRS = ['api', 'calculations', 'utils'];
+
+/**
+ * Convert an ES module into a plain Apps Script file
+ * @param {string} source - Module source
+ * @param {string} relativePath - Path relative to shared-core (for the header)
+ * @returns {string} Global-scope script source
+ */
+function toAppsScript(source, relativePath) {
+  const body = source
+    .replace(/^import [^;]+;\r?\n/gm, '')
+    .replace(/^export \{[^}]*\}( from [^;]+)?;\r?\n/gm, '')
+    .replace(/^export (function|const|let|class) /gm, '$1 ');
+
+  return `// Built from shared-core/${relativePath} by scripts/sync-shared-core.js - do not edit\n${body}`;
+}
+
+/**
+ * Build the Apps Script copy of shared-core
+ * @param {string} source - shared-core directory
+ * @param {string} targetPath - Output directory
+ * @returns {Promise<number>} Number of files written
+ */
+async function buildAppsScript(source, targetPath) {
+  // A symlink would push the ES module sources, which Apps Script can't parse
+  try {
+    if (fs.lstatSync(targetPath).isSymbolicLink()) {
+      await fs.remove(targetPath);
+    }
+  } catch (e) {
+    // Target doesn't exist, which is fine
+  }
+
+  await fs.emptyDir(targetPath);
+
+  let count = 0;
+  for (const dir of APPS_SCRIPT_DIRS) {
+    const files = (await fs.readdir(path.join(source, dir))).filter(f => f.endsWith('.js'));
+    for (const file of files) {
+      const relativePath = `${dir}/${file}`;
+      const contents = await fs.readFile(path.join(source, relativePath), 'utf8');
+      await fs.outputFile(path.join(targetPath, relativePath), toAppsScript(contents, relativePath));
+      count++;
+    }
+  }
+
+  return count;
+}
+
 async function syncSharedCore() {
   try {
     log('\n🔄 Starting shared-core sync...', 'cyan');
 
     const source = path.join(__dirname, '../shared-core');
-    const targets = [
-      {
-        path: path.join(__dirname, '../google-apps-script/shared-core'),
-        name: 'Google Apps Script'
-      },
-      {
-        path: path.join(__dirname, '../web-app/src/shared-core'),
-        name: 'Web App'
-      }
-    ];
+    const appsScriptTarget = path.join(__dirname, '../google-apps-script/shared-core');
+    const webAppTarget = {
+      path: path.join(__dirname, '../web-app/src/shared-core'),
+      name: 'Web App'
+    };
 
     // Check if source exists
     if (!fs.existsSync(source)) {
@@ -54,33 +101,36 @@ async function syncSharedCore() {
     log(`📂 Source: ${source}`, 'cyan');
     log('');
 
-    // Sync to each target
-    for (const target of targets) {
-      try {
-        // Check if target is a symlink
-        if (fs.lstatSync(target.path).isSymbolicLink()) {
-          log(`⚠️  ${target.name}: Skipping (symlink already exists)`, 'yellow');
-          continue;
-        }
-      } catch (e) {
-        // Target doesn't exist, which is fine
-      }
+    // Build Apps Script copy
+    const built = await buildAppsScript(source, appsScriptTarget);
+    log(`✅ Google Apps Script: Built ${built} files`, 'green');
+    log(`   Target: ${appsScriptTarget}`, 'cyan');
+
+    // Copy ES modules to the Web App
+    let webAppIsSymlink = false;
+    try {
+      webAppIsSymlink = fs.lstatSync(webAppTarget.path).isSymbolicLink();
+    } catch (e) {
+      // Target doesn't exist, which is fine
+    }
 
-      // Copy files
-      await fs.copy(source, target.path, {
+    if (webAppIsSymlink) {
+      log(`⚠️  ${webAppTarget.name}: Skipping (symlink already exists)`, 'yellow');
+    } else {
+      await fs.copy(source, webAppTarget.path, {
         overwrite: true,
         filter: (src) => {
-          // Skip README.md and other non-code files
+          // Skip README.md, tests and other non-code files
           const basename = path.basename(src);
-          if (basename === 'README.md' || basename === '.DS_Store') {
+          if (['README.md', '.DS_Store', 'node_modules', '__tests__'].includes(basename)) {
             return false;
           }
           return true;
         }
       });
 
-      log(`✅ ${target.name}: Synced successfully`, 'green');
-      log(`   Target: ${target.path}`, 'cyan');
+      log(`✅ ${webAppTarget.name}: Synced successfully`, 'green');
+      log(`   Target: ${webAppTarget.path}`, 'cyan');
     }
 
     log('');
@@ -96,5 +146,12 @@ async function syncSharedCore() {
   }
 }
 
-// Run sync
-syncSharedCore();
+// Run sync when called as a script; the mock backend reuses the Apps Script build
+if (require.main === module) {
+  syncSharedCore();
+}
+
+module.exports = {
+  APPS_SCRIPT_DIRS,
+  toAppsScript
+};
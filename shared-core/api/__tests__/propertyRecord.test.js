@@ -0,0 +1,286 @@
+/**
+ * Tests for canonical property & comp records
+ */
+
+import {
+  SOURCE_CONFIDENCE,
+  buildConflictAlerts,
+  findRecordConflicts,
+  getSourceConfidence,
+  mergeCompRecords,
+  mergePropertyRecords,
+  missingCompFields,
+  missingRecordFields,
+  normalizeCompRecord,
+  normalizePropertyRecord,
+  resolveRecordSource,
+} from '../propertyRecord.js';
+
+const fetchedAt = '2026-06-01T12:00:00.000Z';
+
+// Raw Private Zillow property details
+const zillowDetails = {
+  zpid: 29384756,
+  bedrooms: 3,
+  bathrooms: 2,
+  livingArea: 1450,
+  yearBuilt: 1978,
+  lotAreaValue: 6500,
+  homeType: 'SINGLE_FAMILY',
+  zestimate: 412000,
+  rentZestimate: 2150,
+  address: { streetAddress: '123 Main St', city: 'Austin', state: 'TX', zipcode: '78701' },
+};
+
+// Raw US Real Estate listing
+const usRealEstateListing = {
+  property_id: '9876543210',
+  list_price: 399000,
+  description: { beds: 3, baths: 2.5, sqft: 1500, year_built: 1979, type: 'single_family' },
+  location: { address: { coordinate: { lat: 30.27, lon: -97.74 } } },
+};
+
+describe('Property Records', () => {
+  describe('resolveRecordSource', () => {
+    it('should map dataSource tags onto provider IDs', () => {
+      expect(resolveRecordSource('redfin_comps')).toBe('redfin');
+      expect(resolveRecordSource('us_real_estate_similar_homes')).toBe('us_real_estate');
+      expect(resolveRecordSource('user-provided')).toBe('user');
+      expect(resolveRecordSource('')).toBe('default');
+      expect(resolveRecordSource('county_records')).toBe('county_records');
+    });
+  });
+
+  describe('normalizePropertyRecord', () => {
+    it('should read each provider\'s own field names', () => {
+      const zillow = normalizePropertyRecord(zillowDetails, 'private_zillow', { fetchedAt });
+      const usRealEstate = normalizePropertyRecord(usRealEstateListing, 'us_real_estate', { fetchedAt });
+
+      expect(zillow.values).toEqual({
+        beds: 3,
+        baths: 2,
+        sqft: 1450,
+        yearBuilt: 1978,
+        lotSize: 6500,
+        propertyType: 'SINGLE_FAMILY',
+        estimatedValue: 412000,
+        rentEstimate: 2150,
+        zpid: '29384756',
+      });
+      expect(usRealEstate.values).toEqual({
+        beds: 3,
+        baths: 2.5,
+        sqft: 1500,
+        yearBuilt: 1979,
+        propertyType: 'single_family',
+        listPrice: 399000,
+        latitude: 30.27,
+        longitude: -97.74,
+        propertyId: '9876543210',
+      });
+      expect(zillow.provenance.sqft).toEqual({ source: 'private_zillow', fetchedAt, confidence: SOURCE_CONFIDENCE.private_zillow });
+    });
+
+    it('should skip values a source didn\'t return', () => {
+      const record = normalizePropertyRecord({ beds: 0, sqft: '', yearBuilt: 'unknown', propertyType: 'Condo' }, 'redfin');
+
+      expect(record.values).toEqual({ propertyType: 'Condo' });
+      expect(Object.keys(record.provenance)).toEqual(['propertyType']);
+      expect(normalizePropertyRecord(null, 'redfin')).toEqual({ values: {}, provenance: {} });
+    });
+
+    it('should give unknown sources a middling confidence', () => {
+      const record = normalizePropertyRecord({ sqft: 1400 }, 'county_records', { fetchedAt });
+      expect(record.provenance.sqft).toEqual({ source: 'county_records', fetchedAt, confidence: 0.7 });
+    });
+  });
+
+  describe('mergePropertyRecords', () => {
+    it('should show where each value of an enriched property came from', () => {
+      const merged = mergePropertyRecords([
+        normalizePropertyRecord(zillowDetails, 'private_zillow', { fetchedAt }),
+        normalizePropertyRecord({ avgRating: 8, sqft: 1480 }, 'us_real_estate', { fetchedAt }),
+        normalizePropertyRecord({ sqft: 1520, beds: 4 }, 'user', { fetchedAt: '' }),
+      ]);
+
+      expect(merged.values).toMatchObject({ sqft: 1520, beds: 4, baths: 2, schoolRating: 8, estimatedValue: 412000 });
+      expect(merged.provenance.sqft.source).toBe('user');
+      expect(merged.provenance.beds.source).toBe('user');
+      expect(merged.provenance.baths.source).toBe('private_zillow');
+      expect(merged.provenance.schoolRating).toEqual({ source: 'us_real_estate', fetchedAt, confidence: 0.9 });
+    });
+
+    it('should prefer the more trusted, then the newer, value', () => {
+      const older = normalizePropertyRecord({ sqft: 1400 }, 'redfin', { fetchedAt: '2026-01-01T00:00:00.000Z' });
+      const newer = normalizePropertyRecord({ sqft: 1420 }, 'redfin', { fetchedAt });
+      const gemini = normalizePropertyRecord({ sqft: 1600 }, 'gemini', { fetchedAt: '2026-09-01T00:00:00.000Z' });
+
+      expect(mergePropertyRecords([gemini, older]).values.sqft).toBe(1400);
+      expect(mergePropertyRecords([older, newer]).values.sqft).toBe(1420);
+      expect(mergePropertyRecords([newer, older]).values.sqft).toBe(1420);
+    });
+
+    it('should fall back to defaults only when nothing else has the field', () => {
+      const merged = mergePropertyRecords([
+        normalizePropertyRecord({ beds: 3, baths: 2, sqft: 1500 }, 'default', { fetchedAt }),
+        normalizePropertyRecord({ sqft: 1450 }, 'gemini', { fetchedAt }),
+      ]);
+
+      expect(merged.values).toEqual({ beds: 3, baths: 2, sqft: 1450 });
+      expect(merged.provenance.beds.source).toBe('default');
+      expect(mergePropertyRecords([])).toEqual({ values: {}, provenance: {} });
+    });
+  });
+
+  describe('normalizeCompRecord', () => {
+    it('should give every provider\'s comps the same canonical fields', () => {
+      const zillow = normalizeCompRecord(
+        { streetAddress: '9 Elm St', soldPrice: 410000, livingArea: 1500, bedrooms: 3, dateSold: '2026-05-01', detailUrl: 'https://zillow.com/9' },
+        'private_zillow',
+        { fetchedAt }
+      );
+      const usRealEstate = normalizeCompRecord(
+        {
+          property_id: '55',
+          description: { sold_price: 395000, sqft: 1450, beds: 3, sold_date: '2026-04-12' },
+          location: { address: { line: '11 Oak St', city: 'Austin', state_code: 'TX', postal_code: '78701' } },
+          dataSource: 'us_real_estate_similar_homes',
+        },
+        undefined,
+        { fetchedAt }
+      );
+
+      expect(zillow).toEqual({
+        address: '9 Elm St',
+        city: '',
+        state: '',
+        zip: '',
+        price: 410000,
+        beds: 3,
+        sqft: 1500,
+        saleDate: '2026-05-01',
+        propertyUrl: 'https://zillow.com/9',
+        dataSource: 'private_zillow',
+        isReal: true,
+        provenance: { source: 'private_zillow', fetchedAt, confidence: 0.95 },
+      });
+      expect(usRealEstate).toMatchObject({
+        address: '11 Oak St',
+        city: 'Austin',
+        state: 'TX',
+        zip: '78701',
+        price: 395000,
+        saleDate: '2026-04-12',
+        propertyId: '55',
+        dataSource: 'us_real_estate_similar_homes',
+        provenance: { source: 'us_real_estate' },
+      });
+    });
+
+    it('should mark AI comps as estimates and keep scores already given', () => {
+      const comp = normalizeCompRecord({ address: '7 Ash St', price: 380000, link: 'https://example.com/7', qualityScore: 60 }, 'gemini');
+
+      expect(comp).toMatchObject({ propertyUrl: 'https://example.com/7', isReal: false, qualityScore: 60 });
+      expect(comp.provenance.confidence).toBe(0.4);
+      expect(typeof comp.provenance.fetchedAt).toBe('string');
+    });
+  });
+
+  describe('field-level merge', () => {
+    const zillow = normalizePropertyRecord({ bedrooms: 3, bathrooms: 2, livingArea: 1450 }, 'private_zillow', { fetchedAt });
+    const redfin = normalizePropertyRecord({ beds: 3, baths: 2, sqft: 1650, yearBuilt: 1978, lotSize: 6500 }, 'redfin', { fetchedAt });
+
+    it('should list the detail fields still worth asking for', () => {
+      expect(missingRecordFields(zillow)).toEqual(['yearBuilt', 'lotSize', 'propertyType']);
+      expect(missingRecordFields(mergePropertyRecords([zillow, redfin]))).toEqual(['propertyType']);
+      expect(missingRecordFields(zillow, ['beds', 'rentEstimate'])).toEqual(['rentEstimate']);
+      expect(getSourceConfidence('redfin_comps')).toBe(0.85);
+      expect(getSourceConfidence('county_records')).toBe(0.7);
+    });
+
+    it('should flag sqft disagreements beyond 10% with the kept value first', () => {
+      expect(findRecordConflicts([redfin, zillow])).toEqual([
+        {
+          field: 'sqft',
+          label: 'Square Feet',
+          spread: 0.138,
+          values: [
+            { source: 'private_zillow', value: 1450 },
+            { source: 'redfin', value: 1650 },
+          ],
+        },
+      ]);
+
+      const close = normalizePropertyRecord({ sqft: 1550 }, 'redfin', { fetchedAt });
+      expect(findRecordConflicts([zillow, close])).toEqual([]);
+    });
+
+    it('should let a user entry settle a conflict', () => {
+      const user = normalizePropertyRecord({ sqft: 1500 }, 'user', { fetchedAt: '' });
+      expect(findRecordConflicts([zillow, redfin, user])).toEqual([]);
+    });
+
+    it('should turn conflicts into analysis alerts', () => {
+      expect(buildConflictAlerts(findRecordConflicts([zillow, redfin]))).toEqual([
+        {
+          type: 'warning',
+          category: 'data',
+          message: 'Square Feet differs by 14% between sources (Private Zillow 1,450 vs Redfin 1,650); using Private Zillow, verify before relying on it',
+        },
+      ]);
+    });
+  });
+
+  describe('mergeCompRecords', () => {
+    const zillowComps = [
+      normalizeCompRecord({ streetAddress: '9 Elm Street', soldPrice: 410000, bedrooms: 3, bathrooms: 2, livingArea: 1500 }, 'private_zillow', { fetchedAt }),
+      normalizeCompRecord({ streetAddress: '15 Birch Rd', soldPrice: 385000, bedrooms: 3, bathrooms: 2, livingArea: 1400, yearBuilt: 1990, dateSold: '2026-03-02' }, 'private_zillow', { fetchedAt }),
+    ];
+    const redfinComps = [
+      normalizeCompRecord({ address: '9 Elm St.', price: 455000, beds: 3, baths: 2, sqft: 1520, yearBuilt: 1982, soldDate: '2026-05-01' }, 'redfin', { fetchedAt }),
+      normalizeCompRecord({ address: '40 Cedar Ave', price: 399000, beds: 4, baths: 2, sqft: 1800 }, 'redfin', { fetchedAt }),
+    ];
+
+    it('should fill gaps from another source\'s listing of the same sale', () => {
+      expect(missingCompFields(zillowComps)).toEqual(['yearBuilt', 'saleDate']);
+
+      const merged = mergeCompRecords(zillowComps, redfinComps);
+
+      expect(merged).toHaveLength(2);
+      expect(merged[0]).toMatchObject({ address: '9 Elm Street', price: 410000, sqft: 1500, yearBuilt: 1982, saleDate: '2026-05-01' });
+      expect(merged[0].provenance.source).toBe('private_zillow');
+      expect(merged[0].fieldProvenance).toEqual({
+        yearBuilt: { source: 'redfin', fetchedAt, confidence: 0.85 },
+        saleDate: { source: 'redfin', fetchedAt, confidence: 0.85 },
+      });
+      expect(merged[1]).toBe(zillowComps[1]);
+      expect(missingCompFields(merged)).toEqual([]);
+      expect(zillowComps[0].yearBuilt).toBeUndefined();
+    });
+
+    it('should record price disagreements on the comp', () => {
+      const [comp] = mergeCompRecords(zillowComps, redfinComps);
+
+      expect(comp.conflicts).toEqual([
+        {
+          field: 'price',
+          label: 'Sale Price',
+          address: '9 Elm Street',
+          spread: 0.11,
+          values: [
+            { source: 'private_zillow', value: 410000 },
+            { source: 'redfin', value: 455000 },
+          ],
+        },
+      ]);
+      expect(buildConflictAlerts(comp.conflicts)[0].message).toBe(
+        'Comp 9 Elm Street sale price differs by 11% between sources (Private Zillow $410,000 vs Redfin $455,000); using Private Zillow, verify before relying on it'
+      );
+    });
+
+    it('should not complete real comps from AI estimates', () => {
+      const gemini = [normalizeCompRecord({ address: '15 Birch Rd', price: 500000, sqft: 2000, yearBuilt: 2001 }, 'gemini')];
+      expect(mergeCompRecords([zillowComps[0]], [{ ...gemini[0], address: '9 Elm Street' }])).toEqual([zillowComps[0]]);
+    });
+  });
+});
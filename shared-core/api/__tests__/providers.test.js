@@ -0,0 +1,195 @@
+/**
+ * Tests for the data provider registry
+ */
+
+import {
+  buildProviderRequest,
+  getDataProvider,
+  getDataProviders,
+  getProvidersFor,
+  normalizeProviderData,
+  normalizeProviderResult,
+  providerSupports,
+  registerProvider,
+  unregisterProvider,
+  validateProvider,
+} from '../providers.js';
+import { getAPICallOrder, getAPIOptions, getAvailableAPIs, getDefaultPriority, isValidAPIId } from '../../utils/apiSelector.js';
+import { getAPIBaseURL, getAPINameFromURL } from '../../utils/usageTracking.js';
+
+const query = { address: '123 Main St', city: 'Austin', state: 'TX', zip: '78701', zpid: '29384756' };
+
+// A minimal provider that only does rental comps
+const rentOnly = {
+  id: 'rent_only',
+  name: 'Rent Only',
+  description: 'Rental listings (500/month)',
+  icon: '🔑',
+  priority: 5,
+  quota: { limit: 500, period: 'month' },
+  host: 'rent-only.p.rapidapi.com',
+  baseUrl: 'https://rent-only.p.rapidapi.com',
+  endpointPath: function(endpoint) {
+    return endpoint === 'RENTALS' ? '/rentals' : '';
+  },
+  capabilities: {
+    rentComps: function(q) {
+      return {
+        endpoint: 'RENTALS',
+        params: { zip: q.zip },
+        parser: function(response) {
+          return {
+            error: false,
+            rentalComps: response.listings.map(function(listing) {
+              return { streetAddress: listing.street, price: listing.monthly, bedrooms: listing.br };
+            }),
+          };
+        },
+      };
+    },
+  },
+};
+
+describe('Data Provider Registry', () => {
+  afterEach(() => {
+    unregisterProvider('rent_only');
+  });
+
+  describe('built-in providers', () => {
+    it('should list the four sources in priority order', () => {
+      expect(getDataProviders().map((provider) => provider.id)).toEqual([
+        'private_zillow',
+        'us_real_estate',
+        'redfin',
+        'gemini',
+      ]);
+      getDataProviders().forEach((provider) => {
+        expect(validateProvider(provider)).toEqual({ valid: true, errors: [] });
+      });
+    });
+
+    it('should answer which providers can do what', () => {
+      expect(getProvidersFor('schools').map((provider) => provider.id)).toEqual(['us_real_estate']);
+      expect(getProvidersFor('propertyDetails').map((provider) => provider.id)).toEqual(['private_zillow', 'redfin']);
+      expect(providerSupports('gemini', 'comps')).toBe(true);
+      expect(providerSupports('gemini', 'valuation')).toBe(false);
+      expect(providerSupports('zillow', 'comps')).toBe(false);
+    });
+
+    it('should feed the API selector options and priority', () => {
+      expect(getDefaultPriority()).toEqual(['private_zillow', 'us_real_estate', 'redfin', 'gemini']);
+      expect(getAPIOptions().redfin).toEqual({
+        id: 'redfin',
+        name: 'Redfin',
+        description: 'Good quality data (111/month)',
+        quota: { limit: 111, period: 'month' },
+        priority: 3,
+        icon: '🏡',
+      });
+      expect(getAPIOptions().auto.isDefault).toBe(true);
+      expect(getAPICallOrder('redfin')).toEqual(['redfin', 'private_zillow', 'us_real_estate', 'gemini']);
+    });
+  });
+
+  describe('normalized results', () => {
+    it('should map each provider\'s comps onto the same fields with their source', () => {
+      const zillow = buildProviderRequest('private_zillow', 'comps', query).parser({
+        comps: [{ streetAddress: '9 Elm St', soldPrice: 410000, livingArea: 1500, bedrooms: 3, bathrooms: 2, dateSold: '2026-05-01', detailUrl: 'https://zillow.com/9' }],
+      });
+      const redfin = buildProviderRequest('redfin', 'comps', query).parser({
+        comps: [{ address: '11 Oak St', price: 395000, sqft: 1450, beds: 3, baths: 2, saleDate: '2026-04-12', url: 'https://redfin.com/11' }],
+      });
+
+      expect(zillow.data[0]).toMatchObject({
+        address: '9 Elm St',
+        price: 410000,
+        sqft: 1500,
+        beds: 3,
+        saleDate: '2026-05-01',
+        propertyUrl: 'https://zillow.com/9',
+        isReal: true,
+        source: 'private_zillow',
+      });
+      expect(Object.keys(redfin.data[0])).toEqual(Object.keys(zillow.data[0]));
+      expect(redfin.data[0]).toMatchObject({ address: '11 Oak St', propertyUrl: 'https://redfin.com/11', source: 'redfin' });
+    });
+
+    it('should normalize single-record capabilities', () => {
+      const valuation = buildProviderRequest('us_real_estate', 'valuation', query).parser({ estimate: 402000 });
+      expect(valuation).toEqual({
+        error: false,
+        capability: 'valuation',
+        source: 'us_real_estate',
+        data: { value: 402000, low: null, high: null, source: 'us_real_estate' },
+      });
+
+      expect(normalizeProviderResult('noise', { error: false, score: 44 }, 'us_real_estate').data.noiseScore).toBe(44);
+    });
+
+    it('should give a platform fetcher\'s records the registry parser\'s shape', () => {
+      const parsed = buildProviderRequest('redfin', 'comps', query).parser({
+        comps: [{ address: '11 Oak St', price: 395000, sqft: 1450 }],
+      });
+      const fetched = normalizeProviderData('comps', [{ address: '11 Oak St', soldPrice: 395000, livingArea: 1450 }], 'redfin');
+
+      expect(Object.keys(fetched[0])).toEqual(Object.keys(parsed.data[0]));
+      expect(fetched[0]).toMatchObject({ address: '11 Oak St', price: 395000, sqft: 1450, source: 'redfin' });
+      expect(normalizeProviderData('propertyDetails', null, 'redfin')).toBeNull();
+      expect(normalizeProviderData('comps', null, 'redfin')).toEqual([]);
+    });
+
+    it('should pass provider errors through', () => {
+      expect(buildProviderRequest('redfin', 'comps', { city: 'Austin' })).toMatchObject({ error: true });
+      expect(buildProviderRequest('redfin', 'schools', query).message).toBe('Redfin does not provide schools');
+      expect(buildProviderRequest('redfin', 'comps', query).parser(null)).toMatchObject({ error: true });
+      expect(buildProviderRequest('nope', 'comps', query).message).toBe('Unknown data provider: nope');
+    });
+  });
+
+  describe('registering a provider', () => {
+    it('should make a new source available everywhere from one definition', () => {
+      expect(registerProvider(rentOnly)).toEqual({ error: false, provider: rentOnly });
+
+      expect(getDataProvider('rent_only')).toBe(rentOnly);
+      expect(getProvidersFor('rentComps').map((provider) => provider.id)).toContain('rent_only');
+      expect(getAPICallOrder('auto')).toEqual(['private_zillow', 'us_real_estate', 'redfin', 'gemini', 'rent_only']);
+      expect(getAvailableAPIs().map((option) => option.id)).toContain('rent_only');
+      expect(isValidAPIId('rent_only')).toBe(true);
+      expect(getAPINameFromURL('https://rent-only.p.rapidapi.com/rentals?zip=78701')).toBe('rent_only');
+      expect(getAPIBaseURL('rent_only')).toBe('https://rent-only.p.rapidapi.com');
+
+      const request = buildProviderRequest('rent_only', 'rentComps', query);
+      expect(request).toMatchObject({ endpoint: 'RENTALS', method: 'GET', params: { zip: '78701' } });
+      expect(request.parser({ listings: [{ street: '5 Pine St', monthly: 1950, br: 2 }] }).data).toEqual([
+        { address: '5 Pine St', rent: 1950, beds: 2, baths: 0, sqft: 0, propertyUrl: '', dataSource: '', source: 'rent_only' },
+      ]);
+    });
+
+    it('should reject definitions that break the contract', () => {
+      const result = registerProvider({
+        ...rentOnly,
+        id: 'Rent Only',
+        quota: { limit: 500, period: 'week' },
+        capabilities: { rentals: () => ({}), comps: 'yes' },
+      });
+
+      expect(result.error).toBe(true);
+      expect(result.errors).toEqual([
+        'Provider ID must be lowercase letters, digits and underscores (and not "auto")',
+        'Provider quota needs a positive limit per month or day',
+        'Unknown capability: rentals',
+        'Capability comps must be a request builder function',
+      ]);
+      expect(getDataProviders()).toHaveLength(4);
+    });
+
+    it('should let a registered definition replace a built-in one', () => {
+      const redfin = getDataProvider('redfin');
+      registerProvider({ ...redfin, priority: 0.5 });
+
+      expect(getAPICallOrder('auto')[0]).toBe('redfin');
+      unregisterProvider('redfin');
+      expect(getDataProvider('redfin')).toBe(redfin);
+    });
+  });
+});
@@ -98,8 +98,9 @@ const GEMINI_ENDPOINTS = {
 /**
  * API Quota Limits (UPDATED for new APIs)
  * NOTE: Actual usage tracked via X-RapidAPI-* response headers
+ * Named apart from utils/quota.js's API_QUOTAS, which shares Apps Script's global scope
  */
-const API_QUOTAS = {
+const ENDPOINT_QUOTAS = {
   // Priority 1: Private Zillow (250/month)
   PRIVATE_ZILLOW_MONTHLY_LIMIT: 250,
   PRIVATE_ZILLOW_THRESHOLD: 225, // 90% threshold
@@ -122,7 +123,7 @@ const API_QUOTAS = {
  * @param {string} endpoint - Endpoint key from PRIVATE_ZILLOW_ENDPOINTS
  * @returns {string} Full endpoint path
  */
-function getPrivateZillowEndpoint(endpoint) {
+export function getPrivateZillowEndpoint(endpoint) {
   return PRIVATE_ZILLOW_ENDPOINTS[endpoint] || '';
 }
 
@@ -131,7 +132,7 @@ function getPrivateZillowEndpoint(endpoint) {
  * @param {string} endpoint - Endpoint key from REDFIN_ENDPOINTS
  * @returns {string} Full endpoint path
  */
-function getRedfinEndpoint(endpoint) {
+export function getRedfinEndpoint(endpoint) {
   return REDFIN_ENDPOINTS[endpoint] || '';
 }
 
@@ -140,7 +141,7 @@ function getRedfinEndpoint(endpoint) {
  * @param {string} endpoint - Endpoint key from US_REAL_ESTATE_ENDPOINTS
  * @returns {string} Full endpoint path
  */
-function getUSRealEstateEndpoint(endpoint) {
+export function getUSRealEstateEndpoint(endpoint) {
   return US_REAL_ESTATE_ENDPOINTS[endpoint] || '';
 }
 
@@ -149,7 +150,7 @@ function getUSRealEstateEndpoint(endpoint) {
  * @param {string} endpoint - Endpoint key from GEMINI_ENDPOINTS
  * @returns {string} Full endpoint path
  */
-function getGeminiEndpoint(endpoint) {
+export function getGeminiEndpoint(endpoint) {
   return GEMINI_ENDPOINTS[endpoint] || '';
 }
 
@@ -161,7 +162,7 @@ function getGeminiEndpoint(endpoint) {
  */
 function getAPIQuotaLimit(apiName, period) {
   const key = `${apiName.toUpperCase()}_${period.toUpperCase()}_LIMIT`;
-  return API_QUOTAS[key] || 0;
+  return ENDPOINT_QUOTAS[key] || 0;
 }
 
 /**
@@ -171,5 +172,5 @@ function getAPIQuotaLimit(apiName, period) {
  */
 function getAPIQuotaThreshold(apiName) {
   const key = `${apiName.toUpperCase()}_THRESHOLD`;
-  return API_QUOTAS[key] || 0;
+  return ENDPOINT_QUOTAS[key] || 0;
 }
@@ -6,9 +6,14 @@
  * Gemini AI API integration functions
  * Platform-agnostic - HTTP calls handled by platform adapters
  *
+ * The comps builders are named build*Request rather than fetch*FromGemini
+ * so the Apps Script bridge's fetchers of that name don't shadow them.
+ *
  * @module shared-core/api/gemini
  */
 
+import { getGeminiEndpoint } from './endpoints.js';
+
 /**
  * Parse Gemini API response and handle errors
  * @param {Object} response - Raw API response
@@ -35,7 +40,7 @@ function parseGeminiResponse(response, endpoint) {
  * @param {string} zip - Zip code
  * @returns {Object} { error: boolean, comps?: Array, message?: string }
  */
-function fetchCompsFromGemini(address, city, state, zip) {
+function buildGeminiCompsRequest(address, city, state, zip) {
   // Validate input
   if (!address || !city || !state || !zip) {
     return { error: true, message: 'Address, city, state, and zip are required' };
@@ -119,7 +124,7 @@ Do NOT include markdown or explanations.
  * @param {string} zip - Zip code
  * @returns {Object} { error: boolean, rentalComps?: Array, message?: string }
  */
-function fetchRentalCompsFromGemini(address, city, state, zip) {
+function buildGeminiRentalCompsRequest(address, city, state, zip) {
   // Validate input
   if (!address || !city || !state || !zip) {
     return { error: true, message: 'Address, city, state, and zip are required' };
@@ -318,3 +323,30 @@ Do NOT include markdown or explanations outside the JSON.
     }
   };
 }
+
+/**
+ * Gemini AI as a data provider (see providers.js for the contract)
+ * Its comps are AI-generated, so they come back with isReal false
+ * @type {import('./providers.js').DataProvider}
+ */
+export const GEMINI_PROVIDER = {
+  id: 'gemini',
+  name: 'Gemini AI',
+  description: 'AI-powered fallback (1500/day)',
+  icon: '🤖',
+  priority: 4,
+  quota: { limit: 1500, period: 'day' },
+  host: 'generativelanguage.googleapis.com',
+  baseUrl: 'https://generativelanguage.googleapis.com',
+  endpointPath: function(endpoint) {
+    return getGeminiEndpoint(endpoint);
+  },
+  capabilities: {
+    comps: function(query) {
+      return buildGeminiCompsRequest(query.address, query.city, query.state, query.zip);
+    },
+    rentComps: function(query) {
+      return buildGeminiRentalCompsRequest(query.address, query.city, query.state, query.zip);
+    }
+  }
+};
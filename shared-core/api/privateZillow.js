@@ -15,6 +15,8 @@
  * @module shared-core/api/privateZillow
  */
 
+import { getPrivateZillowEndpoint } from './endpoints.js';
+
 /**
  * Parse Private Zillow API response and handle errors
  * @param {Object} response - Raw API response
@@ -293,3 +295,36 @@ function fetchPrivateZillowMarketTrends(zpid) {
   };
 }
 
+
+/**
+ * Private Zillow as a data provider (see providers.js for the contract)
+ * @type {import('./providers.js').DataProvider}
+ */
+export const PRIVATE_ZILLOW_PROVIDER = {
+  id: 'private_zillow',
+  name: 'Private Zillow',
+  description: 'Highest quality data (250/month)',
+  icon: '🏠',
+  priority: 1,
+  quota: { limit: 250, period: 'month' },
+  host: 'private-zillow.p.rapidapi.com',
+  baseUrl: 'https://private-zillow.p.rapidapi.com',
+  endpointPath: function(endpoint) {
+    return getPrivateZillowEndpoint(endpoint);
+  },
+  capabilities: {
+    propertyDetails: function(query) {
+      return fetchPrivateZillowPropertyDetails(query.address, query.city, query.state, query.zip);
+    },
+    // Comps, Zestimate and history are keyed on the Zillow property ID
+    comps: function(query) {
+      return fetchPrivateZillowPropertyComps(query.zpid);
+    },
+    valuation: function(query) {
+      return fetchPrivateZillowZestimate(query.zpid);
+    },
+    priceHistory: function(query) {
+      return fetchPrivateZillowPriceHistory(query.zpid);
+    }
+  }
+};
@@ -0,0 +1,590 @@
+/**
+ * ===============================
+ * CANONICAL PROPERTY & COMP RECORDS
+ * ===============================
+ *
+ * One schema for subject-property and comp data whatever the source, with
+ * provenance: every property field remembers which source supplied it, when
+ * it was fetched and how far that source is trusted.
+ *
+ * Each provider names things its own way (zpid vs property_id, livingArea vs
+ * sqft, dateSold vs sold_date, nested description.sqft...), so each has a
+ * field map below. The maps read both the raw API payloads and the parsed
+ * results in shared-core/api; the user's own form entries already use the
+ * canonical names.
+ *
+ * Merge rules for a property built from several records:
+ * 1. A value the user entered always wins
+ * 2. Otherwise the most trusted source (SOURCE_CONFIDENCE)
+ * 3. Then the most recently fetched, then the earlier record
+ * Empty values (missing, blank, or 0 for numbers - parsers fill 0 for
+ * "not returned") never win.
+ *
+ * Sources that disagree by more than RECORD_CONFLICT_TOLERANCE on a field
+ * are reported as conflicts, so the analysis can flag them instead of
+ * silently picking one.
+ *
+ * @module shared-core/api/propertyRecord
+ */
+
+import { getDataProvider, getDataProviders } from './providers.js';
+
+/**
+ * Canonical subject-property fields
+ */
+export const PROPERTY_RECORD_FIELDS = {
+  beds: { label: 'Beds', type: 'number' },
+  baths: { label: 'Baths', type: 'number' },
+  sqft: { label: 'Square Feet', type: 'number' },
+  yearBuilt: { label: 'Year Built', type: 'number' },
+  lotSize: { label: 'Lot Size (sqft)', type: 'number' },
+  propertyType: { label: 'Property Type', type: 'text' },
+  listPrice: { label: 'List Price', type: 'currency' },
+  estimatedValue: { label: 'Estimated Value', type: 'currency' },
+  rentEstimate: { label: 'Rent Estimate', type: 'currency' },
+  schoolRating: { label: 'School Rating', type: 'number' },
+  noiseScore: { label: 'Noise Score', type: 'number' },
+  latitude: { label: 'Latitude', type: 'number' },
+  longitude: { label: 'Longitude', type: 'number' },
+  zpid: { label: 'Zillow ID', type: 'text' },
+  propertyId: { label: 'Listing ID', type: 'text' }
+};
+
+/**
+ * Canonical comp fields
+ */
+export const COMP_RECORD_FIELDS = {
+  address: { type: 'text' },
+  city: { type: 'text' },
+  state: { type: 'text' },
+  zip: { type: 'text' },
+  price: { type: 'currency' },
+  beds: { type: 'number' },
+  baths: { type: 'number' },
+  sqft: { type: 'number' },
+  units: { type: 'number' },
+  yearBuilt: { type: 'number' },
+  propertyType: { type: 'text' },
+  saleDate: { type: 'text' },
+  distance: { type: 'number' },
+  condition: { type: 'text' },
+  propertyUrl: { type: 'text' },
+  latitude: { type: 'number' },
+  longitude: { type: 'number' },
+  zpid: { type: 'text' },
+  propertyId: { type: 'text' }
+};
+
+/**
+ * How far each source is trusted, 0-1. Registered providers without an
+ * entry get DEFAULT_SOURCE_CONFIDENCE.
+ */
+export const SOURCE_CONFIDENCE = {
+  user: 1,
+  private_zillow: 0.95,
+  us_real_estate: 0.9,
+  redfin: 0.85,
+  gemini: 0.4,
+  default: 0.1 // Placeholder details used when every API failed
+};
+
+const DEFAULT_SOURCE_CONFIDENCE = 0.7;
+
+/**
+ * Sources trusted less than this are never queried just to fill a gap
+ * (an AI guess shouldn't complete a real listing)
+ */
+export const MIN_MERGE_CONFIDENCE = 0.5;
+
+/**
+ * Subject-property fields worth asking another source for when the first
+ * one left them out
+ */
+export const DETAIL_MERGE_FIELDS = ['beds', 'baths', 'sqft', 'yearBuilt', 'lotSize', 'propertyType'];
+
+/**
+ * Comp fields worth filling from another source's copy of the same sale
+ */
+export const COMP_MERGE_FIELDS = ['beds', 'baths', 'sqft', 'yearBuilt', 'saleDate'];
+
+/**
+ * How far two sources may disagree on a field before it's a conflict, as a
+ * fraction of the smaller value (0 = any difference). Fields not listed
+ * are not checked.
+ */
+export const RECORD_CONFLICT_TOLERANCE = {
+  beds: 0,
+  baths: 0,
+  sqft: 0.10,
+  lotSize: 0.20,
+  listPrice: 0.10,
+  estimatedValue: 0.15,
+  rentEstimate: 0.15,
+  price: 0.10
+};
+
+/**
+ * Where each source keeps each canonical field, first match wins. Dotted
+ * paths read nested objects. A field without an entry is read by its
+ * canonical name.
+ */
+export const SOURCE_FIELD_PATHS = {
+  private_zillow: {
+    beds: ['bedrooms', 'beds'],
+    baths: ['bathrooms', 'baths'],
+    sqft: ['livingArea', 'livingAreaValue', 'sqft'],
+    lotSize: ['lotSize', 'lotAreaValue'],
+    propertyType: ['propertyType', 'homeType'],
+    listPrice: ['listPrice', 'price'],
+    estimatedValue: ['zestimate', 'value'],
+    rentEstimate: ['rentZestimate', 'rentEstimate'],
+    address: ['address', 'streetAddress', 'address.streetAddress'],
+    city: ['city', 'address.city'],
+    state: ['state', 'address.state'],
+    zip: ['zip', 'zipcode', 'address.zipcode'],
+    price: ['price', 'soldPrice', 'lastSoldPrice'],
+    saleDate: ['saleDate', 'dateSold', 'soldDate'],
+    propertyUrl: ['propertyUrl', 'detailUrl', 'hdpUrl', 'link'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lng']
+  },
+  us_real_estate: {
+    beds: ['beds', 'description.beds'],
+    baths: ['baths', 'description.baths'],
+    sqft: ['sqft', 'description.sqft'],
+    yearBuilt: ['yearBuilt', 'year_built', 'description.year_built'],
+    lotSize: ['lotSize', 'lot_sqft', 'description.lot_sqft'],
+    propertyType: ['propertyType', 'description.type', 'type'],
+    listPrice: ['listPrice', 'list_price'],
+    estimatedValue: ['estimate', 'estimatedValue', 'value'],
+    schoolRating: ['schoolRating', 'avgRating'],
+    noiseScore: ['noiseScore', 'score'],
+    propertyId: ['propertyId', 'property_id'],
+    address: ['address', 'location.address.line'],
+    city: ['city', 'location.address.city'],
+    state: ['state', 'location.address.state_code'],
+    zip: ['zip', 'location.address.postal_code'],
+    price: ['price', 'list_price', 'description.sold_price'],
+    saleDate: ['saleDate', 'sold_date', 'description.sold_date', 'list_date'],
+    propertyUrl: ['propertyUrl', 'href', 'permalink', 'link'],
+    latitude: ['latitude', 'lat', 'location.address.coordinate.lat'],
+    longitude: ['longitude', 'lon', 'location.address.coordinate.lon']
+  },
+  redfin: {
+    beds: ['beds', 'bedrooms'],
+    baths: ['baths', 'bathrooms'],
+    sqft: ['sqft', 'livingArea'],
+    yearBuilt: ['yearBuilt', 'year_built'],
+    lotSize: ['lotSize', 'lot_size'],
+    propertyType: ['propertyType', 'homeType'],
+    listPrice: ['listPrice', 'price'],
+    propertyId: ['propertyId', 'property_id'],
+    address: ['address', 'streetAddress'],
+    price: ['price', 'soldPrice'],
+    saleDate: ['saleDate', 'soldDate'],
+    propertyUrl: ['propertyUrl', 'url', 'link'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lng']
+  },
+  gemini: {
+    propertyUrl: ['propertyUrl', 'link']
+  }
+};
+
+/**
+ * @typedef {Object} FieldProvenance
+ * @property {string} source - Provider ID, 'user' or 'default'
+ * @property {string} fetchedAt - ISO timestamp ('' when unknown)
+ * @property {number} confidence - 0-1
+ */
+
+/**
+ * @typedef {Object} PropertyRecord
+ * @property {Object<string, *>} values - Canonical field values
+ * @property {Object<string, FieldProvenance>} provenance - Where each value came from
+ */
+
+/**
+ * @typedef {Object} RecordConflict
+ * @property {string} field - Canonical field name
+ * @property {string} label - Display label
+ * @property {string} [address] - Comp address, for comp conflicts
+ * @property {number} spread - Disagreement as a fraction of the smaller value
+ * @property {Array<{source: string, value: number}>} values - Each source's value, the one used first
+ */
+
+/**
+ * Provider ID for a source or dataSource tag ('redfin_comps' -> 'redfin')
+ * @param {string} source
+ * @returns {string} Provider ID, 'user', 'default', or the source unchanged
+ */
+export function resolveRecordSource(source) {
+  if (!source) return 'default';
+  if (source === 'user' || source === 'user-provided') return 'user';
+
+  const matches = getDataProviders().filter(function(provider) {
+    return source === provider.id || source.indexOf(provider.id + '_') === 0;
+  });
+  return matches.length > 0 ? matches[0].id : source;
+}
+
+/**
+ * How far a source is trusted
+ * @param {string} source - Provider ID or dataSource tag, 'user' or 'default'
+ * @returns {number} 0-1
+ */
+export function getSourceConfidence(source) {
+  const confidence = SOURCE_CONFIDENCE[resolveRecordSource(source)];
+  return typeof confidence === 'number' ? confidence : DEFAULT_SOURCE_CONFIDENCE;
+}
+
+/**
+ * Provenance for values from a source
+ * @param {string} source - Provider ID, 'user' or 'default'
+ * @param {Object} options - { fetchedAt, confidence } overrides
+ * @returns {FieldProvenance}
+ */
+function recordProvenance(source, options) {
+  const opts = options || {};
+
+  return {
+    source: source,
+    fetchedAt: opts.fetchedAt !== undefined ? opts.fetchedAt : new Date().toISOString(),
+    confidence: typeof opts.confidence === 'number' ? opts.confidence : getSourceConfidence(source)
+  };
+}
+
+/**
+ * Whether a value counts as missing for a field type
+ * @param {*} value
+ * @param {string} type - number, currency, text
+ * @returns {boolean}
+ */
+function isEmptyRecordValue(value, type) {
+  if (value === null || value === undefined || value === '') return true;
+  if (typeof value === 'object') return true; // Unresolved nested object
+  if (type === 'number' || type === 'currency') {
+    return isNaN(Number(value)) || Number(value) === 0;
+  }
+  return false;
+}
+
+/**
+ * Read a canonical field from a raw object through the source's field map
+ * @param {Object} raw
+ * @param {string} source - Provider ID, 'user' or 'default'
+ * @param {string} field
+ * @param {string} type
+ * @returns {*} Value, or undefined if the source didn't supply one
+ */
+function readRecordField(raw, source, field, type) {
+  const map = SOURCE_FIELD_PATHS[source] || {};
+  const paths = map[field] || [field];
+
+  for (let i = 0; i < paths.length; i++) {
+    const value = paths[i].split('.').reduce(function(node, key) {
+      return node !== null && node !== undefined ? node[key] : undefined;
+    }, raw);
+
+    if (!isEmptyRecordValue(value, type)) {
+      return type === 'text' ? String(value) : Number(value);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Subject-property record from one source's data
+ * @param {Object} raw - Raw API payload, parsed result, or the user's form data
+ * @param {string} source - Provider ID or dataSource tag, 'user' or 'default'
+ * @param {Object} [options] - { fetchedAt, confidence } overrides
+ * @returns {PropertyRecord}
+ */
+export function normalizePropertyRecord(raw, source, options) {
+  const resolved = resolveRecordSource(source);
+  const provenance = recordProvenance(resolved, options);
+  const record = { values: {}, provenance: {} };
+  if (!raw || typeof raw !== 'object') return record;
+
+  Object.keys(PROPERTY_RECORD_FIELDS).forEach(function(field) {
+    const value = readRecordField(raw, resolved, field, PROPERTY_RECORD_FIELDS[field].type);
+    if (value !== undefined) {
+      record.values[field] = value;
+      record.provenance[field] = provenance;
+    }
+  });
+
+  return record;
+}
+
+/**
+ * Canonical comp from one source's data. A comp comes from a single
+ * source, so its provenance is for the whole record.
+ * @param {Object} raw - Raw API listing or parsed comp
+ * @param {string} source - Provider ID or dataSource tag
+ * @param {Object} [options] - { fetchedAt, confidence } overrides
+ * @returns {Object} Comp with the canonical fields, dataSource, isReal, qualityScore and provenance
+ */
+export function normalizeCompRecord(raw, source, options) {
+  const data = raw || {};
+  const resolved = resolveRecordSource(source || data.dataSource);
+  const comp = { address: '', city: '', state: '', zip: '', price: 0 };
+
+  Object.keys(COMP_RECORD_FIELDS).forEach(function(field) {
+    const value = readRecordField(data, resolved, field, COMP_RECORD_FIELDS[field].type);
+    if (value !== undefined) comp[field] = value;
+  });
+
+  comp.dataSource = data.dataSource || resolved;
+  comp.isReal = typeof data.isReal === 'boolean' ? data.isReal : resolved !== 'gemini';
+  if (typeof data.qualityScore === 'number') comp.qualityScore = data.qualityScore;
+  comp.provenance = recordProvenance(resolved, options);
+
+  return comp;
+}
+
+/**
+ * Merge property records field by field (see the rules at the top)
+ * @param {Array<PropertyRecord>} records - In priority order for ties
+ * @returns {PropertyRecord}
+ */
+export function mergePropertyRecords(records) {
+  const merged = { values: {}, provenance: {} };
+
+  (records || []).forEach(function(record) {
+    if (!record || !record.values) return;
+
+    Object.keys(record.values).forEach(function(field) {
+      const candidate = record.provenance[field];
+      const current = merged.provenance[field];
+      if (!candidate) return;
+
+      if (!current || outranksProvenance(candidate, current)) {
+        merged.values[field] = record.values[field];
+        merged.provenance[field] = candidate;
+      }
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Whether a candidate value's provenance beats the one already chosen
+ * @param {FieldProvenance} candidate
+ * @param {FieldProvenance} current
+ * @returns {boolean}
+ */
+function outranksProvenance(candidate, current) {
+  const candidateIsUser = candidate.source === 'user';
+  const currentIsUser = current.source === 'user';
+  if (candidateIsUser !== currentIsUser) return candidateIsUser;
+
+  if (candidate.confidence !== current.confidence) {
+    return candidate.confidence > current.confidence;
+  }
+  return (candidate.fetchedAt || '') > (current.fetchedAt || '');
+}
+
+/**
+ * Fields a record has no value for
+ * @param {PropertyRecord} record
+ * @param {Array<string>} [fields] - Fields to check (default DETAIL_MERGE_FIELDS)
+ * @returns {Array<string>}
+ */
+export function missingRecordFields(record, fields) {
+  const values = (record && record.values) || {};
+  return (fields || DETAIL_MERGE_FIELDS).filter(function(field) {
+    return values[field] === undefined;
+  });
+}
+
+/**
+ * Display label for a conflicting field
+ * @param {string} field
+ * @returns {string}
+ */
+function conflictFieldLabel(field) {
+  if (field === 'price') return 'Sale Price';
+  return PROPERTY_RECORD_FIELDS[field] ? PROPERTY_RECORD_FIELDS[field].label : field;
+}
+
+/**
+ * Compare one field's values across sources
+ * @param {string} field
+ * @param {Array<{source: string, value: *}>} values - In merge order
+ * @returns {RecordConflict|null}
+ */
+function compareFieldValues(field, values) {
+  const tolerance = RECORD_CONFLICT_TOLERANCE[field];
+  const numbers = values.filter(function(entry) {
+    return typeof entry.value === 'number' && entry.value > 0;
+  });
+  if (typeof tolerance !== 'number' || numbers.length < 2) return null;
+
+  const sorted = numbers.map(function(entry) { return entry.value; }).sort(function(a, b) { return a - b; });
+  const spread = (sorted[sorted.length - 1] - sorted[0]) / sorted[0];
+  if (spread <= tolerance) return null;
+
+  return {
+    field: field,
+    label: conflictFieldLabel(field),
+    spread: Math.round(spread * 1000) / 1000,
+    values: numbers
+  };
+}
+
+/**
+ * Fields where the sources behind a merged property disagree beyond
+ * RECORD_CONFLICT_TOLERANCE, the value the merge kept listed first. A user
+ * entry settles the field, so fields the user supplied are not reported.
+ * @param {Array<PropertyRecord>} records - The records that were merged
+ * @returns {Array<RecordConflict>}
+ */
+export function findRecordConflicts(records) {
+  const merged = mergePropertyRecords(records);
+  const byField = {};
+  const settled = {};
+
+  (records || []).forEach(function(record) {
+    if (!record || !record.values) return;
+
+    Object.keys(record.values).forEach(function(field) {
+      const source = record.provenance[field] ? record.provenance[field].source : 'default';
+      if (source === 'user') settled[field] = true;
+      if (source === 'user' || source === 'default') return;
+
+      byField[field] = (byField[field] || []).concat([{ source: source, value: record.values[field] }]);
+    });
+  });
+
+  return Object.keys(byField).reduce(function(conflicts, field) {
+    if (settled[field]) return conflicts;
+
+    const kept = merged.provenance[field].source;
+    const values = byField[field].filter(function(entry) { return entry.source === kept; })
+      .concat(byField[field].filter(function(entry) { return entry.source !== kept; }));
+    const conflict = compareFieldValues(field, values);
+    return conflict ? conflicts.concat([conflict]) : conflicts;
+  }, []);
+}
+
+/**
+ * Key two sources' listings of the same comp match on
+ * @param {string} address
+ * @returns {string}
+ */
+function compAddressKey(address) {
+  return String(address || '')
+    .toLowerCase()
+    .replace(/[.,#]/g, ' ')
+    .replace(/\bstreet\b/g, 'st')
+    .replace(/\bavenue\b/g, 'ave')
+    .replace(/\broad\b/g, 'rd')
+    .replace(/\bdrive\b/g, 'dr')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Comp fields that at least one comp is missing
+ * @param {Array<Object>} comps - Canonical comps
+ * @param {Array<string>} [fields] - Fields to check (default COMP_MERGE_FIELDS)
+ * @returns {Array<string>}
+ */
+export function missingCompFields(comps, fields) {
+  return (fields || COMP_MERGE_FIELDS).filter(function(field) {
+    return (comps || []).some(function(comp) {
+      return isEmptyRecordValue(comp[field], COMP_RECORD_FIELDS[field].type);
+    });
+  });
+}
+
+/**
+ * Fill gaps in a comp set from other sources' listings of the same sales
+ * (matched by address). The comp set itself doesn't change - extra listings
+ * only complete or cross-check comps already in it. Filled fields get their
+ * own entry in the comp's fieldProvenance, and disagreements are added to
+ * the comp's conflicts.
+ * @param {Array<Object>} comps - Canonical comps (normalizeCompRecord)
+ * @param {Array<Object>} extraComps - Canonical comps from another source
+ * @returns {Array<Object>} New comp objects
+ */
+export function mergeCompRecords(comps, extraComps) {
+  const extrasByKey = {};
+  (extraComps || []).forEach(function(extra) {
+    if (extra.isReal === false) return;
+    const key = compAddressKey(extra.address);
+    if (key) extrasByKey[key] = (extrasByKey[key] || []).concat([extra]);
+  });
+
+  return (comps || []).map(function(comp) {
+    const matches = extrasByKey[compAddressKey(comp.address)] || [];
+    if (matches.length === 0) return comp;
+
+    const merged = Object.assign({}, comp);
+    const compSource = comp.provenance ? comp.provenance.source : resolveRecordSource(comp.dataSource);
+    let conflicts = comp.conflicts || [];
+
+    matches.forEach(function(match) {
+      const matchSource = match.provenance ? match.provenance.source : resolveRecordSource(match.dataSource);
+
+      COMP_MERGE_FIELDS.forEach(function(field) {
+        const type = COMP_RECORD_FIELDS[field].type;
+        if (isEmptyRecordValue(merged[field], type) && !isEmptyRecordValue(match[field], type)) {
+          merged[field] = match[field];
+          merged.fieldProvenance = Object.assign({}, merged.fieldProvenance);
+          merged.fieldProvenance[field] = match.provenance || recordProvenance(matchSource);
+        }
+      });
+
+      Object.keys(RECORD_CONFLICT_TOLERANCE).forEach(function(field) {
+        if (!COMP_RECORD_FIELDS[field]) return;
+        const conflict = compareFieldValues(field, [
+          { source: compSource, value: comp[field] },
+          { source: matchSource, value: match[field] }
+        ]);
+        if (conflict) {
+          conflict.address = comp.address;
+          conflicts = conflicts.concat([conflict]);
+        }
+      });
+    });
+
+    if (conflicts.length > 0) merged.conflicts = conflicts;
+    return merged;
+  });
+}
+
+/**
+ * Display name for a source in alerts
+ * @param {string} source
+ * @returns {string}
+ */
+function sourceDisplayName(source) {
+  const provider = getDataProvider(source);
+  return provider ? provider.name : source;
+}
+
+/**
+ * Analysis alerts for data conflicts
+ * @param {Array<RecordConflict>} conflicts
+ * @returns {Array<{type: string, category: string, message: string}>}
+ */
+export function buildConflictAlerts(conflicts) {
+  return (conflicts || []).map(function(conflict) {
+    const type = (PROPERTY_RECORD_FIELDS[conflict.field] || COMP_RECORD_FIELDS[conflict.field]).type;
+    const values = conflict.values.map(function(entry) {
+      const amount = entry.value.toLocaleString('en-US');
+      return sourceDisplayName(entry.source) + ' ' + (type === 'currency' ? '$' + amount : amount);
+    });
+    const subject = conflict.address ? 'Comp ' + conflict.address + ' ' + conflict.label.toLowerCase() : conflict.label;
+
+    return {
+      type: 'warning',
+      category: 'data',
+      message: subject + ' differs by ' + Math.round(conflict.spread * 100) + '% between sources (' +
+        values.join(' vs ') + '); using ' + sourceDisplayName(conflict.values[0].source) + ', verify before relying on it'
+    };
+  });
+}
@@ -0,0 +1,403 @@
+/**
+ * ===============================
+ * DATA PROVIDER REGISTRY
+ * ===============================
+ *
+ * The contract every property data source implements, and the registry the
+ * API selector, quota helpers and the Apps Script bridge read from.
+ *
+ * A provider is one module exporting a definition: id, display metadata,
+ * quota, host, and a request builder per capability it supports. A builder
+ * takes a ProviderQuery and returns the same { endpoint, params, parser }
+ * request descriptor the rest of shared-core/api uses; the registry wraps
+ * its parser so the result comes back in the capability's normalized schema,
+ * whatever field names the provider's API uses.
+ *
+ * Adding a data source: write its module, then list its definition in
+ * builtInProviders() below. Platforms can also add one at runtime with
+ * registerProvider().
+ *
+ * @module shared-core/api/providers
+ */
+
+import { PRIVATE_ZILLOW_PROVIDER } from './privateZillow.js';
+import { US_REAL_ESTATE_PROVIDER } from './usRealEstate.js';
+import { REDFIN_PROVIDER } from './redfin.js';
+import { GEMINI_PROVIDER } from './gemini.js';
+
+/**
+ * What a provider can be asked for
+ */
+export const PROVIDER_CAPABILITIES = [
+  'propertyDetails',
+  'comps',
+  'rentComps',
+  'valuation',
+  'priceHistory',
+  'schools',
+  'noise'
+];
+
+/**
+ * Normalized output per capability. `key` is where the provider's parsed
+ * result keeps the data (null for the result itself), `list` whether it is
+ * an array of records. Each field falls back to `fallback` when the record
+ * has neither the field nor one of its `aliases`.
+ */
+export const PROVIDER_SCHEMAS = {
+  propertyDetails: {
+    key: 'details',
+    list: false,
+    fields: {
+      beds: { fallback: null, aliases: ['bedrooms'] },
+      baths: { fallback: null, aliases: ['bathrooms'] },
+      sqft: { fallback: null, aliases: ['livingArea'] },
+      yearBuilt: { fallback: null, aliases: ['year_built'] },
+      lotSize: { fallback: null, aliases: ['lot_size'] },
+      propertyType: { fallback: null, aliases: ['homeType'] },
+      listPrice: { fallback: null, aliases: ['price'] },
+      zpid: { fallback: null }
+    }
+  },
+  comps: {
+    key: 'comps',
+    list: true,
+    fields: {
+      address: { fallback: 'Unknown', aliases: ['streetAddress'] },
+      city: { fallback: null },
+      state: { fallback: null },
+      zip: { fallback: null, aliases: ['zipcode'] },
+      price: { fallback: 0, aliases: ['soldPrice'] },
+      beds: { fallback: 0, aliases: ['bedrooms'] },
+      baths: { fallback: 0, aliases: ['bathrooms'] },
+      sqft: { fallback: 0, aliases: ['livingArea'] },
+      yearBuilt: { fallback: null },
+      saleDate: { fallback: '', aliases: ['soldDate', 'dateSold'] },
+      distance: { fallback: 0 },
+      condition: { fallback: 'unknown' },
+      propertyUrl: { fallback: '', aliases: ['link', 'url'] },
+      latitude: { fallback: null },
+      longitude: { fallback: null },
+      isReal: { fallback: true },
+      qualityScore: { fallback: null },
+      dataSource: { fallback: '' }
+    }
+  },
+  rentComps: {
+    key: 'rentalComps',
+    list: true,
+    fields: {
+      address: { fallback: 'Unknown', aliases: ['streetAddress'] },
+      rent: { fallback: 0, aliases: ['price'] },
+      beds: { fallback: 0, aliases: ['bedrooms'] },
+      baths: { fallback: 0, aliases: ['bathrooms'] },
+      sqft: { fallback: 0, aliases: ['livingArea'] },
+      propertyUrl: { fallback: '', aliases: ['link', 'url'] },
+      dataSource: { fallback: '' }
+    }
+  },
+  valuation: {
+    key: null,
+    list: false,
+    fields: {
+      value: { fallback: 0, aliases: ['estimate', 'estimatedValue', 'zestimate'] },
+      low: { fallback: null },
+      high: { fallback: null }
+    }
+  },
+  priceHistory: {
+    key: 'priceHistory',
+    list: true,
+    fields: {
+      date: { fallback: '' },
+      price: { fallback: 0 },
+      event: { fallback: '' }
+    }
+  },
+  schools: {
+    key: 'schools',
+    list: true,
+    fields: {
+      name: { fallback: 'Unknown' },
+      type: { fallback: '', aliases: ['level'] },
+      rating: { fallback: 0 },
+      distance: { fallback: 0 },
+      grades: { fallback: '', aliases: ['gradeRange'] }
+    }
+  },
+  noise: {
+    key: null,
+    list: false,
+    fields: {
+      noiseScore: { fallback: null, aliases: ['score'] },
+      noiseLevel: { fallback: '' },
+      description: { fallback: '' }
+    }
+  }
+};
+
+/**
+ * @typedef {Object} ProviderQuery
+ * @property {string} [address] - Street address
+ * @property {string} [city]
+ * @property {string} [state] - State code
+ * @property {string} [zip]
+ * @property {string} [zpid] - Zillow property ID, for providers keyed on it
+ * @property {Object} [filters] - Search filters (beds_min, sqft_max, limit...)
+ */
+
+/**
+ * @typedef {Object} ProviderRequest
+ * @property {string} endpoint - Endpoint key, resolved to a path by the provider's endpointPath
+ * @property {string} [method] - 'GET' (default) or 'POST'
+ * @property {Object} params - Query or body parameters
+ * @property {function(Object): Object} parser - Raw response to parsed result
+ */
+
+/**
+ * @typedef {Object} DataProvider
+ * @property {string} id - Key used by settings, quotas and usage tracking (e.g. 'redfin')
+ * @property {string} name - Display name
+ * @property {string} description
+ * @property {string} icon
+ * @property {number} priority - Position in Auto mode, lowest first
+ * @property {{limit: number, period: string}} quota - Calls per 'month' or 'day'
+ * @property {string} host - API hostname (the X-RapidAPI-Host for RapidAPI sources)
+ * @property {string} baseUrl
+ * @property {function(string): string} endpointPath - Path for an endpoint key, '' if unknown
+ * @property {Object<string, function(ProviderQuery): ProviderRequest>} capabilities - Request builder per capability
+ */
+
+/**
+ * @typedef {Object} ProviderResult
+ * @property {boolean} error
+ * @property {string} [message]
+ * @property {string} [capability]
+ * @property {string} [source] - Provider ID
+ * @property {Object|Array<Object>} [data] - Normalized record(s), each tagged with its source
+ */
+
+// Providers added at runtime; a registered ID replaces the built-in one
+const registeredProviders = [];
+
+/**
+ * Built-in providers, read when needed so Apps Script's file order doesn't matter
+ * @returns {Array<DataProvider>}
+ */
+function builtInProviders() {
+  return [PRIVATE_ZILLOW_PROVIDER, US_REAL_ESTATE_PROVIDER, REDFIN_PROVIDER, GEMINI_PROVIDER];
+}
+
+/**
+ * Check a provider definition against the contract
+ * @param {DataProvider} provider
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validateProvider(provider) {
+  const errors = [];
+  if (!provider || typeof provider !== 'object') {
+    return { valid: false, errors: ['Provider definition is required'] };
+  }
+
+  if (!provider.id || !/^[a-z0-9_]+$/.test(provider.id) || provider.id === 'auto') {
+    errors.push('Provider ID must be lowercase letters, digits and underscores (and not "auto")');
+  }
+  if (!provider.name) {
+    errors.push('Provider name is required');
+  }
+  if (typeof provider.priority !== 'number' || isNaN(provider.priority)) {
+    errors.push('Provider priority must be a number');
+  }
+  if (!provider.quota || !(provider.quota.limit > 0) || ['month', 'day'].indexOf(provider.quota.period) === -1) {
+    errors.push('Provider quota needs a positive limit per month or day');
+  }
+
+  const capabilities = provider.capabilities ? Object.keys(provider.capabilities) : [];
+  if (capabilities.length === 0) {
+    errors.push('Provider must support at least one capability');
+  }
+  capabilities.forEach(function(capability) {
+    if (PROVIDER_CAPABILITIES.indexOf(capability) === -1) {
+      errors.push(`Unknown capability: ${capability}`);
+    } else if (typeof provider.capabilities[capability] !== 'function') {
+      errors.push(`Capability ${capability} must be a request builder function`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Add a provider to the registry, replacing any with the same ID
+ * @param {DataProvider} provider
+ * @returns {Object} { error: false, provider } or { error: true, message, errors }
+ */
+export function registerProvider(provider) {
+  const validation = validateProvider(provider);
+  if (!validation.valid) {
+    return { error: true, message: 'Invalid data provider', errors: validation.errors };
+  }
+
+  unregisterProvider(provider.id);
+  registeredProviders.push(provider);
+  return { error: false, provider: provider };
+}
+
+/**
+ * Remove a provider added with registerProvider (built-ins stay)
+ * @param {string} providerId
+ * @returns {boolean} True if one was removed
+ */
+export function unregisterProvider(providerId) {
+  for (let i = 0; i < registeredProviders.length; i++) {
+    if (registeredProviders[i].id === providerId) {
+      registeredProviders.splice(i, 1);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * All providers, highest priority first
+ * @returns {Array<DataProvider>}
+ */
+export function getDataProviders() {
+  const byId = {};
+  builtInProviders().concat(registeredProviders).forEach(function(provider) {
+    byId[provider.id] = provider;
+  });
+
+  return Object.keys(byId)
+    .map(function(id) { return byId[id]; })
+    .sort(function(a, b) { return a.priority - b.priority; });
+}
+
+/**
+ * Provider by ID
+ * @param {string} providerId
+ * @returns {DataProvider|null}
+ */
+export function getDataProvider(providerId) {
+  const matches = getDataProviders().filter(function(provider) {
+    return provider.id === providerId;
+  });
+  return matches.length > 0 ? matches[0] : null;
+}
+
+/**
+ * Providers that support a capability, highest priority first
+ * @param {string} capability - One of PROVIDER_CAPABILITIES
+ * @returns {Array<DataProvider>}
+ */
+export function getProvidersFor(capability) {
+  return getDataProviders().filter(function(provider) {
+    return typeof provider.capabilities[capability] === 'function';
+  });
+}
+
+/**
+ * Whether a provider supports a capability
+ * @param {string} providerId
+ * @param {string} capability
+ * @returns {boolean}
+ */
+export function providerSupports(providerId, capability) {
+  const provider = getDataProvider(providerId);
+  return !!provider && typeof provider.capabilities[capability] === 'function';
+}
+
+/**
+ * Put a capability's record(s) into its normalized schema. Registry parsers
+ * and a platform's own fetchers both go through here, so every source of a
+ * capability returns the same shape.
+ * @param {string} capability - One of PROVIDER_CAPABILITIES
+ * @param {Object|Array} data - A record, or an array of them for list capabilities
+ * @param {string} providerId - Recorded as each record's source
+ * @returns {Object|Array|null} Normalized record(s); null for an unknown capability or no record
+ */
+export function normalizeProviderData(capability, data, providerId) {
+  const schema = PROVIDER_SCHEMAS[capability];
+  if (!schema) return null;
+
+  const normalize = function(record) {
+    const normalized = {};
+    Object.keys(schema.fields).forEach(function(field) {
+      const spec = schema.fields[field];
+      const names = [field].concat(spec.aliases || []);
+      let value = spec.fallback;
+      for (let i = 0; i < names.length; i++) {
+        if (record[names[i]] !== undefined && record[names[i]] !== null) {
+          value = record[names[i]];
+          break;
+        }
+      }
+      normalized[field] = value;
+    });
+    normalized.source = providerId;
+    return normalized;
+  };
+
+  if (schema.list) {
+    return (Array.isArray(data) ? data : []).map(normalize);
+  }
+  return data ? normalize(data) : null;
+}
+
+/**
+ * Put a provider's parsed result into the capability's normalized schema
+ * @param {string} capability - One of PROVIDER_CAPABILITIES
+ * @param {Object} result - The provider parser's output
+ * @param {string} providerId - Recorded as each record's source
+ * @returns {ProviderResult}
+ */
+export function normalizeProviderResult(capability, result, providerId) {
+  const schema = PROVIDER_SCHEMAS[capability];
+  if (!schema) {
+    return { error: true, message: `Unknown capability: ${capability}` };
+  }
+  if (!result || result.error) {
+    return result || { error: true, message: `No ${capability} result from ${providerId}` };
+  }
+
+  const raw = schema.key ? result[schema.key] : result;
+  return {
+    error: false,
+    capability: capability,
+    source: providerId,
+    data: normalizeProviderData(capability, schema.list ? raw : raw || {}, providerId)
+  };
+}
+
+/**
+ * Build a provider's request for a capability, with a parser that returns
+ * the normalized schema
+ * @param {string} providerId
+ * @param {string} capability - One of PROVIDER_CAPABILITIES
+ * @param {ProviderQuery} query
+ * @returns {Object} ProviderRequest (method always set), or { error: true, message }
+ */
+export function buildProviderRequest(providerId, capability, query) {
+  const provider = getDataProvider(providerId);
+  if (!provider) {
+    return { error: true, message: `Unknown data provider: ${providerId}` };
+  }
+  const build = provider.capabilities[capability];
+  if (typeof build !== 'function') {
+    return { error: true, message: `${provider.name} does not provide ${capability}` };
+  }
+
+  const request = build(query || {});
+  if (!request || request.error) {
+    return request || { error: true, message: `${provider.name} could not build a ${capability} request` };
+  }
+
+  return {
+    endpoint: request.endpoint,
+    method: request.method || 'GET',
+    params: request.params,
+    parser: function(response) {
+      return normalizeProviderResult(capability, request.parser(response), provider.id);
+    }
+  };
+}
@@ -15,6 +15,8 @@
  * @module shared-core/api/redfin
  */
 
+import { getRedfinEndpoint } from './endpoints.js';
+
 /**
  * Parse Redfin API response and handle errors
  * @param {Object} response - Raw API response
@@ -342,3 +344,32 @@ function fetchRedfinPropertySearch(city, state, filters) {
   };
 }
 
+
+/**
+ * Redfin as a data provider (see providers.js for the contract)
+ * @type {import('./providers.js').DataProvider}
+ */
+export const REDFIN_PROVIDER = {
+  id: 'redfin',
+  name: 'Redfin',
+  description: 'Good quality data (111/month)',
+  icon: '🏡',
+  priority: 3,
+  quota: { limit: 111, period: 'month' },
+  host: 'redfin-base-us.p.rapidapi.com',
+  baseUrl: 'https://redfin-base-us.p.rapidapi.com',
+  endpointPath: function(endpoint) {
+    return getRedfinEndpoint(endpoint);
+  },
+  capabilities: {
+    propertyDetails: function(query) {
+      return fetchRedfinPropertyDetails(query.address, query.city, query.state, query.zip);
+    },
+    comps: function(query) {
+      return fetchRedfinComps(query.address, query.city, query.state, query.zip);
+    },
+    rentComps: function(query) {
+      return fetchRedfinForRent(query.city, query.state, query.filters || {});
+    }
+  }
+};
@@ -6,9 +6,16 @@
  * US Real Estate API integration functions (via RapidAPI)
  * Platform-agnostic - HTTP calls handled by platform adapters
  *
+ * The home estimate and similar homes builders are named build*Request:
+ * the Apps Script bridge has its own fetchUSRealEstateHomeEstimate and
+ * fetchUSRealEstateSimilarHomes, which would replace them in the shared
+ * global scope.
+ *
  * @module shared-core/api/usRealEstate
  */
 
+import { getUSRealEstateEndpoint } from './endpoints.js';
+
 /**
  * Parse US Real Estate API response and handle errors
  * @param {Object} response - Raw API response
@@ -35,7 +42,7 @@ function parseUSRealEstateResponse(response, endpoint) {
  * @param {string} zip - Zip code
  * @returns {Object} { error: boolean, value?: number, message?: string }
  */
-function fetchUSRealEstateHomeEstimate(address, city, state, zip) {
+function buildUSRealEstateHomeEstimateRequest(address, city, state, zip) {
   // Validate input
   if (!address || !city || !state || !zip) {
     return { error: true, message: 'Address, city, state, and zip are required for home estimate' };
@@ -77,7 +84,7 @@ function fetchUSRealEstateHomeEstimate(address, city, state, zip) {
  * @param {string} zip - Zip code
  * @returns {Object} { error: boolean, comps?: Array, message?: string }
  */
-function fetchUSRealEstateSimilarHomes(address, city, state, zip) {
+function buildUSRealEstateSimilarHomesRequest(address, city, state, zip) {
   // Validate input
   if (!address || !city || !state || !zip) {
     return { error: true, message: 'Address, city, state, and zip are required for similar homes' };
@@ -201,78 +208,6 @@ function fetchUSRealEstateSoldHomes(city, state, filters) {
   };
 }
 
-/**
- * Phase 3.1: Fetch school quality data
- * @param {string} location - Location string (city, state or zip)
- * @returns {Object} { error: boolean, schools?: Array, message?: string }
- */
-function fetchSchools(location) {
-  // Validate input
-  if (!location) {
-    return { error: true, message: 'Location is required for schools' };
-  }
-
-  return {
-    endpoint: 'SCHOOLS',
-    params: { location: location },
-    parser: function(response) {
-      const parsed = parseUSRealEstateResponse(response, 'Schools');
-      if (parsed.error) return parsed;
-
-      // Extract school data
-      const rawSchools = parsed.data.schools || [];
-      const schools = rawSchools.map(function(school) {
-        return {
-          name: school.name || 'Unknown',
-          rating: school.rating || 0,
-          grades: school.grades || '',
-          distance: school.distance || 0,
-          type: school.type || 'public',
-          students: school.students || 0
-        };
-      });
-
-      return {
-        error: false,
-        schools: schools,
-        source: 'us_real_estate_schools',
-        location: location
-      };
-    }
-  };
-}
-
-/**
- * Phase 3.3: Fetch noise score assessment
- * @param {string} location - Location string (city, state or zip)
- * @returns {Object} { error: boolean, noiseScore?: number, message?: string }
- */
-function fetchNoiseScore(location) {
-  // Validate input
-  if (!location) {
-    return { error: true, message: 'Location is required for noise score' };
-  }
-
-  return {
-    endpoint: 'NOISE_SCORE',
-    params: { location: location },
-    parser: function(response) {
-      const parsed = parseUSRealEstateResponse(response, 'Noise Score');
-      if (parsed.error) return parsed;
-
-      // Extract noise score
-      const noiseScore = parsed.data.noiseScore || parsed.data.score || 50;
-
-      return {
-        error: false,
-        noiseScore: noiseScore,
-        source: 'us_real_estate_noise_score',
-        location: location
-      };
-    }
-  };
-}
-
 /**
  * Phase 3.5: Fetch rental comps
  * @param {string} city - City name
@@ -605,3 +540,38 @@ function fetchNoiseScore(city, state, zip) {
     }
   };
 }
+
+/**
+ * US Real Estate as a data provider (see providers.js for the contract)
+ * @type {import('./providers.js').DataProvider}
+ */
+export const US_REAL_ESTATE_PROVIDER = {
+  id: 'us_real_estate',
+  name: 'US Real Estate',
+  description: 'High quality data (300/month)',
+  icon: '🏘️',
+  priority: 2,
+  quota: { limit: 300, period: 'month' },
+  host: 'us-real-estate.p.rapidapi.com',
+  baseUrl: 'https://us-real-estate.p.rapidapi.com',
+  endpointPath: function(endpoint) {
+    return getUSRealEstateEndpoint(endpoint);
+  },
+  capabilities: {
+    comps: function(query) {
+      return buildUSRealEstateSimilarHomesRequest(query.address, query.city, query.state, query.zip);
+    },
+    rentComps: function(query) {
+      return fetchForRentByZipcode(query.zip, query.filters || {});
+    },
+    valuation: function(query) {
+      return buildUSRealEstateHomeEstimateRequest(query.address, query.city, query.state, query.zip);
+    },
+    schools: function(query) {
+      return fetchSchools(query.city, query.state, query.zip);
+    },
+    noise: function(query) {
+      return fetchNoiseScore(query.city, query.state, query.zip);
+    }
+  }
+};
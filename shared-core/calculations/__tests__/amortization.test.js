@@ -0,0 +1,109 @@
+/**
+ * Tests for the amortization engine
+ */
+
+import {
+  analyzeAmortization,
+  buildAmortizationSchedule,
+  createAmortizationOptions,
+  toAmortizationLoan,
+} from '../amortization.js';
+import { buildLoanSchedule, calculateLoanPayment, createLoan } from '../financing.js';
+
+const mortgage = { principal: 240000, annualRate: 0.07, termMonths: 360 };
+
+describe('Amortization Engine', () => {
+  describe('buildAmortizationSchedule', () => {
+    it('should match the financing schedule for a plain fixed loan', () => {
+      const result = buildAmortizationSchedule(mortgage);
+      const financing = buildLoanSchedule(createLoan('CONVENTIONAL', 240000));
+
+      expect(result.schedule).toHaveLength(360);
+      expect(result.scheduledPayment).toBeCloseTo(1596.73, 2);
+      expect(result.totals.interest).toBeCloseTo(financing.totals.interest, 4);
+      expect(result.schedule[359].balance).toBeCloseTo(0, 2);
+      expect(result.payoffMonth).toBe(360);
+    });
+
+    it('should date payments from the start date', () => {
+      const result = buildAmortizationSchedule(mortgage, { startDate: '2026-01-31' });
+      expect(result.schedule[1].date).toBe('2026-02-28');
+      expect(result.payoffDate).toBe('2055-12-31');
+
+      const biweekly = buildAmortizationSchedule(mortgage, { frequency: 'biweekly', startDate: '2026-01-02' });
+      expect(biweekly.schedule.slice(0, 3).map((row) => row.date)).toEqual(['2026-01-02', '2026-01-16', '2026-01-30']);
+    });
+
+    it('should pay off sooner with half payments every two weeks', () => {
+      const result = buildAmortizationSchedule(mortgage, { frequency: 'biweekly' });
+
+      expect(result.scheduledPayment).toBeCloseTo(1596.73 / 2, 2);
+      expect(result.payoffMonth).toBeLessThan(300);
+      expect(result.payoffMonth).toBeGreaterThan(280);
+      expect(result.totals.interest).toBeLessThan(buildAmortizationSchedule(mortgage).totals.interest);
+    });
+
+    it('should lower the payment at a recast but keep the term', () => {
+      const options = { extraPayments: [{ amount: 50000, month: 12 }], recastMonths: [12] };
+      const result = buildAmortizationSchedule(mortgage, options);
+      const month12 = result.schedule[11];
+
+      expect(month12.extraPrincipal).toBe(50000);
+      expect(month12.events).toEqual(['Extra payment', 'Recast']);
+      expect(result.schedule[12].payment).toBeCloseTo(calculateLoanPayment(month12.balance, 0.07, 348), 6);
+      expect(result.payoffMonth).toBe(360);
+    });
+
+    it('should re-level the payment when the rate changes', () => {
+      const result = buildAmortizationSchedule(mortgage, { rateChanges: [{ month: 61, rate: 0.09 }] });
+
+      expect(result.schedule[60]).toMatchObject({ rate: 0.09, events: ['Rate change'] });
+      expect(result.schedule[60].payment).toBeCloseTo(calculateLoanPayment(result.schedule[59].balance, 0.09, 300), 6);
+      expect(result.schedule[359].balance).toBeCloseTo(0, 2);
+    });
+
+    it('should charge interest only, then pay the balance as a balloon', () => {
+      const result = buildAmortizationSchedule({ ...mortgage, interestOnlyMonths: 12, balloonMonth: 84 });
+
+      expect(result.schedule[11]).toMatchObject({ payment: 1400, principal: 0, balance: 240000 });
+      expect(result.schedule[12].payment).toBeCloseTo(calculateLoanPayment(240000, 0.07, 348), 6);
+      expect(result.schedule).toHaveLength(84);
+      expect(result.schedule[83].events).toEqual(['Balloon']);
+      expect(result.totals.balloon).toBeGreaterThan(200000);
+    });
+
+    it('should reject invalid inputs', () => {
+      const result = buildAmortizationSchedule({ ...mortgage, principal: 0 }, { frequency: 'weekly' });
+      expect(result.error).toBe(true);
+      expect(result.errors).toEqual(['Loan amount must be greater than 0', 'Unknown payment frequency "weekly"']);
+    });
+  });
+
+  describe('analyzeAmortization', () => {
+    it('should report the interest and months saved by extra payments', () => {
+      const options = createAmortizationOptions({ extraMonthly: 200, lumpSum: 10000, lumpSumMonth: 24, startDate: '2026-01-01' });
+      const result = analyzeAmortization(mortgage, options);
+
+      expect(options.extraPayments).toEqual([{ amount: 200, month: 1, every: 1 }, { amount: 10000, month: 24 }]);
+      expect(result.baseline.payoffDate).toBe('2055-12-01');
+      expect(result.schedule.payoffMonth).toBeLessThan(300);
+      expect(result.monthsSaved).toBe(360 - result.schedule.payoffMonth);
+      expect(result.interestSaved).toBeCloseTo(result.baseline.totals.interest - result.schedule.totals.interest, 1);
+      expect(result.interestSaved).toBeGreaterThan(100000);
+    });
+  });
+
+  describe('toAmortizationLoan', () => {
+    it('should carry balloons, interest-only terms and ARM resets over from a financing loan', () => {
+      expect(toAmortizationLoan(createLoan('SELLER_CARRY', 100000)).loan).toMatchObject({ termMonths: 360, balloonMonth: 60 });
+
+      const hardMoney = toAmortizationLoan(createLoan('HARD_MONEY', 200000, { draws: [{ month: 2, amount: 20000 }] }));
+      expect(hardMoney.loan).toMatchObject({ principal: 220000, interestOnlyMonths: 12, termMonths: 12 });
+
+      const arm = createLoan('ARM', 300000);
+      const { loan, rateChanges } = toAmortizationLoan(arm);
+      expect(rateChanges).toEqual(buildLoanSchedule(arm).rateResets);
+      expect(buildAmortizationSchedule(loan, { rateChanges }).totals.interest).toBeCloseTo(buildLoanSchedule(arm).totals.interest, 4);
+    });
+  });
+});
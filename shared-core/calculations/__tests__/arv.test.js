@@ -0,0 +1,81 @@
+/**
+ * Tests for ARV calculations
+ */
+
+import { calculateEnhancedARV } from '../arv.js';
+import properties from './fixtures/properties.json';
+
+const { property } = properties[0];
+
+describe('ARV Calculations', () => {
+  describe('calculateEnhancedARV', () => {
+    it('should weight agreeing sources with full confidence', () => {
+      const result = calculateEnhancedARV([
+        { value: 420000, weight: 0.5, source: 'comps' },
+        { value: 425000, weight: 0.25, source: 'zillow' },
+        { value: 415000, weight: 0.25, source: 'usRealEstate' },
+      ], property);
+
+      expect(result.error).toBe(false);
+      expect(result.arv).toBe(420000);
+      expect(result.confidence).toBe(100);
+      expect(result.sources.map((s) => s.source)).toEqual(['comps', 'zillow', 'usRealEstate']);
+      expect(result.methodology).toBe('Multi-source weighted average');
+    });
+
+    it('should normalize weights that do not sum to one', () => {
+      const result = calculateEnhancedARV([
+        { value: 400000, weight: 2 },
+        { value: 440000, weight: 2 },
+      ], property);
+
+      expect(result.arv).toBe(420000);
+      expect(result.sources[0].weight).toBe(0.5);
+      expect(result.sources[0].source).toBe('unknown');
+    });
+
+    it('should lower confidence as sources disagree', () => {
+      const result = calculateEnhancedARV([
+        { value: 360000, weight: 0.5 },
+        { value: 480000, weight: 0.5 },
+      ], property);
+
+      // stdDev 60000 on a mean of 420000 is a 14.3% CV
+      expect(result.arv).toBe(420000);
+      expect(result.stdDev).toBe(60000);
+      expect(result.confidence).toBe(69);
+    });
+
+    it('should floor confidence at 50', () => {
+      const result = calculateEnhancedARV([
+        { value: 200000, weight: 0.5 },
+        { value: 600000, weight: 0.5 },
+      ], property);
+
+      expect(result.confidence).toBe(50);
+    });
+
+    it('should ignore zero, negative and malformed estimates', () => {
+      const result = calculateEnhancedARV([
+        { value: 420000, weight: 0.5 },
+        { value: 0, weight: 0.25 },
+        { value: -1, weight: 0.25 },
+        { value: '500000', weight: 0.25 },
+        null,
+      ], property);
+
+      expect(result.arv).toBe(420000);
+      expect(result.sources).toHaveLength(1);
+      expect(result.sources[0].weight).toBe(1);
+    });
+
+    it('should return error objects for missing inputs', () => {
+      expect(calculateEnhancedARV([], property).error).toBe(true);
+      expect(calculateEnhancedARV([{ value: 420000, weight: 1 }], null).error).toBe(true);
+      expect(calculateEnhancedARV([{ value: 0, weight: 1 }], property)).toEqual({
+        error: true,
+        message: 'No valid estimates provided',
+      });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for the BRRRR refinance analysis
+ */
+
+import { calculateBRRRRAnalysis, resolveRefinance } from '../brrrr.js';
+import { createLoan } from '../financing.js';
+import properties from './fixtures/properties.json';
+
+const fixture = (id) => properties.find((p) => p.id === id);
+
+describe('BRRRR Analysis', () => {
+  describe('resolveRefinance', () => {
+    it('should default to the deal rate and the later of rehab and seasoning', () => {
+      const terms = resolveRefinance(null, { loanInterestRate: 0.065, monthsToFlip: 9 });
+      expect(terms).toMatchObject({ month: 9, rate: 0.065, ltv: 0.75, seasoningMonths: 6, termMonths: 360 });
+      expect(resolveRefinance({ month: 12, ltv: '' }, {}).ltv).toBe(0.75);
+    });
+  });
+
+  describe('calculateBRRRRAnalysis', () => {
+    it('should track cash in, the refinance and cash left in the deal', () => {
+      const { property, arv, monthlyRent } = fixture('sfr-conventional');
+      const result = calculateBRRRRAnalysis(property, arv, monthlyRent);
+
+      expect(result.error).toBe(false);
+      expect(result).toMatchObject({ refinanceMonth: 6, seasoned: true, appraisalBasis: 'ARV', newLoanAmount: 315000 });
+      // Six months of P&I on the 240k purchase loan plus taxes and insurance during the rehab
+      expect(result.cashInvested).toEqual({
+        downPayment: 60000,
+        closingCosts: 6000,
+        rehab: 50000,
+        lenderCosts: 0,
+        cashInvestment: 10000,
+        carryingCosts: 12055,
+        total: 138055,
+      });
+      expect(result.payoff).toBe(238802);
+      expect(result.refinanceCosts).toBe(6300);
+      expect(result.cashOut).toBe(69898);
+      expect(result.cashLeftInDeal).toBe(68158);
+      expect(result.capitalRecovered).toBe(50.63);
+      expect(result.monthlyPayment).toBe(2096);
+      expect(result.annualDebtService).toBe(25148);
+      expect(result.cocReturn).toBe(-6.36);
+      expect(result.infiniteReturn).toBe(false);
+      expect(result.warnings).toEqual([expect.stringMatching(/DSCR of 0.83/)]);
+    });
+
+    it('should report an infinite return when the refinance returns all the cash', () => {
+      const property = { purchasePrice: 150000, downPayment: 0.2, loanInterestRate: 0.07, rehabCost: 50000, monthsToFlip: 4 };
+      const result = calculateBRRRRAnalysis(property, 320000, 3000);
+
+      expect(result.cashInvested.total).toBe(84595);
+      expect(result.cashOut).toBe(115799);
+      expect(result.cashRecovered).toBe(84595);
+      expect(result.cashLeftInDeal).toBe(-31204);
+      expect(result.annualCashFlow).toBeGreaterThan(0);
+      expect(result.infiniteReturn).toBe(true);
+      expect(result.cocReturn).toBeNull();
+    });
+
+    it('should appraise at cost basis inside the seasoning period and pay off draw-funded rehab', () => {
+      const { property, arv } = fixture('sfr-conventional');
+      const hardMoney = createLoan('HARD_MONEY', 270000, {
+        draws: [2, 3, 4, 5, 6].map((month) => ({ month, amount: 10000 })),
+      });
+      const result = calculateBRRRRAnalysis({ ...property, cashInvestment: 0, financing: [hardMoney] }, arv, 3200, { month: 4 });
+
+      expect(result).toMatchObject({ seasoned: false, appraisalBasis: 'Cost basis', appraisedValue: 350000, newLoanAmount: 262500 });
+      // Draws through month 4 are owed; the rest of the rehab is still the investor's
+      expect(result.payoff).toBe(300000);
+      expect(result.cashInvested).toMatchObject({ downPayment: 30000, rehab: 20000, lenderCosts: 7900 });
+      expect(result.cashOut).toBe(-42750);
+      expect(result.warnings).toHaveLength(2);
+      expect(result.warnings[0]).toMatch(/seasoning period/);
+      expect(result.warnings[1]).toMatch(/cash is needed to close/);
+    });
+
+    it('should warn when the acquisition loan matures before the refinance', () => {
+      const { property, arv, monthlyRent } = fixture('sfr-conventional');
+      const bridge = createLoan('HARD_MONEY', 240000, { termMonths: 6 });
+      const result = calculateBRRRRAnalysis({ ...property, financing: [bridge] }, arv, monthlyRent, { month: 9 });
+
+      expect(result.payoff).toBe(240000);
+      expect(result.warnings[0]).toBe('Hard Money matures in month 6, before the refinance in month 9');
+    });
+
+    it('should reject invalid refinance terms', () => {
+      const { property, arv, monthlyRent } = fixture('sfr-conventional');
+      const result = calculateBRRRRAnalysis(property, arv, monthlyRent, { ltv: 1.2, rate: -0.01 });
+
+      expect(result.error).toBe(true);
+      expect(result.errors).toEqual(['Refinance LTV must be between 0 and 100%', 'Refinance rate must be between 0 and 50%']);
+      expect(calculateBRRRRAnalysis(property, 0, monthlyRent).error).toBe(true);
+    });
+  });
+});
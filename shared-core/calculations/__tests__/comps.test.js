@@ -0,0 +1,130 @@
+/**
+ * Tests for comps-based ARV calculations
+ */
+
+import {
+  calculateARVFromComps,
+  calculatePricePerDoor,
+  estimateValueFromComps,
+  filterCompsBySimilarity,
+  getCompsStatistics,
+} from '../comps.js';
+import compsFixture from './fixtures/comps.json';
+
+const { target, comps } = compsFixture;
+const byAddress = (...addresses) => comps.filter((c) => addresses.includes(c.address));
+
+describe('Comps Calculations', () => {
+  beforeEach(() => {
+    // filterCompsByDate looks back two years from today
+    jest.useFakeTimers({ now: new Date(compsFixture.asOf) });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('calculateARVFromComps', () => {
+    it('should average remodeled comps when three or more are similar', () => {
+      const result = calculateARVFromComps(comps, target);
+
+      expect(result.error).toBe(false);
+      expect(result.arv).toBe(442333);
+      expect(result.confidence).toBe('high');
+      expect(result.method).toBe('Average of 3 remodeled comps (0% premium)');
+      // Stale sale and oversized comp are dropped
+      expect(result.compsUsed).toBe(7);
+      expect(result.remodeledCount).toBe(3);
+      expect(result.unremodeledCount).toBe(3);
+    });
+
+    it('should apply the measured renovation premium to unremodeled comps', () => {
+      const result = calculateARVFromComps(
+        byAddress('1518 Elm St', '1610 Maple Ave', '203 Oak St', '19 Walnut Way'),
+        target
+      );
+
+      expect(result.arv).toBe(430000);
+      expect(result.confidence).toBe('low');
+      expect(result.method).toContain('23.7% premium');
+    });
+
+    it('should cap the renovation premium at 25%', () => {
+      const result = calculateARVFromComps(
+        byAddress('1402 Maple Ave', '1518 Elm St', '1610 Maple Ave', '203 Oak St', '19 Walnut Way'),
+        target
+      );
+
+      expect(result.arv).toBe(434583);
+      expect(result.confidence).toBe('medium');
+      expect(result.method).toContain('25.0% premium');
+    });
+
+    it('should add a 25% premium when only unremodeled comps are available', () => {
+      const result = calculateARVFromComps(
+        byAddress('1610 Maple Ave', '203 Oak St', '19 Walnut Way'),
+        target
+      );
+
+      expect(result.arv).toBe(434583);
+      expect(result.confidence).toBe('medium');
+      expect(result.remodeledCount).toBe(0);
+    });
+
+    it('should fall back to a 20% premium over mixed comps', () => {
+      const result = calculateARVFromComps(byAddress('4 Spruce Ct', '1610 Maple Ave'), target);
+
+      expect(result.arv).toBe(438000);
+      expect(result.confidence).toBe('low');
+      expect(result.method).toBe('Average of 2 mixed comps + 20% premium');
+    });
+
+    it('should use all recent comps when fewer than three are similar', () => {
+      const result = calculateARVFromComps(
+        byAddress('910 Pine Rd', '1402 Maple Ave', '1518 Elm St'),
+        target
+      );
+
+      expect(result.compsUsed).toBe(3);
+      expect(result.arv).toBe(495000);
+    });
+
+    it('should return error objects when no usable comps remain', () => {
+      expect(calculateARVFromComps([], target).error).toBe(true);
+      expect(calculateARVFromComps(byAddress('1301 Maple Ave'), target)).toEqual({
+        error: true,
+        message: 'No recent comps found (last 2 years)',
+      });
+    });
+  });
+
+  describe('multifamily comps', () => {
+    const plexes = [
+      { address: '1 Duplex Ln', price: 500000, sqft: 2000, units: 2 },
+      { address: '2 Fourplex Ln', price: 880000, sqft: 3600, units: 4 },
+      { address: '3 House Ln', price: 400000, sqft: 1800 },
+    ];
+
+    it('should average price per door over comps with a unit count', () => {
+      expect(calculatePricePerDoor(plexes)).toBe(235000);
+      expect(calculatePricePerDoor(byAddress('203 Oak St'))).toBe(0);
+      expect(getCompsStatistics(plexes).avgPricePerDoor).toBe(235000);
+    });
+
+    it('should only comp a duplex against other duplexes', () => {
+      const similar = filterCompsBySimilarity(plexes, { sqft: 2000, units: 2 }, { sqftTolerance: 1 });
+      expect(similar.map((c) => c.address)).toEqual(['1 Duplex Ln', '3 House Ln']);
+    });
+
+    it('should value the target by price per sqft and per door', () => {
+      expect(estimateValueFromComps(plexes.slice(0, 2), { sqft: 2400, units: 3 })).toEqual({
+        pricePerSqft: 247,
+        valueBySqft: 593333,
+        pricePerDoor: 235000,
+        valueByDoor: 705000,
+        spread: 111667,
+      });
+      expect(estimateValueFromComps(plexes, { sqft: 2400 }).valueByDoor).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests for financing structures and debt schedules
+ */
+
+import {
+  buildFinancingSchedule,
+  buildLoanSchedule,
+  calculateLoanPayment,
+  createFinancingPlan,
+  createLoan,
+  sumDebtService,
+  validateLoan,
+} from '../financing.js';
+import { calculateFlipAnalysis } from '../flip.js';
+import { calculateAsIsRental } from '../rental.js';
+import properties from './fixtures/properties.json';
+
+const fixture = (id) => properties.find((p) => p.id === id);
+
+describe('Financing Calculations', () => {
+  describe('buildLoanSchedule', () => {
+    it('should keep a fixed loan on a level payment that retires the balance', () => {
+      const result = buildLoanSchedule(createLoan('CONVENTIONAL', 240000));
+
+      expect(result.schedule).toHaveLength(360);
+      expect(result.schedule[0].payment).toBeCloseTo(1596.73, 2);
+      expect(result.schedule[359].payment).toBeCloseTo(1596.73, 2);
+      expect(result.totals.principal).toBeCloseTo(240000, 2);
+      expect(result.totals.endingBalance).toBeCloseTo(0, 2);
+      expect(calculateLoanPayment(240000, 0.07, 360)).toBeCloseTo(1596.73, 2);
+    });
+
+    it('should charge hard money interest only on drawn funds, plus points on the full commitment', () => {
+      const loan = createLoan('HARD_MONEY', 270000, {
+        draws: [
+          { month: 2, amount: 25000 },
+          { month: 4, amount: 30000 },
+        ],
+      });
+      const result = buildLoanSchedule(loan, 6);
+
+      expect(result.schedule.map((row) => Math.round(row.interest))).toEqual([2700, 2950, 2950, 3250, 3250, 3250]);
+      expect(result.totals).toMatchObject({ interest: 18350, principal: 0, drawn: 55000, points: 6500, fees: 1500 });
+      expect(result.totals.endingBalance).toBe(325000);
+    });
+
+    it('should amortize after an interest-only period', () => {
+      const result = buildLoanSchedule(createLoan('CONVENTIONAL', 100000, { interestOnlyMonths: 12 }), 13);
+
+      expect(result.schedule[11]).toMatchObject({ principal: 0, balance: 100000 });
+      expect(result.schedule[12].payment).toBeCloseTo(calculateLoanPayment(100000, 0.07, 360), 6);
+    });
+
+    it('should pay the remaining seller carry balance as a balloon at maturity', () => {
+      const result = buildLoanSchedule(createLoan('SELLER_CARRY', 100000));
+
+      expect(result.schedule).toHaveLength(60);
+      expect(Math.round(result.schedule[59].balloon)).toBe(93054);
+      expect(result.schedule[59].balance).toBe(0);
+    });
+
+    it('should reset an ARM within its caps and re-level the payment', () => {
+      const loan = createLoan('ARM', 300000, { arm: { ...createLoan('ARM', 0).arm, indexRate: 0.08 } });
+      const result = buildLoanSchedule(loan);
+
+      // First reset is held to the 2% initial cap, later ones to 1% and the 5% lifetime cap
+      const resets = result.rateResets.slice(0, 4);
+      expect(resets.map((reset) => reset.month)).toEqual([61, 73, 85, 97]);
+      [0.08, 0.09, 0.1, 0.1075].forEach((rate, i) => expect(resets[i].rate).toBeCloseTo(rate, 10));
+      expect(result.schedule[60].payment).toBeGreaterThan(result.schedule[59].payment);
+      expect(result.totals.endingBalance).toBeCloseTo(0, 2);
+    });
+
+    it('should reject invalid terms', () => {
+      expect(validateLoan(createLoan('HARD_MONEY', 0)).errors).toEqual(['Hard Money: loan amount must be greater than 0']);
+      expect(buildLoanSchedule({ ...createLoan('PRIVATE_MONEY', 50000), termMonths: 0 })).toMatchObject({
+        error: true,
+        message: 'Private Money: term must be at least 1 month',
+      });
+    });
+  });
+
+  describe('buildFinancingSchedule', () => {
+    it('should combine loans and report balloons and upfront costs', () => {
+      const result = buildFinancingSchedule([
+        createLoan('CONVENTIONAL', 200000, { rate: 0.065 }),
+        createLoan('SELLER_CARRY', 40000, { points: 0.01 }),
+      ]);
+
+      expect(result.schedule).toHaveLength(360);
+      expect(result.monthlyPayment).toBeCloseTo(
+        calculateLoanPayment(200000, 0.065, 360) + calculateLoanPayment(40000, 0.06, 360),
+        6
+      );
+      expect(result.upfrontCosts).toBe(400);
+      expect(result.balloons).toHaveLength(1);
+      expect(result.balloons[0]).toMatchObject({ name: 'Seller Carry', month: 60 });
+      // The seller note is gone after its balloon
+      expect(result.schedule[60].payment).toBeCloseTo(calculateLoanPayment(200000, 0.065, 360), 6);
+      expect(sumDebtService(result, 1, 12)).toBeCloseTo(result.monthlyPayment * 12, 6);
+    });
+
+    it('should require at least one loan', () => {
+      expect(buildFinancingSchedule([]).error).toBe(true);
+    });
+  });
+
+  describe('createFinancingPlan', () => {
+    it('should size the loan from the purchase price and spread rehab draws until the sale', () => {
+      const deal = { purchasePrice: 300000, downPayment: 0.2, rehabCost: 50000, monthsToFlip: 6 };
+      const [loan] = createFinancingPlan({ type: 'HARD_MONEY', ltv: 0.9, points: null, fundRehab: true }, deal);
+
+      expect(loan).toMatchObject({ type: 'HARD_MONEY', amount: 270000, points: 0.02, termMonths: 12 });
+      expect(loan.draws.map((draw) => draw.month)).toEqual([2, 3, 4, 5, 6]);
+      expect(loan.draws.every((draw) => draw.amount === 10000)).toBe(true);
+      expect(createFinancingPlan({ type: 'SELLER_CARRY', rate: 0.05 }, deal)[0]).toMatchObject({ amount: 240000, rate: 0.05 });
+      expect(createFinancingPlan({ type: '' }, deal)).toEqual([]);
+    });
+
+    it('should draw exactly the rehab budget when it does not split evenly', () => {
+      const deal = { purchasePrice: 300000, downPayment: 0.2, rehabCost: 50003, monthsToFlip: 7 };
+      const [loan] = createFinancingPlan({ type: 'HARD_MONEY', fundRehab: true }, deal);
+      const drawn = loan.draws.reduce((sum, draw) => sum + draw.amount, 0);
+
+      expect(loan.draws.map((draw) => draw.amount)).toEqual([8333, 8333, 8333, 8333, 8333, 8338]);
+      expect(drawn).toBe(deal.rehabCost);
+    });
+  });
+
+  describe('financing plans in flip and rental analysis', () => {
+    it('should cost a hard money flip by interest, points and fees and repay the loan from the sale', () => {
+      const { property, arv } = fixture('sfr-conventional');
+      const result = calculateFlipAnalysis(
+        {
+          ...property,
+          cashInvestment: 0,
+          financing: [
+            createLoan('HARD_MONEY', 270000, {
+              draws: [
+                { month: 2, amount: 25000 },
+                { month: 4, amount: 30000 },
+              ],
+            }),
+          ],
+        },
+        arv
+      );
+
+      expect(result.error).toBe(false);
+      expect(result.downPayment).toBe(30000);
+      expect(result.holding.breakdown).toMatchObject({ monthlyInterest: 3058, lenderPoints: 6500, lenderFees: 1500 });
+      expect(result.holding.totalHoldingCosts).toBe(28825);
+      expect(result.holding.financing.loanPayoff).toBe(325000);
+      expect(result.totalCosts).toBe(415025);
+      expect(result.totalCashInvested).toBe(38000);
+      expect(result.netProfit).toBe(result.arv - result.totalCosts);
+    });
+
+    it('should match the conventional path when the loans cost nothing', () => {
+      const { property, arv } = fixture('sfr-conventional');
+      const allCash = calculateFlipAnalysis({ ...property, downPayment: 1 }, arv);
+      const freeLoan = calculateFlipAnalysis(
+        { ...property, financing: [createLoan('CONVENTIONAL', 240000, { rate: 0, points: 0, fees: 0 })] },
+        arv
+      );
+
+      expect(freeLoan.error).toBe(false);
+      expect(freeLoan.holding.totalHoldingCosts).toBe(allCash.holding.totalHoldingCosts);
+      expect(freeLoan.totalCosts).toBe(allCash.totalCosts);
+      expect(freeLoan.netProfit).toBe(allCash.netProfit);
+      expect(freeLoan.downPayment).toBe(60000);
+
+      // The default mortgage on the same 80% differs only by what it charges while held
+      const mortgage = calculateFlipAnalysis(property, arv);
+      expect(freeLoan.netProfit - mortgage.netProfit).toBe(
+        mortgage.holding.totalHoldingCosts - freeLoan.holding.totalHoldingCosts
+      );
+    });
+
+    it('should take rental debt service from the plan and flag the balloon', () => {
+      const { property, monthlyRent } = fixture('sfr-conventional');
+      const result = calculateAsIsRental(
+        {
+          ...property,
+          financing: [createLoan('CONVENTIONAL', 200000, { rate: 0.065 }), createLoan('SELLER_CARRY', 40000)],
+        },
+        monthlyRent
+      );
+
+      expect(result.annualDebtService).toBe(18047);
+      expect(result.financing.balloons).toEqual([{ name: 'Seller Carry', month: 60, amount: 37222 }]);
+      expect(result.helocMonthlyInterest).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for flip analysis calculations
+ */
+
+import { DEFAULT_TARGET_PROFIT_MARGIN, calculateFlipAnalysis, calculateLiveFlipAnalysis } from '../flip.js';
+import properties from './fixtures/properties.json';
+
+const fixture = (id) => properties.find((p) => p.id === id);
+
+// Loans are repaid from the sale, so the whole purchase price is a cost of the flip
+const expectProfitFromCosts = (result, property) => {
+  const costs = property.purchasePrice + result.acquisition.closingCosts + result.rehab.totalRehab +
+    result.holding.totalHoldingCosts + result.selling.totalSellingCosts;
+
+  expect(result.totalCosts).toBe(costs);
+  expect(result.netProfit).toBe(result.arv - costs);
+  expect(result.profitMargin).toBeCloseTo((result.netProfit / result.arv) * 100, 2);
+  expect(result.roi).toBeCloseTo((result.netProfit / result.totalCashInvested) * 100, 2);
+};
+
+describe('Flip Calculations', () => {
+  describe('calculateFlipAnalysis', () => {
+    it('should calculate a conventional flip from fixture defaults', () => {
+      const { property, arv } = fixture('sfr-conventional');
+      const result = calculateFlipAnalysis(property, arv);
+
+      expect(result.error).toBe(false);
+      expect(result.arv).toBe(420000);
+      expect(result.downPayment).toBe(60000);
+      expect(result.acquisition.closingCosts).toBe(6000);
+      expect(result.rehab.totalRehab).toBe(55000);
+      expect(result.holding.monthlyHoldingCosts).toBe(2009);
+      expect(result.holding.totalHoldingCosts).toBe(12055);
+      expect(result.selling.totalSellingCosts).toBe(25200);
+      expect(result.totalCashInvested).toBe(125000);
+      expectProfitFromCosts(result, property);
+      expect(result.netProfit).toBe(21745);
+      expect(result.mao).toBe(239000);
+    });
+
+    it('should include HELOC interest, utilities and custom tax rate in holding costs', () => {
+      const { property, arv } = fixture('heloc-managed');
+      const result = calculateFlipAnalysis(property, arv);
+
+      expect(result.error).toBe(false);
+      expect(result.holding.breakdown.helocMonthlyInterest).toBe(375);
+      expect(result.holding.breakdown.monthlyPropertyTax).toBe(413);
+      expect(result.holding.breakdown.utilitiesCost).toBe(200);
+      expect(result.holding.totalHoldingCosts).toBe(29861);
+      expect(result.totalCashInvested).toBe(215500);
+      expectProfitFromCosts(result, property);
+      expect(result.mao).toBe(346000);
+    });
+
+    it('should amortize holding costs over a shorter loan term', () => {
+      const { property, arv } = fixture('low-down-15yr');
+      const result = calculateFlipAnalysis(property, arv);
+
+      expect(result.error).toBe(false);
+      expect(result.holding.breakdown.monthlyPI).toBe(1669);
+      expect(result.holding.totalHoldingCosts).toBe(19770);
+      expectProfitFromCosts(result, property);
+    });
+
+    it('should keep net profit equal to ARV minus total costs for every fixture', () => {
+      properties.forEach(({ property, arv }) => {
+        expectProfitFromCosts(calculateFlipAnalysis(property, arv), property);
+      });
+    });
+
+    it('should not count the loan as profit', () => {
+      const { property, arv } = fixture('sfr-conventional');
+      const financed = calculateFlipAnalysis(property, arv);
+      const allCash = calculateFlipAnalysis({ ...property, downPayment: 1 }, arv);
+
+      // Borrowing only adds its payments to the holding costs
+      expect(allCash.holding.breakdown.monthlyPI).toBe(0);
+      expect(allCash.netProfit - financed.netProfit).toBe(
+        financed.holding.totalHoldingCosts - allCash.holding.totalHoldingCosts
+      );
+    });
+
+    it('should return an error object for a missing or invalid ARV', () => {
+      const { property } = fixture('sfr-conventional');
+
+      expect(calculateFlipAnalysis(property, 0)).toEqual({
+        error: true,
+        message: 'Valid property data and ARV are required',
+      });
+      expect(calculateFlipAnalysis(null, 420000).error).toBe(true);
+    });
+
+    it('should surface rehab validation errors', () => {
+      const { property, arv } = fixture('sfr-conventional');
+      const result = calculateFlipAnalysis({ ...property, rehabCost: 0 }, arv);
+
+      expect(result.error).toBe(true);
+      expect(result.message).toBe('Valid base rehab cost is required');
+    });
+  });
+
+  describe('calculateLiveFlipAnalysis', () => {
+    const progress = { spent: 40000, remaining: 15000, changeOrders: 3000, permitCosts: 1200, monthsToFlip: 7.2 };
+
+    it('should re-run the flip on spend to date with contingency on the remaining work only', () => {
+      const { property, arv } = fixture('sfr-conventional');
+      const result = calculateLiveFlipAnalysis(property, arv, progress);
+
+      expect(result.error).toBe(false);
+      expect(result.original.totalRehab).toBe(55000);
+      expect(result.rehab).toEqual({ spent: 40000, remaining: 15000, changeOrders: 3000, permitCosts: 1200, contingency: 1500 });
+      expect(result.current.totalRehab).toBe(60700);
+      expect(result.rehabOverrun).toBe(5700);
+      // Partial months round up
+      expect(result.current.monthsToFlip).toBe(8);
+      expect(result.delayMonths).toBe(2);
+      expect(result.profitChange).toBe(
+        -(result.rehabOverrun + result.current.holdingCosts - result.original.holdingCosts)
+      );
+      expect(result.current.roi).toBeLessThan(result.original.roi);
+    });
+
+    it('should alert when the margin falls below target', () => {
+      const { property, arv } = fixture('sfr-conventional');
+      const onTrack = calculateLiveFlipAnalysis(property, arv, { spent: 20000, remaining: 25000, monthsToFlip: 6 }, 0.05);
+      const result = calculateLiveFlipAnalysis(property, arv, progress, 0.05);
+
+      expect(onTrack.alerts).toEqual([]);
+      expect(onTrack.belowTarget).toBe(false);
+      expect(result.belowTarget).toBe(true);
+      expect(result.targetProfitMargin).toBe(5);
+      expect(result.alerts[0]).toMatch(/below the 5% target$/);
+      expect(result.alerts).toHaveLength(3);
+    });
+
+    it('should flag an over-budget deal against the default target margin', () => {
+      const deal = { purchasePrice: 300000, downPayment: 0.2, loanInterestRate: 0.07, loanTerm: 30, rehabCost: 50000, monthsToFlip: 6 };
+      const overBudget = { spent: 70000, remaining: 20000, changeOrders: 5000, permitCosts: 2000, monthsToFlip: 10 };
+
+      const losing = calculateLiveFlipAnalysis(deal, 380000, overBudget);
+      expect(losing.targetProfitMargin).toBe(DEFAULT_TARGET_PROFIT_MARGIN * 100);
+      expect(losing.current.netProfit).toBe(-67892);
+      expect(losing.belowTarget).toBe(true);
+      expect(losing.alerts[0]).toBe('Projected to lose $67,892 at the current spend and timeline');
+
+      const { property, arv } = fixture('sfr-conventional');
+      const thin = calculateLiveFlipAnalysis(property, arv, progress);
+      expect(thin.current.netProfit).toBeGreaterThan(0);
+      expect(thin.belowTarget).toBe(true);
+      expect(thin.alerts[0]).toBe('Profit margin has fallen to 2.86% of ARV, below the 10% target');
+    });
+
+    it('should return an error object without any rehab spend', () => {
+      const { property, arv } = fixture('sfr-conventional');
+      expect(calculateLiveFlipAnalysis(property, arv, { spent: 0, remaining: 0 })).toEqual({
+        error: true,
+        message: 'Rehab spend or remaining budget is required',
+      });
+    });
+  });
+});
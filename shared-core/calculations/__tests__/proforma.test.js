@@ -0,0 +1,145 @@
+/**
+ * Tests for the rental pro forma
+ */
+
+import {
+  projectProForma,
+  resolveProFormaAssumptions,
+  validateProFormaAssumptions,
+} from '../proforma.js';
+import { buildAmortizationSchedule } from '../amortization.js';
+
+const deal = {
+  purchasePrice: 300000,
+  rehabCost: 20000,
+  cashInvested: 85000,
+  grossRent: 30000,
+  vacancyRate: 0.05,
+  expenses: { propertyTaxes: 3750, insurance: 1200, maintenance: 3000, hoaFees: 0 },
+  loan: { principal: 240000, annualRate: 0.07, termMonths: 360 },
+};
+
+describe('Rental Pro Forma', () => {
+  describe('validateProFormaAssumptions', () => {
+    it('should reject out-of-range assumptions', () => {
+      const result = validateProFormaAssumptions(resolveProFormaAssumptions({
+        holdYears: 40,
+        exitCapRate: 1.5,
+        refinanceYear: 45,
+        capexItems: [{ name: 'Roof', year: 50, cost: 12000 }],
+      }));
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Holding period must be between 1 and 30 years',
+        'Each capital expense needs a cost and a year within the holding period',
+        'Exit cap rate must be between 0 and 100%',
+        'Refinance year must come before the sale',
+      ]);
+    });
+
+    it('should fill blank fields from the defaults', () => {
+      const resolved = resolveProFormaAssumptions({ holdYears: 5, rentGrowth: '', exitCapRate: null });
+      expect(resolved.holdYears).toBe(5);
+      expect(resolved.rentGrowth).toBe(0.03);
+      expect(resolved.exitCapRate).toBeNull();
+    });
+  });
+
+  describe('projectProForma', () => {
+    it('should grow rent and each expense line at its own rate', () => {
+      const result = projectProForma(
+        { ...deal, managementRate: 0.08 },
+        { rentGrowth: 0.04, expenseGrowth: 0.02, expenseGrowthByLine: { insurance: 0.1 } }
+      );
+
+      expect(result.error).toBe(false);
+      expect(result.years).toHaveLength(10);
+      expect(result.years[1].grossRent).toBe(31200);
+      expect(result.years[1].expenses.propertyTaxes).toBe(3825);
+      expect(result.years[1].expenses.insurance).toBe(1320);
+      // Management follows collected rent
+      expect(result.years[1].expenses.management).toBe(Math.round(31200 * 0.95 * 0.08));
+      expect(result.years[0].noi).toBe(28500 - 3750 - 1200 - 3000 - 2280);
+    });
+
+    it('should pay the loan down along its amortization schedule', () => {
+      const result = projectProForma(deal, { holdYears: 5 });
+      const schedule = buildAmortizationSchedule(deal.loan);
+
+      expect(result.years[0].loanBalance).toBe(Math.round(schedule.schedule[11].balance));
+      expect(result.years[4].loanBalance).toBe(Math.round(schedule.schedule[59].balance));
+      expect(result.years[0].debtService).toBe(Math.round(schedule.scheduledPayment * 12));
+      expect(result.totals.principalPaid).toBe(Math.round(240000 - schedule.schedule[59].balance));
+      expect(result.years[4].equity).toBe(result.years[4].propertyValue - result.years[4].loanBalance);
+    });
+
+    it('should pay scheduled replacements from the capex reserve', () => {
+      const result = projectProForma(deal, {
+        capexReserveRate: 0.05,
+        capexInflation: 0,
+        capexItems: [{ name: 'Water Heater', year: 2, cost: 1000 }, { name: 'Roof', year: 3, cost: 12000 }],
+      });
+
+      // 1,500 + 1,545 set aside, 1,000 spent: 2,045 left
+      expect(result.years[1].reserveBalance).toBe(2045);
+      expect(result.years[1].capexShortfall).toBe(0);
+      // 2,045 + 1,591 on hand for a 12,000 roof
+      expect(result.years[2].capexItems).toEqual(['Roof']);
+      expect(result.years[2].capexShortfall).toBe(8364);
+      expect(result.years[2].reserveBalance).toBe(0);
+      expect(result.totals.capexSpent).toBe(13000);
+      expect(result.sale.reserveReleased).toBe(result.years[9].reserveBalance);
+    });
+
+    it('should price the sale from the next year of NOI at the exit cap rate', () => {
+      const result = projectProForma(deal, { holdYears: 5, exitCapRate: 0.06, sellingCostRate: 0.06 });
+      const next = projectProForma(deal, { holdYears: 6 });
+
+      expect(result.sale.method).toBe('Exit cap rate');
+      // Within the rounding of NOI to whole dollars
+      expect(Math.abs(result.sale.salePrice - next.years[5].noi / 0.06)).toBeLessThan(10);
+      expect(result.sale.netProceeds).toBe(
+        result.sale.salePrice - result.sale.sellingCosts - result.sale.loanPayoff + result.sale.reserveReleased
+      );
+      expect(result.leveredCashFlows[0]).toBe(-85000);
+      expect(result.leveredCashFlows[5]).toBe(result.years[4].cashFlow + result.sale.netProceeds);
+      expect(result.equityMultiple).toBeCloseTo((result.totals.profit + 85000) / 85000, 2);
+      // Leverage at 7% on a 7%+ unlevered return lifts the levered IRR
+      expect(result.leveredIRR).toBeGreaterThan(result.unleveredIRR);
+    });
+
+    it('should match the unlevered return when bought for cash', () => {
+      const result = projectProForma({ ...deal, loan: null, cashInvested: 320000 }, {});
+      expect(result.years[0].debtService).toBe(0);
+      expect(result.leveredIRR).toBeCloseTo(result.unleveredIRR, 1);
+    });
+
+    it('should refinance into a new loan and pay it off at the sale', () => {
+      const result = projectProForma(deal, {
+        refinanceYear: 3,
+        refinanceLtv: 0.75,
+        refinanceRate: 0.06,
+        refinanceCostRate: 0.02,
+        appreciation: 0.05,
+      });
+      const refi = result.refinance;
+      const newLoan = buildAmortizationSchedule({ principal: refi.newLoan, annualRate: 0.06, termMonths: 360 });
+
+      expect(refi.value).toBe(Math.round(320000 * Math.pow(1.05, 3)));
+      expect(refi.newLoan).toBe(Math.round(refi.value * 0.75));
+      expect(Math.abs(refi.cashOut - (refi.newLoan - refi.loanPayoff - refi.closingCosts))).toBeLessThanOrEqual(1);
+      expect(result.years[2].refinanceProceeds).toBe(refi.cashOut);
+      expect(result.years[2].loanBalance).toBe(refi.newLoan);
+      expect(result.years[3].debtService).toBe(Math.round(newLoan.scheduledPayment * 12));
+      expect(result.sale.loanPayoff).toBe(Math.round(newLoan.schedule[83].balance));
+    });
+
+    it('should return validation errors', () => {
+      expect(projectProForma(deal, { holdYears: 0 })).toMatchObject({
+        error: true,
+        errors: ['Holding period must be between 1 and 30 years'],
+      });
+      expect(projectProForma({ ...deal, grossRent: 0 }).error).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for the rehab scope of work
+ */
+
+import {
+  buildRenovationPhases,
+  estimateRehab,
+  getRehabCostFactor,
+  validateRehabScope,
+} from '../rehab.js';
+import { calculateFlipAnalysis } from '../flip.js';
+import properties from './fixtures/properties.json';
+
+const scope = {
+  finishLevel: 'standard',
+  items: [
+    { item: 'kitchenRemodel', quantity: 1, room: 'Kitchen' },
+    { item: 'lvp', quantity: 1200, finishLevel: 'premium' },
+    { item: 'interiorPaint', quantity: 1500 },
+    { label: 'Permit fees', trade: 'demolition', unit: 'job', unitCost: 1200, quantity: 1 },
+  ],
+};
+
+describe('Rehab Scope of Work', () => {
+  describe('validateRehabScope', () => {
+    it('should reject unknown items, missing quantities and incomplete custom items', () => {
+      const result = validateRehabScope({
+        finishLevel: 'luxury',
+        items: [
+          { item: 'hotTub', quantity: 1 },
+          { item: 'lvp', quantity: 0 },
+          { label: 'Permit fees', quantity: 1 },
+        ],
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Unknown finish level: luxury',
+        'Item 1: unknown line item "hotTub"',
+        'Luxury vinyl plank: quantity must be greater than 0',
+        'Permit fees: custom items need a name, a trade and a unit cost',
+      ]);
+    });
+
+    it('should require at least one item', () => {
+      expect(validateRehabScope({ items: [] }).errors).toEqual(['At least one line item is required']);
+    });
+  });
+
+  describe('estimateRehab', () => {
+    it('should price catalog items by finish level and use custom costs as quoted', () => {
+      const result = estimateRehab(scope);
+
+      expect(result.error).toBe(false);
+      expect(result.lines.map((line) => line.cost)).toEqual([25000, 9570, 5250, 1200]);
+      expect(result.subtotal).toBe(41020);
+      expect(result.contingencyRate).toBe(0.10);
+      expect(result.contingency).toBe(4102);
+      expect(result.totalBudget).toBe(45122);
+    });
+
+    it('should scale catalog costs by the state factor but not quoted costs', () => {
+      const result = estimateRehab(scope, { state: 'ca' });
+
+      expect(getRehabCostFactor('CA')).toBe(1.22);
+      expect(getRehabCostFactor('ZZ')).toBe(1);
+      expect(result.costFactor).toBe(1.22);
+      expect(result.lines[0].cost).toBe(30500);
+      expect(result.lines[3].cost).toBe(1200);
+    });
+
+    it('should raise contingency for work behind the walls and older homes', () => {
+      const rewire = { items: [...scope.items, { item: 'rewire', quantity: 1500 }] };
+
+      expect(estimateRehab(rewire).contingencyRate).toBeCloseTo(0.15);
+      expect(estimateRehab(rewire, { yearBuilt: 1925 }).contingencyRate).toBeCloseTo(0.20);
+      expect(estimateRehab({ ...rewire, contingencyRate: 0 }, { yearBuilt: 1925 }).contingency).toBe(0);
+    });
+
+    it('should total trades in work order with crew days', () => {
+      const result = estimateRehab(scope);
+
+      expect(result.trades.map((trade) => trade.trade)).toEqual(['demolition', 'kitchen', 'flooring', 'painting']);
+      expect(result.trades[1]).toMatchObject({ cost: 25000, contingency: 2500, total: 27500, days: 13 });
+      expect(result.estimatedDays).toBe(1 + 13 + 5 + 6);
+    });
+
+    it('should return an error object for an invalid scope', () => {
+      const result = estimateRehab({ items: [{ item: 'lvp', quantity: -5 }] });
+      expect(result.error).toBe(true);
+      expect(result.errors).toEqual(['Luxury vinyl plank: quantity must be greater than 0']);
+    });
+  });
+
+  describe('buildRenovationPhases', () => {
+    it('should make one phase per trade carrying its share of the contingency', () => {
+      const estimate = estimateRehab(scope);
+      const phases = buildRenovationPhases(estimate);
+
+      expect(phases).toHaveLength(4);
+      expect(phases[1]).toEqual({
+        phaseName: 'Kitchen',
+        description: 'Full kitchen remodel (Kitchen): 1 each',
+        estimatedCost: 27500,
+        estimatedDuration: 13,
+      });
+      expect(phases.reduce((sum, phase) => sum + phase.estimatedCost, 0)).toBeCloseTo(estimate.totalBudget, -1);
+    });
+  });
+
+  describe('calculateFlipAnalysis with a scope of work', () => {
+    it('should budget the rehab from the scope instead of rehabCost', () => {
+      const { property, arv } = properties.find((p) => p.id === 'sfr-conventional');
+      const result = calculateFlipAnalysis({ ...property, state: 'TX', yearBuilt: 1950, rehabScope: scope }, arv);
+      const estimate = estimateRehab(scope, { state: 'TX', yearBuilt: 1950 });
+
+      expect(result.error).toBe(false);
+      expect(result.rehab.baseRehabCost).toBe(estimate.subtotal);
+      expect(result.rehab.contingencyRate).toBeCloseTo(0.15);
+      expect(result.rehab.totalRehab).toBe(estimate.totalBudget);
+      expect(result.rehab.scope.trades).toHaveLength(4);
+    });
+  });
+});
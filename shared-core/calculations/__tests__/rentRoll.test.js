@@ -0,0 +1,115 @@
+/**
+ * Tests for rent rolls and multi-unit rental analysis
+ */
+
+import { buildRentRoll, validateUnitMix } from '../rentRoll.js';
+import { calculateAsIsRental, calculateBRRRRRental } from '../rental.js';
+import { calculateBRRRRAnalysis } from '../brrrr.js';
+import properties from './fixtures/properties.json';
+
+const fixture = (id) => properties.find((p) => p.id === id);
+
+const fourplex = [
+  { label: 'A', beds: 2, baths: 1, currentRent: 1200, marketRent: 1400, leaseEnd: '2026-03-31' },
+  { label: 'B', beds: 2, baths: 1, currentRent: 1350, marketRent: 1400, leaseEnd: '2027-06-30', vacancyRate: 0.1 },
+  { label: 'C', beds: 1, baths: 1, currentRent: 0, marketRent: 1100 },
+  { label: 'D', beds: 1, baths: 1, currentRent: 1000, marketRent: 1100, ownerOccupied: true },
+];
+
+describe('Rent Roll', () => {
+  describe('validateUnitMix', () => {
+    it('should require a rented unit and a single owner unit', () => {
+      const result = validateUnitMix([
+        { currentRent: -5, ownerOccupied: true },
+        { marketRent: 900, vacancyRate: 1, leaseEnd: 'someday', ownerOccupied: true },
+      ]);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Unit 1: rent cannot be negative',
+        'Unit 2: vacancy must be between 0 and 99%',
+        'Unit 2: lease end is not a valid date',
+        'Only one unit can be owner-occupied',
+        'At least one rented unit needs a current or market rent',
+      ]);
+      expect(validateUnitMix([]).errors).toEqual(['At least one unit is required']);
+    });
+  });
+
+  describe('buildRentRoll', () => {
+    it('should count in-place rents, price vacant units at market and leave out the owner unit', () => {
+      const roll = buildRentRoll(fourplex, { asOf: new Date('2026-01-15') });
+
+      expect(roll.error).toBe(false);
+      expect(roll.unitCount).toBe(4);
+      expect(roll.incomeUnitCount).toBe(3);
+      expect(roll.units.map((u) => u.rent)).toEqual([1200, 1350, 1100, 0]);
+      expect(roll.grossMonthlyRent).toBe(3650);
+      // 6% default on A and C, 10% on B
+      expect(roll.vacancyLoss).toBe(72 + 135 + 66);
+      expect(roll.vacancyRate).toBeCloseTo(273 / 3650, 10);
+      expect(roll.marketMonthlyRent).toBe(3900);
+      expect(roll.lossToLease).toBe(250);
+      expect(roll.ownerUnit).toBe('D');
+      expect(roll.ownerUnitMarketRent).toBe(1100);
+      expect(roll.units[0].monthsToLeaseEnd).toBe(2);
+      expect(roll.leasesEndingWithin12Months).toBe(1);
+    });
+
+    it('should price every rented unit at market on the market basis', () => {
+      const roll = buildRentRoll(fourplex, { rentBasis: 'market', vacancyRate: 0 });
+      expect(roll.grossMonthlyRent).toBe(3900);
+      expect(roll.vacancyLoss).toBe(140);
+    });
+
+    it('should return validation errors', () => {
+      expect(buildRentRoll([{ ownerOccupied: true, marketRent: 1000 }])).toMatchObject({
+        error: true,
+        errors: ['At least one rented unit needs a current or market rent'],
+      });
+    });
+  });
+
+  describe('multi-unit rentals', () => {
+    it('should analyze the rent roll in place of monthly rent', () => {
+      const { property } = fixture('sfr-conventional');
+      const units = fourplex.map((u) => ({ ...u, ownerOccupied: false }));
+      const result = calculateAsIsRental({ ...property, units }, 0);
+
+      expect(result.error).toBe(false);
+      expect(result.unitCount).toBe(4);
+      expect(result.pricePerDoor).toBe(75000);
+      expect(result.rentRoll.grossMonthlyRent).toBe(4650);
+      expect(result.grossIncome).toBe(4650 * 12);
+      expect(result.vacancyLoss).toBe(Math.round(result.rentRoll.vacancyLoss * 12));
+      expect(result.houseHack).toBeNull();
+    });
+
+    it('should report the house-hack housing cost and the cash flow after moving out', () => {
+      const { property } = fixture('sfr-conventional');
+      const result = calculateAsIsRental({ ...property, units: fourplex }, 0);
+      const movedOut = calculateAsIsRental({
+        ...property,
+        units: fourplex.map((u) => (u.ownerOccupied ? { ...u, ownerOccupied: false, currentRent: 0 } : u)),
+      }, 0);
+
+      expect(result.grossIncome).toBe(3650 * 12);
+      expect(result.houseHack).toEqual({
+        ownerUnit: 'D',
+        ownerUnitMarketRent: 1100,
+        netHousingCost: -result.monthlyCashFlow,
+        savingsVsRenting: 1100 + result.monthlyCashFlow,
+        fullyRentedMonthlyCashFlow: movedOut.monthlyCashFlow,
+      });
+      expect(movedOut.grossIncome).toBe(4750 * 12);
+      expect(movedOut.monthlyCashFlow).toBeGreaterThan(result.monthlyCashFlow);
+    });
+
+    it('should lease rehabbed units at market in the BRRRR rental', () => {
+      const { property, arv } = fixture('sfr-conventional');
+      const rental = calculateBRRRRRental({ ...property, units: fourplex }, arv);
+      expect(rental.grossIncome).toBe(3900 * 12);
+      expect(calculateBRRRRAnalysis({ ...property, units: fourplex }, arv).error).toBe(false);
+      expect(calculateAsIsRental({ ...property, units: [{ ownerOccupied: true }] }, 2800).error).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for rental analysis calculations
+ */
+
+import { calculateBRRRRRental } from '../rental.js';
+import properties from './fixtures/properties.json';
+
+const fixture = (id) => properties.find((p) => p.id === id);
+
+describe('Rental Calculations', () => {
+  describe('calculateBRRRRRental', () => {
+    it('should calculate post-refinance rental metrics with default expenses', () => {
+      const { property, arv, monthlyRent } = fixture('sfr-conventional');
+      const result = calculateBRRRRRental(property, arv, monthlyRent);
+
+      expect(result.error).toBe(false);
+      expect(result.grossIncome).toBe(33600);
+      expect(result.vacancyLoss).toBe(2016);
+      expect(result.effectiveGrossIncome).toBe(31584);
+      expect(result.expenseBreakdown).toEqual({
+        propertyTaxes: 5250,
+        insurance: 1320,
+        maintenance: 4200,
+        propertyManagement: 0,
+        hoaFees: 0,
+        utilities: 0,
+      });
+      expect(result.noi).toBe(20814);
+      expect(result.capRate).toBe(4.96);
+      expect(result.annualDebtService).toBe(26825);
+      expect(result.annualCashFlow).toBe(-6011);
+      expect(result.monthlyCashFlow).toBe(-501);
+      expect(result.cocReturn).toBe(-5.01);
+      expect(result.dscr).toBe(0.78);
+      expect(result.dscrQuality).toBe('poor');
+    });
+
+    it('should add property management, HOA, utilities and HELOC interest', () => {
+      const { property, arv, monthlyRent } = fixture('heloc-managed');
+      const result = calculateBRRRRRental(property, arv, monthlyRent);
+
+      expect(result.error).toBe(false);
+      expect(result.vacancyLoss).toBe(2340);
+      expect(result.expenseBreakdown.propertyManagement).toBe(3557);
+      expect(result.expenseBreakdown.hoaFees).toBe(600);
+      expect(result.expenseBreakdown.utilities).toBe(2400);
+      expect(result.totalExpenses).toBe(21557);
+      expect(result.noi).toBe(22903);
+      expect(result.annualDebtService).toBe(47405);
+      expect(result.cocReturn).toBe(-11.81);
+      expect(result.dscr).toBe(0.48);
+    });
+
+    it('should size the refinance loan from ARV rather than purchase price', () => {
+      const { property, arv, monthlyRent } = fixture('low-down-15yr');
+      const atArv = calculateBRRRRRental(property, arv, monthlyRent);
+      const atPurchase = calculateBRRRRRental(property, property.purchasePrice, monthlyRent);
+
+      expect(atArv.annualDebtService).toBe(28033);
+      expect(atPurchase.annualDebtService).toBeLessThan(atArv.annualDebtService);
+    });
+
+    it('should grade DSCR quality bands', () => {
+      const { property, arv } = fixture('sfr-conventional');
+
+      expect(calculateBRRRRRental(property, arv, 3600).dscrQuality).toBe('acceptable');
+      expect(calculateBRRRRRental(property, arv, 3800).dscrQuality).toBe('good');
+      expect(calculateBRRRRRental(property, arv, 4500).dscrQuality).toBe('excellent');
+    });
+
+    it('should return an error object when rent or ARV is missing', () => {
+      const { property, arv } = fixture('sfr-conventional');
+
+      expect(calculateBRRRRRental(property, arv, 0)).toEqual({
+        error: true,
+        message: 'Valid property data, ARV, and monthly rent are required',
+      });
+      expect(calculateBRRRRRental(property, 0, 2800).error).toBe(true);
+    });
+  });
+});
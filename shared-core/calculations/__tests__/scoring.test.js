@@ -0,0 +1,158 @@
+/**
+ * Tests for deal quality scoring
+ */
+
+import {
+  scoreMetric,
+  calculateFlipScore,
+  calculateRentalScore,
+  calculateSTRScore,
+  getDealRecommendation,
+  compareProperties,
+  resolveScoringProfile,
+  validateScoringProfile,
+  DEFAULT_SCORING_PROFILE,
+  PRESET_SCORING_PROFILES,
+  THRESHOLDS,
+} from '../scoring.js';
+
+describe('Scoring', () => {
+  describe('scoreMetric', () => {
+    it('should interpolate between thresholds when higher is better', () => {
+      expect(scoreMetric(0.30, THRESHOLDS.FLIP.ROI)).toBe(100);
+      expect(scoreMetric(0.25, THRESHOLDS.FLIP.ROI)).toBeCloseTo(87.5, 5);
+      expect(scoreMetric(0.05, THRESHOLDS.FLIP.ROI)).toBeCloseTo(12.5, 5);
+    });
+
+    it('should interpolate between thresholds when lower is better', () => {
+      expect(scoreMetric(3, THRESHOLDS.FLIP.TIMELINE, false)).toBe(100);
+      expect(scoreMetric(7.5, THRESHOLDS.FLIP.TIMELINE, false)).toBeCloseTo(62.5, 5);
+      expect(scoreMetric(24, THRESHOLDS.FLIP.TIMELINE, false)).toBe(0);
+    });
+
+    it('should score missing values as zero', () => {
+      expect(scoreMetric(null, THRESHOLDS.FLIP.ROI)).toBe(0);
+    });
+  });
+
+  describe('calculateFlipScore', () => {
+    it('should weight ROI, profit, timeline and rehab risk', () => {
+      const result = calculateFlipScore({
+        roi: 0.25,
+        totalProfit: 40000,
+        timelineMonths: 6,
+        rehabCost: 40000,
+        purchasePrice: 200000
+      });
+
+      // 87.5 * 0.40 + 87.5 * 0.30 + 75 * 0.15 + 75 * 0.15
+      expect(result.total).toBe(84);
+      expect(result.breakdown).toEqual({ roi: 88, profit: 88, timeline: 75, risk: 75 });
+    });
+  });
+
+  describe('calculateRentalScore', () => {
+    it('should use a neutral market score without market data', () => {
+      const result = calculateRentalScore({ monthlyCashFlow: 500, roi: 0.15, capRate: 0.10, dscr: 1.5 });
+
+      // 100 on every metric except market (50 * 0.15)
+      expect(result.total).toBe(93);
+      expect(result.breakdown.market).toBe(50);
+    });
+  });
+
+  describe('calculateSTRScore', () => {
+    it('should score the occupancy cushion in place of the market comparison', () => {
+      const strong = { monthlyCashFlow: 500, roi: 0.15, capRate: 0.10, dscr: 1.5, occupancy: 0.70, breakEvenOccupancy: 0.45 };
+      expect(calculateSTRScore(strong).total).toBe(100);
+
+      const thin = calculateSTRScore({ ...strong, breakEvenOccupancy: 0.72 });
+      expect(thin.breakdown.occupancyCushion).toBe(0);
+      expect(thin.total).toBe(85);
+      expect(calculateSTRScore({ ...strong, breakEvenOccupancy: null }).breakdown.occupancyCushion).toBe(0);
+    });
+  });
+
+  describe('getDealRecommendation', () => {
+    it('should map score bands to labels', () => {
+      expect(getDealRecommendation(85).label).toBe('Excellent Investment');
+      expect(getDealRecommendation(60).label).toBe('Good Investment');
+      expect(getDealRecommendation(45).label).toBe('Proceed with Caution');
+      expect(getDealRecommendation(10).label).toBe('Not Recommended');
+    });
+  });
+
+  describe('compareProperties', () => {
+    it('should rank properties by total score and keep their original position', () => {
+      const result = compareProperties([
+        { id: 'a', score: { total: 55 } },
+        { id: 'b', score: { total: 82 } },
+        { id: 'c', score: { total: 70 } }
+      ]);
+
+      expect(result.ranked.map(p => p.id)).toEqual(['b', 'c', 'a']);
+      expect(result.ranked[0].originalIndex).toBe(1);
+      expect(result.statistics).toEqual({ average: 69, highest: 82, lowest: 55, count: 3 });
+    });
+
+    it('should return null for an empty list', () => {
+      expect(compareProperties([])).toBeNull();
+    });
+  });
+
+  describe('scoring profiles', () => {
+    const rental = { monthlyCashFlow: 250, roi: 0.12, capRate: 0.09, dscr: 1.3 };
+    const strict = {
+      id: 'strict',
+      name: 'Strict',
+      thresholds: { RENTAL: { CASH_FLOW: { EXCELLENT: 1000, GOOD: 800, FAIR: 600, POOR: 400 } } },
+      recommendationBands: { EXCELLENT: 90, GOOD: 75 }
+    };
+
+    it('should score with the default profile when none is given', () => {
+      const withDefault = calculateRentalScore(rental, null, DEFAULT_SCORING_PROFILE);
+      expect(calculateRentalScore(rental)).toEqual(withDefault);
+      expect(withDefault.profileId).toBe('default');
+    });
+
+    it('should apply a profile\'s thresholds, weights and bands', () => {
+      const result = calculateRentalScore(rental, null, strict);
+
+      expect(result.profileId).toBe('strict');
+      expect(result.breakdown.cashFlow).toBeLessThan(calculateRentalScore(rental).breakdown.cashFlow);
+      expect(result.total).toBeLessThan(calculateRentalScore(rental).total);
+      expect(getDealRecommendation(85).label).toBe('Excellent Investment');
+      expect(getDealRecommendation(85, strict).label).toBe('Good Investment');
+    });
+
+    it('should fill sections a stored profile leaves out from the default', () => {
+      const resolved = resolveScoringProfile(strict);
+
+      expect(resolved.weights).toEqual(DEFAULT_SCORING_PROFILE.weights);
+      expect(resolved.thresholds.RENTAL.CAP_RATE).toEqual(THRESHOLDS.RENTAL.CAP_RATE);
+      expect(resolved.recommendationBands).toEqual({ EXCELLENT: 90, GOOD: 75, CAUTION: 40, HIGH_RISK: 20 });
+    });
+
+    it('should accept every preset', () => {
+      PRESET_SCORING_PROFILES.forEach(profile => {
+        expect(validateScoringProfile(profile)).toEqual({ valid: true, errors: [] });
+      });
+    });
+
+    it('should reject weights that do not add up and out-of-order cut-offs', () => {
+      const result = validateScoringProfile({
+        name: 'Broken',
+        weights: { FLIP: { ROI: 0.5 } },
+        thresholds: { FLIP: { TIMELINE: { EXCELLENT: 9, GOOD: 6 } } },
+        recommendationBands: { GOOD: 85 }
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'FLIP weights must add up to 100%',
+        'FLIP TIMELINE thresholds must run Excellent < Good < Fair < Poor',
+        'Recommendation bands must run 100 ≥ Excellent > Good > Caution > High Risk ≥ 0'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for the short-term rental analysis
+ */
+
+import {
+  calculateSTRAnalysis,
+  getSTROccupancyByMonth,
+  resolveSTRAssumptions,
+  validateSTRAssumptions,
+  STR_MONTH_DAYS,
+} from '../str.js';
+import { calculateAsIsRental, calculateRentalDebtService } from '../rental.js';
+import properties from './fixtures/properties.json';
+
+const fixture = (id) => properties.find((p) => p.id === id);
+
+describe('Short-Term Rental Analysis', () => {
+  describe('getSTROccupancyByMonth', () => {
+    it('should scale the seasonality curve to the average occupancy', () => {
+      const occupancy = getSTROccupancyByMonth(resolveSTRAssumptions({ seasonality: 'summer', averageOccupancy: 0.6 }));
+      const nights = occupancy.reduce((sum, occ, i) => sum + occ * STR_MONTH_DAYS[i], 0);
+
+      expect(nights).toBeCloseTo(219, 5);
+      // Keeps the summer peak
+      expect(occupancy[6]).toBeGreaterThan(occupancy[0] * 2);
+    });
+
+    it('should cap scaled months at full occupancy', () => {
+      const occupancy = getSTROccupancyByMonth(resolveSTRAssumptions({ seasonality: 'summer', averageOccupancy: 0.95 }));
+      expect(Math.max(...occupancy)).toBe(1);
+    });
+  });
+
+  describe('validateSTRAssumptions', () => {
+    it('should require a nightly rate and sensible rates', () => {
+      const result = validateSTRAssumptions(resolveSTRAssumptions({ platformFeeRate: 1.5, occupancyByMonth: [0.5] }));
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Nightly rate must be greater than 0',
+        'Monthly occupancy needs 12 values between 0 and 100%',
+        'Platform, management and occupancy tax rates must be between 0 and 100%',
+      ]);
+    });
+  });
+
+  describe('calculateSTRAnalysis', () => {
+    it('should build revenue and expenses from bookings', () => {
+      const { property } = fixture('sfr-conventional');
+      const result = calculateSTRAnalysis(property, {
+        nightlyRate: 200,
+        averageOccupancy: 0.6,
+        occupancyTaxRate: 0.05,
+      });
+
+      expect(result.error).toBe(false);
+      expect(result.nightsBooked).toBe(219);
+      expect(result.stays).toBe(73);
+      expect(result.rentalRevenue).toBe(43800);
+      expect(result.cleaningFeeIncome).toBe(9125);
+      expect(result.grossRevenue).toBe(52925);
+      expect(result.expenseBreakdown).toMatchObject({
+        platformFees: 1588,
+        management: 10585,
+        occupancyTax: 2646,
+        cleaning: 7300,
+        utilities: 3600,
+        supplies: 1200,
+      });
+      expect(result.noi).toBe(result.grossRevenue - result.totalExpenses);
+      expect(result.months).toHaveLength(12);
+      expect(result.months[0]).toMatchObject({ month: 1, label: 'Jan', occupancy: 60, nights: 18.6 });
+    });
+
+    it('should share debt service with the long-term rental and add furnishing to cash invested', () => {
+      const { property, monthlyRent } = fixture('sfr-conventional');
+      const rental = calculateAsIsRental(property, monthlyRent);
+      const debt = calculateRentalDebtService(property);
+      const result = calculateSTRAnalysis(property, { nightlyRate: 200, furnishingCost: 20000 });
+
+      expect(result.annualDebtService).toBe(rental.annualDebtService);
+      expect(result.totalCashInvested).toBe(Math.round(debt.totalCashDeployed + 20000));
+      expect(result.annualCashFlow).toBe(result.noi - result.annualDebtService);
+    });
+
+    it('should break even on cash flow at the break-even occupancy', () => {
+      const { property } = fixture('sfr-conventional');
+      const base = calculateSTRAnalysis(property, { nightlyRate: 200 });
+      const atBreakEven = calculateSTRAnalysis(property, {
+        nightlyRate: 200,
+        averageOccupancy: base.breakEvenOccupancy / 100,
+      });
+
+      expect(base.breakEvenOccupancy).toBeGreaterThan(0);
+      expect(Math.abs(atBreakEven.annualCashFlow)).toBeLessThan(50);
+    });
+
+    it('should report no break-even when fees exceed what a night earns', () => {
+      const { property } = fixture('sfr-conventional');
+      const result = calculateSTRAnalysis(property, { nightlyRate: 20, averageStayNights: 1, cleaningFee: 0 });
+      expect(result.breakEvenOccupancy).toBeNull();
+    });
+
+    it('should return validation errors', () => {
+      const result = calculateSTRAnalysis(fixture('sfr-conventional').property, { nightlyRate: 0 });
+      expect(result).toMatchObject({ error: true, errors: ['Nightly rate must be greater than 0'] });
+      expect(calculateSTRAnalysis(null, { nightlyRate: 200 }).error).toBe(true);
+    });
+  });
+});
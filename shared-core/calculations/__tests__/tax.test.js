@@ -0,0 +1,118 @@
+/**
+ * Tests for multi-year tax projections
+ */
+
+import {
+  buildDepreciationSchedule,
+  calculateIncomeTax,
+  calculatePassiveLossAllowance,
+  getMarginalTaxRate,
+  projectTaxes,
+  resolveLandValueRatio,
+  resolveTaxProfile,
+} from '../tax.js';
+
+const deal = {
+  purchasePrice: 300000,
+  rehabCost: 30000,
+  cashInvested: 90000,
+  effectiveGrossIncome: 31920,
+  operatingExpenses: 11000,
+  loan: { principal: 240000, annualRate: 0.07, termMonths: 360 },
+};
+
+const costSegregation = { costSegregation: { fiveYear: 0.15, fifteenYear: 0.1 }, bonusDepreciationRate: 1 };
+
+describe('Tax Projections', () => {
+  describe('rates and allowances', () => {
+    it('should tax income through the filing status brackets', () => {
+      expect(calculateIncomeTax(100000, 'single')).toBeCloseTo(16914, 0);
+      expect(calculateIncomeTax(100000, 'marriedJoint')).toBeCloseTo(11828, 0);
+      expect(getMarginalTaxRate(120000, 'single')).toBe(0.24);
+      expect(getMarginalTaxRate(120000, 'marriedJoint')).toBe(0.22);
+    });
+
+    it('should phase out the passive loss allowance between $100k and $150k', () => {
+      expect(calculatePassiveLossAllowance(90000, false)).toBe(25000);
+      expect(calculatePassiveLossAllowance(120000, false)).toBe(15000);
+      expect(calculatePassiveLossAllowance(160000, false)).toBe(0);
+      expect(calculatePassiveLossAllowance(500000, true)).toBe(Infinity);
+    });
+
+    it('should prefer the assessor land split over the input ratio', () => {
+      expect(resolveLandValueRatio(resolveTaxProfile({ landValueRatio: 0.3 }))).toEqual({ ratio: 0.3, source: 'Input' });
+      expect(resolveLandValueRatio(resolveTaxProfile({ assessedLandValue: 50000, assessedTotalValue: 200000 }))).toEqual({
+        ratio: 0.25,
+        source: 'Assessor',
+      });
+    });
+  });
+
+  describe('buildDepreciationSchedule', () => {
+    it('should use the mid-month convention for the residential share', () => {
+      const schedule = buildDepreciationSchedule(275000, resolveTaxProfile({ placedInServiceMonth: 7 }), 2);
+      expect(schedule[0].residential).toBeCloseTo(10000 * (5.5 / 12), 6);
+      expect(schedule[1].residential).toBeCloseTo(10000, 6);
+    });
+
+    it('should take bonus depreciation on cost segregation classes in year one', () => {
+      const schedule = buildDepreciationSchedule(100000, resolveTaxProfile({ costSegregation: { fiveYear: 0.2 }, bonusDepreciationRate: 0.4 }), 2);
+      // 40% bonus on the 20k 5-year class, then MACRS on the remaining 12k
+      expect(schedule[0].bonus).toBeCloseTo(8000, 6);
+      expect(schedule[0].costSegregation).toBeCloseTo(2400, 6);
+      expect(schedule[1].costSegregation).toBeCloseTo(3840, 6);
+      expect(schedule[0].residential).toBeCloseTo((80000 / 27.5) * (11.5 / 12), 6);
+    });
+  });
+
+  describe('projectTaxes', () => {
+    it('should project after-tax cash flow and the sale for a straight-line rental', () => {
+      const result = projectTaxes(deal, { ordinaryIncome: 120000 });
+
+      expect(result.error).toBe(false);
+      expect(result).toMatchObject({ landValue: 60000, depreciableBasis: 270000, marginalRate: 0.24 });
+      expect(result.years).toHaveLength(5);
+      expect(result.years[0]).toMatchObject({
+        noi: 20920,
+        interest: 16723,
+        cashFlow: 1759,
+        depreciation: 9409,
+        taxableIncome: -5212,
+        deductedLoss: 5212,
+        taxDue: -1251,
+        afterTaxCashFlow: 3010,
+      });
+      expect(result.sale).toMatchObject({ gain: 78288, unrecaptured1250: 48682, capitalGain: 29606, recaptureTax: 11684, capitalGainsTax: 4441 });
+      expect(result.afterTaxCashFlows[0]).toBe(-90000);
+      expect(result.afterTaxCashFlows[5]).toBe(result.years[4].afterTaxCashFlow + result.sale.afterTaxProceeds);
+      expect(result.preTaxIRR).toBe(11.13);
+      expect(result.afterTaxIRR).toBe(9.49);
+    });
+
+    it('should suspend losses over the allowance and release them at the sale', () => {
+      const result = projectTaxes(deal, { ordinaryIncome: 120000, ...costSegregation });
+
+      expect(result.years[0]).toMatchObject({ depreciation: 74557, deductedLoss: 15000, suspendedLoss: 55360, taxDue: -3600 });
+      expect(result.years[4]).toMatchObject({ carryforwardUsed: 483, suspendedLoss: 54877, taxDue: 0 });
+      expect(result.sale).toMatchObject({ ordinaryRecapture: 67500, suspendedLossReleased: 54877 });
+    });
+
+    it('should let real estate professionals deduct the full loss', () => {
+      const result = projectTaxes(deal, { ordinaryIncome: 120000, realEstateProfessional: true, ...costSegregation });
+
+      expect(result.years[0]).toMatchObject({ deductedLoss: 70360, suspendedLoss: 0, taxDue: -15812 });
+      expect(result.afterTaxIRR).toBeGreaterThan(projectTaxes(deal, { ordinaryIncome: 120000 }).afterTaxIRR);
+    });
+
+    it('should reject an invalid profile', () => {
+      const result = projectTaxes(deal, { filingStatus: 'other', costSegregation: { fiveYear: 0.8, fifteenYear: 0.3 } });
+
+      expect(result.error).toBe(true);
+      expect(result.errors).toEqual([
+        'Unknown filing status "other"',
+        'Cost segregation shares must be positive and total at most 100%',
+      ]);
+      expect(projectTaxes({ ...deal, effectiveGrossIncome: 0 }).error).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,365 @@
+/**
+ * ===============================
+ * AMORTIZATION ENGINE
+ * ===============================
+ *
+ * Payment-by-payment schedules for a single loan with the things borrowers
+ * actually do: extra principal (one-time or recurring), biweekly payments and
+ * recasts, on top of rate changes, interest-only periods and balloons.
+ * Every schedule is compared with a plain monthly baseline to show the
+ * interest saved and how much sooner the loan is paid off.
+ * Platform-agnostic - pure calculation functions
+ *
+ * @module shared-core/calculations/amortization
+ */
+
+import { buildLoanSchedule, calculateLoanPayment } from './financing.js';
+
+/**
+ * Payments per year for each schedule frequency. Biweekly pays half the
+ * monthly payment every two weeks - 13 monthly payments a year.
+ */
+export const PAYMENT_FREQUENCIES = {
+  monthly: 12,
+  biweekly: 26
+};
+
+/**
+ * @typedef {Object} AmortizationLoan
+ * @property {number} principal - Amount borrowed
+ * @property {number} annualRate - Starting note rate (decimal)
+ * @property {number} termMonths - Months until the loan is fully repaid, interest-only months included
+ * @property {number} [interestOnlyMonths] - Interest-only months at the start
+ * @property {number} [balloonMonth] - Month the remaining balance is due, when earlier than termMonths
+ */
+
+/**
+ * @typedef {Object} ExtraPayment
+ * @property {number} amount - Extra principal paid
+ * @property {number} month - First (or only) month it is paid
+ * @property {number} [every] - Repeat every this many months (1 = monthly, 12 = yearly)
+ * @property {number} [until] - Last month a recurring payment is made
+ */
+
+/**
+ * @typedef {Object} AmortizationOptions
+ * @property {string} [frequency] - 'monthly' or 'biweekly'
+ * @property {ExtraPayment[]} [extraPayments]
+ * @property {number[]} [recastMonths] - Re-level the payment over the remaining term after these months
+ * @property {{month: number, rate: number}[]} [rateChanges] - Note rate from the given month on
+ * @property {string} [startDate] - First payment date (YYYY-MM-DD); rows carry dates when set
+ */
+
+/**
+ * @typedef {Object} AmortizationRow
+ * @property {number} period - Payment number
+ * @property {number} month - Loan month the payment falls in
+ * @property {string|null} date - Payment date (YYYY-MM-DD) when a start date was given
+ * @property {number} rate - Annual rate charged (decimal)
+ * @property {number} payment - Scheduled payment (interest plus principal)
+ * @property {number} interest
+ * @property {number} principal - Scheduled principal
+ * @property {number} extraPrincipal
+ * @property {number} balloon - Balance paid off when the loan comes due
+ * @property {number} balance - Balance after this payment
+ * @property {string[]} events - 'Rate change', 'Recast', 'Extra payment', 'Balloon'
+ */
+
+/**
+ * @typedef {Object} AmortizationSchedule
+ * @property {boolean} error - True for invalid inputs; only message and errors are set
+ * @property {string} [message]
+ * @property {string[]} [errors]
+ * @property {string} frequency
+ * @property {number} scheduledPayment - First amortizing payment at the chosen frequency
+ * @property {AmortizationRow[]} schedule
+ * @property {{interest: number, principal: number, extraPrincipal: number, balloon: number, paid: number}} totals
+ * @property {number} payoffMonth - Loan month of the last payment
+ * @property {string|null} payoffDate
+ */
+
+/**
+ * @typedef {Object} AmortizationAnalysis
+ * @property {boolean} error - True for invalid inputs; only message and errors are set
+ * @property {string} [message]
+ * @property {string[]} [errors]
+ * @property {AmortizationSchedule} schedule - With extra payments, recasts and the chosen frequency
+ * @property {AmortizationSchedule} baseline - Monthly payments as agreed, same rate changes
+ * @property {number} interestSaved
+ * @property {number} monthsSaved
+ */
+
+// ============================================================================
+// INPUTS
+// ============================================================================
+
+/**
+ * Check a loan and schedule options
+ * @param {AmortizationLoan} loan - Loan to amortize
+ * @param {AmortizationOptions} [options] - Schedule options
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateAmortization(loan, options) {
+  const errors = [];
+  const opts = options || {};
+
+  if (!loan || !(loan.principal > 0)) {
+    errors.push('Loan amount must be greater than 0');
+  }
+  if (!loan || !(loan.annualRate >= 0) || loan.annualRate > 0.5) {
+    errors.push('Interest rate must be between 0 and 50%');
+  }
+  if (!loan || !(loan.termMonths >= 1)) {
+    errors.push('Loan term must be at least 1 month');
+  }
+  if (loan && loan.interestOnlyMonths && (loan.interestOnlyMonths < 0 || loan.interestOnlyMonths > loan.termMonths)) {
+    errors.push('Interest-only period must fit within the loan term');
+  }
+  if (opts.frequency && !PAYMENT_FREQUENCIES[opts.frequency]) {
+    errors.push(`Unknown payment frequency "${opts.frequency}"`);
+  }
+  (opts.extraPayments || []).forEach(function(extra, i) {
+    if (!(extra.amount >= 0) || !(extra.month >= 1) || (extra.every !== undefined && extra.every !== null && !(extra.every >= 1))) {
+      errors.push(`Extra payment ${i + 1}: amount, month and repeat interval must be positive`);
+    }
+  });
+  (opts.rateChanges || []).forEach(function(change, i) {
+    if (!(change.month >= 1) || !(change.rate >= 0) || change.rate > 0.5) {
+      errors.push(`Rate change ${i + 1}: month must be at least 1 and rate between 0 and 50%`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Schedule options from the simple inputs both UIs offer
+ * @param {Object} settings - { extraMonthly, lumpSum, lumpSumMonth, recastAfterLumpSum, biweekly, startDate }
+ * @returns {AmortizationOptions} Engine options
+ */
+export function createAmortizationOptions(settings) {
+  const s = settings || {};
+  const extraPayments = [];
+  const recastMonths = [];
+
+  if (s.extraMonthly > 0) {
+    extraPayments.push({ amount: s.extraMonthly, month: 1, every: 1 });
+  }
+  if (s.lumpSum > 0) {
+    const month = Math.max(1, Math.round(s.lumpSumMonth || 12));
+    extraPayments.push({ amount: s.lumpSum, month: month });
+    if (s.recastAfterLumpSum) recastMonths.push(month);
+  }
+
+  return {
+    frequency: s.biweekly ? 'biweekly' : 'monthly',
+    extraPayments: extraPayments,
+    recastMonths: recastMonths,
+    rateChanges: [],
+    startDate: s.startDate || null
+  };
+}
+
+/**
+ * The amortizing view of a financing-plan loan (see financing.js)
+ * Interest-only loans stay interest-only until they come due; ARM resets
+ * become rate changes. Rehab draws are treated as funded at closing.
+ * @param {Object} loanTerms - LoanTerms from createLoan / createFinancingPlan
+ * @returns {{loan: AmortizationLoan, rateChanges: {month: number, rate: number}[]}} Loan and its rate changes
+ */
+export function toAmortizationLoan(loanTerms) {
+  const drawn = (loanTerms.draws || []).reduce(function(sum, draw) { return sum + draw.amount; }, 0);
+  const interestOnly = loanTerms.interestOnlyMonths || 0;
+  const amortization = loanTerms.amortizationMonths || 0;
+  const termMonths = amortization > 0 ? interestOnly + amortization : loanTerms.termMonths;
+
+  const loan = {
+    principal: loanTerms.amount + drawn,
+    annualRate: loanTerms.rate,
+    termMonths: termMonths,
+    interestOnlyMonths: amortization > 0 ? interestOnly : loanTerms.termMonths
+  };
+  if (loanTerms.termMonths < termMonths) {
+    loan.balloonMonth = loanTerms.termMonths;
+  }
+
+  const rateChanges = loanTerms.arm ? buildLoanSchedule(loanTerms).rateResets : [];
+  return { loan: loan, rateChanges: rateChanges };
+}
+
+// ============================================================================
+// SCHEDULE
+// ============================================================================
+
+/**
+ * Date of a payment, counting from the first payment date
+ * @param {string|null} startDate - First payment date (YYYY-MM-DD)
+ * @param {number} period - Payment number
+ * @param {string} frequency - 'monthly' or 'biweekly'
+ * @returns {string|null} Payment date (YYYY-MM-DD)
+ */
+function paymentDate(startDate, period, frequency) {
+  if (!startDate) return null;
+  const start = new Date(`${String(startDate).slice(0, 10)}T00:00:00Z`);
+  if (isNaN(start.getTime())) return null;
+
+  if (frequency === 'biweekly') {
+    return new Date(start.getTime() + (period - 1) * 14 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  }
+
+  // Payments due on the 29th-31st fall on the last day of shorter months
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + period - 1;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * Extra principal due in a month
+ * @param {ExtraPayment[]} extraPayments - Extra payments
+ * @param {number} month - Loan month
+ * @returns {number} Extra principal
+ */
+function extraPrincipalDue(extraPayments, month) {
+  return extraPayments.reduce(function(sum, extra) {
+    if (month < extra.month || (extra.until && month > extra.until)) return sum;
+    const due = extra.every ? (month - extra.month) % extra.every === 0 : month === extra.month;
+    return due ? sum + extra.amount : sum;
+  }, 0);
+}
+
+/**
+ * Build the payment-by-payment schedule for a loan
+ *
+ * The monthly payment is set when amortization starts and re-levelled over
+ * the remaining term after a rate change or a recast. Extra principal does
+ * not lower the payment on its own - it shortens the loan - unless the month
+ * is also a recast month.
+ *
+ * @param {AmortizationLoan} loan - Loan to amortize
+ * @param {AmortizationOptions} [options] - Schedule options
+ * @returns {AmortizationSchedule} Schedule and totals
+ */
+export function buildAmortizationSchedule(loan, options) {
+  const validation = validateAmortization(loan, options);
+  if (!validation.valid) {
+    return { error: true, message: validation.errors.join('; '), errors: validation.errors };
+  }
+
+  const opts = options || {};
+  const frequency = opts.frequency || 'monthly';
+  const periodsPerYear = PAYMENT_FREQUENCIES[frequency];
+  const extraPayments = opts.extraPayments || [];
+  const recastMonths = opts.recastMonths || [];
+  const rateChanges = opts.rateChanges || [];
+  const interestOnlyMonths = loan.interestOnlyMonths || 0;
+  const dueMonth = Math.min(loan.balloonMonth || loan.termMonths, loan.termMonths);
+  const paymentsPerMonth = frequency === 'biweekly' ? 13 / 12 : 1; // Half payments, 26 a year
+  const monthOf = function(period) { return Math.ceil(period * 12 / periodsPerYear); };
+
+  const schedule = [];
+  const totals = { interest: 0, principal: 0, extraPrincipal: 0, balloon: 0, paid: 0 };
+  let balance = loan.principal;
+  let rate = loan.annualRate;
+  let monthlyPayment = null;
+  let scheduledPayment = null;
+
+  for (let period = 1; balance > 0.005 && monthOf(period) <= dueMonth; period++) {
+    const month = monthOf(period);
+    const firstOfMonth = period === 1 || monthOf(period - 1) !== month;
+    const lastOfMonth = monthOf(period + 1) !== month;
+    const events = [];
+
+    const change = firstOfMonth ? rateChanges.find(function(c) { return c.month === month; }) : null;
+    if (change && change.rate !== rate) {
+      rate = change.rate;
+      monthlyPayment = null;
+      events.push('Rate change');
+    }
+
+    const amortizing = month > interestOnlyMonths;
+    if (amortizing && monthlyPayment === null) {
+      monthlyPayment = calculateLoanPayment(balance, rate, loan.termMonths - month + 1);
+    }
+
+    const interest = balance * rate / periodsPerYear;
+    const payment = amortizing ? monthlyPayment * 12 / periodsPerYear * paymentsPerMonth : interest;
+    if (amortizing && scheduledPayment === null) scheduledPayment = payment;
+    const principal = Math.min(Math.max(0, payment - interest), balance);
+    balance -= principal;
+
+    const extra = firstOfMonth ? Math.min(extraPrincipalDue(extraPayments, month), balance) : 0;
+    balance -= extra;
+    if (extra > 0) events.push('Extra payment');
+
+    let balloon = 0;
+    if (lastOfMonth && month === dueMonth && balance > 0.005) {
+      balloon = balance;
+      balance = 0;
+      events.push('Balloon');
+    }
+
+    if (lastOfMonth && amortizing && balance > 0.005 && recastMonths.indexOf(month) !== -1) {
+      monthlyPayment = calculateLoanPayment(balance, rate, loan.termMonths - month);
+      events.push('Recast');
+    }
+
+    totals.interest += interest;
+    totals.principal += principal;
+    totals.extraPrincipal += extra;
+    totals.balloon += balloon;
+    totals.paid += interest + principal + extra + balloon;
+
+    schedule.push({
+      period: period,
+      month: month,
+      date: paymentDate(opts.startDate, period, frequency),
+      rate: rate,
+      payment: interest + principal,
+      interest: interest,
+      principal: principal,
+      extraPrincipal: extra,
+      balloon: balloon,
+      balance: Math.max(0, balance),
+      events: events
+    });
+  }
+
+  const last = schedule[schedule.length - 1];
+  return {
+    error: false,
+    frequency: frequency,
+    scheduledPayment: scheduledPayment === null ? (schedule.length > 0 ? schedule[0].payment : 0) : scheduledPayment,
+    schedule: schedule,
+    totals: totals,
+    payoffMonth: last ? last.month : 0,
+    payoffDate: last ? last.date : null
+  };
+}
+
+/**
+ * Schedule a loan with the borrower's extra payments and compare it with
+ * paying exactly as agreed
+ * @param {AmortizationLoan} loan - Loan to amortize
+ * @param {AmortizationOptions} [options] - Schedule options
+ * @returns {AmortizationAnalysis} Schedule, baseline and savings
+ */
+export function analyzeAmortization(loan, options) {
+  const opts = options || {};
+  const schedule = buildAmortizationSchedule(loan, opts);
+  if (schedule.error) return schedule;
+
+  const baseline = buildAmortizationSchedule(loan, {
+    frequency: 'monthly',
+    rateChanges: opts.rateChanges,
+    startDate: opts.startDate
+  });
+
+  return {
+    error: false,
+    schedule: schedule,
+    baseline: baseline,
+    interestSaved: Math.round((baseline.totals.interest - schedule.totals.interest) * 100) / 100,
+    monthsSaved: baseline.payoffMonth - schedule.payoffMonth
+  };
+}
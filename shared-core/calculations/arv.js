@@ -15,7 +15,7 @@
  * @param {Object} propertyData - Property information
  * @returns {Object} { error: boolean, arv?: number, sources?: Array, confidence?: number, message?: string }
  */
-function calculateEnhancedARV(estimates, propertyData) {
+export function calculateEnhancedARV(estimates, propertyData) {
   // Validate inputs
   if (!Array.isArray(estimates) || estimates.length === 0) {
     return { error: true, message: 'Estimates array is required and must not be empty' };
@@ -82,7 +82,7 @@ function calculateEnhancedARV(estimates, propertyData) {
  * @param {Array} estimates - Array of estimate values
  * @returns {Object} { error: boolean, conservative?: number, moderate?: number, aggressive?: number, message?: string }
  */
-function calculateARVConfidenceInterval(estimates) {
+export function calculateARVConfidenceInterval(estimates) {
   // Validate inputs
   if (!Array.isArray(estimates) || estimates.length === 0) {
     return { error: true, message: 'Estimates array is required' };
@@ -131,7 +131,7 @@ function calculateARVConfidenceInterval(estimates) {
  * @param {Object} marketTrends - Market trend data
  * @returns {Object} { error: boolean, isValid?: boolean, deviation?: number, warning?: string, message?: string }
  */
-function validateARVAgainstMarketTrends(estimatedARV, historicalData, marketTrends) {
+export function validateARVAgainstMarketTrends(estimatedARV, historicalData, marketTrends) {
   // Validate inputs
   if (!estimatedARV || estimatedARV <= 0) {
     return { error: true, message: 'Valid estimated ARV is required' };
@@ -194,7 +194,7 @@ function validateARVAgainstMarketTrends(estimatedARV, historicalData, marketTren
  * @param {Object} locationFactors - Location quality factors
  * @returns {Object} { error: boolean, adjustedARV?: number, adjustments?: Object, message?: string }
  */
-function calculateLocationAdjustedARV(baseARV, locationFactors) {
+export function calculateLocationAdjustedARV(baseARV, locationFactors) {
   // Validate inputs
   if (!baseARV || baseARV <= 0) {
     return { error: true, message: 'Valid base ARV is required' };
@@ -261,7 +261,7 @@ function calculateLocationAdjustedARV(baseARV, locationFactors) {
  * @param {Array} schools - Array of school objects with ratings
  * @returns {Object} { premium: number, avgRating: number }
  */
-function calculateSchoolPremium(schools) {
+export function calculateSchoolPremium(schools) {
   // Validate input
   if (!schools || !Array.isArray(schools) || schools.length === 0) {
     return { premium: 0, avgRating: 0 };
@@ -301,7 +301,7 @@ function calculateSchoolPremium(schools) {
  * @param {Object} scores - Walk, transit, and bike scores
  * @returns {Object} { premium: number, walkScore: number }
  */
-function calculateWalkabilityPremium(scores) {
+export function calculateWalkabilityPremium(scores) {
   // Validate input
   if (!scores || !scores.walkScore) {
     return { premium: 0, walkScore: 0 };
@@ -328,7 +328,7 @@ function calculateWalkabilityPremium(scores) {
  * @param {number} noiseScore - Noise score (0-100, higher = noisier)
  * @returns {Object} { adjustment: number, noiseScore: number, quality: string }
  */
-function assessEnvironmentalQuality(noiseScore) {
+export function assessEnvironmentalQuality(noiseScore) {
   // Validate input
   if (!noiseScore || noiseScore < 0) {
     return { adjustment: 0, noiseScore: 0, quality: 'unknown' };
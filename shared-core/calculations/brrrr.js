@@ -0,0 +1,270 @@
+/**
+ * ===============================
+ * BRRRR ANALYSIS
+ * ===============================
+ *
+ * Buy, rehab, rent, refinance: funds the purchase and rehab, carries the
+ * property to a refinance month, sizes the new loan from the appraisal the
+ * lender will accept, and tracks how much of the investor's cash comes back.
+ * Platform-agnostic - pure calculation functions
+ *
+ * @module shared-core/calculations/brrrr
+ */
+
+import { calculateAcquisitionCosts } from './flip.js';
+import { calculateBRRRRRental } from './rental.js';
+import { hasUnitMix } from './rentRoll.js';
+import { buildFinancingSchedule, createLoan, getFundedAtClosing, sumDebtService } from './financing.js';
+
+/**
+ * Refinance assumptions used when none are given
+ */
+export const DEFAULT_REFINANCE = {
+  seasoningMonths: 6,   // Lenders appraise at ARV only after this many months of ownership
+  ltv: 0.75,
+  termMonths: 360,
+  closingCostRate: 0.02,
+  points: 0
+};
+
+/**
+ * @typedef {Object} RefinanceOptions
+ * @property {number} [month] - Month the refinance closes (defaults to the later of rehab completion and seasoning)
+ * @property {number} [seasoningMonths] - Ownership months before the lender uses ARV
+ * @property {number} [ltv] - Lender's maximum loan-to-value (decimal)
+ * @property {number} [rate] - Refinance note rate (decimal, defaults to propertyData.loanInterestRate)
+ * @property {number} [termMonths] - Refinance term, fully amortizing
+ * @property {number} [closingCostRate] - Refinance closing costs as a share of the new loan (decimal)
+ * @property {number} [points] - Refinance points (decimal)
+ */
+
+/**
+ * @typedef {Object} BRRRRCashInvested
+ * @property {number} downPayment
+ * @property {number} closingCosts - Purchase closing costs
+ * @property {number} rehab - Rehab not funded by lender draws before the refinance
+ * @property {number} lenderCosts - Acquisition points and fees
+ * @property {number} cashInvestment
+ * @property {number} carryingCosts - Net cost of holding to the refinance (negative when rent more than covers it)
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} BRRRRAnalysis
+ * @property {boolean} error - True for invalid inputs; only message and errors are set
+ * @property {string} [message]
+ * @property {string[]} [errors]
+ * @property {number} refinanceMonth
+ * @property {RefinanceOptions} terms - Refinance terms with defaults filled in
+ * @property {boolean} seasoned - Whether the seasoning period is over at the refinance
+ * @property {string} appraisalBasis - 'ARV' or 'Cost basis'
+ * @property {number} appraisedValue
+ * @property {number} newLoanAmount
+ * @property {number} refinanceCosts - Closing costs and points on the new loan
+ * @property {number} payoff - Acquisition debt repaid at the refinance
+ * @property {number} cashOut - New loan less payoff and costs (negative = cash to close)
+ * @property {BRRRRCashInvested} cashInvested
+ * @property {number} cashRecovered - Part of the cash invested returned by the refinance
+ * @property {number} capitalRecovered - Cash out as a percent of cash invested
+ * @property {number} cashLeftInDeal - Negative when the refinance returns more than was put in
+ * @property {boolean} infiniteReturn - No cash left in the deal and positive cash flow
+ * @property {number} equityAfterRefinance
+ * @property {number} monthlyPayment - Refinance P&I
+ * @property {number} noi
+ * @property {number} annualDebtService
+ * @property {number} annualCashFlow
+ * @property {number} monthlyCashFlow
+ * @property {number|null} cocReturn - Percent on cash left in the deal; null when none is left
+ * @property {number} dscr
+ * @property {string[]} warnings
+ */
+
+/**
+ * Fill in refinance defaults from the deal
+ * @param {RefinanceOptions|null} options - Refinance assumptions
+ * @param {Object} propertyData - Property information
+ * @returns {RefinanceOptions} Complete refinance terms
+ */
+export function resolveRefinance(options, propertyData) {
+  const terms = Object.assign({}, DEFAULT_REFINANCE, { rate: propertyData.loanInterestRate || 0.07 });
+  Object.keys(options || {}).forEach(function(key) {
+    if (options[key] !== null && options[key] !== undefined && options[key] !== '') {
+      terms[key] = options[key];
+    }
+  });
+  if (!terms.month) {
+    terms.month = Math.max(propertyData.monthsToFlip || 6, terms.seasoningMonths);
+  }
+  return terms;
+}
+
+/**
+ * Check refinance terms
+ * @param {RefinanceOptions} terms - Refinance terms
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateRefinance(terms) {
+  const errors = [];
+  if (!(terms.month >= 1)) {
+    errors.push('Refinance month must be at least 1');
+  }
+  if (!(terms.seasoningMonths >= 0)) {
+    errors.push('Seasoning period cannot be negative');
+  }
+  if (!(terms.ltv > 0) || terms.ltv > 1) {
+    errors.push('Refinance LTV must be between 0 and 100%');
+  }
+  if (!(terms.rate >= 0) || terms.rate > 0.5) {
+    errors.push('Refinance rate must be between 0 and 50%');
+  }
+  if (!(terms.termMonths >= 1)) {
+    errors.push('Refinance term must be at least 1 month');
+  }
+  if (!(terms.closingCostRate >= 0) || !(terms.points >= 0)) {
+    errors.push('Refinance costs cannot be negative');
+  }
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Loans that buy the property: the financing plan, or the default mortgage
+ * @param {Object} propertyData - Property information
+ * @returns {Array} LoanTerms
+ */
+function getAcquisitionLoans(propertyData) {
+  if (Array.isArray(propertyData.financing) && propertyData.financing.length > 0) {
+    return propertyData.financing;
+  }
+  const months = (propertyData.loanTerm || 30) * 12;
+  const amount = propertyData.purchasePrice * (1 - (propertyData.downPayment || 0.20));
+  return [createLoan('CONVENTIONAL', Math.round(amount), {
+    name: 'Purchase Mortgage',
+    rate: propertyData.loanInterestRate || 0.07,
+    termMonths: months,
+    amortizationMonths: months
+  })];
+}
+
+/**
+ * Calculate a full BRRRR cycle through the refinance
+ *
+ * Carrying costs run from closing to the refinance month: acquisition debt
+ * service every month, taxes, insurance and utilities while the rehab is
+ * under way, and rent (as NOI) once it is finished. Before the seasoning
+ * period is over the lender appraises at cost basis rather than ARV.
+ *
+ * @param {Object} propertyData - Property information; propertyData.financing (LoanTerms[]) funds the purchase
+ * @param {number} arv - After Repair Value
+ * @param {number} monthlyRent - Monthly rent after the rehab (ignored when propertyData.units is set)
+ * @param {RefinanceOptions} [refinance] - Refinance assumptions
+ * @returns {BRRRRAnalysis} BRRRR analysis results
+ */
+export function calculateBRRRRAnalysis(propertyData, arv, monthlyRent, refinance) {
+  // Validate inputs
+  if (!propertyData || !propertyData.purchasePrice || !arv || arv <= 0 ||
+      (!hasUnitMix(propertyData) && (!monthlyRent || monthlyRent <= 0))) {
+    return { error: true, message: 'Valid property data, ARV, and monthly rent are required' };
+  }
+
+  const terms = resolveRefinance(refinance, propertyData);
+  const validation = validateRefinance(terms);
+  if (!validation.valid) {
+    return { error: true, message: validation.errors.join('; '), errors: validation.errors };
+  }
+
+  const warnings = [];
+  const purchasePrice = propertyData.purchasePrice;
+  const rehabCost = propertyData.rehabCost || 0;
+  const rehabMonths = Math.min(propertyData.monthsToFlip || 6, terms.month);
+
+  // Buy + rehab: cash is whatever the acquisition loans don't fund
+  const acquisitionLoans = getAcquisitionLoans(propertyData);
+  const acquisition = buildFinancingSchedule(acquisitionLoans, terms.month);
+  if (acquisition.error) return acquisition;
+
+  const closingCosts = calculateAcquisitionCosts(purchasePrice, 0.02).closingCosts;
+  const downPayment = Math.max(0, purchasePrice - getFundedAtClosing(acquisitionLoans));
+  const rehabCash = Math.max(0, rehabCost - acquisition.totals.drawn);
+
+  // Post-refinance rental on the new loan (NOI also prices the stabilized months before it)
+  const seasoned = terms.month >= terms.seasoningMonths;
+  const costBasis = purchasePrice + rehabCost;
+  const appraisedValue = seasoned ? arv : Math.min(arv, costBasis);
+  const newLoanAmount = Math.round(appraisedValue * terms.ltv);
+  const refinanceLoan = createLoan('CONVENTIONAL', newLoanAmount, {
+    name: 'Refinance',
+    rate: terms.rate,
+    termMonths: terms.termMonths,
+    amortizationMonths: terms.termMonths,
+    points: terms.points
+  });
+  const rental = calculateBRRRRRental(Object.assign({}, propertyData, { financing: [refinanceLoan] }), arv, monthlyRent);
+  if (rental.error) return rental;
+
+  // Rehab: fixed costs and no rent. Stabilized: NOI covers operating costs
+  const fixedMonthly = ((propertyData.propertyTaxRate || 0.0125) * purchasePrice) / 12 +
+    (propertyData.insuranceMonthly || 100) + (propertyData.utilitiesCost || 0);
+  const debtServiceToRefinance = sumDebtService(acquisition, 1, terms.month);
+  const carryingCosts = debtServiceToRefinance + fixedMonthly * rehabMonths -
+    (rental.noi / 12) * (terms.month - rehabMonths);
+
+  const cashInvested = downPayment + closingCosts + rehabCash + acquisition.upfrontCosts +
+    (propertyData.cashInvestment || 0) + carryingCosts;
+
+  // Refinance: pay off the acquisition loans, keep what's left
+  const payoff = acquisition.totals.endingBalance + acquisition.totals.balloon;
+  const refinanceCosts = newLoanAmount * (terms.closingCostRate + terms.points);
+  const cashOut = newLoanAmount - payoff - refinanceCosts;
+  const cashLeftInDeal = cashInvested - cashOut;
+  const infiniteReturn = cashLeftInDeal <= 0 && rental.annualCashFlow > 0;
+
+  acquisition.balloons.forEach(function(balloon) {
+    if (balloon.month < terms.month) {
+      warnings.push(`${balloon.name} matures in month ${balloon.month}, before the refinance in month ${terms.month}`);
+    }
+  });
+  if (!seasoned) {
+    warnings.push(`Refinance in month ${terms.month} is inside the ${terms.seasoningMonths}-month seasoning period; the lender uses cost basis instead of ARV`);
+  }
+  if (cashOut < 0) {
+    warnings.push('The new loan does not cover the payoff and closing costs; cash is needed to close the refinance');
+  }
+  if (rental.dscr < 1) {
+    warnings.push(`Post-refinance DSCR of ${rental.dscr} is below 1.0; many lenders will not fund this loan`);
+  }
+
+  return {
+    error: false,
+    refinanceMonth: terms.month,
+    terms: terms,
+    seasoned: seasoned,
+    appraisalBasis: seasoned ? 'ARV' : 'Cost basis',
+    appraisedValue: Math.round(appraisedValue),
+    newLoanAmount: newLoanAmount,
+    refinanceCosts: Math.round(refinanceCosts),
+    payoff: Math.round(payoff),
+    cashOut: Math.round(cashOut),
+    cashInvested: {
+      downPayment: Math.round(downPayment),
+      closingCosts: Math.round(closingCosts),
+      rehab: Math.round(rehabCash),
+      lenderCosts: Math.round(acquisition.upfrontCosts),
+      cashInvestment: Math.round(propertyData.cashInvestment || 0),
+      carryingCosts: Math.round(carryingCosts),
+      total: Math.round(cashInvested)
+    },
+    cashRecovered: Math.round(Math.max(0, Math.min(cashOut, cashInvested))),
+    capitalRecovered: cashInvested > 0 ? Math.round((cashOut / cashInvested) * 10000) / 100 : 0,
+    cashLeftInDeal: Math.round(cashLeftInDeal),
+    infiniteReturn: infiniteReturn,
+    equityAfterRefinance: Math.round(arv - newLoanAmount),
+    monthlyPayment: rental.financing ? rental.financing.monthlyPayment : 0,
+    noi: rental.noi,
+    annualDebtService: rental.annualDebtService,
+    annualCashFlow: rental.annualCashFlow,
+    monthlyCashFlow: rental.monthlyCashFlow,
+    cocReturn: cashLeftInDeal > 0 ? Math.round((rental.annualCashFlow / cashLeftInDeal) * 10000) / 100 : null,
+    dscr: rental.dscr,
+    warnings: warnings
+  };
+}
@@ -15,7 +15,7 @@
  * @param {number} years - Number of years to look back (default: 2)
  * @returns {Array} Filtered comps
  */
-function filterCompsByDate(comps, years) {
+export function filterCompsByDate(comps, years) {
   // Validate input
   if (!comps || !Array.isArray(comps)) {
     return [];
@@ -44,7 +44,7 @@ function filterCompsByDate(comps, years) {
  * @param {Object} criteria - Filtering criteria
  * @returns {Array} Filtered comps
  */
-function filterCompsBySimilarity(comps, targetProperty, criteria) {
+export function filterCompsBySimilarity(comps, targetProperty, criteria) {
   // Validate input
   if (!comps || !Array.isArray(comps) || !targetProperty) {
     return [];
@@ -54,6 +54,7 @@ function filterCompsBySimilarity(comps, targetProperty, criteria) {
   const sqftTolerance = criteria.sqftTolerance || 0.2; // ±20%
   const bedsTolerance = criteria.bedsTolerance || 1; // ±1 bed
   const bathsTolerance = criteria.bathsTolerance || 1; // ±1 bath
+  const unitsTolerance = criteria.unitsTolerance || 0; // same door count
 
   return comps.filter(function(comp) {
     // Square footage match
@@ -74,6 +75,12 @@ function filterCompsBySimilarity(comps, targetProperty, criteria) {
       if (bathsDiff > bathsTolerance) return false;
     }
 
+    // Unit count match (a duplex only comps against duplexes)
+    if (comp.units && targetProperty.units) {
+      const unitsDiff = Math.abs(comp.units - targetProperty.units);
+      if (unitsDiff > unitsTolerance) return false;
+    }
+
     return true;
   });
 }
@@ -83,7 +90,7 @@ function filterCompsBySimilarity(comps, targetProperty, criteria) {
  * @param {Array} comps - Array of comparable properties
  * @returns {Object} { remodeled: Array, unremodeled: Array, unknown: Array }
  */
-function separateCompsByCondition(comps) {
+export function separateCompsByCondition(comps) {
   // Validate input
   if (!comps || !Array.isArray(comps)) {
     return { remodeled: [], unremodeled: [], unknown: [] };
@@ -115,7 +122,7 @@ function separateCompsByCondition(comps) {
  * @param {Array} comps - Array of comparable properties
  * @returns {number} Average price
  */
-function calculateAveragePrice(comps) {
+export function calculateAveragePrice(comps) {
   // Validate input
   if (!comps || !Array.isArray(comps) || comps.length === 0) {
     return 0;
@@ -141,7 +148,7 @@ function calculateAveragePrice(comps) {
  * @param {Array} comps - Array of comparable properties
  * @returns {number} Average price per sqft
  */
-function calculatePricePerSqft(comps) {
+export function calculatePricePerSqft(comps) {
   // Validate input
   if (!comps || !Array.isArray(comps) || comps.length === 0) {
     return 0;
@@ -162,13 +169,72 @@ function calculatePricePerSqft(comps) {
   return total / validComps.length;
 }
 
+/**
+ * Calculate price per door (unit) for comps
+ * Multifamily trades on price per door; comps without a unit count are skipped.
+ * @param {Array} comps - Array of comparable properties
+ * @returns {number} Average price per door
+ */
+export function calculatePricePerDoor(comps) {
+  // Validate input
+  if (!comps || !Array.isArray(comps) || comps.length === 0) {
+    return 0;
+  }
+
+  const validComps = comps.filter(function(comp) {
+    return comp.price && comp.price > 0 && comp.units && comp.units > 0;
+  });
+
+  if (validComps.length === 0) {
+    return 0;
+  }
+
+  const total = validComps.reduce(function(sum, comp) {
+    return sum + (comp.price / comp.units);
+  }, 0);
+
+  return total / validComps.length;
+}
+
+/**
+ * @typedef {Object} CompValuation
+ * @property {number} pricePerSqft - Average comp $/sqft
+ * @property {number|null} valueBySqft - Null without a target sqft
+ * @property {number} pricePerDoor - Average comp $/door
+ * @property {number|null} valueByDoor - Null without a target unit count or comps with units
+ * @property {number|null} spread - valueByDoor less valueBySqft
+ */
+
+/**
+ * Value the target property from comps by price per sqft and by price per door
+ * @param {Array} comps - Array of comparable properties
+ * @param {Object} targetProperty - Target property (sqft, units)
+ * @returns {CompValuation} Value by each method
+ */
+export function estimateValueFromComps(comps, targetProperty) {
+  const target = targetProperty || {};
+  const pricePerSqft = calculatePricePerSqft(comps);
+  const pricePerDoor = calculatePricePerDoor(comps);
+  const valueBySqft = target.sqft > 0 && pricePerSqft > 0 ? pricePerSqft * target.sqft : null;
+  const valueByDoor = target.units > 0 && pricePerDoor > 0 ? pricePerDoor * target.units : null;
+
+  return {
+    pricePerSqft: Math.round(pricePerSqft),
+    valueBySqft: valueBySqft === null ? null : Math.round(valueBySqft),
+    pricePerDoor: Math.round(pricePerDoor),
+    valueByDoor: valueByDoor === null ? null : Math.round(valueByDoor),
+    // How far apart the two methods land; a wide spread means the comps are not like-for-like
+    spread: valueBySqft !== null && valueByDoor !== null ? Math.round(valueByDoor - valueBySqft) : null
+  };
+}
+
 /**
  * Phase 4.2: Enrich comp with quality score
  * @param {Object} comp - Comparable property
  * @param {Object} targetProperty - Target property for comparison
  * @returns {Object} Comp with quality score
  */
-function enrichCompWithQualityScore(comp, targetProperty) {
+export function enrichCompWithQualityScore(comp, targetProperty) {
   // Validate input
   if (!comp) {
     return comp;
@@ -254,7 +320,7 @@ function enrichCompWithQualityScore(comp, targetProperty) {
  * @param {Object} targetProperty - Target property for comparison
  * @returns {Array} Sorted comps (most relevant first)
  */
-function sortCompsByRelevance(comps, targetProperty) {
+export function sortCompsByRelevance(comps, targetProperty) {
   // Validate input
   if (!comps || !Array.isArray(comps)) {
     return [];
@@ -277,7 +343,7 @@ function sortCompsByRelevance(comps, targetProperty) {
  * @param {number} minScore - Minimum quality score (default: 60)
  * @returns {Array} Filtered comps
  */
-function filterCompsByQuality(comps, minScore) {
+export function filterCompsByQuality(comps, minScore) {
   // Validate input
   if (!comps || !Array.isArray(comps)) {
     return [];
@@ -296,7 +362,7 @@ function filterCompsByQuality(comps, minScore) {
  * @param {Array} unremodeledComps - Unremodeled comps
  * @returns {Object} { premium: number, confidence: string }
  */
-function calculateRenovationPremium(remodeledComps, unremodeledComps) {
+export function calculateRenovationPremium(remodeledComps, unremodeledComps) {
   // Validate input
   if (!remodeledComps || !unremodeledComps || remodeledComps.length === 0 || unremodeledComps.length === 0) {
     return { premium: 0.25, confidence: 'low', source: 'default' }; // Default 25% premium
@@ -339,7 +405,7 @@ function calculateRenovationPremium(remodeledComps, unremodeledComps) {
  * @param {Object} targetProperty - Target property details
  * @returns {Object} { arv: number, method: string, confidence: string }
  */
-function calculateARVFromComps(comps, targetProperty) {
+export function calculateARVFromComps(comps, targetProperty) {
   // Validate input
   if (!comps || !Array.isArray(comps) || comps.length === 0) {
     return {
@@ -419,7 +485,7 @@ function calculateARVFromComps(comps, targetProperty) {
  * @param {Array} comps - Array of comparable properties
  * @returns {Object} Statistics object
  */
-function getCompsStatistics(comps) {
+export function getCompsStatistics(comps) {
   // Validate input
   if (!comps || !Array.isArray(comps) || comps.length === 0) {
     return {
@@ -428,6 +494,7 @@ function getCompsStatistics(comps) {
       minPrice: 0,
       maxPrice: 0,
       avgPricePerSqft: 0,
+      avgPricePerDoor: 0,
       avgDaysOnMarket: 0
     };
   }
@@ -443,6 +510,7 @@ function getCompsStatistics(comps) {
       minPrice: 0,
       maxPrice: 0,
       avgPricePerSqft: 0,
+      avgPricePerDoor: 0,
       avgDaysOnMarket: 0
     };
   }
@@ -455,6 +523,7 @@ function getCompsStatistics(comps) {
   const minPrice = Math.min.apply(null, prices);
   const maxPrice = Math.max.apply(null, prices);
   const avgPricePerSqft = calculatePricePerSqft(validComps);
+  const avgPricePerDoor = calculatePricePerDoor(validComps);
 
   return {
     count: validComps.length,
@@ -462,6 +531,7 @@ function getCompsStatistics(comps) {
     minPrice: Math.round(minPrice),
     maxPrice: Math.round(maxPrice),
     avgPricePerSqft: Math.round(avgPricePerSqft),
+    avgPricePerDoor: Math.round(avgPricePerDoor),
     priceRange: Math.round(maxPrice - minPrice)
   };
 }
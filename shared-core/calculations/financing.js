@@ -0,0 +1,520 @@
+/**
+ * ===============================
+ * FINANCING STRUCTURES
+ * ===============================
+ *
+ * Month-by-month debt schedules for the loans investors actually use:
+ * conventional fixed, hard money, private money, seller carry, ARMs and
+ * HELOCs, with interest-only periods, points, balloons and draw-funded rehab.
+ * Flip, rental and amortization outputs read their debt service from here.
+ * Platform-agnostic - pure calculation functions
+ *
+ * @module shared-core/calculations/financing
+ */
+
+// ============================================================================
+// LOAN TYPES
+// ============================================================================
+
+/**
+ * Default terms for each loan type. amortizationMonths of 0 means the loan is
+ * interest-only for its whole term; a balance still owed at termMonths is due
+ * as a balloon.
+ */
+export const LOAN_TYPES = {
+  CONVENTIONAL: {
+    label: 'Conventional (Fixed)',
+    rate: 0.07,
+    termMonths: 360,
+    amortizationMonths: 360,
+    interestOnlyMonths: 0,
+    points: 0,
+    fees: 0
+  },
+  HARD_MONEY: {
+    label: 'Hard Money',
+    rate: 0.12,
+    termMonths: 12,
+    amortizationMonths: 0,
+    interestOnlyMonths: 0,
+    points: 0.02,
+    fees: 1500
+  },
+  PRIVATE_MONEY: {
+    label: 'Private Money',
+    rate: 0.10,
+    termMonths: 12,
+    amortizationMonths: 0,
+    interestOnlyMonths: 0,
+    points: 0,
+    fees: 0
+  },
+  SELLER_CARRY: {
+    label: 'Seller Carry',
+    rate: 0.06,
+    termMonths: 60,          // 5-year balloon
+    amortizationMonths: 360, // on a 30-year schedule
+    interestOnlyMonths: 0,
+    points: 0,
+    fees: 0
+  },
+  ARM: {
+    label: 'Adjustable Rate (5/1 ARM)',
+    rate: 0.06,
+    termMonths: 360,
+    amortizationMonths: 360,
+    interestOnlyMonths: 0,
+    points: 0,
+    fees: 0,
+    arm: {
+      fixedMonths: 60,
+      adjustmentMonths: 12,
+      indexRate: 0.045,
+      margin: 0.0275,
+      initialCap: 0.02,
+      periodicCap: 0.01,
+      lifetimeCap: 0.05
+    }
+  },
+  HELOC: {
+    label: 'HELOC',
+    rate: 0.07,
+    termMonths: 120,
+    amortizationMonths: 0,
+    interestOnlyMonths: 0,
+    points: 0,
+    fees: 0
+  }
+};
+
+/**
+ * @typedef {Object} ArmTerms
+ * @property {number} fixedMonths - Months at the start rate before the first reset
+ * @property {number} adjustmentMonths - Months between resets after the first
+ * @property {number} indexRate - Assumed index rate at every reset (decimal)
+ * @property {number} margin - Margin added to the index (decimal)
+ * @property {number} initialCap - Largest change at the first reset (decimal)
+ * @property {number} periodicCap - Largest change at later resets (decimal)
+ * @property {number} lifetimeCap - Largest change from the start rate (decimal)
+ */
+
+/**
+ * @typedef {Object} LoanDraw
+ * @property {number} month - Month the draw is funded (1 = first month)
+ * @property {number} amount - Amount drawn
+ */
+
+/**
+ * @typedef {Object} LoanTerms
+ * @property {string} type - LOAN_TYPES key
+ * @property {string} [name] - Display name (defaults to the type label)
+ * @property {number} amount - Principal funded at closing
+ * @property {number} rate - Annual note rate (decimal)
+ * @property {number} termMonths - Months until the loan is due
+ * @property {number} [amortizationMonths] - Months the payment is spread over (0 = interest-only)
+ * @property {number} [interestOnlyMonths] - Interest-only months before amortization starts
+ * @property {number} [points] - Origination points on the total commitment (decimal)
+ * @property {number} [fees] - Flat lender fees paid at closing
+ * @property {LoanDraw[]} [draws] - Rehab draws funded after closing; interest accrues only once drawn
+ * @property {ArmTerms|null} [arm] - Rate reset terms for adjustable loans
+ */
+
+/**
+ * @typedef {Object} ScheduleRow
+ * @property {number} month
+ * @property {number} rate - Annual rate charged this month (decimal)
+ * @property {number} draw - Principal drawn at the start of the month
+ * @property {number} payment - Scheduled payment (interest plus principal)
+ * @property {number} interest
+ * @property {number} principal
+ * @property {number} balloon - Balance paid off at maturity
+ * @property {number} balance - Balance after this month's payment
+ */
+
+/**
+ * @typedef {Object} ScheduleTotals
+ * @property {number} interest
+ * @property {number} principal - Scheduled principal, not counting balloons
+ * @property {number} payments - Scheduled payments, not counting balloons
+ * @property {number} balloon
+ * @property {number} drawn - Principal funded by draws
+ * @property {number} points - Points in dollars
+ * @property {number} fees
+ * @property {number} endingBalance - Balance still owed after the last month shown
+ */
+
+/**
+ * @typedef {Object} LoanSchedule
+ * @property {boolean} error - True when the terms failed validation; only message and errors are set
+ * @property {string} [message]
+ * @property {string[]} [errors]
+ * @property {LoanTerms} loan
+ * @property {ScheduleRow[]} schedule
+ * @property {ScheduleTotals} totals
+ * @property {{month: number, rate: number}[]} rateResets
+ */
+
+/**
+ * @typedef {Object} FinancingSchedule
+ * @property {boolean} error - True when a loan failed validation; only message and errors are set
+ * @property {string} [message]
+ * @property {string[]} [errors]
+ * @property {LoanSchedule[]} loans - Per-loan schedules
+ * @property {ScheduleRow[]} schedule - All loans combined; rate is weighted by opening balance
+ * @property {ScheduleTotals} totals
+ * @property {number} upfrontCosts - Points and fees paid at closing
+ * @property {number} monthlyPayment - First month's payment
+ * @property {{name: string, month: number, amount: number}[]} balloons
+ * @property {{name: string, month: number, rate: number}[]} rateResets
+ */
+
+// ============================================================================
+// LOAN SETUP
+// ============================================================================
+
+/**
+ * Calculate the level payment that retires a balance over a number of months
+ * @param {number} principal - Balance to amortize
+ * @param {number} annualRate - Annual rate (decimal)
+ * @param {number} months - Months remaining
+ * @returns {number} Monthly payment
+ */
+export function calculateLoanPayment(principal, annualRate, months) {
+  if (!principal || principal <= 0 || !months || months <= 0) return 0;
+
+  const monthlyRate = annualRate / 12;
+  if (monthlyRate === 0) return principal / months;
+
+  return (principal * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -months));
+}
+
+/**
+ * Create a loan from a type's defaults
+ * @param {string} type - LOAN_TYPES key
+ * @param {number} amount - Principal funded at closing
+ * @param {Object} [overrides] - Terms that differ from the defaults
+ * @returns {LoanTerms} Loan terms
+ */
+export function createLoan(type, amount, overrides) {
+  const defaults = LOAN_TYPES[type] || LOAN_TYPES.CONVENTIONAL;
+  const { label, ...terms } = defaults;
+
+  return {
+    ...terms,
+    arm: terms.arm ? { ...terms.arm } : null,
+    draws: [],
+    ...overrides,
+    type: LOAN_TYPES[type] ? type : 'CONVENTIONAL',
+    name: (overrides && overrides.name) || label,
+    amount: amount
+  };
+}
+
+/**
+ * @typedef {Object} FinancingOptions
+ * @property {string} type - LOAN_TYPES key; empty for the default fixed mortgage + HELOC
+ * @property {number|null} [ltv] - Loan-to-purchase (decimal); defaults to 1 - down payment
+ * @property {number|null} [rate] - Note rate (decimal); defaults to the type's rate
+ * @property {number|null} [points] - Points (decimal); defaults to the type's points
+ * @property {number|null} [termMonths] - Months until due (balloon)
+ * @property {number|null} [interestOnlyMonths]
+ * @property {boolean} [fundRehab] - Draw the rehab budget from the lender
+ */
+
+/**
+ * Turn the handful of inputs a deal form asks for into a financing plan
+ * Blank options take the loan type's defaults. With fundRehab the rehab
+ * budget is drawn in equal parts from month 2 until the planned sale, the
+ * last draw taking the rounding remainder.
+ * @param {FinancingOptions} options - Loan structure chosen on the form
+ * @param {Object} deal - { purchasePrice, downPayment (decimal), rehabCost, monthsToFlip }
+ * @returns {LoanTerms[]} Loans, empty when the default mortgage applies
+ */
+export function createFinancingPlan(options, deal) {
+  if (!options || !options.type || !LOAN_TYPES[options.type]) return [];
+
+  const overrides = {};
+  ['rate', 'points', 'termMonths', 'interestOnlyMonths'].forEach(function(key) {
+    if (options[key] !== null && options[key] !== undefined && options[key] !== '') {
+      overrides[key] = options[key];
+    }
+  });
+
+  const ltv = options.ltv || 1 - (deal.downPayment || 0.20);
+  const loan = createLoan(options.type, Math.round((deal.purchasePrice || 0) * ltv), overrides);
+
+  if (options.fundRehab && deal.rehabCost > 0) {
+    const lastMonth = Math.min(Math.max(2, deal.monthsToFlip || 6), loan.termMonths);
+    const drawCount = Math.max(1, lastMonth - 1);
+    const share = Math.floor(deal.rehabCost / drawCount);
+    for (let i = 0; i < drawCount; i++) {
+      const amount = i === drawCount - 1 ? deal.rehabCost - share * (drawCount - 1) : share;
+      loan.draws.push({ month: Math.min(2 + i, lastMonth), amount: amount });
+    }
+  }
+
+  return [loan];
+}
+
+/**
+ * Check loan terms before building a schedule
+ * @param {LoanTerms} loan - Loan terms
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateLoan(loan) {
+  const errors = [];
+  if (!loan) {
+    return { valid: false, errors: ['Loan terms are required'] };
+  }
+
+  const name = loan.name || loan.type || 'Loan';
+  const draws = loan.draws || [];
+  const drawTotal = draws.reduce(function(sum, draw) { return sum + (draw.amount || 0); }, 0);
+
+  if (loan.type && !LOAN_TYPES[loan.type]) {
+    errors.push(`${name}: unknown loan type "${loan.type}"`);
+  }
+  if (!(loan.amount >= 0) || loan.amount + drawTotal <= 0) {
+    errors.push(`${name}: loan amount must be greater than 0`);
+  }
+  if (!(loan.rate >= 0) || loan.rate > 0.5) {
+    errors.push(`${name}: rate must be between 0% and 50%`);
+  }
+  if (!(loan.termMonths > 0)) {
+    errors.push(`${name}: term must be at least 1 month`);
+  }
+  if (loan.amortizationMonths < 0 || loan.interestOnlyMonths < 0) {
+    errors.push(`${name}: amortization and interest-only months cannot be negative`);
+  }
+  if (loan.points < 0 || loan.fees < 0) {
+    errors.push(`${name}: points and fees cannot be negative`);
+  }
+  if (draws.some(function(draw) { return !(draw.month >= 1) || !(draw.amount > 0) || draw.month > loan.termMonths; })) {
+    errors.push(`${name}: draws need a positive amount and a month within the term`);
+  }
+  if (loan.arm && !(loan.arm.fixedMonths >= 0 && loan.arm.adjustmentMonths > 0)) {
+    errors.push(`${name}: ARM needs a fixed period and an adjustment interval`);
+  }
+
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Rate after an ARM reset, limited by the periodic and lifetime caps
+ * @param {ArmTerms} arm - ARM terms
+ * @param {number} startRate - Note rate at origination
+ * @param {number} currentRate - Rate before this reset
+ * @param {boolean} isFirstReset - Whether the initial cap applies
+ * @returns {number} New annual rate
+ */
+function resetArmRate(arm, startRate, currentRate, isFirstReset) {
+  const cap = isFirstReset && arm.initialCap !== undefined ? arm.initialCap : arm.periodicCap;
+  const target = (arm.indexRate || 0) + (arm.margin || 0);
+
+  let rate = target;
+  if (cap !== undefined && cap !== null) {
+    rate = Math.min(currentRate + cap, Math.max(currentRate - cap, rate));
+  }
+  if (arm.lifetimeCap !== undefined && arm.lifetimeCap !== null) {
+    rate = Math.min(startRate + arm.lifetimeCap, Math.max(startRate - arm.lifetimeCap, rate));
+  }
+
+  // Rates don't adjust below the margin
+  return Math.max(arm.margin || 0, rate);
+}
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+/**
+ * Build the month-by-month schedule for one loan
+ *
+ * The payment is re-levelled from the current balance whenever it could
+ * change (a draw, a rate reset, the end of an interest-only period), so a
+ * plain fixed loan keeps the same payment every month.
+ *
+ * @param {LoanTerms} loan - Loan terms
+ * @param {number} [months] - Months to schedule (defaults to the full term)
+ * @returns {LoanSchedule} Schedule, or { error, message, errors } for invalid terms
+ */
+export function buildLoanSchedule(loan, months) {
+  const validation = validateLoan(loan);
+  if (!validation.valid) {
+    return { error: true, message: validation.errors.join('; '), errors: validation.errors };
+  }
+
+  const horizon = Math.min(months || loan.termMonths, loan.termMonths);
+  const interestOnlyMonths = loan.interestOnlyMonths || 0;
+  const amortizationMonths = loan.amortizationMonths || 0;
+  const draws = loan.draws || [];
+  const commitment = loan.amount + draws.reduce(function(sum, draw) { return sum + draw.amount; }, 0);
+
+  const schedule = [];
+  const rateResets = [];
+  const totals = {
+    interest: 0,
+    principal: 0,
+    payments: 0,
+    balloon: 0,
+    drawn: 0,
+    points: commitment * (loan.points || 0),
+    fees: loan.fees || 0,
+    endingBalance: 0
+  };
+
+  let balance = loan.amount;
+  let rate = loan.rate;
+
+  for (let month = 1; month <= horizon; month++) {
+    const draw = draws
+      .filter(function(d) { return d.month === month; })
+      .reduce(function(sum, d) { return sum + d.amount; }, 0);
+    balance += draw;
+    totals.drawn += draw;
+
+    if (loan.arm && month > loan.arm.fixedMonths && (month - loan.arm.fixedMonths - 1) % loan.arm.adjustmentMonths === 0) {
+      rate = resetArmRate(loan.arm, loan.rate, rate, rateResets.length === 0);
+      rateResets.push({ month: month, rate: rate });
+    }
+
+    const interest = balance * rate / 12;
+    const amortizedMonth = month - interestOnlyMonths;
+    let principal = 0;
+    if (amortizationMonths > 0 && amortizedMonth > 0) {
+      const remaining = amortizationMonths - amortizedMonth + 1;
+      principal = remaining > 0
+        ? calculateLoanPayment(balance, rate, remaining) - interest
+        : balance;
+    }
+    principal = Math.min(principal, balance);
+    balance -= principal;
+
+    let balloon = 0;
+    if (month === loan.termMonths && balance > 0.005) {
+      balloon = balance;
+      balance = 0;
+    }
+
+    totals.interest += interest;
+    totals.principal += principal;
+    totals.payments += interest + principal;
+    totals.balloon += balloon;
+
+    schedule.push({
+      month: month,
+      rate: rate,
+      draw: draw,
+      payment: interest + principal,
+      interest: interest,
+      principal: principal,
+      balloon: balloon,
+      balance: Math.max(0, balance)
+    });
+  }
+
+  totals.endingBalance = Math.max(0, balance);
+
+  return {
+    error: false,
+    loan: loan,
+    schedule: schedule,
+    totals: totals,
+    rateResets: rateResets
+  };
+}
+
+/**
+ * Combine every loan in a deal into one debt schedule
+ * @param {LoanTerms[]} loans - Loans funding the deal
+ * @param {number} [months] - Months to schedule (defaults to the longest term)
+ * @returns {FinancingSchedule} Combined schedule, or { error, message } when a loan is invalid
+ */
+export function buildFinancingSchedule(loans, months) {
+  if (!Array.isArray(loans) || loans.length === 0) {
+    return { error: true, message: 'At least one loan is required' };
+  }
+
+  const horizon = months || Math.max.apply(null, loans.map(function(loan) { return (loan && loan.termMonths) || 0; }));
+  const results = [];
+  for (const loan of loans) {
+    const result = buildLoanSchedule(loan, horizon);
+    if (result.error) return result;
+    results.push(result);
+  }
+
+  // A loan that matured earlier contributes nothing to later months
+  const schedule = [];
+  for (let month = 1; month <= horizon; month++) {
+    const row = { month: month, rate: 0, draw: 0, payment: 0, interest: 0, principal: 0, balloon: 0, balance: 0 };
+    let weightedRate = 0;
+    results.forEach(function(result) {
+      const loanRow = result.schedule[month - 1];
+      if (!loanRow) return;
+      row.draw += loanRow.draw;
+      row.payment += loanRow.payment;
+      row.interest += loanRow.interest;
+      row.principal += loanRow.principal;
+      row.balloon += loanRow.balloon;
+      row.balance += loanRow.balance;
+      weightedRate += loanRow.rate * (loanRow.balance + loanRow.principal + loanRow.balloon);
+    });
+    const openingBalance = row.balance + row.principal + row.balloon;
+    row.rate = openingBalance > 0 ? weightedRate / openingBalance : 0;
+    schedule.push(row);
+  }
+
+  const totals = results.reduce(function(sum, result) {
+    Object.keys(sum).forEach(function(key) { sum[key] += result.totals[key]; });
+    return sum;
+  }, { interest: 0, principal: 0, payments: 0, balloon: 0, drawn: 0, points: 0, fees: 0, endingBalance: 0 });
+
+  const balloons = [];
+  const rateResets = [];
+  results.forEach(function(result) {
+    result.schedule.forEach(function(row) {
+      if (row.balloon > 0) balloons.push({ name: result.loan.name, month: row.month, amount: row.balloon });
+    });
+    result.rateResets.forEach(function(reset) {
+      rateResets.push({ name: result.loan.name, month: reset.month, rate: reset.rate });
+    });
+  });
+
+  return {
+    error: false,
+    loans: results,
+    schedule: schedule,
+    totals: totals,
+    upfrontCosts: totals.points + totals.fees,
+    monthlyPayment: schedule.length > 0 ? schedule[0].payment : 0,
+    balloons: balloons,
+    rateResets: rateResets
+  };
+}
+
+/**
+ * Sum the scheduled payments for a window of months
+ * Balloons are left out - they are a payoff, not debt service.
+ * @param {FinancingSchedule} financing - Result of buildFinancingSchedule
+ * @param {number} startMonth - First month (1-based)
+ * @param {number} months - Number of months
+ * @returns {number} Debt service for the window
+ */
+export function sumDebtService(financing, startMonth, months) {
+  if (!financing || financing.error) return 0;
+
+  return financing.schedule
+    .slice(startMonth - 1, startMonth - 1 + months)
+    .reduce(function(sum, row) { return sum + row.payment; }, 0);
+}
+
+/**
+ * Principal funded at closing (excluding draws)
+ * @param {LoanTerms[]} loans - Loans funding the deal
+ * @returns {number} Amount funded at closing
+ */
+export function getFundedAtClosing(loans) {
+  if (!Array.isArray(loans)) return 0;
+
+  return loans.reduce(function(sum, loan) { return sum + ((loan && loan.amount) || 0); }, 0);
+}
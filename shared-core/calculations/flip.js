@@ -9,18 +9,31 @@
  * @module shared-core/calculations/flip
  */
 
+import { buildFinancingSchedule, getFundedAtClosing } from './financing.js';
+import { estimateRehab, hasRehabScope } from './rehab.js';
+
 /**
  * Calculate holding costs for flip project
+ *
+ * Without propertyData.financing the deal is carried on one fixed mortgage
+ * (P&I counted as holding cost) plus the optional HELOC. With a financing
+ * plan, holding costs are the interest, points and fees the plan's loans
+ * charge over the hold; principal comes back at the sale payoff.
+ *
  * @param {Object} propertyData - Property information
  * @param {number} monthsToFlip - Number of months to complete flip
  * @returns {Object} Holding costs breakdown
  */
-function calculateHoldingCosts(propertyData, monthsToFlip) {
+export function calculateHoldingCosts(propertyData, monthsToFlip) {
   // Validate inputs
   if (!propertyData || !monthsToFlip || monthsToFlip <= 0) {
     return { error: true, message: 'Valid property data and months to flip are required' };
   }
 
+  if (hasFinancingPlan(propertyData)) {
+    return calculateFinancedHoldingCosts(propertyData, monthsToFlip);
+  }
+
   // Calculate monthly costs
   const downPayment = propertyData.purchasePrice * (propertyData.downPayment || 0.20);
   const loanAmount = propertyData.purchasePrice - downPayment;
@@ -54,13 +67,67 @@ function calculateHoldingCosts(propertyData, monthsToFlip) {
   };
 }
 
+/**
+ * Whether the deal is funded by an explicit financing plan
+ * @param {Object} propertyData - Property information
+ * @returns {boolean} True when propertyData.financing lists loans
+ */
+function hasFinancingPlan(propertyData) {
+  return Array.isArray(propertyData.financing) && propertyData.financing.length > 0;
+}
+
+/**
+ * Holding costs when a financing plan funds the flip
+ * @param {Object} propertyData - Property information with financing loans
+ * @param {number} monthsToFlip - Number of months to complete flip
+ * @returns {Object} Holding costs breakdown with the debt schedule summary
+ */
+function calculateFinancedHoldingCosts(propertyData, monthsToFlip) {
+  const financing = buildFinancingSchedule(propertyData.financing, monthsToFlip);
+  if (financing.error) return financing;
+
+  const monthlyInterest = financing.totals.interest / monthsToFlip;
+  const monthlyPropertyTax = (propertyData.purchasePrice * (propertyData.propertyTaxRate || 0.0125)) / 12;
+  const insuranceMonthly = propertyData.insuranceMonthly || 100;
+  const utilitiesCost = propertyData.utilitiesCost || 0;
+
+  const monthlyHoldingCosts = monthlyInterest + monthlyPropertyTax + insuranceMonthly + utilitiesCost;
+  const totalHoldingCosts = monthlyHoldingCosts * monthsToFlip + financing.upfrontCosts;
+
+  return {
+    error: false,
+    monthlyHoldingCosts: Math.round(monthlyHoldingCosts),
+    totalHoldingCosts: Math.round(totalHoldingCosts),
+    breakdown: {
+      monthlyPI: Math.round(financing.totals.payments / monthsToFlip),
+      helocMonthlyInterest: 0,
+      monthlyInterest: Math.round(monthlyInterest),
+      lenderPoints: Math.round(financing.totals.points),
+      lenderFees: Math.round(financing.totals.fees),
+      monthlyPropertyTax: Math.round(monthlyPropertyTax),
+      insuranceMonthly: Math.round(insuranceMonthly),
+      utilitiesCost: Math.round(utilitiesCost)
+    },
+    financing: {
+      totalInterest: Math.round(financing.totals.interest),
+      upfrontCosts: Math.round(financing.upfrontCosts),
+      drawFunded: Math.round(financing.totals.drawn),
+      // Everything still owed at the sale, including balloons that came due during the hold
+      loanPayoff: Math.round(financing.totals.endingBalance + financing.totals.balloon),
+      balloons: financing.balloons,
+      rateResets: financing.rateResets
+    },
+    monthsToFlip: monthsToFlip
+  };
+}
+
 /**
  * Calculate total rehab costs with contingency
  * @param {number} baseRehabCost - Base rehab cost
  * @param {number} contingencyRate - Contingency rate (decimal, default 0.10 for 10%)
  * @returns {Object} Rehab costs breakdown
  */
-function calculateRehabCosts(baseRehabCost, contingencyRate) {
+export function calculateRehabCosts(baseRehabCost, contingencyRate) {
   // Validate inputs
   if (!baseRehabCost || baseRehabCost < 0) {
     return { error: true, message: 'Valid base rehab cost is required' };
@@ -85,7 +152,7 @@ function calculateRehabCosts(baseRehabCost, contingencyRate) {
  * @param {number} closingCostRate - Closing cost rate (decimal, default 0.02 for 2%)
  * @returns {Object} Acquisition costs
  */
-function calculateAcquisitionCosts(purchasePrice, closingCostRate) {
+export function calculateAcquisitionCosts(purchasePrice, closingCostRate) {
   // Validate inputs
   if (!purchasePrice || purchasePrice <= 0) {
     return { error: true, message: 'Valid purchase price is required' };
@@ -109,7 +176,7 @@ function calculateAcquisitionCosts(purchasePrice, closingCostRate) {
  * @param {number} sellerClosingRate - Seller closing cost rate (decimal, default 0.01 for 1%)
  * @returns {Object} Selling costs breakdown
  */
-function calculateSellingCosts(arv, commissionRate, sellerClosingRate) {
+export function calculateSellingCosts(arv, commissionRate, sellerClosingRate) {
   // Validate inputs
   if (!arv || arv <= 0) {
     return { error: true, message: 'Valid ARV is required' };
@@ -135,7 +202,7 @@ function calculateSellingCosts(arv, commissionRate, sellerClosingRate) {
  * @param {number} totalCosts - Total costs (purchase + rehab + holding + acquisition + selling)
  * @returns {Object} Profit calculation
  */
-function calculateNetProfit(arv, totalCosts) {
+export function calculateNetProfit(arv, totalCosts) {
   // Validate inputs
   if (!arv || arv <= 0 || !totalCosts || totalCosts < 0) {
     return { error: true, message: 'Valid ARV and total costs are required' };
@@ -159,7 +226,7 @@ function calculateNetProfit(arv, totalCosts) {
  * @param {number} totalCashInvested - Total cash invested
  * @returns {Object} ROI calculation
  */
-function calculateFlipROI(netProfit, totalCashInvested) {
+export function calculateFlipROI(netProfit, totalCashInvested) {
   // Validate inputs
   if (netProfit === undefined || !totalCashInvested || totalCashInvested <= 0) {
     return { error: true, message: 'Valid net profit and total cash invested are required' };
@@ -182,7 +249,7 @@ function calculateFlipROI(netProfit, totalCashInvested) {
  * @param {number} targetProfitRate - Target profit rate (decimal, default 0.30 for 30%)
  * @returns {Object} MAO calculation
  */
-function calculateMAO(arv, rehabCost, targetProfitRate) {
+export function calculateMAO(arv, rehabCost, targetProfitRate) {
   // Validate inputs
   if (!arv || arv <= 0 || !rehabCost || rehabCost < 0) {
     return { error: true, message: 'Valid ARV and rehab cost are required' };
@@ -201,13 +268,78 @@ function calculateMAO(arv, rehabCost, targetProfitRate) {
   };
 }
 
+/**
+ * Rehab budget from the scope of work, in calculateRehabCosts' shape with
+ * the estimate attached; the scope sets its own contingency rate
+ * @param {Object} propertyData - Property information with rehabScope
+ * @returns {Object} Rehab costs breakdown, or the estimate's error
+ */
+function calculateScopedRehabCosts(propertyData) {
+  const estimate = estimateRehab(propertyData.rehabScope, {
+    state: propertyData.state,
+    yearBuilt: propertyData.yearBuilt
+  });
+  if (estimate.error) return estimate;
+
+  return {
+    error: false,
+    baseRehabCost: estimate.subtotal,
+    contingency: estimate.contingency,
+    contingencyRate: estimate.contingencyRate,
+    totalRehab: estimate.totalBudget,
+    scope: estimate
+  };
+}
+
+/**
+ * @typedef {Object} RehabProgress
+ * @property {number} spent - Paid to date
+ * @property {number} remaining - Budget left on work not yet finished
+ * @property {number} [changeOrders=0] - Approved change orders
+ * @property {number} [permitCosts=0] - Permits and inspection fees
+ * @property {number} [contingencyRate=0.10] - Carried on the remaining work only (decimal)
+ * @property {number} [monthsToFlip] - Projected months from purchase to sale; rounded up
+ */
+
+/**
+ * Rehab cost of a project under way, in calculateRehabCosts' shape. Money
+ * already spent is known, so contingency only covers the work left to do.
+ * @param {RehabProgress} progress - Spend to date and what is left
+ * @returns {Object} Rehab costs breakdown with the progress figures
+ */
+function calculateRehabToDate(progress) {
+  const changeOrders = progress.changeOrders || 0;
+  const permitCosts = progress.permitCosts || 0;
+  const base = (progress.spent || 0) + (progress.remaining || 0) + changeOrders + permitCosts;
+  if (!(base > 0)) {
+    return { error: true, message: 'Rehab spend or remaining budget is required' };
+  }
+
+  const rate = progress.contingencyRate !== undefined && progress.contingencyRate !== null ? progress.contingencyRate : 0.10;
+  const contingency = (progress.remaining || 0) * rate;
+
+  return {
+    error: false,
+    baseRehabCost: Math.round(base),
+    contingency: Math.round(contingency),
+    contingencyRate: rate,
+    totalRehab: Math.round(base + contingency),
+    spent: Math.round(progress.spent || 0),
+    remaining: Math.round(progress.remaining || 0),
+    changeOrders: Math.round(changeOrders),
+    permitCosts: Math.round(permitCosts)
+  };
+}
+
 /**
  * Calculate complete flip analysis
- * @param {Object} propertyData - Property information
+ * @param {Object} propertyData - Property information; propertyData.financing (LoanTerms[]) replaces the default mortgage,
+ *   propertyData.rehabScope (RehabScope) replaces rehabCost and its flat 10% contingency,
+ *   propertyData.rehabProgress (RehabProgress) prices the rehab from spend to date
  * @param {number} arv - After Repair Value
  * @returns {Object} Complete flip analysis
  */
-function calculateFlipAnalysis(propertyData, arv) {
+export function calculateFlipAnalysis(propertyData, arv) {
   // Validate inputs
   if (!propertyData || !arv || arv <= 0) {
     return { error: true, message: 'Valid property data and ARV are required' };
@@ -217,7 +349,14 @@ function calculateFlipAnalysis(propertyData, arv) {
   const acquisitionResult = calculateAcquisitionCosts(propertyData.purchasePrice, 0.02);
   if (acquisitionResult.error) return acquisitionResult;
 
-  const rehabResult = calculateRehabCosts(propertyData.rehabCost || 0, 0.10);
+  let rehabResult;
+  if (propertyData.rehabProgress) {
+    rehabResult = calculateRehabToDate(propertyData.rehabProgress);
+  } else if (hasRehabScope(propertyData)) {
+    rehabResult = calculateScopedRehabCosts(propertyData);
+  } else {
+    rehabResult = calculateRehabCosts(propertyData.rehabCost || 0, 0.10);
+  }
   if (rehabResult.error) return rehabResult;
 
   const holdingResult = calculateHoldingCosts(propertyData, propertyData.monthsToFlip || 6);
@@ -226,16 +365,28 @@ function calculateFlipAnalysis(propertyData, arv) {
   const sellingResult = calculateSellingCosts(arv, 0.05, 0.01);
   if (sellingResult.error) return sellingResult;
 
-  // Calculate total costs
-  const downPayment = propertyData.purchasePrice * (propertyData.downPayment || 0.20);
-  const totalCosts = acquisitionResult.closingCosts + rehabResult.totalRehab + holdingResult.totalHoldingCosts + sellingResult.totalSellingCosts + downPayment;
+  // Calculate total costs. Whichever way the deal is financed, the loans are
+  // repaid from the sale, so costs carry the whole purchase price
+  const totalCosts = propertyData.purchasePrice + acquisitionResult.closingCosts + rehabResult.totalRehab +
+    holdingResult.totalHoldingCosts + sellingResult.totalSellingCosts;
+
+  let downPayment;
+  let totalCashInvested;
+  if (holdingResult.financing) {
+    // Cash in is whatever the loans didn't fund plus the lender's upfront charges
+    downPayment = Math.max(0, propertyData.purchasePrice - getFundedAtClosing(propertyData.financing));
+    totalCashInvested = downPayment + (propertyData.cashInvestment || 0) +
+      Math.max(0, rehabResult.totalRehab - holdingResult.financing.drawFunded) + holdingResult.financing.upfrontCosts;
+  } else {
+    downPayment = propertyData.purchasePrice * (propertyData.downPayment || 0.20);
+    totalCashInvested = downPayment + (propertyData.cashInvestment || 0) + rehabResult.totalRehab;
+  }
 
   // Calculate profit
   const profitResult = calculateNetProfit(arv, totalCosts);
   if (profitResult.error) return profitResult;
 
   // Calculate ROI
-  const totalCashInvested = downPayment + (propertyData.cashInvestment || 0) + rehabResult.totalRehab;
   const roiResult = calculateFlipROI(profitResult.netProfit, totalCashInvested);
   if (roiResult.error) return roiResult;
 
@@ -260,6 +411,118 @@ function calculateFlipAnalysis(propertyData, arv) {
   };
 }
 
+/**
+ * Profit margin (on ARV) below which a flip in progress is flagged
+ */
+export const DEFAULT_TARGET_PROFIT_MARGIN = 0.10;
+
+/**
+ * @typedef {Object} LiveFlipCase
+ * @property {number} totalRehab - Including contingency
+ * @property {number} monthsToFlip
+ * @property {number} holdingCosts
+ * @property {number} totalCosts
+ * @property {number} netProfit
+ * @property {number} profitMargin - % of ARV
+ * @property {number} roi - %
+ */
+
+/**
+ * @typedef {Object} LiveFlipAnalysis
+ * @property {boolean} error
+ * @property {string} [message]
+ * @property {LiveFlipCase} original - As underwritten
+ * @property {LiveFlipCase} current - Re-run on spend to date and the projected timeline
+ * @property {{spent: number, remaining: number, changeOrders: number, permitCosts: number, contingency: number}} rehab
+ * @property {number} rehabOverrun - Current minus original total rehab
+ * @property {number} delayMonths - Current minus original months to flip
+ * @property {number} profitChange
+ * @property {number} roiChange - Percentage points
+ * @property {number} targetProfitMargin - %
+ * @property {boolean} belowTarget
+ * @property {string[]} alerts
+ */
+
+/**
+ * Re-run a flip on where the project stands: what the rehab has cost so
+ * far, what is left, approved change orders, permits and the projected
+ * sale month, next to the analysis the deal was bought on
+ * @param {Object} propertyData - Property information as underwritten (see calculateFlipAnalysis)
+ * @param {number} arv - After Repair Value
+ * @param {RehabProgress} progress - Spend to date and the projected timeline
+ * @param {number} [targetProfitMargin=DEFAULT_TARGET_PROFIT_MARGIN] - Minimum profit margin on ARV (decimal)
+ * @returns {LiveFlipAnalysis} Original vs current projection, or { error, message }
+ */
+export function calculateLiveFlipAnalysis(propertyData, arv, progress, targetProfitMargin) {
+  if (!progress) {
+    return { error: true, message: 'Project progress is required' };
+  }
+
+  const original = calculateFlipAnalysis(propertyData, arv);
+  if (original.error) return original;
+
+  // Holding costs accrue by the month, so a partial month counts as a whole one;
+  // unfinished work carries the contingency the deal was underwritten with
+  const monthsToFlip = progress.monthsToFlip > 0 ? Math.ceil(progress.monthsToFlip) : (propertyData.monthsToFlip || 6);
+  const current = calculateFlipAnalysis(Object.assign({}, propertyData, {
+    monthsToFlip: monthsToFlip,
+    rehabProgress: Object.assign({ contingencyRate: original.rehab.contingencyRate }, progress)
+  }), arv);
+  if (current.error) return current;
+
+  const target = targetProfitMargin !== undefined && targetProfitMargin !== null ? targetProfitMargin : DEFAULT_TARGET_PROFIT_MARGIN;
+  const summarize = function(analysis, months) {
+    return {
+      totalRehab: analysis.rehab.totalRehab,
+      monthsToFlip: months,
+      holdingCosts: Math.round(analysis.holding.totalHoldingCosts),
+      totalCosts: analysis.totalCosts,
+      netProfit: analysis.netProfit,
+      profitMargin: analysis.profitMargin,
+      roi: analysis.roi
+    };
+  };
+  const originalCase = summarize(original, propertyData.monthsToFlip || 6);
+  const currentCase = summarize(current, monthsToFlip);
+
+  const rehabOverrun = currentCase.totalRehab - originalCase.totalRehab;
+  const delayMonths = monthsToFlip - originalCase.monthsToFlip;
+  const belowTarget = currentCase.profitMargin < target * 100;
+
+  const alerts = [];
+  if (currentCase.netProfit < 0) {
+    alerts.push(`Projected to lose $${Math.abs(currentCase.netProfit).toLocaleString()} at the current spend and timeline`);
+  } else if (belowTarget) {
+    alerts.push(`Profit margin has fallen to ${currentCase.profitMargin}% of ARV, below the ${Math.round(target * 1000) / 10}% target`);
+  }
+  if (rehabOverrun > 0) {
+    alerts.push(`Rehab is projected $${rehabOverrun.toLocaleString()} over the original budget`);
+  }
+  if (delayMonths > 0) {
+    alerts.push(`Sale pushed back ${delayMonths} month${delayMonths === 1 ? '' : 's'}, adding $${(currentCase.holdingCosts - originalCase.holdingCosts).toLocaleString()} in holding costs`);
+  }
+
+  return {
+    error: false,
+    original: originalCase,
+    current: currentCase,
+    rehab: {
+      spent: current.rehab.spent,
+      remaining: current.rehab.remaining,
+      changeOrders: current.rehab.changeOrders,
+      permitCosts: current.rehab.permitCosts,
+      contingency: current.rehab.contingency
+    },
+    rehabOverrun: rehabOverrun,
+    delayMonths: delayMonths,
+    profitChange: currentCase.netProfit - originalCase.netProfit,
+    roiChange: Math.round((currentCase.roi - originalCase.roi) * 100) / 100,
+    targetProfitMargin: Math.round(target * 1000) / 10,
+    belowTarget: belowTarget,
+    alerts: alerts
+  };
+}
+
 /**
  * Calculate scenario analysis (best/worst/base case)
  * @param {Object} baseAnalysis - Base case flip analysis
@@ -267,7 +530,7 @@ function calculateFlipAnalysis(propertyData, arv) {
  * @param {number} rehabVariance - Rehab variance (decimal, e.g., 0.20 for ±20%)
  * @returns {Object} Scenario analysis
  */
-function calculateScenarioAnalysis(baseAnalysis, arvVariance, rehabVariance) {
+export function calculateScenarioAnalysis(baseAnalysis, arvVariance, rehabVariance) {
   // Validate inputs
   if (!baseAnalysis || baseAnalysis.error) {
     return { error: true, message: 'Valid base analysis is required' };
@@ -323,7 +586,7 @@ function calculateScenarioAnalysis(baseAnalysis, arvVariance, rehabVariance) {
  * @param {Object} criteria - Investment criteria
  * @returns {Object} Deal evaluation
  */
-function evaluateFlipDeal(flipAnalysis, criteria) {
+export function evaluateFlipDeal(flipAnalysis, criteria) {
   // Validate inputs
   if (!flipAnalysis || flipAnalysis.error) {
     return { error: true, message: 'Valid flip analysis is required' };
@@ -21,7 +21,7 @@
  * @param {number} schoolData.avgRating - Average rating (0-10 scale)
  * @returns {Object} { premium: number, multiplier: number, rating: number, description: string }
  */
-function calculateSchoolPremium(schoolData) {
+export function calculateSchoolPremium(schoolData) {
   // Validate input
   if (!schoolData || typeof schoolData.avgRating !== 'number') {
     return {
@@ -84,7 +84,7 @@ function calculateSchoolPremium(schoolData) {
  * @param {number} scores.bikeScore - Bike score (0-100)
  * @returns {Object} { premium: number, multiplier: number, walkScore: number, description: string }
  */
-function calculateWalkabilityPremium(scores) {
+export function calculateWalkabilityPremium(scores) {
   // Validate input
   if (!scores || typeof scores.walkScore !== 'number') {
     return {
@@ -172,7 +172,7 @@ function calculateWalkabilityPremium(scores) {
  * @param {string} noiseData.noiseLevel - Classification (very_quiet, quiet, moderate, noisy, very_noisy)
  * @returns {Object} { adjustment: number, multiplier: number, noiseScore: number, description: string }
  */
-function assessEnvironmentalQuality(noiseData) {
+export function assessEnvironmentalQuality(noiseData) {
   // Validate input
   if (!noiseData || typeof noiseData.noiseScore !== 'number') {
     return {
@@ -243,7 +243,7 @@ function assessEnvironmentalQuality(noiseData) {
  * @param {Object} locationFactors.environmental - Environmental quality (optional)
  * @returns {Object} { adjustedARV: number, baseARV: number, totalAdjustment: number, breakdown: Object }
  */
-function calculateLocationAdjustedARV(baseARV, locationFactors = {}) {
+export function calculateLocationAdjustedARV(baseARV, locationFactors = {}) {
   // Validate input
   if (!baseARV || baseARV <= 0) {
     return {
@@ -323,7 +323,7 @@ function calculateLocationAdjustedARV(baseARV, locationFactors = {}) {
  * @param {Object} locationAdjustment - Result from calculateLocationAdjustedARV()
  * @returns {Object} Formatted summary for UI display
  */
-function formatLocationQualitySummary(locationAdjustment) {
+export function formatLocationQualitySummary(locationAdjustment) {
   if (locationAdjustment.error) {
     return {
       title: 'Location Quality Analysis',
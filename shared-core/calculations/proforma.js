@@ -0,0 +1,453 @@
+/**
+ * ===============================
+ * RENTAL PRO FORMA
+ * ===============================
+ *
+ * Year-by-year operating projection for a rental held for several years:
+ * rent and each expense line grown at its own rate, a capital expenditure
+ * reserve that pays for scheduled replacements (roof, HVAC), debt service
+ * and paydown from the loan's amortization schedule, an optional cash-out
+ * refinance, and a sale at the end of the hold priced by an exit cap rate.
+ * The result is annual cash flow, equity build-up, levered and unlevered
+ * IRR and the equity multiple.
+ * Platform-agnostic - pure calculation functions
+ *
+ * @module shared-core/calculations/proforma
+ */
+
+import { buildAmortizationSchedule } from './amortization.js';
+import { solveIRR } from './tax.js';
+
+/**
+ * Operating expense lines, in display order
+ */
+export const PROFORMA_EXPENSE_LINES = {
+  propertyTaxes: 'Property Taxes',
+  insurance: 'Insurance',
+  maintenance: 'Maintenance',
+  management: 'Property Management',
+  hoaFees: 'HOA',
+  utilities: 'Utilities'
+};
+
+/**
+ * Typical building components with their useful life and replacement cost
+ * (today's dollars, single-family). A starting point for capexItems.
+ */
+export const CAPEX_COMPONENTS = {
+  roof: { label: 'Roof', lifeYears: 25, cost: 12000 },
+  hvac: { label: 'HVAC', lifeYears: 15, cost: 8000 },
+  waterHeater: { label: 'Water Heater', lifeYears: 12, cost: 1800 },
+  appliances: { label: 'Appliances', lifeYears: 12, cost: 4000 },
+  flooring: { label: 'Flooring', lifeYears: 10, cost: 6000 },
+  exteriorPaint: { label: 'Exterior Paint', lifeYears: 10, cost: 5000 }
+};
+
+/**
+ * @typedef {Object} CapexItem
+ * @property {string} name
+ * @property {number} year - Year of the hold the replacement is paid
+ * @property {number} cost - Today's dollars; inflated at capexInflation
+ */
+
+/**
+ * @typedef {Object} ProFormaAssumptions
+ * @property {number} holdYears - Years until the sale
+ * @property {number} rentGrowth - Annual rent growth (decimal)
+ * @property {number} expenseGrowth - Annual growth for expense lines without their own rate
+ * @property {Object<string, number>} expenseGrowthByLine - PROFORMA_EXPENSE_LINES key to growth rate
+ * @property {number} appreciation - Annual value growth, for equity and when there is no exit cap rate
+ * @property {number} capexReserveRate - Share of gross rent set aside each year
+ * @property {CapexItem[]} capexItems - Scheduled replacements paid from the reserve
+ * @property {number} capexInflation - Annual growth in replacement costs
+ * @property {number|null} exitCapRate - Sale price is the next year's NOI over this rate; null values by appreciation
+ * @property {number} sellingCostRate - Commission and closing as a share of the sale price
+ * @property {number|null} refinanceYear - Cash-out refinance at the end of this year; null for none
+ * @property {number} refinanceLtv
+ * @property {number} refinanceRate
+ * @property {number} refinanceTermYears
+ * @property {number} refinanceCostRate - Closing costs as a share of the new loan
+ */
+
+/**
+ * @typedef {Object} ProFormaYear
+ * @property {number} year
+ * @property {number} grossRent
+ * @property {number} vacancyLoss
+ * @property {number} effectiveGrossIncome
+ * @property {Object<string, number>} expenses - By PROFORMA_EXPENSE_LINES key
+ * @property {number} operatingExpenses
+ * @property {number} noi
+ * @property {number} capexReserve - Set aside this year
+ * @property {number} capexSpent - Replacements paid this year
+ * @property {string[]} capexItems - Names of the replacements
+ * @property {number} capexShortfall - Replacements the reserve could not cover, paid from cash flow
+ * @property {number} reserveBalance - End of year
+ * @property {number} interest
+ * @property {number} principal
+ * @property {number} debtService
+ * @property {number} cashFlow - NOI less reserve, shortfall and debt service
+ * @property {number} refinanceProceeds - Cash out in the refinance year
+ * @property {number} cashOnCash - Percent of cash invested
+ * @property {number} loanBalance - End of year
+ * @property {number} propertyValue
+ * @property {number} equity - Value less the loan balance
+ * @property {number} cumulativeCashFlow - Including refinance proceeds
+ */
+
+/**
+ * @typedef {Object} ProFormaRefinance
+ * @property {number} year
+ * @property {number} value - Appraised value the loan is sized from
+ * @property {number} loanPayoff
+ * @property {number} newLoan
+ * @property {number} closingCosts
+ * @property {number} cashOut - Negative when the investor has to bring cash
+ * @property {number} newMonthlyPayment
+ */
+
+/**
+ * @typedef {Object} ProFormaSale
+ * @property {number} year
+ * @property {string} method - 'Exit cap rate' or 'Appreciation'
+ * @property {number} salePrice
+ * @property {number} sellingCosts
+ * @property {number} loanPayoff
+ * @property {number} reserveReleased - Unspent capex reserve returned at the sale
+ * @property {number} netProceeds - To the investor, after the loan
+ */
+
+/**
+ * @typedef {Object} ProForma
+ * @property {boolean} error - True for invalid inputs; only message and errors are set
+ * @property {string} [message]
+ * @property {string[]} [errors]
+ * @property {ProFormaAssumptions} assumptions - With defaults filled in
+ * @property {ProFormaYear[]} years
+ * @property {ProFormaRefinance|null} refinance
+ * @property {ProFormaSale} sale
+ * @property {number} totalCost - Purchase and rehab (unlevered investment)
+ * @property {number} cashInvested - Levered investment
+ * @property {number[]} unleveredCashFlows - Year 0 investment, then each year (sale in the last)
+ * @property {number[]} leveredCashFlows
+ * @property {number|null} unleveredIRR - Percent
+ * @property {number|null} leveredIRR - Percent
+ * @property {number} equityMultiple - Everything returned to the investor over cash invested
+ * @property {{cashFlow: number, principalPaid: number, appreciation: number, capexSpent: number, profit: number}} totals
+ */
+
+/**
+ * Assumptions used when none are given
+ */
+export const DEFAULT_PROFORMA_ASSUMPTIONS = {
+  holdYears: 10,
+  rentGrowth: 0.03,
+  expenseGrowth: 0.025,
+  expenseGrowthByLine: {},
+  appreciation: 0.03,
+  capexReserveRate: 0.05,
+  capexItems: [],
+  capexInflation: 0.03,
+  exitCapRate: null,
+  sellingCostRate: 0.06,
+  refinanceYear: null,
+  refinanceLtv: 0.75,
+  refinanceRate: 0.07,
+  refinanceTermYears: 30,
+  refinanceCostRate: 0.02
+};
+
+// ============================================================================
+// ASSUMPTIONS
+// ============================================================================
+
+/**
+ * Fill stored or partial assumptions from the defaults
+ * @param {Object|null} assumptions - Blank fields take DEFAULT_PROFORMA_ASSUMPTIONS
+ * @returns {ProFormaAssumptions} Complete assumptions
+ */
+export function resolveProFormaAssumptions(assumptions) {
+  const resolved = Object.assign({}, DEFAULT_PROFORMA_ASSUMPTIONS);
+  Object.keys(assumptions || {}).forEach(function(key) {
+    if (assumptions[key] !== null && assumptions[key] !== undefined && assumptions[key] !== '') {
+      resolved[key] = assumptions[key];
+    }
+  });
+  resolved.expenseGrowthByLine = Object.assign({}, resolved.expenseGrowthByLine);
+  resolved.capexItems = (resolved.capexItems || []).slice();
+  return resolved;
+}
+
+/**
+ * Check pro forma assumptions
+ * @param {ProFormaAssumptions} assumptions - Resolved assumptions
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateProFormaAssumptions(assumptions) {
+  const errors = [];
+  const a = assumptions;
+  const isRate = function(value, min, max) { return typeof value === 'number' && value >= min && value <= max; };
+
+  if (!(a.holdYears >= 1 && a.holdYears <= 30)) {
+    errors.push('Holding period must be between 1 and 30 years');
+  }
+  const growthRates = [a.rentGrowth, a.expenseGrowth, a.appreciation, a.capexInflation].concat(
+    Object.keys(a.expenseGrowthByLine).map(function(line) { return a.expenseGrowthByLine[line]; })
+  );
+  if (!growthRates.every(function(rate) { return isRate(rate, -0.5, 0.5); })) {
+    errors.push('Growth rates must be between -50% and 50% a year');
+  }
+  if (!isRate(a.capexReserveRate, 0, 0.5)) {
+    errors.push('Capex reserve must be between 0 and 50% of rent');
+  }
+  if (a.capexItems.some(function(item) { return !(item.year >= 1 && item.year <= a.holdYears) || !(item.cost >= 0); })) {
+    errors.push('Each capital expense needs a cost and a year within the holding period');
+  }
+  if (a.exitCapRate !== null && !(a.exitCapRate > 0 && a.exitCapRate < 1)) {
+    errors.push('Exit cap rate must be between 0 and 100%');
+  }
+  if (!isRate(a.sellingCostRate, 0, 0.2)) {
+    errors.push('Selling costs must be between 0 and 20%');
+  }
+  if (a.refinanceYear !== null) {
+    if (!(a.refinanceYear >= 1 && a.refinanceYear < a.holdYears)) {
+      errors.push('Refinance year must come before the sale');
+    }
+    if (!(a.refinanceLtv > 0 && a.refinanceLtv <= 1) || !isRate(a.refinanceRate, 0, 0.3) ||
+        !(a.refinanceTermYears >= 1) || !isRate(a.refinanceCostRate, 0, 0.1)) {
+      errors.push('Refinance LTV, rate, term and costs are out of range');
+    }
+  }
+
+  return { valid: errors.length === 0, errors: errors };
+}
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+/**
+ * Interest, principal and ending balance of an amortization schedule for
+ * loan months firstMonth through lastMonth. Balloons are assumed to be
+ * refinanced, so their balance stays owed.
+ * @param {Object} schedule - buildAmortizationSchedule result
+ * @param {number} firstMonth
+ * @param {number} lastMonth
+ * @param {number} balloonsBefore - Balloon balances carried so far
+ * @returns {{interest: number, principal: number, balloons: number, balance: number}} Totals for the months
+ */
+function sumScheduleMonths(schedule, firstMonth, lastMonth, balloonsBefore) {
+  const rows = schedule.schedule.filter(function(row) { return row.month >= firstMonth && row.month <= lastMonth; });
+  const balloons = balloonsBefore + rows.reduce(function(sum, row) { return sum + row.balloon; }, 0);
+  return {
+    interest: rows.reduce(function(sum, row) { return sum + row.interest; }, 0),
+    principal: rows.reduce(function(sum, row) { return sum + row.principal + row.extraPrincipal; }, 0),
+    balloons: balloons,
+    balance: (rows.length > 0 ? rows[rows.length - 1].balance : 0) + balloons
+  };
+}
+
+/**
+ * Project a rental year by year through its sale
+ *
+ * Expense lines grow at their own rates; management follows rent when it is
+ * given as a share of income. The capex reserve is set aside below NOI and
+ * replacements are paid from it, with any shortfall coming out of that
+ * year's cash flow; what is left is returned at the sale. The sale price is
+ * the following year's NOI over the exit cap rate, or the cost basis grown
+ * at the appreciation rate when there is no exit cap rate; a refinance
+ * appraisal is priced the same way.
+ *
+ * @param {Object} deal - { purchasePrice, rehabCost, closingCosts, cashInvested, grossRent (annual),
+ *   vacancyRate, expenses (annual, by PROFORMA_EXPENSE_LINES key), managementRate, loan (AmortizationLoan|null), loanOptions }
+ * @param {Object} [assumptions] - Blank fields take DEFAULT_PROFORMA_ASSUMPTIONS
+ * @returns {ProForma} Projection, or { error, message, errors }
+ */
+export function projectProForma(deal, assumptions) {
+  if (!deal || !(deal.purchasePrice > 0) || !(deal.grossRent > 0)) {
+    return { error: true, message: 'Purchase price and rental income are required' };
+  }
+
+  const a = resolveProFormaAssumptions(assumptions);
+  const validation = validateProFormaAssumptions(a);
+  if (!validation.valid) {
+    return { error: true, message: validation.errors.join('; '), errors: validation.errors };
+  }
+
+  const holdYears = Math.round(a.holdYears);
+  const vacancyRate = deal.vacancyRate || 0;
+  const baseExpenses = deal.expenses || {};
+  const totalCost = deal.purchasePrice + (deal.rehabCost || 0);
+  const cashInvested = deal.cashInvested || 0;
+
+  // Operating income for one year past the sale, which prices the exit
+  const operating = [];
+  for (let year = 1; year <= holdYears + 1; year++) {
+    const grossRent = deal.grossRent * Math.pow(1 + a.rentGrowth, year - 1);
+    const vacancyLoss = grossRent * vacancyRate;
+    const effectiveGrossIncome = grossRent - vacancyLoss;
+    const expenses = {};
+    Object.keys(PROFORMA_EXPENSE_LINES).forEach(function(line) {
+      if (line === 'management' && deal.managementRate) {
+        expenses[line] = effectiveGrossIncome * deal.managementRate;
+        return;
+      }
+      const growth = a.expenseGrowthByLine[line] !== undefined ? a.expenseGrowthByLine[line] : a.expenseGrowth;
+      expenses[line] = (baseExpenses[line] || 0) * Math.pow(1 + growth, year - 1);
+    });
+    const operatingExpenses = Object.keys(expenses).reduce(function(sum, line) { return sum + expenses[line]; }, 0);
+    operating.push({
+      grossRent: grossRent,
+      vacancyLoss: vacancyLoss,
+      effectiveGrossIncome: effectiveGrossIncome,
+      expenses: expenses,
+      operatingExpenses: operatingExpenses,
+      noi: effectiveGrossIncome - operatingExpenses
+    });
+  }
+
+  const appreciatedValue = function(year) { return totalCost * Math.pow(1 + a.appreciation, year); };
+  const marketValue = function(year) {
+    return a.exitCapRate ? operating[year].noi / a.exitCapRate : appreciatedValue(year);
+  };
+
+  let loanSchedule = deal.loan ? buildAmortizationSchedule(deal.loan, deal.loanOptions) : null;
+  if (loanSchedule && loanSchedule.error) return loanSchedule;
+  let loanStartYear = 0;
+  let balloons = 0;
+  let refinance = null;
+
+  const years = [];
+  let reserveBalance = 0;
+  let cumulativeCashFlow = 0;
+  let principalPaid = 0;
+
+  for (let year = 1; year <= holdYears; year++) {
+    const op = operating[year - 1];
+
+    // Capex: set aside a share of rent, pay replacements from it
+    const capexReserve = op.grossRent * a.capexReserveRate;
+    const due = a.capexItems.filter(function(item) { return Math.round(item.year) === year; });
+    const capexSpent = due.reduce(function(sum, item) {
+      return sum + item.cost * Math.pow(1 + a.capexInflation, year - 1);
+    }, 0);
+    const available = reserveBalance + capexReserve;
+    const capexShortfall = Math.max(0, capexSpent - available);
+    reserveBalance = Math.max(0, available - capexSpent);
+
+    // Debt service from whichever loan is in place this year
+    const firstMonth = (year - loanStartYear - 1) * 12 + 1;
+    const debt = loanSchedule
+      ? sumScheduleMonths(loanSchedule, firstMonth, firstMonth + 11, balloons)
+      : { interest: 0, principal: 0, balloons: 0, balance: 0 };
+    balloons = debt.balloons;
+    principalPaid += debt.principal;
+    let loanBalance = debt.balance;
+
+    const cashFlow = op.noi - capexReserve - capexShortfall - debt.interest - debt.principal;
+
+    // Cash-out refinance at the end of the year; the new loan starts next year
+    let refinanceProceeds = 0;
+    if (a.refinanceYear !== null && year === Math.round(a.refinanceYear)) {
+      const value = marketValue(year);
+      const newLoan = value * a.refinanceLtv;
+      const closingCosts = newLoan * a.refinanceCostRate;
+      refinanceProceeds = newLoan - loanBalance - closingCosts;
+      loanSchedule = buildAmortizationSchedule({
+        principal: newLoan,
+        annualRate: a.refinanceRate,
+        termMonths: Math.round(a.refinanceTermYears * 12)
+      });
+      if (loanSchedule.error) return loanSchedule;
+      refinance = {
+        year: year,
+        value: Math.round(value),
+        loanPayoff: Math.round(loanBalance),
+        newLoan: Math.round(newLoan),
+        closingCosts: Math.round(closingCosts),
+        cashOut: Math.round(refinanceProceeds),
+        newMonthlyPayment: Math.round(loanSchedule.scheduledPayment * 100) / 100
+      };
+      loanStartYear = year;
+      balloons = 0;
+      loanBalance = newLoan;
+    }
+
+    cumulativeCashFlow += cashFlow + refinanceProceeds;
+    const propertyValue = appreciatedValue(year);
+    const roundedExpenses = {};
+    Object.keys(op.expenses).forEach(function(line) { roundedExpenses[line] = Math.round(op.expenses[line]); });
+
+    years.push({
+      year: year,
+      grossRent: Math.round(op.grossRent),
+      vacancyLoss: Math.round(op.vacancyLoss),
+      effectiveGrossIncome: Math.round(op.effectiveGrossIncome),
+      expenses: roundedExpenses,
+      operatingExpenses: Math.round(op.operatingExpenses),
+      noi: Math.round(op.noi),
+      capexReserve: Math.round(capexReserve),
+      capexSpent: Math.round(capexSpent),
+      capexItems: due.map(function(item) { return item.name; }),
+      capexShortfall: Math.round(capexShortfall),
+      reserveBalance: Math.round(reserveBalance),
+      interest: Math.round(debt.interest),
+      principal: Math.round(debt.principal),
+      debtService: Math.round(debt.interest + debt.principal),
+      cashFlow: Math.round(cashFlow),
+      refinanceProceeds: Math.round(refinanceProceeds),
+      cashOnCash: cashInvested > 0 ? Math.round((cashFlow / cashInvested) * 10000) / 100 : 0,
+      loanBalance: Math.round(loanBalance),
+      propertyValue: Math.round(propertyValue),
+      equity: Math.round(propertyValue - loanBalance),
+      cumulativeCashFlow: Math.round(cumulativeCashFlow)
+    });
+  }
+
+  // Sale at the end of the holding period
+  const last = years[years.length - 1];
+  const salePrice = marketValue(holdYears);
+  const sellingCosts = salePrice * a.sellingCostRate;
+  const netProceeds = salePrice - sellingCosts - last.loanBalance + reserveBalance;
+
+  const unleveredCashFlows = [-totalCost].concat(years.map(function(y) {
+    return y.noi - y.capexReserve - y.capexShortfall;
+  }));
+  unleveredCashFlows[holdYears] += salePrice - sellingCosts + reserveBalance;
+  const leveredCashFlows = [-cashInvested].concat(years.map(function(y) { return y.cashFlow + y.refinanceProceeds; }));
+  leveredCashFlows[holdYears] += netProceeds;
+
+  const unleveredIRR = solveIRR(unleveredCashFlows);
+  const leveredIRR = cashInvested > 0 ? solveIRR(leveredCashFlows) : null;
+  const returned = leveredCashFlows.slice(1).reduce(function(sum, flow) { return sum + flow; }, 0);
+
+  return {
+    error: false,
+    assumptions: a,
+    years: years,
+    refinance: refinance,
+    sale: {
+      year: holdYears,
+      method: a.exitCapRate ? 'Exit cap rate' : 'Appreciation',
+      salePrice: Math.round(salePrice),
+      sellingCosts: Math.round(sellingCosts),
+      loanPayoff: last.loanBalance,
+      reserveReleased: Math.round(reserveBalance),
+      netProceeds: Math.round(netProceeds)
+    },
+    totalCost: Math.round(totalCost),
+    cashInvested: Math.round(cashInvested),
+    unleveredCashFlows: unleveredCashFlows.map(Math.round),
+    leveredCashFlows: leveredCashFlows.map(Math.round),
+    unleveredIRR: unleveredIRR === null ? null : Math.round(unleveredIRR * 10000) / 100,
+    leveredIRR: leveredIRR === null ? null : Math.round(leveredIRR * 10000) / 100,
+    equityMultiple: cashInvested > 0 ? Math.round((returned / cashInvested) * 100) / 100 : 0,
+    totals: {
+      cashFlow: Math.round(years.reduce(function(sum, y) { return sum + y.cashFlow; }, 0)),
+      principalPaid: Math.round(principalPaid),
+      appreciation: Math.round(salePrice - totalCost),
+      capexSpent: Math.round(years.reduce(function(sum, y) { return sum + y.capexSpent; }, 0)),
+      profit: Math.round(returned - cashInvested)
+    }
+  };
+}
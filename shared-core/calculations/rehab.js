@@ -0,0 +1,336 @@
+/**
+ * ===============================
+ * REHAB SCOPE OF WORK
+ * ===============================
+ *
+ * Line-item rehab budgets: each item has a quantity, a unit cost and a
+ * finish level, grouped by trade. Catalog costs are national averages for
+ * a standard finish, scaled by a state cost factor. Contingency is set from
+ * the scope (work behind the walls, older homes) unless given, and each
+ * trade becomes a renovation phase for the project tracker.
+ * Platform-agnostic - pure calculation functions
+ *
+ * @module shared-core/calculations/rehab
+ */
+
+/**
+ * Finish levels and their multiplier on catalog costs
+ */
+export const REHAB_FINISH_LEVELS = {
+  rental: { label: 'Rental grade', multiplier: 0.8 },
+  standard: { label: 'Standard', multiplier: 1 },
+  premium: { label: 'Premium', multiplier: 1.45 }
+};
+
+export const REHAB_UNITS = {
+  sqft: 'sq ft',
+  lf: 'linear ft',
+  each: 'each',
+  job: 'job'
+};
+
+/**
+ * Trades in the order the work is done. costPerDay is the work a typical
+ * crew puts in place in a day, which sets each phase's duration.
+ */
+export const REHAB_TRADES = {
+  demolition: { label: 'Demolition & Haul-Off', costPerDay: 2000 },
+  structural: { label: 'Foundation & Framing', costPerDay: 1500 },
+  roofing: { label: 'Roofing', costPerDay: 4000 },
+  exterior: { label: 'Exterior & Windows', costPerDay: 2500 },
+  plumbing: { label: 'Plumbing', costPerDay: 1500 },
+  electrical: { label: 'Electrical', costPerDay: 1500 },
+  hvac: { label: 'HVAC', costPerDay: 3000 },
+  drywall: { label: 'Insulation & Drywall', costPerDay: 1500 },
+  kitchen: { label: 'Kitchen', costPerDay: 2000 },
+  bathrooms: { label: 'Bathrooms', costPerDay: 1500 },
+  flooring: { label: 'Flooring', costPerDay: 2000 },
+  painting: { label: 'Painting', costPerDay: 1000 },
+  landscaping: { label: 'Landscaping & Final Clean', costPerDay: 1500 }
+};
+
+/**
+ * Catalog of common line items (national average, standard finish)
+ */
+export const REHAB_LINE_ITEMS = {
+  dumpster: { label: 'Dumpster (30 yd)', trade: 'demolition', unit: 'each', unitCost: 550 },
+  interiorDemo: { label: 'Interior demolition', trade: 'demolition', unit: 'sqft', unitCost: 2.5 },
+  foundationRepair: { label: 'Foundation repair', trade: 'structural', unit: 'job', unitCost: 8000 },
+  framingRepair: { label: 'Framing / subfloor repair', trade: 'structural', unit: 'sqft', unitCost: 12 },
+  roofShingle: { label: 'Asphalt shingle roof', trade: 'roofing', unit: 'sqft', unitCost: 5.5 },
+  gutters: { label: 'Gutters & downspouts', trade: 'roofing', unit: 'lf', unitCost: 10 },
+  windows: { label: 'Replacement window', trade: 'exterior', unit: 'each', unitCost: 650 },
+  exteriorDoor: { label: 'Exterior door', trade: 'exterior', unit: 'each', unitCost: 1200 },
+  siding: { label: 'Siding', trade: 'exterior', unit: 'sqft', unitCost: 9 },
+  exteriorPaint: { label: 'Exterior paint', trade: 'exterior', unit: 'sqft', unitCost: 3 },
+  repipe: { label: 'Repipe (PEX)', trade: 'plumbing', unit: 'sqft', unitCost: 4.5 },
+  waterHeater: { label: 'Water heater', trade: 'plumbing', unit: 'each', unitCost: 1800 },
+  plumbingFixture: { label: 'Plumbing fixture', trade: 'plumbing', unit: 'each', unitCost: 450 },
+  rewire: { label: 'Rewire', trade: 'electrical', unit: 'sqft', unitCost: 6 },
+  panelUpgrade: { label: 'Electrical panel (200A)', trade: 'electrical', unit: 'each', unitCost: 2500 },
+  lightFixture: { label: 'Light fixture', trade: 'electrical', unit: 'each', unitCost: 175 },
+  hvacSystem: { label: 'HVAC system', trade: 'hvac', unit: 'each', unitCost: 8000 },
+  ductwork: { label: 'Ductwork', trade: 'hvac', unit: 'sqft', unitCost: 4 },
+  insulation: { label: 'Insulation', trade: 'drywall', unit: 'sqft', unitCost: 2 },
+  drywall: { label: 'Drywall hang & finish', trade: 'drywall', unit: 'sqft', unitCost: 3.5 },
+  kitchenRemodel: { label: 'Full kitchen remodel', trade: 'kitchen', unit: 'each', unitCost: 25000 },
+  cabinets: { label: 'Cabinets', trade: 'kitchen', unit: 'lf', unitCost: 300 },
+  countertops: { label: 'Countertops', trade: 'kitchen', unit: 'sqft', unitCost: 60 },
+  appliances: { label: 'Appliance package', trade: 'kitchen', unit: 'each', unitCost: 4500 },
+  bathroomRemodel: { label: 'Full bathroom remodel', trade: 'bathrooms', unit: 'each', unitCost: 12000 },
+  vanity: { label: 'Vanity & top', trade: 'bathrooms', unit: 'each', unitCost: 900 },
+  lvp: { label: 'Luxury vinyl plank', trade: 'flooring', unit: 'sqft', unitCost: 5.5 },
+  carpet: { label: 'Carpet', trade: 'flooring', unit: 'sqft', unitCost: 3.5 },
+  tile: { label: 'Tile', trade: 'flooring', unit: 'sqft', unitCost: 12 },
+  hardwoodRefinish: { label: 'Refinish hardwood', trade: 'flooring', unit: 'sqft', unitCost: 4 },
+  interiorPaint: { label: 'Interior paint', trade: 'painting', unit: 'sqft', unitCost: 3.5 },
+  landscaping: { label: 'Landscaping', trade: 'landscaping', unit: 'job', unitCost: 3500 },
+  finalClean: { label: 'Final clean', trade: 'landscaping', unit: 'job', unitCost: 600 }
+};
+
+/**
+ * Residential construction cost by state relative to the national average
+ */
+export const REHAB_COST_FACTORS = {
+  AK: 1.25, AL: 0.85, AR: 0.84, AZ: 0.93, CA: 1.22, CO: 1.0, CT: 1.12, DC: 1.1,
+  DE: 1.03, FL: 0.92, GA: 0.88, HI: 1.3, IA: 0.93, ID: 0.92, IL: 1.1, IN: 0.93,
+  KS: 0.9, KY: 0.9, LA: 0.86, MA: 1.2, MD: 0.98, ME: 0.95, MI: 0.98, MN: 1.05,
+  MO: 0.98, MS: 0.84, MT: 0.93, NC: 0.87, ND: 0.92, NE: 0.9, NH: 0.98, NJ: 1.15,
+  NM: 0.9, NV: 1.02, NY: 1.25, OH: 0.95, OK: 0.87, OR: 1.03, PA: 1.03, RI: 1.1,
+  SC: 0.86, SD: 0.88, TN: 0.87, TX: 0.88, UT: 0.92, VA: 0.93, VT: 0.95, WA: 1.06,
+  WI: 1.0, WV: 0.93, WY: 0.91
+};
+
+/**
+ * Contingency added to the line items: a base rate, more when the scope
+ * opens walls or foundations, and more again for older homes
+ */
+export const REHAB_CONTINGENCY = {
+  base: 0.10,
+  behindTheWalls: 0.05,
+  behindTheWallsTrades: ['structural', 'plumbing', 'electrical'],
+  olderHome: 0.05,
+  olderHomeBuiltBefore: 1960
+};
+
+/**
+ * @typedef {Object} ScopeItem
+ * @property {string} [item] - REHAB_LINE_ITEMS key; leave blank for a custom item
+ * @property {string} [label] - Custom item name, or overrides the catalog label
+ * @property {string} [trade] - REHAB_TRADES key (custom items)
+ * @property {string} [unit] - REHAB_UNITS key (custom items)
+ * @property {number} quantity
+ * @property {number|null} [unitCost] - A quote for this item; used as is, without finish or regional factors
+ * @property {string} [finishLevel] - REHAB_FINISH_LEVELS key; blank takes the scope's
+ * @property {string} [room] - Where the work is, e.g. "Primary bath"
+ */
+
+/**
+ * @typedef {Object} RehabScope
+ * @property {ScopeItem[]} items
+ * @property {string} [finishLevel='standard'] - REHAB_FINISH_LEVELS key
+ * @property {number|null} [contingencyRate] - Decimal; blank sets it from the scope
+ */
+
+/**
+ * @typedef {Object} RehabLine
+ * @property {string|null} item
+ * @property {string} label
+ * @property {string} trade
+ * @property {string|null} room
+ * @property {number} quantity
+ * @property {string} unit
+ * @property {string} finishLevel
+ * @property {number} unitCost - After finish and regional factors
+ * @property {number} cost
+ */
+
+/**
+ * @typedef {Object} RehabTrade
+ * @property {string} trade
+ * @property {string} label
+ * @property {number} cost - Line items
+ * @property {number} contingency - Share of the contingency, by cost
+ * @property {number} total
+ * @property {number} days
+ */
+
+/**
+ * @typedef {Object} RehabEstimate
+ * @property {boolean} error
+ * @property {string} [message]
+ * @property {string[]} [errors]
+ * @property {RehabLine[]} lines
+ * @property {RehabTrade[]} trades - In REHAB_TRADES order
+ * @property {string} finishLevel
+ * @property {number} costFactor - Regional factor applied to catalog costs
+ * @property {string|null} state
+ * @property {number} subtotal - Line items before contingency
+ * @property {number} contingencyRate - Decimal
+ * @property {number} contingency
+ * @property {number} totalBudget
+ * @property {number} estimatedDays - Trades back to back
+ */
+
+/**
+ * Whether a property's rehab is budgeted line by line
+ * @param {Object} propertyData - Property information
+ * @returns {boolean} True when propertyData.rehabScope has at least one item
+ */
+export function hasRehabScope(propertyData) {
+  return Boolean(propertyData && propertyData.rehabScope) &&
+    Array.isArray(propertyData.rehabScope.items) && propertyData.rehabScope.items.length > 0;
+}
+
+/**
+ * Regional cost factor for a state
+ * @param {string} [state] - Two-letter state code
+ * @returns {number} Factor on national average costs (1 when unknown)
+ */
+export function getRehabCostFactor(state) {
+  const factor = state ? REHAB_COST_FACTORS[String(state).toUpperCase()] : undefined;
+  return factor || 1;
+}
+
+/**
+ * Check a scope of work before it is estimated
+ * @param {RehabScope} scope - Line items and finish level
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateRehabScope(scope) {
+  const errors = [];
+  if (!scope || !Array.isArray(scope.items) || scope.items.length === 0) {
+    return { valid: false, errors: ['At least one line item is required'] };
+  }
+  if (scope.finishLevel && !REHAB_FINISH_LEVELS[scope.finishLevel]) {
+    errors.push(`Unknown finish level: ${scope.finishLevel}`);
+  }
+  if (scope.contingencyRate !== null && scope.contingencyRate !== undefined &&
+      !(scope.contingencyRate >= 0 && scope.contingencyRate <= 0.5)) {
+    errors.push('Contingency must be between 0 and 50%');
+  }
+
+  scope.items.forEach(function(entry, i) {
+    const catalog = entry.item ? REHAB_LINE_ITEMS[entry.item] : null;
+    const name = entry.label || (catalog ? catalog.label : `Item ${i + 1}`);
+    if (entry.item && !catalog) {
+      errors.push(`${name}: unknown line item "${entry.item}"`);
+      return;
+    }
+    if (!catalog && (!entry.label || !REHAB_TRADES[entry.trade] || !(entry.unitCost >= 0))) {
+      errors.push(`${name}: custom items need a name, a trade and a unit cost`);
+    }
+    if (!(entry.quantity > 0)) {
+      errors.push(`${name}: quantity must be greater than 0`);
+    }
+    if (entry.unitCost !== null && entry.unitCost !== undefined && !(entry.unitCost >= 0)) {
+      errors.push(`${name}: unit cost cannot be negative`);
+    }
+    if (entry.finishLevel && !REHAB_FINISH_LEVELS[entry.finishLevel]) {
+      errors.push(`${name}: unknown finish level`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Price a scope of work
+ * @param {RehabScope} scope - Line items, finish level and optional contingency
+ * @param {Object} [options]
+ * @param {string} [options.state] - Two-letter state code for the regional factor
+ * @param {number} [options.yearBuilt] - Older homes carry more contingency
+ * @returns {RehabEstimate} Estimate, or { error, message, errors }
+ */
+export function estimateRehab(scope, options) {
+  const validation = validateRehabScope(scope);
+  if (!validation.valid) {
+    return { error: true, message: validation.errors.join('; '), errors: validation.errors };
+  }
+
+  const opts = options || {};
+  const costFactor = getRehabCostFactor(opts.state);
+  const scopeFinish = scope.finishLevel || 'standard';
+
+  const lines = scope.items.map(function(entry) {
+    const catalog = entry.item ? REHAB_LINE_ITEMS[entry.item] : null;
+    const finishLevel = entry.finishLevel || scopeFinish;
+    const quoted = entry.unitCost !== null && entry.unitCost !== undefined;
+    const unitCost = quoted ? entry.unitCost : catalog.unitCost * REHAB_FINISH_LEVELS[finishLevel].multiplier * costFactor;
+    return {
+      item: entry.item || null,
+      label: entry.label || catalog.label,
+      trade: catalog ? catalog.trade : entry.trade,
+      room: entry.room || null,
+      quantity: entry.quantity,
+      unit: catalog ? catalog.unit : (entry.unit || 'each'),
+      finishLevel: finishLevel,
+      unitCost: Math.round(unitCost * 100) / 100,
+      cost: Math.round(unitCost * entry.quantity)
+    };
+  });
+
+  const subtotal = lines.reduce(function(sum, line) { return sum + line.cost; }, 0);
+
+  let contingencyRate = scope.contingencyRate;
+  if (contingencyRate === null || contingencyRate === undefined) {
+    const opensWalls = lines.some(function(line) {
+      return REHAB_CONTINGENCY.behindTheWallsTrades.indexOf(line.trade) !== -1;
+    });
+    const older = opts.yearBuilt > 0 && opts.yearBuilt < REHAB_CONTINGENCY.olderHomeBuiltBefore;
+    contingencyRate = REHAB_CONTINGENCY.base +
+      (opensWalls ? REHAB_CONTINGENCY.behindTheWalls : 0) +
+      (older ? REHAB_CONTINGENCY.olderHome : 0);
+  }
+  const contingency = Math.round(subtotal * contingencyRate);
+
+  const trades = Object.keys(REHAB_TRADES).map(function(trade) {
+    const cost = lines.reduce(function(sum, line) { return line.trade === trade ? sum + line.cost : sum; }, 0);
+    const share = subtotal > 0 ? Math.round(contingency * cost / subtotal) : 0;
+    return {
+      trade: trade,
+      label: REHAB_TRADES[trade].label,
+      cost: cost,
+      contingency: share,
+      total: cost + share,
+      days: Math.max(1, Math.ceil(cost / REHAB_TRADES[trade].costPerDay))
+    };
+  }).filter(function(trade) { return trade.cost > 0; });
+
+  return {
+    error: false,
+    lines: lines,
+    trades: trades,
+    finishLevel: scopeFinish,
+    costFactor: costFactor,
+    state: opts.state || null,
+    subtotal: subtotal,
+    contingencyRate: contingencyRate,
+    contingency: contingency,
+    totalBudget: subtotal + contingency,
+    estimatedDays: trades.reduce(function(sum, trade) { return sum + trade.days; }, 0)
+  };
+}
+
+/**
+ * One renovation phase per trade, with its line items in the description
+ * and its share of the contingency in the estimated cost
+ * @param {RehabEstimate} estimate - estimateRehab result
+ * @returns {{phaseName: string, description: string, estimatedCost: number, estimatedDuration: number}[]} Phases in trade order
+ */
+export function buildRenovationPhases(estimate) {
+  if (!estimate || estimate.error) return [];
+
+  return estimate.trades.map(function(trade) {
+    const items = estimate.lines.filter(function(line) { return line.trade === trade.trade; });
+    return {
+      phaseName: trade.label,
+      description: items.map(function(line) {
+        const where = line.room ? ` (${line.room})` : '';
+        return `${line.label}${where}: ${line.quantity} ${REHAB_UNITS[line.unit] || line.unit}`;
+      }).join('; '),
+      estimatedCost: trade.total,
+      estimatedDuration: trade.days
+    };
+  });
+}
@@ -0,0 +1,210 @@
+/**
+ * ===============================
+ * RENT ROLL
+ * ===============================
+ *
+ * Unit-by-unit income for duplexes through small multifamily: in-place and
+ * market rent, vacancy per unit, loss to lease, lease expirations and an
+ * owner-occupied unit for house hacking (its rent is left out of income).
+ * Platform-agnostic - pure calculation functions
+ *
+ * @module shared-core/calculations/rentRoll
+ */
+
+/**
+ * @typedef {Object} RentalUnit
+ * @property {string} [label] - e.g. "Unit A"; defaults to "Unit 1", "Unit 2", ...
+ * @property {number} [beds]
+ * @property {number} [baths]
+ * @property {number} [sqft]
+ * @property {number} [currentRent] - In-place monthly rent; 0 or blank when vacant
+ * @property {number} [marketRent] - Monthly rent the unit would lease for today
+ * @property {string|null} [leaseEnd] - ISO date the current lease ends
+ * @property {number|null} [vacancyRate] - Decimal; blank takes the property's rate
+ * @property {boolean} [ownerOccupied] - Owner lives here (house hacking)
+ */
+
+/**
+ * @typedef {Object} RentRollUnit
+ * @property {string} label
+ * @property {number|null} beds
+ * @property {number|null} baths
+ * @property {boolean} ownerOccupied
+ * @property {number} currentRent
+ * @property {number} marketRent
+ * @property {number} rent - Rent counted in income (0 for the owner's unit)
+ * @property {number} vacancyRate - Decimal
+ * @property {number} vacancyLoss - Monthly
+ * @property {number} effectiveRent - rent less vacancy
+ * @property {number} lossToLease - Market rent above in-place rent
+ * @property {string|null} leaseEnd
+ * @property {number|null} monthsToLeaseEnd - Negative once the lease has lapsed
+ */
+
+/**
+ * @typedef {Object} RentRoll
+ * @property {boolean} error
+ * @property {string} [message]
+ * @property {string[]} [errors]
+ * @property {string} rentBasis - RENT_BASIS key the rents were taken on
+ * @property {RentRollUnit[]} units
+ * @property {number} unitCount - Every unit, including the owner's
+ * @property {number} incomeUnitCount
+ * @property {number} grossMonthlyRent
+ * @property {number} vacancyLoss - Monthly
+ * @property {number} effectiveMonthlyRent
+ * @property {number} vacancyRate - Blended (decimal)
+ * @property {number} marketMonthlyRent - Income units at market
+ * @property {number} lossToLease - Monthly
+ * @property {string|null} ownerUnit - Label of the owner-occupied unit
+ * @property {number} ownerUnitMarketRent - What the owner's unit would rent for
+ * @property {number} leasesEndingWithin12Months
+ */
+
+// Rent a vacant unit is counted at when rents are taken as-is
+export const RENT_BASIS = {
+  current: 'In-place rent (vacant units at market)',
+  market: 'Market rent'
+};
+
+const isBlankUnitField = function(value) {
+  return value === null || value === undefined || value === '';
+};
+
+/**
+ * Whether a property is analyzed unit by unit
+ * @param {Object} propertyData - Property information
+ * @returns {boolean} True when propertyData.units lists at least one unit
+ */
+export function hasUnitMix(propertyData) {
+  return Boolean(propertyData) && Array.isArray(propertyData.units) && propertyData.units.length > 0;
+}
+
+/**
+ * Check a unit mix before it is analyzed
+ * @param {RentalUnit[]} units - Units in the building
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateUnitMix(units) {
+  const errors = [];
+
+  if (!Array.isArray(units) || units.length === 0) {
+    return { valid: false, errors: ['At least one unit is required'] };
+  }
+
+  units.forEach(function(unit, i) {
+    const name = unit.label || `Unit ${i + 1}`;
+    if ((!isBlankUnitField(unit.currentRent) && !(unit.currentRent >= 0)) || (!isBlankUnitField(unit.marketRent) && !(unit.marketRent >= 0))) {
+      errors.push(`${name}: rent cannot be negative`);
+    }
+    if (!isBlankUnitField(unit.vacancyRate) && !(unit.vacancyRate >= 0 && unit.vacancyRate < 1)) {
+      errors.push(`${name}: vacancy must be between 0 and 99%`);
+    }
+    if (!isBlankUnitField(unit.leaseEnd) && isNaN(new Date(unit.leaseEnd).getTime())) {
+      errors.push(`${name}: lease end is not a valid date`);
+    }
+  });
+
+  const owners = units.filter(function(unit) { return unit.ownerOccupied; });
+  if (owners.length > 1) {
+    errors.push('Only one unit can be owner-occupied');
+  }
+  const rented = units.filter(function(unit) {
+    return !unit.ownerOccupied && ((unit.currentRent || 0) > 0 || (unit.marketRent || 0) > 0);
+  });
+  if (rented.length === 0) {
+    errors.push('At least one rented unit needs a current or market rent');
+  }
+
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Whole months from one date to another
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number} Months, negative when `to` is earlier
+ */
+function leaseMonthsBetween(from, to) {
+  return (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+}
+
+/**
+ * Build the rent roll for a unit mix
+ * @param {RentalUnit[]} units - Units in the building
+ * @param {Object} [options]
+ * @param {string} [options.rentBasis='current'] - RENT_BASIS key; 'market' prices every unit at market
+ * @param {number} [options.vacancyRate=0.06] - Vacancy for units without their own rate (decimal)
+ * @param {Date} [options.asOf] - Date lease terms are measured from (defaults to today)
+ * @returns {RentRoll} Rent roll, or { error, message, errors }
+ */
+export function buildRentRoll(units, options) {
+  const validation = validateUnitMix(units);
+  if (!validation.valid) {
+    return { error: true, message: validation.errors.join('; '), errors: validation.errors };
+  }
+
+  const opts = options || {};
+  const rentBasis = opts.rentBasis === 'market' ? 'market' : 'current';
+  const defaultVacancy = isBlankUnitField(opts.vacancyRate) ? 0.06 : opts.vacancyRate;
+  const asOf = opts.asOf || new Date();
+
+  const rows = units.map(function(unit, i) {
+    const currentRent = unit.currentRent || 0;
+    const marketRent = unit.marketRent || 0;
+    const ownerOccupied = Boolean(unit.ownerOccupied);
+    let rent = 0;
+    if (!ownerOccupied) {
+      rent = rentBasis === 'market' || currentRent === 0 ? (marketRent || currentRent) : currentRent;
+    }
+    const vacancyRate = isBlankUnitField(unit.vacancyRate) ? defaultVacancy : unit.vacancyRate;
+    const vacancyLoss = rent * vacancyRate;
+    const leaseEnd = isBlankUnitField(unit.leaseEnd) ? null : unit.leaseEnd;
+
+    return {
+      label: unit.label || `Unit ${i + 1}`,
+      beds: isBlankUnitField(unit.beds) ? null : unit.beds,
+      baths: isBlankUnitField(unit.baths) ? null : unit.baths,
+      ownerOccupied: ownerOccupied,
+      currentRent: currentRent,
+      marketRent: marketRent,
+      rent: rent,
+      vacancyRate: vacancyRate,
+      vacancyLoss: Math.round(vacancyLoss * 100) / 100,
+      effectiveRent: Math.round((rent - vacancyLoss) * 100) / 100,
+      lossToLease: !ownerOccupied && currentRent > 0 && marketRent > currentRent ? marketRent - currentRent : 0,
+      leaseEnd: leaseEnd,
+      monthsToLeaseEnd: leaseEnd ? leaseMonthsBetween(asOf, new Date(leaseEnd)) : null
+    };
+  });
+
+  const sum = function(key, filter) {
+    return rows.reduce(function(total, row) {
+      return filter && !filter(row) ? total : total + row[key];
+    }, 0);
+  };
+  const incomeUnits = function(row) { return !row.ownerOccupied; };
+  const owner = rows.filter(function(row) { return row.ownerOccupied; })[0] || null;
+
+  const grossMonthlyRent = sum('rent');
+  const vacancyLoss = sum('vacancyLoss');
+
+  return {
+    error: false,
+    rentBasis: rentBasis,
+    units: rows,
+    unitCount: rows.length,
+    incomeUnitCount: rows.filter(incomeUnits).length,
+    grossMonthlyRent: Math.round(grossMonthlyRent * 100) / 100,
+    vacancyLoss: Math.round(vacancyLoss * 100) / 100,
+    effectiveMonthlyRent: Math.round((grossMonthlyRent - vacancyLoss) * 100) / 100,
+    vacancyRate: grossMonthlyRent > 0 ? vacancyLoss / grossMonthlyRent : 0,
+    marketMonthlyRent: sum('marketRent', incomeUnits),
+    lossToLease: sum('lossToLease'),
+    ownerUnit: owner ? owner.label : null,
+    ownerUnitMarketRent: owner ? owner.marketRent : 0,
+    leasesEndingWithin12Months: rows.filter(function(row) {
+      return row.monthsToLeaseEnd !== null && row.monthsToLeaseEnd <= 12;
+    }).length
+  };
+}
@@ -9,14 +9,17 @@
  * @module shared-core/calculations/rental
  */
 
+import { buildFinancingSchedule, getFundedAtClosing, sumDebtService } from './financing.js';
+import { buildRentRoll, hasUnitMix } from './rentRoll.js';
+
 /**
  * Calculate Net Operating Income (NOI)
  * @param {number} grossIncome - Annual gross rental income
- * @param {number} vacancyRate - Vacancy rate (decimal, e.g., 0.06 for 6%)
+ * @param {number} vacancyRate - Vacancy rate (decimal, e.g., 0.06 for 6%); blank defaults to 6%
  * @param {Object} expenses - Operating expenses
  * @returns {Object} { noi: number, effectiveGrossIncome: number, totalExpenses: number }
  */
-function calculateNOI(grossIncome, vacancyRate, expenses) {
+export function calculateNOI(grossIncome, vacancyRate, expenses) {
   // Validate inputs
   if (!grossIncome || grossIncome <= 0) {
     return { error: true, message: 'Valid gross income is required' };
@@ -27,7 +30,7 @@ function calculateNOI(grossIncome, vacancyRate, expenses) {
   }
 
   // Calculate effective gross income
-  const vacancyLoss = grossIncome * (vacancyRate || 0.06);
+  const vacancyLoss = grossIncome * (vacancyRate === undefined || vacancyRate === null ? 0.06 : vacancyRate);
   const effectiveGrossIncome = grossIncome - vacancyLoss;
 
   // Calculate total operating expenses
@@ -66,7 +69,7 @@ function calculateNOI(grossIncome, vacancyRate, expenses) {
  * @param {number} propertyValue - Property value or purchase price
  * @returns {Object} { capRate: number (decimal) }
  */
-function calculateCapRate(noi, propertyValue) {
+export function calculateCapRate(noi, propertyValue) {
   // Validate inputs
   if (!noi || !propertyValue || propertyValue <= 0) {
     return { error: true, message: 'Valid NOI and property value are required' };
@@ -87,7 +90,7 @@ function calculateCapRate(noi, propertyValue) {
  * @param {number} totalCashInvested - Total cash invested (down payment + rehab + closing)
  * @returns {Object} { cocReturn: number (decimal) }
  */
-function calculateCashOnCashReturn(annualCashFlow, totalCashInvested) {
+export function calculateCashOnCashReturn(annualCashFlow, totalCashInvested) {
   // Validate inputs
   if (totalCashInvested === undefined || totalCashInvested <= 0) {
     return { error: true, message: 'Valid total cash invested is required' };
@@ -108,7 +111,7 @@ function calculateCashOnCashReturn(annualCashFlow, totalCashInvested) {
  * @param {number} annualDebtService - Annual debt service (mortgage payments)
  * @returns {Object} { dscr: number }
  */
-function calculateDSCR(noi, annualDebtService) {
+export function calculateDSCR(noi, annualDebtService) {
   // Validate inputs
   if (!noi || !annualDebtService || annualDebtService <= 0) {
     return { error: true, message: 'Valid NOI and annual debt service are required' };
@@ -139,7 +142,7 @@ function calculateDSCR(noi, annualDebtService) {
  * @param {number} monthsToComplete - Months to complete project
  * @returns {Object} { returnOnTime: number (decimal per month) }
  */
-function calculateReturnOnTime(cocReturn, monthsToComplete) {
+export function calculateReturnOnTime(cocReturn, monthsToComplete) {
   // Validate inputs
   if (cocReturn === undefined || !monthsToComplete || monthsToComplete <= 0) {
     return { error: true, message: 'Valid CoC return and months are required' };
@@ -159,7 +162,7 @@ function calculateReturnOnTime(cocReturn, monthsToComplete) {
  * @param {Array} rentalEstimates - Array of rental estimate objects
  * @returns {Object} { rentEstimate: number, sources: Array, confidence: number }
  */
-function calculateEnhancedRentalEstimate(rentalEstimates) {
+export function calculateEnhancedRentalEstimate(rentalEstimates) {
   // Validate inputs
   if (!Array.isArray(rentalEstimates) || rentalEstimates.length === 0) {
     return { error: true, message: 'Rental estimates array is required' };
@@ -216,20 +219,120 @@ function calculateEnhancedRentalEstimate(rentalEstimates) {
 }
 
 /**
- * Calculate rental analysis for as-is property
+ * Year-one debt service from a financing plan
+ * Builds the full-term schedule so balloons and rate resets beyond year one
+ * are still reported.
+ * @param {Array} loans - LoanTerms funding the rental
+ * @returns {Object} { error, annualDebtService, monthlyPayment, balloons, rateResets }
+ */
+function summarizeRentalFinancing(loans) {
+  const financing = buildFinancingSchedule(loans);
+  if (financing.error) return financing;
+
+  return {
+    error: false,
+    annualDebtService: Math.round(sumDebtService(financing, 1, 12)),
+    monthlyPayment: Math.round(financing.monthlyPayment),
+    upfrontCosts: Math.round(financing.upfrontCosts),
+    balloons: financing.balloons.map(function(balloon) {
+      return { name: balloon.name, month: balloon.month, amount: Math.round(balloon.amount) };
+    }),
+    rateResets: financing.rateResets
+  };
+}
+
+/**
+ * Debt service and cash deployed for holding the property as purchased
+ * Uses propertyData.financing (LoanTerms[]) when present, otherwise the
+ * default mortgage plus HELOC interest.
  * @param {Object} propertyData - Property information
+ * @returns {Object} { error, downPayment, annualDebtService, helocMonthlyInterest, totalCashDeployed, financing }
+ */
+export function calculateRentalDebtService(propertyData) {
+  let downPayment;
+  let helocMonthlyInterest = 0;
+  let annualDebtService;
+  let financing = null;
+  if (Array.isArray(propertyData.financing) && propertyData.financing.length > 0) {
+    financing = summarizeRentalFinancing(propertyData.financing);
+    if (financing.error) return financing;
+    downPayment = Math.max(0, propertyData.purchasePrice - getFundedAtClosing(propertyData.financing));
+    annualDebtService = financing.annualDebtService;
+  } else {
+    downPayment = propertyData.purchasePrice * (propertyData.downPayment || 0.20);
+    const loanAmount = propertyData.purchasePrice - downPayment;
+    const monthlyRate = (propertyData.loanInterestRate || 0.07) / 12;
+    const loanTerm = (propertyData.loanTerm || 30) * 12;
+    const monthlyPI = (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -loanTerm));
+    helocMonthlyInterest = ((propertyData.helocAmount || 0) * (propertyData.helocInterest || 0.07)) / 12;
+    annualDebtService = (monthlyPI + helocMonthlyInterest) * 12;
+  }
+
+  // Lender points and fees are cash at closing too
+  const totalCashDeployed = downPayment + (propertyData.cashInvestment || 0) + (propertyData.rehabCost || 0) +
+    (financing ? financing.upfrontCosts : 0);
+
+  return {
+    error: false,
+    downPayment: downPayment,
+    annualDebtService: annualDebtService,
+    helocMonthlyInterest: helocMonthlyInterest,
+    totalCashDeployed: totalCashDeployed,
+    financing: financing
+  };
+}
+
+/**
+ * Gross rent and vacancy for a rental
+ * With propertyData.units the rent roll replaces monthlyRent: income is the
+ * sum of the rented units (the owner's unit is left out) and vacancy is
+ * blended from each unit's rate.
+ * @param {Object} propertyData - Property information
+ * @param {number} monthlyRent - Monthly rent for a single-unit property
+ * @param {string} rentBasis - RENT_BASIS key for the rent roll
+ * @returns {Object} { error, grossIncome, vacancyRate, rentRoll }
+ */
+export function resolveRentalIncome(propertyData, monthlyRent, rentBasis) {
+  if (hasUnitMix(propertyData)) {
+    const rentRoll = buildRentRoll(propertyData.units, { rentBasis: rentBasis, vacancyRate: propertyData.vacancyRate });
+    if (rentRoll.error) return rentRoll;
+    return {
+      error: false,
+      grossIncome: rentRoll.grossMonthlyRent * 12,
+      vacancyRate: rentRoll.vacancyRate,
+      rentRoll: rentRoll
+    };
+  }
+
+  if (!monthlyRent || monthlyRent <= 0) {
+    return { error: true, message: 'Valid property data and monthly rent are required' };
+  }
+  return {
+    error: false,
+    grossIncome: monthlyRent * 12,
+    vacancyRate: propertyData.vacancyRate || 0.06,
+    rentRoll: null
+  };
+}
+
+/**
+ * Calculate rental analysis for as-is property
+ * @param {Object} propertyData - Property information; propertyData.financing (LoanTerms[]) replaces the default mortgage
+ *   and propertyData.units (RentalUnit[]) replaces monthlyRent with an in-place rent roll
  * @param {number} monthlyRent - Monthly rent estimate
  * @returns {Object} Rental analysis results
  */
-function calculateAsIsRental(propertyData, monthlyRent) {
+export function calculateAsIsRental(propertyData, monthlyRent) {
   // Validate inputs
-  if (!propertyData || !monthlyRent || monthlyRent <= 0) {
+  if (!propertyData) {
     return { error: true, message: 'Valid property data and monthly rent are required' };
   }
 
   // Annual calculations
-  const grossIncome = monthlyRent * 12;
-  const vacancyRate = propertyData.vacancyRate || 0.06;
+  const income = resolveRentalIncome(propertyData, monthlyRent, 'current');
+  if (income.error) return income;
+  const grossIncome = income.grossIncome;
+  const vacancyRate = income.vacancyRate;
 
   // Operating expenses
   const propertyTaxes = (propertyData.propertyTaxRate || 0.0125) * propertyData.purchasePrice;
@@ -258,21 +361,18 @@ function calculateAsIsRental(propertyData, monthlyRent) {
   const capRateResult = calculateCapRate(noiResult.noi, propertyData.purchasePrice);
 
   // Calculate debt service
-  const downPayment = propertyData.purchasePrice * (propertyData.downPayment || 0.20);
-  const loanAmount = propertyData.purchasePrice - downPayment;
-  const monthlyRate = (propertyData.loanInterestRate || 0.07) / 12;
-  const loanTerm = (propertyData.loanTerm || 30) * 12;
-  const monthlyPI = (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -loanTerm));
-  const helocMonthlyInterest = ((propertyData.helocAmount || 0) * (propertyData.helocInterest || 0.07)) / 12;
-  const annualDebtService = (monthlyPI + helocMonthlyInterest) * 12;
+  const debt = calculateRentalDebtService(propertyData);
+  if (debt.error) return debt;
+  const annualDebtService = debt.annualDebtService;
+  const helocMonthlyInterest = debt.helocMonthlyInterest;
+  const financing = debt.financing;
 
   // Calculate cash flow
   const annualCashFlow = noiResult.noi - annualDebtService;
   const monthlyCashFlow = annualCashFlow / 12;
 
   // Calculate CoC return
-  const totalCashDeployed = downPayment + (propertyData.cashInvestment || 0) + (propertyData.rehabCost || 0);
-  const cocResult = calculateCashOnCashReturn(annualCashFlow, totalCashDeployed);
+  const cocResult = calculateCashOnCashReturn(annualCashFlow, debt.totalCashDeployed);
 
   // Calculate DSCR
   const dscrResult = calculateDSCR(noiResult.noi, annualDebtService);
@@ -296,26 +396,70 @@ function calculateAsIsRental(propertyData, monthlyRent) {
     dscr: dscrResult.dscr,
     dscrQuality: dscrResult.quality,
     returnOnTime: returnOnTimeResult.returnOnTimePercent,
-    helocMonthlyInterest: Math.round(helocMonthlyInterest)
+    helocMonthlyInterest: Math.round(helocMonthlyInterest),
+    financing: financing,
+    unitCount: income.rentRoll ? income.rentRoll.unitCount : 1,
+    pricePerDoor: Math.round(propertyData.purchasePrice / (income.rentRoll ? income.rentRoll.unitCount : 1)),
+    rentRoll: income.rentRoll,
+    houseHack: income.rentRoll && income.rentRoll.ownerUnit
+      ? calculateHouseHack(propertyData, monthlyCashFlow, income.rentRoll)
+      : null
+  };
+}
+
+/**
+ * @typedef {Object} HouseHack
+ * @property {string} ownerUnit - Label of the unit the owner lives in
+ * @property {number} ownerUnitMarketRent - What that unit would rent for
+ * @property {number} netHousingCost - Monthly; what the owner pays to live there after the other units' rent
+ * @property {number} savingsVsRenting - Monthly; market rent of the owner's unit less the net housing cost
+ * @property {number|null} fullyRentedMonthlyCashFlow - Cash flow once the owner's unit is rented at market
+ */
+
+/**
+ * What living in one unit costs the owner, and the cash flow once they move out
+ * @param {Object} propertyData - Property information with an owner-occupied unit
+ * @param {number} monthlyCashFlow - Cash flow with the owner's unit left out of income
+ * @param {Object} rentRoll - The property's rent roll
+ * @returns {HouseHack} House-hacking figures
+ */
+function calculateHouseHack(propertyData, monthlyCashFlow, rentRoll) {
+  const movedOut = calculateAsIsRental(Object.assign({}, propertyData, {
+    // The owner's unit re-leases at market once they move out
+    units: propertyData.units.map(function(unit) {
+      return unit.ownerOccupied ? Object.assign({}, unit, { ownerOccupied: false, currentRent: 0 }) : unit;
+    })
+  }));
+  const netHousingCost = -monthlyCashFlow;
+
+  return {
+    ownerUnit: rentRoll.ownerUnit,
+    ownerUnitMarketRent: rentRoll.ownerUnitMarketRent,
+    netHousingCost: Math.round(netHousingCost),
+    savingsVsRenting: Math.round(rentRoll.ownerUnitMarketRent - netHousingCost),
+    fullyRentedMonthlyCashFlow: movedOut.error ? null : movedOut.monthlyCashFlow
   };
 }
 
 /**
  * Calculate rental analysis for after-flip (BRRRR) property
- * @param {Object} propertyData - Property information
+ * @param {Object} propertyData - Property information; propertyData.financing (LoanTerms[]) is the post-refinance debt
+ *   and propertyData.units (RentalUnit[]) replaces monthlyRent, every unit at market rent
  * @param {number} arv - After Repair Value
  * @param {number} monthlyRent - Monthly rent estimate (post-flip)
  * @returns {Object} Rental analysis results
  */
-function calculateBRRRRRental(propertyData, arv, monthlyRent) {
+export function calculateBRRRRRental(propertyData, arv, monthlyRent) {
   // Validate inputs
-  if (!propertyData || !arv || arv <= 0 || !monthlyRent || monthlyRent <= 0) {
+  if (!propertyData || !arv || arv <= 0 || (!hasUnitMix(propertyData) && (!monthlyRent || monthlyRent <= 0))) {
     return { error: true, message: 'Valid property data, ARV, and monthly rent are required' };
   }
 
-  // Annual calculations
-  const grossIncome = monthlyRent * 12;
-  const vacancyRate = propertyData.vacancyRate || 0.06;
+  // Annual calculations; rehabbed units lease at market
+  const income = resolveRentalIncome(propertyData, monthlyRent, 'market');
+  if (income.error) return income;
+  const grossIncome = income.grossIncome;
+  const vacancyRate = income.vacancyRate;
 
   // Operating expenses (based on ARV)
   const propertyTaxes = (propertyData.propertyTaxRate || 0.0125) * arv;
@@ -343,14 +487,22 @@ function calculateBRRRRRental(propertyData, arv, monthlyRent) {
   // Calculate Cap Rate (based on ARV)
   const capRateResult = calculateCapRate(noiResult.noi, arv);
 
-  // Calculate debt service (refinanced based on ARV)
+  // Calculate debt service (refinanced based on ARV, or the long-term loans in the financing plan)
   const downPaymentPct = propertyData.downPayment || 0.20;
-  const newLoanAmount = arv * (1 - downPaymentPct);
-  const monthlyRate = (propertyData.loanInterestRate || 0.07) / 12;
-  const loanTerm = (propertyData.loanTerm || 30) * 12;
-  const newMonthlyPI = (newLoanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -loanTerm));
-  const helocMonthlyInterest = ((propertyData.helocAmount || 0) * (propertyData.helocInterest || 0.07)) / 12;
-  const annualDebtService = (newMonthlyPI + helocMonthlyInterest) * 12;
+  let annualDebtService;
+  let financing = null;
+  if (Array.isArray(propertyData.financing) && propertyData.financing.length > 0) {
+    financing = summarizeRentalFinancing(propertyData.financing);
+    if (financing.error) return financing;
+    annualDebtService = financing.annualDebtService;
+  } else {
+    const newLoanAmount = arv * (1 - downPaymentPct);
+    const monthlyRate = (propertyData.loanInterestRate || 0.07) / 12;
+    const loanTerm = (propertyData.loanTerm || 30) * 12;
+    const newMonthlyPI = (newLoanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -loanTerm));
+    const helocMonthlyInterest = ((propertyData.helocAmount || 0) * (propertyData.helocInterest || 0.07)) / 12;
+    annualDebtService = (newMonthlyPI + helocMonthlyInterest) * 12;
+  }
 
   // Calculate cash flow
   const annualCashFlow = noiResult.noi - annualDebtService;
@@ -383,6 +535,8 @@ function calculateBRRRRRental(propertyData, arv, monthlyRent) {
     cocReturn: cocResult.cocReturnPercent,
     dscr: dscrResult.dscr,
     dscrQuality: dscrResult.quality,
-    returnOnTime: returnOnTimeResult.returnOnTimePercent
+    returnOnTime: returnOnTimeResult.returnOnTimePercent,
+    financing: financing,
+    rentRoll: income.rentRoll
   };
 }
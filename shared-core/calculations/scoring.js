@@ -0,0 +1,617 @@
+/**
+ * ===============================
+ * DEAL QUALITY SCORING
+ * ===============================
+ *
+ * Weighted 0-100 scores for flip, rental and short-term rental deals, star ratings,
+ * recommendations and multi-property ranking.
+ * Platform-agnostic - pure calculation functions
+ *
+ * @module shared-core/calculations/scoring
+ */
+
+// ============================================================================
+// SCORING WEIGHTS
+// ============================================================================
+
+export const SCORING_WEIGHTS = {
+  // Flip scoring weights
+  FLIP: {
+    ROI: 0.40,           // 40% - Return on Investment
+    PROFIT: 0.30,        // 30% - Total profit amount
+    TIMELINE: 0.15,      // 15% - Project timeline
+    RISK: 0.15           // 15% - Risk factors
+  },
+
+  // Rental scoring weights
+  RENTAL: {
+    CASH_FLOW: 0.25,     // 25% - Monthly cash flow
+    ROI: 0.25,           // 25% - Return on Investment
+    CAP_RATE: 0.20,      // 20% - Capitalization rate
+    DSCR: 0.15,          // 15% - Debt Service Coverage Ratio
+    MARKET: 0.15         // 15% - Market comparison
+  }
+};
+
+// ============================================================================
+// SCORING THRESHOLDS
+// ============================================================================
+
+export const THRESHOLDS = {
+  FLIP: {
+    ROI: {
+      EXCELLENT: 0.30,   // 30%+ ROI
+      GOOD: 0.20,        // 20-30% ROI
+      FAIR: 0.15,        // 15-20% ROI
+      POOR: 0.10         // 10-15% ROI
+    },
+    PROFIT: {
+      EXCELLENT: 50000,  // $50k+ profit
+      GOOD: 30000,       // $30-50k profit
+      FAIR: 20000,       // $20-30k profit
+      POOR: 10000        // $10-20k profit
+    },
+    TIMELINE: {
+      EXCELLENT: 3,      // 3 months or less
+      GOOD: 6,           // 3-6 months
+      FAIR: 9,           // 6-9 months
+      POOR: 12           // 9-12 months
+    }
+  },
+
+  RENTAL: {
+    CASH_FLOW: {
+      EXCELLENT: 500,    // $500+/month
+      GOOD: 300,         // $300-500/month
+      FAIR: 100,         // $100-300/month
+      POOR: 0            // $0-100/month
+    },
+    ROI: {
+      EXCELLENT: 0.15,   // 15%+ ROI
+      GOOD: 0.12,        // 12-15% ROI
+      FAIR: 0.08,        // 8-12% ROI
+      POOR: 0.05         // 5-8% ROI
+    },
+    CAP_RATE: {
+      EXCELLENT: 0.10,   // 10%+ cap rate
+      GOOD: 0.08,        // 8-10% cap rate
+      FAIR: 0.06,        // 6-8% cap rate
+      POOR: 0.04         // 4-6% cap rate
+    },
+    DSCR: {
+      EXCELLENT: 1.5,    // 1.5+ DSCR
+      GOOD: 1.25,        // 1.25-1.5 DSCR
+      FAIR: 1.1,         // 1.1-1.25 DSCR
+      POOR: 1.0          // 1.0-1.1 DSCR
+    }
+  }
+};
+
+// ============================================================================
+// SCORING PROFILES
+// ============================================================================
+
+/**
+ * @typedef {Object} ScoringProfile
+ * @property {string} id - Stable identifier ('default' for the built-in profile)
+ * @property {string} name - Display name
+ * @property {typeof SCORING_WEIGHTS} weights - FLIP and RENTAL weights, each summing to 1
+ * @property {typeof THRESHOLDS} thresholds - EXCELLENT/GOOD/FAIR/POOR cut-offs per metric
+ * @property {typeof RECOMMENDATION_BANDS} recommendationBands - Minimum score for each recommendation
+ */
+
+// Minimum total score for each recommendation; anything lower is Not Recommended
+export const RECOMMENDATION_BANDS = {
+  EXCELLENT: 80,
+  GOOD: 60,
+  CAUTION: 40,
+  HIGH_RISK: 20
+};
+
+// Labels and units for profile editors. Percent thresholds are stored as decimals;
+// metrics without thresholds (RISK, MARKET) are weighted but scored internally.
+export const SCORING_PROFILE_FIELDS = {
+  FLIP: {
+    ROI: { label: 'ROI', unit: 'percent' },
+    PROFIT: { label: 'Net Profit', unit: 'currency' },
+    TIMELINE: { label: 'Timeline (months)', unit: 'months' },
+    RISK: { label: 'Rehab Risk', unit: null }
+  },
+  RENTAL: {
+    CASH_FLOW: { label: 'Monthly Cash Flow', unit: 'currency' },
+    ROI: { label: 'Cash-on-Cash Return', unit: 'percent' },
+    CAP_RATE: { label: 'Cap Rate', unit: 'percent' },
+    DSCR: { label: 'DSCR', unit: 'ratio' },
+    MARKET: { label: 'vs. Market', unit: null }
+  }
+};
+
+/** @type {ScoringProfile} */
+export const DEFAULT_SCORING_PROFILE = {
+  id: 'default',
+  name: 'Balanced (Default)',
+  weights: SCORING_WEIGHTS,
+  thresholds: THRESHOLDS,
+  recommendationBands: RECOMMENDATION_BANDS
+};
+
+/**
+ * Built-in starting points. Users copy one of these and edit it rather than
+ * changing them, so every stored analysis can still be re-scored the same way.
+ * @type {ScoringProfile[]}
+ */
+export const PRESET_SCORING_PROFILES = [
+  DEFAULT_SCORING_PROFILE,
+  {
+    id: 'cash-flow',
+    name: 'Cash Flow Buy & Hold',
+    weights: {
+      FLIP: SCORING_WEIGHTS.FLIP,
+      RENTAL: { CASH_FLOW: 0.35, ROI: 0.20, CAP_RATE: 0.20, DSCR: 0.20, MARKET: 0.05 }
+    },
+    thresholds: {
+      FLIP: THRESHOLDS.FLIP,
+      RENTAL: {
+        ...THRESHOLDS.RENTAL,
+        CASH_FLOW: { EXCELLENT: 400, GOOD: 250, FAIR: 150, POOR: 50 },
+        CAP_RATE: { EXCELLENT: 0.11, GOOD: 0.09, FAIR: 0.07, POOR: 0.05 }
+      }
+    },
+    recommendationBands: RECOMMENDATION_BANDS
+  },
+  {
+    id: 'quick-flip',
+    name: 'Quick Flip',
+    weights: {
+      FLIP: { ROI: 0.30, PROFIT: 0.20, TIMELINE: 0.30, RISK: 0.20 },
+      RENTAL: SCORING_WEIGHTS.RENTAL
+    },
+    thresholds: {
+      FLIP: {
+        ...THRESHOLDS.FLIP,
+        PROFIT: { EXCELLENT: 40000, GOOD: 25000, FAIR: 15000, POOR: 8000 },
+        TIMELINE: { EXCELLENT: 2, GOOD: 4, FAIR: 6, POOR: 9 }
+      },
+      RENTAL: THRESHOLDS.RENTAL
+    },
+    recommendationBands: RECOMMENDATION_BANDS
+  }
+];
+
+/**
+ * Fill any section a stored profile leaves out from the default profile, so
+ * profiles saved before a metric existed still score every metric
+ * @param {Object|null|undefined} profile - Partial or complete profile
+ * @returns {ScoringProfile} - Complete profile
+ */
+export function resolveScoringProfile(profile) {
+  if (!profile) return DEFAULT_SCORING_PROFILE;
+
+  const base = DEFAULT_SCORING_PROFILE;
+  const weights = profile.weights || {};
+  const thresholds = profile.thresholds || {};
+  const mergeThresholds = (strategy) => {
+    const merged = { ...base.thresholds[strategy] };
+    Object.keys(thresholds[strategy] || {}).forEach(metric => {
+      merged[metric] = { ...merged[metric], ...thresholds[strategy][metric] };
+    });
+    return merged;
+  };
+
+  return {
+    id: profile.id || base.id,
+    name: profile.name || base.name,
+    weights: {
+      FLIP: { ...base.weights.FLIP, ...weights.FLIP },
+      RENTAL: { ...base.weights.RENTAL, ...weights.RENTAL }
+    },
+    thresholds: {
+      FLIP: mergeThresholds('FLIP'),
+      RENTAL: mergeThresholds('RENTAL')
+    },
+    recommendationBands: { ...base.recommendationBands, ...profile.recommendationBands }
+  };
+}
+
+/**
+ * Validate a scoring profile before it is saved
+ * @param {Object} profile - Profile to check (missing sections fall back to the default)
+ * @returns {{valid: boolean, errors: string[]}} - Validation result
+ */
+export function validateScoringProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return { valid: false, errors: ['Scoring profile is required'] };
+  }
+  if (!profile.name || typeof profile.name !== 'string' || profile.name.trim().length === 0) {
+    errors.push('Profile name is required');
+  }
+
+  const resolved = resolveScoringProfile(profile);
+
+  ['FLIP', 'RENTAL'].forEach(strategy => {
+    const weights = Object.values(resolved.weights[strategy]);
+    if (weights.some(w => typeof w !== 'number' || !isFinite(w) || w < 0)) {
+      errors.push(`${strategy} weights must be non-negative numbers`);
+    } else if (Math.abs(weights.reduce((a, b) => a + b, 0) - 1) > 0.001) {
+      errors.push(`${strategy} weights must add up to 100%`);
+    }
+
+    Object.entries(resolved.thresholds[strategy]).forEach(([metric, t]) => {
+      const values = [t.EXCELLENT, t.GOOD, t.FAIR, t.POOR];
+      if (values.some(v => typeof v !== 'number' || !isFinite(v))) {
+        errors.push(`${strategy} ${metric} thresholds must be numbers`);
+        return;
+      }
+      // Timeline is lower-is-better, so its cut-offs run the other way
+      const ascending = strategy === 'FLIP' && metric === 'TIMELINE';
+      const ordered = ascending
+        ? t.EXCELLENT < t.GOOD && t.GOOD < t.FAIR && t.FAIR < t.POOR
+        : t.EXCELLENT > t.GOOD && t.GOOD > t.FAIR && t.FAIR > t.POOR;
+      if (!ordered) {
+        errors.push(`${strategy} ${metric} thresholds must run Excellent ${ascending ? '<' : '>'} Good ${ascending ? '<' : '>'} Fair ${ascending ? '<' : '>'} Poor`);
+      }
+    });
+  });
+
+  const bands = resolved.recommendationBands;
+  if (!(bands.EXCELLENT > bands.GOOD && bands.GOOD > bands.CAUTION && bands.CAUTION > bands.HIGH_RISK && bands.HIGH_RISK >= 0 && bands.EXCELLENT <= 100)) {
+    errors.push('Recommendation bands must run 100 ≥ Excellent > Good > Caution > High Risk ≥ 0');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+// ============================================================================
+// SCORING FUNCTIONS
+// ============================================================================
+
+/**
+ * @typedef {Object} ScoreResult
+ * @property {number} total - Weighted score (0-100)
+ * @property {Object<string, number>} breakdown - Per-metric scores (0-100)
+ * @property {Object<string, number>} weights - Weights used for the total
+ * @property {string} profileId - Scoring profile the total was computed with
+ */
+
+/**
+ * Calculate score for a metric based on thresholds
+ * @param {number} value - The metric value
+ * @param {Object} thresholds - Threshold object with EXCELLENT, GOOD, FAIR, POOR
+ * @param {boolean} higherIsBetter - If true, higher values score better
+ * @returns {number} - Score from 0-100
+ */
+export function scoreMetric(value, thresholds, higherIsBetter = true) {
+  if (value === null || value === undefined) return 0;
+
+  const { EXCELLENT, GOOD, FAIR, POOR } = thresholds;
+
+  if (higherIsBetter) {
+    if (value >= EXCELLENT) return 100;
+    if (value >= GOOD) return 75 + ((value - GOOD) / (EXCELLENT - GOOD)) * 25;
+    if (value >= FAIR) return 50 + ((value - FAIR) / (GOOD - FAIR)) * 25;
+    if (value >= POOR) return 25 + ((value - POOR) / (FAIR - POOR)) * 25;
+    return Math.max(0, (value / POOR) * 25);
+  } else {
+    // Lower is better (e.g., timeline)
+    if (value <= EXCELLENT) return 100;
+    if (value <= GOOD) return 75 + ((GOOD - value) / (GOOD - EXCELLENT)) * 25;
+    if (value <= FAIR) return 50 + ((FAIR - value) / (FAIR - GOOD)) * 25;
+    if (value <= POOR) return 25 + ((POOR - value) / (POOR - FAIR)) * 25;
+    return Math.max(0, 25 - ((value - POOR) / POOR) * 25);
+  }
+}
+
+/**
+ * Calculate flip deal quality score
+ * @param {Object} flipData - Flip analysis data
+ * @param {Object|null} [profile] - Scoring profile (defaults to DEFAULT_SCORING_PROFILE)
+ * @returns {ScoreResult} - Score breakdown and total
+ */
+export function calculateFlipScore(flipData, profile = null) {
+  const { id: profileId, weights, thresholds } = resolveScoringProfile(profile);
+  const {
+    roi = 0,
+    totalProfit = 0,
+    timelineMonths = 6,
+    rehabCost = 0,
+    purchasePrice = 0
+  } = flipData;
+
+  // Calculate individual scores
+  const roiScore = scoreMetric(roi, thresholds.FLIP.ROI, true);
+  const profitScore = scoreMetric(totalProfit, thresholds.FLIP.PROFIT, true);
+  const timelineScore = scoreMetric(timelineMonths, thresholds.FLIP.TIMELINE, false);
+
+  // Risk score based on rehab cost as % of purchase price
+  const rehabRatio = purchasePrice > 0 ? rehabCost / purchasePrice : 0;
+  let riskScore = 100;
+  if (rehabRatio > 0.50) riskScore = 25;      // >50% rehab = high risk
+  else if (rehabRatio > 0.30) riskScore = 50; // 30-50% rehab = medium risk
+  else if (rehabRatio > 0.15) riskScore = 75; // 15-30% rehab = low risk
+
+  // Calculate weighted total
+  const totalScore = Math.round(
+    roiScore * weights.FLIP.ROI +
+    profitScore * weights.FLIP.PROFIT +
+    timelineScore * weights.FLIP.TIMELINE +
+    riskScore * weights.FLIP.RISK
+  );
+
+  return {
+    total: totalScore,
+    breakdown: {
+      roi: Math.round(roiScore),
+      profit: Math.round(profitScore),
+      timeline: Math.round(timelineScore),
+      risk: Math.round(riskScore)
+    },
+    weights: weights.FLIP,
+    profileId
+  };
+}
+
+/**
+ * Calculate rental deal quality score
+ * @param {Object} rentalData - Rental analysis data
+ * @param {Object|null} [marketData] - Market comparison data (optional)
+ * @param {Object|null} [profile] - Scoring profile (defaults to DEFAULT_SCORING_PROFILE)
+ * @returns {ScoreResult} - Score breakdown and total
+ */
+export function calculateRentalScore(rentalData, marketData = null, profile = null) {
+  const { id: profileId, weights, thresholds } = resolveScoringProfile(profile);
+  const {
+    monthlyCashFlow = 0,
+    roi = 0,
+    capRate = 0,
+    dscr = 0
+  } = rentalData;
+
+  // Calculate individual scores
+  const cashFlowScore = scoreMetric(monthlyCashFlow, thresholds.RENTAL.CASH_FLOW, true);
+  const roiScore = scoreMetric(roi, thresholds.RENTAL.ROI, true);
+  const capRateScore = scoreMetric(capRate, thresholds.RENTAL.CAP_RATE, true);
+  const dscrScore = scoreMetric(dscr, thresholds.RENTAL.DSCR, true);
+
+  // Market comparison score
+  let marketScore = 50; // Default neutral score
+  if (marketData && marketData.avgRoi) {
+    const comparison = roi / marketData.avgRoi;
+    if (comparison >= 1.2) marketScore = 100;      // 20%+ above market
+    else if (comparison >= 1.1) marketScore = 80;  // 10-20% above market
+    else if (comparison >= 0.9) marketScore = 60;  // Within 10% of market
+    else if (comparison >= 0.8) marketScore = 40;  // 10-20% below market
+    else marketScore = 20;                         // 20%+ below market
+  }
+
+  // Calculate weighted total
+  const totalScore = Math.round(
+    cashFlowScore * weights.RENTAL.CASH_FLOW +
+    roiScore * weights.RENTAL.ROI +
+    capRateScore * weights.RENTAL.CAP_RATE +
+    dscrScore * weights.RENTAL.DSCR +
+    marketScore * weights.RENTAL.MARKET
+  );
+
+  return {
+    total: totalScore,
+    breakdown: {
+      cashFlow: Math.round(cashFlowScore),
+      roi: Math.round(roiScore),
+      capRate: Math.round(capRateScore),
+      dscr: Math.round(dscrScore),
+      market: Math.round(marketScore)
+    },
+    weights: weights.RENTAL,
+    profileId
+  };
+}
+
+// How far expected occupancy sits above break-even (decimal points of occupancy)
+export const STR_OCCUPANCY_CUSHION = {
+  EXCELLENT: 0.25,
+  GOOD: 0.15,
+  FAIR: 0.08,
+  POOR: 0.02
+};
+
+/**
+ * Calculate short-term rental deal quality score
+ * Uses the profile's rental weights and thresholds; the market comparison
+ * weight goes to the cushion between expected and break-even occupancy,
+ * since a short-term rental's risk is a soft booking season.
+ * @param {Object} strData - { monthlyCashFlow, roi, capRate, dscr, occupancy, breakEvenOccupancy } (decimals)
+ * @param {Object|null} [profile] - Scoring profile (defaults to DEFAULT_SCORING_PROFILE)
+ * @returns {ScoreResult} - Score breakdown and total
+ */
+export function calculateSTRScore(strData, profile = null) {
+  const { id: profileId, weights, thresholds } = resolveScoringProfile(profile);
+  const {
+    monthlyCashFlow = 0,
+    roi = 0,
+    capRate = 0,
+    dscr = 0,
+    occupancy = 0,
+    breakEvenOccupancy = null
+  } = strData;
+
+  const cashFlowScore = scoreMetric(monthlyCashFlow, thresholds.RENTAL.CASH_FLOW, true);
+  const roiScore = scoreMetric(roi, thresholds.RENTAL.ROI, true);
+  const capRateScore = scoreMetric(capRate, thresholds.RENTAL.CAP_RATE, true);
+  const dscrScore = scoreMetric(dscr, thresholds.RENTAL.DSCR, true);
+  // No break-even means bookings never cover their own costs
+  const cushionScore = breakEvenOccupancy === null
+    ? 0
+    : scoreMetric(occupancy - breakEvenOccupancy, STR_OCCUPANCY_CUSHION, true);
+
+  const totalScore = Math.round(
+    cashFlowScore * weights.RENTAL.CASH_FLOW +
+    roiScore * weights.RENTAL.ROI +
+    capRateScore * weights.RENTAL.CAP_RATE +
+    dscrScore * weights.RENTAL.DSCR +
+    cushionScore * weights.RENTAL.MARKET
+  );
+
+  return {
+    total: totalScore,
+    breakdown: {
+      cashFlow: Math.round(cashFlowScore),
+      roi: Math.round(roiScore),
+      capRate: Math.round(capRateScore),
+      dscr: Math.round(dscrScore),
+      occupancyCushion: Math.round(cushionScore)
+    },
+    weights: {
+      CASH_FLOW: weights.RENTAL.CASH_FLOW,
+      ROI: weights.RENTAL.ROI,
+      CAP_RATE: weights.RENTAL.CAP_RATE,
+      DSCR: weights.RENTAL.DSCR,
+      OCCUPANCY_CUSHION: weights.RENTAL.MARKET
+    },
+    profileId
+  };
+}
+
+/**
+ * Get deal recommendation based on score
+ * @param {number} score - The total score (0-100)
+ * @param {Object|null} [profile] - Scoring profile whose bands apply (defaults to DEFAULT_SCORING_PROFILE)
+ * @returns {{label: string, emoji: string, color: string, description: string}} - Recommendation with label, emoji, and description
+ */
+export function getDealRecommendation(score, profile = null) {
+  const bands = resolveScoringProfile(profile).recommendationBands;
+
+  if (score >= bands.EXCELLENT) {
+    return {
+      label: 'Excellent Investment',
+      emoji: '✅',
+      color: '#34a853',
+      description: 'Strong metrics across all categories. Highly recommended.'
+    };
+  } else if (score >= bands.GOOD) {
+    return {
+      label: 'Good Investment',
+      emoji: '✅',
+      color: '#34a853',
+      description: 'Solid opportunity with good potential returns.'
+    };
+  } else if (score >= bands.CAUTION) {
+    return {
+      label: 'Proceed with Caution',
+      emoji: '⚠️',
+      color: '#fbbc04',
+      description: 'Mixed results. Review carefully before proceeding.'
+    };
+  } else if (score >= bands.HIGH_RISK) {
+    return {
+      label: 'High Risk',
+      emoji: '⚠️',
+      color: '#ea4335',
+      description: 'Below-average metrics. Significant risks identified.'
+    };
+  } else {
+    return {
+      label: 'Not Recommended',
+      emoji: '❌',
+      color: '#ea4335',
+      description: 'Poor metrics. Not recommended for investment.'
+    };
+  }
+}
+
+/**
+ * Get star rating based on score
+ * @param {number} score - The total score (0-100)
+ * @returns {string} - Star rating (e.g., "⭐⭐⭐⭐⭐")
+ */
+export function getStarRating(score) {
+  const stars = Math.round(score / 20); // Convert 0-100 to 0-5 stars
+  return '⭐'.repeat(Math.max(0, Math.min(5, stars)));
+}
+
+/**
+ * Generate detailed score report
+ * @param {Object} scoreData - Score data from calculateFlipScore or calculateRentalScore
+ * @param {string} type - 'flip' or 'rental'
+ * @param {Object|null} [profile] - Scoring profile the score was computed with
+ * @returns {Object} - Detailed report with insights
+ */
+export function generateScoreReport(scoreData, type, profile = null) {
+  const { total, breakdown, weights } = scoreData;
+  const recommendation = getDealRecommendation(total, profile);
+  const stars = getStarRating(total);
+
+  // Identify strengths and weaknesses
+  const strengths = [];
+  const weaknesses = [];
+
+  Object.keys(breakdown).forEach(key => {
+    const score = breakdown[key];
+    const weight = weights[key.toUpperCase()] || 0;
+    const importance = weight >= 0.20 ? 'high' : weight >= 0.10 ? 'medium' : 'low';
+
+    if (score >= 75) {
+      strengths.push({ metric: key, score, importance });
+    } else if (score < 50) {
+      weaknesses.push({ metric: key, score, importance });
+    }
+  });
+
+  // Sort by importance
+  strengths.sort((a, b) => {
+    const importanceOrder = { high: 3, medium: 2, low: 1 };
+    return importanceOrder[b.importance] - importanceOrder[a.importance];
+  });
+  weaknesses.sort((a, b) => {
+    const importanceOrder = { high: 3, medium: 2, low: 1 };
+    return importanceOrder[b.importance] - importanceOrder[a.importance];
+  });
+
+  return {
+    score: total,
+    rating: stars,
+    recommendation,
+    breakdown,
+    strengths: strengths.slice(0, 3), // Top 3 strengths
+    weaknesses: weaknesses.slice(0, 3), // Top 3 weaknesses
+    type
+  };
+}
+
+/**
+ * Compare multiple properties
+ * @template {{score: {total: number}}} T
+ * @param {Array<T>} properties - Array of property score data
+ * @returns {{ranked: Array<T & {originalIndex: number}>, statistics: {average: number, highest: number, lowest: number, count: number}} | null} - Comparison results with rankings
+ */
+export function compareProperties(properties) {
+  if (!properties || properties.length === 0) return null;
+
+  // Sort by score
+  const ranked = properties
+    .map((prop, index) => ({
+      ...prop,
+      originalIndex: index
+    }))
+    .sort((a, b) => b.score.total - a.score.total);
+
+  // Calculate statistics
+  const scores = properties.map(p => p.score.total);
+  const avgScore = scores.reduce((a, b) => a + b, 0) / scores.length;
+  const maxScore = Math.max(...scores);
+  const minScore = Math.min(...scores);
+
+  return {
+    ranked,
+    statistics: {
+      average: Math.round(avgScore),
+      highest: maxScore,
+      lowest: minScore,
+      count: properties.length
+    }
+  };
+}
@@ -0,0 +1,298 @@
+/**
+ * ===============================
+ * SHORT-TERM RENTAL ANALYSIS
+ * ===============================
+ *
+ * Models a property run as a short-term rental (Airbnb, VRBO): nightly
+ * rate and month-by-month occupancy instead of a lease, cleaning fees
+ * charged per stay, platform and management fees on bookings, local
+ * occupancy tax, furnishing and the higher utilities a furnished unit
+ * carries. Debt service matches the long-term rental analysis.
+ * Platform-agnostic - pure calculation functions
+ *
+ * @module shared-core/calculations/str
+ */
+
+import { calculateCapRate, calculateCashOnCashReturn, calculateDSCR, calculateRentalDebtService } from './rental.js';
+
+/**
+ * Days in each month of a non-leap year
+ */
+export const STR_MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+export const STR_MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Occupancy curves by month (decimal). averageOccupancy rescales a curve
+ * so the market's annual occupancy keeps the curve's shape.
+ */
+export const STR_SEASONALITY = {
+  flat: {
+    label: 'Year-round',
+    occupancy: [0.65, 0.65, 0.65, 0.65, 0.65, 0.65, 0.65, 0.65, 0.65, 0.65, 0.65, 0.65]
+  },
+  summer: {
+    label: 'Summer peak (beach, lake)',
+    occupancy: [0.40, 0.45, 0.55, 0.60, 0.70, 0.85, 0.92, 0.90, 0.70, 0.55, 0.45, 0.50]
+  },
+  winter: {
+    label: 'Winter peak (ski)',
+    occupancy: [0.88, 0.90, 0.80, 0.55, 0.40, 0.55, 0.65, 0.60, 0.45, 0.45, 0.60, 0.85]
+  }
+};
+
+/**
+ * @typedef {Object} STRAssumptions
+ * @property {number} nightlyRate - Average nightly rate guests pay
+ * @property {string} seasonality - STR_SEASONALITY key
+ * @property {number|null} [averageOccupancy] - Annual occupancy the curve is scaled to (decimal)
+ * @property {number[]|null} [occupancyByMonth] - Twelve monthly occupancies (decimal); replaces the curve
+ * @property {number} averageStayNights - Nights per booking
+ * @property {number} cleaningFee - Charged to the guest per stay
+ * @property {number} cleaningCost - Paid to the cleaner per turnover
+ * @property {number} platformFeeRate - Host fee on bookings (decimal)
+ * @property {number} managementRate - Co-host or manager fee on bookings (decimal)
+ * @property {number} occupancyTaxRate - Local lodging tax paid out of bookings (decimal)
+ * @property {number} utilitiesMonthly - Utilities, internet and streaming
+ * @property {number} suppliesMonthly - Linens, toiletries and restocking
+ * @property {number} furnishingCost - One-time furnishing and setup
+ */
+
+/**
+ * @typedef {Object} STRMonth
+ * @property {number} month - 1-12
+ * @property {string} label
+ * @property {number} occupancy - Percent
+ * @property {number} nights - Nights booked
+ * @property {number} stays
+ * @property {number} revenue - Nightly revenue plus cleaning fees
+ */
+
+/**
+ * @typedef {Object} STRAnalysis
+ * @property {boolean} error - True for invalid inputs; only message and errors are set
+ * @property {string} [message]
+ * @property {string[]} [errors]
+ * @property {STRAssumptions} assumptions - With defaults filled in
+ * @property {STRMonth[]} months
+ * @property {number} nightsBooked
+ * @property {number} stays
+ * @property {number} occupancy - Annual occupancy (percent)
+ * @property {number} rentalRevenue - Nightly revenue
+ * @property {number} cleaningFeeIncome
+ * @property {number} grossRevenue
+ * @property {Object<string, number>} expenseBreakdown - Annual expenses by category
+ * @property {number} totalExpenses
+ * @property {number} noi
+ * @property {number} capRate - Percent
+ * @property {number} annualDebtService
+ * @property {number} annualCashFlow
+ * @property {number} monthlyCashFlow
+ * @property {number} totalCashInvested - Rental cash deployed plus furnishing
+ * @property {number} cocReturn - Percent
+ * @property {number} dscr
+ * @property {string} dscrQuality
+ * @property {number|null} breakEvenOccupancy - Occupancy where cash flow reaches zero (percent); null when bookings never cover their own costs
+ */
+
+/**
+ * Assumptions used when none are given
+ */
+export const DEFAULT_STR_ASSUMPTIONS = {
+  nightlyRate: 0,
+  seasonality: 'flat',
+  averageOccupancy: null,
+  occupancyByMonth: null,
+  averageStayNights: 3,
+  cleaningFee: 125,
+  cleaningCost: 100,
+  platformFeeRate: 0.03,
+  managementRate: 0.20,
+  occupancyTaxRate: 0,
+  utilitiesMonthly: 300,
+  suppliesMonthly: 100,
+  furnishingCost: 15000
+};
+
+/**
+ * Fill partial assumptions from the defaults; blank values are skipped
+ * @param {Object|null} assumptions - Partial assumptions
+ * @returns {STRAssumptions} Complete assumptions
+ */
+export function resolveSTRAssumptions(assumptions) {
+  const resolved = Object.assign({}, DEFAULT_STR_ASSUMPTIONS);
+  Object.keys(assumptions || {}).forEach(function(key) {
+    const value = assumptions[key];
+    if (value !== null && value !== undefined && value !== '') resolved[key] = value;
+  });
+  return resolved;
+}
+
+/**
+ * Check short-term rental assumptions
+ * @param {STRAssumptions} assumptions - Complete assumptions
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateSTRAssumptions(assumptions) {
+  const errors = [];
+  const isRate = function(value) { return value >= 0 && value <= 1; };
+
+  if (!(assumptions.nightlyRate > 0)) {
+    errors.push('Nightly rate must be greater than 0');
+  }
+  if (assumptions.occupancyByMonth) {
+    if (!Array.isArray(assumptions.occupancyByMonth) || assumptions.occupancyByMonth.length !== 12 ||
+        !assumptions.occupancyByMonth.every(isRate)) {
+      errors.push('Monthly occupancy needs 12 values between 0 and 100%');
+    }
+  } else if (!STR_SEASONALITY[assumptions.seasonality]) {
+    errors.push(`Unknown seasonality "${assumptions.seasonality}"`);
+  }
+  if (assumptions.averageOccupancy !== null && assumptions.averageOccupancy !== undefined &&
+      !(assumptions.averageOccupancy > 0 && assumptions.averageOccupancy <= 1)) {
+    errors.push('Average occupancy must be between 0 and 100%');
+  }
+  if (!(assumptions.averageStayNights >= 1)) {
+    errors.push('Average stay must be at least 1 night');
+  }
+  if (!(assumptions.cleaningFee >= 0) || !(assumptions.cleaningCost >= 0) || !(assumptions.utilitiesMonthly >= 0) ||
+      !(assumptions.suppliesMonthly >= 0) || !(assumptions.furnishingCost >= 0)) {
+    errors.push('Fees and costs cannot be negative');
+  }
+  if (!isRate(assumptions.platformFeeRate) || !isRate(assumptions.managementRate) || !isRate(assumptions.occupancyTaxRate)) {
+    errors.push('Platform, management and occupancy tax rates must be between 0 and 100%');
+  }
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Monthly occupancy (decimal) from the assumptions: the explicit months,
+ * or the seasonality curve scaled to the average occupancy
+ * @param {STRAssumptions} assumptions - Complete assumptions
+ * @returns {number[]} Twelve occupancies, each capped at 100%
+ */
+export function getSTROccupancyByMonth(assumptions) {
+  if (assumptions.occupancyByMonth) return assumptions.occupancyByMonth.slice();
+
+  const curve = STR_SEASONALITY[assumptions.seasonality].occupancy;
+  if (!assumptions.averageOccupancy) return curve.slice();
+
+  const curveNights = curve.reduce(function(sum, occ, i) { return sum + occ * STR_MONTH_DAYS[i]; }, 0);
+  const scale = (assumptions.averageOccupancy * 365) / curveNights;
+  return curve.map(function(occ) { return Math.min(1, occ * scale); });
+}
+
+/**
+ * Analyze a property run as a short-term rental
+ *
+ * Platform, management and occupancy tax are charged on bookings (nightly
+ * revenue plus cleaning fees); the nightly rate is what guests pay, so the
+ * lodging tax comes out of it. Property tax, insurance, maintenance and HOA
+ * follow the long-term rental inputs.
+ *
+ * @param {Object} propertyData - Property information as for calculateAsIsRental
+ * @param {Object} assumptions - Partial STRAssumptions; nightlyRate is required
+ * @returns {STRAnalysis} Analysis, or { error, message, errors }
+ */
+export function calculateSTRAnalysis(propertyData, assumptions) {
+  if (!propertyData || !(propertyData.purchasePrice > 0)) {
+    return { error: true, message: 'Valid property data is required' };
+  }
+
+  const a = resolveSTRAssumptions(assumptions);
+  const validation = validateSTRAssumptions(a);
+  if (!validation.valid) {
+    return { error: true, message: validation.errors.join('; '), errors: validation.errors };
+  }
+
+  // Bookings month by month
+  const occupancy = getSTROccupancyByMonth(a);
+  const months = occupancy.map(function(occ, i) {
+    const nights = STR_MONTH_DAYS[i] * occ;
+    const stays = nights / a.averageStayNights;
+    return {
+      month: i + 1,
+      label: STR_MONTH_LABELS[i],
+      occupancy: Math.round(occ * 10000) / 100,
+      nights: Math.round(nights * 10) / 10,
+      stays: Math.round(stays * 10) / 10,
+      revenue: Math.round(nights * a.nightlyRate + stays * a.cleaningFee)
+    };
+  });
+  const nightsBooked = occupancy.reduce(function(sum, occ, i) { return sum + occ * STR_MONTH_DAYS[i]; }, 0);
+  const stays = nightsBooked / a.averageStayNights;
+  const rentalRevenue = nightsBooked * a.nightlyRate;
+  const cleaningFeeIncome = stays * a.cleaningFee;
+  const grossRevenue = rentalRevenue + cleaningFeeIncome;
+
+  // Booking-driven expenses
+  const bookingFeeRate = a.platformFeeRate + a.managementRate + a.occupancyTaxRate;
+  const platformFees = grossRevenue * a.platformFeeRate;
+  const management = grossRevenue * a.managementRate;
+  const occupancyTax = grossRevenue * a.occupancyTaxRate;
+  const cleaning = stays * a.cleaningCost;
+
+  // Fixed expenses
+  const propertyTaxes = (propertyData.propertyTaxRate || 0.0125) * propertyData.purchasePrice;
+  const insurance = (propertyData.insuranceMonthly || 100) * 12;
+  const maintenance = propertyData.purchasePrice * (propertyData.maintenanceRate || 0.01);
+  const hoaFees = (propertyData.hoaFees || 0) * 12;
+  const utilities = a.utilitiesMonthly * 12;
+  const supplies = a.suppliesMonthly * 12;
+  const fixedExpenses = propertyTaxes + insurance + maintenance + hoaFees + utilities + supplies;
+
+  const totalExpenses = platformFees + management + occupancyTax + cleaning + fixedExpenses;
+  const noi = grossRevenue - totalExpenses;
+
+  const debt = calculateRentalDebtService(propertyData);
+  if (debt.error) return debt;
+
+  const annualCashFlow = noi - debt.annualDebtService;
+  const totalCashInvested = debt.totalCashDeployed + a.furnishingCost;
+  const capRateResult = calculateCapRate(noi, propertyData.purchasePrice);
+  const cocResult = calculateCashOnCashReturn(annualCashFlow, totalCashInvested);
+  const dscrResult = calculateDSCR(noi, debt.annualDebtService);
+
+  // Cash flow break-even: each booked night earns its share of the cleaning
+  // fee and costs its share of a turnover, less the booking fees
+  const perNight = (a.nightlyRate + a.cleaningFee / a.averageStayNights) * (1 - bookingFeeRate) -
+    a.cleaningCost / a.averageStayNights;
+  const breakEvenOccupancy = perNight > 0
+    ? Math.round(((fixedExpenses + debt.annualDebtService) / (perNight * 365)) * 10000) / 100
+    : null;
+
+  return {
+    error: false,
+    assumptions: a,
+    months: months,
+    nightsBooked: Math.round(nightsBooked),
+    stays: Math.round(stays),
+    occupancy: Math.round((nightsBooked / 365) * 10000) / 100,
+    rentalRevenue: Math.round(rentalRevenue),
+    cleaningFeeIncome: Math.round(cleaningFeeIncome),
+    grossRevenue: Math.round(grossRevenue),
+    expenseBreakdown: {
+      platformFees: Math.round(platformFees),
+      management: Math.round(management),
+      occupancyTax: Math.round(occupancyTax),
+      cleaning: Math.round(cleaning),
+      propertyTaxes: Math.round(propertyTaxes),
+      insurance: Math.round(insurance),
+      maintenance: Math.round(maintenance),
+      hoaFees: Math.round(hoaFees),
+      utilities: Math.round(utilities),
+      supplies: Math.round(supplies)
+    },
+    totalExpenses: Math.round(totalExpenses),
+    noi: Math.round(noi),
+    capRate: capRateResult.error ? 0 : capRateResult.capRatePercent,
+    annualDebtService: Math.round(debt.annualDebtService),
+    annualCashFlow: Math.round(annualCashFlow),
+    monthlyCashFlow: Math.round(annualCashFlow / 12),
+    totalCashInvested: Math.round(totalCashInvested),
+    cocReturn: cocResult.error ? 0 : cocResult.cocReturnPercent,
+    dscr: dscrResult.error ? 0 : dscrResult.dscr,
+    dscrQuality: dscrResult.error ? 'poor' : dscrResult.quality,
+    breakEvenOccupancy: breakEvenOccupancy
+  };
+}
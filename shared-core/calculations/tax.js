@@ -0,0 +1,654 @@
+/**
+ * ===============================
+ * TAX PROJECTIONS
+ * ===============================
+ *
+ * Year-by-year federal income tax on a rental held for several years and
+ * then sold: depreciation (straight-line residential plus optional cost
+ * segregation and bonus depreciation), passive loss limits with
+ * carryforwards, and recapture and capital gains at sale. The result is the
+ * after-tax cash flow each year and the after-tax IRR.
+ * Platform-agnostic - pure calculation functions
+ *
+ * Federal only: state income tax and the 3.8% net investment income tax
+ * are not modeled. Not tax advice.
+ *
+ * @module shared-core/calculations/tax
+ */
+
+import { buildAmortizationSchedule } from './amortization.js';
+
+/**
+ * Filing statuses with their display labels
+ */
+export const FILING_STATUSES = {
+  single: 'Single',
+  marriedJoint: 'Married Filing Jointly',
+  headOfHousehold: 'Head of Household'
+};
+
+/**
+ * 2025 federal ordinary income brackets (taxable income; upTo null = no cap)
+ */
+export const TAX_BRACKETS = {
+  single: [
+    { upTo: 11925, rate: 0.10 },
+    { upTo: 48475, rate: 0.12 },
+    { upTo: 103350, rate: 0.22 },
+    { upTo: 197300, rate: 0.24 },
+    { upTo: 250525, rate: 0.32 },
+    { upTo: 626350, rate: 0.35 },
+    { upTo: null, rate: 0.37 }
+  ],
+  marriedJoint: [
+    { upTo: 23850, rate: 0.10 },
+    { upTo: 96950, rate: 0.12 },
+    { upTo: 206700, rate: 0.22 },
+    { upTo: 394600, rate: 0.24 },
+    { upTo: 501050, rate: 0.32 },
+    { upTo: 751600, rate: 0.35 },
+    { upTo: null, rate: 0.37 }
+  ],
+  headOfHousehold: [
+    { upTo: 17000, rate: 0.10 },
+    { upTo: 64850, rate: 0.12 },
+    { upTo: 103350, rate: 0.22 },
+    { upTo: 197300, rate: 0.24 },
+    { upTo: 250500, rate: 0.32 },
+    { upTo: 626350, rate: 0.35 },
+    { upTo: null, rate: 0.37 }
+  ]
+};
+
+/**
+ * 2025 long-term capital gains brackets, stacked on top of ordinary income
+ */
+export const CAPITAL_GAINS_BRACKETS = {
+  single: [
+    { upTo: 48350, rate: 0 },
+    { upTo: 533400, rate: 0.15 },
+    { upTo: null, rate: 0.20 }
+  ],
+  marriedJoint: [
+    { upTo: 96700, rate: 0 },
+    { upTo: 600050, rate: 0.15 },
+    { upTo: null, rate: 0.20 }
+  ],
+  headOfHousehold: [
+    { upTo: 64750, rate: 0 },
+    { upTo: 566700, rate: 0.15 },
+    { upTo: null, rate: 0.20 }
+  ]
+};
+
+/**
+ * MACRS half-year convention tables for cost segregation classes (share of basis per year)
+ */
+export const MACRS_TABLES = {
+  5: [0.20, 0.32, 0.192, 0.1152, 0.1152, 0.0576],
+  7: [0.1429, 0.2449, 0.1749, 0.1249, 0.0893, 0.0892, 0.0893, 0.0446],
+  15: [0.05, 0.095, 0.0855, 0.077, 0.0693, 0.0623, 0.059, 0.059, 0.0591, 0.059, 0.0591, 0.059, 0.0591, 0.059, 0.0591, 0.0295]
+};
+
+export const RESIDENTIAL_RECOVERY_YEARS = 27.5;
+export const UNRECAPTURED_1250_RATE = 0.25;   // Maximum rate on straight-line depreciation recaptured at sale
+
+/**
+ * Rental real estate special allowance: up to $25,000 of passive losses
+ * against other income, reduced by half of income over $100,000
+ */
+export const PASSIVE_LOSS_ALLOWANCE = {
+  amount: 25000,
+  phaseOutStart: 100000,
+  phaseOutRate: 0.5
+};
+
+/**
+ * @typedef {Object} CostSegregation
+ * @property {number} [fiveYear] - Share of the building basis in 5-year property (decimal)
+ * @property {number} [sevenYear] - Share in 7-year property
+ * @property {number} [fifteenYear] - Share in 15-year land improvements
+ */
+
+/**
+ * @typedef {Object} TaxProfile
+ * @property {string} filingStatus - FILING_STATUSES key
+ * @property {number} ordinaryIncome - Taxable income before the property
+ * @property {number} landValueRatio - Land share of the purchase price (decimal)
+ * @property {number|null} [assessedLandValue] - Assessor land value; with assessedTotalValue it sets the land ratio
+ * @property {number|null} [assessedTotalValue]
+ * @property {CostSegregation} costSegregation
+ * @property {number} bonusDepreciationRate - Bonus depreciation on cost segregation classes (decimal)
+ * @property {boolean} realEstateProfessional - Losses are not passive
+ * @property {number} placedInServiceMonth - 1-12, for the mid-month convention
+ * @property {number} holdYears - Years until the sale
+ */
+
+/**
+ * @typedef {Object} TaxAssumptions
+ * @property {number} [incomeGrowth] - Annual rent growth (decimal)
+ * @property {number} [expenseGrowth] - Annual operating expense growth
+ * @property {number} [appreciation] - Annual value growth
+ * @property {number} [sellingCostRate] - Selling costs as a share of the sale price
+ */
+
+/**
+ * @typedef {Object} TaxYear
+ * @property {number} year
+ * @property {number} effectiveGrossIncome
+ * @property {number} operatingExpenses
+ * @property {number} noi
+ * @property {number} interest
+ * @property {number} principal
+ * @property {number} cashFlow - NOI less debt service
+ * @property {number} depreciation
+ * @property {number} taxableIncome - NOI less interest and depreciation
+ * @property {number} deductedLoss - Loss used against other income this year
+ * @property {number} carryforwardUsed - Earlier suspended losses used against this year's income
+ * @property {number} suspendedLoss - Losses carried forward at the end of the year
+ * @property {number} taxDue - Extra tax from the property (negative = tax saved)
+ * @property {number} afterTaxCashFlow
+ * @property {number} loanBalance
+ * @property {number} propertyValue
+ */
+
+/**
+ * @typedef {Object} TaxSale
+ * @property {number} year - Year of the sale (the holding period)
+ * @property {number} salePrice
+ * @property {number} sellingCosts
+ * @property {number} adjustedBasis - Cost basis less depreciation taken
+ * @property {number} gain
+ * @property {number} ordinaryRecapture - Cost segregation depreciation taxed as ordinary income
+ * @property {number} unrecaptured1250 - Straight-line depreciation taxed at up to 25%
+ * @property {number} capitalGain - Long-term capital gain
+ * @property {number} suspendedLossReleased - Carried-forward losses freed by the sale
+ * @property {number} ordinaryTax
+ * @property {number} recaptureTax
+ * @property {number} capitalGainsTax
+ * @property {number} totalTax
+ * @property {number} loanPayoff
+ * @property {number} preTaxProceeds - After selling costs and the loan payoff
+ * @property {number} afterTaxProceeds
+ */
+
+/**
+ * @typedef {Object} TaxProjection
+ * @property {boolean} error - True for invalid inputs; only message and errors are set
+ * @property {string} [message]
+ * @property {string[]} [errors]
+ * @property {TaxProfile} profile - With defaults filled in
+ * @property {number} landValueRatio
+ * @property {string} landValueSource - 'Assessor' or 'Input'
+ * @property {number} landValue
+ * @property {number} depreciableBasis
+ * @property {number} marginalRate - Ordinary rate on the investor's other income
+ * @property {TaxYear[]} years
+ * @property {TaxSale} sale
+ * @property {number[]} preTaxCashFlows - Year 0 investment, then each year (sale in the last)
+ * @property {number[]} afterTaxCashFlows
+ * @property {number|null} preTaxIRR - Percent
+ * @property {number|null} afterTaxIRR - Percent
+ * @property {{depreciation: number, taxDue: number, taxSaved: number}} totals
+ */
+
+/**
+ * Tax profile used when none is given
+ */
+export const DEFAULT_TAX_PROFILE = {
+  filingStatus: 'single',
+  ordinaryIncome: 100000,
+  landValueRatio: 0.20,
+  assessedLandValue: null,
+  assessedTotalValue: null,
+  costSegregation: { fiveYear: 0, sevenYear: 0, fifteenYear: 0 },
+  bonusDepreciationRate: 0,
+  realEstateProfessional: false,
+  placedInServiceMonth: 1,
+  holdYears: 5
+};
+
+/**
+ * Growth and sale assumptions used when none are given
+ */
+export const DEFAULT_TAX_ASSUMPTIONS = {
+  incomeGrowth: 0.03,
+  expenseGrowth: 0.025,
+  appreciation: 0.03,
+  sellingCostRate: 0.06
+};
+
+// ============================================================================
+// PROFILE
+// ============================================================================
+
+/**
+ * Fill a stored or partial tax profile from the defaults
+ * @param {Object|null} profile - Tax profile; blank fields take the defaults
+ * @returns {TaxProfile} Complete profile
+ */
+export function resolveTaxProfile(profile) {
+  const resolved = Object.assign({}, DEFAULT_TAX_PROFILE, {
+    costSegregation: Object.assign({}, DEFAULT_TAX_PROFILE.costSegregation)
+  });
+  Object.keys(profile || {}).forEach(function(key) {
+    const value = profile[key];
+    if (value === null || value === undefined || value === '') return;
+    if (key !== 'costSegregation') {
+      resolved[key] = value;
+      return;
+    }
+    Object.keys(value).forEach(function(share) {
+      if (value[share] !== null && value[share] !== undefined && value[share] !== '') {
+        resolved.costSegregation[share] = value[share];
+      }
+    });
+  });
+  return resolved;
+}
+
+/**
+ * Check a tax profile
+ * @param {TaxProfile} profile - Complete tax profile
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateTaxProfile(profile) {
+  const errors = [];
+  const seg = profile.costSegregation || {};
+  const segTotal = (seg.fiveYear || 0) + (seg.sevenYear || 0) + (seg.fifteenYear || 0);
+
+  if (!FILING_STATUSES[profile.filingStatus]) {
+    errors.push(`Unknown filing status "${profile.filingStatus}"`);
+  }
+  if (!(profile.ordinaryIncome >= 0)) {
+    errors.push('Other taxable income cannot be negative');
+  }
+  if (!(profile.landValueRatio >= 0) || profile.landValueRatio >= 1) {
+    errors.push('Land value must be between 0 and 100% of the purchase price');
+  }
+  if (profile.assessedLandValue > 0 && profile.assessedLandValue > profile.assessedTotalValue) {
+    errors.push('Assessed land value cannot exceed the assessed total value');
+  }
+  if (!(seg.fiveYear >= 0) || !(seg.sevenYear >= 0) || !(seg.fifteenYear >= 0) || segTotal > 1) {
+    errors.push('Cost segregation shares must be positive and total at most 100%');
+  }
+  if (!(profile.bonusDepreciationRate >= 0) || profile.bonusDepreciationRate > 1) {
+    errors.push('Bonus depreciation must be between 0 and 100%');
+  }
+  if (!(profile.placedInServiceMonth >= 1) || profile.placedInServiceMonth > 12) {
+    errors.push('Placed-in-service month must be between 1 and 12');
+  }
+  if (!(profile.holdYears >= 1) || profile.holdYears > 40) {
+    errors.push('Holding period must be between 1 and 40 years');
+  }
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Land share of the purchase price: the assessor's split when both values
+ * are known, otherwise the profile's ratio
+ * @param {TaxProfile} profile - Tax profile
+ * @returns {{ratio: number, source: string}} Land value ratio and where it came from
+ */
+export function resolveLandValueRatio(profile) {
+  if (profile.assessedLandValue > 0 && profile.assessedTotalValue > 0) {
+    return { ratio: profile.assessedLandValue / profile.assessedTotalValue, source: 'Assessor' };
+  }
+  return { ratio: profile.landValueRatio, source: 'Input' };
+}
+
+// ============================================================================
+// RATES
+// ============================================================================
+
+/**
+ * Tax on an amount through a set of brackets, starting part-way up them
+ * @param {Array<{upTo: number|null, rate: number}>} brackets - Brackets
+ * @param {number} amount - Amount taxed
+ * @param {number} [stackedOn] - Income already filling the lower brackets
+ * @returns {number} Tax
+ */
+function taxThroughBrackets(brackets, amount, stackedOn) {
+  let tax = 0;
+  let floor = 0;
+  const start = Math.max(0, stackedOn || 0);
+  const end = start + Math.max(0, amount);
+
+  brackets.forEach(function(bracket) {
+    const ceiling = bracket.upTo === null ? Infinity : bracket.upTo;
+    const taxed = Math.max(0, Math.min(end, ceiling) - Math.max(start, floor));
+    tax += taxed * bracket.rate;
+    floor = ceiling;
+  });
+  return tax;
+}
+
+/**
+ * Federal income tax on ordinary taxable income
+ * @param {number} taxableIncome - Taxable income
+ * @param {string} filingStatus - FILING_STATUSES key
+ * @returns {number} Tax
+ */
+export function calculateIncomeTax(taxableIncome, filingStatus) {
+  return taxThroughBrackets(TAX_BRACKETS[filingStatus] || TAX_BRACKETS.single, taxableIncome, 0);
+}
+
+/**
+ * Ordinary rate on the next dollar of income
+ * @param {number} taxableIncome - Taxable income
+ * @param {string} filingStatus - FILING_STATUSES key
+ * @returns {number} Marginal rate (decimal)
+ */
+export function getMarginalTaxRate(taxableIncome, filingStatus) {
+  const brackets = TAX_BRACKETS[filingStatus] || TAX_BRACKETS.single;
+  const bracket = brackets.find(function(b) { return b.upTo === null || taxableIncome < b.upTo; });
+  return bracket.rate;
+}
+
+/**
+ * Passive rental losses deductible against other income this year
+ * @param {number} income - Other income (used as modified AGI)
+ * @param {boolean} realEstateProfessional - Professionals deduct losses in full
+ * @returns {number} Allowance (Infinity for real estate professionals)
+ */
+export function calculatePassiveLossAllowance(income, realEstateProfessional) {
+  if (realEstateProfessional) return Infinity;
+  const reduction = Math.max(0, income - PASSIVE_LOSS_ALLOWANCE.phaseOutStart) * PASSIVE_LOSS_ALLOWANCE.phaseOutRate;
+  return Math.max(0, PASSIVE_LOSS_ALLOWANCE.amount - reduction);
+}
+
+// ============================================================================
+// DEPRECIATION
+// ============================================================================
+
+/**
+ * Depreciation by year for a building basis
+ *
+ * The residential share is straight-line over 27.5 years with the
+ * mid-month convention. Cost segregation classes take bonus depreciation in
+ * year one and MACRS (half-year convention) on what is left.
+ *
+ * @param {number} depreciableBasis - Building and improvement basis
+ * @param {TaxProfile} profile - Tax profile
+ * @param {number} years - Years to schedule
+ * @returns {Array<{year: number, residential: number, costSegregation: number, bonus: number, total: number}>} Depreciation by year
+ */
+export function buildDepreciationSchedule(depreciableBasis, profile, years) {
+  const seg = profile.costSegregation || {};
+  const classes = [
+    { life: 5, basis: depreciableBasis * (seg.fiveYear || 0) },
+    { life: 7, basis: depreciableBasis * (seg.sevenYear || 0) },
+    { life: 15, basis: depreciableBasis * (seg.fifteenYear || 0) }
+  ];
+  const residentialBasis = depreciableBasis - classes.reduce(function(sum, c) { return sum + c.basis; }, 0);
+  const annualResidential = residentialBasis / RESIDENTIAL_RECOVERY_YEARS;
+  const firstYearFraction = (12 - profile.placedInServiceMonth + 0.5) / 12;
+  const bonusRate = profile.bonusDepreciationRate || 0;
+
+  const schedule = [];
+  let residentialTaken = 0;
+  for (let year = 1; year <= years; year++) {
+    const residential = Math.min(annualResidential * (year === 1 ? firstYearFraction : 1), residentialBasis - residentialTaken);
+    residentialTaken += residential;
+
+    let bonus = 0;
+    let costSegregation = 0;
+    classes.forEach(function(c) {
+      if (year === 1) bonus += c.basis * bonusRate;
+      costSegregation += c.basis * (1 - bonusRate) * (MACRS_TABLES[c.life][year - 1] || 0);
+    });
+
+    schedule.push({
+      year: year,
+      residential: residential,
+      costSegregation: costSegregation,
+      bonus: bonus,
+      total: residential + costSegregation + bonus
+    });
+  }
+  return schedule;
+}
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+/**
+ * Internal rate of return by bisection
+ * @param {number[]} cashFlows - Year 0 first
+ * @returns {number|null} IRR (decimal), or null when the flows never change sign
+ */
+export function solveIRR(cashFlows) {
+  const npv = function(rate) {
+    return cashFlows.reduce(function(sum, flow, year) { return sum + flow / Math.pow(1 + rate, year); }, 0);
+  };
+  let low = -0.99;
+  let high = 10;
+  if (npv(low) * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Taxes due at the sale
+ *
+ * Cost segregation depreciation is recaptured at ordinary rates, straight-line
+ * depreciation at ordinary rates capped at 25%, and the rest of the gain at
+ * long-term capital gains rates stacked on top. Suspended passive losses are
+ * released against ordinary income.
+ *
+ * @param {Object} sale - { gain, costSegregationTaken, residentialTaken, suspendedLoss }
+ * @param {TaxProfile} profile - Tax profile
+ * @returns {{ordinaryRecapture: number, unrecaptured1250: number, capitalGain: number, ordinaryTax: number, recaptureTax: number, capitalGainsTax: number, totalTax: number}} Sale taxes
+ */
+function calculateSaleTaxes(sale, profile) {
+  const income = profile.ordinaryIncome;
+  const status = profile.filingStatus;
+
+  const ordinaryRecapture = Math.max(0, Math.min(sale.gain, sale.costSegregationTaken));
+  const unrecaptured1250 = Math.max(0, Math.min(sale.gain - ordinaryRecapture, sale.residentialTaken));
+  const capitalGain = Math.max(0, sale.gain - ordinaryRecapture - unrecaptured1250);
+
+  // A loss on the sale is ordinary, like the released suspended losses
+  const ordinaryFromSale = ordinaryRecapture - sale.suspendedLoss + Math.min(0, sale.gain);
+  const ordinaryTax = calculateIncomeTax(income + ordinaryFromSale, status) - calculateIncomeTax(income, status);
+  const incomeAfterOrdinary = Math.max(0, income + ordinaryFromSale);
+
+  const recaptureTax = taxThroughBrackets(
+    (TAX_BRACKETS[status] || TAX_BRACKETS.single).map(function(b) {
+      return { upTo: b.upTo, rate: Math.min(b.rate, UNRECAPTURED_1250_RATE) };
+    }),
+    unrecaptured1250,
+    incomeAfterOrdinary
+  );
+  const capitalGainsTax = taxThroughBrackets(
+    CAPITAL_GAINS_BRACKETS[status] || CAPITAL_GAINS_BRACKETS.single,
+    capitalGain,
+    incomeAfterOrdinary + unrecaptured1250
+  );
+
+  return {
+    ordinaryRecapture: ordinaryRecapture,
+    unrecaptured1250: unrecaptured1250,
+    capitalGain: capitalGain,
+    ordinaryTax: ordinaryTax,
+    recaptureTax: recaptureTax,
+    capitalGainsTax: capitalGainsTax,
+    totalTax: ordinaryTax + recaptureTax + capitalGainsTax
+  };
+}
+
+/**
+ * Project a rental's taxes year by year through its sale
+ *
+ * Taxable income is NOI less mortgage interest and depreciation. Losses are
+ * deducted against other income up to the passive loss allowance and the
+ * rest carried forward to offset later rental income or the sale. The tax
+ * effect of each year is the change in the investor's total federal tax.
+ * Balloon payments are assumed to be refinanced, so their balance stays
+ * owed until the sale.
+ *
+ * @param {Object} deal - { purchasePrice, rehabCost, closingCosts, cashInvested, effectiveGrossIncome, operatingExpenses, loan (AmortizationLoan|null) }
+ * @param {Object} [profile] - Tax profile; blanks take DEFAULT_TAX_PROFILE
+ * @param {TaxAssumptions} [assumptions] - Growth and sale assumptions
+ * @returns {TaxProjection} Projection, or { error, message, errors }
+ */
+export function projectTaxes(deal, profile, assumptions) {
+  if (!deal || !(deal.purchasePrice > 0) || !(deal.effectiveGrossIncome > 0)) {
+    return { error: true, message: 'Purchase price and rental income are required' };
+  }
+
+  const taxProfile = resolveTaxProfile(profile);
+  const validation = validateTaxProfile(taxProfile);
+  if (!validation.valid) {
+    return { error: true, message: validation.errors.join('; '), errors: validation.errors };
+  }
+
+  const a = Object.assign({}, DEFAULT_TAX_ASSUMPTIONS);
+  Object.keys(assumptions || {}).forEach(function(key) {
+    if (assumptions[key] !== null && assumptions[key] !== undefined) a[key] = assumptions[key];
+  });
+
+  const holdYears = Math.round(taxProfile.holdYears);
+  const income = taxProfile.ordinaryIncome;
+  const status = taxProfile.filingStatus;
+
+  // Land is part of the purchase price only; rehab is all improvements
+  const land = resolveLandValueRatio(taxProfile);
+  const landValue = deal.purchasePrice * land.ratio;
+  const costBasis = deal.purchasePrice + (deal.rehabCost || 0) + (deal.closingCosts || 0);
+  const depreciableBasis = costBasis - landValue;
+  const depreciation = buildDepreciationSchedule(depreciableBasis, taxProfile, holdYears);
+
+  const loanSchedule = deal.loan ? buildAmortizationSchedule(deal.loan) : null;
+  if (loanSchedule && loanSchedule.error) return loanSchedule;
+
+  const years = [];
+  let suspendedLoss = 0;
+  let balloonsRefinanced = 0;
+
+  for (let year = 1; year <= holdYears; year++) {
+    const effectiveGrossIncome = deal.effectiveGrossIncome * Math.pow(1 + a.incomeGrowth, year - 1);
+    const operatingExpenses = (deal.operatingExpenses || 0) * Math.pow(1 + a.expenseGrowth, year - 1);
+    const noi = effectiveGrossIncome - operatingExpenses;
+
+    const rows = loanSchedule
+      ? loanSchedule.schedule.filter(function(row) { return row.month > (year - 1) * 12 && row.month <= year * 12; })
+      : [];
+    const interest = rows.reduce(function(sum, row) { return sum + row.interest; }, 0);
+    const principal = rows.reduce(function(sum, row) { return sum + row.principal + row.extraPrincipal; }, 0);
+    balloonsRefinanced += rows.reduce(function(sum, row) { return sum + row.balloon; }, 0);
+    const loanBalance = (rows.length > 0 ? rows[rows.length - 1].balance : 0) + balloonsRefinanced;
+
+    const cashFlow = noi - interest - principal;
+    const taxableIncome = noi - interest - depreciation[year - 1].total;
+
+    // Passive loss limits: deduct what the allowance permits, carry the rest
+    let deductedLoss = 0;
+    let carryforwardUsed = 0;
+    let netTaxable;
+    if (taxableIncome < 0) {
+      deductedLoss = Math.min(-taxableIncome, calculatePassiveLossAllowance(income, taxProfile.realEstateProfessional));
+      suspendedLoss += -taxableIncome - deductedLoss;
+      netTaxable = -deductedLoss;
+    } else {
+      carryforwardUsed = Math.min(taxableIncome, suspendedLoss);
+      suspendedLoss -= carryforwardUsed;
+      netTaxable = taxableIncome - carryforwardUsed;
+    }
+
+    const taxDue = calculateIncomeTax(income + netTaxable, status) - calculateIncomeTax(income, status);
+
+    years.push({
+      year: year,
+      effectiveGrossIncome: Math.round(effectiveGrossIncome),
+      operatingExpenses: Math.round(operatingExpenses),
+      noi: Math.round(noi),
+      interest: Math.round(interest),
+      principal: Math.round(principal),
+      cashFlow: Math.round(cashFlow),
+      depreciation: Math.round(depreciation[year - 1].total),
+      taxableIncome: Math.round(taxableIncome),
+      deductedLoss: Math.round(deductedLoss),
+      carryforwardUsed: Math.round(carryforwardUsed),
+      suspendedLoss: Math.round(suspendedLoss),
+      taxDue: Math.round(taxDue),
+      afterTaxCashFlow: Math.round(cashFlow - taxDue),
+      loanBalance: Math.round(loanBalance),
+      propertyValue: Math.round(costBasis * Math.pow(1 + a.appreciation, year))
+    });
+  }
+
+  // Sale at the end of the holding period
+  const last = years[years.length - 1];
+  const salePrice = last.propertyValue;
+  const sellingCosts = salePrice * a.sellingCostRate;
+  const residentialTaken = depreciation.reduce(function(sum, d) { return sum + d.residential; }, 0);
+  const costSegregationTaken = depreciation.reduce(function(sum, d) { return sum + d.costSegregation + d.bonus; }, 0);
+  const adjustedBasis = costBasis - residentialTaken - costSegregationTaken;
+  const gain = salePrice - sellingCosts - adjustedBasis;
+  const saleTaxes = calculateSaleTaxes({
+    gain: gain,
+    costSegregationTaken: costSegregationTaken,
+    residentialTaken: residentialTaken,
+    suspendedLoss: suspendedLoss
+  }, taxProfile);
+  const preTaxProceeds = Math.round(salePrice - sellingCosts - last.loanBalance);
+  const afterTaxProceeds = Math.round(preTaxProceeds - saleTaxes.totalTax);
+
+  const cashInvested = deal.cashInvested || 0;
+  const preTaxCashFlows = [-cashInvested].concat(years.map(function(y) { return y.cashFlow; }));
+  const afterTaxCashFlows = [-cashInvested].concat(years.map(function(y) { return y.afterTaxCashFlow; }));
+  preTaxCashFlows[holdYears] += preTaxProceeds;
+  afterTaxCashFlows[holdYears] += afterTaxProceeds;
+
+  const preTaxIRR = cashInvested > 0 ? solveIRR(preTaxCashFlows) : null;
+  const afterTaxIRR = cashInvested > 0 ? solveIRR(afterTaxCashFlows) : null;
+  const operatingTax = years.reduce(function(sum, y) { return sum + y.taxDue; }, 0);
+
+  return {
+    error: false,
+    profile: taxProfile,
+    landValueRatio: land.ratio,
+    landValueSource: land.source,
+    landValue: Math.round(landValue),
+    depreciableBasis: Math.round(depreciableBasis),
+    marginalRate: getMarginalTaxRate(income, status),
+    years: years,
+    sale: {
+      year: holdYears,
+      salePrice: salePrice,
+      sellingCosts: Math.round(sellingCosts),
+      adjustedBasis: Math.round(adjustedBasis),
+      gain: Math.round(gain),
+      ordinaryRecapture: Math.round(saleTaxes.ordinaryRecapture),
+      unrecaptured1250: Math.round(saleTaxes.unrecaptured1250),
+      capitalGain: Math.round(saleTaxes.capitalGain),
+      suspendedLossReleased: Math.round(suspendedLoss),
+      ordinaryTax: Math.round(saleTaxes.ordinaryTax),
+      recaptureTax: Math.round(saleTaxes.recaptureTax),
+      capitalGainsTax: Math.round(saleTaxes.capitalGainsTax),
+      totalTax: Math.round(saleTaxes.totalTax),
+      loanPayoff: last.loanBalance,
+      preTaxProceeds: preTaxProceeds,
+      afterTaxProceeds: afterTaxProceeds
+    },
+    preTaxCashFlows: preTaxCashFlows,
+    afterTaxCashFlows: afterTaxCashFlows,
+    preTaxIRR: preTaxIRR === null ? null : Math.round(preTaxIRR * 10000) / 100,
+    afterTaxIRR: afterTaxIRR === null ? null : Math.round(afterTaxIRR * 10000) / 100,
+    totals: {
+      depreciation: Math.round(residentialTaken + costSegregationTaken),
+      taxDue: Math.round(operatingTax),
+      taxSaved: Math.round(years.reduce(function(sum, y) { return sum + Math.max(0, -y.taxDue); }, 0))
+    }
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * ===============================
+ * SHARED CORE ENTRY POINT
+ * ===============================
+ *
+ * ES module entry for Node, Jest and the Web App. Google Apps Script does
+ * not load this file - `npm run sync-core` builds a global-scope copy of
+ * each module into google-apps-script/shared-core instead.
+ *
+ * arv.js and location.js both define the location premium helpers; the
+ * location.js versions are re-exported here. apiSelector.js and
+ * usageTracking.js both define getAPIDisplayName, so apiSelector is
+ * exposed as a namespace.
+ *
+ * @module shared-core
+ */
+
+export * from './calculations/flip.js';
+export * from './calculations/financing.js';
+export * from './calculations/amortization.js';
+export * from './calculations/rental.js';
+export * from './calculations/brrrr.js';
+export * from './calculations/str.js';
+export * from './calculations/rentRoll.js';
+export * from './calculations/proforma.js';
+export * from './calculations/rehab.js';
+export * from './calculations/tax.js';
+export * from './calculations/comps.js';
+export * from './calculations/location.js';
+export * from './calculations/scoring.js';
+export {
+  calculateEnhancedARV,
+  calculateARVConfidenceInterval,
+  validateARVAgainstMarketTrends
+} from './calculations/arv.js';
+
+export * from './utils/validation.js';
+export * from './utils/quota.js';
+export * from './utils/usageTracking.js';
+export * from './utils/apiBudget.js';
+export * as apiSelector from './utils/apiSelector.js';
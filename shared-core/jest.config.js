@@ -0,0 +1,23 @@
+/**
+ * Jest Configuration for Shared Core Library
+ */
+
+export default {
+  // Pure calculation functions - no DOM needed
+  testEnvironment: 'node',
+
+  // Transform ES modules with swc
+  transform: {
+    '^.+\\.js$': ['@swc/jest'],
+  },
+
+  // Test match patterns
+  testMatch: [
+    '<rootDir>/**/__tests__/**/*.test.js',
+  ],
+
+  // Ignore patterns
+  testPathIgnorePatterns: [
+    '/node_modules/',
+  ],
+};
@@ -0,0 +1,125 @@
+/**
+ * Tests for the pre-flight API budget planner
+ */
+
+import { planAnalysisBudget, resolveAnalysisBudget } from '../apiBudget.js';
+
+// Each quota's 90% threshold: Private Zillow 225, US Real Estate 270, Redfin 99, Gemini 1350
+const exhausted = {
+  private_zillow: { used: 225 },
+  us_real_estate: { used: 270 },
+  redfin: { used: 99 },
+  gemini: { used: 1350 }
+};
+
+function callSummary(plan) {
+  return plan.calls.map(function(call) {
+    return `${call.step}:${call.providerId}${call.fieldMerge ? ' (merge)' : ''}`;
+  });
+}
+
+describe('planAnalysisBudget', () => {
+  test('plans details and comps from the first providers in Standard mode', () => {
+    const plan = planAnalysisBudget('STANDARD', {});
+
+    expect(callSummary(plan)).toEqual([
+      'propertyDetails:private_zillow',
+      'propertyDetails:redfin (merge)',
+      'comps:private_zillow',
+      'comps:us_real_estate (merge)'
+    ]);
+    expect(plan.totalCalls).toBe(4);
+    expect(plan.minCalls).toBe(2);
+    expect(plan.withinBudget).toBe(true);
+  });
+
+  test('costs each provider against its quota threshold and counts the analyses left', () => {
+    const plan = planAnalysisBudget('STANDARD', { usage: { private_zillow: { used: 100, limit: 250 } } });
+    const zillow = plan.providers.find(function(provider) { return provider.providerId === 'private_zillow'; });
+
+    expect(zillow).toMatchObject({ period: 'month', limit: 250, used: 100, usageKnown: true, available: 125, planned: 2 });
+    expect(zillow.availableAfter).toBe(123);
+    expect(zillow.analysesLeft).toBe(62);
+    // Two calls a run now leave Private Zillow tighter than Redfin's 99
+    expect(plan.analysesRemaining).toBe(62);
+  });
+
+  test('puts the primary API first', () => {
+    const plan = planAnalysisBudget('STANDARD', { primaryAPI: 'redfin' });
+
+    expect(callSummary(plan).slice(0, 2)).toEqual(['propertyDetails:redfin', 'propertyDetails:private_zillow (merge)']);
+    expect(plan.calls[2]).toMatchObject({ step: 'comps', providerId: 'redfin' });
+  });
+
+  test('skips providers at their threshold, as the bridge does', () => {
+    const plan = planAnalysisBudget('STANDARD', { usage: { private_zillow: { used: 225 } } });
+
+    expect(callSummary(plan)).toEqual([
+      'propertyDetails:redfin',
+      'comps:us_real_estate',
+      'comps:redfin (merge)'
+    ]);
+  });
+
+  test('never plans field-merge calls to low-confidence sources', () => {
+    const plan = planAnalysisBudget('DEEP', { usage: { redfin: { used: 99 } } });
+
+    expect(plan.calls.some(function(call) { return call.fieldMerge && call.providerId === 'gemini'; })).toBe(false);
+  });
+
+  test('plans the US Real Estate estimate in Deep mode', () => {
+    const plan = planAnalysisBudget('DEEP', {});
+
+    expect(plan.calls[plan.calls.length - 1]).toMatchObject({
+      step: 'homeEstimate',
+      providerId: 'us_real_estate',
+      calls: 2,
+      minCalls: 1
+    });
+    expect(plan.totalCalls).toBe(7);
+  });
+
+  test('makes no metered calls in Basic mode', () => {
+    const plan = planAnalysisBudget('BASIC', { usage: exhausted });
+
+    expect(plan.calls).toEqual([]);
+    expect(plan.withinBudget).toBe(true);
+    expect(plan.analysesRemaining).toBeNull();
+  });
+
+  test('reports steps no provider has quota for', () => {
+    const plan = planAnalysisBudget('STANDARD', { usage: exhausted });
+
+    expect(plan.withinBudget).toBe(false);
+    expect(plan.shortfalls).toEqual(['Property details', 'Sold comps']);
+  });
+});
+
+describe('resolveAnalysisBudget', () => {
+  test('runs the requested mode when it fits', () => {
+    const budget = resolveAnalysisBudget('DEEP', {});
+
+    expect(budget).toMatchObject({ requestedMode: 'DEEP', mode: 'DEEP', degraded: false, refused: false, message: '' });
+  });
+
+  test('falls back to Standard when Deep does not fit', () => {
+    const budget = resolveAnalysisBudget('DEEP', { usage: { us_real_estate: { used: 269 } } });
+
+    expect(budget.mode).toBe('STANDARD');
+    expect(budget.degraded).toBe(true);
+    expect(budget.plan.mode).toBe('STANDARD');
+    expect(budget.message).toBe(
+      'Not enough API quota left for home value estimate (property lookup + estimate) in DEEP mode; running in STANDARD mode instead'
+    );
+  });
+
+  test('falls back to Basic only when the user supplied an ARV or comps', () => {
+    const withData = resolveAnalysisBudget('STANDARD', { usage: exhausted, canRunBasic: true });
+    const withoutData = resolveAnalysisBudget('STANDARD', { usage: exhausted });
+
+    expect(withData).toMatchObject({ mode: 'BASIC', degraded: true, refused: false });
+    expect(withoutData).toMatchObject({ mode: null, degraded: false, refused: true });
+    expect(withoutData.plan.mode).toBe('STANDARD');
+    expect(withoutData.message).toContain('Enter an ARV or comps to run in Basic mode');
+  });
+});
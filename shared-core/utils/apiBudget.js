@@ -0,0 +1,309 @@
+/**
+ * ===============================
+ * API BUDGET PLANNER
+ * ===============================
+ *
+ * Pre-flight plan of the API calls an analysis will make in a given mode:
+ * which provider answers each step, what that costs against the provider's
+ * monthly or daily quota, and how many more analyses the remaining quota
+ * supports. When the plan doesn't fit, resolveAnalysisBudget() steps down
+ * to a cheaper mode, or refuses the run if none fits.
+ *
+ * Providers are picked the way the Apps Script bridge picks them at run
+ * time: call order from the primary API selection, skipping providers
+ * that can't do the step or have reached their quota threshold.
+ *
+ * @module shared-core/utils/apiBudget
+ */
+
+import { getDataProvider } from '../api/providers.js';
+import { MIN_MERGE_CONFIDENCE, getSourceConfidence } from '../api/propertyRecord.js';
+import { getAPICallOrder } from './apiSelector.js';
+
+/**
+ * Analysis modes from cheapest to most thorough
+ */
+export const BUDGET_MODE_ORDER = ['BASIC', 'STANDARD', 'DEEP'];
+
+/**
+ * Extra provider calls per fetch to fill missing fields, per mode.
+ * Mirrors fieldMergeCalls in the Apps Script ANALYSIS_MODE_CONFIG.
+ */
+export const DEFAULT_FIELD_MERGE_CALLS = { BASIC: 0, STANDARD: 1, DEEP: 2 };
+
+/**
+ * Share of a quota usable before the bridge stops calling a provider
+ * (QUOTA_THRESHOLD_PERCENT in Script Properties, 90% by default)
+ */
+export const DEFAULT_QUOTA_THRESHOLD = 0.9;
+
+/**
+ * Metered steps per analysis mode. A step either asks the first provider in
+ * call order that supports its capability (plus field-merge calls to the
+ * next ones when `merge` is set), or always calls one `provider`.
+ * `calls` is the most the step can make, `minCalls` the fewest.
+ *
+ * Deep mode's Zillow Zestimate and historical validation go to the retired
+ * zillow-com1 API and return without a request; tax rate, rent estimate,
+ * market trend and location lookups have no fetcher in this build. None of
+ * them cost quota, so they aren't planned.
+ */
+export const ANALYSIS_BUDGET_STEPS = [
+  {
+    id: 'propertyDetails',
+    label: 'Property details',
+    capability: 'propertyDetails',
+    modes: ['STANDARD', 'DEEP'],
+    calls: 1,
+    minCalls: 1,
+    merge: true
+  },
+  {
+    id: 'comps',
+    label: 'Sold comps',
+    capability: 'comps',
+    modes: ['STANDARD', 'DEEP'],
+    calls: 1,
+    minCalls: 1,
+    merge: true
+  },
+  {
+    id: 'homeEstimate',
+    label: 'Home value estimate (property lookup + estimate)',
+    provider: 'us_real_estate',
+    modes: ['DEEP'],
+    calls: 2,
+    minCalls: 1 // The estimate is skipped when the lookup finds no listing
+  }
+];
+
+/**
+ * @typedef {Object} ProviderUsage
+ * @property {number} used - Calls made this period
+ * @property {number} [limit] - Calls per period (defaults to the provider's quota)
+ * @property {number} [threshold] - Calls allowed before the provider is skipped
+ */
+
+/**
+ * @typedef {Object} BudgetOptions
+ * @property {string} [primaryAPI] - Primary API selection ('auto' by default)
+ * @property {Object<string, ProviderUsage>} [usage] - Current usage by provider ID (missing ones count as unused)
+ * @property {Object<string, number>} [fieldMergeCalls] - Field-merge calls per mode
+ * @property {number} [thresholdPercent] - Share of each quota usable (0-1)
+ * @property {boolean} [canRunBasic] - The user supplied an ARV or comps, so Basic mode can stand in
+ */
+
+/**
+ * @typedef {Object} PlannedCall
+ * @property {string} step - Step ID
+ * @property {string} label
+ * @property {string} providerId
+ * @property {string} providerName
+ * @property {number} calls - Most calls this can make
+ * @property {number} minCalls - Fewest calls (0 for field-merge calls, made only if fields are missing)
+ * @property {boolean} fieldMerge - True for calls that fill fields the first provider left out
+ */
+
+/**
+ * @typedef {Object} ProviderBudget
+ * @property {string} providerId
+ * @property {string} name
+ * @property {string} period - 'month' or 'day'
+ * @property {number} limit
+ * @property {number} used
+ * @property {boolean} usageKnown - False when no usage was reported (counted as unused)
+ * @property {number} available - Calls left before the quota threshold
+ * @property {number} planned - Most calls this analysis makes
+ * @property {number} availableAfter - Calls left after this analysis
+ * @property {number} analysesLeft - Analyses like this one the remaining quota supports, this one included
+ */
+
+/**
+ * @typedef {Object} BudgetPlan
+ * @property {string} mode
+ * @property {Array<PlannedCall>} calls
+ * @property {Array<ProviderBudget>} providers - Providers with planned calls
+ * @property {number} totalCalls - Most calls the analysis makes
+ * @property {number} minCalls
+ * @property {boolean} withinBudget
+ * @property {Array<string>} shortfalls - Steps no provider has quota for
+ * @property {number|null} analysesRemaining - Analyses the tightest provider supports; null if unmetered
+ */
+
+/**
+ * Quota state for a provider
+ * @param {string} providerId
+ * @param {Object<string, ProviderUsage>} usage - Usage by provider ID
+ * @param {number} thresholdPercent
+ * @returns {{limit: number, used: number, usageKnown: boolean, available: number}}
+ */
+function providerQuotaState(providerId, usage, thresholdPercent) {
+  const provider = getDataProvider(providerId);
+  const reported = usage[providerId];
+  const limit = reported && reported.limit > 0 ? reported.limit : provider.quota.limit;
+  const used = reported ? Math.max(0, reported.used || 0) : 0;
+  const threshold = reported && reported.threshold > 0 ? reported.threshold : Math.floor(limit * thresholdPercent);
+
+  return {
+    limit: limit,
+    used: used,
+    usageKnown: !!reported,
+    available: Math.max(0, threshold - used)
+  };
+}
+
+/**
+ * Plan the API calls of one analysis
+ * @param {string} mode - 'BASIC', 'STANDARD' or 'DEEP'
+ * @param {BudgetOptions} [options]
+ * @returns {BudgetPlan}
+ */
+export function planAnalysisBudget(mode, options) {
+  const opts = options || {};
+  const usage = opts.usage || {};
+  const mergeCalls = (opts.fieldMergeCalls || DEFAULT_FIELD_MERGE_CALLS)[mode] || 0;
+  const thresholdPercent = opts.thresholdPercent > 0 ? opts.thresholdPercent : DEFAULT_QUOTA_THRESHOLD;
+  const callOrder = getAPICallOrder(opts.primaryAPI || 'auto');
+
+  const quotas = {};
+  const planned = {};
+  const hasRoom = function(providerId, calls) {
+    if (!quotas[providerId]) quotas[providerId] = providerQuotaState(providerId, usage, thresholdPercent);
+    return quotas[providerId].available - (planned[providerId] || 0) >= calls;
+  };
+
+  const calls = [];
+  const shortfalls = [];
+  const addCall = function(step, providerId, count, minCount, fieldMerge) {
+    planned[providerId] = (planned[providerId] || 0) + count;
+    calls.push({
+      step: step.id,
+      label: fieldMerge ? `${step.label} (missing fields)` : step.label,
+      providerId: providerId,
+      providerName: getDataProvider(providerId).name,
+      calls: count,
+      minCalls: minCount,
+      fieldMerge: fieldMerge
+    });
+  };
+
+  ANALYSIS_BUDGET_STEPS.forEach(function(step) {
+    if (step.modes.indexOf(mode) === -1) return;
+
+    if (step.provider) {
+      if (getDataProvider(step.provider) && hasRoom(step.provider, step.calls)) {
+        addCall(step, step.provider, step.calls, step.minCalls, false);
+      } else {
+        shortfalls.push(step.label);
+      }
+      return;
+    }
+
+    const candidates = callOrder.filter(function(providerId) {
+      const provider = getDataProvider(providerId);
+      return provider && provider.capabilities[step.capability];
+    });
+    const primaryIndex = candidates.findIndex(function(providerId) {
+      return hasRoom(providerId, step.calls);
+    });
+    if (primaryIndex === -1) {
+      shortfalls.push(step.label);
+      return;
+    }
+    addCall(step, candidates[primaryIndex], step.calls, step.minCalls, false);
+
+    // Field-merge calls go to the next trusted providers that still have quota
+    if (step.merge) {
+      candidates
+        .slice(primaryIndex + 1)
+        .filter(function(providerId) {
+          return getSourceConfidence(providerId) >= MIN_MERGE_CONFIDENCE && hasRoom(providerId, 1);
+        })
+        .slice(0, mergeCalls)
+        .forEach(function(providerId) {
+          addCall(step, providerId, 1, 0, true);
+        });
+    }
+  });
+
+  const providers = Object.keys(planned).map(function(providerId) {
+    const provider = getDataProvider(providerId);
+    const quota = quotas[providerId];
+    return {
+      providerId: providerId,
+      name: provider.name,
+      period: provider.quota.period,
+      limit: quota.limit,
+      used: quota.used,
+      usageKnown: quota.usageKnown,
+      available: quota.available,
+      planned: planned[providerId],
+      availableAfter: quota.available - planned[providerId],
+      analysesLeft: Math.floor(quota.available / planned[providerId])
+    };
+  });
+
+  return {
+    mode: mode,
+    calls: calls,
+    providers: providers,
+    totalCalls: calls.reduce(function(sum, call) { return sum + call.calls; }, 0),
+    minCalls: calls.reduce(function(sum, call) { return sum + call.minCalls; }, 0),
+    withinBudget: shortfalls.length === 0,
+    shortfalls: shortfalls,
+    analysesRemaining: providers.length > 0
+      ? Math.min.apply(null, providers.map(function(provider) { return provider.analysesLeft; }))
+      : null
+  };
+}
+
+/**
+ * Plan an analysis and fall back to cheaper modes when it doesn't fit the
+ * remaining quota. Basic mode makes no metered calls but needs the user's
+ * own ARV or comps, so without them a run that fits no other mode is refused.
+ *
+ * @param {string} mode - Requested mode
+ * @param {BudgetOptions} [options]
+ * @returns {{requestedMode: string, mode: string|null, plan: BudgetPlan, degraded: boolean, refused: boolean, message: string}}
+ *   mode is null and plan is the requested mode's when refused
+ */
+export function resolveAnalysisBudget(mode, options) {
+  const opts = options || {};
+  const requestedMode = BUDGET_MODE_ORDER.indexOf(mode) === -1 ? 'STANDARD' : mode;
+  const requestedPlan = planAnalysisBudget(requestedMode, opts);
+
+  if (requestedPlan.withinBudget) {
+    return { requestedMode: requestedMode, mode: requestedMode, plan: requestedPlan, degraded: false, refused: false, message: '' };
+  }
+
+  const shortOf = `Not enough API quota left for ${requestedPlan.shortfalls.join(' and ').toLowerCase()}`;
+  const cheaperModes = BUDGET_MODE_ORDER.slice(0, BUDGET_MODE_ORDER.indexOf(requestedMode)).reverse();
+
+  for (let i = 0; i < cheaperModes.length; i++) {
+    const fallback = cheaperModes[i];
+    if (fallback === 'BASIC' && !opts.canRunBasic) continue;
+
+    const plan = planAnalysisBudget(fallback, opts);
+    if (plan.withinBudget) {
+      return {
+        requestedMode: requestedMode,
+        mode: fallback,
+        plan: plan,
+        degraded: true,
+        refused: false,
+        message: `${shortOf} in ${requestedMode} mode; running in ${fallback} mode instead`
+      };
+    }
+  }
+
+  return {
+    requestedMode: requestedMode,
+    mode: null,
+    plan: requestedPlan,
+    degraded: false,
+    refused: true,
+    message: requestedMode === 'BASIC' || opts.canRunBasic
+      ? `${shortOf}. Quotas reset on the 1st of the month (Gemini at midnight)`
+      : `${shortOf}. Enter an ARV or comps to run in Basic mode, or wait for the quota reset`
+  };
+}
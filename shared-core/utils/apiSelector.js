@@ -9,62 +9,62 @@
  * @module shared-core/utils/apiSelector
  */
 
+import { getDataProvider, getDataProviders } from '../api/providers.js';
+
+const AUTO_OPTION = {
+  id: 'auto',
+  name: 'Auto (Recommended)',
+  description: 'Automatically selects best available API based on quality and quota',
+  icon: '✅',
+  isDefault: true
+};
+
 /**
- * Available API options with metadata
+ * Selector option for a data provider
+ * @param {Object} provider - DataProvider from the registry
+ * @returns {Object} { id, name, description, quota, priority, icon }
  */
-const API_OPTIONS = {
-  auto: {
-    id: 'auto',
-    name: 'Auto (Recommended)',
-    description: 'Automatically selects best available API based on quality and quota',
-    icon: '✅',
-    isDefault: true
-  },
-  private_zillow: {
-    id: 'private_zillow',
-    name: 'Private Zillow',
-    description: 'Highest quality data (250/month)',
-    quota: { limit: 250, period: 'month' },
-    priority: 1,
-    icon: '🏠'
-  },
-  us_real_estate: {
-    id: 'us_real_estate',
-    name: 'US Real Estate',
-    description: 'High quality data (300/month)',
-    quota: { limit: 300, period: 'month' },
-    priority: 2,
-    icon: '🏘️'
-  },
-  redfin: {
-    id: 'redfin',
-    name: 'Redfin',
-    description: 'Good quality data (111/month)',
-    quota: { limit: 111, period: 'month' },
-    priority: 3,
-    icon: '🏡'
-  },
-  gemini: {
-    id: 'gemini',
-    name: 'Gemini AI',
-    description: 'AI-powered fallback (1500/day)',
-    quota: { limit: 1500, period: 'day' },
-    priority: 4,
-    icon: '🤖'
-  }
-};
+function toAPIOption(provider) {
+  return {
+    id: provider.id,
+    name: provider.name,
+    description: provider.description,
+    quota: provider.quota,
+    priority: provider.priority,
+    icon: provider.icon
+  };
+}
+
+/**
+ * Available API options with metadata, keyed by ID, from the data provider
+ * registry. Built on each call rather than at load, so it doesn't depend on
+ * Apps Script loading shared-core/api first and includes providers
+ * registered since.
+ * @returns {Object<string, Object>} Options by ID, 'auto' included
+ */
+export function getAPIOptions() {
+  return getDataProviders().reduce(function(options, provider) {
+    options[provider.id] = toAPIOption(provider);
+    return options;
+  }, { auto: AUTO_OPTION });
+}
 
 /**
  * Default API priority order (used in Auto mode)
+ * @returns {Array<string>} Provider IDs, highest priority first
  */
-const DEFAULT_PRIORITY = ['private_zillow', 'us_real_estate', 'redfin', 'gemini'];
+export function getDefaultPriority() {
+  return getDataProviders().map(function(provider) {
+    return provider.id;
+  });
+}
 
 /**
  * Get list of available API options
  * @returns {Array} Array of API option objects
  */
-function getAvailableAPIs() {
-  return Object.values(API_OPTIONS);
+export function getAvailableAPIs() {
+  return [AUTO_OPTION].concat(getDataProviders().map(toAPIOption));
 }
 
 /**
@@ -72,8 +72,10 @@ function getAvailableAPIs() {
  * @param {string} apiId - API identifier (e.g., 'private_zillow', 'auto')
  * @returns {Object|null} API option object or null if not found
  */
-function getAPIOption(apiId) {
-  return API_OPTIONS[apiId] || null;
+export function getAPIOption(apiId) {
+  if (apiId === 'auto') return AUTO_OPTION;
+  const provider = getDataProvider(apiId);
+  return provider ? toAPIOption(provider) : null;
 }
 
 /**
@@ -81,14 +83,16 @@ function getAPIOption(apiId) {
  * @param {string} primaryAPI - Primary API ID or 'auto'
  * @returns {Array<string>} Ordered array of API IDs to attempt
  */
-function getAPICallOrder(primaryAPI) {
+export function getAPICallOrder(primaryAPI) {
+  const priority = getDefaultPriority();
+
   // If auto mode or invalid selection, use default priority
-  if (!primaryAPI || primaryAPI === 'auto' || !API_OPTIONS[primaryAPI]) {
-    return [...DEFAULT_PRIORITY];
+  if (!primaryAPI || primaryAPI === 'auto' || !priority.includes(primaryAPI)) {
+    return priority;
   }
 
   // If specific API selected, put it first then add others
-  const otherAPIs = DEFAULT_PRIORITY.filter(api => api !== primaryAPI);
+  const otherAPIs = priority.filter(api => api !== primaryAPI);
   return [primaryAPI, ...otherAPIs];
 }
 
@@ -97,7 +101,7 @@ function getAPICallOrder(primaryAPI) {
  * @param {string} primaryAPI - Primary API ID
  * @returns {Array<string>} Array of fallback API IDs
  */
-function getFallbackAPIs(primaryAPI) {
+export function getFallbackAPIs(primaryAPI) {
   const order = getAPICallOrder(primaryAPI);
   // Return all except the first (which is the primary)
   return order.slice(1);
@@ -108,8 +112,8 @@ function getFallbackAPIs(primaryAPI) {
  * @param {string} apiId - API identifier to validate
  * @returns {boolean} True if valid API ID
  */
-function isValidAPIId(apiId) {
-  return apiId === 'auto' || DEFAULT_PRIORITY.includes(apiId);
+export function isValidAPIId(apiId) {
+  return apiId === 'auto' || !!getDataProvider(apiId);
 }
 
 /**
@@ -117,18 +121,18 @@ function isValidAPIId(apiId) {
  * @param {string} apiId - API identifier
  * @returns {string} Display name
  */
-function getAPIDisplayName(apiId) {
-  const option = API_OPTIONS[apiId];
+export function getAPIDisplayName(apiId) {
+  const option = getAPIOption(apiId);
   return option ? option.name : 'Unknown';
 }
 
 /**
  * Get quota information for API
  * @param {string} apiId - API identifier
- * @returns {Object|null} Quota info { limit, period } or null if not available
+ * @returns {{limit: number, period: string}|null} Quota info or null if not available
  */
-function getAPIQuota(apiId) {
-  const option = API_OPTIONS[apiId];
+export function getAPIQuota(apiId) {
+  const option = getAPIOption(apiId);
   return option && option.quota ? option.quota : null;
 }
 
@@ -138,7 +142,7 @@ function getAPIQuota(apiId) {
  * @param {string} actualAPI - API that was actually used
  * @returns {string} Formatted log message
  */
-function formatAPISelectionLog(primaryAPI, actualAPI) {
+export function formatAPISelectionLog(primaryAPI, actualAPI) {
   const primaryName = getAPIDisplayName(primaryAPI);
   const actualName = getAPIDisplayName(actualAPI);
 
@@ -156,7 +160,7 @@ function formatAPISelectionLog(primaryAPI, actualAPI) {
  * @param {number} percentage - Usage percentage (0-100)
  * @returns {string} Status emoji
  */
-function getStatusEmoji(percentage) {
+export function getStatusEmoji(percentage) {
   if (percentage >= 90) return '🔴';
   if (percentage >= 75) return '🟡';
   return '🟢';
@@ -168,44 +172,7 @@ function getStatusEmoji(percentage) {
  * @param {number} limit - Total quota limit
  * @returns {number} Percentage (0-100)
  */
-function calculateUsagePercentage(used, limit) {
+export function calculateUsagePercentage(used, limit) {
   if (!limit || limit === 0) return 0;
   return Math.round((used / limit) * 100);
 }
-
-// Export for CommonJS (Google Apps Script) and ES6 (Web App)
-if (typeof module !== 'undefined' && module.exports) {
-  // CommonJS
-  module.exports = {
-    getAvailableAPIs,
-    getAPIOption,
-    getAPICallOrder,
-    getFallbackAPIs,
-    isValidAPIId,
-    getAPIDisplayName,
-    getAPIQuota,
-    formatAPISelectionLog,
-    getStatusEmoji,
-    calculateUsagePercentage,
-    API_OPTIONS,
-    DEFAULT_PRIORITY
-  };
-}
-
-// Also support direct usage in Google Apps Script global scope
-if (typeof global !== 'undefined') {
-  global.APISelector = {
-    getAvailableAPIs,
-    getAPIOption,
-    getAPICallOrder,
-    getFallbackAPIs,
-    isValidAPIId,
-    getAPIDisplayName,
-    getAPIQuota,
-    formatAPISelectionLog,
-    getStatusEmoji,
-    calculateUsagePercentage,
-    API_OPTIONS,
-    DEFAULT_PRIORITY
-  };
-}
@@ -9,11 +9,13 @@
  * @module shared-core/utils/quota
  */
 
+import { getDataProvider, getDataProviders } from '../api/providers.js';
+
 /**
  * API quota reference limits
  * NOTE: Actual usage tracked via response headers, not local counters
  */
-const API_QUOTAS = {
+export const API_QUOTAS = {
   // Priority 1: Private Zillow (250/month)
   PRIVATE_ZILLOW_MONTHLY_LIMIT: 250,
 
@@ -28,14 +30,11 @@ const API_QUOTAS = {
 };
 
 /**
- * API priority order (quality-based)
+ * API priority order (quality-based), from the data provider registry
  */
-const API_PRIORITY = [
-  'private_zillow',  // Priority 1: 250/month - Best quality
-  'us_real_estate',  // Priority 2: 300/month - High quality
-  'redfin',          // Priority 3: 111/month - Good quality
-  'gemini'           // Priority 4: 1500/day - Fallback only
-];
+export const API_PRIORITY = getDataProviders().map(function(provider) {
+  return provider.id;
+});
 
 /**
  * Get API quota limit
@@ -43,7 +42,7 @@ const API_PRIORITY = [
  * @param {string} period - Period (month, day)
  * @returns {number} Quota limit
  */
-function getAPIQuotaLimit(apiName, period) {
+export function getAPIQuotaLimit(apiName, period) {
   const key = `${apiName.toUpperCase()}_${period.toUpperCase()}_LIMIT`;
   return API_QUOTAS[key] || 0;
 }
@@ -52,7 +51,7 @@ function getAPIQuotaLimit(apiName, period) {
  * Get API priority order
  * @returns {Array} Array of API names in priority order
  */
-function getAPIPriority() {
+export function getAPIPriority() {
   return API_PRIORITY.slice(); // Return copy
 }
 
@@ -61,7 +60,7 @@ function getAPIPriority() {
  * @param {string} period - Period type (month, day)
  * @returns {string} Period key (e.g., "2025-01" for month, "2025-01-05" for day)
  */
-function getCurrentPeriodKey(period) {
+export function getCurrentPeriodKey(period) {
   const now = new Date();
 
   if (period === 'month') {
@@ -78,7 +77,7 @@ function getCurrentPeriodKey(period) {
  * @param {string} period - Period (month, day)
  * @returns {string} Reset date (ISO string)
  */
-function getQuotaResetDate(period) {
+export function getQuotaResetDate(period) {
   const now = new Date();
 
   if (period === 'month') {
@@ -99,13 +98,12 @@ function getQuotaResetDate(period) {
  * @param {string} apiName - API name to validate
  * @returns {boolean} True if valid
  */
-function isValidAPIName(apiName) {
+export function isValidAPIName(apiName) {
   if (!apiName || typeof apiName !== 'string') {
     return false;
   }
 
-  const validNames = ['private_zillow', 'us_real_estate', 'redfin', 'gemini'];
-  return validNames.indexOf(apiName.toLowerCase()) !== -1;
+  return !!getDataProvider(apiName.toLowerCase());
 }
 
 /**
@@ -113,7 +111,7 @@ function isValidAPIName(apiName) {
  * @param {string} apiName - API name to normalize
  * @returns {string} Normalized API name
  */
-function normalizeAPIName(apiName) {
+export function normalizeAPIName(apiName) {
   if (!apiName) {
     return '';
   }
@@ -9,12 +9,14 @@
  * @module shared-core/utils/usageTracking
  */
 
+import { getDataProvider, getDataProviders } from '../api/providers.js';
+
 /**
  * Extract usage data from RapidAPI response headers
  * @param {Object} headers - Response headers object
  * @returns {Object|null} Usage data or null
  */
-function extractRapidAPIUsage(headers) {
+export function extractRapidAPIUsage(headers) {
   if (!headers || typeof headers !== 'object') {
     return null;
   }
@@ -56,7 +58,7 @@ function extractRapidAPIUsage(headers) {
  * @param {number} threshold - Percentage threshold (default: 90)
  * @returns {boolean} True if under threshold
  */
-function hasQuotaRemaining(usage, threshold) {
+export function hasQuotaRemaining(usage, threshold) {
   if (!usage) {
     return true; // Unknown usage, allow call
   }
@@ -71,7 +73,7 @@ function hasQuotaRemaining(usage, threshold) {
  * @param {Object} usage - Usage object
  * @returns {string|null} Warning message or null
  */
-function getQuotaWarning(apiName, usage) {
+export function getQuotaWarning(apiName, usage) {
   if (!usage) {
     return null;
   }
@@ -94,7 +96,7 @@ function getQuotaWarning(apiName, usage) {
  * @param {Object} usage - Usage object
  * @returns {string} Status level: 'healthy', 'warning', 'critical', 'exhausted'
  */
-function getQuotaStatusLevel(usage) {
+export function getQuotaStatusLevel(usage) {
   if (!usage) {
     return 'unknown';
   }
@@ -116,7 +118,7 @@ function getQuotaStatusLevel(usage) {
  * @param {Object} usage - Usage object
  * @returns {string} Formatted usage string
  */
-function formatUsageDisplay(apiName, usage) {
+export function formatUsageDisplay(apiName, usage) {
   if (!usage) {
     return apiName + ': No recent calls - usage unknown';
   }
@@ -130,7 +132,7 @@ function formatUsageDisplay(apiName, usage) {
  * @param {string} period - Period type ('month' or 'day')
  * @returns {Object} Time until reset {days, hours, minutes, seconds}
  */
-function getTimeUntilReset(period) {
+export function getTimeUntilReset(period) {
   const now = new Date();
   let resetDate;
 
@@ -160,7 +162,7 @@ function getTimeUntilReset(period) {
  * @param {string} period - Period type ('month' or 'day')
  * @returns {string} Formatted time string
  */
-function formatTimeUntilReset(period) {
+export function formatTimeUntilReset(period) {
   const time = getTimeUntilReset(period);
   if (!time) {
     return 'Unknown';
@@ -180,24 +182,17 @@ function formatTimeUntilReset(period) {
  * @param {string} url - API endpoint URL
  * @returns {string|null} API name or null
  */
-function getAPINameFromURL(url) {
+export function getAPINameFromURL(url) {
   if (!url || typeof url !== 'string') {
     return null;
   }
 
   const lowerUrl = url.toLowerCase();
+  const matches = getDataProviders().filter(function(provider) {
+    return lowerUrl.includes(provider.host) || lowerUrl.includes(provider.id.replace(/_/g, '-'));
+  });
 
-  if (lowerUrl.includes('private-zillow')) {
-    return 'private_zillow';
-  } else if (lowerUrl.includes('redfin-base-us') || lowerUrl.includes('redfin')) {
-    return 'redfin';
-  } else if (lowerUrl.includes('us-real-estate')) {
-    return 'us_real_estate';
-  } else if (lowerUrl.includes('generativelanguage') || lowerUrl.includes('gemini')) {
-    return 'gemini';
-  }
-
-  return null;
+  return matches.length > 0 ? matches[0].id : null;
 }
 
 /**
@@ -205,15 +200,9 @@ function getAPINameFromURL(url) {
  * @param {string} apiName - API name
  * @returns {string} Base URL for the API
  */
-function getAPIBaseURL(apiName) {
-  const urls = {
-    'private_zillow': 'https://private-zillow.p.rapidapi.com',
-    'redfin': 'https://redfin-base-us.p.rapidapi.com',
-    'us_real_estate': 'https://us-real-estate.p.rapidapi.com',
-    'gemini': 'https://generativelanguage.googleapis.com'
-  };
-
-  return urls[apiName] || '';
+export function getAPIBaseURL(apiName) {
+  const provider = getDataProvider(apiName);
+  return provider ? provider.baseUrl : '';
 }
 
 /**
@@ -221,7 +210,7 @@ function getAPIBaseURL(apiName) {
  * @param {string} apiName - API name
  * @returns {string} Display name for the API
  */
-function getAPIDisplayName(apiName) {
+export function getAPIDisplayName(apiName) {
   const displayNames = {
     'private_zillow': 'Private Zillow',
     'redfin': 'Redfin Base US',
@@ -229,7 +218,9 @@ function getAPIDisplayName(apiName) {
     'gemini': 'Gemini AI'
   };
 
-  return displayNames[apiName] || apiName;
+  if (displayNames[apiName]) return displayNames[apiName];
+  const provider = getDataProvider(apiName);
+  return provider ? provider.name : apiName;
 }
 
 /**
@@ -237,7 +228,7 @@ function getAPIDisplayName(apiName) {
  * @param {Object} usage - Usage object to validate
  * @returns {boolean} True if valid
  */
-function isValidUsageObject(usage) {
+export function isValidUsageObject(usage) {
   if (!usage || typeof usage !== 'object') {
     return false;
   }
@@ -256,7 +247,7 @@ function isValidUsageObject(usage) {
  * @param {Array} usageArray - Array of usage objects
  * @returns {Object} Merged usage data
  */
-function mergeUsageData(usageArray) {
+export function mergeUsageData(usageArray) {
   if (!Array.isArray(usageArray) || usageArray.length === 0) {
     return null;
   }
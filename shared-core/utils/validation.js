@@ -17,7 +17,7 @@
  * @param {string} zip - Zip code
  * @returns {Object} { valid: boolean, errors: Array }
  */
-function validateAddress(address, city, state, zip) {
+export function validateAddress(address, city, state, zip) {
   const errors = [];
 
   if (!address || typeof address !== 'string' || address.trim().length === 0) {
@@ -49,7 +49,7 @@ function validateAddress(address, city, state, zip) {
  * @param {Object} propertyData - Property data object
  * @returns {Object} { valid: boolean, errors: Array }
  */
-function validatePropertyData(propertyData) {
+export function validatePropertyData(propertyData) {
   const errors = [];
 
   if (!propertyData || typeof propertyData !== 'object') {
@@ -88,7 +88,7 @@ function validatePropertyData(propertyData) {
  * @param {string} fieldName - Field name for error message
  * @returns {Object} { valid: boolean, error?: string }
  */
-function validatePositiveNumber(value, fieldName) {
+export function validatePositiveNumber(value, fieldName) {
   if (value === undefined || value === null) {
     return {
       valid: false,
@@ -119,7 +119,7 @@ function validatePositiveNumber(value, fieldName) {
  * @param {string} fieldName - Field name for error message
  * @returns {Object} { valid: boolean, error?: string }
  */
-function validateNonNegativeNumber(value, fieldName) {
+export function validateNonNegativeNumber(value, fieldName) {
   if (value === undefined || value === null) {
     return {
       valid: false,
@@ -150,7 +150,7 @@ function validateNonNegativeNumber(value, fieldName) {
  * @param {string} fieldName - Field name for error message
  * @returns {Object} { valid: boolean, error?: string }
  */
-function validatePercentage(value, fieldName) {
+export function validatePercentage(value, fieldName) {
   if (value === undefined || value === null) {
     return {
       valid: false,
@@ -181,7 +181,7 @@ function validatePercentage(value, fieldName) {
  * @param {string} fieldName - Field name for error message
  * @returns {Object} { valid: boolean, error?: string }
  */
-function validateDecimalRate(value, fieldName) {
+export function validateDecimalRate(value, fieldName) {
   if (value === undefined || value === null) {
     return {
       valid: false,
@@ -212,7 +212,7 @@ function validateDecimalRate(value, fieldName) {
  * @param {string} fieldName - Field name for error message
  * @returns {Object} { valid: boolean, error?: string }
  */
-function validateNonEmptyArray(value, fieldName) {
+export function validateNonEmptyArray(value, fieldName) {
   if (!value) {
     return {
       valid: false,
@@ -243,7 +243,7 @@ function validateNonEmptyArray(value, fieldName) {
  * @param {string} fieldName - Field name for error message
  * @returns {Object} { valid: boolean, error?: string }
  */
-function validateNonEmptyString(value, fieldName) {
+export function validateNonEmptyString(value, fieldName) {
   if (!value) {
     return {
       valid: false,
@@ -273,7 +273,7 @@ function validateNonEmptyString(value, fieldName) {
  * @param {string} email - Email to validate
  * @returns {Object} { valid: boolean, error?: string }
  */
-function validateEmail(email) {
+export function validateEmail(email) {
   if (!email || typeof email !== 'string') {
     return {
       valid: false,
@@ -298,7 +298,7 @@ function validateEmail(email) {
  * @param {string} fieldName - Field name for error message
  * @returns {Object} { valid: boolean, error?: string, date?: Date }
  */
-function validateDateString(dateString, fieldName) {
+export function validateDateString(dateString, fieldName) {
   if (!dateString || typeof dateString !== 'string') {
     return {
       valid: false,
@@ -332,7 +332,7 @@ function validateDateString(dateString, fieldName) {
  * @param {Object} comp - Comp object to validate
  * @returns {Object} { valid: boolean, errors: Array }
  */
-function validateComp(comp) {
+export function validateComp(comp) {
   const errors = [];
 
   if (!comp || typeof comp !== 'object') {
@@ -372,7 +372,7 @@ function validateComp(comp) {
  * @param {Object} estimate - Estimate object to validate
  * @returns {Object} { valid: boolean, errors: Array }
  */
-function validateEstimate(estimate) {
+export function validateEstimate(estimate) {
   const errors = [];
 
   if (!estimate || typeof estimate !== 'object') {
@@ -405,7 +405,7 @@ function validateEstimate(estimate) {
  * @param {string} input - Input string
  * @returns {string} Sanitized string
  */
-function sanitizeString(input) {
+export function sanitizeString(input) {
   if (!input || typeof input !== 'string') {
     return '';
   }
@@ -419,7 +419,7 @@ function sanitizeString(input) {
  * @param {number} defaultValue - Default value if invalid
  * @returns {number} Sanitized number
  */
-function sanitizeNumber(input, defaultValue) {
+export function sanitizeNumber(input, defaultValue) {
   const num = parseFloat(input);
 
   if (isNaN(num)) {
@@ -436,7 +436,7 @@ function sanitizeNumber(input, defaultValue) {
  * @param {number} max - Maximum value
  * @returns {number} Clamped value
  */
-function clampNumber(value, min, max) {
+export function clampNumber(value, min, max) {
   if (typeof value !== 'number' || isNaN(value)) {
     return min;
   }
@@ -449,7 +449,7 @@ function clampNumber(value, min, max) {
  * @param {Object} propertyData - Raw property data
  * @returns {Object} { valid: boolean, data?: Object, errors?: Array }
  */
-function validateAndSanitizePropertyData(propertyData) {
+export function validateAndSanitizePropertyData(propertyData) {
   const validation = validatePropertyData(propertyData);
 
   if (!validation.valid) {
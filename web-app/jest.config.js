@@ -15,9 +15,9 @@ export default {
     '^@/(.*)$': '<rootDir>/src/$1',
   },
 
-  // Transform files with babel-jest
+  // Transform files with swc (.js covers the shared-core ES modules behind src/shared-core)
   transform: {
-    '^.+\\.tsx?$': ['@swc/jest', {
+    '^.+\\.[jt]sx?$': ['@swc/jest', {
       jsc: {
         parser: {
           syntax: 'typescript',
@@ -27,6 +27,14 @@ export default {
           react: {
             runtime: 'automatic',
           },
+          // Vite's import.meta.env doesn't exist under CommonJS; read VITE_* from process.env
+          optimizer: {
+            globals: {
+              vars: {
+                'import.meta.env': 'process.env',
+              },
+            },
+          },
         },
       },
     }],
@@ -4,7 +4,6 @@ import { mockAnalyzeProperty, getMockApiUsage } from './services/mockApi';
 import { PropertyFormData, PropertyAnalysisResult } from './types/property';
 import { TabMode } from './types/tabs';
 import {
-  clearAllPropertyData,
   getPropertyHistory,
   savePropertyToHistory,
   removePropertyFromHistory,
@@ -16,12 +15,37 @@ import PropertyHistory from './components/PropertyHistory';
 import Sidebar from './components/Sidebar';
 import MenuBar from './components/MenuBar';
 import InstallPrompt from './components/InstallPrompt';
+import AddToPortfolio from './components/portfolio/AddToPortfolio';
+import ImportWorkspaceModal from './components/workspace/ImportWorkspaceModal';
+import ScoringProfilesModal from './components/scoring/ScoringProfilesModal';
+import CacheInspectorModal from './components/cache/CacheInspectorModal';
+import { WorkspaceImportSummary } from './types/workspace';
+import { useScoringProfiles } from './hooks/useScoringProfiles';
+import {
+  findScoringProfile,
+  getActiveScoringProfileId,
+  scoreAnalysis,
+  setActiveScoringProfileId,
+} from './utils/scoringProfiles';
+import {
+  exportWorkspace,
+  getPropertyAnalysis,
+  getPropertyIdForRun,
+  savePropertyAnalysis,
+} from './utils/db';
+import { applyFinancing } from './utils/financing';
+import { applySTR } from './utils/str';
+import { applyRehabScope } from './utils/rehab';
+import { applyUnitMix } from './utils/units';
+import { loadTaxProfileInputs, saveTaxProfileInputs } from './utils/tax';
+import { TaxProfileInputs } from './types/tax';
 import { QuotaManager } from './adapters/coreAdapter';
 
 // Lazy load tab components for better performance
 const InputsSummaryTab = lazy(() => import('./components/tabs/InputsSummaryTab'));
 const FlipAnalysisTab = lazy(() => import('./components/tabs/FlipAnalysisTab'));
 const RentalAnalysisTab = lazy(() => import('./components/tabs/RentalAnalysisTab'));
+const STRAnalysisTab = lazy(() => import('./components/tabs/STRAnalysisTab'));
 const TaxBenefitsTab = lazy(() => import('./components/tabs/TaxBenefitsTab'));
 const AmortizationTab = lazy(() => import('./components/tabs/AmortizationTab'));
 const CompsTab = lazy(() => import('./components/tabs/CompsTab'));
@@ -34,6 +58,9 @@ const PartnershipManagementTab = lazy(() => import('./components/tabs/Partnershi
 const FilteredCompsTab = lazy(() => import('./components/tabs/FilteredCompsTab'));
 const LocationQualityTab = lazy(() => import('./components/tabs/LocationQualityTab'));
 const StateComparisonTab = lazy(() => import('./components/tabs/StateComparisonTab'));
+const PortfolioPage = lazy(() => import('./components/portfolio/PortfolioPage'));
+const CompareView = lazy(() => import('./components/compare/CompareView'));
+const RunHistoryTab = lazy(() => import('./components/tabs/RunHistoryTab'));
 
 // Loading fallback component
 const TabLoadingFallback = () => (
@@ -42,7 +69,7 @@ const TabLoadingFallback = () => (
   </div>
 );
 
-type ViewMode = 'form' | 'results';
+type ViewMode = 'form' | 'results' | 'portfolio' | 'compare';
 
 function App() {
   const [viewMode, setViewMode] = useState<ViewMode>('form');
@@ -60,6 +87,16 @@ function App() {
   const [apiUsageExpanded, setApiUsageExpanded] = useState<boolean>(true);
   const [refreshingUsage, setRefreshingUsage] = useState<boolean>(false);
   const [primaryAPI, setPrimaryAPI] = useState<string>('auto');
+  const [showImportWorkspace, setShowImportWorkspace] = useState<boolean>(false);
+  const [showScoringProfiles, setShowScoringProfiles] = useState<boolean>(false);
+  const [showCacheInspector, setShowCacheInspector] = useState<boolean>(false);
+  const [taxProfile, setTaxProfile] = useState<TaxProfileInputs>(loadTaxProfileInputs);
+  const {
+    profiles: scoringProfiles,
+    reload: reloadScoringProfiles,
+    saveProfile,
+    deleteProfile,
+  } = useScoringProfiles();
 
   // Check if real API is configured
   const API_URL = import.meta.env.VITE_API_URL;
@@ -72,6 +109,12 @@ function App() {
     console.log(`Primary API changed to: ${apiName}`);
   };
 
+  // The tax profile is the investor's, so it is kept across analyses
+  const handleTaxProfileChange = (profile: TaxProfileInputs) => {
+    setTaxProfile(profile);
+    saveTaxProfileInputs(profile);
+  };
+
   // Auto-revert to 'auto' if selected API becomes blocked
   useEffect(() => {
     if (primaryAPI !== 'auto' && apiUsage) {
@@ -123,13 +166,14 @@ function App() {
     };
   }, [isRealApiConfigured]);
 
-  const handleFormSubmit = async (data: PropertyFormData) => {
+  // forceRefresh re-runs the analysis on the backend even when an unchanged run is cached
+  const handleFormSubmit = async (data: PropertyFormData, forceRefresh: boolean = false) => {
     setLoading(true);
     setError('');
 
     try {
-      // Generate unique property ID
-      const newPropertyId = `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+      // Re-runs of a saved address keep its property ID so they share one snapshot timeline
+      const newPropertyId = await getPropertyIdForRun(data);
       setPropertyId(newPropertyId);
 
       // Automatically switch to Advanced mode when using Deep analysis mode
@@ -139,12 +183,17 @@ function App() {
 
       // Use real API if configured, otherwise use mock API
       const response = isRealApiConfigured
-        ? await analyzeProperty(data)
+        ? await analyzeProperty(data, forceRefresh)
         : await mockAnalyzeProperty(data);
 
       if (response.success && response.data) {
-        // Ensure property field exists in the response
-        const resultsData = response.data as PropertyAnalysisResult;
+        // Re-price on the form's loan structure, add the short-term rental and the rehab scope
+        // of work before scoring, then ensure property field exists. Works on a copy so the
+        // cached response stays as the backend sent it.
+        const resultsData = applyRehabScope(
+          applySTR(applyUnitMix(applyFinancing({ ...(response.data as PropertyAnalysisResult) }, data), data), data),
+          data
+        );
 
         // Check if we have critical data
         if (!resultsData.flip && !resultsData.rental) {
@@ -167,11 +216,19 @@ function App() {
           };
         }
 
+        // Score with this analysis's profile so the star rating follows the user's own criteria
+        const scoringProfile = findScoringProfile(scoringProfiles, data.scoringProfileId);
+        resultsData.score = scoreAnalysis(resultsData, scoringProfile);
+        setActiveScoringProfileId(scoringProfile.id);
+
         setAnalysisResults(resultsData);
         setFormData(data);
         setViewMode('results');
         setActiveTab('inputs'); // Start with inputs summary tab
 
+        // Keep the full results for compare/portfolio, and snapshot the run for its timeline
+        await savePropertyAnalysis(newPropertyId, data, resultsData);
+
         // Save to history
         await savePropertyToHistory(data);
         const updatedHistory = await getPropertyHistory();
@@ -198,13 +255,9 @@ function App() {
     }
   };
 
-  const handleNewAnalysis = async () => {
-    // Clear IndexedDB for current property
-    if (propertyId) {
-      await clearAllPropertyData(propertyId);
-    }
-
-    // Reset state
+  const handleNewAnalysis = () => {
+    // Back to the form. Saved analyses, run history, trackers and partnership data
+    // stay in IndexedDB for compare, portfolios and later re-runs of the property.
     setViewMode('form');
     setAnalysisResults(null);
     setFormData(null);
@@ -235,6 +288,58 @@ function App() {
     }
   };
 
+  const handleOpenPortfolio = () => {
+    setError('');
+    setViewMode('portfolio');
+  };
+
+  const handleOpenCompare = () => {
+    setError('');
+    setViewMode('compare');
+  };
+
+  const handleBackToAnalysis = () => {
+    setViewMode(analysisResults ? 'results' : 'form');
+  };
+
+  const handleOpenSavedAnalysis = async (savedPropertyId: string) => {
+    const saved = await getPropertyAnalysis(savedPropertyId);
+    if (!saved) {
+      setError('The saved analysis for this property could not be found.');
+      return;
+    }
+
+    setAnalysisResults(saved.analysisResults);
+    setFormData(saved.formData);
+    setPropertyId(saved.propertyId);
+    setActiveTab('inputs');
+    setViewMode('results');
+  };
+
+  const handleExportWorkspace = async () => {
+    try {
+      const archive = await exportWorkspace();
+      const dataBlob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(dataBlob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `rei-workspace-${archive.exportedAt.slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Workspace export failed');
+    }
+  };
+
+  const handleWorkspaceImported = async (summary: WorkspaceImportSummary) => {
+    setPropertyHistory(await getPropertyHistory());
+    await reloadScoringProfiles();
+    window.alert(
+      `Imported ${summary.properties} properties: ${summary.added} new, ${summary.updated} updated` +
+        (summary.kept > 0 ? `, ${summary.kept} kept (local copy was newer)` : '')
+    );
+  };
+
   const handleTabChange = (tabId: string) => {
     setActiveTab(tabId);
   };
@@ -261,7 +366,7 @@ function App() {
         return <InputsSummaryTab formData={formData} results={analysisResults} onEdit={handleNewAnalysis} />;
       case 'flip':
         return analysisResults.flip ? (
-          <FlipAnalysisTab flip={analysisResults.flip} />
+          <FlipAnalysisTab flip={analysisResults.flip} propertyId={propertyId} formData={formData} />
         ) : (
           <div className="bg-yellow-50 border-l-4 border-yellow-400 p-6 rounded-r-lg">
             <div className="flex items-start">
@@ -288,24 +393,51 @@ function App() {
         );
       case 'rental':
         return analysisResults.rental ? (
-          <RentalAnalysisTab rental={analysisResults.rental} />
+          <RentalAnalysisTab rental={analysisResults.rental} arv={analysisResults.flip?.arv} formData={formData} />
         ) : (
           <div className="bg-yellow-50 border-l-4 border-yellow-400 p-6 rounded-r-lg">
             <p className="text-yellow-800">Rental analysis data not available.</p>
           </div>
         );
+      case 'str':
+        return analysisResults.str ? (
+          <STRAnalysisTab str={analysisResults.str} rental={analysisResults.rental} />
+        ) : (
+          <div className="bg-yellow-50 border-l-4 border-yellow-400 p-6 rounded-r-lg">
+            <p className="text-yellow-800">
+              Add a nightly rate under Short-Term Rental on the property form to analyze this deal as an Airbnb.
+            </p>
+          </div>
+        );
       case 'tax':
-        return <TaxBenefitsTab results={analysisResults} />;
+        return analysisResults.rental ? (
+          <TaxBenefitsTab
+            rental={analysisResults.rental}
+            formData={formData}
+            taxProfile={taxProfile}
+            onTaxProfileChange={handleTaxProfileChange}
+          />
+        ) : (
+          <div className="bg-yellow-50 border-l-4 border-yellow-400 p-6 rounded-r-lg">
+            <p className="text-yellow-800">Tax benefits analysis requires rental property data.</p>
+          </div>
+        );
       case 'amortization':
         return analysisResults.rental ? (
-          <AmortizationTab rental={analysisResults.rental} />
+          <AmortizationTab rental={analysisResults.rental} formData={formData} />
         ) : (
           <div className="bg-yellow-50 border-l-4 border-yellow-400 p-6 rounded-r-lg">
             <p className="text-yellow-800">Amortization schedule requires rental property data.</p>
           </div>
         );
       case 'comps':
-        return <CompsTab comps={analysisResults.comps || []} />;
+        return (
+          <CompsTab
+            comps={analysisResults.comps || []}
+            targetSqft={formData.sqft}
+            targetUnits={analysisResults.rental?.unitCount}
+          />
+        );
       case 'flip-sensitivity':
         return analysisResults.flip ? (
           <SensitivityMatrixTab flip={analysisResults.flip} />
@@ -317,11 +449,18 @@ function App() {
       case 'charts':
         return <ChartsTab flip={analysisResults.flip} rental={analysisResults.rental} />;
       case 'advanced-metrics':
-        return <AdvancedMetricsTab flip={analysisResults.flip} rental={analysisResults.rental} />;
+        return (
+          <AdvancedMetricsTab
+            flip={analysisResults.flip}
+            rental={analysisResults.rental}
+            formData={formData}
+            taxProfile={taxProfile}
+          />
+        );
       case 'loan-comparison':
         return <LoanComparisonTab rental={analysisResults.rental} />;
       case 'project-tracker':
-        return <ProjectTrackerTab propertyId={propertyId} />;
+        return <ProjectTrackerTab propertyId={propertyId} rehabScope={analysisResults.flip?.rehabScope} />;
       case 'partnership':
         return <PartnershipManagementTab data={analysisResults} propertyId={propertyId} />;
       case 'filtered-comps':
@@ -330,6 +469,8 @@ function App() {
         return <LocationQualityTab locationData={analysisResults.locationQuality} />;
       case 'state-comparison':
         return <StateComparisonTab purchasePrice={formData.purchasePrice} />;
+      case 'run-history':
+        return <RunHistoryTab propertyId={propertyId} />;
       default:
         return (
           <div className="bg-gray-50 border-l-4 border-gray-400 p-6 rounded-r-lg">
@@ -416,7 +557,13 @@ function App() {
       {/* Menu Bar */}
       <MenuBar
         onNewAnalysis={handleNewAnalysis}
+        onOpenPortfolio={handleOpenPortfolio}
+        onOpenCompare={handleOpenCompare}
         onExport={handleExport}
+        onExportWorkspace={handleExportWorkspace}
+        onImportWorkspace={() => setShowImportWorkspace(true)}
+        onManageScoringProfiles={() => setShowScoringProfiles(true)}
+        onInspectCache={() => setShowCacheInspector(true)}
         onPrint={handlePrint}
         onModeChange={handleModeChange}
         currentMode={mode}
@@ -673,7 +820,21 @@ function App() {
 
           {/* Main Content */}
           <div className="max-w-7xl mx-auto">
-            {viewMode === 'form' ? (
+            {viewMode === 'portfolio' ? (
+              <Suspense fallback={<TabLoadingFallback />}>
+                <PortfolioPage
+                  onOpenAnalysis={handleOpenSavedAnalysis}
+                  onBack={handleBackToAnalysis}
+                />
+              </Suspense>
+            ) : viewMode === 'compare' ? (
+              <Suspense fallback={<TabLoadingFallback />}>
+                <CompareView
+                  onOpenAnalysis={handleOpenSavedAnalysis}
+                  onBack={handleBackToAnalysis}
+                />
+              </Suspense>
+            ) : viewMode === 'form' ? (
               <>
                 {/* Property History */}
                 <PropertyHistory
@@ -689,6 +850,10 @@ function App() {
                   onSubmit={handleFormSubmit}
                   loading={loading}
                   selectedHistoryData={selectedHistoryData}
+                  scoringProfiles={scoringProfiles}
+                  onManageScoringProfiles={() => setShowScoringProfiles(true)}
+                  apiUsage={apiUsage}
+                  primaryAPI={primaryAPI}
                 />
               </>
             ) : analysisResults ? (
@@ -701,13 +866,42 @@ function App() {
                       <p className="text-gray-600 mt-1">
                         {analysisResults.property?.address || formData?.address}, {analysisResults.property?.city || formData?.city}, {analysisResults.property?.state || formData?.state} {analysisResults.property?.zip || formData?.zip}
                       </p>
+                      {analysisResults.score && (
+                        <p className="text-sm text-gray-700 mt-2">
+                          <span className="font-semibold">Deal Score {analysisResults.score.score}</span>{' '}
+                          {'⭐'.repeat(analysisResults.score.stars)} · {analysisResults.score.rating}
+                          {analysisResults.score.profileName && (
+                            <span className="text-gray-500"> · {analysisResults.score.profileName} profile</span>
+                          )}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex items-start gap-3">
+                      {formData && (
+                        <AddToPortfolio
+                          key={propertyId}
+                          propertyId={propertyId}
+                          formData={formData}
+                          results={analysisResults}
+                        />
+                      )}
+                      {formData && isRealApiConfigured && (
+                        <button
+                          onClick={() => handleFormSubmit(formData, true)}
+                          disabled={loading}
+                          title="Run this analysis again on fresh data instead of the cached result"
+                          className="px-4 py-2 bg-white text-primary-700 border border-primary-600 rounded-lg hover:bg-primary-50 transition-colors shadow-sm disabled:opacity-50"
+                        >
+                          {loading ? 'Refreshing…' : 'Refresh Data'}
+                        </button>
+                      )}
+                      <button
+                        onClick={handleNewAnalysis}
+                        className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors shadow-sm"
+                      >
+                        New Analysis
+                      </button>
                     </div>
-                    <button
-                      onClick={handleNewAnalysis}
-                      className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors shadow-sm"
-                    >
-                      New Analysis
-                    </button>
                   </div>
                 </div>
 
@@ -749,6 +943,20 @@ function App() {
           </div>
         </div>
       </div>
+      <ImportWorkspaceModal
+        isOpen={showImportWorkspace}
+        onClose={() => setShowImportWorkspace(false)}
+        onImported={handleWorkspaceImported}
+      />
+      <ScoringProfilesModal
+        isOpen={showScoringProfiles}
+        onClose={() => setShowScoringProfiles(false)}
+        profiles={scoringProfiles}
+        initialProfileId={getActiveScoringProfileId()}
+        onSave={saveProfile}
+        onDelete={deleteProfile}
+      />
+      <CacheInspectorModal isOpen={showCacheInspector} onClose={() => setShowCacheInspector(false)} />
       {/* Install Prompt for PWA */}
       <InstallPrompt />
     </div>
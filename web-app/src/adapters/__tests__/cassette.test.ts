@@ -0,0 +1,138 @@
+/**
+ * Tests for HttpClient cassette record/replay
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HttpClient, createMemoryCassetteStore } from '../coreAdapter';
+import { createCassetteDirectoryStore } from '../cassetteDirectoryStore';
+
+const CASSETTE_DIR = path.join(__dirname, 'cassettes');
+const ZPID_URL = 'https://private-zillow.p.rapidapi.com/byzpid?zpid=44471319';
+
+function mockFetchResponse(status: number, body: string, headers: Record<string, string> = {}) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    text: async () => body,
+    headers: new Map(Object.entries(headers)),
+  };
+}
+
+describe('HttpClient cassettes', () => {
+  const fetchMock = jest.fn();
+
+  beforeEach(() => {
+    fetchMock.mockReset();
+    global.fetch = fetchMock as unknown as typeof fetch;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    HttpClient.useCassette(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeCassetteUrl', () => {
+    it('should lowercase the host and sort query parameters', () => {
+      expect(HttpClient.normalizeCassetteUrl('HTTPS://Private-Zillow.p.rapidapi.com/byzpid?zpid=1&b=a%20b'))
+        .toBe('https://private-zillow.p.rapidapi.com/byzpid?b=a%20b&zpid=1');
+    });
+
+    it('should drop credentials, fragments, trailing slashes and empty pairs', () => {
+      expect(HttpClient.normalizeCassetteUrl('https://generativelanguage.googleapis.com/v1/models/?key=SECRET&&alt=json#top'))
+        .toBe('https://generativelanguage.googleapis.com/v1/models?alt=json');
+    });
+
+    it('should treat + and %20 as the same space', () => {
+      expect(HttpClient.normalizeCassetteUrl('https://x.test/search?city=San+Diego'))
+        .toBe(HttpClient.normalizeCassetteUrl('https://x.test/search?city=San%20Diego'));
+    });
+  });
+
+  describe('getCassetteKey', () => {
+    it('should ignore JSON property order in payloads', () => {
+      const a = HttpClient.getCassetteKey('post', 'https://x.test/a', JSON.stringify({ b: 1, a: { d: 2, c: 3 } }));
+      const b = HttpClient.getCassetteKey('POST', 'https://x.test/a', JSON.stringify({ a: { c: 3, d: 2 }, b: 1 }));
+      expect(a).toBe(b);
+      expect(a).toBe('POST https://x.test/a {"a":{"c":3,"d":2},"b":1}');
+    });
+
+    it('should name files the same way as the Apps Script adapter', () => {
+      const key = HttpClient.getCassetteKey('GET', ZPID_URL);
+      expect(HttpClient.getCassetteFileName(ZPID_URL, key)).toBe('private_zillow_2d5bde55.json');
+      expect(HttpClient.getCassetteFileName('https://example.com', key)).toBe('http_2d5bde55.json');
+    });
+  });
+
+  describe('replay', () => {
+    it('should answer from the cassette directory without calling fetch', async () => {
+      HttpClient.useCassette('replay', createCassetteDirectoryStore(CASSETTE_DIR));
+
+      const response = await HttpClient.get(`${ZPID_URL}&`, {
+        headers: { 'X-RapidAPI-Key': 'not-recorded' },
+      });
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(response.success).toBe(true);
+      expect(response.replayed).toBe(true);
+      expect(JSON.parse(response.body).zestimate).toBe(2415300);
+      expect(response.usage).toMatchObject({ limit: 250, remaining: 187, used: 63 });
+    });
+
+    it('should fail without calling fetch when nothing was recorded', async () => {
+      HttpClient.useCassette('replay', createCassetteDirectoryStore(CASSETTE_DIR));
+
+      const response = await HttpClient.get('https://private-zillow.p.rapidapi.com/byzpid?zpid=1');
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(response.success).toBe(false);
+      expect(response.error).toContain('No cassette recording for GET https://private-zillow.p.rapidapi.com/byzpid?zpid=1');
+    });
+  });
+
+  describe('record', () => {
+    it('should write live responses that replay identically', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+      const store = createCassetteDirectoryStore(dir);
+      fetchMock.mockResolvedValue(mockFetchResponse(200, '{"comps":[]}', { 'content-type': 'application/json' }));
+
+      HttpClient.useCassette('record', store);
+      const live = await HttpClient.post('https://us-real-estate.p.rapidapi.com/similar-homes?key=SECRET', {
+        payload: JSON.stringify({ zip: '92101', limit: 5 }),
+      });
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      const files = fs.readdirSync(dir);
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/^us_real_estate_[0-9a-f]{8}\.json$/);
+      expect(fs.readFileSync(path.join(dir, files[0]), 'utf8')).not.toContain('SECRET');
+
+      HttpClient.useCassette('replay', store);
+      const replayed = await HttpClient.post('https://us-real-estate.p.rapidapi.com/similar-homes', {
+        payload: JSON.stringify({ limit: 5, zip: '92101' }),
+      });
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(replayed.body).toBe(live.body);
+      expect(replayed.statusCode).toBe(200);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep recordings in memory by default', async () => {
+      const store = createMemoryCassetteStore();
+      fetchMock.mockResolvedValue(mockFetchResponse(404, 'not found'));
+
+      HttpClient.useCassette('record', store);
+      await HttpClient.get('https://redfin-base-us.p.rapidapi.com/properties/search?city=Seattle');
+
+      const episodes = Object.values(store.entries());
+      expect(episodes).toHaveLength(1);
+      expect(episodes[0].response).toEqual({ statusCode: 404, headers: {}, body: 'not found' });
+    });
+  });
+});
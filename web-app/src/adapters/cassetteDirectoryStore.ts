@@ -0,0 +1,39 @@
+/**
+ * ===============================
+ * CASSETTE DIRECTORY STORE
+ * ===============================
+ *
+ * Node-only CassetteStore that keeps one JSON file per episode in a directory,
+ * for Jest and local scripts. The browser bundle never imports this module.
+ *
+ * Usage:
+ *   HttpClient.useCassette('record', createCassetteDirectoryStore('cassettes/private_zillow'));
+ *
+ * @module web-app/src/adapters/cassetteDirectoryStore
+ */
+
+import fs from 'fs';
+import path from 'path';
+import type { CassetteEpisode, CassetteStore } from './coreAdapter';
+
+/**
+ * Create a store backed by a cassette directory
+ * @param dir - Directory holding <api>_<hash>.json files (created on first write)
+ * @returns Cassette store
+ */
+export function createCassetteDirectoryStore(dir: string): CassetteStore {
+  return {
+    read(fileName: string): CassetteEpisode | null {
+      const file = path.join(dir, fileName);
+      if (!fs.existsSync(file)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    },
+
+    write(fileName: string, episode: CassetteEpisode): void {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, fileName), JSON.stringify(episode, null, 2) + '\n');
+    },
+  };
+}
@@ -6,13 +6,18 @@
  * This adapter bridges the shared-core functions with Web App platform APIs.
  * It provides platform-specific implementations for:
  * - HTTP Client (fetch API with header-based usage tracking)
- * - Cache Manager (localStorage/IndexedDB)
+ * - Cache Manager (IndexedDB, with TTLs and LRU eviction)
  * - Quota Manager (header-based tracking)
  * - Logger (console)
  *
  * @module web-app/src/adapters/coreAdapter
  */
 
+import { getAPICallOrder as getProviderCallOrder, getAPIQuota, isValidAPIId } from '../shared-core/utils/apiSelector.js';
+import { getAPINameFromURL as getProviderFromURL } from '../shared-core/utils/usageTracking.js';
+import { CachePropertySummary, FetchThroughOptions, createApiCache, summarizeCache } from '../utils/apiCache';
+import { createApiCacheStore } from '../utils/db';
+
 /**
  * ===============================
  * TYPE DEFINITIONS
@@ -26,6 +31,7 @@ interface HttpResponse {
   success: boolean;
   error?: string;
   usage?: RapidAPIUsage;
+  replayed?: boolean;
 }
 
 interface HttpOptions {
@@ -61,6 +67,37 @@ interface QuotaLimits {
   GEMINI_DAILY_LIMIT: number;
 }
 
+export type CassetteMode = 'record' | 'replay';
+
+export interface CassetteEpisode {
+  key: string;
+  request: {
+    method: string;
+    url: string;
+    payload: string | null;
+  };
+  response: {
+    statusCode: number;
+    headers: Record<string, string>;
+    body: string;
+  };
+  recordedAt: string;
+}
+
+/**
+ * Where cassette episodes live - one JSON document per file name
+ * (memory in the browser, a directory under Node - see cassetteDirectoryStore.ts)
+ */
+export interface CassetteStore {
+  read(fileName: string): CassetteEpisode | null | Promise<CassetteEpisode | null>;
+  write(fileName: string, episode: CassetteEpisode): void | Promise<void>;
+}
+
+interface ActiveCassette {
+  mode: CassetteMode;
+  store: CassetteStore;
+}
+
 interface LastSuccess {
   api: string;
   time: string;
@@ -83,6 +120,9 @@ interface PlatformInfo {
  * ===============================
  */
 
+// Query parameters left out of cassette keys and recordings (credentials)
+const CASSETTE_REDACTED_PARAMS = ['key', 'api_key', 'apikey', 'token', 'access_token'];
+
 const API_BASE_URLS = {
   PRIVATE_ZILLOW: 'https://private-zillow.p.rapidapi.com',
   REDFIN: 'https://redfin-base-us.p.rapidapi.com',
@@ -170,11 +210,7 @@ export const HttpClient = {
    * @returns API name or null
    */
   getAPINameFromURL(url: string): string | null {
-    if (url.includes('private-zillow')) return 'private_zillow';
-    if (url.includes('redfin-base-us')) return 'redfin';
-    if (url.includes('us-real-estate')) return 'us_real_estate';
-    if (url.includes('generativelanguage')) return 'gemini';
-    return null;
+    return getProviderFromURL(url);
   },
 
   /**
@@ -192,6 +228,200 @@ export const HttpClient = {
     return null;
   },
 
+  /**
+   * Active cassette, set by useCassette()
+   */
+  cassette: null as ActiveCassette | null,
+
+  /**
+   * Record or replay HTTP responses
+   * @param mode - 'record', 'replay', or null to go back to the network
+   * @param store - Where episodes are read from / written to (defaults to memory)
+   */
+  useCassette(mode: CassetteMode | null, store: CassetteStore = createMemoryCassetteStore()): void {
+    this.cassette = mode ? { mode, store } : null;
+  },
+
+  /**
+   * Normalize a URL for cassette matching
+   * Lowercases scheme and host, drops the fragment, trailing slash and
+   * credential parameters, and sorts the query string.
+   * Must stay in step with the Apps Script adapter so cassettes are shared.
+   * @param url - Request URL
+   * @returns Normalized URL
+   */
+  normalizeCassetteUrl(url: string): string {
+    const withoutHash = String(url).split('#')[0];
+    const queryIndex = withoutHash.indexOf('?');
+    let base = queryIndex === -1 ? withoutHash : withoutHash.substring(0, queryIndex);
+    const query = queryIndex === -1 ? '' : withoutHash.substring(queryIndex + 1);
+
+    const origin = /^([a-z][a-z0-9+.-]*:\/\/[^/]+)(.*)$/i.exec(base);
+    if (origin) {
+      const path = origin[2].length > 1 ? origin[2].replace(/\/+$/, '') : '';
+      base = origin[1].toLowerCase() + path;
+    }
+
+    const decode = (part: string): string => {
+      try {
+        return decodeURIComponent(part.replace(/\+/g, ' '));
+      } catch {
+        return part; // Malformed escape - compare as-is
+      }
+    };
+
+    const params = query
+      .split('&')
+      .filter((pair) => pair !== '')
+      .map((pair) => {
+        const eq = pair.indexOf('=');
+        return {
+          name: decode(eq === -1 ? pair : pair.substring(0, eq)),
+          value: eq === -1 ? '' : decode(pair.substring(eq + 1)),
+        };
+      })
+      .filter((param) => !CASSETTE_REDACTED_PARAMS.includes(param.name.toLowerCase()))
+      .sort((a, b) => {
+        if (a.name !== b.name) return a.name < b.name ? -1 : 1;
+        return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+      })
+      .map((param) => `${encodeURIComponent(param.name)}=${encodeURIComponent(param.value)}`);
+
+    return params.length > 0 ? `${base}?${params.join('&')}` : base;
+  },
+
+  /**
+   * Build the cassette key for a request
+   * JSON payloads are re-serialized with sorted keys; headers are not part of the key.
+   * @param method - HTTP method
+   * @param url - Request URL
+   * @param payload - Request body
+   * @returns Cassette key
+   */
+  getCassetteKey(method: string, url: string, payload?: string): string {
+    let key = `${method.toUpperCase()} ${this.normalizeCassetteUrl(url)}`;
+
+    if (payload) {
+      const sortKeys = (value: any): any => {
+        if (Array.isArray(value)) return value.map(sortKeys);
+        if (value && typeof value === 'object') {
+          return Object.keys(value)
+            .sort()
+            .reduce((sorted: Record<string, any>, name) => {
+              sorted[name] = sortKeys(value[name]);
+              return sorted;
+            }, {});
+        }
+        return value;
+      };
+
+      try {
+        key += ` ${JSON.stringify(sortKeys(JSON.parse(payload)))}`;
+      } catch {
+        key += ` ${payload}`;
+      }
+    }
+
+    return key;
+  },
+
+  /**
+   * Get the cassette file name for a request: <api>_<FNV-1a hash of key>.json
+   * @param url - Request URL
+   * @param key - Cassette key
+   * @returns File name
+   */
+  getCassetteFileName(url: string, key: string): string {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+      hash ^= key.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `${this.getAPINameFromURL(url) || 'http'}_${hash.toString(16).padStart(8, '0')}.json`;
+  },
+
+  /**
+   * Answer a request from the cassette without touching the network
+   * @param cassette - Active cassette
+   * @param method - HTTP method
+   * @param url - Request URL
+   * @param payload - Request body
+   * @returns Recorded response, or a failed response if nothing was recorded
+   */
+  async replayFromCassette(
+    cassette: ActiveCassette,
+    method: string,
+    url: string,
+    payload?: string
+  ): Promise<HttpResponse> {
+    const key = this.getCassetteKey(method, url, payload);
+    const fileName = this.getCassetteFileName(url, key);
+
+    try {
+      const episode = await cassette.store.read(fileName);
+      if (episode) {
+        const { statusCode, headers, body } = episode.response;
+        return {
+          statusCode,
+          body,
+          headers: headers || {},
+          success: statusCode >= 200 && statusCode < 300,
+          usage: this.extractUsageFromHeaders(headers || {}) ?? undefined,
+          replayed: true,
+        };
+      }
+    } catch (error) {
+      PlatformLogger.error(`Cassette read failed for ${fileName}: ${error}`);
+    }
+
+    return {
+      statusCode: 0,
+      body: '',
+      headers: {},
+      success: false,
+      error: `No cassette recording for ${key} (${fileName})`,
+    };
+  },
+
+  /**
+   * Save a live response to the cassette, replacing any earlier recording
+   * @param cassette - Active cassette
+   * @param method - HTTP method
+   * @param url - Request URL
+   * @param payload - Request body
+   * @param response - Response from get()/post()
+   */
+  async recordToCassette(
+    cassette: ActiveCassette,
+    method: string,
+    url: string,
+    payload: string | undefined,
+    response: HttpResponse
+  ): Promise<void> {
+    const key = this.getCassetteKey(method, url, payload);
+    const fileName = this.getCassetteFileName(url, key);
+
+    try {
+      await cassette.store.write(fileName, {
+        key,
+        request: {
+          method: method.toUpperCase(),
+          url: this.normalizeCassetteUrl(url),
+          payload: payload || null,
+        },
+        response: {
+          statusCode: response.statusCode,
+          headers: response.headers,
+          body: response.body,
+        },
+        recordedAt: new Date().toISOString(),
+      });
+      PlatformLogger.debug(`Cassette recorded: ${key}`);
+    } catch (error) {
+      PlatformLogger.error(`Cassette write failed for ${fileName}: ${error}`);
+    }
+  },
+
   /**
    * Make HTTP GET request
    * @param url - Request URL
@@ -199,6 +429,11 @@ export const HttpClient = {
    * @returns Response object with usage data
    */
   async get(url: string, options: HttpOptions = {}): Promise<HttpResponse> {
+    const cassette = this.cassette;
+    if (cassette?.mode === 'replay') {
+      return this.replayFromCassette(cassette, 'GET', url);
+    }
+
     try {
       const response = await fetch(url, {
         method: 'GET',
@@ -223,13 +458,19 @@ export const HttpClient = {
         }
       }
 
-      return {
+      const result: HttpResponse = {
         statusCode: response.status,
         body,
         headers,
         success: response.ok,
         usage: usage ?? undefined,
       };
+
+      if (cassette?.mode === 'record') {
+        await this.recordToCassette(cassette, 'GET', url, undefined, result);
+      }
+
+      return result;
     } catch (error) {
       return {
         statusCode: 0,
@@ -248,6 +489,11 @@ export const HttpClient = {
    * @returns Response object with usage data
    */
   async post(url: string, options: HttpOptions = {}): Promise<HttpResponse> {
+    const cassette = this.cassette;
+    if (cassette?.mode === 'replay') {
+      return this.replayFromCassette(cassette, 'POST', url, options.payload);
+    }
+
     try {
       const response = await fetch(url, {
         method: 'POST',
@@ -276,13 +522,19 @@ export const HttpClient = {
         }
       }
 
-      return {
+      const result: HttpResponse = {
         statusCode: response.status,
         body,
         headers,
         success: response.ok,
         usage: usage ?? undefined,
       };
+
+      if (cassette?.mode === 'record') {
+        await this.recordToCassette(cassette, 'POST', url, options.payload, result);
+      }
+
+      return result;
     } catch (error) {
       return {
         statusCode: 0,
@@ -341,15 +593,38 @@ export const HttpClient = {
   },
 };
 
+/**
+ * In-memory cassette store (the browser default)
+ * @param initial - Episodes to replay, keyed by file name
+ * @returns Store with an extra entries() to export what was recorded
+ */
+export function createMemoryCassetteStore(initial: Record<string, CassetteEpisode> = {}) {
+  const episodes = new Map<string, CassetteEpisode>(Object.entries(initial));
+
+  return {
+    read: (fileName: string): CassetteEpisode | null => episodes.get(fileName) ?? null,
+    write: (fileName: string, episode: CassetteEpisode): void => {
+      episodes.set(fileName, episode);
+    },
+    entries: (): Record<string, CassetteEpisode> => Object.fromEntries(episodes),
+  };
+}
+
 /**
  * ===============================
  * CACHE MANAGER ADAPTER
  * ===============================
  */
 
+/**
+ * Persistent API response cache (utils/apiCache.ts) in IndexedDB
+ */
+const apiCache = createApiCache(createApiCacheStore());
+
 /**
  * Cache Manager for Web App
- * Uses localStorage for caching (can be upgraded to IndexedDB for larger data)
+ * Same synchronous interface as the Apps Script CacheService adapter, backed by
+ * IndexedDB with per-data-type TTLs, LRU eviction and stale-while-revalidate
  */
 export const CacheManager = {
   /**
@@ -358,45 +633,22 @@ export const CacheManager = {
    * @returns Cached data or null if not found/expired
    */
   get(key: string): any {
-    try {
-      const cached = localStorage.getItem(key);
-
-      if (!cached) {
-        return null;
-      }
-
-      // Parse cached data
-      const data = JSON.parse(cached);
-      return data;
-    } catch (error) {
-      PlatformLogger.error(`Cache get error: ${error}`);
-      return null;
-    }
+    return apiCache.get(key);
   },
 
   /**
    * Set cached data
-   * @param key - Cache key
+   * @param key - Cache key (see buildCacheKey for property data)
    * @param data - Data to cache
-   * @param expirationInSeconds - Expiration time in seconds (not enforced by localStorage)
-   * @returns Success status
+   * @param expirationInSeconds - Expiration time in seconds (defaults to the key's data type TTL)
+   * @returns Success status (false if the data alone exceeds the cache budget)
    */
-  set(key: string, data: any, _expirationInSeconds?: number): boolean {
-    try {
-      const serialized = JSON.stringify(data);
-
-      // localStorage has a ~5-10MB limit (varies by browser)
-      // Warn if data is large
-      if (serialized.length > 1000000) {
-        PlatformLogger.warn(`Cache data large (${serialized.length} bytes), may hit storage limits`);
-      }
-
-      localStorage.setItem(key, serialized);
-      return true;
-    } catch (error) {
-      PlatformLogger.error(`Cache set error: ${error}`);
-      return false;
+  set(key: string, data: any, expirationInSeconds?: number): boolean {
+    const stored = apiCache.set(key, data, expirationInSeconds);
+    if (!stored) {
+      PlatformLogger.warn(`Cache data for ${key} exceeds the cache size budget, not cached`);
     }
+    return stored;
   },
 
   /**
@@ -405,13 +657,8 @@ export const CacheManager = {
    * @returns Success status
    */
   remove(key: string): boolean {
-    try {
-      localStorage.removeItem(key);
-      return true;
-    } catch (error) {
-      PlatformLogger.error(`Cache remove error: ${error}`);
-      return false;
-    }
+    apiCache.remove(key);
+    return true;
   },
 
   /**
@@ -420,39 +667,50 @@ export const CacheManager = {
    * @returns Success status
    */
   clearByPrefix(prefix: string): boolean {
-    try {
-      const keysToRemove: string[] = [];
-
-      // Find all keys with matching prefix
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith(prefix)) {
-          keysToRemove.push(key);
-        }
-      }
-
-      // Remove matching keys
-      keysToRemove.forEach((key) => localStorage.removeItem(key));
-
-      PlatformLogger.info(`Cleared ${keysToRemove.length} cache entries with prefix: ${prefix}`);
-      return true;
-    } catch (error) {
-      PlatformLogger.error(`Cache clear error: ${error}`);
-      return false;
-    }
+    const removed = apiCache.clearByPrefix(prefix);
+    PlatformLogger.info(`Cleared ${removed} cache entries with prefix: ${prefix}`);
+    return true;
   },
 
   /**
-   * Check if cache entry exists
+   * Check if a fresh cache entry exists
    * @param key - Cache key
    * @returns True if exists
    */
   has(key: string): boolean {
-    try {
-      return localStorage.getItem(key) !== null;
-    } catch (error) {
-      return false;
-    }
+    return apiCache.has(key);
+  },
+
+  /**
+   * Cached data if fresh; stale data immediately while a refresh runs in the
+   * background (unless staleWhileRevalidate is false); otherwise waits for the fetcher
+   */
+  fetchThrough<T>(key: string, fetcher: () => Promise<T>, options?: FetchThroughOptions<T>) {
+    return apiCache.fetchThrough(key, fetcher, options);
+  },
+
+  /**
+   * Everything cached, grouped by property (for the cache inspector)
+   */
+  async inspect(): Promise<CachePropertySummary[]> {
+    await apiCache.ready;
+    return summarizeCache(apiCache.entries(), Date.now());
+  },
+
+  /**
+   * Remove every entry for one property ('' for entries not tied to a property)
+   * @returns Number of entries removed
+   */
+  purgeProperty(propertyKey: string): number {
+    return apiCache.purgeProperty(propertyKey);
+  },
+
+  /**
+   * Remove entries past their stale-while-revalidate window
+   * @returns Number of entries removed
+   */
+  purgeExpired(): number {
+    return apiCache.purgeExpired();
   },
 };
 
@@ -565,9 +823,7 @@ export const QuotaManager = {
    * @returns Success status
    */
   setPrimaryAPI(apiName: string): boolean {
-    const validAPIs = ['auto', 'private_zillow', 'us_real_estate', 'redfin', 'gemini'];
-
-    if (!validAPIs.includes(apiName)) {
+    if (!isValidAPIId(apiName)) {
       PlatformLogger.error(`Invalid API name: ${apiName}`);
       return false;
     }
@@ -601,8 +857,7 @@ export const QuotaManager = {
    * @returns Array of available API names
    */
   getAvailableAPIs(): string[] {
-    const allAPIs = ['private_zillow', 'us_real_estate', 'redfin', 'gemini'];
-    return allAPIs.filter(api => !this.isAPIBlocked(api));
+    return getProviderCallOrder('auto').filter(api => !this.isAPIBlocked(api));
   },
 
   /**
@@ -612,19 +867,8 @@ export const QuotaManager = {
    * @returns Ordered array of API names (excluding blocked ones)
    */
   getAPICallOrder(primaryAPI?: string): string[] {
-    const primary = primaryAPI || currentPrimaryAPI;
-    const defaultPriority = ['private_zillow', 'us_real_estate', 'redfin', 'gemini'];
-
-    let order: string[];
-
-    // If auto mode or invalid, use default priority
-    if (primary === 'auto' || !defaultPriority.includes(primary)) {
-      order = [...defaultPriority];
-    } else {
-      // Put selected API first, then others in default order
-      const others = defaultPriority.filter(api => api !== primary);
-      order = [primary, ...others];
-    }
+    // Selected API first, then the rest in provider priority order
+    const order: string[] = getProviderCallOrder(primaryAPI || currentPrimaryAPI);
 
     // Filter out blocked APIs
     return order.filter(api => !this.isAPIBlocked(api));
@@ -636,13 +880,10 @@ export const QuotaManager = {
    * @returns Reset information
    */
   getQuotaResetTime(apiName: string): { period: string; resets: string } {
-    const resetInfo: Record<string, { period: string; resets: string }> = {
-      'private_zillow': { period: 'monthly', resets: '1st of next month' },
-      'us_real_estate': { period: 'monthly', resets: '1st of next month' },
-      'redfin': { period: 'monthly', resets: '1st of next month' },
-      'gemini': { period: 'daily', resets: 'midnight tonight' }
-    };
-    return resetInfo[apiName] || { period: 'unknown', resets: 'unknown' };
+    const quota = getAPIQuota(apiName);
+    if (quota?.period === 'month') return { period: 'monthly', resets: '1st of next month' };
+    if (quota?.period === 'day') return { period: 'daily', resets: 'midnight tonight' };
+    return { period: 'unknown', resets: 'unknown' };
   },
 
   /**
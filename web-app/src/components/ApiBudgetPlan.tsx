@@ -0,0 +1,86 @@
+/**
+ * API budget plan
+ * Pre-flight view of the API calls the selected analysis mode will make, what they
+ * cost against each provider's quota and how many more analyses the quota supports.
+ */
+
+import React from 'react';
+import { AnalysisBudget } from '../utils/apiBudget';
+
+interface ApiBudgetPlanProps {
+  budget: AnalysisBudget;
+}
+
+const PERIOD_LABELS: Record<string, string> = { month: 'this month', day: 'today' };
+
+const ApiBudgetPlan: React.FC<ApiBudgetPlanProps> = ({ budget }) => {
+  const { plan } = budget;
+  const callRange = plan.minCalls === plan.totalCalls ? `${plan.totalCalls}` : `${plan.minCalls}–${plan.totalCalls}`;
+
+  return (
+    <div className="mt-4 bg-white rounded-lg border border-purple-200 p-4">
+      <div className="flex items-baseline justify-between gap-3 mb-2">
+        <h3 className="text-sm font-semibold text-gray-800">🧮 API Budget for This Run</h3>
+        <span className="text-xs text-gray-600">
+          {plan.totalCalls === 0 ? 'No metered API calls' : `${callRange} API calls (${plan.mode.toLowerCase()} mode)`}
+        </span>
+      </div>
+
+      {budget.degraded && (
+        <p className="mb-3 bg-yellow-50 border-l-4 border-yellow-400 px-3 py-2 text-xs text-yellow-800">
+          ⚠️ {budget.message}
+        </p>
+      )}
+      {budget.refused && (
+        <p className="mb-3 bg-red-50 border-l-4 border-red-400 px-3 py-2 text-xs text-red-700">🛑 {budget.message}</p>
+      )}
+
+      {plan.calls.length > 0 && (
+        <table className="w-full text-xs mb-3">
+          <thead>
+            <tr className="text-gray-500">
+              <th className="text-left font-medium py-1">Call</th>
+              <th className="text-left font-medium py-1">Provider</th>
+              <th className="text-right font-medium py-1">Calls</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plan.calls.map((call, index) => (
+              <tr key={`${call.step}-${call.providerId}-${index}`} className="border-t border-gray-100">
+                <td className="py-1 text-gray-700">{call.label}</td>
+                <td className="py-1 text-gray-600">{call.providerName}</td>
+                <td className="py-1 text-right text-gray-700">
+                  {call.minCalls === call.calls ? call.calls : `${call.minCalls}–${call.calls}`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {plan.providers.length > 0 && (
+        <ul className="space-y-1 text-xs text-gray-600">
+          {plan.providers.map((provider) => (
+            <li key={provider.providerId} className="flex justify-between gap-3">
+              <span>
+                {provider.name}: up to {provider.planned} of {provider.available} calls left{' '}
+                {PERIOD_LABELS[provider.period] || `this ${provider.period}`}
+                {!provider.usageKnown && <span className="text-gray-400"> (usage not reported yet)</span>}
+              </span>
+              <span className="font-medium text-gray-700">{provider.analysesLeft} runs</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {plan.analysesRemaining !== null && !budget.refused && (
+        <p className="mt-2 text-xs font-medium text-gray-700">
+          Remaining quota covers about {plan.analysesRemaining} more{' '}
+          {plan.analysesRemaining === 1 ? 'analysis' : 'analyses'} like this one
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ApiBudgetPlan;
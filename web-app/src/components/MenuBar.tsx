@@ -3,7 +3,13 @@ import { TabMode } from '../types/tabs';
 
 interface MenuBarProps {
   onNewAnalysis: () => void;
+  onOpenPortfolio?: () => void;
+  onOpenCompare?: () => void;
   onExport?: () => void;
+  onExportWorkspace?: () => void;
+  onImportWorkspace?: () => void;
+  onManageScoringProfiles?: () => void;
+  onInspectCache?: () => void;
   onPrint?: () => void;
   onModeChange: (mode: TabMode) => void;
   currentMode: TabMode;
@@ -17,11 +23,18 @@ interface MenuItem {
   shortcut?: string;
   divider?: boolean;
   submenu?: MenuItem[];
+  alwaysEnabled?: boolean; // Usable before an analysis has been run
 }
 
 const MenuBar: React.FC<MenuBarProps> = ({
   onNewAnalysis,
+  onOpenPortfolio,
+  onOpenCompare,
   onExport,
+  onExportWorkspace,
+  onImportWorkspace,
+  onManageScoringProfiles,
+  onInspectCache,
   onPrint,
   onModeChange,
   currentMode,
@@ -99,10 +112,15 @@ const MenuBar: React.FC<MenuBarProps> = ({
   };
 
   const fileMenu: MenuItem[] = [
-    { label: 'New Analysis', action: onNewAnalysis, shortcut: 'Ctrl+N' },
+    { label: 'New Analysis', action: onNewAnalysis, shortcut: 'Ctrl+N', alwaysEnabled: true },
+    { label: 'Portfolio', action: onOpenPortfolio, alwaysEnabled: true },
+    { label: 'Compare Analyses', action: onOpenCompare, alwaysEnabled: true },
     { divider: true },
     { label: 'Export Results', action: onExport, shortcut: 'Ctrl+E' },
     { label: 'Print', action: onPrint, shortcut: 'Ctrl+P' },
+    { divider: true },
+    { label: 'Export Workspace', action: onExportWorkspace, alwaysEnabled: true },
+    { label: 'Import Workspace…', action: onImportWorkspace, alwaysEnabled: true },
   ];
 
   const viewMenu: MenuItem[] = [
@@ -136,6 +154,9 @@ const MenuBar: React.FC<MenuBarProps> = ({
     { divider: true },
     { label: 'Filtered Comps', action: () => onTabChange?.('filtered-comps') },
     { label: 'State Comparison', action: () => onTabChange?.('state-comparison') },
+    { divider: true },
+    { label: 'Scoring Profiles…', action: onManageScoringProfiles, alwaysEnabled: true },
+    { label: 'API Cache…', action: onInspectCache, alwaysEnabled: true },
   ];
 
   const helpMenu: MenuItem[] = [
@@ -176,7 +197,7 @@ const MenuBar: React.FC<MenuBarProps> = ({
         key={index}
         onClick={() => handleMenuItemClick(item.action)}
         className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-primary-50 hover:text-primary-700 flex items-center justify-between disabled:opacity-50 disabled:cursor-not-allowed"
-        disabled={!hasResults && item.action !== onNewAnalysis}
+        disabled={!hasResults && !item.alwaysEnabled}
       >
         <span>{item.label}</span>
         {item.shortcut && (
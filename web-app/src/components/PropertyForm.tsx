@@ -1,15 +1,89 @@
 import React, { useState, useEffect } from 'react';
 import { PropertyFormData, US_STATES, UserProvidedComp } from '../types/property';
+import type { ApiUsageData } from '../services/api';
+import { ScoringProfile } from '../types/scoring';
+import { FinancingOptions, LoanType } from '../types/financing';
+import { STRInputs, STRSeasonality } from '../types/str';
+import { UnitInputs } from '../types/units';
+import { FinishLevel } from '../types/rehab';
+import { getActiveScoringProfileId } from '../utils/scoringProfiles';
+import { LOAN_TYPE_OPTIONS } from '../utils/financing';
+import { toRentalUnits } from '../utils/units';
+import { estimateFormRehab, toRehabScope, withRehabBudget } from '../utils/rehab';
+import { formatCurrency } from '../utils/formatters';
+import { planFormBudget } from '../utils/apiBudget';
+import { STR_SEASONALITY } from '../shared-core/calculations/str.js';
+import { validateUnitMix } from '../shared-core/calculations/rentRoll.js';
+import {
+  REHAB_FINISH_LEVELS,
+  REHAB_LINE_ITEMS,
+  REHAB_TRADES,
+  REHAB_UNITS,
+  validateRehabScope,
+} from '../shared-core/calculations/rehab.js';
 import DeepModePasswordModal from './DeepModePasswordModal';
+import ApiBudgetPlan from './ApiBudgetPlan';
 
 interface PropertyFormProps {
   onSubmit: (data: PropertyFormData) => void;
   loading?: boolean;
   initialData?: Partial<PropertyFormData>;
   selectedHistoryData?: PropertyFormData | null;
+  scoringProfiles?: ScoringProfile[];
+  onManageScoringProfiles?: () => void;
+  apiUsage?: ApiUsageData | null;
+  primaryAPI?: string;
 }
 
-const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false, initialData, selectedHistoryData }) => {
+// Left blank, each field takes the loan type's default
+const FINANCING_FIELDS: { name: keyof FinancingOptions; label: string; placeholder: string; step: string }[] = [
+  { name: 'ltv', label: 'Loan-to-Purchase (%)', placeholder: '100 - down payment', step: '1' },
+  { name: 'points', label: 'Points (%)', placeholder: 'Loan default', step: '0.25' },
+  { name: 'termMonths', label: 'Due In (months)', placeholder: 'Loan default', step: '1' },
+  { name: 'interestOnlyMonths', label: 'Interest-Only (months)', placeholder: '0', step: '1' },
+];
+
+// Left blank, each field takes the shared-core default shown as its placeholder
+const STR_FIELDS: { name: keyof STRInputs; label: string; placeholder: string; step: string }[] = [
+  { name: 'averageOccupancy', label: 'Annual Occupancy (%)', placeholder: 'Curve average', step: '1' },
+  { name: 'averageStayNights', label: 'Average Stay (nights)', placeholder: '3', step: '0.5' },
+  { name: 'cleaningFee', label: 'Cleaning Fee / Stay ($)', placeholder: '125', step: '5' },
+  { name: 'cleaningCost', label: 'Cleaning Cost / Turnover ($)', placeholder: '100', step: '5' },
+  { name: 'platformFeeRate', label: 'Platform Fee (%)', placeholder: '3', step: '0.5' },
+  { name: 'managementRate', label: 'Management (%)', placeholder: '20', step: '1' },
+  { name: 'occupancyTaxRate', label: 'Occupancy Tax (%)', placeholder: '0', step: '0.5' },
+  { name: 'utilitiesMonthly', label: 'Utilities / Month ($)', placeholder: '300', step: '25' },
+  { name: 'suppliesMonthly', label: 'Supplies / Month ($)', placeholder: '100', step: '25' },
+  { name: 'furnishingCost', label: 'Furnishing ($)', placeholder: '15000', step: '500' },
+];
+
+// Numeric columns of the unit mix editor; label, lease end and owner-occupied are laid out separately
+const UNIT_FIELDS: { name: keyof UnitInputs; label: string; placeholder: string; step: string }[] = [
+  { name: 'beds', label: 'Beds', placeholder: '2', step: '1' },
+  { name: 'baths', label: 'Baths', placeholder: '1', step: '0.5' },
+  { name: 'currentRent', label: 'Current Rent ($)', placeholder: 'Vacant', step: '25' },
+  { name: 'marketRent', label: 'Market Rent ($)', placeholder: '1200', step: '25' },
+  { name: 'vacancyRate', label: 'Vacancy (%)', placeholder: 'Default', step: '1' },
+];
+
+type RehabItemKey = keyof typeof REHAB_LINE_ITEMS;
+
+// Catalog items grouped by trade, in the order the work is done
+const REHAB_ITEM_GROUPS = Object.entries(REHAB_TRADES).map(([trade, { label }]) => ({
+  label,
+  items: (Object.keys(REHAB_LINE_ITEMS) as RehabItemKey[]).filter((key) => REHAB_LINE_ITEMS[key].trade === trade),
+}));
+
+const PropertyForm: React.FC<PropertyFormProps> = ({
+  onSubmit,
+  loading = false,
+  initialData,
+  selectedHistoryData,
+  scoringProfiles = [],
+  onManageScoringProfiles,
+  apiUsage,
+  primaryAPI,
+}) => {
   const [formData, setFormData] = useState<PropertyFormData>({
     address: initialData?.address || '',
     city: initialData?.city || '',
@@ -23,7 +97,11 @@ const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false,
     monthsToFlip: initialData?.monthsToFlip || 6,
     cashInvestment: initialData?.cashInvestment,
     helocInterest: initialData?.helocInterest,
+    rehabScope: initialData?.rehabScope,
+    financing: initialData?.financing,
+    str: initialData?.str,
     analysisMode: initialData?.analysisMode || 'STANDARD',
+    scoringProfileId: initialData?.scoringProfileId || getActiveScoringProfileId(),
     beds: initialData?.beds,
     baths: initialData?.baths,
     sqft: initialData?.sqft,
@@ -49,7 +127,11 @@ const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false,
   // Update form when history item is selected
   useEffect(() => {
     if (selectedHistoryData) {
-      setFormData(selectedHistoryData);
+      // Searches saved before scoring profiles keep the profile already selected
+      setFormData(prev => ({
+        ...selectedHistoryData,
+        scoringProfileId: selectedHistoryData.scoringProfileId || prev.scoringProfileId,
+      }));
       // Determine analysis type based on data
       if (selectedHistoryData.rehabCost !== undefined && selectedHistoryData.rehabCost > 0) {
         setAnalysisType('both');
@@ -71,6 +153,136 @@ const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false,
     }
   };
 
+  // Picking the default structure clears the plan so the backend's mortgage applies
+  const handleLoanTypeChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const type = e.target.value as LoanType | '';
+    setFormData(prev => ({
+      ...prev,
+      financing: type ? { ...prev.financing, type } : undefined,
+    }));
+  };
+
+  const handleFinancingChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => prev.financing ? ({
+      ...prev,
+      financing: {
+        ...prev.financing,
+        [name]: type === 'checkbox' ? checked : value === '' ? undefined : parseFloat(value),
+      },
+    }) : prev);
+  };
+
+  // Clearing the nightly rate leaves the other assumptions in place but skips the analysis
+  const handleSTRChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      str: {
+        ...prev.str,
+        [name]: name === 'seasonality' ? (value as STRSeasonality) : value === '' ? undefined : parseFloat(value),
+      },
+    }));
+    if (errors.str) {
+      setErrors(prev => ({ ...prev, str: undefined }));
+    }
+  };
+
+  const clearUnitsError = () => {
+    if (errors.units) {
+      setErrors(prev => ({ ...prev, units: undefined }));
+    }
+  };
+
+  const handleUnitChange = (index: number, e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      units: prev.units?.map((unit, i) => i !== index ? unit : {
+        ...unit,
+        [name]: name === 'label' || name === 'leaseEnd' ? value || undefined : value === '' ? undefined : parseFloat(value),
+      }),
+    }));
+    clearUnitsError();
+  };
+
+  // Only one unit can be the owner's; picking it again moves the owner out
+  const handleOwnerUnitChange = (index: number) => {
+    setFormData(prev => ({
+      ...prev,
+      units: prev.units?.map((unit, i) => ({ ...unit, ownerOccupied: i === index ? !unit.ownerOccupied : false })),
+    }));
+    clearUnitsError();
+  };
+
+  // A unit mix starts as a duplex; removing the last unit goes back to a single rent estimate
+  const addUnit = () => {
+    setFormData(prev => {
+      const units = prev.units?.length ? prev.units : [{ label: 'Unit 1' }];
+      return { ...prev, units: [...units, { label: `Unit ${units.length + 1}` }] };
+    });
+  };
+
+  const removeUnit = (index: number) => {
+    setFormData(prev => {
+      const units = prev.units?.filter((_, i) => i !== index);
+      return { ...prev, units: units?.length ? units : undefined };
+    });
+    clearUnitsError();
+  };
+
+  const clearRehabScopeError = () => {
+    if (errors.rehabScope) {
+      setErrors(prev => ({ ...prev, rehabScope: undefined }));
+    }
+  };
+
+  const handleRehabScopeChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      rehabScope: {
+        items: [],
+        ...prev.rehabScope,
+        [name]: e.target.type === 'number' ? (value === '' ? undefined : parseFloat(value)) : value || undefined,
+      },
+    }));
+    clearRehabScopeError();
+  };
+
+  const handleScopeItemChange = (index: number, e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      rehabScope: prev.rehabScope && {
+        ...prev.rehabScope,
+        items: prev.rehabScope.items.map((row, i) => i !== index ? row : {
+          ...row,
+          [name]: e.target.type === 'number' ? (value === '' ? undefined : parseFloat(value)) : value || undefined,
+        }),
+      },
+    }));
+    clearRehabScopeError();
+  };
+
+  const addScopeItem = () => {
+    setFormData(prev => ({
+      ...prev,
+      rehabScope: {
+        ...prev.rehabScope,
+        items: [...(prev.rehabScope?.items || []), { item: 'interiorPaint', quantity: prev.sqft }],
+      },
+    }));
+  };
+
+  const removeScopeItem = (index: number) => {
+    setFormData(prev => {
+      const items = prev.rehabScope?.items.filter((_, i) => i !== index) || [];
+      return { ...prev, rehabScope: items.length ? { ...prev.rehabScope, items } : undefined };
+    });
+    clearRehabScopeError();
+  };
+
   const handleAnalysisModeChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const newMode = e.target.value as 'BASIC' | 'STANDARD' | 'DEEP';
 
@@ -95,6 +307,9 @@ const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false,
     // Keep the previous mode selected
   };
 
+  // API calls the selected mode will make against the quota left
+  const apiBudget = planFormBudget(formData, apiUsage, primaryAPI);
+
   const validateForm = (): boolean => {
     const newErrors: Partial<Record<keyof PropertyFormData, string>> = {};
 
@@ -139,19 +354,63 @@ const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false,
 
     // Analysis-specific validation
     if (analysisType === 'flip' || analysisType === 'both') {
-      if (!formData.rehabCost && formData.rehabCost !== 0) {
+      if (!formData.rehabCost && formData.rehabCost !== 0 && !formData.rehabScope?.items.length) {
         newErrors.rehabCost = 'Rehab cost is required for flip analysis';
       }
     }
 
+    if (formData.rehabScope?.items.length) {
+      const scope = validateRehabScope(toRehabScope(formData.rehabScope));
+      if (!scope.valid) {
+        newErrors.rehabScope = scope.errors[0];
+      }
+    }
+
+    if (formData.financing) {
+      const { ltv, points, termMonths } = formData.financing;
+      if (ltv !== undefined && (ltv <= 0 || ltv > 100)) {
+        newErrors.financing = 'Loan-to-purchase must be between 0 and 100%';
+      } else if (points !== undefined && (points < 0 || points > 10)) {
+        newErrors.financing = 'Points must be between 0 and 10';
+      } else if (termMonths !== undefined && termMonths < 1) {
+        newErrors.financing = 'Loan must be due after at least 1 month';
+      }
+    }
+
+    if (formData.units?.length) {
+      const unitMix = validateUnitMix(toRentalUnits(formData.units));
+      if (!unitMix.valid) {
+        newErrors.units = unitMix.errors[0];
+      }
+    }
+
+    // Refuse a run the remaining API quota can't cover in any mode
+    if (apiBudget.refused) {
+      newErrors.analysisMode = apiBudget.message;
+    }
+
+    if (formData.str?.nightlyRate) {
+      const { averageOccupancy, averageStayNights, platformFeeRate, managementRate, occupancyTaxRate } = formData.str;
+      if (averageOccupancy !== undefined && (averageOccupancy <= 0 || averageOccupancy > 100)) {
+        newErrors.str = 'Annual occupancy must be between 0 and 100%';
+      } else if (averageStayNights !== undefined && averageStayNights < 1) {
+        newErrors.str = 'Average stay must be at least 1 night';
+      } else if ([platformFeeRate, managementRate, occupancyTaxRate].some(rate => rate !== undefined && (rate < 0 || rate > 100))) {
+        newErrors.str = 'Fee and tax rates must be between 0 and 100%';
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  // Live budget for the scope of work editor and the locked rehab cost field
+  const rehabEstimate = estimateFormRehab(formData);
+
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     if (validateForm()) {
-      onSubmit(formData);
+      onSubmit(withRehabBudget(formData));
     }
   };
 
@@ -284,6 +543,9 @@ const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false,
             </div>
           </label>
         </div>
+
+        <ApiBudgetPlan budget={apiBudget} />
+        {errors.analysisMode && <p className="text-red-500 text-sm mt-2">{errors.analysisMode}</p>}
       </div>
 
       {/* Analysis Type Selection */}
@@ -349,6 +611,40 @@ const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false,
         </div>
       </div>
 
+      {/* Scoring Profile */}
+      {scoringProfiles.length > 0 && (
+        <div className="bg-gray-50 p-6 rounded-lg border border-gray-200">
+          <label htmlFor="scoringProfileId" className="block text-sm font-semibold text-gray-700 mb-3">
+            ⭐ Scoring Profile
+          </label>
+          <div className="flex flex-wrap items-center gap-3">
+            <select
+              id="scoringProfileId"
+              name="scoringProfileId"
+              value={formData.scoringProfileId}
+              onChange={handleChange}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              {scoringProfiles.map((profile) => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name}
+                </option>
+              ))}
+            </select>
+            {onManageScoringProfiles && (
+              <button
+                type="button"
+                onClick={onManageScoringProfiles}
+                className="text-sm text-primary-700 hover:text-primary-800 underline"
+              >
+                Edit profiles
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-gray-500 mt-2">Sets the weights and thresholds behind this analysis's deal score</p>
+        </div>
+      )}
+
       {/* Deep Mode Active Indicator */}
       {formData.analysisMode === 'DEEP' && (
         <div className="bg-gradient-to-r from-green-50 to-emerald-50 border-2 border-green-400 rounded-lg p-4 animate-fadeIn">
@@ -739,6 +1035,65 @@ const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false,
             />
           </div>
         </div>
+
+        {/* Loan Structure */}
+        <div className="border-t border-gray-100 pt-4 space-y-4">
+          <div>
+            <label htmlFor="loanType" className="block text-sm font-medium text-gray-700 mb-1">
+              🏦 Loan Structure
+            </label>
+            <select
+              id="loanType"
+              value={formData.financing?.type || ''}
+              onChange={handleLoanTypeChange}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">Conventional mortgage + HELOC (default)</option>
+              {LOAN_TYPE_OPTIONS.map(({ type, label }) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              The mortgage interest rate above is used as the note rate. Balloons and ARM resets show on the Amortization tab.
+            </p>
+          </div>
+
+          {formData.financing && (
+            <div className="animate-fadeIn">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {FINANCING_FIELDS.map(({ name, label, placeholder, step }) => (
+                  <div key={name}>
+                    <label htmlFor={`financing-${name}`} className="block text-sm font-medium text-gray-700 mb-1">
+                      {label}
+                    </label>
+                    <input
+                      type="number"
+                      id={`financing-${name}`}
+                      name={name}
+                      value={(formData.financing?.[name] as number | undefined) ?? ''}
+                      onChange={handleFinancingChange}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      placeholder={placeholder}
+                      min="0"
+                      step={step}
+                    />
+                  </div>
+                ))}
+              </div>
+              <label className="flex items-center gap-2 mt-3 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  name="fundRehab"
+                  checked={Boolean(formData.financing.fundRehab)}
+                  onChange={handleFinancingChange}
+                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                Lender funds the rehab in monthly draws
+              </label>
+              {errors.financing && <p className="text-red-500 text-sm mt-1">{errors.financing}</p>}
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Flip Analysis Fields */}
@@ -760,9 +1115,10 @@ const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false,
                 type="number"
                 id="rehabCost"
                 name="rehabCost"
-                value={formData.rehabCost || ''}
+                value={rehabEstimate && !rehabEstimate.error ? rehabEstimate.totalBudget : formData.rehabCost || ''}
                 onChange={handleChange}
-                className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                disabled={Boolean(rehabEstimate)}
+                className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 ${
                   errors.rehabCost ? 'border-red-500 bg-red-50' : 'border-blue-300 bg-white focus:border-blue-500'
                 }`}
                 placeholder="50000"
@@ -770,6 +1126,7 @@ const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false,
                 step="1000"
               />
               {errors.rehabCost && <p className="text-red-500 text-sm mt-1">{errors.rehabCost}</p>}
+              {rehabEstimate && <p className="text-xs text-gray-500 mt-1">From the scope of work below</p>}
             </div>
 
 
@@ -866,6 +1223,348 @@ const PropertyForm: React.FC<PropertyFormProps> = ({ onSubmit, loading = false,
         </div>
       )}
 
+      {/* Rehab Scope of Work */}
+      {(analysisType === 'flip' || analysisType === 'both') && (
+        <div className="space-y-5 bg-amber-50 p-6 rounded-lg border border-amber-200 animate-fadeIn">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+              <span className="text-xl">🧰</span>
+              Rehab Scope of Work
+            </h3>
+            <button
+              type="button"
+              onClick={addScopeItem}
+              className="px-4 py-2 bg-amber-600 text-white text-sm font-medium rounded-lg hover:bg-amber-700 transition-colors"
+            >
+              + Add Line Item
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 -mt-3">
+            Build the rehab budget item by item instead of one number. Catalog costs are adjusted for the finish level
+            and the property's state; enter a unit cost to use a contractor's quote as is. Contingency is set from the
+            scope (more when walls are opened or the home is older) unless you enter one.
+          </p>
+
+          {formData.rehabScope?.items.length ? (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="rehabScope-finishLevel" className="block text-sm font-medium text-gray-700 mb-1">
+                    Finish Level
+                  </label>
+                  <select
+                    id="rehabScope-finishLevel"
+                    name="finishLevel"
+                    value={formData.rehabScope.finishLevel || 'standard'}
+                    onChange={handleRehabScopeChange}
+                    className="w-full px-4 py-3 border border-amber-300 bg-white rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+                  >
+                    {Object.entries(REHAB_FINISH_LEVELS).map(([level, { label }]) => (
+                      <option key={level} value={level}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="rehabScope-contingencyRate" className="block text-sm font-medium text-gray-700 mb-1">
+                    Contingency (%)
+                  </label>
+                  <input
+                    type="number"
+                    id="rehabScope-contingencyRate"
+                    name="contingencyRate"
+                    value={formData.rehabScope.contingencyRate ?? ''}
+                    onChange={handleRehabScopeChange}
+                    className="w-full px-4 py-3 border border-amber-300 bg-white rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+                    placeholder={rehabEstimate && !rehabEstimate.error ? `Auto (${Math.round(rehabEstimate.contingencyRate * 100)})` : 'Auto'}
+                    min="0"
+                    max="50"
+                    step="1"
+                  />
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                {formData.rehabScope.items.map((row, index) => (
+                  <div key={index} className="bg-white p-3 rounded-lg border border-amber-200 grid grid-cols-2 md:grid-cols-12 gap-3 items-end">
+                    <div className="col-span-2 md:col-span-4">
+                      <label htmlFor={`scope-${index}-item`} className="block text-xs font-medium text-gray-700 mb-1">
+                        Item
+                      </label>
+                      <select
+                        id={`scope-${index}-item`}
+                        name="item"
+                        value={row.item}
+                        onChange={(e) => handleScopeItemChange(index, e)}
+                        className="w-full px-3 py-2 border border-amber-300 bg-white rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+                      >
+                        {REHAB_ITEM_GROUPS.map((group) => (
+                          <optgroup key={group.label} label={group.label}>
+                            {group.items.map((key) => (
+                              <option key={key} value={key}>{REHAB_LINE_ITEMS[key].label}</option>
+                            ))}
+                          </optgroup>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="md:col-span-2">
+                      <label htmlFor={`scope-${index}-room`} className="block text-xs font-medium text-gray-700 mb-1">
+                        Room
+                      </label>
+                      <input
+                        type="text"
+                        id={`scope-${index}-room`}
+                        name="room"
+                        value={row.room ?? ''}
+                        onChange={(e) => handleScopeItemChange(index, e)}
+                        className="w-full px-3 py-2 border border-amber-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+                        placeholder="Optional"
+                      />
+                    </div>
+                    <div className="md:col-span-2">
+                      <label htmlFor={`scope-${index}-quantity`} className="block text-xs font-medium text-gray-700 mb-1">
+                        Qty ({REHAB_UNITS[REHAB_LINE_ITEMS[row.item as RehabItemKey]?.unit as keyof typeof REHAB_UNITS] || 'each'})
+                      </label>
+                      <input
+                        type="number"
+                        id={`scope-${index}-quantity`}
+                        name="quantity"
+                        value={row.quantity ?? ''}
+                        onChange={(e) => handleScopeItemChange(index, e)}
+                        className="w-full px-3 py-2 border border-amber-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+                        min="0"
+                        step="1"
+                      />
+                    </div>
+                    <div className="md:col-span-2">
+                      <label htmlFor={`scope-${index}-finishLevel`} className="block text-xs font-medium text-gray-700 mb-1">
+                        Finish
+                      </label>
+                      <select
+                        id={`scope-${index}-finishLevel`}
+                        name="finishLevel"
+                        value={row.finishLevel ?? ''}
+                        onChange={(e) => handleScopeItemChange(index, e)}
+                        className="w-full px-3 py-2 border border-amber-300 bg-white rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+                      >
+                        <option value="">Scope default</option>
+                        {(Object.keys(REHAB_FINISH_LEVELS) as FinishLevel[]).map((level) => (
+                          <option key={level} value={level}>{REHAB_FINISH_LEVELS[level].label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="md:col-span-1">
+                      <label htmlFor={`scope-${index}-unitCost`} className="block text-xs font-medium text-gray-700 mb-1">
+                        Quote ($/unit)
+                      </label>
+                      <input
+                        type="number"
+                        id={`scope-${index}-unitCost`}
+                        name="unitCost"
+                        value={row.unitCost ?? ''}
+                        onChange={(e) => handleScopeItemChange(index, e)}
+                        className="w-full px-3 py-2 border border-amber-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+                        placeholder="Catalog"
+                        min="0"
+                        step="0.5"
+                      />
+                    </div>
+                    <div className="md:col-span-1 text-right">
+                      <p className="text-sm font-semibold text-gray-800">
+                        {rehabEstimate && !rehabEstimate.error ? formatCurrency(rehabEstimate.lines[index]?.cost) : '—'}
+                      </p>
+                      <button
+                        type="button"
+                        onClick={() => removeScopeItem(index)}
+                        className="text-red-600 hover:text-red-800 text-xs font-medium"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {rehabEstimate && !rehabEstimate.error && (
+                <div className="flex flex-wrap justify-end gap-6 text-sm text-gray-700">
+                  <span>Line items: <strong>{formatCurrency(rehabEstimate.subtotal)}</strong></span>
+                  <span>
+                    Contingency ({Math.round(rehabEstimate.contingencyRate * 100)}%):{' '}
+                    <strong>{formatCurrency(rehabEstimate.contingency)}</strong>
+                  </span>
+                  <span className="text-base">Rehab budget: <strong>{formatCurrency(rehabEstimate.totalBudget)}</strong></span>
+                </div>
+              )}
+            </>
+          ) : null}
+          {errors.rehabScope && <p className="text-red-500 text-sm mt-1">{errors.rehabScope}</p>}
+        </div>
+      )}
+
+      {/* Unit Mix */}
+      {(analysisType === 'rental' || analysisType === 'both') && (
+        <div className="space-y-5 bg-green-50 p-6 rounded-lg border border-green-200 animate-fadeIn">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+              <span className="text-xl">🏘️</span>
+              Unit Mix (Multifamily)
+            </h3>
+            <button
+              type="button"
+              onClick={addUnit}
+              className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors"
+            >
+              {formData.units?.length ? '+ Add Unit' : '+ Duplex or Larger'}
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 -mt-3">
+            For duplexes through fourplexes, enter each unit. Rent and vacancy come from the rent roll instead of the
+            single rent estimate; vacant units count at market rent. Mark the unit you will live in to analyze a house
+            hack.
+          </p>
+
+          {formData.units?.map((unit, index) => (
+            <div key={index} className="bg-white p-4 rounded-lg border border-green-200 space-y-3">
+              <div className="flex items-center justify-between gap-4">
+                <input
+                  type="text"
+                  name="label"
+                  aria-label={`Unit ${index + 1} name`}
+                  value={unit.label ?? ''}
+                  onChange={(e) => handleUnitChange(index, e)}
+                  className="px-3 py-2 border border-green-300 rounded-lg font-semibold focus:outline-none focus:ring-2 focus:ring-green-500"
+                  placeholder={`Unit ${index + 1}`}
+                />
+                <div className="flex items-center gap-4">
+                  <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(unit.ownerOccupied)}
+                      onChange={() => handleOwnerUnitChange(index)}
+                      className="w-4 h-4 text-green-600"
+                    />
+                    I live here
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => removeUnit(index)}
+                    className="text-red-600 hover:text-red-800 text-sm font-medium"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+                {UNIT_FIELDS.map(({ name, label, placeholder, step }) => (
+                  <div key={name}>
+                    <label htmlFor={`unit-${index}-${name}`} className="block text-xs font-medium text-gray-700 mb-1">
+                      {label}
+                    </label>
+                    <input
+                      type="number"
+                      id={`unit-${index}-${name}`}
+                      name={name}
+                      value={(unit[name] as number | undefined) ?? ''}
+                      onChange={(e) => handleUnitChange(index, e)}
+                      className="w-full px-3 py-2 border border-green-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                      placeholder={placeholder}
+                      min="0"
+                      step={step}
+                    />
+                  </div>
+                ))}
+                <div>
+                  <label htmlFor={`unit-${index}-leaseEnd`} className="block text-xs font-medium text-gray-700 mb-1">
+                    Lease Ends
+                  </label>
+                  <input
+                    type="date"
+                    id={`unit-${index}-leaseEnd`}
+                    name="leaseEnd"
+                    value={unit.leaseEnd ?? ''}
+                    onChange={(e) => handleUnitChange(index, e)}
+                    className="w-full px-3 py-2 border border-green-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+              </div>
+            </div>
+          ))}
+          {errors.units && <p className="text-red-500 text-sm mt-1">{errors.units}</p>}
+        </div>
+      )}
+
+      {/* Short-Term Rental */}
+      {(analysisType === 'rental' || analysisType === 'both') && (
+        <div className="space-y-5 bg-cyan-50 p-6 rounded-lg border border-cyan-200 animate-fadeIn">
+          <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+            <span className="text-xl">🏖️</span>
+            Short-Term Rental (Optional)
+          </h3>
+          <p className="text-sm text-gray-600 -mt-3">
+            Enter a nightly rate to also analyze the property as an Airbnb. Taxes, insurance and the loan match the
+            long-term rental.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="str-nightlyRate" className="block text-sm font-medium text-gray-700 mb-1">
+                Average Nightly Rate ($)
+              </label>
+              <input
+                type="number"
+                id="str-nightlyRate"
+                name="nightlyRate"
+                value={formData.str?.nightlyRate ?? ''}
+                onChange={handleSTRChange}
+                className="w-full px-4 py-3 border border-cyan-300 bg-white rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500"
+                placeholder="225"
+                min="0"
+                step="5"
+              />
+            </div>
+            <div>
+              <label htmlFor="str-seasonality" className="block text-sm font-medium text-gray-700 mb-1">
+                Seasonality
+              </label>
+              <select
+                id="str-seasonality"
+                name="seasonality"
+                value={formData.str?.seasonality || 'flat'}
+                onChange={handleSTRChange}
+                className="w-full px-4 py-3 border border-cyan-300 bg-white rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500"
+              >
+                {(Object.keys(STR_SEASONALITY) as STRSeasonality[]).map(key => (
+                  <option key={key} value={key}>{STR_SEASONALITY[key].label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {formData.str?.nightlyRate ? (
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 animate-fadeIn">
+              {STR_FIELDS.map(({ name, label, placeholder, step }) => (
+                <div key={name}>
+                  <label htmlFor={`str-${name}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    {label}
+                  </label>
+                  <input
+                    type="number"
+                    id={`str-${name}`}
+                    name={name}
+                    value={(formData.str?.[name] as number | undefined) ?? ''}
+                    onChange={handleSTRChange}
+                    className="w-full px-4 py-3 border border-cyan-300 bg-white rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500"
+                    placeholder={placeholder}
+                    min="0"
+                    step={step}
+                  />
+                </div>
+              ))}
+            </div>
+          ) : null}
+          {errors.str && <p className="text-red-500 text-sm mt-1">{errors.str}</p>}
+        </div>
+      )}
+
       {/* Basic Mode: Comparable Properties */}
       {formData.analysisMode === 'BASIC' && (analysisType === 'flip' || analysisType === 'both') && (
         <div className="space-y-5 bg-purple-50 p-6 rounded-lg border-2 border-purple-200 animate-fadeIn">
@@ -22,7 +22,7 @@ const TAB_CATEGORIES: TabCategory[] = [
   {
     name: 'Core Analysis',
     icon: '📊',
-    tabs: ['inputs', 'flip', 'rental']
+    tabs: ['inputs', 'flip', 'rental', 'run-history']
   },
   {
     name: 'Financial Details',
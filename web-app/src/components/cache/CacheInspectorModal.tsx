@@ -0,0 +1,184 @@
+/**
+ * Cache inspector modal
+ * Shows the API responses cached for each property (data type, size, age and
+ * whether they're fresh, stale or expired) and purges them per entry, per
+ * property or everything past its stale window.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { CacheManager } from '../../adapters/coreAdapter';
+import { CACHE_DATA_TYPE_LABELS, CacheEntryState, CachePropertySummary } from '../../utils/apiCache';
+
+interface CacheInspectorModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+const STATE_STYLES: Record<CacheEntryState, string> = {
+  fresh: 'bg-green-100 text-green-800',
+  stale: 'bg-yellow-100 text-yellow-800',
+  expired: 'bg-gray-100 text-gray-600',
+};
+
+const formatSize = (bytes: number) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : bytes >= 1024
+      ? `${(bytes / 1024).toFixed(1)} KB`
+      : `${bytes} B`;
+
+const formatDate = (timestamp: number) =>
+  new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const CacheInspectorModal: React.FC<CacheInspectorModalProps> = ({ isOpen, onClose }) => {
+  const [properties, setProperties] = useState<CachePropertySummary[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setProperties(await CacheManager.inspect());
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  // Handle ESC key to close modal
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen) {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const totalSize = properties.reduce((sum, property) => sum + property.totalSize, 0);
+  const entryCount = properties.reduce((sum, property) => sum + property.entries.length, 0);
+
+  const purgeProperty = (property: CachePropertySummary) => {
+    if (!window.confirm(`Remove all ${property.entries.length} cached responses for ${property.label}?`)) return;
+    CacheManager.purgeProperty(property.propertyKey);
+    refresh();
+  };
+
+  const removeEntry = (key: string) => {
+    CacheManager.remove(key);
+    refresh();
+  };
+
+  const purgeExpired = () => {
+    CacheManager.purgeExpired();
+    refresh();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 animate-fadeIn">
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black bg-opacity-50 backdrop-blur-sm" onClick={onClose} />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-y-auto p-6 animate-slideIn">
+        <div className="mb-4">
+          <h2 className="text-xl font-bold text-gray-800">🗄️ API Cache</h2>
+          <p className="text-sm text-gray-600">
+            {entryCount} cached responses, {formatSize(totalSize)}. Stale data is still shown while a fresh copy is
+            fetched; expired data is refetched.
+          </p>
+        </div>
+
+        {isLoading && properties.length === 0 ? (
+          <p className="text-sm text-gray-500">Loading…</p>
+        ) : properties.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing cached yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {properties.map((property) => (
+              <section key={property.propertyKey} className="border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between gap-3 px-4 py-2 bg-gray-50 rounded-t-lg">
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-800 capitalize">{property.label}</h3>
+                    <p className="text-xs text-gray-500">
+                      {formatSize(property.totalSize)} · last used {formatDate(property.lastAccessed)}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => purgeProperty(property)}
+                    className="px-3 py-1 text-xs text-red-700 bg-red-50 rounded-lg hover:bg-red-100"
+                  >
+                    Purge property
+                  </button>
+                </div>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-xs text-gray-500">
+                      <th className="text-left font-medium px-4 py-1">Data</th>
+                      <th className="text-left font-medium py-1">Status</th>
+                      <th className="text-left font-medium py-1">Cached</th>
+                      <th className="text-left font-medium py-1">Fresh until</th>
+                      <th className="text-right font-medium py-1">Size</th>
+                      <th className="py-1 w-16" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {property.entries.map((entry) => (
+                      <tr key={entry.key} className="border-t border-gray-100">
+                        <td className="px-4 py-1 text-gray-700">{CACHE_DATA_TYPE_LABELS[entry.dataType]}</td>
+                        <td className="py-1">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATE_STYLES[entry.state]}`}>
+                            {entry.state}
+                          </span>
+                        </td>
+                        <td className="py-1 text-gray-600">{formatDate(entry.createdAt)}</td>
+                        <td className="py-1 text-gray-600">{formatDate(entry.expiresAt)}</td>
+                        <td className="py-1 text-right text-gray-600">{formatSize(entry.size)}</td>
+                        <td className="py-1 pr-4 text-right">
+                          <button
+                            type="button"
+                            onClick={() => removeEntry(entry.key)}
+                            className="text-xs text-red-600 hover:underline"
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-between gap-2 mt-6">
+          <button
+            type="button"
+            onClick={purgeExpired}
+            disabled={properties.length === 0}
+            className="px-4 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+          >
+            Purge expired
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-700"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CacheInspectorModal;
@@ -0,0 +1,275 @@
+/**
+ * Compare view
+ * Side-by-side metrics for 2-5 saved analyses with a ranked recommendation
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Alert } from '../../types/property';
+import { PropertyAnalysis, getAllPropertyAnalyses } from '../../utils/db';
+import {
+  ComparisonFormat,
+  MAX_COMPARE,
+  MIN_COMPARE,
+  STRATEGY_LABELS,
+  buildDealComparison,
+} from '../../utils/compare';
+import { formatCurrency, formatNumber, formatPercent } from '../../utils/formatters';
+import { findScoringProfile, getActiveScoringProfileId } from '../../utils/scoringProfiles';
+import { useScoringProfiles } from '../../hooks/useScoringProfiles';
+
+interface CompareViewProps {
+  onOpenAnalysis: (propertyId: string) => void;
+  onBack: () => void;
+}
+
+const formatValue = (value: number | null, format: ComparisonFormat): string => {
+  if (value === null) return '—';
+  switch (format) {
+    case 'currency':
+      return formatCurrency(value);
+    case 'percent':
+      return formatPercent(value);
+    case 'ratio':
+      return `${value.toFixed(2)}x`;
+    default:
+      return formatNumber(value);
+  }
+};
+
+const CompareView: React.FC<CompareViewProps> = ({ onOpenAnalysis, onBack }) => {
+  const [analyses, setAnalyses] = useState<PropertyAnalysis[]>([]);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [loading, setLoading] = useState(true);
+  const { profiles } = useScoringProfiles();
+  const [profileId, setProfileId] = useState(getActiveScoringProfileId);
+  const profile = findScoringProfile(profiles, profileId);
+
+  // Load saved analyses from IndexedDB on mount
+  useEffect(() => {
+    getAllPropertyAnalyses()
+      .then(setAnalyses)
+      .catch((error) => console.error('Failed to load saved analyses:', error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const selected = useMemo(
+    () =>
+      selectedIds
+        .map((id) => analyses.find((a) => a.propertyId === id))
+        .filter((a): a is PropertyAnalysis => !!a),
+    [selectedIds, analyses]
+  );
+
+  const comparison = useMemo(
+    () =>
+      selected.length >= MIN_COMPARE
+        ? buildDealComparison(
+            selected.map((a) => ({
+              propertyId: a.propertyId,
+              displayAddress: a.displayAddress,
+              results: a.analysisResults,
+            })),
+            profile
+          )
+        : null,
+    [selected, profile]
+  );
+
+  const toggleSelection = (propertyId: string) => {
+    setSelectedIds((current) =>
+      current.includes(propertyId)
+        ? current.filter((id) => id !== propertyId)
+        : current.length < MAX_COMPARE
+          ? [...current, propertyId]
+          : current
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center p-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-indigo-500 to-indigo-700 rounded-lg shadow-md p-6 text-white">
+        <div className="flex justify-between items-start">
+          <div>
+            <h3 className="text-2xl font-bold mb-2 flex items-center gap-2">
+              <span className="text-3xl">⚖️</span>
+              Compare Deals
+            </h3>
+            <p className="text-indigo-100">
+              Pick {MIN_COMPARE}–{MAX_COMPARE} saved analyses to compare side by side
+            </p>
+          </div>
+          <button
+            onClick={onBack}
+            className="px-4 py-2 bg-white text-indigo-700 rounded-lg hover:bg-indigo-50 transition-colors shadow-sm"
+          >
+            Back
+          </button>
+        </div>
+      </div>
+
+      {/* Picker */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h4 className="text-xl font-semibold text-gray-800">Saved Analyses</h4>
+          <span className="text-sm text-gray-500">
+            {selected.length} of {MAX_COMPARE} selected
+          </span>
+        </div>
+        {analyses.length === 0 ? (
+          <div className="text-center py-12 bg-gray-50 rounded-lg border-2 border-dashed border-gray-300">
+            <p className="text-gray-600 mb-2">No saved analyses yet</p>
+            <p className="text-sm text-gray-500">Every analysis you run is saved here for comparison</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {analyses.map((analysis) => {
+              const isSelected = selectedIds.includes(analysis.propertyId);
+              const isFull = !isSelected && selectedIds.length >= MAX_COMPARE;
+              return (
+                <label
+                  key={analysis.propertyId}
+                  className={`flex items-center gap-3 p-3 rounded-lg border transition-colors ${
+                    isSelected
+                      ? 'border-indigo-400 bg-indigo-50'
+                      : isFull
+                        ? 'border-gray-200 opacity-50 cursor-not-allowed'
+                        : 'border-gray-200 hover:bg-gray-50 cursor-pointer'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    disabled={isFull}
+                    onChange={() => toggleSelection(analysis.propertyId)}
+                    className="h-4 w-4 text-indigo-600"
+                  />
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-800 truncate">{analysis.displayAddress}</p>
+                    <p className="text-xs text-gray-500">{new Date(analysis.timestamp).toLocaleDateString()}</p>
+                  </div>
+                </label>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {comparison && (
+        <>
+          {/* Recommendation */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+              <h4 className="text-xl font-semibold text-gray-800">Ranked Recommendation</h4>
+              <label className="text-sm text-gray-600 flex items-center gap-2">
+                Scoring profile
+                <select
+                  value={profile.id}
+                  onChange={(e) => setProfileId(e.target.value)}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm bg-white"
+                >
+                  {profiles.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <div className="space-y-3">
+              {comparison.ranking.map((deal) => (
+                <div
+                  key={deal.propertyId}
+                  className={`flex items-center justify-between p-4 rounded-lg border-2 ${
+                    deal.rank === 1 ? 'border-green-300 bg-green-50' : 'border-gray-200'
+                  }`}
+                >
+                  <div className="flex items-center gap-4 min-w-0">
+                    <span className="text-2xl font-bold text-gray-400">#{deal.rank}</span>
+                    <div className="min-w-0">
+                      <button
+                        onClick={() => onOpenAnalysis(deal.propertyId)}
+                        className="text-primary-600 hover:text-primary-700 font-medium text-left truncate"
+                      >
+                        {deal.displayAddress}
+                      </button>
+                      <p className="text-sm text-gray-600">
+                        {deal.recommendation.emoji} {deal.recommendation.label} as a{' '}
+                        {STRATEGY_LABELS[deal.strategy]}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="text-right flex-shrink-0">
+                    <p className="text-2xl font-bold text-gray-800">{deal.score}</p>
+                    <p className="text-sm">{deal.stars || '—'}</p>
+                    <p className="text-xs text-gray-500">
+                      Flip {deal.flipScore ?? '—'} · Rental {deal.rentalScore ?? '—'}
+                      {deal.strScore !== null && <> · STR {deal.strScore}</>}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-3">
+              Scores use the {profile.name} profile, the same scoring the Sheets analyzer applies. Average score:{' '}
+              {comparison.averageScore}
+            </p>
+          </div>
+
+          {/* Side-by-side metrics */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h4 className="text-xl font-semibold text-gray-800 mb-4">Side by Side</h4>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-semibold text-gray-700">Metric</th>
+                    {selected.map((analysis) => (
+                      <th key={analysis.propertyId} className="px-4 py-3 text-right font-semibold text-gray-700">
+                        {analysis.analysisResults.property?.address || analysis.displayAddress}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {comparison.rows.map((row) => (
+                    <tr key={row.key}>
+                      <td className="px-4 py-3 font-medium text-gray-700">{row.label}</td>
+                      {row.values.map((value, index) => (
+                        <td
+                          key={selected[index].propertyId}
+                          className={`px-4 py-3 text-right ${
+                            row.bestIndexes.includes(index) ? 'bg-green-50 text-green-800 font-bold' : 'text-gray-800'
+                          }`}
+                        >
+                          {formatValue(value, row.format)}
+                          {row.key === 'alerts' &&
+                            (selected[index].analysisResults.alerts || []).map((alert: Alert, alertIndex: number) => (
+                              <p key={alertIndex} className="text-xs font-normal text-gray-500 mt-1">
+                                {alert.message}
+                              </p>
+                            ))}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-3">Best value in each row is highlighted in green.</p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,165 @@
+/**
+ * BRRRR refinance section
+ * Edits the refinance assumptions and shows the cash that goes in, what the
+ * refinance pays back, what stays in the deal and the cash flow afterwards.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { RefinanceInputs } from '../../types/financing';
+import { PropertyFormData, RentalAnalysis } from '../../types/property';
+import { formatCurrency, formatPercent } from '../../utils/formatters';
+import { analyzeBRRRR } from '../../utils/brrrr';
+
+interface BRRRRSectionProps {
+  rental: RentalAnalysis;
+  arv: number;
+  formData?: PropertyFormData | null;
+}
+
+const FIELDS: { key: keyof RefinanceInputs; label: string; placeholder: string; step: string }[] = [
+  { key: 'month', label: 'Refinance Month', placeholder: 'Auto', step: '1' },
+  { key: 'seasoningMonths', label: 'Seasoning (months)', placeholder: '6', step: '1' },
+  { key: 'ltv', label: 'Max LTV (%)', placeholder: '75', step: '1' },
+  { key: 'rate', label: 'Refi Rate (%)', placeholder: 'Loan rate', step: '0.125' },
+  { key: 'termYears', label: 'Term (years)', placeholder: '30', step: '1' },
+  { key: 'closingCostRate', label: 'Closing Costs (%)', placeholder: '2', step: '0.25' },
+  { key: 'points', label: 'Points (%)', placeholder: '0', step: '0.25' },
+];
+
+const BRRRRSection: React.FC<BRRRRSectionProps> = ({ rental, arv, formData }) => {
+  const [inputs, setInputs] = useState<RefinanceInputs>({});
+
+  const brrrr = useMemo(() => analyzeBRRRR(rental, formData, arv, inputs), [rental, formData, arv, inputs]);
+
+  const setInput = (key: keyof RefinanceInputs, value: string) => {
+    setInputs((current) => ({ ...current, [key]: value === '' ? undefined : parseFloat(value) }));
+  };
+
+  const status = brrrr.error
+    ? null
+    : brrrr.infiniteReturn
+      ? { label: '♾️ Infinite Return', detail: 'The refinance returns all of your cash and the rental still cash flows', className: 'bg-green-50 border-green-400 text-green-800' }
+      : brrrr.cashLeftInDeal <= 0
+        ? { label: '💸 All Cash Recovered', detail: 'Every dollar comes back, but the rental does not cash flow after the refinance', className: 'bg-yellow-50 border-yellow-400 text-yellow-800' }
+        : { label: '🔒 Cash Left in Deal', detail: `${formatPercent(brrrr.capitalRecovered, 1)} of your cash comes back at the refinance`, className: 'bg-blue-50 border-blue-400 text-blue-800' };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h4 className="text-xl font-semibold text-gray-800 mb-1 flex items-center gap-2">
+        <span className="text-xl">🔁</span>
+        BRRRR Refinance
+      </h4>
+      <p className="text-sm text-gray-600 mb-4">
+        Buy and rehab on the loan structure from the form, then refinance at {formatCurrency(arv)} ARV
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3 mb-5">
+        {FIELDS.map(({ key, label, placeholder, step }) => (
+          <label key={key} className="text-xs text-gray-600">
+            {label}
+            <input
+              type="number"
+              min="0"
+              step={step}
+              value={inputs[key] ?? ''}
+              placeholder={placeholder}
+              onChange={(e) => setInput(key, e.target.value)}
+              className="w-full mt-1 px-2 py-1.5 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+            />
+          </label>
+        ))}
+      </div>
+
+      {brrrr.error ? (
+        <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded-r-lg">
+          <p className="text-sm text-red-700">{brrrr.message}</p>
+        </div>
+      ) : (
+        <>
+          {status && (
+            <div className={`border-l-4 p-4 rounded-r-lg mb-4 ${status.className}`}>
+              <p className="font-semibold">{status.label}</p>
+              <p className="text-sm mt-1">{status.detail}</p>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-5">
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-xs text-gray-600 mb-1">Cash Invested</p>
+              <p className="text-lg font-bold text-gray-800">{formatCurrency(brrrr.cashInvested.total)}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-xs text-gray-600 mb-1">Cash Out at Refinance</p>
+              <p className={`text-lg font-bold ${brrrr.cashOut >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                {formatCurrency(brrrr.cashOut)}
+              </p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-xs text-gray-600 mb-1">Cash Left in Deal</p>
+              <p className="text-lg font-bold text-gray-800">{formatCurrency(Math.max(0, brrrr.cashLeftInDeal))}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-xs text-gray-600 mb-1">Cash-on-Cash (after refi)</p>
+              <p className="text-lg font-bold text-gray-800">
+                {brrrr.cocReturn === null ? '∞' : formatPercent(brrrr.cocReturn)}
+              </p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <h5 className="text-sm font-semibold text-gray-700 mb-2">Cash In (through month {brrrr.refinanceMonth})</h5>
+              <dl className="text-sm space-y-1">
+                {[
+                  ['Down Payment', brrrr.cashInvested.downPayment],
+                  ['Purchase Closing Costs', brrrr.cashInvested.closingCosts],
+                  ['Rehab (not lender-funded)', brrrr.cashInvested.rehab],
+                  ['Lender Points & Fees', brrrr.cashInvested.lenderCosts],
+                  ['Additional Cash Investment', brrrr.cashInvested.cashInvestment],
+                  ['Net Carrying Costs', brrrr.cashInvested.carryingCosts],
+                ].map(([label, value]) => (
+                  <div key={label} className="flex justify-between">
+                    <dt className="text-gray-600">{label}</dt>
+                    <dd className="font-medium text-gray-800">{formatCurrency(value as number)}</dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+            <div>
+              <h5 className="text-sm font-semibold text-gray-700 mb-2">Refinance</h5>
+              <dl className="text-sm space-y-1">
+                {[
+                  [`Appraised Value (${brrrr.appraisalBasis})`, formatCurrency(brrrr.appraisedValue)],
+                  ['New Loan', formatCurrency(brrrr.newLoanAmount)],
+                  ['Payoff of Purchase Loans', formatCurrency(brrrr.payoff)],
+                  ['Refinance Costs', formatCurrency(brrrr.refinanceCosts)],
+                  ['New Monthly P&I', formatCurrency(brrrr.monthlyPayment)],
+                  ['Monthly Cash Flow', formatCurrency(brrrr.monthlyCashFlow)],
+                  ['DSCR', brrrr.dscr.toFixed(2)],
+                  ['Equity After Refinance', formatCurrency(brrrr.equityAfterRefinance)],
+                ].map(([label, value]) => (
+                  <div key={label} className="flex justify-between">
+                    <dt className="text-gray-600">{label}</dt>
+                    <dd className="font-medium text-gray-800">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+          </div>
+
+          {brrrr.warnings.length > 0 && (
+            <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded-r-lg mt-4">
+              <ul className="text-sm text-yellow-800 space-y-1">
+                {brrrr.warnings.map((warning) => (
+                  <li key={warning}>⚠️ {warning}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BRRRRSection;
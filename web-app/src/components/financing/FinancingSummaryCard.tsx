@@ -0,0 +1,66 @@
+/**
+ * Financing summary card
+ * Shows what the deal's loan structure costs: interest, points and fees, what
+ * is owed at the end, and the balloons and ARM resets the schedule runs into.
+ */
+
+import React from 'react';
+import { FinancingSummary } from '../../types/financing';
+import { formatCurrency, formatPercent } from '../../utils/formatters';
+
+interface FinancingSummaryCardProps {
+  financing: FinancingSummary;
+  interestLabel: string;
+  payoffLabel: string;
+}
+
+const FinancingSummaryCard: React.FC<FinancingSummaryCardProps> = ({ financing, interestLabel, payoffLabel }) => {
+  const metrics = [
+    { label: interestLabel, value: financing.totalInterest },
+    { label: 'Points & Lender Fees', value: financing.upfrontCosts },
+    { label: 'Year-One Payment (avg/mo)', value: financing.monthlyPayment },
+    { label: payoffLabel, value: financing.loanPayoff },
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h4 className="text-xl font-semibold text-gray-800 mb-1 flex items-center gap-2">
+        <span className="text-xl">🏦</span>
+        Financing: {financing.loanNames}
+      </h4>
+      {financing.drawFunded > 0 && (
+        <p className="text-sm text-gray-600 mb-3">
+          {formatCurrency(financing.drawFunded)} of the rehab is funded through lender draws
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-3">
+        {metrics.map(({ label, value }) => (
+          <div key={label} className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-600 mb-1">{label}</p>
+            <p className="text-lg font-bold text-gray-800">{formatCurrency(value)}</p>
+          </div>
+        ))}
+      </div>
+
+      {(financing.balloons.length > 0 || financing.rateResets.length > 0) && (
+        <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded-r-lg mt-4">
+          <ul className="text-sm text-yellow-800 space-y-1">
+            {financing.balloons.map((balloon) => (
+              <li key={`balloon-${balloon.name}-${balloon.month}`}>
+                ⚠️ {balloon.name} balloon of {formatCurrency(balloon.amount)} due in month {balloon.month}
+              </li>
+            ))}
+            {financing.rateResets.map((reset) => (
+              <li key={`reset-${reset.name}-${reset.month}`}>
+                📈 {reset.name} resets to {formatPercent(reset.rate * 100)} in month {reset.month}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FinancingSummaryCard;
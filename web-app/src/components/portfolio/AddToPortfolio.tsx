@@ -0,0 +1,131 @@
+/**
+ * "Add to Portfolio" control for the results header
+ * Saves the current analysis and adds it to a new or existing portfolio
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { PropertyAnalysisResult, PropertyFormData } from '../../types/property';
+import { Portfolio, PortfolioStrategy } from '../../types/portfolio';
+import {
+  addPortfolioHolding,
+  createPortfolio,
+  getAllPortfolios,
+  savePropertyAnalysis,
+} from '../../utils/db';
+import { suggestPortfolioStrategy } from '../../utils/portfolio';
+
+interface AddToPortfolioProps {
+  propertyId: string;
+  formData: PropertyFormData;
+  results: PropertyAnalysisResult;
+}
+
+const NEW_PORTFOLIO = '__new__';
+
+const AddToPortfolio: React.FC<AddToPortfolioProps> = ({ propertyId, formData, results }) => {
+  const [open, setOpen] = useState(false);
+  const [portfolios, setPortfolios] = useState<Portfolio[]>([]);
+  const [portfolioId, setPortfolioId] = useState<string>(NEW_PORTFOLIO);
+  const [newName, setNewName] = useState('My Portfolio');
+  const [strategy, setStrategy] = useState<PortfolioStrategy>(() => suggestPortfolioStrategy(results));
+  const [message, setMessage] = useState('');
+  const ref = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    getAllPortfolios().then((loaded) => {
+      setPortfolios(loaded);
+      const current = loaded.find((p) => p.holdings.some((h) => h.propertyId === propertyId));
+      setPortfolioId(current?.portfolioId ?? loaded[0]?.portfolioId ?? NEW_PORTFOLIO);
+    });
+  }, [open, propertyId]);
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event: MouseEvent) => {
+      if (ref.current && !ref.current.contains(event.target as Node)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleAdd = async () => {
+    try {
+      let targetId = portfolioId;
+      let targetName = portfolios.find((p) => p.portfolioId === portfolioId)?.name;
+      if (portfolioId === NEW_PORTFOLIO) {
+        const created = await createPortfolio(newName.trim() || 'My Portfolio');
+        targetId = created.portfolioId;
+        targetName = created.name;
+      }
+      await savePropertyAnalysis(propertyId, formData, results);
+      await addPortfolioHolding(targetId, propertyId, strategy);
+      setMessage(`Added to ${targetName}`);
+      setOpen(false);
+    } catch (error) {
+      console.error('Failed to add analysis to portfolio:', error);
+      setMessage('Could not add to portfolio');
+    }
+  };
+
+  return (
+    <div ref={ref} className="relative inline-block">
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-4 py-2 bg-white text-primary-700 border border-primary-300 rounded-lg hover:bg-primary-50 transition-colors shadow-sm"
+      >
+        Add to Portfolio
+      </button>
+      {message && !open && <p className="text-xs text-gray-500 mt-1 text-right">{message}</p>}
+      {open && (
+        <div className="absolute right-0 top-full mt-2 bg-white rounded-lg shadow-lg border border-gray-200 p-4 w-72 z-40 space-y-3">
+          <div>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">Portfolio</label>
+            <select
+              value={portfolioId}
+              onChange={(e) => setPortfolioId(e.target.value)}
+              className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white"
+            >
+              {portfolios.map((p) => (
+                <option key={p.portfolioId} value={p.portfolioId}>
+                  {p.name}
+                </option>
+              ))}
+              <option value={NEW_PORTFOLIO}>+ New portfolio…</option>
+            </select>
+          </div>
+          {portfolioId === NEW_PORTFOLIO && (
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md"
+              placeholder="Portfolio name"
+            />
+          )}
+          <div>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">Strategy</label>
+            <select
+              value={strategy}
+              onChange={(e) => setStrategy(e.target.value as PortfolioStrategy)}
+              className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white"
+            >
+              <option value="rental" disabled={!results.rental}>Rental (buy and hold)</option>
+              <option value="flip" disabled={!results.flip}>Flip</option>
+            </select>
+          </div>
+          <button
+            onClick={handleAdd}
+            className="w-full px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+          >
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddToPortfolio;
@@ -0,0 +1,349 @@
+/**
+ * Portfolio page
+ * Rolls saved analyses up into portfolio-level cash flow, equity, debt and concentration
+ */
+
+import React, { useState } from 'react';
+import { usePortfolios } from '../../hooks/usePortfolios';
+import { ConcentrationSlice, PortfolioStrategy } from '../../types/portfolio';
+import { formatCurrency, formatPercent } from '../../utils/formatters';
+import { CONCENTRATION_WARNING_SHARE } from '../../utils/portfolio';
+
+interface PortfolioPageProps {
+  onOpenAnalysis: (propertyId: string) => void;
+  onBack: () => void;
+}
+
+const STRATEGY_LABELS: Record<string, string> = {
+  rental: 'Rental',
+  flip: 'Flip',
+};
+
+interface ConcentrationBarsProps {
+  title: string;
+  slices: ConcentrationSlice[];
+  labelOf?: (key: string) => string;
+  warnAbove?: number; // Share (%) above which a bar is highlighted
+}
+
+const ConcentrationBars: React.FC<ConcentrationBarsProps> = ({
+  title,
+  slices,
+  labelOf = (key) => key,
+  warnAbove = 100,
+}) => (
+  <div className="bg-white rounded-lg shadow-md p-6">
+    <h4 className="text-lg font-semibold text-gray-800 mb-4">{title}</h4>
+    <div className="space-y-3">
+      {slices.map((slice) => (
+        <div key={slice.key}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="font-medium text-gray-700">
+              {labelOf(slice.key)}{' '}
+              <span className="text-gray-500">
+                ({slice.count} {slice.count === 1 ? 'property' : 'properties'})
+              </span>
+            </span>
+            <span className="text-gray-700">
+              {formatCurrency(slice.marketValue)} · {formatPercent(slice.share, 0)}
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className={`h-2 rounded-full ${slice.share > warnAbove ? 'bg-orange-500' : 'bg-primary-500'}`}
+              style={{ width: `${slice.share}%` }}
+            ></div>
+          </div>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+const PortfolioPage: React.FC<PortfolioPageProps> = ({ onOpenAnalysis, onBack }) => {
+  const {
+    portfolios,
+    loading,
+    selectedPortfolio,
+    setSelectedPortfolioId,
+    summary,
+    missingPropertyIds,
+    createPortfolio,
+    renamePortfolio,
+    deletePortfolio,
+    setHoldingStrategy,
+    removeHolding,
+  } = usePortfolios();
+  const [newPortfolioName, setNewPortfolioName] = useState('');
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newPortfolioName.trim()) return;
+    await createPortfolio(newPortfolioName.trim());
+    setNewPortfolioName('');
+  };
+
+  const handleRename = async () => {
+    if (!selectedPortfolio) return;
+    const name = window.prompt('Portfolio name', selectedPortfolio.name);
+    if (name && name.trim()) {
+      await renamePortfolio(selectedPortfolio.portfolioId, name.trim());
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedPortfolio) return;
+    if (window.confirm(`Delete portfolio "${selectedPortfolio.name}"? Saved analyses are kept.`)) {
+      await deletePortfolio(selectedPortfolio.portfolioId);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center p-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-primary-500 to-primary-700 rounded-lg shadow-md p-6 text-white">
+        <div className="flex justify-between items-start">
+          <div>
+            <h3 className="text-2xl font-bold mb-2 flex items-center gap-2">
+              <span className="text-3xl">💼</span>
+              Portfolio
+            </h3>
+            <p className="text-primary-100">Combined performance of the rentals and flips you hold</p>
+          </div>
+          <button
+            onClick={onBack}
+            className="px-4 py-2 bg-white text-primary-700 rounded-lg hover:bg-primary-50 transition-colors shadow-sm"
+          >
+            Back
+          </button>
+        </div>
+      </div>
+
+      {/* Portfolio selector */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center gap-3">
+          {portfolios.map((portfolio) => (
+            <button
+              key={portfolio.portfolioId}
+              onClick={() => setSelectedPortfolioId(portfolio.portfolioId)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                portfolio.portfolioId === selectedPortfolio?.portfolioId
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {portfolio.name} ({portfolio.holdings.length})
+            </button>
+          ))}
+          <form onSubmit={handleCreate} className="flex items-center gap-2 ml-auto">
+            <input
+              type="text"
+              value={newPortfolioName}
+              onChange={(e) => setNewPortfolioName(e.target.value)}
+              placeholder="New portfolio name"
+              className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-400"
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+              disabled={!newPortfolioName.trim()}
+            >
+              Create
+            </button>
+          </form>
+        </div>
+        {selectedPortfolio && (
+          <div className="flex gap-4 mt-3 text-sm">
+            <button onClick={handleRename} className="text-primary-600 hover:text-primary-700 font-medium">
+              Rename
+            </button>
+            <button onClick={handleDelete} className="text-red-600 hover:text-red-700 font-medium">
+              Delete portfolio
+            </button>
+          </div>
+        )}
+      </div>
+
+      {!selectedPortfolio || !summary ? (
+        <div className="text-center py-12 bg-gray-50 rounded-lg border-2 border-dashed border-gray-300">
+          <p className="text-gray-600 mb-2">No portfolios yet</p>
+          <p className="text-sm text-gray-500">
+            Create a portfolio above, then use "Add to Portfolio" on an analysis to include it
+          </p>
+        </div>
+      ) : summary.propertyCount === 0 ? (
+        <div className="text-center py-12 bg-gray-50 rounded-lg border-2 border-dashed border-gray-300">
+          <p className="text-gray-600 mb-2">{selectedPortfolio.name} has no properties</p>
+          <p className="text-sm text-gray-500">Run an analysis and use "Add to Portfolio" to include it here</p>
+        </div>
+      ) : (
+        <>
+          {/* Key Metrics */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h4 className="text-xl font-semibold text-gray-800 mb-4">Portfolio Metrics</h4>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="bg-gradient-to-br from-green-50 to-green-100 p-5 rounded-lg border-2 border-green-200">
+                <p className="text-sm text-gray-600 mb-1">Monthly Cash Flow</p>
+                <p className={`text-3xl font-bold ${summary.monthlyCashFlow >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                  {formatCurrency(summary.monthlyCashFlow)}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">{summary.rentalCount} rental{summary.rentalCount === 1 ? '' : 's'}</p>
+              </div>
+              <div className="bg-gradient-to-br from-blue-50 to-blue-100 p-5 rounded-lg border-2 border-blue-200">
+                <p className="text-sm text-gray-600 mb-1">Total Equity</p>
+                <p className="text-3xl font-bold text-blue-700">{formatCurrency(summary.totalEquity)}</p>
+                <p className="text-xs text-gray-500 mt-1">of {formatCurrency(summary.totalMarketValue)} market value</p>
+              </div>
+              <div className="bg-gradient-to-br from-red-50 to-red-100 p-5 rounded-lg border-2 border-red-200">
+                <p className="text-sm text-gray-600 mb-1">Total Debt</p>
+                <p className="text-3xl font-bold text-red-700">{formatCurrency(summary.totalDebt)}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  LTV {formatPercent(summary.totalMarketValue > 0 ? (summary.totalDebt / summary.totalMarketValue) * 100 : 0, 1)}
+                </p>
+              </div>
+              <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-5 rounded-lg border-2 border-purple-200">
+                <p className="text-sm text-gray-600 mb-1">Blended Cap Rate</p>
+                <p className="text-3xl font-bold text-purple-700">{formatPercent(summary.blendedCapRate)}</p>
+                <p className="text-xs text-gray-500 mt-1">NOI {formatCurrency(summary.annualNOI)}/yr</p>
+              </div>
+              <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-5 rounded-lg border-2 border-indigo-200">
+                <p className="text-sm text-gray-600 mb-1">Portfolio DSCR</p>
+                {summary.dscr === null ? (
+                  <p className="text-3xl font-bold text-gray-500">N/A</p>
+                ) : (
+                  <p className={`text-3xl font-bold ${summary.dscr >= 1.25 ? 'text-green-700' : summary.dscr >= 1.0 ? 'text-yellow-700' : 'text-red-700'}`}>
+                    {summary.dscr.toFixed(2)}x
+                  </p>
+                )}
+                <p className="text-xs text-gray-500 mt-1">Debt service {formatCurrency(summary.annualDebtService)}/yr</p>
+              </div>
+              <div className="bg-gradient-to-br from-orange-50 to-orange-100 p-5 rounded-lg border-2 border-orange-200">
+                <p className="text-sm text-gray-600 mb-1">Projected Flip Profit</p>
+                <p className={`text-3xl font-bold ${summary.projectedFlipProfit >= 0 ? 'text-orange-700' : 'text-red-700'}`}>
+                  {formatCurrency(summary.projectedFlipProfit)}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">{summary.flipCount} flip{summary.flipCount === 1 ? '' : 's'}</p>
+              </div>
+            </div>
+            <div className="mt-4 bg-blue-50 border-l-4 border-blue-400 p-4 rounded-r-lg">
+              <p className="text-sm text-blue-800">
+                Cash flow, cap rate and DSCR come from rental holdings only. Flips add to value, debt and
+                equity (at ARV) and are reported by projected profit.
+              </p>
+            </div>
+          </div>
+
+          {/* Concentration warnings */}
+          {summary.concentrationWarnings.length > 0 && (
+            <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded-r-lg">
+              {summary.concentrationWarnings.map((warning) => (
+                <p key={warning} className="text-sm text-yellow-800">⚠️ {warning}</p>
+              ))}
+            </div>
+          )}
+
+          {/* Concentration */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <ConcentrationBars
+              title="Concentration by State"
+              slices={summary.byState}
+              warnAbove={summary.propertyCount > 1 ? CONCENTRATION_WARNING_SHARE : 100}
+            />
+            <ConcentrationBars
+              title="Concentration by Strategy"
+              slices={summary.byStrategy}
+              labelOf={(key) => STRATEGY_LABELS[key] || key}
+            />
+          </div>
+
+          {/* Holdings */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h4 className="text-xl font-semibold text-gray-800 mb-4">Holdings</h4>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-semibold text-gray-700">Property</th>
+                    <th className="px-4 py-3 text-left font-semibold text-gray-700">Strategy</th>
+                    <th className="px-4 py-3 text-right font-semibold text-gray-700">Value</th>
+                    <th className="px-4 py-3 text-right font-semibold text-gray-700">Debt</th>
+                    <th className="px-4 py-3 text-right font-semibold text-gray-700">Equity</th>
+                    <th className="px-4 py-3 text-right font-semibold text-gray-700">Cash Flow</th>
+                    <th className="px-4 py-3 text-right font-semibold text-gray-700">Cap Rate / Profit</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {summary.holdings.map((holding) => (
+                    <tr key={holding.propertyId} className="hover:bg-gray-50">
+                      <td className="px-4 py-3">
+                        <button
+                          onClick={() => onOpenAnalysis(holding.propertyId)}
+                          className="text-primary-600 hover:text-primary-700 font-medium text-left"
+                        >
+                          {holding.displayAddress}
+                        </button>
+                      </td>
+                      <td className="px-4 py-3">
+                        <select
+                          value={holding.strategy}
+                          onChange={(e) =>
+                            setHoldingStrategy(
+                              selectedPortfolio.portfolioId,
+                              holding.propertyId,
+                              e.target.value as PortfolioStrategy
+                            )
+                          }
+                          className="px-2 py-1 border border-gray-300 rounded-md bg-white"
+                        >
+                          <option value="rental">Rental</option>
+                          <option value="flip">Flip</option>
+                        </select>
+                      </td>
+                      <td className="px-4 py-3 text-right">{formatCurrency(holding.marketValue)}</td>
+                      <td className="px-4 py-3 text-right">{formatCurrency(holding.debt)}</td>
+                      <td className="px-4 py-3 text-right">{formatCurrency(holding.equity)}</td>
+                      <td className={`px-4 py-3 text-right ${holding.monthlyCashFlow < 0 ? 'text-red-600' : ''}`}>
+                        {holding.strategy === 'rental' ? formatCurrency(holding.monthlyCashFlow) : '—'}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        {holding.strategy === 'rental'
+                          ? formatPercent(holding.capRate)
+                          : formatCurrency(holding.projectedProfit)}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        <button
+                          onClick={() => removeHolding(selectedPortfolio.portfolioId, holding.propertyId)}
+                          className="text-red-600 hover:text-red-700"
+                          title="Remove from portfolio"
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {missingPropertyIds.length > 0 && (
+              <p className="text-xs text-gray-500 mt-3">
+                {missingPropertyIds.length} holding{missingPropertyIds.length === 1 ? '' : 's'} left out because the
+                saved analysis was deleted.
+              </p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioPage;
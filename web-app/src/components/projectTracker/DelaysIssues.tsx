@@ -4,11 +4,12 @@
  */
 
 import React, { useState } from 'react';
-import { ProjectDelay, IssueStatus } from '../../types/projectTracker';
+import { ProjectDelay, IssueStatus, RenovationPhase } from '../../types/projectTracker';
 import Modal from './Modal';
 
 interface DelaysIssuesProps {
   delays: ProjectDelay[];
+  phases: RenovationPhase[]; // Phases a delay can hold up
   onAdd: (delay: Omit<ProjectDelay, 'id'>) => void;
   onUpdate: (id: string, updates: Partial<ProjectDelay>) => void;
   onDelete: (id: string) => void;
@@ -16,6 +17,7 @@ interface DelaysIssuesProps {
 
 const DelaysIssues: React.FC<DelaysIssuesProps> = ({
   delays,
+  phases,
   onAdd,
   onUpdate,
   onDelete,
@@ -33,6 +35,7 @@ const DelaysIssues: React.FC<DelaysIssuesProps> = ({
     responsibleParty: '',
     status: 'open',
     resolutionNotes: '',
+    phaseId: '',
   });
 
   const handleOpenModal = (delay?: ProjectDelay) => {
@@ -52,6 +55,7 @@ const DelaysIssues: React.FC<DelaysIssuesProps> = ({
         responsibleParty: '',
         status: 'open',
         resolutionNotes: '',
+        phaseId: '',
       });
     }
     setIsModalOpen(true);
@@ -221,6 +225,15 @@ const DelaysIssues: React.FC<DelaysIssuesProps> = ({
                       </div>
                     </div>
 
+                    {delay.phaseId && (
+                      <div className="mb-2">
+                        <span className="text-xs text-gray-600">Holds up: </span>
+                        <span className="text-xs font-medium text-gray-900">
+                          {phases.find((phase) => phase.id === delay.phaseId)?.phaseName || 'Deleted phase'}
+                        </span>
+                      </div>
+                    )}
+
                     {delay.responsibleParty && (
                       <div className="mb-2">
                         <span className="text-xs text-gray-600">Responsible: </span>
@@ -391,6 +404,27 @@ const DelaysIssues: React.FC<DelaysIssuesProps> = ({
               />
             </div>
 
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Affected Phase
+              </label>
+              <select
+                value={formData.phaseId || ''}
+                onChange={(e) => setFormData({ ...formData, phaseId: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">None</option>
+                {phases.map((phase) => (
+                  <option key={phase.id} value={phase.id}>
+                    {phase.phaseName}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                The phase runs this many days past its end date and the phases that depend on it are pushed back
+              </p>
+            </div>
+
             <div className="md:col-span-2">
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Responsible Party
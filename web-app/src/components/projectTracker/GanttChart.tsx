@@ -0,0 +1,231 @@
+/**
+ * Gantt chart of the renovation phases on their dependency schedule
+ * Critical path highlighted; drag a bar to move a phase, click it for details
+ */
+
+import React, { useRef, useState } from 'react';
+import { ProjectDelay, RenovationPhase } from '../../types/projectTracker';
+import { addDays, schedulePhases } from '../../utils/schedule';
+
+interface GanttChartProps {
+  phases: RenovationPhase[];
+  delays: ProjectDelay[];
+  onUpdate: (id: string, updates: Partial<RenovationPhase>) => void;
+}
+
+const formatDay = (date: string) =>
+  new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const GanttChart: React.FC<GanttChartProps> = ({ phases, delays, onUpdate }) => {
+  const trackRef = useRef<HTMLDivElement>(null);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [drag, setDrag] = useState<{ id: string; startX: number; days: number } | null>(null);
+
+  const schedule = schedulePhases(phases, delays);
+
+  if (schedule.error) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-2">Schedule & Critical Path</h3>
+        <p className="text-sm text-red-600">{schedule.error}. Remove one of the links to schedule the phases.</p>
+      </div>
+    );
+  }
+
+  const span = Math.max(schedule.totalDays, 1);
+  const tickEvery = span <= 120 ? 7 : 30;
+  const ticks = Array.from({ length: Math.floor(span / tickEvery) + 1 }, (_, i) => i * tickEvery);
+  const canDrag = !!schedule.projectStart;
+  const toPercent = (days: number) => `${(days / span) * 100}%`;
+  const dayLabel = (offset: number) =>
+    schedule.projectStart ? formatDay(addDays(schedule.projectStart, offset)) : `Day ${offset}`;
+
+  const dragDays = (clientX: number, startX: number) => {
+    const width = trackRef.current?.getBoundingClientRect().width || 0;
+    return width > 0 ? Math.round(((clientX - startX) / width) * span) : 0;
+  };
+
+  // A dragged phase gets a start date; the schedule still holds it behind its predecessors
+  const handlePointerUp = (phase: RenovationPhase, index: number) => {
+    if (!drag) return;
+    const scheduled = schedule.phases[index];
+    if (drag.days !== 0) {
+      const startDate = addDays(scheduled.startDate, drag.days);
+      onUpdate(phase.id, {
+        startDate,
+        endDate: phase.endDate ? addDays(startDate, scheduled.duration - scheduled.delayDays) : phase.endDate,
+      });
+    } else {
+      setSelectedId(selectedId === phase.id ? null : phase.id);
+    }
+    setDrag(null);
+  };
+
+  const selectedIndex = phases.findIndex((phase) => phase.id === selectedId);
+  const selected = selectedIndex >= 0 ? schedule.phases[selectedIndex] : null;
+  const selectedPhase = selectedIndex >= 0 ? phases[selectedIndex] : null;
+  const phaseName = (id: string) => phases.find((phase) => phase.id === id)?.phaseName || 'Deleted phase';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-3 mb-4">
+        <div>
+          <h3 className="text-xl font-bold text-gray-800">Schedule & Critical Path</h3>
+          <p className="text-sm text-gray-600">
+            {canDrag
+              ? 'Drag a bar to move a phase, click it for details'
+              : 'Give the first phase a start date to put the schedule on the calendar'}
+          </p>
+        </div>
+        <div className="flex gap-4 text-sm">
+          <div>
+            <p className="text-gray-600">Duration</p>
+            <p className="font-bold text-gray-900">{schedule.totalDays} days</p>
+          </div>
+          {schedule.projectedCompletionDate && (
+            <div>
+              <p className="text-gray-600">Projected Completion</p>
+              <p className="font-bold text-gray-900">{formatDay(schedule.projectedCompletionDate)}</p>
+            </div>
+          )}
+          <div>
+            <p className="text-gray-600">Critical Phases</p>
+            <p className="font-bold text-red-700">{schedule.criticalPath.length}</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div className="min-w-[640px]">
+          {/* Time scale */}
+          <div className="flex border-b border-gray-200 pb-1 mb-2">
+            <div className="w-48 shrink-0" />
+            <div ref={trackRef} className="relative flex-1 h-5">
+              {ticks.map((day) => (
+                <span
+                  key={day}
+                  className="absolute text-xs text-gray-500 -translate-x-1/2"
+                  style={{ left: toPercent(day) }}
+                >
+                  {dayLabel(day)}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {/* Phase bars */}
+          <div className="space-y-2">
+            {phases.map((phase, index) => {
+              const scheduled = schedule.phases[index];
+              const offset = drag?.id === phase.id ? drag.days : 0;
+              const baseDays = scheduled.duration - scheduled.delayDays;
+
+              return (
+                <div key={phase.id} className="flex items-center">
+                  <div className="w-48 shrink-0 pr-3 text-sm truncate">
+                    <span className={scheduled.isCritical ? 'font-semibold text-red-700' : 'text-gray-800'}>
+                      {phase.phaseName}
+                    </span>
+                  </div>
+                  <div className="relative flex-1 h-7 bg-gray-50 rounded">
+                    {/* Float: how far the phase can slip without moving the completion date */}
+                    {scheduled.totalFloat > 0 && (
+                      <div
+                        className="absolute top-3 h-1 bg-gray-300 rounded"
+                        style={{ left: toPercent(scheduled.earlyFinish), width: toPercent(scheduled.totalFloat) }}
+                        title={`${scheduled.totalFloat} days of float`}
+                      />
+                    )}
+                    <div
+                      className={`absolute top-1 h-5 rounded flex overflow-hidden select-none touch-none ${
+                        canDrag && phase.status !== 'completed' ? 'cursor-grab' : 'cursor-pointer'
+                      } ${selectedId === phase.id ? 'ring-2 ring-offset-1 ring-gray-700' : ''}`}
+                      style={{
+                        left: toPercent(scheduled.earlyStart + offset),
+                        width: toPercent(Math.max(scheduled.duration, 0.5)),
+                      }}
+                      title={`${phase.phaseName}: ${dayLabel(scheduled.earlyStart)} - ${dayLabel(scheduled.earlyFinish)}`}
+                      onPointerDown={(e) => {
+                        e.currentTarget.setPointerCapture(e.pointerId);
+                        setDrag({ id: phase.id, startX: e.clientX, days: 0 });
+                      }}
+                      onPointerMove={(e) => {
+                        if (drag?.id === phase.id && canDrag && phase.status !== 'completed') {
+                          setDrag({ ...drag, days: dragDays(e.clientX, drag.startX) });
+                        }
+                      }}
+                      onPointerUp={() => handlePointerUp(phase, index)}
+                    >
+                      <div
+                        className={`h-full ${
+                          phase.status === 'completed' ? 'bg-green-500' : scheduled.isCritical ? 'bg-red-500' : 'bg-blue-500'
+                        }`}
+                        style={{ width: `${(baseDays / Math.max(scheduled.duration, 1)) * 100}%` }}
+                      />
+                      {scheduled.delayDays > 0 && (
+                        <div
+                          className="h-full bg-orange-400"
+                          style={{ width: `${(scheduled.delayDays / Math.max(scheduled.duration, 1)) * 100}%` }}
+                          title={`${scheduled.delayDays} days of logged delays`}
+                        />
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-4 mt-4 text-xs text-gray-600">
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-red-500" /> Critical path</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-blue-500" /> Has float</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-green-500" /> Completed</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-orange-400" /> Logged delays</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-1 rounded bg-gray-300" /> Float</span>
+      </div>
+
+      {/* Selected phase */}
+      {selected && selectedPhase && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+          <div className="flex justify-between items-center mb-3">
+            <h4 className="font-semibold text-gray-900">{selectedPhase.phaseName}</h4>
+            <span className={`text-xs font-semibold ${selected.isCritical ? 'text-red-700' : 'text-blue-700'}`}>
+              {selected.isCritical ? 'On the critical path' : `${selected.totalFloat} days of float`}
+            </span>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div>
+              <p className="text-gray-600">Earliest</p>
+              <p className="font-semibold text-gray-900">{dayLabel(selected.earlyStart)} - {dayLabel(selected.earlyFinish)}</p>
+            </div>
+            <div>
+              <p className="text-gray-600">Latest</p>
+              <p className="font-semibold text-gray-900">{dayLabel(selected.lateStart)} - {dayLabel(selected.lateFinish)}</p>
+            </div>
+            <div>
+              <p className="text-gray-600">Duration</p>
+              <p className="font-semibold text-gray-900">
+                {selected.duration} days{selected.delayDays > 0 && ` (${selected.delayDays} delayed)`}
+              </p>
+            </div>
+            <div>
+              <p className="text-gray-600">Starts After</p>
+              <p className="font-semibold text-gray-900">
+                {selectedPhase.dependencies?.length
+                  ? selectedPhase.dependencies
+                      .map((dep) => (dep.lagDays ? `${phaseName(dep.phaseId)} +${dep.lagDays}d` : phaseName(dep.phaseId)))
+                      .join(', ')
+                  : '-'}
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GanttChart;
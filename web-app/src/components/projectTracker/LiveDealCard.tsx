@@ -0,0 +1,154 @@
+/**
+ * Live deal: the flip analysis re-run on the Project Tracker's actuals,
+ * original vs current projected profit and ROI, with margin alerts
+ */
+
+import React, { useEffect, useState } from 'react';
+import { PropertyFormData } from '../../types/property';
+import { LiveFlipCase, ProjectTrackerData } from '../../types/projectTracker';
+import { loadProjectTrackerData } from '../../utils/localStorage';
+import { analyzeLiveDeal, loadTargetMargin, saveTargetMargin } from '../../utils/liveDeal';
+import { formatCurrency, formatPercent } from '../../utils/formatters';
+
+interface LiveDealCardProps {
+  propertyId: string;
+  formData: PropertyFormData;
+  arv: number;
+}
+
+const ROWS: { label: string; value: (c: LiveFlipCase) => string }[] = [
+  { label: 'Rehab (with contingency)', value: (c) => formatCurrency(c.totalRehab) },
+  { label: 'Months to Flip', value: (c) => String(c.monthsToFlip) },
+  { label: 'Holding Costs', value: (c) => formatCurrency(c.holdingCosts) },
+  { label: 'Net Profit', value: (c) => formatCurrency(c.netProfit) },
+  { label: 'Margin on ARV', value: (c) => formatPercent(c.profitMargin, 1) },
+  { label: 'ROI', value: (c) => formatPercent(c.roi, 1) },
+];
+
+const LiveDealCard: React.FC<LiveDealCardProps> = ({ propertyId, formData, arv }) => {
+  const [tracker, setTracker] = useState<ProjectTrackerData | null>(null);
+  const [targetMargin, setTargetMargin] = useState<number | undefined>(loadTargetMargin);
+
+  // The tracker saves to IndexedDB as it's edited, so this reads the latest actuals
+  useEffect(() => {
+    if (propertyId) {
+      loadProjectTrackerData(propertyId).then(setTracker);
+    }
+  }, [propertyId]);
+
+  const handleTargetChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const value = e.target.value === '' ? undefined : parseFloat(e.target.value);
+    setTargetMargin(value);
+    saveTargetMargin(value);
+  };
+
+  const live = analyzeLiveDeal(formData, arv, tracker, targetMargin);
+  if (!live) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h4 className="text-xl font-semibold text-gray-800 mb-2 flex items-center gap-2">
+          <span className="text-xl">📡</span>
+          Live Deal
+        </h4>
+        <p className="text-sm text-gray-600">
+          Add renovation phases on the Project Tracker tab to see this flip re-run on actual spend, change orders,
+          permits and the projected completion date.
+        </p>
+      </div>
+    );
+  }
+  if (live.error) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h4 className="text-xl font-semibold text-gray-800 mb-2">Live Deal</h4>
+        <p className="text-sm text-red-600">{live.message}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+        <h4 className="text-xl font-semibold text-gray-800 flex items-center gap-2">
+          <span className="text-xl">📡</span>
+          Live Deal
+        </h4>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Target margin (% of ARV)
+          <input
+            type="number"
+            value={targetMargin ?? ''}
+            onChange={handleTargetChange}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder={String(live.targetProfitMargin)}
+            min="0"
+            max="100"
+            step="1"
+          />
+        </label>
+      </div>
+
+      {live.alerts.length > 0 && (
+        <div className={`border-l-4 p-4 rounded-r-lg mb-4 ${live.belowTarget ? 'bg-red-50 border-red-400' : 'bg-yellow-50 border-yellow-400'}`}>
+          <ul className={`text-sm space-y-1 list-disc list-inside ${live.belowTarget ? 'text-red-800' : 'text-yellow-800'}`}>
+            {live.alerts.map((alert) => (
+              <li key={alert}>{alert}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700"></th>
+              <th className="px-4 py-2 text-right text-sm font-semibold text-gray-700">Original</th>
+              <th className="px-4 py-2 text-right text-sm font-semibold text-gray-700">Current Projection</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {ROWS.map(({ label, value }) => (
+              <tr key={label}>
+                <td className="px-4 py-2 text-gray-700">{label}</td>
+                <td className="px-4 py-2 text-right text-gray-800">{value(live.original)}</td>
+                <td className="px-4 py-2 text-right font-semibold text-gray-900">{value(live.current)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mt-4 text-sm">
+        <div className="bg-gray-50 p-3 rounded-lg">
+          <p className="text-gray-600">Spent to Date</p>
+          <p className="font-bold text-gray-800">{formatCurrency(live.rehab.spent)}</p>
+        </div>
+        <div className="bg-gray-50 p-3 rounded-lg">
+          <p className="text-gray-600">Remaining Budget</p>
+          <p className="font-bold text-gray-800">{formatCurrency(live.rehab.remaining)}</p>
+        </div>
+        <div className="bg-gray-50 p-3 rounded-lg">
+          <p className="text-gray-600">Change Orders</p>
+          <p className="font-bold text-gray-800">{formatCurrency(live.rehab.changeOrders)}</p>
+        </div>
+        <div className="bg-gray-50 p-3 rounded-lg">
+          <p className="text-gray-600">Permits</p>
+          <p className="font-bold text-gray-800">{formatCurrency(live.rehab.permitCosts)}</p>
+        </div>
+        <div className={`p-3 rounded-lg ${live.profitChange < 0 ? 'bg-red-50' : 'bg-green-50'}`}>
+          <p className="text-gray-600">Profit Change</p>
+          <p className={`font-bold ${live.profitChange < 0 ? 'text-red-700' : 'text-green-700'}`}>
+            {formatCurrency(live.profitChange)} ({live.roiChange > 0 ? '+' : ''}{live.roiChange} pts ROI)
+          </p>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Both cases use the shared flip model (holding costs included), so they can differ from the headline figures
+        above. Contingency is carried on the remaining budget only.
+      </p>
+    </div>
+  );
+};
+
+export default LiveDealCard;
@@ -119,7 +119,7 @@ const ProjectSummary: React.FC<ProjectSummaryProps> = ({ summary }) => {
             </div>
             {summary.projectedCompletionDate && (
               <div className="text-sm">
-                <span className="text-gray-600">Projected Completion:</span>
+                <span className="text-gray-600">Projected Completion (critical path):</span>
                 <p className="font-semibold text-gray-900 mt-1">
                   {new Date(summary.projectedCompletionDate).toLocaleDateString('en-US', {
                     month: 'long',
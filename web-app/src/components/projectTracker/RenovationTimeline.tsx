@@ -4,7 +4,7 @@
  */
 
 import React, { useState } from 'react';
-import { RenovationPhase, ProjectStatus } from '../../types/projectTracker';
+import { RenovationPhase, ProjectStatus, PhaseDependency } from '../../types/projectTracker';
 import Modal from './Modal';
 
 interface RenovationTimelineProps {
@@ -34,12 +34,13 @@ const RenovationTimeline: React.FC<RenovationTimelineProps> = ({
     contractor: '',
     status: 'not-started',
     notes: '',
+    dependencies: [],
   });
 
   const handleOpenModal = (phase?: RenovationPhase) => {
     if (phase) {
       setEditingPhase(phase);
-      setFormData(phase);
+      setFormData({ ...phase, dependencies: phase.dependencies || [] });
     } else {
       setEditingPhase(null);
       setFormData({
@@ -54,6 +55,7 @@ const RenovationTimeline: React.FC<RenovationTimelineProps> = ({
         contractor: '',
         status: 'not-started',
         notes: '',
+        dependencies: [],
       });
     }
     setIsModalOpen(true);
@@ -74,6 +76,16 @@ const RenovationTimeline: React.FC<RenovationTimelineProps> = ({
     handleCloseModal();
   };
 
+  // Finish-to-start links: toggle a predecessor, or change its lag
+  const dependencyOn = (phaseId: string) => formData.dependencies?.find((dep) => dep.phaseId === phaseId);
+
+  const setDependency = (phaseId: string, dependency: PhaseDependency | null) => {
+    const others = (formData.dependencies || []).filter((dep) => dep.phaseId !== phaseId);
+    setFormData({ ...formData, dependencies: dependency ? [...others, dependency] : others });
+  };
+
+  const phaseName = (id: string) => phases.find((phase) => phase.id === id)?.phaseName;
+
   const handleDelete = (id: string) => {
     if (window.confirm('Are you sure you want to delete this phase?')) {
       onDelete(id);
@@ -171,6 +183,15 @@ const RenovationTimeline: React.FC<RenovationTimelineProps> = ({
                       <div>
                         <p className="font-semibold text-gray-900">{phase.phaseName}</p>
                         <p className="text-sm text-gray-600">{phase.description}</p>
+                        {phase.dependencies && phase.dependencies.length > 0 && (
+                          <p className="text-xs text-indigo-600 mt-1">
+                            After{' '}
+                            {phase.dependencies
+                              .filter((dep) => phaseName(dep.phaseId))
+                              .map((dep) => (dep.lagDays ? `${phaseName(dep.phaseId)} +${dep.lagDays}d` : phaseName(dep.phaseId)))
+                              .join(', ')}
+                          </p>
+                        )}
                         {phase.startDate && phase.endDate && (
                           <p className="text-xs text-gray-500 mt-1">
                             {new Date(phase.startDate).toLocaleDateString()} - {new Date(phase.endDate).toLocaleDateString()}
@@ -352,6 +373,50 @@ const RenovationTimeline: React.FC<RenovationTimelineProps> = ({
               />
             </div>
 
+            {phases.some((phase) => phase.id !== editingPhase?.id) && (
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Starts After
+                </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  The phase can't start until these finish, plus any lag days (e.g. drywall after the rough-in inspection)
+                </p>
+                <div className="space-y-2 max-h-40 overflow-y-auto border border-gray-200 rounded-lg p-3">
+                  {phases
+                    .filter((phase) => phase.id !== editingPhase?.id)
+                    .map((phase) => {
+                      const dependency = dependencyOn(phase.id);
+                      return (
+                        <div key={phase.id} className="flex items-center justify-between gap-3">
+                          <label className="flex items-center gap-2 text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={!!dependency}
+                              onChange={(e) => setDependency(phase.id, e.target.checked ? { phaseId: phase.id, lagDays: 0 } : null)}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            {phase.phaseName}
+                          </label>
+                          {dependency && (
+                            <label className="flex items-center gap-2 text-xs text-gray-600">
+                              Lag
+                              <input
+                                type="number"
+                                min="0"
+                                value={dependency.lagDays}
+                                onChange={(e) => setDependency(phase.id, { phaseId: phase.id, lagDays: parseInt(e.target.value) || 0 })}
+                                className="w-16 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              />
+                              days
+                            </label>
+                          )}
+                        </div>
+                      );
+                    })}
+                </div>
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Contractor
@@ -0,0 +1,337 @@
+/**
+ * Scoring profiles modal
+ * Lists built-in and user-defined profiles and edits the weights, thresholds and
+ * recommendation bands of the user's own. Built-in profiles are duplicated, not edited.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { ScoringProfile } from '../../types/scoring';
+import { SCORING_PROFILE_FIELDS, validateScoringProfile } from '../../shared-core/calculations/scoring.js';
+import { copyScoringProfile, findScoringProfile, isPresetProfile } from '../../utils/scoringProfiles';
+
+interface ScoringProfilesModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  profiles: ScoringProfile[];
+  initialProfileId?: string;
+  onSave: (profile: ScoringProfile) => Promise<void>;
+  onDelete: (profileId: string) => Promise<void>;
+}
+
+type Strategy = 'FLIP' | 'RENTAL';
+
+const STRATEGIES: { key: Strategy; label: string }[] = [
+  { key: 'FLIP', label: 'Flip' },
+  { key: 'RENTAL', label: 'Rental' },
+];
+
+const LEVELS = ['EXCELLENT', 'GOOD', 'FAIR', 'POOR'] as const;
+
+const BANDS: { key: keyof ScoringProfile['recommendationBands']; label: string }[] = [
+  { key: 'EXCELLENT', label: 'Excellent Investment' },
+  { key: 'GOOD', label: 'Good Investment' },
+  { key: 'CAUTION', label: 'Proceed with Caution' },
+  { key: 'HIGH_RISK', label: 'High Risk' },
+];
+
+const UNIT_SUFFIX: Record<string, string> = { percent: '%', currency: '$', months: 'mo', ratio: 'x' };
+
+// Percent thresholds and weights are stored as decimals but edited as percentages
+const toPercent = (value: number) => Math.round(value * 10000) / 100;
+const displayThreshold = (value: number, unit: string | null) => (unit === 'percent' ? toPercent(value) : value);
+const storeThreshold = (value: number, unit: string | null) => (unit === 'percent' ? value / 100 : value);
+const inputValue = (value: number) => (Number.isFinite(value) ? value : '');
+
+const ScoringProfilesModal: React.FC<ScoringProfilesModalProps> = ({
+  isOpen,
+  onClose,
+  profiles,
+  initialProfileId,
+  onSave,
+  onDelete,
+}) => {
+  const [draft, setDraft] = useState<ScoringProfile>(() => findScoringProfile(profiles, initialProfileId));
+  const [errors, setErrors] = useState<string[]>([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Reset state when modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(findScoringProfile(profiles, initialProfileId));
+      setErrors([]);
+      setIsSaving(false);
+    }
+    // Only on open; later profile list changes come from our own saves
+  }, [isOpen]);
+
+  // Handle ESC key to close modal
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen && !isSaving) {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, isSaving, onClose]);
+
+  if (!isOpen) return null;
+
+  const readOnly = isPresetProfile(draft.id);
+  const isSaved = profiles.some((profile) => profile.id === draft.id);
+
+  const selectProfile = (profile: ScoringProfile) => {
+    setDraft(profile);
+    setErrors([]);
+  };
+
+  const setWeight = (strategy: Strategy, metric: string, percent: number) => {
+    setDraft((current) => ({
+      ...current,
+      weights: { ...current.weights, [strategy]: { ...current.weights[strategy], [metric]: percent / 100 } },
+    }));
+  };
+
+  const setThreshold = (strategy: Strategy, metric: string, level: (typeof LEVELS)[number], value: number) => {
+    setDraft((current) => {
+      const thresholds = current.thresholds[strategy] as Record<string, Record<string, number>>;
+      return {
+        ...current,
+        thresholds: {
+          ...current.thresholds,
+          [strategy]: { ...thresholds, [metric]: { ...thresholds[metric], [level]: value } },
+        },
+      };
+    });
+  };
+
+  const setBand = (band: keyof ScoringProfile['recommendationBands'], value: number) => {
+    setDraft((current) => ({ ...current, recommendationBands: { ...current.recommendationBands, [band]: value } }));
+  };
+
+  const handleDuplicate = () => {
+    selectProfile(copyScoringProfile(draft, `${draft.name} (copy)`));
+  };
+
+  const handleSave = async () => {
+    const validation = validateScoringProfile(draft);
+    setErrors(validation.errors);
+    if (!validation.valid) return;
+
+    setIsSaving(true);
+    try {
+      await onSave({ ...draft, name: draft.name.trim() });
+    } catch (err) {
+      setErrors([err instanceof Error ? err.message : 'Failed to save scoring profile']);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the "${draft.name}" scoring profile? Analyses scored with it fall back to the default.`)) {
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await onDelete(draft.id);
+      selectProfile(profiles[0]);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const numberInput = (value: number, onChange: (value: number) => void, step = 'any') => (
+    <input
+      type="number"
+      step={step}
+      value={inputValue(value)}
+      disabled={readOnly || isSaving}
+      onChange={(e) => onChange(parseFloat(e.target.value))}
+      className="w-full px-2 py-1 border border-gray-300 rounded text-sm text-right disabled:bg-gray-50 disabled:text-gray-500"
+    />
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 animate-fadeIn">
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black bg-opacity-50 backdrop-blur-sm" onClick={isSaving ? undefined : onClose} />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-y-auto p-6 animate-slideIn">
+        <div className="mb-4">
+          <h2 className="text-xl font-bold text-gray-800">⭐ Scoring Profiles</h2>
+          <p className="text-sm text-gray-600">
+            Weights and cut-offs behind the deal score, star rating and recommendation
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          {/* Profile list */}
+          <ul className="space-y-1">
+            {profiles.map((profile) => (
+              <li key={profile.id}>
+                <button
+                  type="button"
+                  onClick={() => selectProfile(profile)}
+                  disabled={isSaving}
+                  className={`w-full text-left px-3 py-2 rounded-lg text-sm ${
+                    profile.id === draft.id ? 'bg-primary-50 text-primary-700 font-semibold' : 'text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {profile.name}
+                  {isPresetProfile(profile.id) && <span className="block text-xs text-gray-500">Built-in</span>}
+                </button>
+              </li>
+            ))}
+            {!isSaved && (
+              <li className="px-3 py-2 rounded-lg text-sm bg-primary-50 text-primary-700 font-semibold">
+                {draft.name || 'New profile'}
+                <span className="block text-xs text-gray-500">Unsaved</span>
+              </li>
+            )}
+          </ul>
+
+          {/* Editor */}
+          <div className="md:col-span-3 space-y-5">
+            <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+              <label className="flex-1">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Profile name</span>
+                <input
+                  type="text"
+                  value={draft.name}
+                  disabled={readOnly || isSaving}
+                  onChange={(e) => setDraft((current) => ({ ...current, name: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:bg-gray-50"
+                />
+              </label>
+              <button
+                type="button"
+                onClick={handleDuplicate}
+                disabled={isSaving}
+                className="px-4 py-2 text-sm text-primary-700 bg-primary-50 rounded-lg hover:bg-primary-100 disabled:opacity-50"
+              >
+                Duplicate
+              </button>
+            </div>
+            {readOnly && (
+              <p className="text-xs text-gray-500">Built-in profiles can't be changed. Duplicate this one to customize it.</p>
+            )}
+
+            {STRATEGIES.map(({ key: strategy, label }) => {
+              const weights = draft.weights[strategy] as Record<string, number>;
+              const thresholds = draft.thresholds[strategy] as Record<string, Record<string, number>>;
+              const totalWeight = toPercent(Object.values(weights).reduce((sum, w) => sum + (w || 0), 0));
+
+              return (
+                <section key={strategy}>
+                  <h3 className="text-sm font-semibold text-gray-800 mb-2">{label} Scoring</h3>
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-xs text-gray-500">
+                        <th className="text-left font-medium py-1">Metric</th>
+                        <th className="font-medium py-1 w-20">Weight %</th>
+                        {LEVELS.map((level) => (
+                          <th key={level} className="font-medium py-1 w-24 capitalize">
+                            {level.toLowerCase()}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(SCORING_PROFILE_FIELDS[strategy]).map(([metric, { label: metricLabel, unit }]) => (
+                        <tr key={metric} className="border-t border-gray-100">
+                          <td className="py-1 pr-2 text-gray-700">
+                            {metricLabel}
+                            {unit && <span className="text-xs text-gray-400"> ({UNIT_SUFFIX[unit]})</span>}
+                          </td>
+                          <td className="py-1 px-1">
+                            {numberInput(toPercent(weights[metric]), (value) => setWeight(strategy, metric, value), '1')}
+                          </td>
+                          {LEVELS.map((level) => (
+                            <td key={level} className="py-1 px-1">
+                              {thresholds[metric] ? (
+                                numberInput(displayThreshold(thresholds[metric][level], unit), (value) =>
+                                  setThreshold(strategy, metric, level, storeThreshold(value, unit))
+                                )
+                              ) : (
+                                <span className="block text-center text-gray-300">—</span>
+                              )}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className={`text-xs mt-1 ${totalWeight === 100 ? 'text-gray-500' : 'text-red-600'}`}>
+                    Weights total {totalWeight}%
+                  </p>
+                </section>
+              );
+            })}
+
+            <section>
+              <h3 className="text-sm font-semibold text-gray-800 mb-2">Recommendation Bands (minimum score)</h3>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                {BANDS.map(({ key, label }) => (
+                  <label key={key} className="text-xs text-gray-600">
+                    {label}
+                    {numberInput(draft.recommendationBands[key], (value) => setBand(key, value), '1')}
+                  </label>
+                ))}
+              </div>
+            </section>
+
+            {errors.length > 0 && (
+              <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded-r-lg">
+                <ul className="text-xs text-red-700 list-disc list-inside space-y-0.5">
+                  {errors.map((message) => (
+                    <li key={message}>{message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-between gap-2 mt-6">
+          <div>
+            {!readOnly && isSaved && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                disabled={isSaving}
+                className="px-4 py-2 text-sm text-red-700 bg-red-50 rounded-lg hover:bg-red-100 disabled:opacity-50"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isSaving}
+              className="px-4 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+            >
+              Close
+            </button>
+            {!readOnly && (
+              <button
+                type="button"
+                onClick={handleSave}
+                disabled={isSaving}
+                className="px-4 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50"
+              >
+                {isSaving ? 'Saving…' : 'Save Profile'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScoringProfilesModal;
@@ -1,4 +1,11 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
+import { PropertyFormData, RentalAnalysis } from '../../types/property';
+import { ProFormaInputs } from '../../types/proforma';
+import { TaxProfileInputs } from '../../types/tax';
+import { formatCurrency } from '../../utils/formatters';
+import { loadProFormaInputs, projectDealProForma, proFormaToCSV, saveProFormaInputs } from '../../utils/proforma';
+import { projectDealTaxes } from '../../utils/tax';
+import { CAPEX_COMPONENTS } from '../../shared-core/calculations/proforma.js';
 
 interface AdvancedMetricsTabProps {
   flip?: {
@@ -11,24 +18,76 @@ interface AdvancedMetricsTabProps {
     roi: number;
     holdingMonths: number;
   };
-  rental?: {
-    purchasePrice: number;
-    downPayment: number;
-    loanAmount: number;
-    monthlyRent: number;
-    monthlyPayment: number;
-    propertyTax: number;
-    insurance: number;
-    maintenance: number;
-    vacancy: number;
-    totalExpenses: number;
-    cashFlow: number;
-    capRate: number;
-    cashOnCashReturn: number;
-  };
+  rental?: RentalAnalysis;
+  formData?: PropertyFormData | null;
+  taxProfile?: TaxProfileInputs;
 }
 
-const AdvancedMetricsTab: React.FC<AdvancedMetricsTabProps> = ({ flip, rental }) => {
+type ProFormaField = Exclude<keyof ProFormaInputs, 'capexItems'>;
+
+const PROFORMA_FIELDS: { key: ProFormaField; label: string; placeholder: string }[] = [
+  { key: 'holdYears', label: 'Hold (Years)', placeholder: '10' },
+  { key: 'rentGrowth', label: 'Rent Growth (%/yr)', placeholder: '3' },
+  { key: 'expenseGrowth', label: 'Expense Growth (%/yr)', placeholder: '2.5' },
+  { key: 'propertyTaxGrowth', label: 'Property Tax Growth (%/yr)', placeholder: '2.5' },
+  { key: 'insuranceGrowth', label: 'Insurance Growth (%/yr)', placeholder: '2.5' },
+  { key: 'appreciation', label: 'Appreciation (%/yr)', placeholder: '3' },
+  { key: 'capexReserveRate', label: 'Capex Reserve (% of rent)', placeholder: '5' },
+  { key: 'exitCapRate', label: 'Exit Cap Rate (%)', placeholder: 'Appreciation' },
+  { key: 'sellingCostRate', label: 'Selling Costs (%)', placeholder: '6' },
+  { key: 'refinanceYear', label: 'Refinance in Year', placeholder: 'None' },
+  { key: 'refinanceLtv', label: 'Refinance LTV (%)', placeholder: '75' },
+  { key: 'refinanceRate', label: 'Refinance Rate (%)', placeholder: '7' },
+];
+
+const inputClass =
+  'w-full mt-1 px-2 py-1.5 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+const toNumber = (value: string) => (value === '' ? undefined : parseFloat(value));
+
+const AdvancedMetricsTab: React.FC<AdvancedMetricsTabProps> = ({ flip, rental, formData, taxProfile }) => {
+  // After-tax IRR over the Tax Benefits tab's holding period, sale included
+  const taxProjection = useMemo(
+    () => (rental && taxProfile ? projectDealTaxes(rental, formData, taxProfile) : null),
+    [rental, formData, taxProfile]
+  );
+
+  // Hold, refinance and sale with growth and capex assumptions kept across analyses
+  const [proFormaInputs, setProFormaInputs] = useState<ProFormaInputs>(loadProFormaInputs);
+  const proForma = useMemo(
+    () => (rental ? projectDealProForma(rental, formData, proFormaInputs) : null),
+    [rental, formData, proFormaInputs]
+  );
+
+  const updateProFormaInputs = (inputs: ProFormaInputs) => {
+    setProFormaInputs(inputs);
+    saveProFormaInputs(inputs);
+  };
+  const setProFormaField = (key: ProFormaField, value: string) =>
+    updateProFormaInputs({ ...proFormaInputs, [key]: toNumber(value) });
+
+  // Scheduled replacements, one row per building component
+  const capexItems = proFormaInputs.capexItems || [];
+  const setCapexItem = (name: string, field: 'year' | 'cost', value: string) => {
+    const component = Object.values(CAPEX_COMPONENTS).find((c) => c.label === name);
+    const existing = capexItems.find((item) => item.name === name) || { name, year: 0, cost: component?.cost || 0 };
+    const updated = { ...existing, [field]: toNumber(value) ?? 0 };
+    updateProFormaInputs({
+      ...proFormaInputs,
+      capexItems: [...capexItems.filter((item) => item.name !== name), updated],
+    });
+  };
+
+  const exportProForma = () => {
+    if (!proForma || proForma.error) return;
+    const url = URL.createObjectURL(new Blob([proFormaToCSV(proForma)], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `pro-forma-${(formData?.address || 'rental').replace(/\s+/g, '-')}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   // Calculate advanced flip metrics
   const calculateFlipMetrics = () => {
     if (!flip) return null;
@@ -396,6 +455,27 @@ const AdvancedMetricsTab: React.FC<AdvancedMetricsTabProps> = ({ flip, rental })
                 </div>
               </div>
 
+              {/* After-Tax IRR */}
+              {taxProjection && !taxProjection.error && taxProjection.afterTaxIRR !== null && (
+                <div className="bg-white rounded-lg p-4 shadow-sm">
+                  <div className="flex justify-between items-start mb-2">
+                    <div>
+                      <h4 className="font-semibold text-gray-700">After-Tax IRR</h4>
+                      <p className="text-xs text-gray-500 mt-1">{taxProjection.sale.year}-year hold and sale, after taxes</p>
+                    </div>
+                    <span className={`text-2xl font-bold ${getMetricStatus(taxProjection.afterTaxIRR, 12, 8)}`}>
+                      {taxProjection.afterTaxIRR.toFixed(2)}%
+                    </span>
+                  </div>
+                  <div className="mt-2 pt-2 border-t border-gray-200">
+                    <p className="text-xs text-gray-600">
+                      <strong>Pre-tax:</strong> {taxProjection.preTaxIRR === null ? 'N/A' : `${taxProjection.preTaxIRR.toFixed(2)}%`}
+                      {' · '}<strong>Benchmark:</strong> &gt;12% Excellent, 8-12% Good
+                    </p>
+                  </div>
+                </div>
+              )}
+
               {/* Annual Cash Flow */}
               <div className="bg-white rounded-lg p-4 shadow-sm">
                 <div className="flex justify-between items-start mb-2">
@@ -417,6 +497,174 @@ const AdvancedMetricsTab: React.FC<AdvancedMetricsTabProps> = ({ flip, rental })
           </div>
         )}
 
+        {/* Pro Forma */}
+        {rental && proForma && (
+          <div className="bg-gradient-to-r from-indigo-50 to-sky-50 rounded-lg p-6 border border-indigo-200">
+            <div className="flex justify-between items-start mb-4">
+              <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+                <svg className="w-6 h-6 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                </svg>
+                Pro Forma
+              </h3>
+              {!proForma.error && (
+                <button
+                  onClick={exportProForma}
+                  className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded hover:bg-indigo-700"
+                >
+                  Export CSV
+                </button>
+              )}
+            </div>
+
+            {/* Assumptions */}
+            <div className="bg-white rounded-lg p-4 shadow-sm mb-6">
+              <p className="text-xs text-gray-500 mb-3">
+                Saved in this browser for every analysis. Blank fields use the defaults shown.
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {PROFORMA_FIELDS.map(({ key, label, placeholder }) => (
+                  <label key={key} className="text-xs text-gray-600">
+                    {label}
+                    <input
+                      type="number"
+                      step="any"
+                      value={proFormaInputs[key] ?? ''}
+                      placeholder={placeholder}
+                      onChange={(e) => setProFormaField(key, e.target.value)}
+                      className={inputClass}
+                    />
+                  </label>
+                ))}
+              </div>
+              <p className="text-sm font-semibold text-gray-700 mt-4 mb-1">Scheduled Replacements</p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                {Object.values(CAPEX_COMPONENTS).map((component) => {
+                  const item = capexItems.find((i) => i.name === component.label);
+                  return (
+                    <div key={component.label} className="text-xs text-gray-600">
+                      {component.label} <span className="text-gray-400">(~{component.lifeYears}-yr life)</span>
+                      <div className="flex gap-2">
+                        <input
+                          type="number"
+                          min="0"
+                          value={item?.year || ''}
+                          placeholder="Year"
+                          onChange={(e) => setCapexItem(component.label, 'year', e.target.value)}
+                          className={inputClass}
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          value={item ? item.cost : ''}
+                          placeholder={`$${component.cost.toLocaleString()}`}
+                          onChange={(e) => setCapexItem(component.label, 'cost', e.target.value)}
+                          className={inputClass}
+                        />
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {proForma.error ? (
+              <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded-r-lg">
+                <p className="text-sm text-yellow-800">No pro forma: {proForma.message}</p>
+              </div>
+            ) : (
+              <>
+                {/* Returns */}
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+                  <div className="bg-white rounded-lg p-4 shadow-sm">
+                    <h4 className="font-semibold text-gray-700">Levered IRR</h4>
+                    <p className={`text-2xl font-bold ${proForma.leveredIRR === null ? 'text-red-600' : getMetricStatus(proForma.leveredIRR, 15, 10)}`}>
+                      {proForma.leveredIRR === null ? 'N/A' : `${proForma.leveredIRR.toFixed(2)}%`}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">On {formatCurrency(proForma.cashInvested)} invested</p>
+                  </div>
+                  <div className="bg-white rounded-lg p-4 shadow-sm">
+                    <h4 className="font-semibold text-gray-700">Unlevered IRR</h4>
+                    <p className="text-2xl font-bold text-gray-800">
+                      {proForma.unleveredIRR === null ? 'N/A' : `${proForma.unleveredIRR.toFixed(2)}%`}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">Bought for cash</p>
+                  </div>
+                  <div className="bg-white rounded-lg p-4 shadow-sm">
+                    <h4 className="font-semibold text-gray-700">Equity Multiple</h4>
+                    <p className={`text-2xl font-bold ${getMetricStatus(proForma.equityMultiple, 2, 1.5)}`}>
+                      {proForma.equityMultiple.toFixed(2)}x
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">Profit {formatCurrency(proForma.totals.profit)}</p>
+                  </div>
+                  <div className="bg-white rounded-lg p-4 shadow-sm">
+                    <h4 className="font-semibold text-gray-700">Sale in Year {proForma.sale.year}</h4>
+                    <p className="text-2xl font-bold text-gray-800">{formatCurrency(proForma.sale.salePrice)}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {proForma.sale.method}; nets {formatCurrency(proForma.sale.netProceeds)} after the loan
+                    </p>
+                  </div>
+                </div>
+
+                {proForma.refinance && (
+                  <div className="bg-blue-50 border-l-4 border-blue-400 p-4 rounded-r-lg mb-6">
+                    <p className="text-sm text-blue-800">
+                      Refinance in year {proForma.refinance.year}: {formatCurrency(proForma.refinance.newLoan)} loan on a{' '}
+                      {formatCurrency(proForma.refinance.value)} value pays off {formatCurrency(proForma.refinance.loanPayoff)}{' '}
+                      and returns {formatCurrency(proForma.refinance.cashOut)}; new payment{' '}
+                      {formatCurrency(proForma.refinance.newMonthlyPayment)}/month.
+                    </p>
+                  </div>
+                )}
+
+                {/* Annual pro forma */}
+                <div className="overflow-x-auto bg-white rounded-lg shadow-sm">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {['Year', 'Gross Rent', 'NOI', 'Capex', 'Debt Service', 'Cash Flow', 'CoC', 'Loan Balance', 'Value', 'Equity'].map((label) => (
+                          <th key={label} className="px-3 py-2 text-right first:text-left text-xs font-medium text-gray-500 uppercase">
+                            {label}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {proForma.years.map((year) => (
+                        <tr key={year.year} className="hover:bg-gray-50">
+                          <td className="px-3 py-2 font-medium text-gray-900">{year.year}</td>
+                          <td className="px-3 py-2 text-right">{formatCurrency(year.grossRent)}</td>
+                          <td className="px-3 py-2 text-right">{formatCurrency(year.noi)}</td>
+                          <td className="px-3 py-2 text-right" title={year.capexItems.join(', ')}>
+                            {formatCurrency(year.capexReserve + year.capexShortfall)}
+                            {year.capexItems.length > 0 && <span className="text-orange-600"> *</span>}
+                          </td>
+                          <td className="px-3 py-2 text-right">{formatCurrency(year.debtService)}</td>
+                          <td className={`px-3 py-2 text-right font-semibold ${year.cashFlow >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                            {formatCurrency(year.cashFlow)}
+                            {year.refinanceProceeds !== 0 && (
+                              <span className="block text-xs text-blue-700">+{formatCurrency(year.refinanceProceeds)} refi</span>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-right">{year.cashOnCash.toFixed(1)}%</td>
+                          <td className="px-3 py-2 text-right">{formatCurrency(year.loanBalance)}</td>
+                          <td className="px-3 py-2 text-right">{formatCurrency(year.propertyValue)}</td>
+                          <td className="px-3 py-2 text-right font-semibold">{formatCurrency(year.equity)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="text-xs text-gray-600 mt-2">
+                  Capex is the reserve plus any replacement (*) it could not cover. Equity build-up:{' '}
+                  <strong>{formatCurrency(proForma.totals.principalPaid)}</strong> loan paydown and{' '}
+                  <strong>{formatCurrency(proForma.totals.appreciation)}</strong> appreciation by the sale.
+                </p>
+              </>
+            )}
+          </div>
+        )}
+
         {/* Key Insights */}
         <div className="bg-gradient-to-r from-purple-50 to-pink-50 rounded-lg p-6 border border-purple-200">
           <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
@@ -1,59 +1,78 @@
-import React, { useState } from 'react';
-import { RentalAnalysis } from '../../types/property';
+import React, { useMemo, useState } from 'react';
+import { AmortizationInputs } from '../../types/financing';
+import { PropertyFormData, RentalAnalysis } from '../../types/property';
 import { formatCurrency } from '../../utils/formatters';
+import { analyzeDealAmortization } from '../../utils/amortization';
 
 interface AmortizationTabProps {
   rental: RentalAnalysis;
+  formData?: PropertyFormData | null;
 }
 
-const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental }) => {
-  const [showFullSchedule, setShowFullSchedule] = useState(false);
+const formatTerm = (months: number) => (months % 12 === 0 ? `${months / 12} years` : `${months} months`);
 
-  // Calculate amortization schedule
-  const loanAmount = rental.loanAmount;
-  const monthlyPayment = rental.monthlyPayment;
-  const annualRate = 0.07; // Assume 7% interest rate (should come from form data)
-  const monthlyRate = annualRate / 12;
-  const totalMonths = 360; // 30-year loan
+const formatDate = (date: string | null) =>
+  date ? new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' }) : '—';
 
-  const generateSchedule = (months: number) => {
-    const schedule = [];
-    let remainingBalance = loanAmount;
+const PAY_DOWN_FIELDS: { key: 'extraMonthly' | 'lumpSum' | 'lumpSumMonth'; label: string; placeholder: string }[] = [
+  { key: 'extraMonthly', label: 'Extra Principal / Month ($)', placeholder: '0' },
+  { key: 'lumpSum', label: 'Lump Sum ($)', placeholder: '0' },
+  { key: 'lumpSumMonth', label: 'Lump Sum Month', placeholder: '12' },
+];
 
-    for (let month = 1; month <= months; month++) {
-      const interestPayment = remainingBalance * monthlyRate;
-      const principalPayment = monthlyPayment - interestPayment;
-      remainingBalance -= principalPayment;
+const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental, formData }) => {
+  const [showFullSchedule, setShowFullSchedule] = useState(false);
+  const [inputs, setInputs] = useState<AmortizationInputs>({});
 
-      schedule.push({
-        month,
-        payment: monthlyPayment,
-        principal: principalPayment,
-        interest: interestPayment,
-        balance: Math.max(0, remainingBalance)
-      });
-    }
+  // The schedule follows the deal's loan structure: rate resets, interest-only months and balloons included
+  const analysis = useMemo(
+    () => analyzeDealAmortization(formData, rental.loanAmount, inputs),
+    [formData, rental.loanAmount, inputs]
+  );
 
-    return schedule;
+  const setInput = (key: keyof AmortizationInputs, value: string | boolean) => {
+    setInputs((current) => ({
+      ...current,
+      [key]: typeof value === 'boolean' ? value : value === '' ? undefined : parseFloat(value),
+    }));
   };
 
-  const firstYearSchedule = generateSchedule(12);
-  const fullSchedule = showFullSchedule ? generateSchedule(totalMonths) : [];
+  if (analysis.error) {
+    return (
+      <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded-r-lg">
+        <p className="text-sm text-yellow-800">No amortization schedule: {analysis.message}</p>
+      </div>
+    );
+  }
+
+  const { schedule, baseline } = analysis;
+  const biweekly = schedule.frequency === 'biweekly';
+  const annualRate = schedule.schedule[0].rate;
+  const totalMonths = schedule.payoffMonth;
+  const hasPayDownPlan = schedule.totals.extraPrincipal > 0 || biweekly;
+  const hasBalloon = schedule.totals.balloon > 0;
+  const hasRateChanges = schedule.schedule.some((row) => row.events.includes('Rate change'));
+  const balloons = schedule.schedule.filter((row) => row.balloon > 0);
+
+  const firstYearSchedule = schedule.schedule.filter((row) => row.month <= 12);
+  const fullSchedule = showFullSchedule ? schedule.schedule : [];
 
   // Calculate totals
   const firstYearTotals = firstYearSchedule.reduce(
-    (acc, month) => ({
-      principal: acc.principal + month.principal,
-      interest: acc.interest + month.interest
+    (acc, row) => ({
+      payments: acc.payments + row.payment + row.extraPrincipal,
+      principal: acc.principal + row.principal + row.extraPrincipal,
+      interest: acc.interest + row.interest
     }),
-    { principal: 0, interest: 0 }
+    { payments: 0, principal: 0, interest: 0 }
   );
 
   const lifetimeTotals = {
-    payments: monthlyPayment * totalMonths,
-    principal: loanAmount,
-    interest: (monthlyPayment * totalMonths) - loanAmount
+    payments: schedule.totals.paid,
+    principal: schedule.totals.principal + schedule.totals.extraPrincipal + schedule.totals.balloon,
+    interest: schedule.totals.interest
   };
+  const loanAmount = lifetimeTotals.principal;
 
   return (
     <div className="space-y-6">
@@ -75,20 +94,86 @@ const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental }) => {
             <p className="text-2xl font-bold text-blue-700">{formatCurrency(loanAmount)}</p>
           </div>
           <div className="bg-gradient-to-br from-green-50 to-green-100 p-5 rounded-lg border-2 border-green-200">
-            <p className="text-sm text-gray-600 mb-1">Monthly Payment</p>
-            <p className="text-2xl font-bold text-green-700">{formatCurrency(monthlyPayment)}</p>
+            <p className="text-sm text-gray-600 mb-1">
+              {hasRateChanges ? 'Starting Payment' : biweekly ? 'Biweekly Payment' : 'Monthly Payment'}
+            </p>
+            <p className="text-2xl font-bold text-green-700">{formatCurrency(schedule.scheduledPayment)}</p>
           </div>
           <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-5 rounded-lg border-2 border-purple-200">
-            <p className="text-sm text-gray-600 mb-1">Interest Rate</p>
+            <p className="text-sm text-gray-600 mb-1">{hasRateChanges ? 'Starting Rate' : 'Interest Rate'}</p>
             <p className="text-2xl font-bold text-purple-700">{(annualRate * 100).toFixed(2)}%</p>
           </div>
           <div className="bg-gradient-to-br from-orange-50 to-orange-100 p-5 rounded-lg border-2 border-orange-200">
             <p className="text-sm text-gray-600 mb-1">Loan Term</p>
-            <p className="text-2xl font-bold text-orange-700">30 years</p>
+            <p className="text-2xl font-bold text-orange-700">{formatTerm(baseline.payoffMonth)}</p>
           </div>
         </div>
       </div>
 
+      {/* Pay Down Faster */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h4 className="text-xl font-semibold text-gray-800 mb-1 flex items-center gap-2">
+          <span className="text-xl">⚡</span>
+          Pay Down Faster
+        </h4>
+        <p className="text-sm text-gray-600 mb-4">
+          Try extra principal, a lump sum or biweekly payments; a recast re-levels the payment after the lump sum
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-5">
+          {PAY_DOWN_FIELDS.map(({ key, label, placeholder }) => (
+            <label key={key} className="text-xs text-gray-600">
+              {label}
+              <input
+                type="number"
+                min="0"
+                value={inputs[key] ?? ''}
+                placeholder={placeholder}
+                onChange={(e) => setInput(key, e.target.value)}
+                className="w-full mt-1 px-2 py-1.5 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+            </label>
+          ))}
+          <label className="text-sm text-gray-700 flex items-center gap-2 md:mt-5">
+            <input
+              type="checkbox"
+              checked={Boolean(inputs.recastAfterLumpSum)}
+              onChange={(e) => setInput('recastAfterLumpSum', e.target.checked)}
+            />
+            Recast after lump sum
+          </label>
+          <label className="text-sm text-gray-700 flex items-center gap-2 md:mt-5">
+            <input type="checkbox" checked={Boolean(inputs.biweekly)} onChange={(e) => setInput('biweekly', e.target.checked)} />
+            Biweekly payments
+          </label>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="p-3 bg-green-50 rounded-lg">
+            <p className="text-xs text-gray-600 mb-1">Interest Saved</p>
+            <p className="text-lg font-bold text-green-700">{formatCurrency(analysis.interestSaved)}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-600 mb-1">Payoff Date</p>
+            <p className="text-lg font-bold text-gray-800">{formatDate(schedule.payoffDate)}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-600 mb-1">Paying as Agreed</p>
+            <p className="text-lg font-bold text-gray-800">{formatDate(baseline.payoffDate)}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-600 mb-1">Time Saved</p>
+            <p className="text-lg font-bold text-gray-800">
+              {analysis.monthsSaved > 0 ? formatTerm(analysis.monthsSaved) : '—'}
+            </p>
+          </div>
+        </div>
+        {hasPayDownPlan && hasBalloon && (
+          <p className="text-sm text-gray-600 mt-3">
+            The loan still comes due before it is paid off; extra payments shrink the balloon instead of the term.
+          </p>
+        )}
+      </div>
+
       {/* First Year Summary */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
@@ -98,7 +183,7 @@ const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental }) => {
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="bg-gray-50 p-4 rounded-lg">
             <p className="text-sm text-gray-600 mb-1">Total Payments</p>
-            <p className="text-lg font-bold text-gray-800">{formatCurrency(monthlyPayment * 12)}</p>
+            <p className="text-lg font-bold text-gray-800">{formatCurrency(firstYearTotals.payments)}</p>
           </div>
           <div className="bg-green-50 p-4 rounded-lg">
             <p className="text-sm text-gray-600 mb-1">Principal Paid</p>
@@ -113,20 +198,20 @@ const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental }) => {
           <div className="flex items-center justify-between mb-2">
             <span className="text-sm font-medium text-gray-700">Principal vs Interest (Year 1)</span>
             <span className="text-sm text-gray-600">
-              {((firstYearTotals.principal / (monthlyPayment * 12)) * 100).toFixed(1)}% Principal
+              {((firstYearTotals.principal / firstYearTotals.payments) * 100).toFixed(1)}% Principal
             </span>
           </div>
           <div className="w-full bg-gray-200 rounded-full h-6 overflow-hidden">
             <div className="flex h-full">
               <div
                 className="bg-green-500 flex items-center justify-center text-xs text-white font-medium"
-                style={{ width: `${(firstYearTotals.principal / (monthlyPayment * 12)) * 100}%` }}
+                style={{ width: `${(firstYearTotals.principal / firstYearTotals.payments) * 100}%` }}
               >
                 Principal
               </div>
               <div
                 className="bg-red-500 flex items-center justify-center text-xs text-white font-medium"
-                style={{ width: `${(firstYearTotals.interest / (monthlyPayment * 12)) * 100}%` }}
+                style={{ width: `${(firstYearTotals.interest / firstYearTotals.payments) * 100}%` }}
               >
                 Interest
               </div>
@@ -145,7 +230,7 @@ const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental }) => {
           <table className="min-w-full">
             <thead>
               <tr className="border-b-2 border-gray-200">
-                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Month</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">{biweekly ? 'Payment' : 'Month'}</th>
                 <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Payment</th>
                 <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Principal</th>
                 <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Interest</th>
@@ -154,13 +239,15 @@ const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental }) => {
             </thead>
             <tbody className="divide-y divide-gray-200">
               {firstYearSchedule.map((item, index) => (
-                <tr key={item.month} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
-                  <td className="px-4 py-3 text-sm font-medium text-gray-800">Month {item.month}</td>
+                <tr key={item.period} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
+                  <td className="px-4 py-3 text-sm font-medium text-gray-800">
+                    {biweekly ? `Payment ${item.period}` : `Month ${item.month}`}
+                  </td>
                   <td className="px-4 py-3 text-sm text-right font-medium text-gray-800">
                     {formatCurrency(item.payment)}
                   </td>
                   <td className="px-4 py-3 text-sm text-right font-medium text-green-700">
-                    {formatCurrency(item.principal)}
+                    {formatCurrency(item.principal + item.extraPrincipal)}
                   </td>
                   <td className="px-4 py-3 text-sm text-right font-medium text-red-600">
                     {formatCurrency(item.interest)}
@@ -179,7 +266,7 @@ const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental }) => {
       <div className="bg-white rounded-lg shadow-md p-6">
         <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
           <span className="text-xl">💰</span>
-          Lifetime Loan Totals (30 Years)
+          Lifetime Loan Totals ({formatTerm(totalMonths)})
         </h4>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="bg-blue-50 p-5 rounded-lg border-l-4 border-blue-400">
@@ -201,6 +288,12 @@ const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental }) => {
             {formatCurrency(lifetimeTotals.interest)} in interest, which is{' '}
             {((lifetimeTotals.interest / lifetimeTotals.principal) * 100).toFixed(1)}% of the original loan amount.
           </p>
+          {balloons.map((balloon) => (
+            <p key={balloon.period} className="text-sm text-yellow-800 mt-1">
+              <strong>Balloon:</strong> The loan is due in full in month {balloon.month} —{' '}
+              {formatCurrency(balloon.balloon)} must be paid off or refinanced.
+            </p>
+          ))}
         </div>
       </div>
 
@@ -227,7 +320,7 @@ const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental }) => {
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
                 </svg>
-                Show Full Schedule (360 months)
+                Show Full Schedule ({schedule.schedule.length} payments)
               </>
             )}
           </button>
@@ -238,28 +331,52 @@ const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental }) => {
             <table className="min-w-full">
               <thead className="sticky top-0 bg-white">
                 <tr className="border-b-2 border-gray-200">
-                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Month</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">{biweekly ? 'Payment' : 'Month'}</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Date</th>
+                  {hasRateChanges && <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Rate</th>}
                   <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Payment</th>
                   <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Principal</th>
+                  {hasPayDownPlan && <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Extra</th>}
                   <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Interest</th>
+                  {hasBalloon && <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Balloon</th>}
                   <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Balance</th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-200">
                 {fullSchedule.map((item, index) => (
-                  <tr key={item.month} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
+                  <tr
+                    key={item.period}
+                    title={item.events.join(', ')}
+                    className={item.events.length > 0 ? 'bg-yellow-50' : index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}
+                  >
                     <td className="px-4 py-3 text-sm font-medium text-gray-800">
-                      Month {item.month} (Year {Math.ceil(item.month / 12)})
+                      {biweekly ? `Payment ${item.period}` : `Month ${item.month}`} (Year {Math.ceil(item.month / 12)})
                     </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{item.date}</td>
+                    {hasRateChanges && (
+                      <td className="px-4 py-3 text-sm text-right font-medium text-gray-800">
+                        {(item.rate * 100).toFixed(3)}%
+                      </td>
+                    )}
                     <td className="px-4 py-3 text-sm text-right font-medium text-gray-800">
                       {formatCurrency(item.payment)}
                     </td>
                     <td className="px-4 py-3 text-sm text-right font-medium text-green-700">
                       {formatCurrency(item.principal)}
                     </td>
+                    {hasPayDownPlan && (
+                      <td className="px-4 py-3 text-sm text-right font-medium text-green-700">
+                        {item.extraPrincipal > 0 ? formatCurrency(item.extraPrincipal) : '—'}
+                      </td>
+                    )}
                     <td className="px-4 py-3 text-sm text-right font-medium text-red-600">
                       {formatCurrency(item.interest)}
                     </td>
+                    {hasBalloon && (
+                      <td className="px-4 py-3 text-sm text-right font-bold text-orange-700">
+                        {item.balloon > 0 ? formatCurrency(item.balloon) : '—'}
+                      </td>
+                    )}
                     <td className="px-4 py-3 text-sm text-right font-bold text-blue-700">
                       {formatCurrency(item.balance)}
                     </td>
@@ -273,7 +390,7 @@ const AmortizationTab: React.FC<AmortizationTabProps> = ({ rental }) => {
         {!showFullSchedule && (
           <div className="bg-gray-50 p-6 rounded-lg text-center">
             <p className="text-gray-600">
-              Click "Show Full Schedule" to view all 360 monthly payments
+              Click "Show Full Schedule" to view all {schedule.schedule.length} {biweekly ? 'biweekly' : 'monthly'} payments
             </p>
           </div>
         )}
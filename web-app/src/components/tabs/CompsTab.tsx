@@ -1,12 +1,15 @@
 import React from 'react';
 import { ComparableProperty } from '../../types/property';
 import { formatCurrency } from '../../utils/formatters';
+import { calculatePricePerDoor, estimateValueFromComps } from '../../shared-core/calculations/comps.js';
 
 interface CompsTabProps {
   comps: ComparableProperty[];
+  targetSqft?: number;
+  targetUnits?: number; // Set for multifamily, which is valued per door as well as per sqft
 }
 
-const CompsTab: React.FC<CompsTabProps> = ({ comps }) => {
+const CompsTab: React.FC<CompsTabProps> = ({ comps, targetSqft, targetUnits }) => {
   if (!comps || comps.length === 0) {
     return (
       <div className="bg-yellow-50 border-l-4 border-yellow-400 p-6 rounded-r-lg">
@@ -21,6 +24,9 @@ const CompsTab: React.FC<CompsTabProps> = ({ comps }) => {
   const avgPricePerSqft = avgSqft > 0 ? avgPrice / avgSqft : 0;
   const minPrice = Math.min(...comps.map(c => c.price));
   const maxPrice = Math.max(...comps.map(c => c.price));
+  const hasUnits = comps.some(c => c.units);
+  const avgPricePerDoor = calculatePricePerDoor(comps);
+  const valuation = targetUnits && targetUnits > 1 ? estimateValueFromComps(comps, { sqft: targetSqft, units: targetUnits }) : null;
 
   return (
     <div className="space-y-6">
@@ -62,6 +68,40 @@ const CompsTab: React.FC<CompsTabProps> = ({ comps }) => {
         </div>
       </div>
 
+      {/* Multifamily: price per door */}
+      {(hasUnits || valuation) && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h4 className="text-xl font-semibold text-gray-800 mb-4">Price per Door</h4>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-gradient-to-br from-teal-50 to-teal-100 p-5 rounded-lg border-2 border-teal-200">
+              <p className="text-sm text-gray-600 mb-1">Avg $/Door</p>
+              <p className="text-2xl font-bold text-teal-700">
+                {avgPricePerDoor > 0 ? formatCurrency(avgPricePerDoor) : 'N/A'}
+              </p>
+            </div>
+            {valuation && (
+              <>
+                <div className="bg-gradient-to-br from-orange-50 to-orange-100 p-5 rounded-lg border-2 border-orange-200">
+                  <p className="text-sm text-gray-600 mb-1">Value by $/Sqft</p>
+                  <p className="text-2xl font-bold text-orange-700">
+                    {valuation.valueBySqft !== null ? formatCurrency(valuation.valueBySqft) : 'N/A'}
+                  </p>
+                </div>
+                <div className="bg-gradient-to-br from-teal-50 to-teal-100 p-5 rounded-lg border-2 border-teal-200">
+                  <p className="text-sm text-gray-600 mb-1">Value by $/Door ({targetUnits} units)</p>
+                  <p className="text-2xl font-bold text-teal-700">
+                    {valuation.valueByDoor !== null ? formatCurrency(valuation.valueByDoor) : 'N/A'}
+                  </p>
+                </div>
+              </>
+            )}
+          </div>
+          {valuation && valuation.valueByDoor === null && (
+            <p className="text-sm text-gray-600 mt-3">None of these comps list a unit count, so only $/sqft applies.</p>
+          )}
+        </div>
+      )}
+
       {/* Comps Count */}
       <div className="bg-blue-50 border-l-4 border-blue-400 p-4 rounded-r-lg">
         <div className="flex items-start">
@@ -95,6 +135,7 @@ const CompsTab: React.FC<CompsTabProps> = ({ comps }) => {
                 <th className="px-4 py-3 text-center text-sm font-semibold text-gray-700">Baths</th>
                 <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Sqft</th>
                 <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">$/Sqft</th>
+                {hasUnits && <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">$/Door</th>}
                 <th className="px-4 py-3 text-center text-sm font-semibold text-gray-700">Year Built</th>
                 <th className="px-4 py-3 text-center text-sm font-semibold text-gray-700">Sale Date</th>
                 <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Distance</th>
@@ -177,6 +218,11 @@ const CompsTab: React.FC<CompsTabProps> = ({ comps }) => {
                     <td className="px-4 py-3 text-sm text-right font-medium text-blue-700">
                       {pricePerSqft ? formatCurrency(pricePerSqft) : 'N/A'}
                     </td>
+                    {hasUnits && (
+                      <td className="px-4 py-3 text-sm text-right font-medium text-teal-700">
+                        {comp.units ? `${formatCurrency(comp.price / comp.units)} (${comp.units})` : 'N/A'}
+                      </td>
+                    )}
                     <td className="px-4 py-3 text-sm text-center text-gray-900">
                       {comp.yearBuilt || 'N/A'}
                     </td>
@@ -1,6 +1,7 @@
 import React, { useState, useMemo } from 'react';
 import { ComparableProperty } from '../../types/property';
 import { formatCurrency } from '../../utils/formatters';
+import { calculatePricePerDoor } from '../../shared-core/calculations/comps.js';
 
 interface FilteredCompsTabProps {
   comps: ComparableProperty[];
@@ -108,7 +109,7 @@ const FilteredCompsTab: React.FC<FilteredCompsTabProps> = ({ comps }) => {
   // Calculate statistics for filtered comps
   const stats = useMemo(() => {
     if (filteredComps.length === 0) {
-      return { avgPrice: 0, avgSqft: 0, avgPricePerSqft: 0, minPrice: 0, maxPrice: 0 };
+      return { avgPrice: 0, avgSqft: 0, avgPricePerSqft: 0, avgPricePerDoor: 0, minPrice: 0, maxPrice: 0 };
     }
 
     const avgPrice = filteredComps.reduce((sum, comp) => sum + comp.price, 0) / filteredComps.length;
@@ -117,10 +118,11 @@ const FilteredCompsTab: React.FC<FilteredCompsTabProps> = ({ comps }) => {
       ? compsWithSqft.reduce((sum, comp) => sum + (comp.sqft || 0), 0) / compsWithSqft.length
       : 0;
     const avgPricePerSqft = avgSqft > 0 ? avgPrice / avgSqft : 0;
+    const avgPricePerDoor = calculatePricePerDoor(filteredComps);
     const minPrice = Math.min(...filteredComps.map(c => c.price));
     const maxPrice = Math.max(...filteredComps.map(c => c.price));
 
-    return { avgPrice, avgSqft, avgPricePerSqft, minPrice, maxPrice };
+    return { avgPrice, avgSqft, avgPricePerSqft, avgPricePerDoor, minPrice, maxPrice };
   }, [filteredComps]);
 
   // Quick filter presets
@@ -423,6 +425,7 @@ const FilteredCompsTab: React.FC<FilteredCompsTabProps> = ({ comps }) => {
                   <th className="px-4 py-3 text-center text-sm font-semibold text-gray-700">Baths</th>
                   <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Sqft</th>
                   <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">$/Sqft</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">$/Door</th>
                   <th className="px-4 py-3 text-center text-sm font-semibold text-gray-700">Sale Date</th>
                   <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Distance</th>
                 </tr>
@@ -478,6 +481,9 @@ const FilteredCompsTab: React.FC<FilteredCompsTabProps> = ({ comps }) => {
                       <td className="px-4 py-3 text-sm text-right font-medium text-blue-700">
                         {pricePerSqft ? formatCurrency(pricePerSqft) : 'N/A'}
                       </td>
+                      <td className="px-4 py-3 text-sm text-right font-medium text-teal-700">
+                        {comp.units ? formatCurrency(comp.price / comp.units) : 'N/A'}
+                      </td>
                       <td className="px-4 py-3 text-sm text-center text-gray-900">
                         {comp.saleDate || 'N/A'}
                       </td>
@@ -514,6 +520,9 @@ const FilteredCompsTab: React.FC<FilteredCompsTabProps> = ({ comps }) => {
               {stats.avgPricePerSqft > 0 && (
                 <p>• <strong>Average $/Sqft:</strong> {formatCurrency(stats.avgPricePerSqft)} - use this as a baseline for valuation</p>
               )}
+              {stats.avgPricePerDoor > 0 && (
+                <p>• <strong>Average $/Door:</strong> {formatCurrency(stats.avgPricePerDoor)} - multifamily usually trades on price per unit</p>
+              )}
               <p>• <strong>Top 3 Closest:</strong> Highlighted in green for quick reference</p>
             </>
           )}
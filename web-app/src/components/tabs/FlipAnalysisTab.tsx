@@ -1,12 +1,17 @@
 import React from 'react';
-import { FlipAnalysis } from '../../types/property';
+import { FlipAnalysis, PropertyFormData } from '../../types/property';
 import { formatCurrency, formatPercent } from '../../utils/formatters';
+import FinancingSummaryCard from '../financing/FinancingSummaryCard';
+import LiveDealCard from '../projectTracker/LiveDealCard';
 
 interface FlipAnalysisTabProps {
   flip: FlipAnalysis;
+  // With both, the flip is also re-run on the Project Tracker's actuals
+  propertyId?: string;
+  formData?: PropertyFormData;
 }
 
-const FlipAnalysisTab: React.FC<FlipAnalysisTabProps> = ({ flip }) => {
+const FlipAnalysisTab: React.FC<FlipAnalysisTabProps> = ({ flip, propertyId, formData }) => {
   // Calculate scenarios
   const bestCase = {
     arv: flip.arv * 1.1, // 10% higher ARV
@@ -61,6 +66,16 @@ const FlipAnalysisTab: React.FC<FlipAnalysisTabProps> = ({ flip }) => {
         </div>
       </div>
 
+      {flip.financing && (
+        <FinancingSummaryCard
+          financing={flip.financing}
+          interestLabel="Interest Over the Hold"
+          payoffLabel="Loan Payoff at Sale"
+        />
+      )}
+
+      {propertyId && formData && <LiveDealCard propertyId={propertyId} formData={formData} arv={flip.arv} />}
+
       {/* Scenario Analysis */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
@@ -159,6 +174,12 @@ const FlipAnalysisTab: React.FC<FlipAnalysisTabProps> = ({ flip }) => {
             <span className="text-gray-700 font-medium">Rehab Cost</span>
             <span className="text-lg font-bold text-gray-800">{formatCurrency(flip.rehabCost)}</span>
           </div>
+          {flip.financingCosts !== undefined && (
+            <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+              <span className="text-gray-700 font-medium">Financing Costs (interest, points & fees)</span>
+              <span className="text-lg font-bold text-gray-800">{formatCurrency(flip.financingCosts)}</span>
+            </div>
+          )}
           <div className="flex justify-between items-center p-3 bg-blue-50 rounded-lg border-t-2 border-blue-200">
             <span className="text-gray-800 font-semibold">Total Investment</span>
             <span className="text-xl font-bold text-blue-700">{formatCurrency(flip.totalInvestment)}</span>
@@ -180,6 +201,52 @@ const FlipAnalysisTab: React.FC<FlipAnalysisTabProps> = ({ flip }) => {
         </div>
       </div>
 
+      {/* Scope of Work */}
+      {flip.rehabScope && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h4 className="text-xl font-semibold text-gray-800 mb-1">Scope of Work</h4>
+          <p className="text-sm text-gray-600 mb-4">
+            {flip.rehabScope.lines.length} line items
+            {flip.rehabScope.costFactor !== 1 &&
+              `, ${flip.rehabScope.state} costs at ${Math.round(flip.rehabScope.costFactor * 100)}% of the national average`}
+            , about {flip.rehabScope.estimatedDays} working days
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-sm font-semibold text-gray-700">Trade</th>
+                  <th className="px-4 py-2 text-right text-sm font-semibold text-gray-700">Cost</th>
+                  <th className="px-4 py-2 text-right text-sm font-semibold text-gray-700">Contingency</th>
+                  <th className="px-4 py-2 text-right text-sm font-semibold text-gray-700">Budget</th>
+                  <th className="px-4 py-2 text-right text-sm font-semibold text-gray-700">Days</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {flip.rehabScope.trades.map((trade) => (
+                  <tr key={trade.trade}>
+                    <td className="px-4 py-2 text-gray-800">{trade.label}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{formatCurrency(trade.cost)}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{formatCurrency(trade.contingency)}</td>
+                    <td className="px-4 py-2 text-right font-semibold text-gray-800">{formatCurrency(trade.total)}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{trade.days}</td>
+                  </tr>
+                ))}
+                <tr className="bg-blue-50 font-semibold">
+                  <td className="px-4 py-2 text-gray-800">
+                    Total ({formatPercent(flip.rehabScope.contingencyRate * 100, 0)} contingency)
+                  </td>
+                  <td className="px-4 py-2 text-right">{formatCurrency(flip.rehabScope.subtotal)}</td>
+                  <td className="px-4 py-2 text-right">{formatCurrency(flip.rehabScope.contingency)}</td>
+                  <td className="px-4 py-2 text-right text-blue-700">{formatCurrency(flip.rehabScope.totalBudget)}</td>
+                  <td className="px-4 py-2 text-right">{flip.rehabScope.estimatedDays}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Holding Costs Breakdown */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
@@ -1,6 +1,8 @@
 import React from 'react';
 import { PropertyFormData, PropertyAnalysisResult } from '../../types/property';
-import { formatCurrency, formatPercent } from '../../utils/formatters';
+import { formatCurrency, formatNumber, formatPercent } from '../../utils/formatters';
+import { PROPERTY_RECORD_FIELDS, mergePropertyRecords, normalizePropertyRecord } from '../../shared-core/api/propertyRecord.js';
+import { getDataProvider } from '../../shared-core/api/providers.js';
 
 interface InputsSummaryTabProps {
   formData: PropertyFormData;
@@ -8,9 +10,36 @@ interface InputsSummaryTabProps {
   onEdit: () => void;
 }
 
+type RecordField = keyof typeof PROPERTY_RECORD_FIELDS;
+
+function formatRecordValue(field: RecordField, value: string | number): string {
+  const { type } = PROPERTY_RECORD_FIELDS[field];
+  if (type === 'currency') return formatCurrency(Number(value));
+  if (type === 'text') return String(value);
+  if (field === 'latitude' || field === 'longitude') return formatNumber(Number(value), 5);
+  return formatNumber(Number(value), Number.isInteger(Number(value)) ? 0 : 1);
+}
+
+function sourceLabel(source: string): string {
+  if (source === 'user') return '👤 You';
+  if (source === 'default') return '⚠️ Default estimate';
+  const provider = getDataProvider(source);
+  return provider ? `${provider.icon} ${provider.name}` : source;
+}
+
 const InputsSummaryTab: React.FC<InputsSummaryTabProps> = ({ formData, results, onEdit }) => {
   const { flip, rental } = results;
 
+  // Fetched details merged with whatever the user typed in; user entries always win
+  const propertyRecord = mergePropertyRecords([
+    results.propertyRecord || { values: {}, provenance: {} },
+    normalizePropertyRecord(formData, 'user', { fetchedAt: '' }),
+  ]);
+  const recordFields = (Object.keys(PROPERTY_RECORD_FIELDS) as RecordField[]).filter(
+    (field) => propertyRecord.values[field] !== undefined
+  );
+  const conflicts = (results.dataConflicts || []).filter((conflict) => !conflict.address);
+
   return (
     <div className="space-y-6">
       {/* Header with Edit Button */}
@@ -54,6 +83,60 @@ const InputsSummaryTab: React.FC<InputsSummaryTabProps> = ({ formData, results,
           </div>
         </div>
 
+        {/* Property Details & Data Sources */}
+        {recordFields.length > 0 && (
+          <div className="mb-6">
+            <h4 className="text-lg font-semibold text-gray-700 mb-3 flex items-center gap-2">
+              <span className="text-xl">🔎</span>
+              Property Details & Data Sources
+            </h4>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b border-gray-200">
+                    <th className="py-2 pr-4 font-medium">Field</th>
+                    <th className="py-2 pr-4 font-medium">Value</th>
+                    <th className="py-2 pr-4 font-medium">Source</th>
+                    <th className="py-2 pr-4 font-medium">Fetched</th>
+                    <th className="py-2 font-medium">Confidence</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recordFields.map((field) => {
+                    const provenance = propertyRecord.provenance[field];
+                    const conflict = provenance.source === 'user'
+                      ? undefined
+                      : conflicts.find((candidate) => candidate.field === field);
+                    return (
+                      <tr key={field} className="border-b border-gray-100">
+                        <td className="py-2 pr-4 text-gray-600">{PROPERTY_RECORD_FIELDS[field].label}</td>
+                        <td className="py-2 pr-4 font-medium text-gray-800">
+                          {formatRecordValue(field, propertyRecord.values[field])}
+                          {conflict && (
+                            <span
+                              className="ml-2 text-xs font-normal text-amber-700"
+                              title={conflict.values
+                                .map((entry) => `${sourceLabel(entry.source)}: ${formatRecordValue(field, entry.value)}`)
+                                .join('\n')}
+                            >
+                              ⚠️ sources differ by {formatPercent(conflict.spread * 100, 0)}
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-2 pr-4 text-gray-800">{sourceLabel(provenance.source)}</td>
+                        <td className="py-2 pr-4 text-gray-600">
+                          {provenance.fetchedAt ? new Date(provenance.fetchedAt).toLocaleString() : '—'}
+                        </td>
+                        <td className="py-2 text-gray-600">{formatPercent(provenance.confidence * 100, 0)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Purchase & Financing */}
         <div className="mb-6">
           <h4 className="text-lg font-semibold text-gray-700 mb-3 flex items-center gap-2">
@@ -1,4 +1,6 @@
 import React, { useState } from 'react';
+import { LOAN_TYPES, buildFinancingSchedule, createLoan, sumDebtService } from '../../shared-core/calculations/financing.js';
+import { LOAN_TYPE_OPTIONS } from '../../utils/financing';
 
 interface LoanComparisonTabProps {
   rental?: {
@@ -18,20 +20,25 @@ interface LoanScenario {
   name: string;
   downPaymentPercent: number;
   interestRate: number;
-  loanTermYears: number;
-  monthlyPayment: number;
+  termMonths: number;
+  monthlyPayment: number; // Year-one average, so interest-only and reset months are reflected
   totalInterest: number;
   totalPaid: number;
   loanAmount: number;
   downPaymentAmount: number;
+  upfrontCosts: number; // Points and lender fees
   monthlyPMI: number;
   effectiveRate: number;
+  notes: string[]; // Balloons and rate resets
 }
 
+const formatTerm = (months: number) => (months % 12 === 0 ? `${months / 12} yrs` : `${months} mo`);
+
 const LoanComparisonTab: React.FC<LoanComparisonTabProps> = ({ rental }) => {
   const [customDownPayment, setCustomDownPayment] = useState<number>(20);
   const [customInterestRate, setCustomInterestRate] = useState<number>(7.0);
   const [customLoanTerm, setCustomLoanTerm] = useState<number>(30);
+  const [customLoanType, setCustomLoanType] = useState<string>('CONVENTIONAL');
 
   if (!rental) {
     return (
@@ -43,57 +50,102 @@ const LoanComparisonTab: React.FC<LoanComparisonTabProps> = ({ rental }) => {
 
   const purchasePrice = rental.purchasePrice;
 
-  // Calculate loan scenario
+  // Calculate loan scenario on the shared-core debt schedule
   const calculateLoanScenario = (
     name: string,
     downPaymentPercent: number,
     interestRate: number,
-    loanTermYears: number
+    loanTermYears: number | null,
+    loanType = 'CONVENTIONAL'
   ): LoanScenario => {
     const downPaymentAmount = purchasePrice * (downPaymentPercent / 100);
     const loanAmount = purchasePrice - downPaymentAmount;
-    const monthlyRate = interestRate / 100 / 12;
-    const numPayments = loanTermYears * 12;
 
-    // Calculate monthly payment (P&I)
-    const monthlyPayment =
-      loanAmount * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) /
-      (Math.pow(1 + monthlyRate, numPayments) - 1);
+    // Structured loans keep their own term and amortization unless a term is given
+    const overrides: Record<string, number> = { rate: interestRate / 100 };
+    if (loanTermYears) {
+      overrides.termMonths = loanTermYears * 12;
+      if (loanType === 'CONVENTIONAL') overrides.amortizationMonths = loanTermYears * 12;
+    }
+    const loan = createLoan(loanType, loanAmount, overrides);
+    const financing = buildFinancingSchedule([loan]);
+    const termMonths = loan.termMonths;
+
+    if (financing.error) {
+      return {
+        name,
+        downPaymentPercent,
+        interestRate,
+        termMonths,
+        monthlyPayment: 0,
+        totalInterest: 0,
+        totalPaid: downPaymentAmount,
+        loanAmount,
+        downPaymentAmount,
+        upfrontCosts: 0,
+        monthlyPMI: 0,
+        effectiveRate: interestRate,
+        notes: financing.errors || [],
+      };
+    }
+
+    const monthlyPayment = sumDebtService(financing, 1, Math.min(12, termMonths)) / Math.min(12, termMonths);
 
-    // Calculate PMI (if down payment < 20%)
-    const monthlyPMI = downPaymentPercent < 20 ? loanAmount * 0.005 / 12 : 0;
+    // Calculate PMI (if down payment < 20%) - conventional and FHA-style loans only
+    const monthlyPMI = loanType === 'CONVENTIONAL' && downPaymentPercent < 20 ? loanAmount * 0.005 / 12 : 0;
 
-    // Total paid over life of loan
-    const totalPaid = monthlyPayment * numPayments + downPaymentAmount;
-    const totalInterest = (monthlyPayment * numPayments) - loanAmount;
+    // Total paid over life of loan, balloons and lender costs included
+    const upfrontCosts = financing.upfrontCosts;
+    const totalInterest = financing.totals.interest;
+    const totalPaid = financing.totals.payments + financing.totals.balloon + downPaymentAmount + upfrontCosts;
 
     // Effective rate including PMI
     const effectiveRate = monthlyPMI > 0
-      ? ((monthlyPayment + monthlyPMI) * numPayments - loanAmount) / loanAmount / loanTermYears * 100
+      ? (totalInterest + monthlyPMI * termMonths) / loanAmount / (termMonths / 12) * 100
       : interestRate;
 
+    const notes = [
+      ...financing.balloons.map(
+        (b) => `Balloon of $${b.amount.toLocaleString(undefined, { maximumFractionDigits: 0 })} due month ${b.month}`
+      ),
+      ...financing.rateResets.slice(0, 1).map((r) => `Resets to ${(r.rate * 100).toFixed(2)}% in month ${r.month}`),
+    ];
+
     return {
       name,
       downPaymentPercent,
       interestRate,
-      loanTermYears,
+      termMonths,
       monthlyPayment,
       totalInterest,
       totalPaid,
       loanAmount,
       downPaymentAmount,
+      upfrontCosts,
       monthlyPMI,
       effectiveRate,
+      notes,
     };
   };
 
+  const rateFor = (loanType: string) => LOAN_TYPES[loanType as keyof typeof LOAN_TYPES].rate * 100;
+
   // Pre-defined scenarios
   const scenarios: LoanScenario[] = [
     calculateLoanScenario('Conventional 20%', 20, 7.0, 30),
     calculateLoanScenario('Conventional 15%', 15, 7.0, 30),
     calculateLoanScenario('FHA 3.5%', 3.5, 6.5, 30),
     calculateLoanScenario('15-Year Fixed', 20, 6.5, 15),
-    calculateLoanScenario('Custom', customDownPayment, customInterestRate, customLoanTerm),
+    calculateLoanScenario('Hard Money (interest-only)', 10, rateFor('HARD_MONEY'), null, 'HARD_MONEY'),
+    calculateLoanScenario('Seller Carry (5-yr balloon)', 10, rateFor('SELLER_CARRY'), null, 'SELLER_CARRY'),
+    calculateLoanScenario('5/1 ARM', 20, rateFor('ARM'), 30, 'ARM'),
+    calculateLoanScenario(
+      'Custom',
+      customDownPayment,
+      customInterestRate,
+      customLoanType === 'CONVENTIONAL' || customLoanType === 'ARM' ? customLoanTerm : null,
+      customLoanType
+    ),
   ];
 
   // Calculate monthly costs including all expenses
@@ -116,7 +168,7 @@ const LoanComparisonTab: React.FC<LoanComparisonTabProps> = ({ rental }) => {
   // Calculate cash-on-cash return
   const calculateCashOnCash = (scenario: LoanScenario) => {
     const annualCashFlow = calculateCashFlow(scenario) * 12;
-    return (annualCashFlow / scenario.downPaymentAmount) * 100;
+    return (annualCashFlow / (scenario.downPaymentAmount + scenario.upfrontCosts)) * 100;
   };
 
   // Find best scenario
@@ -161,7 +213,22 @@ const LoanComparisonTab: React.FC<LoanComparisonTabProps> = ({ rental }) => {
       {/* Custom Scenario Builder */}
       <div className="bg-gradient-to-r from-purple-50 to-pink-50 rounded-lg p-6 mb-6 border border-purple-200">
         <h3 className="text-lg font-semibold text-gray-800 mb-4">Custom Scenario Builder</h3>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Loan Type
+            </label>
+            <select
+              value={customLoanType}
+              onChange={(e) => setCustomLoanType(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            >
+              <option value="CONVENTIONAL">{LOAN_TYPES.CONVENTIONAL.label}</option>
+              {LOAN_TYPE_OPTIONS.map(({ type, label }) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Down Payment (%)
@@ -196,6 +263,7 @@ const LoanComparisonTab: React.FC<LoanComparisonTabProps> = ({ rental }) => {
             </label>
             <select
               value={customLoanTerm}
+              disabled={customLoanType !== 'CONVENTIONAL' && customLoanType !== 'ARM'}
               onChange={(e) => setCustomLoanTerm(parseInt(e.target.value))}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
             >
@@ -218,7 +286,7 @@ const LoanComparisonTab: React.FC<LoanComparisonTabProps> = ({ rental }) => {
               <th className="border border-gray-300 p-3 text-center font-semibold text-gray-700">Loan Amount</th>
               <th className="border border-gray-300 p-3 text-center font-semibold text-gray-700">Rate</th>
               <th className="border border-gray-300 p-3 text-center font-semibold text-gray-700">Term</th>
-              <th className="border border-gray-300 p-3 text-center font-semibold text-gray-700">Monthly P&I</th>
+              <th className="border border-gray-300 p-3 text-center font-semibold text-gray-700">Monthly P&I (yr 1)</th>
               <th className="border border-gray-300 p-3 text-center font-semibold text-gray-700">PMI</th>
               <th className="border border-gray-300 p-3 text-center font-semibold text-gray-700">Total Cost</th>
               <th className="border border-gray-300 p-3 text-center font-semibold text-gray-700">Cash Flow</th>
@@ -245,6 +313,9 @@ const LoanComparisonTab: React.FC<LoanComparisonTabProps> = ({ rental }) => {
                         BEST
                       </span>
                     )}
+                    {scenario.notes.map((note) => (
+                      <div key={note} className="text-xs font-normal text-orange-700 mt-1">{note}</div>
+                    ))}
                   </td>
                   <td className="border border-gray-300 p-3 text-center">
                     <div className="font-semibold text-gray-800">
@@ -261,7 +332,7 @@ const LoanComparisonTab: React.FC<LoanComparisonTabProps> = ({ rental }) => {
                     {scenario.interestRate.toFixed(2)}%
                   </td>
                   <td className="border border-gray-300 p-3 text-center font-semibold text-gray-800">
-                    {scenario.loanTermYears} yrs
+                    {formatTerm(scenario.termMonths)}
                   </td>
                   <td className="border border-gray-300 p-3 text-center font-semibold text-gray-800">
                     ${scenario.monthlyPayment.toLocaleString(undefined, { maximumFractionDigits: 0 })}
@@ -391,6 +462,13 @@ const LoanComparisonTab: React.FC<LoanComparisonTabProps> = ({ rental }) => {
               <strong>15-Year Advantage:</strong> Shorter loan terms have higher monthly payments but save significantly on total interest
             </span>
           </li>
+          <li className="flex items-start gap-2">
+            <span className="text-blue-600 mt-0.5">•</span>
+            <span>
+              <strong>Balloons &amp; Resets:</strong> Hard money and seller carry notes come due long before they are paid down,
+              and ARM payments can rise after the fixed period. Plan the refinance or sale before the date shown
+            </span>
+          </li>
           <li className="flex items-start gap-2">
             <span className="text-blue-600 mt-0.5">•</span>
             <span>
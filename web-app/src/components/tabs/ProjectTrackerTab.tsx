@@ -2,6 +2,7 @@ import React from 'react';
 import { useProjectTracker } from '../../hooks/useProjectTracker';
 import EmptyState from '../projectTracker/EmptyState';
 import RenovationTimeline from '../projectTracker/RenovationTimeline';
+import GanttChart from '../projectTracker/GanttChart';
 import PermitTracker from '../projectTracker/PermitTracker';
 import MaterialOrders from '../projectTracker/MaterialOrders';
 import CriticalMilestones from '../projectTracker/CriticalMilestones';
@@ -9,12 +10,16 @@ import DelaysIssues from '../projectTracker/DelaysIssues';
 import ContractorPerformance from '../projectTracker/ContractorPerformance';
 import ChangeOrders from '../projectTracker/ChangeOrders';
 import ProjectSummary from '../projectTracker/ProjectSummary';
+import { RehabEstimate } from '../../types/rehab';
+import { toRenovationPhases } from '../../utils/rehab';
+import { formatCurrency } from '../../utils/formatters';
 
 interface ProjectTrackerTabProps {
   propertyId: string;
+  rehabScope?: RehabEstimate; // Scope of work the flip was budgeted from
 }
 
-const ProjectTrackerTab: React.FC<ProjectTrackerTabProps> = ({ propertyId }) => {
+const ProjectTrackerTab: React.FC<ProjectTrackerTabProps> = ({ propertyId, rehabScope }) => {
   const [showTimeline, setShowTimeline] = React.useState(false);
 
   const {
@@ -22,6 +27,7 @@ const ProjectTrackerTab: React.FC<ProjectTrackerTabProps> = ({ propertyId }) =>
     summary,
     hasData,
     addRenovationPhase,
+    addRenovationPhases,
     updateRenovationPhase,
     deleteRenovationPhase,
     addPermit,
@@ -54,6 +60,26 @@ const ProjectTrackerTab: React.FC<ProjectTrackerTabProps> = ({ propertyId }) =>
       <div className="space-y-6">
         <EmptyState onGetStarted={handleGetStarted} />
 
+        {/* Start from the analysis's scope of work: one phase per trade with its budget */}
+        {rehabScope && !showTimeline && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-6 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Start from your scope of work</h3>
+              <p className="text-sm text-gray-600">
+                {rehabScope.trades.length} phases, {formatCurrency(rehabScope.totalBudget)} budget including{' '}
+                {Math.round(rehabScope.contingencyRate * 100)}% contingency, about {rehabScope.estimatedDays} working days
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => addRenovationPhases(toRenovationPhases(rehabScope))}
+              className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Add Phases from Scope of Work
+            </button>
+          </div>
+        )}
+
         {/* Show Renovation Timeline section after clicking Get Started */}
         {showTimeline && (
           <RenovationTimeline
@@ -80,6 +106,13 @@ const ProjectTrackerTab: React.FC<ProjectTrackerTabProps> = ({ propertyId }) =>
         onDelete={deleteRenovationPhase}
       />
 
+      {/* Phase dependencies on a Gantt chart, with the critical path */}
+      <GanttChart
+        phases={data.renovationPhases}
+        delays={data.delays}
+        onUpdate={updateRenovationPhase}
+      />
+
       {/* Section 2: Inspection & Permit Tracker */}
       <PermitTracker
         permits={data.permits}
@@ -107,6 +140,7 @@ const ProjectTrackerTab: React.FC<ProjectTrackerTabProps> = ({ propertyId }) =>
       {/* Section 5: Delays & Issues Tracker */}
       <DelaysIssues
         delays={data.delays}
+        phases={data.renovationPhases}
         onAdd={addDelay}
         onUpdate={updateDelay}
         onDelete={deleteDelay}
@@ -1,12 +1,16 @@
 import React from 'react';
-import { RentalAnalysis } from '../../types/property';
+import { PropertyFormData, RentalAnalysis } from '../../types/property';
 import { formatCurrency, formatPercent } from '../../utils/formatters';
+import FinancingSummaryCard from '../financing/FinancingSummaryCard';
+import BRRRRSection from '../financing/BRRRRSection';
 
 interface RentalAnalysisTabProps {
   rental: RentalAnalysis;
+  arv?: number; // From the flip analysis; the BRRRR section needs it
+  formData?: PropertyFormData | null;
 }
 
-const RentalAnalysisTab: React.FC<RentalAnalysisTabProps> = ({ rental }) => {
+const RentalAnalysisTab: React.FC<RentalAnalysisTabProps> = ({ rental, arv, formData }) => {
   // Calculate 10-year projection
   const years = Array.from({ length: 10 }, (_, i) => i + 1);
   const annualAppreciation = 0.03; // 3% annual appreciation
@@ -67,6 +71,119 @@ const RentalAnalysisTab: React.FC<RentalAnalysisTabProps> = ({ rental }) => {
         </div>
       </div>
 
+      {/* Rent Roll */}
+      {rental.rentRoll && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+            <span className="text-xl">🏘️</span>
+            Rent Roll ({rental.rentRoll.unitCount} units, {formatCurrency(rental.pricePerDoor || 0)}/door)
+          </h4>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Unit</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Bed/Bath</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Current</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Market</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Vacancy</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Effective</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Lease Ends</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200 text-sm">
+                {rental.rentRoll.units.map((unit) => (
+                  <tr key={unit.label} className={unit.ownerOccupied ? 'bg-green-50' : 'hover:bg-gray-50'}>
+                    <td className="px-4 py-2 font-medium text-gray-900">
+                      {unit.label}
+                      {unit.ownerOccupied && <span className="ml-2 text-xs text-green-700">Owner</span>}
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-700">
+                      {unit.beds ?? '-'}/{unit.baths ?? '-'}
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-700">
+                      {unit.currentRent > 0 ? formatCurrency(unit.currentRent) : 'Vacant'}
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-700">{formatCurrency(unit.marketRent)}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{formatPercent(unit.vacancyRate * 100)}</td>
+                    <td className="px-4 py-2 text-right font-semibold text-gray-900">{formatCurrency(unit.effectiveRent)}</td>
+                    <td className={`px-4 py-2 text-right ${unit.monthsToLeaseEnd !== null && unit.monthsToLeaseEnd <= 3 ? 'text-orange-700 font-semibold' : 'text-gray-700'}`}>
+                      {unit.leaseEnd || '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="bg-gray-50 font-semibold text-sm">
+                <tr>
+                  <td className="px-4 py-2 text-gray-900" colSpan={2}>Income Units</td>
+                  <td className="px-4 py-2 text-right text-gray-900" colSpan={2}>{formatCurrency(rental.rentRoll.grossMonthlyRent)}</td>
+                  <td className="px-4 py-2 text-right text-gray-900">{formatPercent(rental.rentRoll.vacancyRate * 100)}</td>
+                  <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(rental.rentRoll.effectiveMonthlyRent)}</td>
+                  <td></td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+          {(rental.rentRoll.lossToLease > 0 || rental.rentRoll.leasesEndingWithin12Months > 0) && (
+            <div className="mt-4 bg-blue-50 border-l-4 border-blue-400 p-4 rounded-r-lg">
+              <p className="text-sm text-blue-800">
+                {rental.rentRoll.lossToLease > 0 && (
+                  <>In-place rents are {formatCurrency(rental.rentRoll.lossToLease)}/month below market. </>
+                )}
+                {rental.rentRoll.leasesEndingWithin12Months > 0 && (
+                  <>{rental.rentRoll.leasesEndingWithin12Months} lease(s) end within 12 months.</>
+                )}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* House Hack */}
+      {rental.houseHack && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+            <span className="text-xl">🔑</span>
+            House Hack: Living in {rental.houseHack.ownerUnit}
+          </h4>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-gradient-to-br from-green-50 to-green-100 p-5 rounded-lg border-2 border-green-200">
+              <p className="text-sm text-gray-600 mb-1">Your Monthly Housing Cost</p>
+              <p className="text-3xl font-bold text-green-700">
+                {rental.houseHack.netHousingCost <= 0 ? 'Free' : formatCurrency(rental.houseHack.netHousingCost)}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                {rental.houseHack.netHousingCost < 0
+                  ? `The other units cover everything and pay you ${formatCurrency(-rental.houseHack.netHousingCost)}`
+                  : 'After the other units\' rent'}
+              </p>
+            </div>
+            <div className="bg-gradient-to-br from-blue-50 to-blue-100 p-5 rounded-lg border-2 border-blue-200">
+              <p className="text-sm text-gray-600 mb-1">Savings vs. Renting It</p>
+              <p className={`text-3xl font-bold ${rental.houseHack.savingsVsRenting >= 0 ? 'text-blue-700' : 'text-red-700'}`}>
+                {formatCurrency(rental.houseHack.savingsVsRenting)}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">{rental.houseHack.ownerUnit} rents for {formatCurrency(rental.houseHack.ownerUnitMarketRent)}</p>
+            </div>
+            <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-5 rounded-lg border-2 border-purple-200">
+              <p className="text-sm text-gray-600 mb-1">Cash Flow After You Move Out</p>
+              <p className="text-3xl font-bold text-purple-700">
+                {rental.houseHack.fullyRentedMonthlyCashFlow === null ? '-' : formatCurrency(rental.houseHack.fullyRentedMonthlyCashFlow)}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">Every unit leased at market</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {rental.financing && (
+        <FinancingSummaryCard
+          financing={rental.financing}
+          interestLabel="Interest Over the Term"
+          payoffLabel="Balance Owed at Maturity"
+        />
+      )}
+
       {/* DSCR */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
@@ -216,38 +333,42 @@ const RentalAnalysisTab: React.FC<RentalAnalysisTabProps> = ({ rental }) => {
         </div>
       </div>
 
-      {/* BRRRR Strategy */}
-      <div className="bg-white rounded-lg shadow-md p-6">
-        <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
-          <span className="text-xl">🔄</span>
-          BRRRR Strategy Comparison
-        </h4>
-        <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-6 rounded-lg border-2 border-purple-200">
-          <p className="text-sm font-semibold text-gray-800 mb-3">
-            Buy, Rehab, Rent, Refinance, Repeat
-          </p>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div>
-              <p className="text-xs text-gray-600 mb-1">Traditional Buy & Hold</p>
-              <p className="text-lg font-bold text-gray-800">
-                Down Payment: {formatCurrency(rental.downPayment)}
-              </p>
+      {/* BRRRR Strategy: modeled once the flip analysis supplies an ARV */}
+      {arv ? (
+        <BRRRRSection rental={rental} arv={arv} formData={formData} />
+      ) : (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+            <span className="text-xl">🔄</span>
+            BRRRR Strategy Comparison
+          </h4>
+          <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-6 rounded-lg border-2 border-purple-200">
+            <p className="text-sm font-semibold text-gray-800 mb-3">
+              Buy, Rehab, Rent, Refinance, Repeat
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <p className="text-xs text-gray-600 mb-1">Traditional Buy & Hold</p>
+                <p className="text-lg font-bold text-gray-800">
+                  Down Payment: {formatCurrency(rental.downPayment)}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-600 mb-1">BRRRR Potential</p>
+                <p className="text-lg font-bold text-purple-700">
+                  Refinance after rehab to recover capital
+                </p>
+              </div>
             </div>
-            <div>
-              <p className="text-xs text-gray-600 mb-1">BRRRR Potential</p>
-              <p className="text-lg font-bold text-purple-700">
-                Refinance after rehab to recover capital
+            <div className="mt-4 bg-white p-4 rounded-lg">
+              <p className="text-sm text-gray-700">
+                With BRRRR, you could potentially refinance based on the improved property value,
+                recovering most or all of your initial investment while maintaining cash flow.
               </p>
             </div>
           </div>
-          <div className="mt-4 bg-white p-4 rounded-lg">
-            <p className="text-sm text-gray-700">
-              With BRRRR, you could potentially refinance based on the improved property value,
-              recovering most or all of your initial investment while maintaining cash flow.
-            </p>
-          </div>
         </div>
-      </div>
+      )}
 
       {/* Tips */}
       <div className="bg-green-50 border-l-4 border-green-400 p-4 rounded-r-lg">
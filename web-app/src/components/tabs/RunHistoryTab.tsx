@@ -0,0 +1,215 @@
+/**
+ * Run history tab
+ * Timeline of every analysis run for the property and a diff between any two runs
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { getSnapshotsForProperty } from '../../utils/db';
+import { diffSnapshots } from '../../utils/snapshots';
+import { AnalysisSnapshot, SnapshotFieldChange } from '../../types/snapshot';
+import { formatCurrency, formatNumber, formatPercent } from '../../utils/formatters';
+
+interface RunHistoryTabProps {
+  propertyId: string;
+}
+
+const formatFieldValue = (value: SnapshotFieldChange['before'], format: SnapshotFieldChange['format']): string => {
+  if (value === null) return '—';
+  if (typeof value === 'string') return value;
+  switch (format) {
+    case 'currency':
+      return formatCurrency(value);
+    case 'percent':
+      return formatPercent(value);
+    default:
+      return formatNumber(value, Number.isInteger(value) ? 0 : 2);
+  }
+};
+
+const ChangeTable: React.FC<{ title: string; changes: SnapshotFieldChange[] }> = ({ title, changes }) => (
+  <div>
+    <h5 className="font-semibold text-gray-700 mb-2">{title}</h5>
+    {changes.length === 0 ? (
+      <p className="text-sm text-gray-500">No changes</p>
+    ) : (
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-3 py-2 text-left font-semibold text-gray-700">Field</th>
+            <th className="px-3 py-2 text-right font-semibold text-gray-700">Before</th>
+            <th className="px-3 py-2 text-right font-semibold text-gray-700">After</th>
+            <th className="px-3 py-2 text-right font-semibold text-gray-700">Change</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {changes.map((change) => (
+            <tr key={change.key}>
+              <td className="px-3 py-2 text-gray-700">{change.label}</td>
+              <td className="px-3 py-2 text-right text-gray-600">{formatFieldValue(change.before, change.format)}</td>
+              <td className="px-3 py-2 text-right text-gray-800 font-medium">
+                {formatFieldValue(change.after, change.format)}
+              </td>
+              <td
+                className={`px-3 py-2 text-right ${
+                  (change.change ?? 0) > 0 ? 'text-green-700' : (change.change ?? 0) < 0 ? 'text-red-700' : 'text-gray-500'
+                }`}
+              >
+                {change.changePercent !== null
+                  ? `${change.changePercent > 0 ? '+' : ''}${change.changePercent.toFixed(1)}%`
+                  : '—'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+const RunHistoryTab: React.FC<RunHistoryTabProps> = ({ propertyId }) => {
+  const [snapshots, setSnapshots] = useState<AnalysisSnapshot[]>([]);
+  const [beforeId, setBeforeId] = useState<string>('');
+  const [afterId, setAfterId] = useState<string>('');
+  const [loading, setLoading] = useState(true);
+
+  // Default to comparing the latest run against the one before it
+  useEffect(() => {
+    setLoading(true);
+    getSnapshotsForProperty(propertyId)
+      .then((runs) => {
+        setSnapshots(runs);
+        setAfterId(runs[runs.length - 1]?.snapshotId ?? '');
+        setBeforeId(runs[runs.length - 2]?.snapshotId ?? '');
+      })
+      .catch((error) => console.error('Failed to load run history:', error))
+      .finally(() => setLoading(false));
+  }, [propertyId]);
+
+  const diff = useMemo(() => {
+    const before = snapshots.find((s) => s.snapshotId === beforeId);
+    const after = snapshots.find((s) => s.snapshotId === afterId);
+    if (!before || !after || before === after) return null;
+    // Always diff earlier -> later regardless of which side was picked first
+    return before.runNumber < after.runNumber ? diffSnapshots(before, after) : diffSnapshots(after, before);
+  }, [snapshots, beforeId, afterId]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center p-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const runLabel = (snapshot: AnalysisSnapshot) =>
+    `Run ${snapshot.runNumber} · ${new Date(snapshot.timestamp).toLocaleString()}`;
+
+  return (
+    <div className="space-y-6">
+      {/* Timeline */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h4 className="text-xl font-semibold text-gray-800 mb-4">Run Timeline</h4>
+        {snapshots.length === 0 ? (
+          <p className="text-gray-600">No saved runs for this property yet.</p>
+        ) : (
+          <ol className="relative border-l-2 border-gray-200 ml-2 space-y-4">
+            {[...snapshots].reverse().map((snapshot) => (
+              <li key={snapshot.snapshotId} className="ml-4">
+                <span className="absolute -left-[7px] mt-1.5 h-3 w-3 rounded-full bg-primary-500"></span>
+                <p className="text-sm font-medium text-gray-800">{runLabel(snapshot)}</p>
+                <p className="text-xs text-gray-500">
+                  {snapshot.analysisMode} mode · {snapshot.analysisResults.comps?.length ?? 0} comps ·{' '}
+                  {snapshot.apiSources.length > 0 ? snapshot.apiSources.join(', ') : 'no API sources'}
+                </p>
+                <p className="text-xs text-gray-600 mt-1">
+                  ARV {formatCurrency(snapshot.analysisResults.flip?.arv)} · Rent{' '}
+                  {formatCurrency(snapshot.analysisResults.rental?.monthlyRent)} · Score{' '}
+                  {snapshot.analysisResults.score?.score ?? '—'}
+                  {snapshot.analysisResults.score?.profileName && ` (${snapshot.analysisResults.score.profileName})`}
+                </p>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+
+      {/* Diff */}
+      {snapshots.length >= 2 && (
+        <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
+          <div className="flex flex-col md:flex-row md:items-end gap-4">
+            <h4 className="text-xl font-semibold text-gray-800 flex-1">Compare Runs</h4>
+            {[
+              { label: 'From', value: beforeId, onChange: setBeforeId },
+              { label: 'To', value: afterId, onChange: setAfterId },
+            ].map((picker) => (
+              <label key={picker.label} className="text-sm text-gray-700">
+                {picker.label}
+                <select
+                  value={picker.value}
+                  onChange={(e) => picker.onChange(e.target.value)}
+                  className="ml-2 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  {snapshots.map((snapshot) => (
+                    <option key={snapshot.snapshotId} value={snapshot.snapshotId}>
+                      {runLabel(snapshot)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {!diff ? (
+            <p className="text-sm text-gray-500">Pick two different runs to see what changed.</p>
+          ) : (
+            <>
+              <div className="bg-blue-50 border-l-4 border-blue-400 p-4 rounded-r-lg">
+                <ul className="space-y-1 text-sm text-blue-900">
+                  {diff.explanations.map((explanation) => (
+                    <li key={explanation}>{explanation}</li>
+                  ))}
+                </ul>
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <ChangeTable title="Inputs" changes={diff.inputChanges} />
+                <ChangeTable title="Outputs" changes={diff.outputChanges} />
+              </div>
+
+              {(diff.compsAdded.length > 0 || diff.compsRemoved.length > 0) && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm">
+                  <div>
+                    <h5 className="font-semibold text-gray-700 mb-2">Comps Dropped</h5>
+                    {diff.compsRemoved.length === 0 ? (
+                      <p className="text-gray-500">None</p>
+                    ) : (
+                      <ul className="space-y-1 text-red-700">
+                        {diff.compsRemoved.map((address) => (
+                          <li key={address}>− {address}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                  <div>
+                    <h5 className="font-semibold text-gray-700 mb-2">Comps Added</h5>
+                    {diff.compsAdded.length === 0 ? (
+                      <p className="text-gray-500">None</p>
+                    ) : (
+                      <ul className="space-y-1 text-green-700">
+                        {diff.compsAdded.map((address) => (
+                          <li key={address}>+ {address}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunHistoryTab;
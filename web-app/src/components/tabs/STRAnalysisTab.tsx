@@ -0,0 +1,236 @@
+import React from 'react';
+import { RentalAnalysis } from '../../types/property';
+import { STRAnalysis } from '../../types/str';
+import { formatCurrency, formatPercent } from '../../utils/formatters';
+
+interface STRAnalysisTabProps {
+  str: STRAnalysis;
+  rental?: RentalAnalysis; // Long-term lease on the same property, for the side-by-side
+}
+
+const EXPENSE_LABELS: Record<string, string> = {
+  platformFees: 'Platform Fees',
+  management: 'Management',
+  occupancyTax: 'Occupancy Tax',
+  cleaning: 'Cleaning',
+  propertyTaxes: 'Property Taxes',
+  insurance: 'Insurance',
+  maintenance: 'Maintenance',
+  hoaFees: 'HOA',
+  utilities: 'Utilities & Internet',
+  supplies: 'Supplies',
+};
+
+const STRAnalysisTab: React.FC<STRAnalysisTabProps> = ({ str, rental }) => {
+  const peakRevenue = Math.max(...str.months.map((m) => m.revenue), 1);
+  const cushion = str.breakEvenOccupancy === null ? null : str.occupancy - str.breakEvenOccupancy;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-cyan-500 to-cyan-700 rounded-lg shadow-md p-6 text-white">
+        <h3 className="text-2xl font-bold mb-2 flex items-center gap-2">
+          <span className="text-3xl">🏖️</span>
+          Short-Term Rental Analysis
+        </h3>
+        <p className="text-cyan-100">
+          {formatCurrency(str.assumptions.nightlyRate)}/night at {formatPercent(str.occupancy)} occupancy,{' '}
+          {str.assumptions.averageStayNights}-night average stay
+        </p>
+      </div>
+
+      {/* Key Metrics */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h4 className="text-xl font-semibold text-gray-800 mb-4">Key Metrics</h4>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="bg-gradient-to-br from-green-50 to-green-100 p-5 rounded-lg border-2 border-green-200">
+            <p className="text-sm text-gray-600 mb-1">Monthly Cash Flow</p>
+            <p className={`text-3xl font-bold ${str.monthlyCashFlow > 0 ? 'text-green-700' : 'text-red-700'}`}>
+              {formatCurrency(str.monthlyCashFlow)}
+            </p>
+          </div>
+          <div className="bg-gradient-to-br from-blue-50 to-blue-100 p-5 rounded-lg border-2 border-blue-200">
+            <p className="text-sm text-gray-600 mb-1">Cap Rate</p>
+            <p className="text-3xl font-bold text-blue-700">{formatPercent(str.capRate)}</p>
+          </div>
+          <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-5 rounded-lg border-2 border-purple-200">
+            <p className="text-sm text-gray-600 mb-1">Cash-on-Cash Return</p>
+            <p className="text-3xl font-bold text-purple-700">{formatPercent(str.cocReturn)}</p>
+            <p className="text-xs text-gray-500 mt-1">Includes {formatCurrency(str.assumptions.furnishingCost)} furnishing</p>
+          </div>
+          <div className="bg-gradient-to-br from-orange-50 to-orange-100 p-5 rounded-lg border-2 border-orange-200">
+            <p className="text-sm text-gray-600 mb-1">Break-Even Occupancy</p>
+            <p className="text-3xl font-bold text-orange-700">
+              {str.breakEvenOccupancy === null ? 'None' : formatPercent(str.breakEvenOccupancy)}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">
+              {cushion === null
+                ? 'Fees and cleaning exceed what a booked night earns'
+                : cushion >= 0
+                  ? `${cushion.toFixed(1)} points below expected occupancy`
+                  : `${Math.abs(cushion).toFixed(1)} points above expected occupancy`}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Seasonality */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+          <span className="text-xl">📅</span>
+          Bookings by Month
+        </h4>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Month</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Occupancy</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Nights</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Stays</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Revenue</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase w-1/3"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {str.months.map((month) => (
+                <tr key={month.month} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 text-sm font-medium text-gray-900">{month.label}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-700">{formatPercent(month.occupancy)}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-700">{month.nights.toFixed(1)}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-700">{month.stays.toFixed(1)}</td>
+                  <td className="px-4 py-2 text-sm text-right font-semibold text-gray-900">{formatCurrency(month.revenue)}</td>
+                  <td className="px-4 py-2">
+                    <div className="bg-gray-100 rounded h-3">
+                      <div
+                        className="bg-cyan-500 h-3 rounded"
+                        style={{ width: `${(month.revenue / peakRevenue) * 100}%` }}
+                      />
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="bg-gray-50 font-semibold">
+              <tr>
+                <td className="px-4 py-2 text-sm text-gray-900">Year</td>
+                <td className="px-4 py-2 text-sm text-right text-gray-900">{formatPercent(str.occupancy)}</td>
+                <td className="px-4 py-2 text-sm text-right text-gray-900">{str.nightsBooked}</td>
+                <td className="px-4 py-2 text-sm text-right text-gray-900">{str.stays}</td>
+                <td className="px-4 py-2 text-sm text-right text-gray-900">{formatCurrency(str.grossRevenue)}</td>
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      </div>
+
+      {/* Income & Expenses */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+          <span className="text-xl">💵</span>
+          Annual Income & Expenses
+        </h4>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-2">
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-600">Nightly Revenue</span>
+              <span className="font-semibold">{formatCurrency(str.rentalRevenue)}</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-600">Cleaning Fees Collected</span>
+              <span className="font-semibold">{formatCurrency(str.cleaningFeeIncome)}</span>
+            </div>
+            <div className="flex justify-between text-sm border-t pt-2">
+              <span className="font-semibold text-gray-800">Gross Revenue</span>
+              <span className="font-bold text-green-700">{formatCurrency(str.grossRevenue)}</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-600">Operating Expenses</span>
+              <span className="font-semibold text-red-700">-{formatCurrency(str.totalExpenses)}</span>
+            </div>
+            <div className="flex justify-between text-sm border-t pt-2">
+              <span className="font-semibold text-gray-800">Net Operating Income</span>
+              <span className="font-bold">{formatCurrency(str.noi)}</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-600">Debt Service</span>
+              <span className="font-semibold text-red-700">-{formatCurrency(str.annualDebtService)}</span>
+            </div>
+            <div className="flex justify-between text-sm border-t pt-2">
+              <span className="font-semibold text-gray-800">Annual Cash Flow</span>
+              <span className={`font-bold ${str.annualCashFlow >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                {formatCurrency(str.annualCashFlow)}
+              </span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-600">DSCR</span>
+              <span className="font-semibold">{str.dscr.toFixed(2)}x ({str.dscrQuality})</span>
+            </div>
+          </div>
+          <div className="space-y-2">
+            {Object.entries(str.expenseBreakdown)
+              .filter(([, amount]) => amount > 0)
+              .map(([key, amount]) => (
+                <div key={key} className="flex justify-between text-sm">
+                  <span className="text-gray-600">{EXPENSE_LABELS[key] || key}</span>
+                  <span className="font-semibold">{formatCurrency(amount)}</span>
+                </div>
+              ))}
+          </div>
+        </div>
+      </div>
+
+      {/* vs. Long-Term Rental */}
+      {rental && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
+            <span className="text-xl">⚖️</span>
+            Short-Term vs. Long-Term Rental
+          </h4>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Metric</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Short-Term</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Long-Term</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200 text-sm">
+                <tr>
+                  <td className="px-4 py-2 text-gray-700">Gross Revenue (annual)</td>
+                  <td className="px-4 py-2 text-right font-semibold">{formatCurrency(str.grossRevenue)}</td>
+                  <td className="px-4 py-2 text-right font-semibold">{formatCurrency(rental.monthlyRent * 12)}</td>
+                </tr>
+                <tr>
+                  <td className="px-4 py-2 text-gray-700">Monthly Cash Flow</td>
+                  <td className="px-4 py-2 text-right font-semibold">{formatCurrency(str.monthlyCashFlow)}</td>
+                  <td className="px-4 py-2 text-right font-semibold">{formatCurrency(rental.cashFlow)}</td>
+                </tr>
+                <tr>
+                  <td className="px-4 py-2 text-gray-700">Cap Rate</td>
+                  <td className="px-4 py-2 text-right font-semibold">{formatPercent(str.capRate)}</td>
+                  <td className="px-4 py-2 text-right font-semibold">{formatPercent(rental.capRate)}</td>
+                </tr>
+                <tr>
+                  <td className="px-4 py-2 text-gray-700">Cash-on-Cash Return</td>
+                  <td className="px-4 py-2 text-right font-semibold">{formatPercent(str.cocReturn)}</td>
+                  <td className="px-4 py-2 text-right font-semibold">{formatPercent(rental.cashOnCashReturn)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-4 bg-blue-50 border-l-4 border-blue-400 p-4 rounded-r-lg">
+            <p className="text-sm text-blue-800">
+              Both strategies carry the same loan, taxes and insurance. Check local short-term rental
+              rules and permit costs before counting on nightly income.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default STRAnalysisTab;
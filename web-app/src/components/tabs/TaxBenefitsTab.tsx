@@ -1,49 +1,138 @@
-import React from 'react';
-import { PropertyAnalysisResult } from '../../types/property';
+import React, { useMemo } from 'react';
+import { PropertyFormData, RentalAnalysis } from '../../types/property';
+import { FilingStatus, TaxProfileInputs } from '../../types/tax';
 import { formatCurrency, formatPercent } from '../../utils/formatters';
+import { projectDealTaxes } from '../../utils/tax';
+import { FILING_STATUSES } from '../../shared-core/calculations/tax.js';
 
 interface TaxBenefitsTabProps {
-  results: PropertyAnalysisResult;
+  rental: RentalAnalysis;
+  formData?: PropertyFormData | null;
+  taxProfile: TaxProfileInputs;
+  onTaxProfileChange: (taxProfile: TaxProfileInputs) => void;
 }
 
-const TaxBenefitsTab: React.FC<TaxBenefitsTabProps> = ({ results }) => {
-  const { rental } = results;
+type NumberField = 'ordinaryIncome' | 'landValueRatio' | 'assessedLandValue' | 'assessedTotalValue' | 'bonusDepreciationRate' | 'holdYears';
+type CostSegClass = 'fiveYear' | 'sevenYear' | 'fifteenYear';
 
-  if (!rental) {
+const PROFILE_FIELDS: { key: NumberField; label: string; placeholder: string }[] = [
+  { key: 'ordinaryIncome', label: 'Other Taxable Income ($)', placeholder: '100000' },
+  { key: 'holdYears', label: 'Hold (Years)', placeholder: '5' },
+  { key: 'landValueRatio', label: 'Land Value (%)', placeholder: '20' },
+  { key: 'assessedLandValue', label: 'Assessed Land ($)', placeholder: 'Optional' },
+  { key: 'assessedTotalValue', label: 'Assessed Total ($)', placeholder: 'Optional' },
+];
+
+const COST_SEG_FIELDS: { key: CostSegClass; label: string }[] = [
+  { key: 'fiveYear', label: '5-Year Property (%)' },
+  { key: 'sevenYear', label: '7-Year Property (%)' },
+  { key: 'fifteenYear', label: '15-Year Improvements (%)' },
+];
+
+const inputClass =
+  'w-full mt-1 px-2 py-1.5 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+const toNumber = (value: string) => (value === '' ? undefined : parseFloat(value));
+
+const TaxBenefitsTab: React.FC<TaxBenefitsTabProps> = ({ rental, formData, taxProfile, onTaxProfileChange }) => {
+  const projection = useMemo(() => projectDealTaxes(rental, formData, taxProfile), [rental, formData, taxProfile]);
+
+  const setField = (key: NumberField, value: string) => onTaxProfileChange({ ...taxProfile, [key]: toNumber(value) });
+  const setCostSeg = (key: CostSegClass, value: string) =>
+    onTaxProfileChange({ ...taxProfile, costSegregation: { ...taxProfile.costSegregation, [key]: toNumber(value) } });
+
+  const profileForm = (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h4 className="text-xl font-semibold text-gray-800 mb-1 flex items-center gap-2">
+        <span className="text-xl">🧾</span>
+        Your Tax Profile
+      </h4>
+      <p className="text-sm text-gray-600 mb-4">
+        Saved in this browser for every analysis. Assessor land and total values override the land %.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
+        <label className="text-xs text-gray-600">
+          Filing Status
+          <select
+            value={taxProfile.filingStatus ?? 'single'}
+            onChange={(e) => onTaxProfileChange({ ...taxProfile, filingStatus: e.target.value as FilingStatus })}
+            className={inputClass}
+          >
+            {(Object.keys(FILING_STATUSES) as FilingStatus[]).map((status) => (
+              <option key={status} value={status}>{FILING_STATUSES[status]}</option>
+            ))}
+          </select>
+        </label>
+        {PROFILE_FIELDS.map(({ key, label, placeholder }) => (
+          <label key={key} className="text-xs text-gray-600">
+            {label}
+            <input
+              type="number"
+              min="0"
+              value={taxProfile[key] ?? ''}
+              placeholder={placeholder}
+              onChange={(e) => setField(key, e.target.value)}
+              className={inputClass}
+            />
+          </label>
+        ))}
+      </div>
+      <p className="text-sm font-semibold text-gray-700 mt-4 mb-1">Cost Segregation</p>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+        {COST_SEG_FIELDS.map(({ key, label }) => (
+          <label key={key} className="text-xs text-gray-600">
+            {label}
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={taxProfile.costSegregation?.[key] ?? ''}
+              placeholder="0"
+              onChange={(e) => setCostSeg(key, e.target.value)}
+              className={inputClass}
+            />
+          </label>
+        ))}
+        <label className="text-xs text-gray-600">
+          Bonus Depreciation (%)
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={taxProfile.bonusDepreciationRate ?? ''}
+            placeholder="0"
+            onChange={(e) => setField('bonusDepreciationRate', e.target.value)}
+            className={inputClass}
+          />
+        </label>
+      </div>
+      <label className="text-sm text-gray-700 flex items-center gap-2 mt-4">
+        <input
+          type="checkbox"
+          checked={Boolean(taxProfile.realEstateProfessional)}
+          onChange={(e) => onTaxProfileChange({ ...taxProfile, realEstateProfessional: e.target.checked })}
+        />
+        Real estate professional (rental losses are not passive)
+      </label>
+    </div>
+  );
+
+  if (projection.error) {
     return (
-      <div className="bg-yellow-50 border-l-4 border-yellow-400 p-6 rounded-r-lg">
-        <p className="text-yellow-800">Tax benefits analysis requires rental property data.</p>
+      <div className="space-y-6">
+        {profileForm}
+        <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded-r-lg">
+          <p className="text-sm text-yellow-800">No tax projection: {projection.message}</p>
+        </div>
       </div>
     );
   }
 
-  // Tax calculations
-  const propertyValue = rental.purchasePrice;
-  const landValue = propertyValue * 0.2; // Assume 20% land value
-  const buildingValue = propertyValue * 0.8; // 80% building value
-  const annualDepreciation = buildingValue / 27.5; // Residential rental property depreciation
-
-  const taxBracket = 0.24; // Assume 24% federal tax bracket
-  const annualTaxSavings = annualDepreciation * taxBracket;
-
-  // Generate 27.5 year depreciation schedule (show first 10 years)
-  const depreciationSchedule = Array.from({ length: 10 }, (_, i) => ({
-    year: i + 1,
-    depreciation: annualDepreciation,
-    cumulativeDepreciation: annualDepreciation * (i + 1),
-    taxSavings: annualTaxSavings,
-    cumulativeTaxSavings: annualTaxSavings * (i + 1)
-  }));
-
-  // Capital gains calculation (assuming 5-year hold)
-  const holdYears = 5;
-  const appreciationRate = 0.03;
-  const futureValue = propertyValue * Math.pow(1 + appreciationRate, holdYears);
-  const capitalGain = futureValue - propertyValue;
-  const longTermCapGainsRate = 0.15; // 15% long-term capital gains rate
-  const capitalGainsTax = capitalGain * longTermCapGainsRate;
-  const depreciationRecapture = annualDepreciation * holdYears * 0.25; // 25% recapture rate
-  const totalTaxOnSale = capitalGainsTax + depreciationRecapture;
+  const { years, sale, totals } = projection;
+  const firstYear = years[0];
+  const costSeg = projection.profile.costSegregation;
+  const hasCostSeg = (costSeg.fiveYear || 0) + (costSeg.sevenYear || 0) + (costSeg.fifteenYear || 0) > 0;
+  const hasSuspendedLosses = years.some((y) => y.suspendedLoss > 0);
 
   return (
     <div className="space-y-6">
@@ -53,24 +142,35 @@ const TaxBenefitsTab: React.FC<TaxBenefitsTabProps> = ({ results }) => {
           <span className="text-3xl">💰</span>
           Tax Benefits Analysis
         </h3>
-        <p className="text-purple-100">Maximize your tax advantages with rental property ownership</p>
+        <p className="text-purple-100">Year-by-year taxes and after-tax returns through a sale in year {sale.year}</p>
       </div>
 
+      {profileForm}
+
       {/* Key Tax Benefits */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h4 className="text-xl font-semibold text-gray-800 mb-4">Key Tax Benefits</h4>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <div className="bg-gradient-to-br from-green-50 to-green-100 p-5 rounded-lg border-2 border-green-200">
-            <p className="text-sm text-gray-600 mb-1">Annual Depreciation</p>
-            <p className="text-3xl font-bold text-green-700">{formatCurrency(annualDepreciation)}</p>
+            <p className="text-sm text-gray-600 mb-1">Year 1 Depreciation</p>
+            <p className="text-3xl font-bold text-green-700">{formatCurrency(firstYear.depreciation)}</p>
           </div>
           <div className="bg-gradient-to-br from-blue-50 to-blue-100 p-5 rounded-lg border-2 border-blue-200">
-            <p className="text-sm text-gray-600 mb-1">Annual Tax Savings</p>
-            <p className="text-3xl font-bold text-blue-700">{formatCurrency(annualTaxSavings)}</p>
+            <p className="text-sm text-gray-600 mb-1">Year 1 Tax Saved</p>
+            <p className="text-3xl font-bold text-blue-700">{formatCurrency(Math.max(0, -firstYear.taxDue))}</p>
           </div>
           <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-5 rounded-lg border-2 border-purple-200">
-            <p className="text-sm text-gray-600 mb-1">Effective Tax Rate</p>
-            <p className="text-3xl font-bold text-purple-700">{formatPercent(taxBracket)}</p>
+            <p className="text-sm text-gray-600 mb-1">Marginal Tax Rate</p>
+            <p className="text-3xl font-bold text-purple-700">{formatPercent(projection.marginalRate * 100, 0)}</p>
+          </div>
+          <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-5 rounded-lg border-2 border-indigo-200">
+            <p className="text-sm text-gray-600 mb-1">After-Tax IRR</p>
+            <p className="text-3xl font-bold text-indigo-700">
+              {projection.afterTaxIRR === null ? 'N/A' : formatPercent(projection.afterTaxIRR)}
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              Pre-tax: {projection.preTaxIRR === null ? 'N/A' : formatPercent(projection.preTaxIRR)}
+            </p>
           </div>
         </div>
       </div>
@@ -84,64 +184,76 @@ const TaxBenefitsTab: React.FC<TaxBenefitsTabProps> = ({ results }) => {
         <div className="space-y-4">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div className="bg-gray-50 p-4 rounded-lg">
-              <p className="text-sm text-gray-600 mb-1">Property Value</p>
-              <p className="text-lg font-bold text-gray-800">{formatCurrency(propertyValue)}</p>
+              <p className="text-sm text-gray-600 mb-1">Purchase Price</p>
+              <p className="text-lg font-bold text-gray-800">{formatCurrency(rental.purchasePrice)}</p>
             </div>
             <div className="bg-gray-50 p-4 rounded-lg">
-              <p className="text-sm text-gray-600 mb-1">Land Value (20%)</p>
-              <p className="text-lg font-bold text-gray-800">{formatCurrency(landValue)}</p>
+              <p className="text-sm text-gray-600 mb-1">
+                Land Value ({formatPercent(projection.landValueRatio * 100, 1)}, {projection.landValueSource === 'Assessor' ? 'assessor' : 'input'})
+              </p>
+              <p className="text-lg font-bold text-gray-800">{formatCurrency(projection.landValue)}</p>
             </div>
             <div className="bg-blue-50 p-4 rounded-lg">
-              <p className="text-sm text-gray-600 mb-1">Depreciable Basis (80%)</p>
-              <p className="text-lg font-bold text-blue-700">{formatCurrency(buildingValue)}</p>
+              <p className="text-sm text-gray-600 mb-1">Depreciable Basis (incl. rehab and closing costs)</p>
+              <p className="text-lg font-bold text-blue-700">{formatCurrency(projection.depreciableBasis)}</p>
             </div>
             <div className="bg-blue-50 p-4 rounded-lg">
-              <p className="text-sm text-gray-600 mb-1">Depreciation Period</p>
-              <p className="text-lg font-bold text-blue-700">27.5 years</p>
+              <p className="text-sm text-gray-600 mb-1">Depreciation Over the Hold</p>
+              <p className="text-lg font-bold text-blue-700">{formatCurrency(totals.depreciation)}</p>
             </div>
           </div>
           <div className="bg-blue-50 border-l-4 border-blue-400 p-4 rounded-r-lg">
             <p className="text-sm text-blue-800">
-              <strong>Note:</strong> Residential rental properties are depreciated over 27.5 years using the straight-line method.
-              Land is not depreciable, so we exclude the estimated land value (typically 20% of property value).
+              <strong>Note:</strong> The building is depreciated over 27.5 years starting mid-month.
+              {hasCostSeg
+                ? ` Cost segregation moves ${formatPercent(((costSeg.fiveYear || 0) + (costSeg.sevenYear || 0) + (costSeg.fifteenYear || 0)) * 100, 0)} of the basis to 5, 7 and 15-year schedules, with ${formatPercent(projection.profile.bonusDepreciationRate * 100, 0)} taken as bonus depreciation in year 1.`
+                : ' Add a cost segregation study to write off fixtures and land improvements faster.'}
             </p>
           </div>
         </div>
       </div>
 
-      {/* Depreciation Schedule */}
+      {/* Year-by-Year Projection */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
           <span className="text-xl">📅</span>
-          10-Year Depreciation Schedule
+          Year-by-Year Tax Projection
         </h4>
         <div className="overflow-x-auto">
           <table className="min-w-full">
             <thead>
               <tr className="border-b-2 border-gray-200">
-                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Year</th>
-                <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Annual Depreciation</th>
-                <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Cumulative Depreciation</th>
-                <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Tax Savings</th>
-                <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700">Cumulative Savings</th>
+                <th className="px-3 py-3 text-left text-sm font-semibold text-gray-700">Year</th>
+                <th className="px-3 py-3 text-right text-sm font-semibold text-gray-700">NOI</th>
+                <th className="px-3 py-3 text-right text-sm font-semibold text-gray-700">Interest</th>
+                <th className="px-3 py-3 text-right text-sm font-semibold text-gray-700">Depreciation</th>
+                <th className="px-3 py-3 text-right text-sm font-semibold text-gray-700">Taxable Income</th>
+                <th className="px-3 py-3 text-right text-sm font-semibold text-gray-700">Loss Deducted</th>
+                {hasSuspendedLosses && (
+                  <th className="px-3 py-3 text-right text-sm font-semibold text-gray-700">Suspended Loss</th>
+                )}
+                <th className="px-3 py-3 text-right text-sm font-semibold text-gray-700">Tax Due (Saved)</th>
+                <th className="px-3 py-3 text-right text-sm font-semibold text-gray-700">Cash Flow</th>
+                <th className="px-3 py-3 text-right text-sm font-semibold text-gray-700">After Tax</th>
               </tr>
             </thead>
             <tbody className="divide-y divide-gray-200">
-              {depreciationSchedule.map((item, index) => (
+              {years.map((item, index) => (
                 <tr key={item.year} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
-                  <td className="px-4 py-3 text-sm font-medium text-gray-800">Year {item.year}</td>
-                  <td className="px-4 py-3 text-sm text-right font-medium text-gray-800">
-                    {formatCurrency(item.depreciation)}
-                  </td>
-                  <td className="px-4 py-3 text-sm text-right font-medium text-blue-700">
-                    {formatCurrency(item.cumulativeDepreciation)}
-                  </td>
-                  <td className="px-4 py-3 text-sm text-right font-medium text-green-700">
-                    {formatCurrency(item.taxSavings)}
-                  </td>
-                  <td className="px-4 py-3 text-sm text-right font-bold text-green-700">
-                    {formatCurrency(item.cumulativeTaxSavings)}
+                  <td className="px-3 py-3 text-sm font-medium text-gray-800">Year {item.year}</td>
+                  <td className="px-3 py-3 text-sm text-right text-gray-800">{formatCurrency(item.noi)}</td>
+                  <td className="px-3 py-3 text-sm text-right text-gray-800">{formatCurrency(item.interest)}</td>
+                  <td className="px-3 py-3 text-sm text-right text-blue-700">{formatCurrency(item.depreciation)}</td>
+                  <td className="px-3 py-3 text-sm text-right text-gray-800">{formatCurrency(item.taxableIncome)}</td>
+                  <td className="px-3 py-3 text-sm text-right text-gray-800">{formatCurrency(item.deductedLoss)}</td>
+                  {hasSuspendedLosses && (
+                    <td className="px-3 py-3 text-sm text-right text-orange-600">{formatCurrency(item.suspendedLoss)}</td>
+                  )}
+                  <td className={`px-3 py-3 text-sm text-right font-medium ${item.taxDue > 0 ? 'text-red-600' : 'text-green-700'}`}>
+                    {formatCurrency(item.taxDue)}
                   </td>
+                  <td className="px-3 py-3 text-sm text-right text-gray-800">{formatCurrency(item.cashFlow)}</td>
+                  <td className="px-3 py-3 text-sm text-right font-bold text-gray-800">{formatCurrency(item.afterTaxCashFlow)}</td>
                 </tr>
               ))}
             </tbody>
@@ -149,48 +261,53 @@ const TaxBenefitsTab: React.FC<TaxBenefitsTabProps> = ({ results }) => {
         </div>
         <div className="mt-4 bg-green-50 p-4 rounded-lg">
           <p className="text-sm text-gray-700">
-            <strong>Total Tax Savings (10 years):</strong> {formatCurrency(annualTaxSavings * 10)}
-          </p>
-          <p className="text-sm text-gray-600 mt-1">
-            Over the full 27.5-year depreciation period, total tax savings: {formatCurrency(annualTaxSavings * 27.5)}
+            <strong>Tax Saved Over {sale.year} Years:</strong> {formatCurrency(totals.taxSaved)}
           </p>
+          {hasSuspendedLosses && (
+            <p className="text-sm text-gray-600 mt-1">
+              Losses over the passive loss allowance are suspended and carried forward to offset later rental income or the sale.
+            </p>
+          )}
         </div>
       </div>
 
-      {/* Capital Gains Analysis */}
+      {/* Sale */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h4 className="text-xl font-semibold text-gray-800 mb-4 flex items-center gap-2">
           <span className="text-xl">📈</span>
-          Capital Gains Analysis (5-Year Hold)
+          Sale After {sale.year} Years
         </h4>
-        <div className="space-y-4">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div className="bg-gray-50 p-4 rounded-lg">
-              <p className="text-sm text-gray-600 mb-1">Purchase Price</p>
-              <p className="text-lg font-bold text-gray-800">{formatCurrency(propertyValue)}</p>
-            </div>
-            <div className="bg-gray-50 p-4 rounded-lg">
-              <p className="text-sm text-gray-600 mb-1">Future Value (3% appreciation)</p>
-              <p className="text-lg font-bold text-gray-800">{formatCurrency(futureValue)}</p>
-            </div>
-            <div className="bg-green-50 p-4 rounded-lg">
-              <p className="text-sm text-gray-600 mb-1">Capital Gain</p>
-              <p className="text-lg font-bold text-green-700">{formatCurrency(capitalGain)}</p>
-            </div>
-            <div className="bg-red-50 p-4 rounded-lg">
-              <p className="text-sm text-gray-600 mb-1">Capital Gains Tax (15%)</p>
-              <p className="text-lg font-bold text-red-600">{formatCurrency(capitalGainsTax)}</p>
-            </div>
-            <div className="bg-orange-50 p-4 rounded-lg">
-              <p className="text-sm text-gray-600 mb-1">Depreciation Recapture (25%)</p>
-              <p className="text-lg font-bold text-orange-600">{formatCurrency(depreciationRecapture)}</p>
-            </div>
-            <div className="bg-red-50 p-4 rounded-lg border-2 border-red-300">
-              <p className="text-sm text-gray-600 mb-1">Total Tax on Sale</p>
-              <p className="text-lg font-bold text-red-700">{formatCurrency(totalTaxOnSale)}</p>
-            </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600 mb-1">Sale Price (Est.)</p>
+            <p className="text-lg font-bold text-gray-800">{formatCurrency(sale.salePrice)}</p>
+          </div>
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600 mb-1">Adjusted Basis</p>
+            <p className="text-lg font-bold text-gray-800">{formatCurrency(sale.adjustedBasis)}</p>
+          </div>
+          <div className="bg-green-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600 mb-1">Total Gain</p>
+            <p className="text-lg font-bold text-green-700">{formatCurrency(sale.gain)}</p>
+          </div>
+          <div className="bg-orange-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600 mb-1">Depreciation Recapture Tax</p>
+            <p className="text-lg font-bold text-orange-600">{formatCurrency(sale.recaptureTax + sale.ordinaryTax)}</p>
+          </div>
+          <div className="bg-red-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600 mb-1">Capital Gains Tax</p>
+            <p className="text-lg font-bold text-red-600">{formatCurrency(sale.capitalGainsTax)}</p>
+          </div>
+          <div className="bg-red-50 p-4 rounded-lg border-2 border-red-300">
+            <p className="text-sm text-gray-600 mb-1">Total Tax on Sale</p>
+            <p className="text-lg font-bold text-red-700">{formatCurrency(sale.totalTax)}</p>
           </div>
         </div>
+        <p className="text-sm text-gray-600 mt-4">
+          Net proceeds after selling costs, the {formatCurrency(sale.loanPayoff)} loan payoff and taxes:{' '}
+          <strong>{formatCurrency(sale.afterTaxProceeds)}</strong>
+          {sale.suspendedLossReleased > 0 && ` (includes ${formatCurrency(sale.suspendedLossReleased)} of suspended losses released)`}
+        </p>
       </div>
 
       {/* 1031 Exchange */}
@@ -208,7 +325,7 @@ const TaxBenefitsTab: React.FC<TaxBenefitsTabProps> = ({ results }) => {
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div className="bg-white p-4 rounded-lg">
               <p className="text-xs text-gray-600 mb-1">Tax Without 1031</p>
-              <p className="text-xl font-bold text-red-600">{formatCurrency(totalTaxOnSale)}</p>
+              <p className="text-xl font-bold text-red-600">{formatCurrency(Math.max(0, sale.totalTax))}</p>
             </div>
             <div className="bg-white p-4 rounded-lg">
               <p className="text-xs text-gray-600 mb-1">Tax With 1031</p>
@@ -269,8 +386,8 @@ const TaxBenefitsTab: React.FC<TaxBenefitsTabProps> = ({ results }) => {
             <p className="text-sm font-medium text-yellow-800">Important Disclaimer</p>
             <p className="text-sm text-yellow-700 mt-1">
               This analysis is for informational purposes only and should not be considered tax advice.
-              Tax laws are complex and vary by jurisdiction. Always consult with a qualified tax professional
-              or CPA for personalized tax planning and advice specific to your situation.
+              It uses 2025 federal brackets and ignores state taxes, the NIIT and the AMT. Always consult
+              with a qualified tax professional or CPA for personalized tax planning and advice specific to your situation.
             </p>
           </div>
         </div>
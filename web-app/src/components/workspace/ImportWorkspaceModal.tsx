@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react';
+import { importWorkspace } from '../../utils/db';
+import { parseWorkspaceArchive } from '../../utils/workspaceArchive';
+import { WorkspaceArchiveParseResult, WorkspaceImportStrategy, WorkspaceImportSummary } from '../../types/workspace';
+
+interface ImportWorkspaceModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onImported: (summary: WorkspaceImportSummary) => void;
+}
+
+const ImportWorkspaceModal: React.FC<ImportWorkspaceModalProps> = ({ isOpen, onClose, onImported }) => {
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState<WorkspaceArchiveParseResult | null>(null);
+  const [strategy, setStrategy] = useState<WorkspaceImportStrategy>('merge');
+  const [error, setError] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+
+  // Reset state when modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setFileName('');
+      setParsed(null);
+      setStrategy('merge');
+      setError('');
+      setIsImporting(false);
+    }
+  }, [isOpen]);
+
+  // Handle ESC key to close modal
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen && !isImporting) {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, isImporting, onClose]);
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setError('');
+    try {
+      setParsed(parseWorkspaceArchive(JSON.parse(await file.text())));
+    } catch {
+      setParsed({ success: false, errors: ['File is not valid JSON'] });
+    }
+  };
+
+  const handleImport = async () => {
+    if (!parsed?.archive) return;
+
+    setIsImporting(true);
+    setError('');
+    try {
+      const summary = await importWorkspace(parsed.archive, strategy);
+      onImported(summary);
+      onClose();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Import failed. Your workspace was not changed.');
+      setIsImporting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const tables = parsed?.archive?.tables;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 animate-fadeIn">
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black bg-opacity-50 backdrop-blur-sm" onClick={isImporting ? undefined : onClose} />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-lg w-full p-6 animate-slideIn space-y-4">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">📂 Import Workspace</h2>
+          <p className="text-sm text-gray-600">Restore a backup made with File &gt; Export Workspace</p>
+        </div>
+
+        <label className="block">
+          <span className="sr-only">Workspace archive</span>
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            disabled={isImporting}
+            className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+          />
+        </label>
+
+        {parsed && !parsed.success && (
+          <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded-r-lg">
+            <p className="text-sm font-semibold text-red-800 mb-1">{fileName} can't be imported</p>
+            <ul className="text-xs text-red-700 list-disc list-inside space-y-0.5">
+              {parsed.errors.map((message) => (
+                <li key={message}>{message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {tables && (
+          <>
+            <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-700 space-y-1">
+              <p>
+                {tables.propertyAnalyses.length} analyses · {tables.analysisSnapshots.length} runs ·{' '}
+                {tables.projectTrackers.length} project trackers · {tables.partnershipData.length} partnerships ·{' '}
+                {tables.portfolios.length} portfolios · {tables.scoringProfiles.length} scoring profiles ·{' '}
+                {tables.propertyHistory.length} history entries
+              </p>
+              <p className="text-xs text-gray-500">
+                Exported {new Date(parsed.archive!.exportedAt).toLocaleString()}
+                {parsed.migratedFrom !== undefined && ` · upgraded from archive version ${parsed.migratedFrom}`}
+              </p>
+            </div>
+
+            <fieldset className="space-y-2">
+              <legend className="text-sm font-medium text-gray-700 mb-1">When a property already exists here</legend>
+              <label className="flex items-start gap-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="import-strategy"
+                  checked={strategy === 'merge'}
+                  onChange={() => setStrategy('merge')}
+                  className="mt-1"
+                />
+                <span>
+                  <strong>Merge</strong> – keep whichever copy was updated more recently and combine run histories
+                </span>
+              </label>
+              <label className="flex items-start gap-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="import-strategy"
+                  checked={strategy === 'replace'}
+                  onChange={() => setStrategy('replace')}
+                  className="mt-1"
+                />
+                <span>
+                  <strong>Replace</strong> – overwrite it with the archive's copy
+                </span>
+              </label>
+            </fieldset>
+          </>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isImporting}
+            className="px-4 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={!parsed?.success || isImporting}
+            className="px-4 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isImporting ? 'Importing…' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWorkspaceModal;
@@ -18,6 +18,7 @@ import {
   savePartnershipData,
   loadPartnershipData,
 } from '../utils/localStorage';
+import { DEFAULT_WATERFALL_CONFIG } from '../utils/dbSchema';
 import {
   generateId,
   calculateWaterfallDistribution,
@@ -30,15 +31,7 @@ export const usePartnershipManagement = (propertyId: string) => {
     propertyId,
     partners: [],
     capitalContributions: [],
-    waterfallConfig: {
-      tier1_returnOfCapital: true,
-      tier2_preferredReturnRate: 0.08,
-      tier2_preferredReturnEnabled: true,
-      tier3_catchupEnabled: true,
-      tier3_gpPromotePercent: 0.20,
-      tier4_splitByOwnership: true,
-      distributionFrequency: 'at-exit',
-    },
+    waterfallConfig: DEFAULT_WATERFALL_CONFIG,
     distributions: [],
     milestones: [],
     cashFlowEntries: [],
@@ -0,0 +1,130 @@
+/**
+ * Custom hook for managing portfolios of saved analyses
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Portfolio, PortfolioStrategy, PortfolioSummary } from '../types/portfolio';
+import {
+  PropertyAnalysis,
+  getAllPortfolios,
+  getAllPropertyAnalyses,
+  createPortfolio as createPortfolioDB,
+  renamePortfolio as renamePortfolioDB,
+  deletePortfolio as deletePortfolioDB,
+  addPortfolioHolding,
+  removePortfolioHolding,
+} from '../utils/db';
+import { calculatePortfolioSummary, PortfolioHoldingInput } from '../utils/portfolio';
+
+export const usePortfolios = () => {
+  const [portfolios, setPortfolios] = useState<Portfolio[]>([]);
+  const [analyses, setAnalyses] = useState<PropertyAnalysis[]>([]);
+  const [selectedPortfolioId, setSelectedPortfolioId] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    try {
+      const [loadedPortfolios, loadedAnalyses] = await Promise.all([
+        getAllPortfolios(),
+        getAllPropertyAnalyses(),
+      ]);
+      setPortfolios(loadedPortfolios);
+      setAnalyses(loadedAnalyses);
+      setSelectedPortfolioId((current) =>
+        current && loadedPortfolios.some((p) => p.portfolioId === current)
+          ? current
+          : loadedPortfolios[0]?.portfolioId ?? null
+      );
+    } catch (error) {
+      console.error('Failed to load portfolios:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load portfolios and saved analyses from IndexedDB on mount
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const selectedPortfolio = portfolios.find((p) => p.portfolioId === selectedPortfolioId) || null;
+
+  // Holdings whose analysis was deleted are left out of the rollup
+  const missingPropertyIds = useMemo(() => {
+    if (!selectedPortfolio) return [];
+    const saved = new Set(analyses.map((a) => a.propertyId));
+    return selectedPortfolio.holdings.map((h) => h.propertyId).filter((id) => !saved.has(id));
+  }, [selectedPortfolio, analyses]);
+
+  const summary: PortfolioSummary | null = useMemo(() => {
+    if (!selectedPortfolio) return null;
+    const inputs: PortfolioHoldingInput[] = [];
+    selectedPortfolio.holdings.forEach((holding) => {
+      const analysis = analyses.find((a) => a.propertyId === holding.propertyId);
+      if (analysis) {
+        inputs.push({
+          holding,
+          displayAddress: analysis.displayAddress,
+          results: analysis.analysisResults,
+        });
+      }
+    });
+    return calculatePortfolioSummary(inputs);
+  }, [selectedPortfolio, analyses]);
+
+  const createPortfolio = useCallback(
+    async (name: string) => {
+      const portfolio = await createPortfolioDB(name);
+      await reload();
+      setSelectedPortfolioId(portfolio.portfolioId);
+    },
+    [reload]
+  );
+
+  const renamePortfolio = useCallback(
+    async (portfolioId: string, name: string) => {
+      await renamePortfolioDB(portfolioId, name);
+      await reload();
+    },
+    [reload]
+  );
+
+  const deletePortfolio = useCallback(
+    async (portfolioId: string) => {
+      await deletePortfolioDB(portfolioId);
+      await reload();
+    },
+    [reload]
+  );
+
+  const setHoldingStrategy = useCallback(
+    async (portfolioId: string, propertyId: string, strategy: PortfolioStrategy) => {
+      await addPortfolioHolding(portfolioId, propertyId, strategy);
+      await reload();
+    },
+    [reload]
+  );
+
+  const removeHolding = useCallback(
+    async (portfolioId: string, propertyId: string) => {
+      await removePortfolioHolding(portfolioId, propertyId);
+      await reload();
+    },
+    [reload]
+  );
+
+  return {
+    portfolios,
+    analyses,
+    loading,
+    selectedPortfolio,
+    setSelectedPortfolioId,
+    summary,
+    missingPropertyIds,
+    createPortfolio,
+    renamePortfolio,
+    deletePortfolio,
+    setHoldingStrategy,
+    removeHolding,
+  };
+};
@@ -19,6 +19,7 @@ import {
   loadProjectTrackerData,
 } from '../utils/localStorage';
 import { calculateProjectSummary, generateId } from '../utils/calculations';
+import { reschedulePhases } from '../utils/schedule';
 
 export const useProjectTracker = (propertyId: string) => {
   const [data, setData] = useState<ProjectTrackerData>({
@@ -70,6 +71,14 @@ export const useProjectTracker = (propertyId: string) => {
     }));
   }, []);
 
+  // Several phases at once, e.g. seeded from the rehab scope of work
+  const addRenovationPhases = useCallback((phases: Omit<RenovationPhase, 'id'>[]) => {
+    setData((prev) => ({
+      ...prev,
+      renovationPhases: [...prev.renovationPhases, ...phases.map((phase) => ({ ...phase, id: generateId() }))],
+    }));
+  }, []);
+
   const updateRenovationPhase = useCallback((id: string, updates: Partial<RenovationPhase>) => {
     setData((prev) => ({
       ...prev,
@@ -82,7 +91,13 @@ export const useProjectTracker = (propertyId: string) => {
   const deleteRenovationPhase = useCallback((id: string) => {
     setData((prev) => ({
       ...prev,
-      renovationPhases: prev.renovationPhases.filter((phase) => phase.id !== id),
+      renovationPhases: prev.renovationPhases
+        .filter((phase) => phase.id !== id)
+        .map((phase) =>
+          phase.dependencies?.some((dep) => dep.phaseId === id)
+            ? { ...phase, dependencies: phase.dependencies.filter((dep) => dep.phaseId !== id) }
+            : phase
+        ),
     }));
   }, []);
 
@@ -161,22 +176,30 @@ export const useProjectTracker = (propertyId: string) => {
     }));
   }, []);
 
-  // Delays CRUD
+  // Delays CRUD - a delay held against a phase pushes back the phases that follow it
   const addDelay = useCallback((delay: Omit<ProjectDelay, 'id'>) => {
     const newDelay: ProjectDelay = { ...delay, id: generateId() };
-    setData((prev) => ({
-      ...prev,
-      delays: [...prev.delays, newDelay],
-    }));
+    setData((prev) => {
+      const delays = [...prev.delays, newDelay];
+      return {
+        ...prev,
+        delays,
+        renovationPhases: newDelay.phaseId ? reschedulePhases(prev.renovationPhases, delays) : prev.renovationPhases,
+      };
+    });
   }, []);
 
   const updateDelay = useCallback((id: string, updates: Partial<ProjectDelay>) => {
-    setData((prev) => ({
-      ...prev,
-      delays: prev.delays.map((delay) =>
+    setData((prev) => {
+      const delays = prev.delays.map((delay) =>
         delay.id === id ? { ...delay, ...updates } : delay
-      ),
-    }));
+      );
+      return {
+        ...prev,
+        delays,
+        renovationPhases: reschedulePhases(prev.renovationPhases, delays),
+      };
+    });
   }, []);
 
   const deleteDelay = useCallback((id: string) => {
@@ -244,6 +267,7 @@ export const useProjectTracker = (propertyId: string) => {
     hasData,
     // Renovation Phases
     addRenovationPhase,
+    addRenovationPhases,
     updateRenovationPhase,
     deleteRenovationPhase,
     // Permits
@@ -0,0 +1,58 @@
+/**
+ * Custom hook for the built-in and user-defined scoring profiles
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { SavedScoringProfile, ScoringProfile } from '../types/scoring';
+import {
+  getAllScoringProfiles,
+  saveScoringProfile as saveScoringProfileDB,
+  deleteScoringProfile as deleteScoringProfileDB,
+} from '../utils/db';
+import { listScoringProfiles } from '../utils/scoringProfiles';
+
+export const useScoringProfiles = () => {
+  const [saved, setSaved] = useState<SavedScoringProfile[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    try {
+      setSaved(await getAllScoringProfiles());
+    } catch (error) {
+      console.error('Failed to load scoring profiles:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load user-defined profiles from IndexedDB on mount
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const profiles = useMemo(() => listScoringProfiles(saved), [saved]);
+
+  const saveProfile = useCallback(
+    async (profile: ScoringProfile) => {
+      await saveScoringProfileDB(profile);
+      await reload();
+    },
+    [reload]
+  );
+
+  const deleteProfile = useCallback(
+    async (profileId: string) => {
+      await deleteScoringProfileDB(profileId);
+      await reload();
+    },
+    [reload]
+  );
+
+  return {
+    profiles,
+    loading,
+    reload,
+    saveProfile,
+    deleteProfile,
+  };
+};
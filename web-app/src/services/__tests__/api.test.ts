@@ -0,0 +1,91 @@
+/**
+ * Tests for the analysis request and its cache
+ */
+
+import 'fake-indexeddb/auto';
+import { analyzeProperty } from '../api';
+import { CacheManager } from '../../adapters/coreAdapter';
+import { propertyCacheKey } from '../../utils/apiCache';
+
+const property = {
+  address: '1420 Maple Ave',
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 300000,
+  rehabCost: 40000,
+};
+
+const analysis = (mode: string, requestedMode: string = mode) => ({
+  success: true,
+  data: { success: true, arv: 402000, analysisMode: mode, requestedAnalysisMode: requestedMode },
+  timestamp: '2026-10-19T00:00:00.000Z',
+});
+
+describe('analyzeProperty', () => {
+  const fetchMock = jest.fn();
+
+  beforeEach(() => {
+    fetchMock.mockReset();
+    global.fetch = fetchMock as unknown as typeof fetch;
+  });
+
+  afterEach(() => {
+    CacheManager.purgeProperty(propertyCacheKey(property));
+  });
+
+  const respondWith = (body: object) =>
+    fetchMock.mockResolvedValue({ ok: true, status: 200, json: async () => body });
+
+  it('should serve an unchanged re-run from the cache and send an edited one to the backend', async () => {
+    respondWith(analysis('STANDARD'));
+
+    await analyzeProperty(property);
+    const rerun = await analyzeProperty({ ...property });
+    expect(rerun).toEqual(analysis('STANDARD'));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    await analyzeProperty({ ...property, purchasePrice: 290000 });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    await analyzeProperty(property, true);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('should re-run a stale analysis only when asked, never in the background', async () => {
+    const now = jest.spyOn(Date, 'now');
+    try {
+      respondWith(analysis('STANDARD'));
+      await analyzeProperty(property);
+
+      now.mockReturnValue(Date.now() + 8 * 24 * 3600 * 1000);
+      respondWith(analysis('DEEP'));
+      expect(await analyzeProperty(property)).toEqual(analysis('DEEP'));
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('should not cache failed runs or runs stepped down to a cheaper mode', async () => {
+    respondWith(analysis('BASIC', 'STANDARD'));
+    await analyzeProperty(property);
+    await analyzeProperty(property);
+
+    respondWith({ success: true, data: { success: false, error: 'Validation failed' } });
+    await analyzeProperty({ ...property, purchasePrice: 290000 });
+    await analyzeProperty({ ...property, purchasePrice: 290000 });
+
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+  });
+
+  it('should send user-entered comps as comps', async () => {
+    respondWith(analysis('BASIC'));
+    const userProvidedComps = [{ address: '9 Elm St', price: 410000 }];
+
+    await analyzeProperty({ ...property, userProvidedComps });
+
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(body).toMatchObject({ action: 'analyze', data: { comps: userProvidedComps } });
+  });
+});
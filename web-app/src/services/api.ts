@@ -3,6 +3,10 @@
  * Handles all communication with Google Apps Script backend
  */
 
+import { CacheManager } from '../adapters/coreAdapter';
+import { buildCacheKey, hashCacheInput } from '../utils/apiCache';
+import { UserProvidedComp } from '../types/property';
+
 const API_URL = import.meta.env.VITE_API_URL || '';
 
 export interface ApiResponse<T = any> {
@@ -25,6 +29,7 @@ export interface PropertyData {
   monthsToFlip?: number;
   cashInvestment?: number;
   helocInterest?: number;
+  userProvidedComps?: UserProvidedComp[];
 }
 
 export interface ApiUsageData {
@@ -223,9 +228,16 @@ export async function getApiUsageRealtime(): Promise<ApiResponse<ApiUsageData>>
 
 /**
  * Fetch comparable properties
+ * Sold comps are cached per property for 30 days; a stale copy is returned
+ * straight away while the backend is asked again in the background
  */
 export async function fetchComps(data: PropertyData, forceRefresh: boolean = false) {
-  return makeRequest('fetchComps', { ...data, forceRefresh });
+  const { data: response } = await CacheManager.fetchThrough(
+    buildCacheKey('soldComps', data),
+    () => makeRequest('fetchComps', { ...data, forceRefresh }),
+    { forceRefresh, shouldCache: (result) => result.success }
+  );
+  return response;
 }
 
 /**
@@ -244,9 +256,28 @@ export async function calculateRental(data: PropertyData) {
 
 /**
  * Full property analysis (comps + flip + rental + score + alerts + insights)
+ * The user's own comps go as `comps`, which the backend prices Basic mode from.
+ * Results are cached per property and inputs, so re-running an unchanged
+ * analysis doesn't spend API quota; failed runs and runs stepped down to a
+ * cheaper mode aren't cached. An analysis is only ever run when asked for:
+ * past its TTL it is run again in the foreground, never behind the user.
  */
-export async function analyzeProperty(data: PropertyData) {
-  return makeRequest('analyze', data);
+export async function analyzeProperty(data: PropertyData, forceRefresh: boolean = false) {
+  const request = data.userProvidedComps?.length ? { ...data, comps: data.userProvidedComps } : data;
+  const { data: response } = await CacheManager.fetchThrough(
+    buildCacheKey('analysis', data, hashCacheInput(request)),
+    () => makeRequest<any>('analyze', request),
+    {
+      forceRefresh,
+      staleWhileRevalidate: false,
+      shouldCache: (result) =>
+        result.success &&
+        !!result.data &&
+        result.data.success !== false &&
+        result.data.analysisMode === result.data.requestedAnalysisMode,
+    }
+  );
+  return response;
 }
 
 /**
@@ -5,6 +5,7 @@
 
 import { PropertyFormData } from '../types/property';
 import { ApiResponse, ApiUsageData } from './api';
+import { mergePropertyRecords, normalizePropertyRecord } from '../shared-core/api/propertyRecord.js';
 
 // Initial usage data (updated with real API usage from testing)
 const INITIAL_USAGE = {
@@ -359,6 +360,22 @@ export async function mockAnalyzeProperty(data: PropertyFormData): Promise<ApiRe
     });
   }
 
+  // Mock Zillow details + US Real Estate schools, overridden by anything the user entered
+  const propertyRecord = mergePropertyRecords([
+    normalizePropertyRecord({
+      zpid: '29384756',
+      bedrooms: 3,
+      bathrooms: 2,
+      livingArea: 1450,
+      yearBuilt: 1978,
+      homeType: 'SINGLE_FAMILY',
+      zestimate: purchasePrice * 1.1,
+      rentZestimate: monthlyRent
+    }, 'private_zillow'),
+    normalizePropertyRecord({ avgRating: 7 }, 'us_real_estate'),
+    normalizePropertyRecord(data, 'user')
+  ]);
+
   return {
     success: true,
     data: {
@@ -369,6 +386,7 @@ export async function mockAnalyzeProperty(data: PropertyFormData): Promise<ApiRe
         zip: data.zip
       },
       comps: comps,
+      propertyRecord,
       arvCalculationMethod, // Add transparency about ARV calculation
       flip: {
         purchasePrice,
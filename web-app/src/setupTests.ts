@@ -4,6 +4,7 @@
  */
 
 import '@testing-library/jest-dom';
+import { deserialize, serialize } from 'v8';
 
 // Mock window.matchMedia (used by PWA features)
 Object.defineProperty(window, 'matchMedia', {
@@ -31,6 +32,11 @@ global.IntersectionObserver = class IntersectionObserver {
   unobserve() {}
 } as any;
 
+// jsdom doesn't expose structuredClone, which fake-indexeddb uses to store records
+if (typeof globalThis.structuredClone === 'undefined') {
+  globalThis.structuredClone = ((value: unknown) => deserialize(serialize(value))) as typeof structuredClone;
+}
+
 // Mock fetch API
 global.fetch = jest.fn();
 
@@ -0,0 +1,53 @@
+/**
+ * Financing types
+ */
+
+import type { LoanTerms, ScheduleRow, ScheduleTotals } from '../shared-core/calculations/financing.js';
+import type { BRRRRAnalysis } from '../shared-core/calculations/brrrr.js';
+import type { AmortizationAnalysis, AmortizationRow } from '../shared-core/calculations/amortization.js';
+
+export type { AmortizationAnalysis, AmortizationRow, BRRRRAnalysis, LoanTerms, ScheduleRow, ScheduleTotals };
+
+export type LoanType = 'HARD_MONEY' | 'PRIVATE_MONEY' | 'SELLER_CARRY' | 'ARM';
+
+// Loan structure as entered on the form; percents like the rest of PropertyFormData
+export interface FinancingOptions {
+  type: LoanType;
+  ltv?: number; // Loan-to-purchase %, defaults to 100 - down payment
+  points?: number; // %
+  termMonths?: number; // Due date / balloon month
+  interestOnlyMonths?: number;
+  fundRehab?: boolean; // Rehab budget drawn from the lender
+}
+
+// What the flip and rental results record about a financing plan
+export interface FinancingSummary {
+  loanNames: string;
+  totalInterest: number;
+  upfrontCosts: number; // Points and lender fees
+  drawFunded: number;
+  loanPayoff: number; // Owed at sale, including balloons that came due
+  monthlyPayment: number; // Year-one average
+  balloons: { name: string; month: number; amount: number }[];
+  rateResets: { name: string; month: number; rate: number }[];
+}
+
+// BRRRR refinance assumptions as edited on the Rental tab; blanks take the shared-core defaults
+export interface RefinanceInputs {
+  month?: number;
+  seasoningMonths?: number;
+  ltv?: number; // %
+  rate?: number; // %
+  termYears?: number;
+  closingCostRate?: number; // % of the new loan
+  points?: number; // %
+}
+
+// Pay-down plan as edited on the Amortization tab
+export interface AmortizationInputs {
+  extraMonthly?: number; // Extra principal every month
+  lumpSum?: number;
+  lumpSumMonth?: number; // Defaults to month 12
+  recastAfterLumpSum?: boolean;
+  biweekly?: boolean;
+}
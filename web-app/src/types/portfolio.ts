@@ -0,0 +1,64 @@
+/**
+ * Portfolio data types
+ */
+
+// How a saved analysis is held in the portfolio
+export type PortfolioStrategy = 'rental' | 'flip';
+
+export interface PortfolioHolding {
+  propertyId: string; // propertyAnalyses.propertyId
+  strategy: PortfolioStrategy;
+  addedAt: string;
+}
+
+export interface Portfolio {
+  id?: number;
+  portfolioId: string;
+  name: string;
+  holdings: PortfolioHolding[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Per-property figures feeding the rollup
+export interface PortfolioHoldingMetrics {
+  propertyId: string;
+  displayAddress: string;
+  state: string;
+  strategy: PortfolioStrategy;
+  purchasePrice: number;
+  marketValue: number; // ARV when the analysis has one, otherwise purchase price
+  debt: number;
+  equity: number;
+  monthlyCashFlow: number; // Rentals only
+  annualNOI: number; // Rentals only
+  annualDebtService: number; // Rentals only
+  capRate: number; // Rentals only, percent
+  projectedProfit: number; // Flips only
+}
+
+export interface ConcentrationSlice {
+  key: string;
+  count: number;
+  marketValue: number;
+  share: number; // Percent of portfolio market value
+}
+
+export interface PortfolioSummary {
+  holdings: PortfolioHoldingMetrics[];
+  propertyCount: number;
+  rentalCount: number;
+  flipCount: number;
+  totalMarketValue: number;
+  totalDebt: number;
+  totalEquity: number;
+  monthlyCashFlow: number;
+  annualNOI: number;
+  annualDebtService: number;
+  blendedCapRate: number; // Percent
+  dscr: number | null; // null when no rental carries debt
+  projectedFlipProfit: number;
+  byState: ConcentrationSlice[];
+  byStrategy: ConcentrationSlice[];
+  concentrationWarnings: string[];
+}
@@ -0,0 +1,30 @@
+/**
+ * Rental pro forma types
+ */
+
+import type {
+  CapexItem,
+  ProForma,
+  ProFormaRefinance,
+  ProFormaSale,
+  ProFormaYear,
+} from '../shared-core/calculations/proforma.js';
+
+export type { CapexItem, ProForma, ProFormaRefinance, ProFormaSale, ProFormaYear };
+
+// Pro forma assumptions as edited on the Advanced Metrics tab; percents, blanks take the shared-core defaults
+export interface ProFormaInputs {
+  holdYears?: number;
+  rentGrowth?: number; // % a year
+  expenseGrowth?: number; // % a year, for lines without their own rate
+  propertyTaxGrowth?: number; // % a year
+  insuranceGrowth?: number; // % a year
+  appreciation?: number; // % a year
+  capexReserveRate?: number; // % of gross rent
+  capexItems?: CapexItem[]; // Cost in today's dollars
+  exitCapRate?: number; // %; blank sells at the appreciated value
+  sellingCostRate?: number; // %
+  refinanceYear?: number; // Blank for no refinance
+  refinanceLtv?: number; // %
+  refinanceRate?: number; // %
+}
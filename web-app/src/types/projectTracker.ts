@@ -2,6 +2,11 @@
  * Project Tracker data types
  */
 
+import type { LiveFlipAnalysis, LiveFlipCase, RehabProgress } from '../shared-core/calculations/flip.js';
+
+// The flip re-run on the tracker's actuals
+export type { LiveFlipAnalysis, LiveFlipCase, RehabProgress };
+
 // Status types
 export type ProjectStatus = 'not-started' | 'in-progress' | 'completed' | 'delayed' | 'on-hold';
 export type PermitStatus = 'not-applied' | 'pending' | 'approved' | 'rejected' | 'expired';
@@ -10,6 +15,12 @@ export type IssueStatus = 'open' | 'in-progress' | 'resolved' | 'closed';
 export type ChangeOrderStatus = 'pending' | 'approved' | 'rejected' | 'completed';
 
 // Section 1: Renovation Timeline & Budget
+// Finish-to-start: the phase can start lagDays after phaseId finishes
+export interface PhaseDependency {
+  phaseId: string;
+  lagDays: number;
+}
+
 export interface RenovationPhase {
   id: string;
   phaseName: string;
@@ -23,6 +34,7 @@ export interface RenovationPhase {
   contractor: string;
   status: ProjectStatus;
   notes: string;
+  dependencies?: PhaseDependency[];
 }
 
 // Section 2: Inspection & Permit Tracker
@@ -81,6 +93,7 @@ export interface ProjectDelay {
   responsibleParty: string;
   status: IssueStatus;
   resolutionNotes: string;
+  phaseId?: string; // Renovation phase the delay holds up
 }
 
 // Section 6: Contractor Performance Tracker
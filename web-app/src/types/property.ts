@@ -2,6 +2,13 @@
  * Property data types
  */
 
+import { FinancingOptions, FinancingSummary } from './financing';
+import { STRAnalysis, STRInputs } from './str';
+import { HouseHack, RentRoll, UnitInputs } from './units';
+import { RehabEstimate, RehabScopeInputs } from './rehab';
+import type { FieldProvenance, PropertyRecord, RecordConflict } from '../shared-core/api/propertyRecord.js';
+import type { BudgetPlan } from '../shared-core/utils/apiBudget.js';
+
 export interface PropertyFormData {
   // Property Details
   address: string;
@@ -23,9 +30,24 @@ export interface PropertyFormData {
   cashInvestment?: number;
   helocInterest?: number;
 
+  // Line-item scope of work; when it has items its budget replaces rehabCost
+  rehabScope?: RehabScopeInputs;
+
+  // Loan structure replacing the fixed mortgage + HELOC (hard money, seller carry, ARM, ...)
+  financing?: FinancingOptions;
+
+  // Short-term rental (Airbnb) strategy; analyzed when a nightly rate is set
+  str?: STRInputs;
+
+  // Unit mix for duplexes through fourplexes; the rent roll replaces the single rent estimate
+  units?: UnitInputs[];
+
   // Phase 2.5: Analysis Mode
   analysisMode?: 'BASIC' | 'STANDARD' | 'DEEP';
 
+  // Scoring profile the deal score is computed with (defaults to the built-in profile)
+  scoringProfileId?: string;
+
   // Basic Mode: User-provided property details
   beds?: number;
   baths?: number;
@@ -55,6 +77,7 @@ export interface PropertyAnalysisResult {
   comps?: ComparableProperty[];
   flip?: FlipAnalysis;
   rental?: RentalAnalysis;
+  str?: STRAnalysis; // Computed in the browser from formData.str
   score?: DealScore;
   alerts?: Alert[];
   insights?: Insight[];
@@ -63,9 +86,18 @@ export interface PropertyAnalysisResult {
   analysisMode?: 'BASIC' | 'STANDARD' | 'DEEP';
   apiCallCount?: number;
   dataSource?: 'user-provided' | 'api-fetched';
+  // Mode the user asked for, when the API budget stepped the run down from it
+  requestedAnalysisMode?: 'BASIC' | 'STANDARD' | 'DEEP';
+  // Pre-flight API call plan the run was made under
+  apiBudget?: BudgetPlan;
 
   // Phase 4: Location quality data
   locationQuality?: any; // Location quality analysis data
+
+  // Subject-property fields merged across sources, each with where it came from
+  propertyRecord?: PropertyRecord;
+  // Fields where the sources disagreed beyond tolerance (also raised as 'data' alerts)
+  dataConflicts?: RecordConflict[];
 }
 
 export interface ComparableProperty {
@@ -77,6 +109,7 @@ export interface ComparableProperty {
   beds?: number;
   baths?: number;
   sqft?: number;
+  units?: number; // Doors, for multifamily comps
   yearBuilt?: number;
   saleDate?: string;
   distance?: number;
@@ -86,6 +119,9 @@ export interface ComparableProperty {
   dataSource?: 'zillow' | 'zillow_property_comps' | 'us_real_estate_similar_homes' | 'us_real_estate_targeted' | 'api' | 'gemini' | 'synthetic';
   isReal?: boolean;
   qualityScore?: number; // 95-100 for AI-matched, 90-94 for targeted, <90 for generic
+  provenance?: FieldProvenance; // Source, fetch time and confidence for the whole comp
+  fieldProvenance?: Record<string, FieldProvenance>; // Fields filled in from another source's listing
+  conflicts?: RecordConflict[];
 }
 
 export interface FlipAnalysis {
@@ -99,6 +135,13 @@ export interface FlipAnalysis {
   holdingMonths: number;
   timeline: string;
 
+  // Set when a financing plan funds the deal: interest, points and fees over the hold
+  financingCosts?: number;
+  financing?: FinancingSummary;
+
+  // Set when the rehab was budgeted from a scope of work
+  rehabScope?: RehabEstimate;
+
   // Phase 1.5: Multi-source ARV calculation
   arvMethod?: string; // Description of calculation method used
   arvSources?: {
@@ -134,12 +177,21 @@ export interface RentalAnalysis {
   cashFlow: number;
   capRate: number;
   cashOnCashReturn: number;
+  financing?: FinancingSummary;
+
+  // Set from the form's unit mix: rent is the rent roll's income units, vacancy blended per unit
+  unitCount?: number;
+  pricePerDoor?: number;
+  rentRoll?: RentRoll;
+  houseHack?: HouseHack | null;
 }
 
 export interface DealScore {
   score: number;
   stars: number;
   rating: string;
+  profileId?: string; // Set when scored in the browser with a scoring profile
+  profileName?: string;
 }
 
 export interface Alert {
@@ -0,0 +1,29 @@
+/**
+ * Rehab scope of work types
+ */
+
+import type {
+  RehabEstimate,
+  RehabLine,
+  RehabTrade,
+  ScopeItem,
+} from '../shared-core/calculations/rehab.js';
+
+export type { RehabEstimate, RehabLine, RehabTrade, ScopeItem };
+
+export type FinishLevel = 'rental' | 'standard' | 'premium';
+
+// One row of the scope of work editor; blank unit cost prices the catalog item at the finish level and region
+export interface ScopeItemInputs {
+  item: string; // REHAB_LINE_ITEMS key
+  room?: string;
+  quantity?: number;
+  finishLevel?: FinishLevel; // Blank takes the scope's
+  unitCost?: number; // $ per unit from a contractor quote
+}
+
+export interface RehabScopeInputs {
+  finishLevel?: FinishLevel;
+  contingencyRate?: number; // %; blank sets it from the scope and the home's age
+  items: ScopeItemInputs[];
+}
@@ -0,0 +1,15 @@
+/**
+ * Scoring profile types
+ */
+
+import type { ScoringProfile } from '../shared-core/calculations/scoring.js';
+
+export type { ScoringProfile };
+
+// A user-defined profile as stored in IndexedDB; profileId is the shared-core profile id
+export interface SavedScoringProfile extends Omit<ScoringProfile, 'id'> {
+  id?: number;
+  profileId: string;
+  createdAt: string;
+  updatedAt: string;
+}
@@ -0,0 +1,44 @@
+/**
+ * Analysis snapshot types
+ */
+
+import { PropertyAnalysisResult, PropertyFormData } from './property';
+
+export type AnalysisMode = 'BASIC' | 'STANDARD' | 'DEEP';
+
+// One analysis run, stored as-is and never edited
+export interface AnalysisSnapshot {
+  id?: number;
+  snapshotId: string;
+  propertyId: string; // propertyAnalyses.propertyId
+  runNumber: number; // 1-based position in the property's timeline
+  displayAddress: string;
+  formData: PropertyFormData;
+  analysisResults: PropertyAnalysisResult;
+  analysisMode: AnalysisMode;
+  apiSources: string[]; // Comp data sources and ARV estimate providers used by the run
+  timestamp: string;
+}
+
+export type SnapshotFieldFormat = 'currency' | 'percent' | 'number' | 'text';
+
+export interface SnapshotFieldChange {
+  key: string;
+  label: string;
+  format: SnapshotFieldFormat;
+  before: number | string | null;
+  after: number | string | null;
+  change: number | null; // after - before, numeric fields only
+  changePercent: number | null; // null when before is zero or missing
+}
+
+export interface SnapshotDiff {
+  inputChanges: SnapshotFieldChange[];
+  outputChanges: SnapshotFieldChange[];
+  compsAdded: string[]; // Comp addresses
+  compsRemoved: string[];
+  sourcesAdded: string[];
+  sourcesRemoved: string[];
+  modeChanged: boolean;
+  explanations: string[];
+}
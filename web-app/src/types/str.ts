@@ -0,0 +1,25 @@
+/**
+ * Short-term rental types
+ */
+
+import type { STRAnalysis, STRMonth } from '../shared-core/calculations/str.js';
+
+export type { STRAnalysis, STRMonth };
+
+export type STRSeasonality = 'flat' | 'summer' | 'winter';
+
+// Short-term rental assumptions as entered on the form; percents, blanks take the shared-core defaults
+export interface STRInputs {
+  nightlyRate?: number;
+  seasonality?: STRSeasonality;
+  averageOccupancy?: number; // % for the year; the seasonality curve is scaled to it
+  averageStayNights?: number;
+  cleaningFee?: number; // Charged to the guest per stay
+  cleaningCost?: number; // Paid per turnover
+  platformFeeRate?: number; // %
+  managementRate?: number; // %
+  occupancyTaxRate?: number; // %
+  utilitiesMonthly?: number;
+  suppliesMonthly?: number;
+  furnishingCost?: number;
+}
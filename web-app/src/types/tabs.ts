@@ -37,96 +37,110 @@ export const TABS: Tab[] = [
     mode: 'both',
     order: 3
   },
+  {
+    id: 'str',
+    label: 'Short-Term Rental',
+    icon: '🏖️',
+    mode: 'both',
+    order: 4
+  },
   {
     id: 'flip-sensitivity',
     label: 'Flip Sensitivity',
     icon: '📊',
     mode: TabMode.ADVANCED,
-    order: 4
+    order: 5
   },
   {
     id: 'charts',
     label: 'Charts & Visualizations',
     icon: '📈',
     mode: TabMode.ADVANCED,
-    order: 5
+    order: 6
   },
   {
     id: 'tax',
     label: 'Tax Benefits',
     icon: '💰',
     mode: 'both',
-    order: 6
+    order: 7
   },
   {
     id: 'amortization',
     label: 'Amortization',
     icon: '📅',
     mode: 'both',
-    order: 7
+    order: 8
   },
   {
     id: 'advanced-metrics',
     label: 'Advanced Metrics',
     icon: '🎯',
     mode: TabMode.ADVANCED,
-    order: 8
+    order: 9
   },
   {
     id: 'loan-comparison',
     label: 'Loan Comparison',
     icon: '🏦',
     mode: TabMode.ADVANCED,
-    order: 9
+    order: 10
   },
   {
     id: 'project-tracker',
     label: 'Project Tracker',
     icon: '✅',
     mode: TabMode.ADVANCED,
-    order: 10
+    order: 11
   },
   {
     id: 'partnership',
     label: 'Partnership',
     icon: '🤝',
     mode: TabMode.ADVANCED,
-    order: 11
+    order: 12
   },
   {
     id: 'comps',
     label: 'Comps',
     icon: '🏘️',
     mode: 'both',
-    order: 12
+    order: 13
   },
   {
     id: 'filtered-comps',
     label: 'Filtered Comps',
     icon: '🔍',
     mode: TabMode.ADVANCED,
-    order: 13
+    order: 14
   },
   {
     id: 'location-quality',
     label: 'Location Quality',
     icon: '📍',
     mode: TabMode.ADVANCED,
-    order: 14
+    order: 15
   },
   {
     id: 'state-comparison',
     label: 'State Comparison',
     icon: '🗺️',
     mode: TabMode.ADVANCED,
-    order: 15
+    order: 16
   },
   {
     id: 'scenarios',
     label: 'Custom Scenarios',
     icon: '🎲',
     mode: TabMode.ADVANCED,
-    order: 16
+    order: 17
+  },
+  {
+    id: 'run-history',
+    label: 'Run History',
+    icon: '🕒',
+    mode: 'both',
+    order: 18
   }
 ];
 
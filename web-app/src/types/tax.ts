@@ -0,0 +1,26 @@
+/**
+ * Tax projection types
+ */
+
+import type { TaxProjection, TaxSale, TaxYear } from '../shared-core/calculations/tax.js';
+
+export type { TaxProjection, TaxSale, TaxYear };
+
+export type FilingStatus = 'single' | 'marriedJoint' | 'headOfHousehold';
+
+// Tax profile as edited on the Tax Benefits tab; percents, blanks take the shared-core defaults
+export interface TaxProfileInputs {
+  filingStatus?: FilingStatus;
+  ordinaryIncome?: number; // Other taxable income
+  landValueRatio?: number; // % of the purchase price
+  assessedLandValue?: number; // With assessedTotalValue, overrides landValueRatio
+  assessedTotalValue?: number;
+  costSegregation?: {
+    fiveYear?: number; // % of the building basis
+    sevenYear?: number;
+    fifteenYear?: number;
+  };
+  bonusDepreciationRate?: number; // %
+  realEstateProfessional?: boolean;
+  holdYears?: number;
+}
@@ -0,0 +1,21 @@
+/**
+ * Multi-unit (duplex through fourplex) types
+ */
+
+import type { RentRoll, RentRollUnit } from '../shared-core/calculations/rentRoll.js';
+import type { HouseHack } from '../shared-core/calculations/rental.js';
+
+export type { RentRoll, RentRollUnit, HouseHack };
+
+// One row of the unit mix editor; vacancy is a percent, blank takes the property's rate
+export interface UnitInputs {
+  label?: string;
+  beds?: number;
+  baths?: number;
+  sqft?: number;
+  currentRent?: number; // 0 or blank when vacant
+  marketRent?: number;
+  leaseEnd?: string; // yyyy-mm-dd
+  vacancyRate?: number; // %
+  ownerOccupied?: boolean; // House hacking: the owner lives here and the unit earns no rent
+}
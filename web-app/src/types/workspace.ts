@@ -0,0 +1,48 @@
+/**
+ * Workspace backup archive types
+ */
+
+import type { PartnershipData, ProjectTracker, PropertyAnalysis, PropertyHistory } from '../utils/db';
+import { Portfolio } from './portfolio';
+import { AnalysisSnapshot } from './snapshot';
+import { SavedScoringProfile } from './scoring';
+
+// Rows as they sit in each RealEstateDB table, keyed by table name
+export interface WorkspaceTables {
+  propertyAnalyses: PropertyAnalysis[];
+  projectTrackers: ProjectTracker[];
+  partnershipData: PartnershipData[];
+  propertyHistory: PropertyHistory[];
+  portfolios: Portfolio[];
+  analysisSnapshots: AnalysisSnapshot[];
+  scoringProfiles: SavedScoringProfile[];
+}
+
+export type WorkspaceTableName = keyof WorkspaceTables;
+
+export interface WorkspaceArchive {
+  format: 'rei-workspace';
+  version: number; // RealEstateDB schema version the tables were exported from
+  exportedAt: string;
+  tables: WorkspaceTables;
+}
+
+// merge: union both workspaces, newer row wins per property
+// replace: every property in the archive overwrites the local copy outright
+export type WorkspaceImportStrategy = 'merge' | 'replace';
+
+export interface WorkspaceArchiveParseResult {
+  success: boolean;
+  archive?: WorkspaceArchive;
+  migratedFrom?: number; // Set when the archive was upgraded from an older version
+  errors: string[];
+}
+
+export interface WorkspaceImportSummary {
+  strategy: WorkspaceImportStrategy;
+  properties: number; // Distinct propertyIds in the archive
+  added: number; // Of those, not previously in this workspace
+  updated: number; // Already here and overwritten by the archive
+  kept: number; // Already here and newer locally (merge only)
+  counts: Record<WorkspaceTableName, number>; // Rows per table after the import
+}
@@ -0,0 +1,47 @@
+/**
+ * Tests for the Amortization tab's pay-down analysis
+ */
+
+import { analyzeDealAmortization, getFirstPaymentDate } from '../amortization';
+import { PropertyFormData } from '../../types/property';
+
+const formData: PropertyFormData = {
+  address: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 300000,
+  downPayment: 20,
+  loanInterestRate: 7,
+  loanTerm: 30,
+  rehabCost: 50000,
+  monthsToFlip: 6,
+};
+
+describe('getFirstPaymentDate', () => {
+  it('should start on the first of next month', () => {
+    expect(getFirstPaymentDate(new Date(2026, 11, 15))).toBe('2027-01-01');
+  });
+});
+
+describe('analyzeDealAmortization', () => {
+  it('should compare the pay-down plan with the deal loan paid as agreed', () => {
+    const result = analyzeDealAmortization(formData, 240000, { extraMonthly: 300 }, '2027-01-01');
+
+    expect(result.error).toBe(false);
+    expect(result.baseline.scheduledPayment).toBeCloseTo(1596.73, 2);
+    expect(result.baseline.payoffDate).toBe('2056-12-01');
+    expect(result.schedule.payoffMonth).toBeLessThan(300);
+    expect(result.interestSaved).toBeGreaterThan(0);
+  });
+
+  it('should carry a balloon from the form loan structure', () => {
+    const sellerCarry = { ...formData, financing: { type: 'SELLER_CARRY' as const } };
+    const result = analyzeDealAmortization(sellerCarry, 240000, { biweekly: true }, '2027-01-01');
+
+    expect(result.baseline.payoffMonth).toBe(60);
+    expect(result.baseline.totals.balloon).toBeGreaterThan(200000);
+    expect(result.schedule.frequency).toBe('biweekly');
+    expect(result.schedule.totals.balloon).toBeLessThan(result.baseline.totals.balloon);
+  });
+});
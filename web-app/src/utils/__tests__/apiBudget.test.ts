@@ -0,0 +1,86 @@
+/**
+ * Tests for the property form's API budget
+ */
+
+import { planFormBudget, toProviderUsage } from '../apiBudget';
+import type { ApiUsageData } from '../../services/api';
+import { PropertyFormData } from '../../types/property';
+
+const formData: PropertyFormData = {
+  address: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 300000,
+  downPayment: 20,
+  loanInterestRate: 7,
+  loanTerm: 30,
+  rehabCost: 50000,
+  monthsToFlip: 6,
+  analysisMode: 'DEEP',
+};
+
+const usage = (used: number, limit: number) => ({
+  used,
+  limit,
+  remaining: limit - used,
+  period: 'month',
+  resetDate: '2026-11-01',
+});
+
+// Every provider at its 90% threshold
+const exhausted: ApiUsageData = {
+  privateZillow: usage(225, 250),
+  usRealEstate: usage(270, 300),
+  redfin: usage(99, 111),
+  gemini: { ...usage(1350, 1500), period: 'day' },
+};
+
+describe('toProviderUsage', () => {
+  it('should key usage by provider ID and skip providers with no reported limit', () => {
+    expect(toProviderUsage({ ...exhausted, gemini: usage(0, 0) })).toEqual({
+      private_zillow: { used: 225, limit: 250 },
+      us_real_estate: { used: 270, limit: 300 },
+      redfin: { used: 99, limit: 111 },
+    });
+    expect(toProviderUsage(null)).toEqual({});
+  });
+});
+
+describe('planFormBudget', () => {
+  it('should plan the selected mode against the reported usage', () => {
+    const budget = planFormBudget(
+      formData,
+      { ...exhausted, privateZillow: usage(10, 250), usRealEstate: usage(100, 300), redfin: usage(10, 111) },
+      'redfin'
+    );
+
+    expect(budget.mode).toBe('DEEP');
+    expect(budget.plan.calls[0]).toMatchObject({ step: 'propertyDetails', providerId: 'redfin' });
+    expect(budget.plan.providers.find((p) => p.providerId === 'us_real_estate')).toMatchObject({
+      used: 100,
+      available: 170,
+      usageKnown: true,
+    });
+  });
+
+  it('should refuse a run without an ARV once the quota is spent, and fall back to Basic with one', () => {
+    expect(planFormBudget(formData, exhausted)).toMatchObject({ refused: true, mode: null });
+    expect(planFormBudget({ ...formData, arv: 420000 }, exhausted)).toMatchObject({
+      refused: false,
+      degraded: true,
+      mode: 'BASIC',
+    });
+  });
+
+  it('should fall back to Basic with user-entered comps and no ARV', () => {
+    const userProvidedComps = [{ address: '9 Elm St', price: 410000 }];
+
+    expect(planFormBudget({ ...formData, userProvidedComps }, exhausted)).toMatchObject({
+      refused: false,
+      degraded: true,
+      mode: 'BASIC',
+    });
+    expect(planFormBudget({ ...formData, userProvidedComps: [] }, exhausted)).toMatchObject({ refused: true });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Tests for the API response cache: TTLs, stale-while-revalidate, LRU eviction,
+ * purging and persistence to IndexedDB
+ */
+
+import 'fake-indexeddb/auto';
+import { RealEstateDB, createApiCacheStore } from '../db';
+import {
+  ApiCacheEntry,
+  ApiCacheStore,
+  CACHE_TTL_SECONDS,
+  buildCacheKey,
+  createApiCache,
+  createCacheEntry,
+  getCacheEntryState,
+  hashCacheInput,
+  parseCacheKey,
+  selectEvictions,
+  summarizeCache,
+} from '../apiCache';
+
+const DAY_MS = 24 * 3600 * 1000;
+const START = Date.UTC(2026, 0, 1);
+
+const OAK = { address: '12 Oak St', city: 'Austin', state: 'TX', zip: '78701' };
+const ELM = { address: '40 Elm Ave', city: 'Austin', state: 'TX', zip: '78702' };
+
+const createMemoryStore = (initial: ApiCacheEntry[] = []) => {
+  const rows = new Map(initial.map((entry) => [entry.key, entry]));
+  const store: ApiCacheStore = {
+    loadAll: async () => Array.from(rows.values()),
+    put: async (entry) => {
+      rows.set(entry.key, entry);
+    },
+    remove: async (keys) => {
+      keys.forEach((key) => rows.delete(key));
+    },
+  };
+  return { store, rows };
+};
+
+const createClock = () => {
+  let time = START;
+  return {
+    now: () => time,
+    advance: (ms: number) => {
+      time += ms;
+    },
+  };
+};
+
+describe('cache keys', () => {
+  it('should key property data by type and normalized address', () => {
+    const key = buildCacheKey('soldComps', { ...OAK, address: '  12  Oak St' });
+
+    expect(key).toBe('soldComps:12 oak st, austin, tx 78701');
+    expect(parseCacheKey(key)).toEqual({ dataType: 'soldComps', propertyKey: '12 oak st, austin, tx 78701' });
+  });
+
+  it('should keep variants of a property\'s data under that property', () => {
+    const first = buildCacheKey('analysis', OAK, hashCacheInput({ ...OAK, purchasePrice: 300000 }));
+    const edited = buildCacheKey('analysis', OAK, hashCacheInput({ ...OAK, purchasePrice: 290000 }));
+
+    expect(first).not.toBe(edited);
+    expect(first).toBe(buildCacheKey('analysis', OAK, hashCacheInput({ ...OAK, purchasePrice: 300000 })));
+    expect(parseCacheKey(edited)).toEqual({ dataType: 'analysis', propertyKey: '12 oak st, austin, tx 78701' });
+  });
+
+  it('should classify legacy keys by name without tying them to a property', () => {
+    expect(parseCacheKey('private_zillow_usage')).toEqual({ dataType: 'usage', propertyKey: '' });
+    expect(parseCacheKey('zestimate_123')).toEqual({ dataType: 'valuation', propertyKey: '' });
+    expect(parseCacheKey('something_else')).toEqual({ dataType: 'other', propertyKey: '' });
+  });
+});
+
+describe('cache entries', () => {
+  it.each([
+    ['valuation', 7],
+    ['soldComps', 30],
+    ['schools', 180],
+  ] as const)('should keep %s fresh for %i days, then stale for as long again', (dataType, days) => {
+    const entry = createCacheEntry(buildCacheKey(dataType, OAK), { value: 1 }, START);
+
+    expect(CACHE_TTL_SECONDS[dataType]).toBe(days * 24 * 3600);
+    expect(getCacheEntryState(entry, START + days * DAY_MS - 1)).toBe('fresh');
+    expect(getCacheEntryState(entry, START + days * DAY_MS)).toBe('stale');
+    expect(getCacheEntryState(entry, START + 2 * days * DAY_MS)).toBe('expired');
+  });
+
+  it('should honor an explicit TTL', () => {
+    const entry = createCacheEntry('private_zillow_usage', 5, START, 60);
+
+    expect(entry.expiresAt - START).toBe(60 * 1000);
+    expect(entry.dataType).toBe('usage');
+  });
+
+  it('should evict expired entries, then the least recently used, to fit the budget', () => {
+    const entry = (key: string, lastAccessed: number, size = 100) => ({
+      ...createCacheEntry(key, null, START),
+      size,
+      lastAccessed,
+    });
+    const expired = { ...entry('expired', START + 3), expiresAt: START, staleUntil: START };
+
+    expect(selectEvictions([entry('a', START + 2), entry('b', START + 1), entry('c', START + 3)], 250, START + 1)).toEqual(
+      ['b']
+    );
+    expect(selectEvictions([entry('a', START + 2), expired], 1000, START + 1)).toEqual(['expired']);
+  });
+
+  it('should group entries by property, most recently used first', () => {
+    const clock = createClock();
+    const entries = [
+      createCacheEntry(buildCacheKey('valuation', OAK), {}, clock.now()),
+      createCacheEntry('private_zillow_usage', 3, clock.now()),
+      createCacheEntry(buildCacheKey('soldComps', ELM), [], clock.now() + 10),
+      createCacheEntry(buildCacheKey('schools', ELM), [], clock.now() + 5),
+    ];
+
+    const summary = summarizeCache(entries, clock.now());
+
+    expect(summary.map((group) => group.label)).toEqual([
+      '40 elm ave, austin, tx 78702',
+      '12 oak st, austin, tx 78701',
+      'Not tied to a property',
+    ]);
+    expect(summary[0].entries.map((e) => e.dataType)).toEqual(['schools', 'soldComps']);
+    expect(summary[0].totalSize).toBe(4);
+  });
+});
+
+describe('createApiCache', () => {
+  it('should return data until its TTL passes', async () => {
+    const clock = createClock();
+    const cache = createApiCache(createMemoryStore().store, { now: clock.now });
+    const key = buildCacheKey('valuation', OAK);
+
+    cache.set(key, { estimate: 310000 });
+    clock.advance(6 * DAY_MS);
+    expect(cache.get(key)).toEqual({ estimate: 310000 });
+
+    clock.advance(DAY_MS);
+    expect(cache.get(key)).toBeNull();
+    expect(cache.has(key)).toBe(false);
+  });
+
+  it('should serve stale data straight away and refresh it in the background', async () => {
+    const clock = createClock();
+    const cache = createApiCache(createMemoryStore().store, { now: clock.now });
+    const key = buildCacheKey('valuation', OAK);
+    const fetcher = jest.fn().mockResolvedValueOnce('first').mockResolvedValueOnce('second');
+
+    expect(await cache.fetchThrough(key, fetcher)).toEqual({ data: 'first', state: 'fetched' });
+    expect(await cache.fetchThrough(key, fetcher)).toEqual({ data: 'first', state: 'fresh' });
+
+    clock.advance(8 * DAY_MS);
+    expect(await cache.fetchThrough(key, fetcher)).toEqual({ data: 'first', state: 'stale' });
+    await cache.flush();
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(await cache.fetchThrough(key, fetcher)).toEqual({ data: 'second', state: 'fresh' });
+  });
+
+  it('should treat stale data as a miss without staleWhileRevalidate', async () => {
+    const clock = createClock();
+    const cache = createApiCache(createMemoryStore().store, { now: clock.now });
+    const key = buildCacheKey('analysis', OAK);
+    const fetcher = jest.fn().mockResolvedValueOnce('first').mockResolvedValueOnce('second');
+
+    await cache.fetchThrough(key, fetcher, { staleWhileRevalidate: false });
+    clock.advance(8 * DAY_MS);
+
+    expect(await cache.fetchThrough(key, fetcher, { staleWhileRevalidate: false })).toEqual({
+      data: 'second',
+      state: 'fetched',
+    });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('should wait for the fetcher once data expires, and skip caching what shouldCache rejects', async () => {
+    const clock = createClock();
+    const cache = createApiCache(createMemoryStore().store, { now: clock.now });
+    const key = buildCacheKey('soldComps', OAK);
+    const shouldCache = (result: { success: boolean }) => result.success;
+
+    await cache.fetchThrough(key, async () => ({ success: true, comps: 4 }), { shouldCache });
+    clock.advance(60 * DAY_MS);
+
+    const result = await cache.fetchThrough(key, async () => ({ success: false, comps: 0 }), { shouldCache });
+    expect(result).toEqual({ data: { success: false, comps: 0 }, state: 'fetched' });
+    expect(cache.entries()).toHaveLength(1);
+  });
+
+  it('should bypass fresh data on forceRefresh', async () => {
+    const cache = createApiCache(createMemoryStore().store);
+    const key = buildCacheKey('schools', OAK);
+
+    await cache.fetchThrough(key, async () => 'old');
+    const result = await cache.fetchThrough(key, async () => 'new', { forceRefresh: true });
+
+    expect(result).toEqual({ data: 'new', state: 'fetched' });
+    expect(cache.get(key)).toBe('new');
+  });
+
+  it('should evict the least recently used entry when over budget', async () => {
+    const clock = createClock();
+    const { store, rows } = createMemoryStore();
+    const cache = createApiCache(store, { now: clock.now, budgetBytes: 30 });
+    await cache.ready;
+
+    cache.set('a', 'x'.repeat(12));
+    clock.advance(1);
+    cache.set('b', 'x'.repeat(12));
+    clock.advance(1);
+    cache.get('a');
+    clock.advance(1);
+    cache.set('c', 'x'.repeat(12));
+    await cache.flush();
+
+    expect(cache.entries().map((e) => e.key).sort()).toEqual(['a', 'c']);
+    expect(Array.from(rows.keys()).sort()).toEqual(['a', 'c']);
+    expect(cache.set('huge', 'x'.repeat(100))).toBe(false);
+  });
+
+  it('should purge one property, or only expired entries', async () => {
+    const clock = createClock();
+    const cache = createApiCache(createMemoryStore().store, { now: clock.now });
+    await cache.ready;
+
+    cache.set(buildCacheKey('valuation', OAK), 1);
+    cache.set(buildCacheKey('schools', OAK), 2);
+    cache.set(buildCacheKey('schools', ELM), 3);
+    cache.set('private_zillow_usage', 4);
+
+    expect(cache.purgeProperty('12 oak st, austin, tx 78701')).toBe(2);
+    clock.advance(2 * 3600 * 1000);
+    expect(cache.purgeExpired()).toBe(1);
+    expect(cache.entries().map((e) => e.key)).toEqual([buildCacheKey('schools', ELM)]);
+  });
+
+  it('should load persisted entries, keeping ones set while loading', async () => {
+    const stored = createCacheEntry('shared', 'stored', START);
+    const cache = createApiCache(createMemoryStore([stored, createCacheEntry('other', 1, START)]).store, {
+      now: () => START,
+    });
+
+    cache.set('shared', 'newer');
+    await cache.ready;
+
+    expect(cache.get('shared')).toBe('newer');
+    expect(cache.get('other')).toBe(1);
+  });
+
+  it('should not load from the store until first used', async () => {
+    const { store } = createMemoryStore([createCacheEntry('other', 1, START)]);
+    const loadAll = jest.spyOn(store, 'loadAll');
+    const cache = createApiCache(store, { now: () => START });
+    await Promise.resolve();
+
+    expect(loadAll).not.toHaveBeenCalled();
+    expect(cache.has('other')).toBe(false);
+    await cache.ready;
+    expect(cache.get('other')).toBe(1);
+    expect(loadAll).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createApiCacheStore', () => {
+  let database: RealEstateDB;
+
+  beforeEach(() => {
+    database = new RealEstateDB('RealEstateAnalysisDB_apiCache_test');
+  });
+
+  afterEach(async () => {
+    await database.delete();
+  });
+
+  it('should persist entries to IndexedDB across cache instances', async () => {
+    const key = buildCacheKey('soldComps', OAK);
+    const first = createApiCache(createApiCacheStore(database));
+    first.set(key, [{ address: '14 Oak St', price: 305000 }]);
+    first.set('stale_note', 'gone');
+    first.remove('stale_note');
+    await first.flush();
+
+    const second = createApiCache(createApiCacheStore(database));
+    await second.ready;
+
+    expect(second.get(key)).toEqual([{ address: '14 Oak St', price: 305000 }]);
+    expect(await database.apiCache.count()).toBe(1);
+  });
+});
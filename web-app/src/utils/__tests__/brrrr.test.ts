@@ -0,0 +1,67 @@
+/**
+ * Tests for the Rental tab's BRRRR refinance analysis
+ */
+
+import { analyzeBRRRR, toBRRRRPropertyData } from '../brrrr';
+import { PropertyFormData, RentalAnalysis } from '../../types/property';
+
+const rental: RentalAnalysis = {
+  purchasePrice: 200000,
+  downPayment: 40000,
+  loanAmount: 160000,
+  monthlyRent: 2500,
+  monthlyPayment: 1064,
+  propertyTax: 250,
+  insurance: 100,
+  maintenance: 200,
+  vacancy: 125,
+  totalExpenses: 1739,
+  cashFlow: 761,
+  capRate: 9,
+  cashOnCashReturn: 22.8,
+};
+
+const formData: PropertyFormData = {
+  address: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 200000,
+  downPayment: 20,
+  loanInterestRate: 7,
+  loanTerm: 30,
+  rehabCost: 40000,
+  monthsToFlip: 4,
+};
+
+describe('toBRRRRPropertyData', () => {
+  it('should turn the monthly expenses back into shared-core rates', () => {
+    expect(toBRRRRPropertyData(rental, formData)).toMatchObject({
+      purchasePrice: 200000,
+      downPayment: 0.2,
+      loanInterestRate: 0.07,
+      rehabCost: 40000,
+      propertyTaxRate: 0.015,
+      insuranceMonthly: 100,
+      maintenanceRate: 0.012,
+      vacancyRate: 0.05,
+      financing: [],
+    });
+  });
+});
+
+describe('analyzeBRRRR', () => {
+  it('should convert percent inputs and use the defaults for blanks', () => {
+    const result = analyzeBRRRR(rental, formData, 330000, { ltv: 70, rate: 6.5 });
+
+    expect(result.error).toBe(false);
+    expect(result.terms).toMatchObject({ month: 6, seasoningMonths: 6, ltv: 0.7, rate: 0.065, closingCostRate: 0.02 });
+    expect(result.newLoanAmount).toBe(231000);
+  });
+
+  it('should surface invalid terms as an error', () => {
+    const result = analyzeBRRRR(rental, formData, 330000, { ltv: 120 });
+    expect(result.error).toBe(true);
+    expect(result.message).toBe('Refinance LTV must be between 0 and 100%');
+  });
+});
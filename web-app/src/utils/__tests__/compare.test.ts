@@ -0,0 +1,109 @@
+/**
+ * Tests for side-by-side deal comparison
+ */
+
+import { buildDealComparison, findBestIndexes, scoreFlip, scoreRental, ComparisonInput } from '../compare';
+import { PropertyAnalysisResult, RentalAnalysis, FlipAnalysis } from '../../types/property';
+
+const rental = (overrides: Partial<RentalAnalysis> = {}): RentalAnalysis => ({
+  purchasePrice: 200000,
+  downPayment: 50000,
+  loanAmount: 150000,
+  monthlyRent: 2000,
+  monthlyPayment: 1000,
+  propertyTax: 200,
+  insurance: 100,
+  maintenance: 100,
+  vacancy: 100,
+  totalExpenses: 1500,
+  cashFlow: 500,
+  capRate: 9,
+  cashOnCashReturn: 12,
+  ...overrides,
+});
+
+const flip = (overrides: Partial<FlipAnalysis> = {}): FlipAnalysis => ({
+  purchasePrice: 200000,
+  rehabCost: 40000,
+  arv: 320000,
+  totalInvestment: 250000,
+  sellingCosts: 25600,
+  netProfit: 44400,
+  roi: 17.76,
+  holdingMonths: 6,
+  timeline: '6 months',
+  ...overrides,
+});
+
+const input = (propertyId: string, results: Partial<PropertyAnalysisResult>): ComparisonInput => ({
+  propertyId,
+  displayAddress: `${propertyId} Main St`,
+  results: {
+    property: { address: `${propertyId} Main St`, city: 'Springfield', state: 'IL', zip: '62704' },
+    ...results,
+  },
+});
+
+describe('findBestIndexes', () => {
+  it('should pick the highest value and keep ties', () => {
+    expect(findBestIndexes([3, 7, null, 7], true)).toEqual([1, 3]);
+  });
+
+  it('should pick the lowest value when lower is better', () => {
+    expect(findBestIndexes([2, 0, 5], false)).toEqual([1]);
+  });
+
+  it('should not highlight anything when all values tie or only one deal has the metric', () => {
+    expect(findBestIndexes([4, 4], true)).toEqual([]);
+    expect(findBestIndexes([null, 4], true)).toEqual([]);
+  });
+});
+
+describe('deal scores', () => {
+  it('should convert web percents to the decimals the shared-core scores expect', () => {
+    // 30% ROI, $50k profit, 3 months, rehab under 15% of price: perfect on every flip metric
+    expect(scoreFlip({ ...input('a', {}).results, flip: flip({ roi: 30, netProfit: 50000, holdingMonths: 3, rehabCost: 20000 }) })).toBe(100);
+    // $500 cash flow and 1.5x DSCR are EXCELLENT, 12% CoC is GOOD, 9% cap rate is halfway to EXCELLENT
+    expect(scoreRental({ ...input('a', {}).results, rental: rental() })).toBe(84);
+  });
+
+  it('should return null when the analysis has no output for a strategy', () => {
+    expect(scoreFlip(input('a', { rental: rental() }).results)).toBeNull();
+    expect(scoreRental(input('a', { flip: flip() }).results)).toBeNull();
+  });
+});
+
+describe('buildDealComparison', () => {
+  const inputs = [
+    input('a', { rental: rental({ cashFlow: 150, cashOnCashReturn: 4 }), flip: flip({ roi: 8, netProfit: 18000 }), alerts: [
+      { type: 'warning', category: 'Flip', message: 'ROI below 10%' },
+    ] }),
+    input('b', { rental: rental(), flip: flip(), score: { score: 80, stars: 4, rating: 'Good' } }),
+    input('c', { flip: flip({ roi: 35, netProfit: 70000, holdingMonths: 3 }), score: { score: 70, stars: 4, rating: 'Good' } }),
+  ];
+
+  it('should line metrics up in input order and highlight the best in each row', () => {
+    const { rows } = buildDealComparison(inputs);
+    const row = (key: string) => rows.find((r) => r.key === key)!;
+
+    expect(row('flipRoi').values).toEqual([8, 17.76, 35]);
+    expect(row('flipRoi').bestIndexes).toEqual([2]);
+    expect(row('cashFlow').values).toEqual([150, 500, null]);
+    expect(row('cashFlow').bestIndexes).toEqual([1]);
+    expect(row('dscr').values[1]).toBeCloseTo(1.5, 5);
+    expect(row('dealScore').bestIndexes).toEqual([1]);
+    expect(row('alerts').values).toEqual([1, 0, 0]);
+    expect(row('alerts').bestIndexes).toEqual([1, 2]);
+  });
+
+  it('should rank each deal on its stronger strategy', () => {
+    const { ranking, averageScore } = buildDealComparison(inputs);
+
+    expect(ranking.map((d) => d.propertyId)).toEqual(['c', 'b', 'a']);
+    expect(ranking[0]).toMatchObject({ rank: 1, strategy: 'flip', score: 96, rentalScore: null });
+    expect(ranking[0].recommendation.label).toBe('Excellent Investment');
+    expect(ranking[1].strategy).toBe('rental');
+    expect(ranking[1].score).toBe(84);
+    expect(averageScore).toBe(Math.round((96 + 84 + ranking[2].score) / 3));
+  });
+});
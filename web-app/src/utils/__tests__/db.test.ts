@@ -0,0 +1,87 @@
+/**
+ * Tests for saved analyses and their run timelines
+ */
+
+import 'fake-indexeddb/auto';
+import {
+  clearAllStoredData,
+  createApiCacheStore,
+  db,
+  getAllPropertyAnalyses,
+  getPropertyIdForRun,
+  getSnapshotsForProperty,
+  savePropertyAnalysis,
+} from '../db';
+import { buildCacheKey, createCacheEntry } from '../apiCache';
+import { PropertyAnalysisResult, PropertyFormData } from '../../types/property';
+
+const formData: PropertyFormData = {
+  address: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 200000,
+  rehabCost: 40000,
+  analysisMode: 'STANDARD',
+};
+
+const results = (form: PropertyFormData, arv: number): PropertyAnalysisResult => ({
+  property: { address: form.address, city: form.city, state: form.state, zip: form.zip },
+  flip: {
+    purchasePrice: form.purchasePrice,
+    rehabCost: 40000,
+    arv,
+    totalInvestment: form.purchasePrice + 40000,
+    sellingCosts: arv * 0.08,
+    netProfit: arv * 0.92 - form.purchasePrice - 40000,
+    roi: 10,
+    holdingMonths: 6,
+    timeline: '6 months',
+  },
+});
+
+// What the form submit does around the API call: pick the property ID, then save the run
+const analyze = async (form: PropertyFormData, arv: number) => {
+  const propertyId = await getPropertyIdForRun(form);
+  await savePropertyAnalysis(propertyId, form, results(form, arv));
+  return propertyId;
+};
+
+afterEach(async () => {
+  await Promise.all(db.tables.map((table) => table.clear()));
+});
+
+describe('analysis runs', () => {
+  it('should add the re-run after an edit to the same timeline', async () => {
+    const firstId = await analyze(formData, 300000);
+
+    // Edit goes back to the form with saved data intact; the user changes the price and re-runs
+    const secondId = await analyze({ ...formData, purchasePrice: 190000 }, 300000);
+
+    expect(secondId).toBe(firstId);
+    const runs = await getSnapshotsForProperty(firstId);
+    expect(runs.map((run) => run.runNumber)).toEqual([1, 2]);
+    expect(runs[1].formData.purchasePrice).toBe(190000);
+  });
+
+  it('should keep earlier properties saved when another is analyzed', async () => {
+    await analyze(formData, 300000);
+    await analyze({ ...formData, address: '9 Elm St' }, 280000);
+
+    const saved = await getAllPropertyAnalyses();
+    expect(saved.map((analysis) => analysis.formData.address).sort()).toEqual(['1 Main St', '9 Elm St']);
+  });
+});
+
+describe('clearAllStoredData', () => {
+  it('should empty every table, cached API responses included', async () => {
+    await analyze(formData, 300000);
+    await createApiCacheStore().put(createCacheEntry(buildCacheKey('analysis', formData), { success: true }, Date.now()));
+    expect(await db.apiCache.count()).toBe(1);
+
+    await clearAllStoredData();
+
+    const counts = await Promise.all(db.tables.map((table) => table.count()));
+    expect(counts.every((count) => count === 0)).toBe(true);
+  });
+});
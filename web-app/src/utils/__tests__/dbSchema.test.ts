@@ -0,0 +1,198 @@
+/**
+ * Tests for RealEstateDB schema upgrades and the legacy localStorage import
+ */
+
+import 'fake-indexeddb/auto';
+import Dexie from 'dexie';
+import { RealEstateDB, migrateFromLocalStorage } from '../db';
+import { CURRENT_SCHEMA_VERSION, SCHEMA_VERSIONS } from '../dbSchema';
+import v1Fixture from './fixtures/realEstateDB.v1.json';
+
+const PROPERTY_ID = '1730000000000_legacy1';
+
+let database: RealEstateDB | null = null;
+let dbCount = 0;
+const nextName = () => `RealEstateAnalysisDB_test_${++dbCount}`;
+
+// Create a database exactly as a v1 build left it, then close it so the next open upgrades
+const createV1Database = async (name: string) => {
+  const legacy = new Dexie(name);
+  legacy.version(1).stores(SCHEMA_VERSIONS[0].stores);
+  await legacy.open();
+  await Promise.all(
+    Object.entries(v1Fixture).map(([table, rows]) => legacy.table(table).bulkAdd(rows as object[]))
+  );
+  legacy.close();
+};
+
+// Create a database at a later version from its declared stores, skipping upgrades the way
+// a browser that reached it before they existed did
+const createDatabaseAt = async (name: string, version: number, rows: Record<string, object[]>) => {
+  const legacy = new Dexie(name);
+  SCHEMA_VERSIONS.filter((v) => v.version <= version).forEach((v) => legacy.version(v.version).stores(v.stores));
+  await legacy.open();
+  await Promise.all(Object.entries(rows).map(([table, tableRows]) => legacy.table(table).bulkAdd(tableRows)));
+  legacy.close();
+};
+
+afterEach(async () => {
+  if (database) {
+    await database.delete();
+    database = null;
+  }
+  localStorage.clear();
+});
+
+describe('RealEstateDB upgrades', () => {
+  it('should declare consecutive versions', () => {
+    expect(SCHEMA_VERSIONS.map((v) => v.version)).toEqual(
+      Array.from({ length: CURRENT_SCHEMA_VERSION }, (_, i) => i + 1)
+    );
+  });
+
+  it('should upgrade a v1 database to the current version without losing rows', async () => {
+    const name = nextName();
+    await createV1Database(name);
+
+    database = new RealEstateDB(name);
+    await database.open();
+
+    expect(database.verno).toBe(CURRENT_SCHEMA_VERSION);
+    expect(await database.propertyAnalyses.count()).toBe(1);
+    expect(await database.propertyHistory.count()).toBe(1);
+    expect(await database.portfolios.count()).toBe(0);
+    expect(await database.scoringProfiles.count()).toBe(0);
+  });
+
+  it('should backfill analysis results and start each property at run 1', async () => {
+    const name = nextName();
+    await createV1Database(name);
+    database = new RealEstateDB(name);
+
+    const analysis = (await database.propertyAnalyses.where('propertyId').equals(PROPERTY_ID).first())!;
+    expect(analysis.analysisResults).toMatchObject({
+      property: { address: '123 Main St', city: 'Springfield', state: 'IL', zip: '62704' },
+      analysisMode: 'STANDARD',
+      alerts: [],
+      insights: [],
+    });
+    expect(analysis.analysisResults.flip?.arv).toBe(320000);
+
+    const runs = await database.analysisSnapshots.where('propertyId').equals(PROPERTY_ID).toArray();
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({
+      runNumber: 1,
+      timestamp: '2024-11-01T15:00:00.000Z',
+      apiSources: ['zillow'],
+      analysisMode: 'STANDARD',
+    });
+    expect(runs[0].analysisResults).toEqual(analysis.analysisResults);
+  });
+
+  it('should give analyses saved on v3-v6 without runs their first run', async () => {
+    const name = nextName();
+    const analysis = (propertyId: string) => ({
+      ...v1Fixture.propertyAnalyses[0],
+      propertyId,
+      displayAddress: `${propertyId} Main St, Springfield, IL 62704`,
+    });
+    await createDatabaseAt(name, 6, {
+      propertyAnalyses: [analysis('no_runs'), analysis('has_runs')],
+      analysisSnapshots: [
+        { snapshotId: 'run_1', propertyId: 'has_runs', runNumber: 1, timestamp: '2026-01-01T00:00:00.000Z' },
+        { snapshotId: 'run_2', propertyId: 'has_runs', runNumber: 2, timestamp: '2026-02-01T00:00:00.000Z' },
+      ],
+    });
+    database = new RealEstateDB(name);
+
+    const runs = await database.analysisSnapshots.where('propertyId').equals('no_runs').toArray();
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ runNumber: 1, timestamp: '2024-11-01T15:00:00.000Z' });
+    expect(await database.analysisSnapshots.where('propertyId').equals('has_runs').count()).toBe(2);
+  });
+
+  it('should backfill tracker and partnership sections added after v1', async () => {
+    const name = nextName();
+    await createV1Database(name);
+    database = new RealEstateDB(name);
+
+    const tracker = (await database.projectTrackers.where('propertyId').equals(PROPERTY_ID).first())!;
+    expect(tracker.data.renovationPhases).toHaveLength(1);
+    expect(tracker.data.contractorPerformance).toEqual([]);
+    expect(tracker.data.changeOrders).toEqual([]);
+
+    const partnership = (await database.partnershipData.where('propertyId').equals(PROPERTY_ID).first())!;
+    expect(partnership.data.cashFlowEntries).toEqual([]);
+    // Stored settings survive; missing ones take the defaults
+    expect(partnership.data.waterfallConfig.tier2_preferredReturnRate).toBe(0.1);
+    expect(partnership.data.waterfallConfig.distributionFrequency).toBe('at-exit');
+  });
+});
+
+describe('migrateFromLocalStorage', () => {
+  it('should move legacy tracker and partnership keys into IndexedDB once', async () => {
+    database = new RealEstateDB(nextName());
+    localStorage.setItem('indexeddb_migration_complete', 'true');
+    localStorage.setItem(
+      'projectTracker_abc',
+      JSON.stringify({ renovationPhases: [{ id: 'p1' }], lastUpdated: '2025-01-01T00:00:00.000Z' })
+    );
+    localStorage.setItem('partnershipData_abc', JSON.stringify({ partners: [{ id: 'partner1' }] }));
+    localStorage.setItem('unrelated', 'keep me');
+
+    expect(await migrateFromLocalStorage(database, localStorage)).toEqual({ trackers: 1, partnerships: 1, history: 0 });
+
+    const tracker = (await database.projectTrackers.where('propertyId').equals('abc').first())!;
+    expect(tracker.lastUpdated).toBe('2025-01-01T00:00:00.000Z');
+    expect(tracker.data).toMatchObject({ propertyId: 'abc', permits: [], changeOrders: [] });
+    expect((await database.partnershipData.where('propertyId').equals('abc').first())!.data.partners).toHaveLength(1);
+
+    expect(localStorage.getItem('projectTracker_abc')).toBeNull();
+    expect(localStorage.getItem('partnershipData_abc')).toBeNull();
+    expect(localStorage.getItem('unrelated')).toBe('keep me');
+
+    // Nothing left to import on the next startup
+    expect(await migrateFromLocalStorage(database, localStorage)).toEqual({ trackers: 0, partnerships: 0, history: 0 });
+  });
+
+  it('should not overwrite a newer IndexedDB row with a stale legacy copy', async () => {
+    database = new RealEstateDB(nextName());
+    await database.projectTrackers.add({
+      propertyId: 'abc',
+      data: {
+        propertyId: 'abc',
+        renovationPhases: [{ id: 'current' } as any],
+        permits: [],
+        materialOrders: [],
+        criticalMilestones: [],
+        delays: [],
+        contractorPerformance: [],
+        changeOrders: [],
+        lastUpdated: '2025-06-01T00:00:00.000Z',
+      },
+      lastUpdated: '2025-06-01T00:00:00.000Z',
+    });
+    localStorage.setItem('indexeddb_migration_complete', 'true');
+    localStorage.setItem(
+      'projectTracker_abc',
+      JSON.stringify({ renovationPhases: [{ id: 'stale' }], lastUpdated: '2025-01-01T00:00:00.000Z' })
+    );
+
+    expect((await migrateFromLocalStorage(database, localStorage)).trackers).toBe(0);
+    const tracker = (await database.projectTrackers.where('propertyId').equals('abc').first())!;
+    expect(tracker.data.renovationPhases[0].id).toBe('current');
+    expect(localStorage.getItem('projectTracker_abc')).toBeNull();
+  });
+
+  it('should import search history once', async () => {
+    database = new RealEstateDB(nextName());
+    localStorage.setItem(
+      'propertySearchHistory',
+      JSON.stringify([{ formData: v1Fixture.propertyHistory[0].formData, timestamp: '2024-10-01T00:00:00.000Z' }])
+    );
+
+    expect((await migrateFromLocalStorage(database, localStorage)).history).toBe(1);
+    expect((await migrateFromLocalStorage(database, localStorage)).history).toBe(0);
+    expect(await database.propertyHistory.count()).toBe(1);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for applying a financing plan to the backend's results
+ */
+
+import { applyFinancing, getDealLoans, toFinancingLoans } from '../financing';
+import { PropertyAnalysisResult, PropertyFormData } from '../../types/property';
+
+const formData = (overrides: Partial<PropertyFormData> = {}): PropertyFormData => ({
+  address: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 300000,
+  downPayment: 20,
+  loanInterestRate: 12,
+  loanTerm: 30,
+  rehabCost: 50000,
+  monthsToFlip: 6,
+  ...overrides,
+});
+
+const results = (): PropertyAnalysisResult => ({
+  property: { address: '1 Main St', city: 'Springfield', state: 'IL', zip: '62704' },
+  flip: {
+    purchasePrice: 300000,
+    rehabCost: 50000,
+    arv: 450000,
+    totalInvestment: 350000,
+    sellingCosts: 36000,
+    netProfit: 64000,
+    roi: 18.29,
+    holdingMonths: 6,
+    timeline: '6 months',
+  },
+  rental: {
+    purchasePrice: 300000,
+    downPayment: 60000,
+    loanAmount: 240000,
+    monthlyRent: 3000,
+    monthlyPayment: 1597,
+    propertyTax: 300,
+    insurance: 100,
+    maintenance: 150,
+    vacancy: 150,
+    totalExpenses: 2297,
+    cashFlow: 703,
+    capRate: 9,
+    cashOnCashReturn: 14.06,
+  },
+});
+
+describe('toFinancingLoans', () => {
+  it('should return no loans for the default mortgage', () => {
+    expect(toFinancingLoans(formData())).toEqual([]);
+  });
+
+  it('should convert the form percents and schedule rehab draws', () => {
+    const [loan] = toFinancingLoans(
+      formData({ financing: { type: 'HARD_MONEY', ltv: 90, points: 3, fundRehab: true } })
+    );
+
+    expect(loan).toMatchObject({ type: 'HARD_MONEY', amount: 270000, rate: 0.12, points: 0.03, termMonths: 12 });
+    expect(loan.draws!.map((draw) => draw.month)).toEqual([2, 3, 4, 5, 6]);
+    expect(loan.draws!.reduce((sum, draw) => sum + draw.amount, 0)).toBe(50000);
+  });
+});
+
+describe('getDealLoans', () => {
+  it('should fall back to a conventional loan at the form rate and term', () => {
+    const [loan] = getDealLoans(formData({ loanInterestRate: 6.5, loanTerm: 15 }), 240000);
+    expect(loan).toMatchObject({ type: 'CONVENTIONAL', amount: 240000, rate: 0.065, termMonths: 180, amortizationMonths: 180 });
+  });
+});
+
+describe('applyFinancing', () => {
+  it('should leave results alone without a plan', () => {
+    const raw = results();
+    expect(applyFinancing(raw, formData())).toBe(raw);
+  });
+
+  it('should charge interest, points and fees against the flip', () => {
+    const { flip } = applyFinancing(results(), formData({ financing: { type: 'HARD_MONEY' } }));
+
+    // 240,000 interest-only at 12% for 6 months, 2 points and $1,500 of fees
+    expect(flip!.financingCosts).toBe(14400 + 4800 + 1500);
+    expect(flip!.netProfit).toBe(64000 - 20700);
+    expect(flip!.totalInvestment).toBe(350000 + 20700);
+    expect(flip!.roi).toBeCloseTo((43300 / 370700) * 100, 6);
+    expect(flip!.financing).toMatchObject({ loanNames: 'Hard Money', loanPayoff: 240000, balloons: [] });
+  });
+
+  it('should replace the rental payment and report the balloon', () => {
+    const { rental } = applyFinancing(
+      results(),
+      formData({ loanInterestRate: 6, financing: { type: 'SELLER_CARRY', ltv: 90 } })
+    );
+
+    expect(rental!.loanAmount).toBe(270000);
+    expect(rental!.downPayment).toBe(30000);
+    expect(rental!.monthlyPayment).toBe(1619);
+    expect(rental!.cashFlow).toBe(3000 - (2297 - 1597 + 1619));
+    expect(rental!.financing!.balloons).toEqual([{ name: 'Seller Carry', month: 60, amount: 251247 }]);
+  });
+
+  it('should not apply the plan twice', () => {
+    const once = applyFinancing(results(), formData({ financing: { type: 'HARD_MONEY' } }));
+    expect(applyFinancing(once, formData({ financing: { type: 'HARD_MONEY' } }))).toBe(once);
+  });
+});
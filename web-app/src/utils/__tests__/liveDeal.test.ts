@@ -0,0 +1,122 @@
+/**
+ * Tests for the live deal (flip re-run on Project Tracker actuals)
+ */
+
+import { analyzeLiveDeal, getRehabProgress, loadTargetMargin, saveTargetMargin, toFlipPropertyData } from '../liveDeal';
+import { calculateFlipAnalysis } from '../../shared-core/calculations/flip.js';
+import { PropertyFormData } from '../../types/property';
+import { ProjectTrackerData, RenovationPhase } from '../../types/projectTracker';
+
+const formData: PropertyFormData = {
+  address: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 300000,
+  downPayment: 20,
+  loanInterestRate: 7,
+  loanTerm: 30,
+  rehabCost: 50000,
+  monthsToFlip: 6,
+};
+
+const phase = (overrides: Partial<RenovationPhase>): RenovationPhase => ({
+  id: overrides.phaseName || 'phase',
+  phaseName: 'Phase',
+  description: '',
+  estimatedCost: 0,
+  actualCost: 0,
+  estimatedDuration: 0,
+  actualDuration: 0,
+  startDate: '',
+  endDate: '',
+  contractor: '',
+  status: 'not-started',
+  notes: '',
+  ...overrides,
+});
+
+const tracker = (overrides: Partial<ProjectTrackerData> = {}): ProjectTrackerData => ({
+  propertyId: 'p1',
+  renovationPhases: [
+    phase({ phaseName: 'Demo', estimatedCost: 10000, actualCost: 12000, estimatedDuration: 30, startDate: '2026-01-01', endDate: '2026-01-31', status: 'completed' }),
+    phase({ phaseName: 'Kitchen', estimatedCost: 40000, actualCost: 15000, estimatedDuration: 60, startDate: '2026-02-01', endDate: '2026-05-01', status: 'in-progress' }),
+  ],
+  permits: [
+    { id: 'b', permitType: 'Building', permitNumber: '', applicationDate: '', approvalDate: '', expirationDate: '', cost: 800, issuingAuthority: '', status: 'approved', notes: '' },
+    { id: 'e', permitType: 'Electrical', permitNumber: '', applicationDate: '', approvalDate: '', expirationDate: '', cost: 300, issuingAuthority: '', status: 'rejected', notes: '' },
+  ],
+  materialOrders: [],
+  criticalMilestones: [],
+  delays: [],
+  contractorPerformance: [],
+  changeOrders: [
+    { id: 'c1', changeOrderNumber: '1', title: 'Subfloor', description: '', requestedBy: '', requestDate: '', approvalDate: '', originalScope: '', newScope: '', costImpact: 2500, timeImpact: 5, status: 'approved', justification: '', notes: '' },
+    { id: 'c2', changeOrderNumber: '2', title: 'Skylight', description: '', requestedBy: '', requestDate: '', approvalDate: '', originalScope: '', newScope: '', costImpact: 4000, timeImpact: 10, status: 'pending', justification: '', notes: '' },
+  ],
+  lastUpdated: '2026-03-01T00:00:00.000Z',
+  ...overrides,
+});
+
+describe('getRehabProgress', () => {
+  it('should total spend, remaining budget, approved change orders and permits', () => {
+    const progress = getRehabProgress(tracker(), 6);
+
+    expect(progress).toMatchObject({ spent: 27000, remaining: 25000, changeOrders: 2500, permitCosts: 800 });
+    // Jan 1 to May 1 is 120 days against 90 planned, plus 5 days of change orders
+    expect(progress.monthsToFlip).toBeCloseTo(6 + 35 / 30.4);
+  });
+
+  it('should fall back to phase durations without dates', () => {
+    const progress = getRehabProgress(tracker({
+      renovationPhases: [
+        phase({ estimatedDuration: 30, actualDuration: 20, status: 'completed' }),
+        phase({ estimatedDuration: 30, actualDuration: 45, status: 'in-progress' }),
+      ],
+      changeOrders: [],
+    }), 6);
+
+    expect(progress.monthsToFlip).toBeCloseTo(6 + 5 / 30.4);
+  });
+});
+
+describe('analyzeLiveDeal', () => {
+  it('should compare the original flip with the current projection', () => {
+    const live = analyzeLiveDeal(formData, 420000, tracker(), 15);
+
+    expect(live?.error).toBe(false);
+    expect(live?.original.totalRehab).toBe(55000);
+    expect(live?.current.monthsToFlip).toBe(8);
+    expect(live?.rehabOverrun).toBeGreaterThan(0);
+    expect(live?.profitChange).toBeLessThan(0);
+    expect(live?.targetProfitMargin).toBe(15);
+  });
+
+  it('should run both columns on the inputs the original analysis used', () => {
+    const live = analyzeLiveDeal({ ...formData, cashInvestment: 10000 }, 420000, tracker());
+    const unchanged = analyzeLiveDeal(formData, 420000, tracker());
+    const original = calculateFlipAnalysis(toFlipPropertyData(formData), 420000) as { netProfit: number; roi: number };
+
+    expect(unchanged?.original).toMatchObject({ netProfit: original.netProfit, roi: original.roi });
+    // Extra cash changes the return on it, not the profit, in both columns alike
+    expect(live?.original.netProfit).toBe(unchanged?.original.netProfit);
+    expect(live?.current.netProfit).toBe(unchanged?.current.netProfit);
+    expect(live?.original.roi).toBeLessThan(unchanged!.original.roi);
+    expect(live?.current.roi).toBeLessThan(unchanged!.current.roi);
+  });
+
+  it('should return null before any phases are tracked', () => {
+    expect(analyzeLiveDeal(formData, 420000, tracker({ renovationPhases: [] }))).toBeNull();
+    expect(analyzeLiveDeal(formData, 420000, null)).toBeNull();
+  });
+});
+
+describe('target margin storage', () => {
+  it('should round-trip and clear the target margin', () => {
+    expect(loadTargetMargin()).toBeUndefined();
+    saveTargetMargin(12);
+    expect(loadTargetMargin()).toBe(12);
+    saveTargetMargin(undefined);
+    expect(loadTargetMargin()).toBeUndefined();
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Tests for portfolio rollup calculations
+ */
+
+import {
+  calculateHoldingMetrics,
+  calculateConcentration,
+  calculatePortfolioSummary,
+  suggestPortfolioStrategy,
+  PortfolioHoldingInput,
+} from '../portfolio';
+import { PropertyAnalysisResult, RentalAnalysis, FlipAnalysis } from '../../types/property';
+import { PortfolioStrategy } from '../../types/portfolio';
+
+const makeRental = (overrides: Partial<RentalAnalysis> = {}): RentalAnalysis => ({
+  purchasePrice: 200000,
+  downPayment: 50000,
+  loanAmount: 150000,
+  monthlyRent: 2000,
+  monthlyPayment: 1000,
+  propertyTax: 200,
+  insurance: 100,
+  maintenance: 100,
+  vacancy: 100,
+  totalExpenses: 1500,
+  cashFlow: 500,
+  capRate: 7.2,
+  cashOnCashReturn: 12,
+  ...overrides,
+});
+
+const makeFlip = (overrides: Partial<FlipAnalysis> = {}): FlipAnalysis => ({
+  purchasePrice: 200000,
+  rehabCost: 40000,
+  arv: 300000,
+  totalInvestment: 250000,
+  sellingCosts: 24000,
+  netProfit: 26000,
+  roi: 10.4,
+  holdingMonths: 6,
+  timeline: '6 months',
+  ...overrides,
+});
+
+const makeInput = (
+  propertyId: string,
+  state: string,
+  strategy: PortfolioStrategy,
+  results: Partial<PropertyAnalysisResult> = {}
+): PortfolioHoldingInput => ({
+  holding: { propertyId, strategy, addedAt: '2026-01-01T00:00:00.000Z' },
+  displayAddress: `${propertyId} Main St, Springfield, ${state} 62704`,
+  results: {
+    property: { address: `${propertyId} Main St`, city: 'Springfield', state, zip: '62704' },
+    ...results,
+  },
+});
+
+describe('calculateHoldingMetrics', () => {
+  it('should derive NOI and debt service from the rental output', () => {
+    const metrics = calculateHoldingMetrics(makeInput('a', 'IL', 'rental', { rental: makeRental() }));
+
+    // Operating expenses exclude the mortgage: 1500 - 1000 = 500/month
+    expect(metrics.annualNOI).toBe(18000);
+    expect(metrics.annualDebtService).toBe(12000);
+    expect(metrics.monthlyCashFlow).toBe(500);
+    expect(metrics.capRate).toBeCloseTo(9, 5);
+    expect(metrics.debt).toBe(150000);
+    expect(metrics.equity).toBe(50000);
+  });
+
+  it('should value a property at ARV when the analysis has one', () => {
+    const metrics = calculateHoldingMetrics(
+      makeInput('a', 'IL', 'rental', { rental: makeRental(), flip: makeFlip() })
+    );
+
+    expect(metrics.marketValue).toBe(300000);
+    expect(metrics.equity).toBe(150000);
+  });
+
+  it('should leave cash flow and NOI out for flips and report projected profit', () => {
+    const metrics = calculateHoldingMetrics(
+      makeInput('a', 'IL', 'flip', { rental: makeRental(), flip: makeFlip() })
+    );
+
+    expect(metrics.monthlyCashFlow).toBe(0);
+    expect(metrics.annualNOI).toBe(0);
+    expect(metrics.annualDebtService).toBe(0);
+    expect(metrics.projectedProfit).toBe(26000);
+    expect(metrics.debt).toBe(150000);
+  });
+
+  it('should handle a flip without a rental output as unlevered', () => {
+    const metrics = calculateHoldingMetrics(makeInput('a', 'tx', 'flip', { flip: makeFlip() }));
+
+    expect(metrics.debt).toBe(0);
+    expect(metrics.equity).toBe(300000);
+    expect(metrics.state).toBe('TX');
+  });
+});
+
+describe('calculateConcentration', () => {
+  it('should group by key and sort by share of market value', () => {
+    const holdings = [
+      makeInput('a', 'IL', 'rental', { rental: makeRental({ purchasePrice: 100000 }) }),
+      makeInput('b', 'TX', 'rental', { rental: makeRental({ purchasePrice: 300000 }) }),
+      makeInput('c', 'IL', 'rental', { rental: makeRental({ purchasePrice: 100000 }) }),
+    ].map(calculateHoldingMetrics);
+
+    const slices = calculateConcentration(holdings, (h) => h.state);
+
+    expect(slices).toEqual([
+      { key: 'TX', count: 1, marketValue: 300000, share: 60 },
+      { key: 'IL', count: 2, marketValue: 200000, share: 40 },
+    ]);
+  });
+
+  it('should return no slices for an empty portfolio', () => {
+    expect(calculateConcentration([], (h) => h.state)).toEqual([]);
+  });
+});
+
+describe('calculatePortfolioSummary', () => {
+  it('should roll up rentals and flips', () => {
+    const summary = calculatePortfolioSummary([
+      makeInput('a', 'IL', 'rental', { rental: makeRental() }),
+      makeInput('b', 'IL', 'rental', {
+        rental: makeRental({ purchasePrice: 300000, loanAmount: 240000, monthlyPayment: 1600, totalExpenses: 2400, cashFlow: -100, monthlyRent: 2300 }),
+      }),
+      makeInput('c', 'OH', 'flip', { flip: makeFlip() }),
+    ]);
+
+    expect(summary.propertyCount).toBe(3);
+    expect(summary.rentalCount).toBe(2);
+    expect(summary.flipCount).toBe(1);
+    expect(summary.monthlyCashFlow).toBe(400);
+    // NOI: 18000 + (2300 - 800) * 12 = 36000
+    expect(summary.annualNOI).toBe(36000);
+    expect(summary.annualDebtService).toBe(12000 + 19200);
+    expect(summary.blendedCapRate).toBeCloseTo(7.2, 5);
+    expect(summary.dscr).toBeCloseTo(36000 / 31200, 5);
+    expect(summary.totalDebt).toBe(390000);
+    expect(summary.totalMarketValue).toBe(800000);
+    expect(summary.totalEquity).toBe(410000);
+    expect(summary.projectedFlipProfit).toBe(26000);
+    expect(summary.byStrategy.map((s) => s.key)).toEqual(['rental', 'flip']);
+  });
+
+  it('should report DSCR as null when no rental carries debt', () => {
+    const summary = calculatePortfolioSummary([
+      makeInput('a', 'IL', 'rental', { rental: makeRental({ loanAmount: 0, monthlyPayment: 0, totalExpenses: 500, cashFlow: 1500 }) }),
+    ]);
+
+    expect(summary.dscr).toBeNull();
+    expect(summary.blendedCapRate).toBeCloseTo(9, 5);
+  });
+
+  it('should warn when one state holds most of the portfolio value', () => {
+    const summary = calculatePortfolioSummary([
+      makeInput('a', 'IL', 'rental', { rental: makeRental({ purchasePrice: 300000 }) }),
+      makeInput('b', 'TX', 'rental', { rental: makeRental({ purchasePrice: 100000 }) }),
+    ]);
+
+    expect(summary.concentrationWarnings).toEqual(['75% of portfolio value is in IL']);
+  });
+
+  it('should not warn about a single-property portfolio', () => {
+    const summary = calculatePortfolioSummary([makeInput('a', 'IL', 'rental', { rental: makeRental() })]);
+
+    expect(summary.concentrationWarnings).toEqual([]);
+  });
+
+  it('should return zeroed totals for an empty portfolio', () => {
+    const summary = calculatePortfolioSummary([]);
+
+    expect(summary.propertyCount).toBe(0);
+    expect(summary.blendedCapRate).toBe(0);
+    expect(summary.dscr).toBeNull();
+  });
+});
+
+describe('suggestPortfolioStrategy', () => {
+  it('should prefer rental when it cash flows', () => {
+    expect(suggestPortfolioStrategy({ ...makeInput('a', 'IL', 'rental').results, rental: makeRental(), flip: makeFlip() })).toBe('rental');
+  });
+
+  it('should prefer flip when the rental loses money and the flip is profitable', () => {
+    expect(
+      suggestPortfolioStrategy({ ...makeInput('a', 'IL', 'rental').results, rental: makeRental({ cashFlow: -50 }), flip: makeFlip() })
+    ).toBe('flip');
+  });
+
+  it('should fall back to whichever output exists', () => {
+    expect(suggestPortfolioStrategy({ ...makeInput('a', 'IL', 'rental').results, flip: makeFlip() })).toBe('flip');
+    expect(suggestPortfolioStrategy({ ...makeInput('a', 'IL', 'rental').results, rental: makeRental() })).toBe('rental');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for the Advanced Metrics tab's pro forma
+ */
+
+import {
+  loadProFormaInputs,
+  projectDealProForma,
+  proFormaToCSV,
+  saveProFormaInputs,
+  toProFormaAssumptions,
+} from '../proforma';
+import { PropertyFormData, RentalAnalysis } from '../../types/property';
+
+const formData: PropertyFormData = {
+  address: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 300000,
+  downPayment: 20,
+  loanInterestRate: 7,
+  loanTerm: 30,
+  rehabCost: 30000,
+  monthsToFlip: 6,
+};
+
+const rental: RentalAnalysis = {
+  purchasePrice: 300000,
+  downPayment: 60000,
+  loanAmount: 240000,
+  monthlyRent: 2800,
+  monthlyPayment: 1596.73,
+  propertyTax: 312.5,
+  insurance: 100,
+  maintenance: 250,
+  vacancy: 140,
+  totalExpenses: 2499.23,
+  cashFlow: 300.77,
+  capRate: 6.5,
+  cashOnCashReturn: 4,
+};
+
+describe('toProFormaAssumptions', () => {
+  it('should turn the percent inputs into shared-core decimals', () => {
+    expect(toProFormaAssumptions({
+      rentGrowth: 4,
+      insuranceGrowth: 8,
+      exitCapRate: 6.5,
+      capexItems: [{ name: 'Roof', year: 0, cost: 12000 }, { name: 'HVAC', year: 6, cost: 8000 }],
+    })).toMatchObject({
+      rentGrowth: 0.04,
+      expenseGrowth: undefined,
+      expenseGrowthByLine: { insurance: 0.08 },
+      exitCapRate: 0.065,
+      // Components without a year are not scheduled
+      capexItems: [{ name: 'HVAC', year: 6, cost: 8000 }],
+    });
+  });
+});
+
+describe('projectDealProForma', () => {
+  it('should project the rental from its monthly income and expenses', () => {
+    const result = projectDealProForma(rental, formData, { holdYears: 5 });
+
+    expect(result.error).toBe(false);
+    expect(result.years).toHaveLength(5);
+    expect(result.leveredCashFlows[0]).toBe(-90000);
+    expect(result.years[0]).toMatchObject({ grossRent: 33600, vacancyLoss: 1680, debtService: 19161 });
+    // HOA is the operating cost left after taxes, insurance and maintenance
+    expect(result.years[0].expenses).toMatchObject({ propertyTaxes: 3750, insurance: 1200, maintenance: 3000, hoaFees: 1200 });
+  });
+
+  it('should export the years, sale and returns as CSV', () => {
+    const result = projectDealProForma(rental, formData, { holdYears: 3, refinanceYear: 2 });
+    const lines = proFormaToCSV(result).split('\n');
+
+    expect(lines[0]).toMatch(/^Year,Gross Rent,Vacancy,/);
+    expect(lines[1].split(',')[0]).toBe('1');
+    expect(lines).toContain(`Net Sale Proceeds,${result.sale.netProceeds}`);
+    expect(lines).toContain(`Levered IRR,${result.leveredIRR}%`);
+    expect(lines).toContain(`Refinance Cash Out,${result.refinance?.cashOut}`);
+  });
+});
+
+describe('pro forma assumption storage', () => {
+  it('should round-trip the assumptions through localStorage', () => {
+    expect(loadProFormaInputs()).toEqual({});
+    saveProFormaInputs({ holdYears: 7, exitCapRate: 6 });
+    expect(loadProFormaInputs()).toEqual({ holdYears: 7, exitCapRate: 6 });
+  });
+});
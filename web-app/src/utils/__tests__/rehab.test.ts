@@ -0,0 +1,83 @@
+/**
+ * Tests for the rehab scope of work
+ */
+
+import { applyRehabScope, estimateFormRehab, toRenovationPhases, withRehabBudget } from '../rehab';
+import { FlipAnalysis, PropertyAnalysisResult, PropertyFormData } from '../../types/property';
+
+const formData: PropertyFormData = {
+  address: '1 Main St',
+  city: 'Austin',
+  state: 'TX',
+  zip: '78701',
+  purchasePrice: 250000,
+  rehabCost: 10000,
+  yearBuilt: 1985,
+  rehabScope: {
+    finishLevel: 'standard',
+    items: [
+      { item: 'kitchenRemodel', quantity: 1 },
+      { item: 'lvp', quantity: 1000, unitCost: 4 },
+    ],
+  },
+};
+
+const flip: FlipAnalysis = {
+  purchasePrice: 250000,
+  rehabCost: 31500,
+  arv: 340000,
+  totalInvestment: 281500,
+  sellingCosts: 27200,
+  netProfit: 31300,
+  roi: 11.1,
+  holdingMonths: 6,
+  timeline: '6 months',
+};
+
+describe('estimateFormRehab', () => {
+  it('should price catalog items for the state and use quotes as entered', () => {
+    const estimate = estimateFormRehab(formData);
+
+    expect(estimate?.error).toBe(false);
+    expect(estimate?.lines.map((line) => line.cost)).toEqual([22000, 4000]);
+    expect(estimate?.totalBudget).toBe(28600);
+  });
+
+  it('should take the contingency as a percent', () => {
+    const estimate = estimateFormRehab({ ...formData, rehabScope: { ...formData.rehabScope!, contingencyRate: 20 } });
+    expect(estimate?.contingency).toBe(5200);
+  });
+
+  it('should return null without line items', () => {
+    expect(estimateFormRehab({ ...formData, rehabScope: { items: [] } })).toBeNull();
+  });
+});
+
+describe('withRehabBudget', () => {
+  it('should send the scope budget, contingency included, as the rehab cost', () => {
+    expect(withRehabBudget(formData).rehabCost).toBe(28600);
+    expect(withRehabBudget({ ...formData, rehabScope: undefined }).rehabCost).toBe(10000);
+  });
+});
+
+describe('applyRehabScope', () => {
+  it('should attach the estimate to the flip result', () => {
+    const results = applyRehabScope({ flip } as PropertyAnalysisResult, formData);
+    expect(results.flip?.rehabScope?.trades.map((trade) => trade.trade)).toEqual(['kitchen', 'flooring']);
+  });
+});
+
+describe('toRenovationPhases', () => {
+  it('should seed not-started tracker phases with each trade budget', () => {
+    const phases = toRenovationPhases(estimateFormRehab(formData)!);
+
+    expect(phases).toHaveLength(2);
+    expect(phases[0]).toMatchObject({
+      phaseName: 'Kitchen',
+      estimatedCost: 24200,
+      estimatedDuration: 11,
+      actualCost: 0,
+      status: 'not-started',
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for the renovation schedule (dependencies and critical path)
+ */
+
+import { reschedulePhases, schedulePhases } from '../schedule';
+import { calculateProjectSummary } from '../calculations';
+import { ProjectDelay, ProjectTrackerData, RenovationPhase } from '../../types/projectTracker';
+
+const phase = (id: string, overrides: Partial<RenovationPhase> = {}): RenovationPhase => ({
+  id,
+  phaseName: id,
+  description: '',
+  estimatedCost: 0,
+  actualCost: 0,
+  estimatedDuration: 10,
+  actualDuration: 0,
+  startDate: '',
+  endDate: '',
+  contractor: '',
+  status: 'not-started',
+  notes: '',
+  ...overrides,
+});
+
+const delay = (phaseId: string, daysDelayed: number): ProjectDelay => ({
+  id: `delay-${phaseId}`,
+  issueTitle: 'Delay',
+  description: '',
+  category: 'Materials',
+  reportedDate: '2026-03-01',
+  resolvedDate: '',
+  daysDelayed,
+  costImpact: 0,
+  responsibleParty: '',
+  status: 'open',
+  resolutionNotes: '',
+  phaseId,
+});
+
+// Demo, then rough-in plumbing and electrical side by side, then drywall a week after both
+const phases = [
+  phase('demo', { startDate: '2026-03-01', estimatedDuration: 5 }),
+  phase('plumbing', { estimatedDuration: 10, dependencies: [{ phaseId: 'demo', lagDays: 0 }] }),
+  phase('electrical', { estimatedDuration: 6, dependencies: [{ phaseId: 'demo', lagDays: 0 }] }),
+  phase('drywall', {
+    estimatedDuration: 8,
+    dependencies: [
+      { phaseId: 'plumbing', lagDays: 7 },
+      { phaseId: 'electrical', lagDays: 7 },
+    ],
+  }),
+];
+
+describe('schedulePhases', () => {
+  it('should find the critical path and float through finish-to-start links with lag', () => {
+    const schedule = schedulePhases(phases);
+
+    expect(schedule.totalDays).toBe(30);
+    expect(schedule.criticalPath).toEqual(['demo', 'plumbing', 'drywall']);
+    expect(schedule.projectedCompletionDate).toBe('2026-03-31');
+
+    const electrical = schedule.phases[2];
+    expect(electrical).toMatchObject({ earlyStart: 5, earlyFinish: 11, lateStart: 9, totalFloat: 4, isCritical: false });
+    expect(schedule.phases[3]).toMatchObject({ startDate: '2026-03-23', endDate: '2026-03-31' });
+  });
+
+  it('should run undated phases back to back until dependencies are set', () => {
+    const schedule = schedulePhases([phase('a'), phase('b', { estimatedDuration: 20 }), phase('c')]);
+
+    expect(schedule.totalDays).toBe(40);
+    expect(schedule.criticalPath).toEqual(['a', 'b', 'c']);
+    expect(schedule.projectedCompletionDate).toBe('');
+  });
+
+  it('should hold a delayed phase past its end and move the critical path', () => {
+    const schedule = schedulePhases(phases, [delay('electrical', 6)]);
+
+    expect(schedule.phases[2]).toMatchObject({ duration: 12, delayDays: 6, isCritical: true });
+    expect(schedule.phases[1].totalFloat).toBe(2);
+    expect(schedule.totalDays).toBe(32);
+  });
+
+  it('should plan the baseline on estimated durations without dates or delays', () => {
+    const dated = [
+      phase('a', { startDate: '2026-01-01', endDate: '2026-02-15', status: 'completed' }),
+      phase('b', { startDate: '2026-03-01', estimatedDuration: 30 }),
+    ];
+
+    expect(schedulePhases(dated, [delay('b', 9)], { baseline: true }).totalDays).toBe(40);
+    expect(schedulePhases(dated, [delay('b', 9)]).totalDays).toBe(98);
+  });
+
+  it('should report dependency loops', () => {
+    const schedule = schedulePhases([
+      phase('a', { dependencies: [{ phaseId: 'b', lagDays: 0 }] }),
+      phase('b', { dependencies: [{ phaseId: 'a', lagDays: 0 }] }),
+    ]);
+
+    expect(schedule.error).toMatch(/loop/);
+    expect(schedule.phases).toEqual([]);
+  });
+});
+
+describe('reschedulePhases', () => {
+  it('should push dated downstream phases back when a delay is logged', () => {
+    const dated = [
+      phase('demo', { startDate: '2026-03-01', endDate: '2026-03-06' }),
+      phase('framing', { startDate: '2026-03-06', endDate: '2026-03-16', dependencies: [{ phaseId: 'demo', lagDays: 0 }] }),
+      phase('paint', { startDate: '2026-04-01', endDate: '2026-04-05', dependencies: [{ phaseId: 'framing', lagDays: 2 }] }),
+    ];
+
+    const rescheduled = reschedulePhases(dated, [delay('demo', 4)]);
+
+    // Demo keeps its dates and runs 4 days over them; framing slides 4 days, paint still has room
+    expect(rescheduled[0]).toBe(dated[0]);
+    expect(rescheduled[1]).toMatchObject({ startDate: '2026-03-10', endDate: '2026-03-20' });
+    expect(rescheduled[2]).toBe(dated[2]);
+  });
+});
+
+describe('calculateProjectSummary projected completion', () => {
+  it('should follow the critical path rather than the last end date', () => {
+    const data: ProjectTrackerData = {
+      propertyId: 'p1',
+      renovationPhases: [
+        phase('demo', { startDate: '2026-03-01', endDate: '2026-03-06' }),
+        phase('kitchen', { startDate: '2026-03-06', endDate: '2026-03-26', dependencies: [{ phaseId: 'demo', lagDays: 0 }] }),
+      ],
+      permits: [],
+      materialOrders: [],
+      criticalMilestones: [],
+      delays: [delay('demo', 10)],
+      contractorPerformance: [],
+      changeOrders: [],
+      lastUpdated: '2026-03-01T00:00:00.000Z',
+    };
+
+    expect(calculateProjectSummary(data).projectedCompletionDate).toBe('2026-04-05');
+  });
+});
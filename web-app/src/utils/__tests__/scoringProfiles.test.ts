@@ -0,0 +1,106 @@
+/**
+ * Tests for scoring profiles and profile-based deal scores
+ */
+
+import 'fake-indexeddb/auto';
+import {
+  copyScoringProfile,
+  findScoringProfile,
+  isPresetProfile,
+  listScoringProfiles,
+  scoreAnalysis,
+} from '../scoringProfiles';
+import { deleteScoringProfile, getAllScoringProfiles, saveScoringProfile } from '../db';
+import { DEFAULT_SCORING_PROFILE, PRESET_SCORING_PROFILES } from '../../shared-core/calculations/scoring.js';
+import { PropertyAnalysisResult } from '../../types/property';
+import { SavedScoringProfile } from '../../types/scoring';
+
+const results: PropertyAnalysisResult = {
+  property: { address: '1 Main St', city: 'Springfield', state: 'IL', zip: '62704' },
+  rental: {
+    purchasePrice: 200000,
+    downPayment: 50000,
+    loanAmount: 150000,
+    monthlyRent: 2000,
+    monthlyPayment: 1000,
+    propertyTax: 200,
+    insurance: 100,
+    maintenance: 100,
+    vacancy: 100,
+    totalExpenses: 1500,
+    cashFlow: 500,
+    capRate: 9,
+    cashOnCashReturn: 12,
+  },
+  score: { score: 40, stars: 2, rating: 'Fair' },
+};
+
+const strict = {
+  ...copyScoringProfile(DEFAULT_SCORING_PROFILE, 'Strict'),
+  id: 'strict',
+  recommendationBands: { EXCELLENT: 95, GOOD: 85, CAUTION: 60, HIGH_RISK: 30 },
+};
+
+const savedRow = (profileId: string, name: string): SavedScoringProfile => ({
+  weights: DEFAULT_SCORING_PROFILE.weights,
+  thresholds: DEFAULT_SCORING_PROFILE.thresholds,
+  recommendationBands: DEFAULT_SCORING_PROFILE.recommendationBands,
+  profileId,
+  name,
+  createdAt: '2026-10-01T00:00:00.000Z',
+  updatedAt: '2026-10-01T00:00:00.000Z',
+});
+
+describe('profile lookup', () => {
+  it('should list built-in profiles ahead of saved ones', () => {
+    const profiles = listScoringProfiles([savedRow('mine', 'Mine')]);
+
+    expect(profiles.map((p) => p.id)).toEqual([...PRESET_SCORING_PROFILES.map((p) => p.id), 'mine']);
+    expect(profiles[profiles.length - 1]).toMatchObject({ id: 'mine', name: 'Mine' });
+  });
+
+  it('should fall back to the default profile when the selected one is gone', () => {
+    expect(findScoringProfile(listScoringProfiles([]), 'deleted')).toBe(DEFAULT_SCORING_PROFILE);
+  });
+
+  it('should give copies a new, non-preset id', () => {
+    const copy = copyScoringProfile(DEFAULT_SCORING_PROFILE, 'Mine');
+    expect(copy.id).not.toBe(DEFAULT_SCORING_PROFILE.id);
+    expect(isPresetProfile(copy.id)).toBe(false);
+    expect(copy.weights).toEqual(DEFAULT_SCORING_PROFILE.weights);
+  });
+});
+
+describe('scoreAnalysis', () => {
+  it('should replace the backend score with the profile score and name the profile', () => {
+    expect(scoreAnalysis(results, DEFAULT_SCORING_PROFILE)).toEqual({
+      score: 84,
+      stars: 4,
+      rating: 'Excellent Investment',
+      profileId: 'default',
+      profileName: 'Balanced (Default)',
+    });
+  });
+
+  it('should rate the same metrics against the profile bands', () => {
+    expect(scoreAnalysis(results, strict)).toMatchObject({ score: 84, rating: 'Proceed with Caution', profileId: 'strict' });
+  });
+
+  it('should keep the backend score when there is nothing to score', () => {
+    const { rental: _rental, ...unscored } = results;
+    expect(scoreAnalysis(unscored, DEFAULT_SCORING_PROFILE)).toBe(results.score);
+  });
+});
+
+describe('saved profiles', () => {
+  it('should upsert by profile id and keep the original creation time', async () => {
+    const first = await saveScoringProfile(strict);
+    const second = await saveScoringProfile({ ...strict, name: 'Stricter' });
+
+    expect(second.createdAt).toBe(first.createdAt);
+    expect(await getAllScoringProfiles()).toEqual([expect.objectContaining({ profileId: 'strict', name: 'Stricter' })]);
+
+    await deleteScoringProfile('strict');
+    expect(await getAllScoringProfiles()).toEqual([]);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for analysis snapshot diffs
+ */
+
+import { collectApiSources, diffSnapshots, getAnalysisMode, isSameRun } from '../snapshots';
+import { AnalysisSnapshot } from '../../types/snapshot';
+import { ComparableProperty, PropertyAnalysisResult, PropertyFormData } from '../../types/property';
+
+const comp = (address: string, dataSource: ComparableProperty['dataSource'] = 'zillow'): ComparableProperty => ({
+  address,
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  price: 300000,
+  dataSource,
+});
+
+const formData: PropertyFormData = {
+  address: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 200000,
+  rehabCost: 40000,
+  analysisMode: 'STANDARD',
+};
+
+const results = (arv: number, comps: ComparableProperty[]): PropertyAnalysisResult => ({
+  property: { address: '1 Main St', city: 'Springfield', state: 'IL', zip: '62704' },
+  comps,
+  flip: {
+    purchasePrice: 200000,
+    rehabCost: 40000,
+    arv,
+    totalInvestment: 250000,
+    sellingCosts: 25000,
+    netProfit: arv - 275000,
+    roi: 10,
+    holdingMonths: 6,
+    timeline: '6 months',
+    arvSources: { comps: arv, zillow: 310000, usRealEstate: 0 },
+  },
+});
+
+const snapshot = (runNumber: number, form: PropertyFormData, res: PropertyAnalysisResult): AnalysisSnapshot => ({
+  snapshotId: `run_${runNumber}`,
+  propertyId: 'p1',
+  runNumber,
+  displayAddress: '1 Main St, Springfield, IL 62704',
+  formData: form,
+  analysisResults: res,
+  analysisMode: getAnalysisMode(form, res),
+  apiSources: collectApiSources(res),
+  timestamp: `2026-10-0${runNumber}T12:00:00.000Z`,
+});
+
+describe('run metadata', () => {
+  it('should collect comp sources and non-empty ARV estimates', () => {
+    const res = results(300000, [comp('2 Oak St'), comp('3 Elm St', 'us_real_estate_targeted')]);
+    expect(collectApiSources(res)).toEqual(['comps', 'us_real_estate_targeted', 'zillow']);
+  });
+
+  it('should prefer the mode the backend reports', () => {
+    expect(getAnalysisMode(formData, { ...results(1, []), analysisMode: 'DEEP' })).toBe('DEEP');
+    expect(getAnalysisMode({ ...formData, analysisMode: undefined }, results(1, []))).toBe('STANDARD');
+  });
+
+  it('should treat an identical save as the same run', () => {
+    const run = snapshot(1, formData, results(300000, [comp('2 Oak St')]));
+    expect(isSameRun(run, { ...formData }, results(300000, [comp('2 Oak St')]))).toBe(true);
+    expect(isSameRun(run, { ...formData, purchasePrice: 190000 }, run.analysisResults)).toBe(false);
+  });
+});
+
+describe('diffSnapshots', () => {
+  const before = snapshot(1, formData, results(300000, [comp('2 Oak St'), comp('3 Elm St'), comp('4 Pine St')]));
+
+  it('should tie an ARV move to the comps that dropped out', () => {
+    const after = snapshot(2, formData, results(288000, [comp('2 Oak St')]));
+    const diff = diffSnapshots(before, after);
+
+    expect(diff.inputChanges).toEqual([]);
+    expect(diff.compsRemoved).toEqual(['3 Elm St', '4 Pine St']);
+    expect(diff.compsAdded).toEqual([]);
+
+    const arv = diff.outputChanges.find((c) => c.key === 'arv')!;
+    expect(arv).toMatchObject({ before: 300000, after: 288000, change: -12000 });
+    expect(arv.changePercent).toBeCloseTo(-4, 5);
+    expect(diff.outputChanges.find((c) => c.key === 'compCount')).toMatchObject({ before: 3, after: 1 });
+    expect(diff.explanations[0]).toBe('ARV moved down 4.0% because 2 comps dropped out');
+  });
+
+  it('should report input and mode changes', () => {
+    const after = snapshot(2, { ...formData, purchasePrice: 190000, analysisMode: 'DEEP' }, before.analysisResults);
+    const diff = diffSnapshots(before, after);
+
+    expect(diff.inputChanges).toHaveLength(1);
+    expect(diff.inputChanges[0]).toMatchObject({ key: 'purchasePrice', change: -10000, changePercent: -5 });
+    expect(diff.modeChanged).toBe(true);
+    expect(diff.explanations).toEqual([
+      'Inputs changed: Purchase Price',
+      'Analysis mode changed from STANDARD to DEEP',
+      'No outputs changed between these runs',
+    ]);
+  });
+
+  it('should put a score move down to a change of scoring profile', () => {
+    const scored = (score: number, profileId: string, profileName: string): PropertyAnalysisResult => ({
+      ...before.analysisResults,
+      score: { score, stars: 3, rating: 'Good Investment', profileId, profileName },
+    });
+    const diff = diffSnapshots(
+      snapshot(1, formData, scored(62, 'default', 'Balanced (Default)')),
+      snapshot(2, formData, scored(71, 'cash-flow', 'Cash Flow Buy & Hold'))
+    );
+
+    expect(diff.outputChanges.map((c) => c.key)).toEqual(['dealScore']);
+    expect(diff.explanations).toEqual([
+      'Deal score used the Cash Flow Buy & Hold scoring profile instead of Balanced (Default)',
+    ]);
+  });
+
+  it('should match comps by address regardless of case', () => {
+    const after = snapshot(2, formData, results(300000, [comp('2 OAK ST'), comp('3 Elm St'), comp('4 Pine St')]));
+    expect(diffSnapshots(before, after).compsRemoved).toEqual([]);
+  });
+});
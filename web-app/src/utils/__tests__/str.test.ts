@@ -0,0 +1,81 @@
+/**
+ * Tests for the short-term rental strategy
+ */
+
+import { applySTR, toSTRAssumptions } from '../str';
+import { pickStrategy, scoreSTR } from '../compare';
+import { scoreAnalysis } from '../scoringProfiles';
+import { DEFAULT_SCORING_PROFILE } from '../../shared-core/calculations/scoring.js';
+import { PropertyAnalysisResult, PropertyFormData, RentalAnalysis } from '../../types/property';
+
+const formData: PropertyFormData = {
+  address: '1 Beach Rd',
+  city: 'Destin',
+  state: 'FL',
+  zip: '32541',
+  purchasePrice: 300000,
+  downPayment: 20,
+  loanInterestRate: 7,
+  loanTerm: 30,
+  str: { nightlyRate: 275, seasonality: 'summer', averageOccupancy: 65, occupancyTaxRate: 5 },
+};
+
+const rental: RentalAnalysis = {
+  purchasePrice: 300000,
+  downPayment: 60000,
+  loanAmount: 240000,
+  monthlyRent: 2200,
+  monthlyPayment: 1596.73,
+  propertyTax: 312.5,
+  insurance: 100,
+  maintenance: 250,
+  vacancy: 132,
+  totalExpenses: 2391.23,
+  cashFlow: -191.23,
+  capRate: 4.2,
+  cashOnCashReturn: -3.8,
+};
+
+const results: PropertyAnalysisResult = {
+  property: { address: formData.address, city: formData.city, state: formData.state, zip: formData.zip },
+  rental,
+};
+
+describe('toSTRAssumptions', () => {
+  it('should turn the percent inputs into shared-core decimals', () => {
+    expect(toSTRAssumptions({ nightlyRate: 200, averageOccupancy: 60, managementRate: 15 })).toMatchObject({
+      nightlyRate: 200,
+      averageOccupancy: 0.6,
+      managementRate: 0.15,
+      platformFeeRate: undefined,
+    });
+  });
+});
+
+describe('applySTR', () => {
+  it('should analyze the short-term rental on the rental result\'s costs and loan', () => {
+    const { str } = applySTR(results, formData);
+
+    expect(str?.error).toBe(false);
+    expect(str?.occupancy).toBeCloseTo(65, 1);
+    expect(str?.expenseBreakdown.propertyTaxes).toBe(3750);
+    expect(str?.annualDebtService).toBe(Math.round(rental.monthlyPayment * 12));
+  });
+
+  it('should leave the results alone without a nightly rate', () => {
+    expect(applySTR(results, { ...formData, str: {} })).toBe(results);
+    expect(applySTR(results, { ...formData, str: undefined })).toBe(results);
+  });
+});
+
+describe('short-term rental scoring', () => {
+  it('should score the deal on its short-term rental when that is the stronger strategy', () => {
+    const withSTR = applySTR(results, formData);
+    const strScore = scoreSTR(withSTR);
+
+    expect(scoreSTR(results)).toBeNull();
+    expect(strScore).toBeGreaterThan(0);
+    expect(scoreAnalysis(withSTR, DEFAULT_SCORING_PROFILE)?.score).toBe(strScore);
+    expect(pickStrategy({ flip: null, rental: 20, str: strScore })).toBe('str');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the Tax Benefits tab's projection
+ */
+
+import { loadTaxProfileInputs, projectDealTaxes, saveTaxProfileInputs, toTaxProfile } from '../tax';
+import { PropertyFormData, RentalAnalysis } from '../../types/property';
+
+const formData: PropertyFormData = {
+  address: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 300000,
+  downPayment: 20,
+  loanInterestRate: 7,
+  loanTerm: 30,
+  rehabCost: 30000,
+  monthsToFlip: 6,
+};
+
+const rental: RentalAnalysis = {
+  purchasePrice: 300000,
+  downPayment: 60000,
+  loanAmount: 240000,
+  monthlyRent: 2800,
+  monthlyPayment: 1596.73,
+  propertyTax: 312.5,
+  insurance: 100,
+  maintenance: 250,
+  vacancy: 140,
+  totalExpenses: 2399.23,
+  cashFlow: 400.77,
+  capRate: 6.5,
+  cashOnCashReturn: 5.3,
+};
+
+describe('toTaxProfile', () => {
+  it('should turn the percent inputs into shared-core decimals', () => {
+    expect(toTaxProfile({ landValueRatio: 25, costSegregation: { fiveYear: 15 }, bonusDepreciationRate: 60 })).toMatchObject({
+      landValueRatio: 0.25,
+      costSegregation: { fiveYear: 0.15, sevenYear: undefined, fifteenYear: undefined },
+      bonusDepreciationRate: 0.6,
+    });
+  });
+});
+
+describe('projectDealTaxes', () => {
+  it('should project the rental from its monthly income and expenses', () => {
+    const result = projectDealTaxes(rental, formData, { ordinaryIncome: 120000 });
+
+    expect(result.error).toBe(false);
+    expect(result.afterTaxCashFlows[0]).toBe(-90000);
+    expect(result.years[0]).toMatchObject({ effectiveGrossIncome: 31920, operatingExpenses: 7950, interest: 16723 });
+    expect(result.depreciableBasis).toBe(270000);
+  });
+
+  it('should deduct more in year one with cost segregation and bonus depreciation', () => {
+    const straightLine = projectDealTaxes(rental, formData, { ordinaryIncome: 120000, realEstateProfessional: true });
+    const costSeg = projectDealTaxes(rental, formData, {
+      ordinaryIncome: 120000,
+      realEstateProfessional: true,
+      costSegregation: { fiveYear: 15, fifteenYear: 10 },
+      bonusDepreciationRate: 100,
+    });
+
+    expect(costSeg.years[0].depreciation).toBeGreaterThan(straightLine.years[0].depreciation * 5);
+    expect(costSeg.years[0].taxDue).toBeLessThan(straightLine.years[0].taxDue);
+  });
+});
+
+describe('tax profile storage', () => {
+  it('should round-trip the profile through localStorage', () => {
+    expect(loadTaxProfileInputs()).toEqual({});
+    saveTaxProfileInputs({ filingStatus: 'marriedJoint', holdYears: 7 });
+    expect(loadTaxProfileInputs()).toEqual({ filingStatus: 'marriedJoint', holdYears: 7 });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the multi-unit rent roll
+ */
+
+import { applyUnitMix, toRentalUnits } from '../units';
+import { PropertyAnalysisResult, PropertyFormData, RentalAnalysis } from '../../types/property';
+
+const rental: RentalAnalysis = {
+  purchasePrice: 400000,
+  downPayment: 80000,
+  loanAmount: 320000,
+  monthlyRent: 3000,
+  monthlyPayment: 2128.97,
+  propertyTax: 416.67,
+  insurance: 150,
+  maintenance: 300,
+  vacancy: 180,
+  totalExpenses: 3175.64,
+  cashFlow: -175.64,
+  capRate: 5.5,
+  cashOnCashReturn: -2.6,
+};
+
+const results: PropertyAnalysisResult = {
+  property: { address: '12 Elm St', city: 'Dayton', state: 'OH', zip: '45402' },
+  rental,
+};
+
+const formData: PropertyFormData = {
+  address: '12 Elm St',
+  city: 'Dayton',
+  state: 'OH',
+  zip: '45402',
+  purchasePrice: 400000,
+  units: [
+    { label: 'Up', beds: 2, baths: 1, currentRent: 1500, marketRent: 1600, vacancyRate: 5 },
+    { label: 'Down', beds: 2, baths: 1, currentRent: 0, marketRent: 1600 },
+  ],
+};
+
+describe('toRentalUnits', () => {
+  it('should label units and turn vacancy into a decimal', () => {
+    expect(toRentalUnits([{ vacancyRate: 8 }, { label: 'B' }])).toEqual([
+      { label: 'Unit 1', vacancyRate: 0.08 },
+      { label: 'B', vacancyRate: undefined },
+    ]);
+  });
+});
+
+describe('applyUnitMix', () => {
+  it('should re-price rent, vacancy and returns on the rent roll', () => {
+    const updated = applyUnitMix(results, formData).rental!;
+
+    // Vacant unit counts at market; blank vacancy takes the backend's 6%
+    expect(updated.monthlyRent).toBe(3100);
+    expect(updated.vacancy).toBe(75 + 96);
+    expect(updated.totalExpenses).toBeCloseTo(3175.64 - 180 + 171, 2);
+    expect(updated.cashFlow).toBeCloseTo(3100 - updated.totalExpenses, 2);
+    expect(updated.capRate).toBeCloseTo(((3100 - 171 - 866.67) * 12 / 400000) * 100, 2);
+    expect(updated.cashOnCashReturn).toBeCloseTo((updated.cashFlow * 12 / 80000) * 100, 5);
+    expect(updated.unitCount).toBe(2);
+    expect(updated.pricePerDoor).toBe(200000);
+    expect(updated.houseHack).toBeNull();
+  });
+
+  it('should leave the owner-occupied unit out of income and report the house hack', () => {
+    const houseHacked = { ...formData, units: [formData.units![0], { ...formData.units![1], ownerOccupied: true }] };
+    const updated = applyUnitMix(results, houseHacked).rental!;
+    const fullyRented = applyUnitMix(results, formData).rental!;
+
+    expect(updated.monthlyRent).toBe(1500);
+    expect(updated.houseHack).toEqual({
+      ownerUnit: 'Down',
+      ownerUnitMarketRent: 1600,
+      netHousingCost: -updated.cashFlow,
+      savingsVsRenting: 1600 + updated.cashFlow,
+      fullyRentedMonthlyCashFlow: fullyRented.cashFlow,
+    });
+  });
+
+  it('should leave results alone without a usable unit mix', () => {
+    expect(applyUnitMix(results, { ...formData, units: [] })).toBe(results);
+    expect(applyUnitMix(results, { ...formData, units: [{ ownerOccupied: true, marketRent: 900 }] })).toBe(results);
+  });
+});
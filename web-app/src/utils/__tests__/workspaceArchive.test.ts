@@ -0,0 +1,196 @@
+/**
+ * Tests for workspace backup archives
+ */
+
+import {
+  WORKSPACE_ARCHIVE_VERSION,
+  createWorkspaceArchive,
+  mergeWorkspace,
+  parseWorkspaceArchive,
+} from '../workspaceArchive';
+import { WorkspaceTables } from '../../types/workspace';
+import { PropertyFormData } from '../../types/property';
+import { AnalysisSnapshot } from '../../types/snapshot';
+
+const formData = (address: string): PropertyFormData => ({
+  address,
+  city: 'Springfield',
+  state: 'IL',
+  zip: '62704',
+  purchasePrice: 200000,
+});
+
+const analysis = (propertyId: string, timestamp: string, purchasePrice = 200000) => ({
+  propertyId,
+  formData: { ...formData(`${propertyId} Main St`), purchasePrice },
+  analysisResults: { property: { address: `${propertyId} Main St`, city: 'Springfield', state: 'IL', zip: '62704' } },
+  timestamp,
+  displayAddress: `${propertyId} Main St, Springfield, IL 62704`,
+});
+
+const run = (propertyId: string, snapshotId: string, timestamp: string, runNumber = 1): AnalysisSnapshot => ({
+  ...analysis(propertyId, timestamp),
+  snapshotId,
+  runNumber,
+  analysisMode: 'STANDARD',
+  apiSources: [],
+});
+
+const tables = (overrides: Partial<WorkspaceTables> = {}): WorkspaceTables => ({
+  propertyAnalyses: [],
+  projectTrackers: [],
+  partnershipData: [],
+  propertyHistory: [],
+  portfolios: [],
+  analysisSnapshots: [],
+  scoringProfiles: [],
+  ...overrides,
+});
+
+describe('createWorkspaceArchive', () => {
+  it('should stamp the current version and drop local auto-increment ids', () => {
+    const archive = createWorkspaceArchive(
+      tables({ propertyAnalyses: [{ id: 7, ...analysis('a', '2026-01-01T00:00:00Z') }] }),
+      '2026-10-19T00:00:00Z'
+    );
+
+    expect(archive).toMatchObject({ format: 'rei-workspace', version: WORKSPACE_ARCHIVE_VERSION });
+    expect(archive.tables.propertyAnalyses[0]).not.toHaveProperty('id');
+  });
+
+  it('should round-trip through JSON', () => {
+    const archive = createWorkspaceArchive(tables({ analysisSnapshots: [run('a', 's1', '2026-01-01T00:00:00Z')] }));
+    const parsed = parseWorkspaceArchive(JSON.parse(JSON.stringify(archive)));
+
+    expect(parsed.success).toBe(true);
+    expect(parsed.migratedFrom).toBeUndefined();
+    expect(parsed.archive).toEqual(archive);
+  });
+});
+
+describe('parseWorkspaceArchive', () => {
+  it('should reject files that are not archives or come from a newer app', () => {
+    expect(parseWorkspaceArchive([]).errors).toEqual(['Archive must be a JSON object']);
+    expect(parseWorkspaceArchive({ version: 3, tables: {} }).success).toBe(false);
+    expect(parseWorkspaceArchive({ format: 'rei-workspace', version: 99, tables: {} }).errors[0]).toMatch(
+      /newer than this app supports/
+    );
+  });
+
+  it('should report malformed rows by table, index and field', () => {
+    const archive = createWorkspaceArchive(tables());
+    const broken = {
+      ...archive,
+      tables: { ...archive.tables, projectTrackers: [{ propertyId: 'a', data: {} }], portfolios: 'nope' },
+    };
+
+    expect(parseWorkspaceArchive(broken).errors).toEqual([
+      'projectTrackers[0].lastUpdated must be a string',
+      'portfolios must be an array',
+    ]);
+  });
+
+  it('should upgrade a version 1 archive, adding portfolios and backfilling first runs', () => {
+    const parsed = parseWorkspaceArchive({
+      format: 'rei-workspace',
+      version: 1,
+      exportedAt: '2025-06-01T00:00:00Z',
+      tables: {
+        propertyAnalyses: [analysis('a', '2025-05-01T00:00:00Z')],
+        projectTrackers: [],
+        partnershipData: [],
+        propertyHistory: [],
+      },
+    });
+
+    expect(parsed.success).toBe(true);
+    expect(parsed.migratedFrom).toBe(1);
+    expect(parsed.archive!.version).toBe(WORKSPACE_ARCHIVE_VERSION);
+    expect(parsed.archive!.tables.portfolios).toEqual([]);
+    expect(parsed.archive!.tables.propertyAnalyses[0].analysisResults).toMatchObject({ analysisMode: 'STANDARD', alerts: [] });
+    expect(parsed.archive!.tables.analysisSnapshots).toHaveLength(1);
+    expect(parsed.archive!.tables.analysisSnapshots[0]).toMatchObject({
+      propertyId: 'a',
+      runNumber: 1,
+      analysisMode: 'STANDARD',
+      timestamp: '2025-05-01T00:00:00Z',
+    });
+  });
+
+  it('should start a version 4 archive with no scoring profiles', () => {
+    const { scoringProfiles: _profiles, ...v4Tables } = tables();
+    const parsed = parseWorkspaceArchive({ format: 'rei-workspace', version: 4, exportedAt: '2026-09-01T00:00:00Z', tables: v4Tables });
+
+    expect(parsed.migratedFrom).toBe(4);
+    expect(parsed.archive!.tables.scoringProfiles).toEqual([]);
+  });
+
+  it('should give analyses without runs in a version 6 archive their first run', () => {
+    const v6Tables = tables({
+      propertyAnalyses: [analysis('a', '2026-01-01T00:00:00Z'), analysis('b', '2026-02-01T00:00:00Z')],
+      analysisSnapshots: [run('b', 'b_1', '2026-02-01T00:00:00Z')],
+    });
+    const parsed = parseWorkspaceArchive({ format: 'rei-workspace', version: 6, exportedAt: '2026-09-01T00:00:00Z', tables: v6Tables });
+
+    expect(parsed.migratedFrom).toBe(6);
+    expect(parsed.archive!.tables.analysisSnapshots.map((s) => `${s.propertyId}:${s.runNumber}`).sort()).toEqual(['a:1', 'b:1']);
+  });
+
+  it('should import a single-analysis Export Results file', () => {
+    const parsed = parseWorkspaceArchive({
+      property: { address: '9 Elm St', city: 'Springfield', state: 'IL', zip: '62704' },
+      inputs: formData('9 Elm St'),
+      flip: { arv: 300000 },
+      comps: [],
+      exportDate: '2025-03-01T00:00:00.000Z',
+    });
+
+    expect(parsed.migratedFrom).toBe(0);
+    expect(parsed.archive!.tables.propertyAnalyses[0]).toMatchObject({
+      displayAddress: '9 Elm St, Springfield, IL 62704',
+      timestamp: '2025-03-01T00:00:00.000Z',
+    });
+    expect(parsed.archive!.tables.analysisSnapshots).toHaveLength(1);
+  });
+});
+
+describe('mergeWorkspace', () => {
+  const local = tables({
+    propertyAnalyses: [analysis('a', '2026-05-01T00:00:00Z', 210000), analysis('b', '2026-01-01T00:00:00Z')],
+    analysisSnapshots: [run('a', 'a1', '2026-04-01T00:00:00Z', 1), run('a', 'a3', '2026-05-01T00:00:00Z', 2)],
+  });
+  const incoming = tables({
+    propertyAnalyses: [analysis('a', '2026-04-15T00:00:00Z', 190000), analysis('c', '2026-03-01T00:00:00Z')],
+    analysisSnapshots: [run('a', 'a1', '2026-04-01T00:00:00Z', 1), run('a', 'a2', '2026-04-15T00:00:00Z', 2)],
+  });
+
+  it('should keep the newer copy of each property and interleave run timelines', () => {
+    const { tables: merged, summary } = mergeWorkspace(local, incoming, 'merge');
+
+    const a = merged.propertyAnalyses.find((row) => row.propertyId === 'a')!;
+    expect(a.formData.purchasePrice).toBe(210000); // Local copy is newer
+    expect(merged.propertyAnalyses.map((row) => row.propertyId).sort()).toEqual(['a', 'b', 'c']);
+    expect(merged.analysisSnapshots.map((s) => [s.snapshotId, s.runNumber])).toEqual([
+      ['a1', 1],
+      ['a2', 2],
+      ['a3', 3],
+    ]);
+    expect(summary).toMatchObject({ properties: 2, added: 1, updated: 1, kept: 0 });
+  });
+
+  it('should overwrite a property wholesale when replacing, leaving other local properties alone', () => {
+    const { tables: merged, summary } = mergeWorkspace(local, incoming, 'replace');
+
+    const a = merged.propertyAnalyses.find((row) => row.propertyId === 'a')!;
+    expect(a.formData.purchasePrice).toBe(190000);
+    expect(merged.propertyAnalyses.some((row) => row.propertyId === 'b')).toBe(true);
+    expect(merged.analysisSnapshots.map((s) => s.snapshotId)).toEqual(['a1', 'a2']);
+    expect(summary).toMatchObject({ properties: 2, added: 1, updated: 1, kept: 0 });
+    expect(summary.counts.propertyAnalyses).toBe(3);
+  });
+
+  it('should count properties whose local copy is newer as kept', () => {
+    const stale = tables({ propertyAnalyses: [analysis('a', '2026-01-01T00:00:00Z')] });
+    expect(mergeWorkspace(local, stale, 'merge').summary).toMatchObject({ added: 0, updated: 0, kept: 1 });
+  });
+});
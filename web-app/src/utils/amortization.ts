@@ -0,0 +1,31 @@
+/**
+ * Amortization with extra payments
+ *
+ * Runs shared-core's amortization engine on the deal's loan for the
+ * Amortization tab: the same loan the rental is priced on, with the
+ * pay-down plan entered on the tab, compared with paying as agreed.
+ */
+
+import { AmortizationAnalysis, AmortizationInputs } from '../types/financing';
+import { PropertyFormData } from '../types/property';
+import { analyzeAmortization, createAmortizationOptions, toAmortizationLoan } from '../shared-core/calculations/amortization.js';
+import { getDealLoans } from './financing';
+
+/**
+ * First payment date for a loan closing this month: the first of next month
+ */
+export const getFirstPaymentDate = (today: Date = new Date()): string =>
+  new Date(Date.UTC(today.getFullYear(), today.getMonth() + 1, 1)).toISOString().slice(0, 10);
+
+export const analyzeDealAmortization = (
+  formData: PropertyFormData | null | undefined,
+  loanAmount: number,
+  inputs: AmortizationInputs,
+  startDate: string = getFirstPaymentDate()
+): AmortizationAnalysis => {
+  const [primary] = getDealLoans(formData ?? undefined, loanAmount);
+  const { loan, rateChanges } = toAmortizationLoan(primary);
+  const options = createAmortizationOptions({ ...inputs, startDate });
+
+  return analyzeAmortization(loan, { ...options, rateChanges });
+};
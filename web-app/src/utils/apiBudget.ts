@@ -0,0 +1,44 @@
+/**
+ * API budget for the property form
+ *
+ * Runs shared-core's pre-flight planner on the form's analysis mode against the
+ * usage the backend last reported, so the form can show which calls a run makes
+ * and refuse one the remaining quota can't cover. The backend plans again with
+ * its own counters before running, stepping down a mode when it has to.
+ */
+
+import type { ApiUsageData } from '../services/api';
+import { PropertyFormData } from '../types/property';
+import type { ProviderUsage } from '../shared-core/utils/apiBudget.js';
+import { resolveAnalysisBudget } from '../shared-core/utils/apiBudget.js';
+
+export type AnalysisBudget = ReturnType<typeof resolveAnalysisBudget>;
+
+/**
+ * Usage by provider ID (ApiUsageData's keys are the IDs in camelCase: privateZillow → private_zillow)
+ */
+export const toProviderUsage = (apiUsage: ApiUsageData | null | undefined): Record<string, ProviderUsage> =>
+  Object.entries(apiUsage || {}).reduce<Record<string, ProviderUsage>>((usage, [key, reported]) => {
+    if (reported && reported.limit > 0) {
+      usage[key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`)] = {
+        used: reported.used,
+        limit: reported.limit,
+      };
+    }
+    return usage;
+  }, {});
+
+/**
+ * Budget for running the form as filled in. The backend only falls back to
+ * Basic mode with the user's ARV or comps, so that's what allows it here too.
+ */
+export const planFormBudget = (
+  formData: PropertyFormData,
+  apiUsage: ApiUsageData | null | undefined,
+  primaryAPI: string = 'auto'
+): AnalysisBudget =>
+  resolveAnalysisBudget(formData.analysisMode || 'STANDARD', {
+    primaryAPI,
+    usage: toProviderUsage(apiUsage),
+    canRunBasic: (!!formData.arv && formData.arv > 0) || !!formData.userProvidedComps?.length,
+  });
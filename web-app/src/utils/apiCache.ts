@@ -0,0 +1,399 @@
+/**
+ * API response cache
+ *
+ * Entries live in memory for CacheManager's synchronous reads and are written
+ * through to the apiCache table in IndexedDB, which is loaded back on first use.
+ * Every entry expires after its data type's TTL, then stays servable as stale
+ * for one more TTL while a fresh copy is fetched in the background
+ * (stale-while-revalidate). When the cache grows past its size budget, expired
+ * entries go first, then the least recently used.
+ */
+
+export type CacheDataType =
+  | 'analysis'
+  | 'valuation'
+  | 'soldComps'
+  | 'rentComps'
+  | 'schools'
+  | 'propertyDetails'
+  | 'usage'
+  | 'other';
+
+export type CacheEntryState = 'fresh' | 'stale' | 'expired';
+
+export interface ApiCacheEntry {
+  key: string;
+  propertyKey: string; // '' for data not tied to one property (quota usage...)
+  dataType: CacheDataType;
+  data: unknown;
+  size: number; // Serialized length, in bytes near enough for budgeting
+  createdAt: number; // Epoch ms
+  expiresAt: number; // Fresh until
+  staleUntil: number; // Servable while revalidating until
+  lastAccessed: number;
+}
+
+/**
+ * Where entries are persisted (IndexedDB in the app, an in-memory fake in tests)
+ */
+export interface ApiCacheStore {
+  loadAll: () => Promise<ApiCacheEntry[]>;
+  put: (entry: ApiCacheEntry) => Promise<void>;
+  remove: (keys: string[]) => Promise<void>;
+}
+
+export interface CachePropertySummary {
+  propertyKey: string;
+  label: string;
+  totalSize: number;
+  lastAccessed: number;
+  entries: (ApiCacheEntry & { state: CacheEntryState })[];
+}
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+export const CACHE_TTL_SECONDS: Record<CacheDataType, number> = {
+  analysis: 7 * DAY, // Valuations and comps priced for one set of inputs
+  valuation: 7 * DAY,
+  soldComps: 30 * DAY,
+  rentComps: 7 * DAY,
+  schools: 180 * DAY,
+  propertyDetails: 30 * DAY,
+  usage: HOUR,
+  other: DAY,
+};
+
+export const CACHE_DATA_TYPE_LABELS: Record<CacheDataType, string> = {
+  analysis: 'Full analysis',
+  valuation: 'Valuation',
+  soldComps: 'Sold comps',
+  rentComps: 'Rental comps',
+  schools: 'Schools',
+  propertyDetails: 'Property details',
+  usage: 'API usage',
+  other: 'Other',
+};
+
+// Well under IndexedDB's quota, and small enough to load into memory on startup
+export const DEFAULT_CACHE_BUDGET_BYTES = 20 * 1024 * 1024;
+
+const CACHE_DATA_TYPES = Object.keys(CACHE_TTL_SECONDS) as CacheDataType[];
+
+// ============================================
+// KEYS
+// ============================================
+
+/**
+ * Key that groups a property's entries in the inspector
+ */
+export const propertyCacheKey = (property: { address: string; city: string; state: string; zip: string }): string =>
+  `${property.address}, ${property.city}, ${property.state} ${property.zip}`.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Cache key for one kind of data about one property, e.g. "soldComps:12 oak st, austin, tx 78701".
+ * A variant tells apart entries of one type for the same property (an analysis per set of inputs).
+ */
+export const buildCacheKey = (
+  dataType: CacheDataType,
+  property: { address: string; city: string; state: string; zip: string },
+  variant?: string
+): string => `${dataType}:${propertyCacheKey(property)}${variant ? `|${variant}` : ''}`;
+
+/**
+ * Short, stable hash of a request (FNV-1a over its JSON) for a cache key variant
+ */
+export const hashCacheInput = (input: unknown): string => {
+  const json = JSON.stringify(input ?? null);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Data type and property of a key. Keys built by buildCacheKey say so
+ * directly; older free-form keys (e.g. "private_zillow_usage") are classified
+ * by name and aren't tied to a property.
+ */
+export const parseCacheKey = (key: string): { dataType: CacheDataType; propertyKey: string } => {
+  const separator = key.indexOf(':');
+  const prefix = separator > 0 ? key.slice(0, separator) : '';
+  if (CACHE_DATA_TYPES.includes(prefix as CacheDataType)) {
+    return { dataType: prefix as CacheDataType, propertyKey: key.slice(separator + 1).split('|')[0] };
+  }
+
+  const name = key.toLowerCase();
+  const dataType: CacheDataType = name.endsWith('_usage')
+    ? 'usage'
+    : /zestimate|valuation|estimate/.test(name)
+      ? 'valuation'
+      : /school/.test(name)
+        ? 'schools'
+        : /rent/.test(name)
+          ? 'rentComps'
+          : /comps|sold/.test(name)
+            ? 'soldComps'
+            : /details/.test(name)
+              ? 'propertyDetails'
+              : 'other';
+  return { dataType, propertyKey: '' };
+};
+
+// ============================================
+// ENTRIES
+// ============================================
+
+/**
+ * A new entry; an explicit TTL overrides the data type's
+ */
+export const createCacheEntry = (
+  key: string,
+  data: unknown,
+  now: number,
+  ttlSeconds?: number,
+  dataType?: CacheDataType
+): ApiCacheEntry => {
+  const parsed = parseCacheKey(key);
+  const type = dataType || parsed.dataType;
+  const ttl = (ttlSeconds && ttlSeconds > 0 ? ttlSeconds : CACHE_TTL_SECONDS[type]) * 1000;
+
+  return {
+    key,
+    propertyKey: parsed.propertyKey,
+    dataType: type,
+    data,
+    size: JSON.stringify(data ?? null).length,
+    createdAt: now,
+    expiresAt: now + ttl,
+    staleUntil: now + ttl * 2,
+    lastAccessed: now,
+  };
+};
+
+export const getCacheEntryState = (entry: ApiCacheEntry, now: number): CacheEntryState =>
+  now < entry.expiresAt ? 'fresh' : now < entry.staleUntil ? 'stale' : 'expired';
+
+/**
+ * Keys to evict so the entries fit the budget: everything expired, then the
+ * least recently used until the rest fits
+ */
+export const selectEvictions = (entries: ApiCacheEntry[], budgetBytes: number, now: number): string[] => {
+  const evicted = entries.filter((entry) => getCacheEntryState(entry, now) === 'expired');
+  const kept = entries
+    .filter((entry) => getCacheEntryState(entry, now) !== 'expired')
+    .sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+  let total = kept.reduce((sum, entry) => sum + entry.size, 0);
+  while (total > budgetBytes && kept.length > 0) {
+    const oldest = kept.shift()!;
+    evicted.push(oldest);
+    total -= oldest.size;
+  }
+
+  return evicted.map((entry) => entry.key);
+};
+
+/**
+ * Entries grouped by property for the cache inspector, most recently used first
+ */
+export const summarizeCache = (entries: ApiCacheEntry[], now: number): CachePropertySummary[] => {
+  const groups = new Map<string, CachePropertySummary>();
+
+  entries.forEach((entry) => {
+    const group = groups.get(entry.propertyKey) || {
+      propertyKey: entry.propertyKey,
+      label: entry.propertyKey || 'Not tied to a property',
+      totalSize: 0,
+      lastAccessed: 0,
+      entries: [],
+    };
+    group.entries.push({ ...entry, state: getCacheEntryState(entry, now) });
+    group.totalSize += entry.size;
+    group.lastAccessed = Math.max(group.lastAccessed, entry.lastAccessed);
+    groups.set(entry.propertyKey, group);
+  });
+
+  return Array.from(groups.values())
+    .map((group) => ({ ...group, entries: group.entries.sort((a, b) => a.dataType.localeCompare(b.dataType)) }))
+    .sort((a, b) => b.lastAccessed - a.lastAccessed);
+};
+
+// ============================================
+// CACHE
+// ============================================
+
+export interface ApiCacheOptions {
+  budgetBytes?: number;
+  now?: () => number;
+}
+
+export interface FetchThroughOptions<T> {
+  ttlSeconds?: number;
+  dataType?: CacheDataType;
+  forceRefresh?: boolean;
+  shouldCache?: (data: T) => boolean; // e.g. skip failed API responses
+  staleWhileRevalidate?: boolean; // false: stale data is a miss, never refetched unasked
+}
+
+export type ApiCache = ReturnType<typeof createApiCache>;
+
+/**
+ * Cache over a persistent store. Reads and writes are synchronous against
+ * memory; persistence happens behind them (await flush() to wait for it).
+ */
+export function createApiCache(store: ApiCacheStore, options: ApiCacheOptions = {}) {
+  const budgetBytes = options.budgetBytes ?? DEFAULT_CACHE_BUDGET_BYTES;
+  const now = options.now ?? (() => Date.now());
+  const entries = new Map<string, ApiCacheEntry>();
+  const revalidating = new Map<string, Promise<unknown>>();
+  let pending: Promise<void> = Promise.resolve();
+
+  const persist = (write: () => Promise<void>) => {
+    pending = pending.then(write).catch((error) => console.warn('API cache write failed:', error));
+  };
+
+  const removeKeys = (keys: string[]) => {
+    keys.forEach((key) => entries.delete(key));
+    if (keys.length > 0) persist(() => store.remove(keys));
+    return keys.length;
+  };
+
+  // Stored entries load on first use, so creating the cache doesn't open the store.
+  // Entries set before they finish loading are newer, so they win.
+  let loading: Promise<void> | null = null;
+  const load = (): Promise<void> => {
+    if (!loading) {
+      loading = Promise.resolve()
+        .then(() => store.loadAll())
+        .then((stored) => {
+          stored.forEach((entry) => {
+            if (!entries.has(entry.key)) entries.set(entry.key, entry);
+          });
+          removeKeys(selectEvictions(Array.from(entries.values()), budgetBytes, now()));
+        })
+        .catch((error) => console.warn('API cache load failed:', error));
+    }
+    return loading;
+  };
+
+  const touch = (entry: ApiCacheEntry) => {
+    const touched = { ...entry, lastAccessed: now() };
+    entries.set(entry.key, touched);
+    persist(() => store.put(touched));
+    return touched;
+  };
+
+  const set = (key: string, data: unknown, ttlSeconds?: number, dataType?: CacheDataType): boolean => {
+    load();
+    const entry = createCacheEntry(key, data, now(), ttlSeconds, dataType);
+    if (entry.size > budgetBytes) return false;
+
+    entries.set(key, entry);
+    persist(() => store.put(entry));
+    removeKeys(selectEvictions(Array.from(entries.values()), budgetBytes, now()).filter((evict) => evict !== key));
+    return true;
+  };
+
+  const revalidate = <T>(key: string, fetcher: () => Promise<T>, opts: FetchThroughOptions<T>): Promise<T> => {
+    const inFlight = revalidating.get(key);
+    if (inFlight) return inFlight as Promise<T>;
+
+    const request = fetcher()
+      .then((data) => {
+        if (!opts.shouldCache || opts.shouldCache(data)) set(key, data, opts.ttlSeconds, opts.dataType);
+        return data;
+      })
+      .finally(() => revalidating.delete(key));
+    revalidating.set(key, request);
+    return request;
+  };
+
+  return {
+    /** Resolves once the stored entries have loaded (starting the load if nothing has yet) */
+    get ready(): Promise<void> {
+      return load();
+    },
+
+    /** Fresh data for a key, or null */
+    get<T = any>(key: string): T | null {
+      load();
+      const entry = entries.get(key);
+      if (!entry || getCacheEntryState(entry, now()) !== 'fresh') return null;
+      return touch(entry).data as T;
+    },
+
+    set,
+
+    has(key: string): boolean {
+      load();
+      const entry = entries.get(key);
+      return !!entry && getCacheEntryState(entry, now()) === 'fresh';
+    },
+
+    remove(key: string): boolean {
+      load();
+      return removeKeys(entries.has(key) ? [key] : []) > 0;
+    },
+
+    clearByPrefix(prefix: string): number {
+      load();
+      return removeKeys(Array.from(entries.keys()).filter((key) => key.startsWith(prefix)));
+    },
+
+    purgeProperty(propertyKey: string): number {
+      load();
+      return removeKeys(
+        Array.from(entries.values())
+          .filter((entry) => entry.propertyKey === propertyKey)
+          .map((entry) => entry.key)
+      );
+    },
+
+    purgeExpired(): number {
+      load();
+      return removeKeys(
+        Array.from(entries.values())
+          .filter((entry) => getCacheEntryState(entry, now()) === 'expired')
+          .map((entry) => entry.key)
+      );
+    },
+
+    entries(): ApiCacheEntry[] {
+      load();
+      return Array.from(entries.values());
+    },
+
+    /**
+     * Cached data if fresh; stale data straight away with a refresh started
+     * behind it (unless staleWhileRevalidate is false, when it counts as a
+     * miss); otherwise (or with forceRefresh) the fetcher's result
+     */
+    async fetchThrough<T>(
+      key: string,
+      fetcher: () => Promise<T>,
+      opts: FetchThroughOptions<T> = {}
+    ): Promise<{ data: T; state: CacheEntryState | 'fetched' }> {
+      await load();
+      const entry = entries.get(key);
+      const state = entry && !opts.forceRefresh ? getCacheEntryState(entry, now()) : 'expired';
+
+      if (entry && state === 'fresh') {
+        return { data: touch(entry).data as T, state };
+      }
+      if (entry && state === 'stale' && opts.staleWhileRevalidate !== false) {
+        revalidate(key, fetcher, opts).catch((error) => console.warn(`API cache refresh of ${key} failed:`, error));
+        return { data: touch(entry).data as T, state };
+      }
+      return { data: await revalidate(key, fetcher, opts), state: 'fetched' };
+    },
+
+    /** Resolves once every write so far has reached the store */
+    flush(): Promise<void> {
+      const refreshes = Array.from(revalidating.values()).map((request) => request.catch(() => undefined));
+      return Promise.all([load(), ...refreshes]).then(() => pending);
+    },
+  };
+}
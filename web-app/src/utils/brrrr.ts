@@ -0,0 +1,49 @@
+/**
+ * BRRRR refinance analysis
+ *
+ * Runs shared-core's calculateBRRRRAnalysis on the Rental tab. The backend's
+ * monthly expenses are turned back into the rates shared-core works from, so
+ * the post-refinance NOI starts from the same taxes, insurance and vacancy
+ * the rest of the tab shows.
+ */
+
+import { BRRRRAnalysis, RefinanceInputs } from '../types/financing';
+import { PropertyFormData, RentalAnalysis } from '../types/property';
+import { calculateBRRRRAnalysis } from '../shared-core/calculations/brrrr.js';
+import { toFinancingLoans } from './financing';
+
+const toDecimal = (value?: number) => (value === undefined || Number.isNaN(value) ? undefined : value / 100);
+
+/**
+ * shared-core property data for a rental result and the form it came from
+ */
+export const toBRRRRPropertyData = (rental: RentalAnalysis, formData?: PropertyFormData | null) => ({
+  purchasePrice: rental.purchasePrice,
+  downPayment: rental.purchasePrice > 0 ? rental.downPayment / rental.purchasePrice : undefined,
+  loanInterestRate: toDecimal(formData?.loanInterestRate),
+  loanTerm: formData?.loanTerm,
+  rehabCost: formData?.rehabCost || 0,
+  monthsToFlip: formData?.monthsToFlip,
+  cashInvestment: formData?.cashInvestment || 0,
+  propertyTaxRate: rental.purchasePrice > 0 ? (rental.propertyTax * 12) / rental.purchasePrice : undefined,
+  insuranceMonthly: rental.insurance,
+  maintenanceRate: rental.purchasePrice > 0 ? (rental.maintenance * 12) / rental.purchasePrice : undefined,
+  vacancyRate: rental.monthlyRent > 0 ? rental.vacancy / rental.monthlyRent : undefined,
+  financing: formData ? toFinancingLoans(formData) : [],
+});
+
+export const analyzeBRRRR = (
+  rental: RentalAnalysis,
+  formData: PropertyFormData | null | undefined,
+  arv: number,
+  inputs: RefinanceInputs
+): BRRRRAnalysis =>
+  calculateBRRRRAnalysis(toBRRRRPropertyData(rental, formData), arv, rental.monthlyRent, {
+    month: inputs.month,
+    seasoningMonths: inputs.seasoningMonths,
+    ltv: toDecimal(inputs.ltv),
+    rate: toDecimal(inputs.rate),
+    termMonths: inputs.termYears ? inputs.termYears * 12 : undefined,
+    closingCostRate: toDecimal(inputs.closingCostRate),
+    points: toDecimal(inputs.points),
+  });
@@ -14,6 +14,7 @@ import {
   PartnerPerformance,
   CashFlowEntry,
 } from '../types/partnershipManagement';
+import { schedulePhases } from './schedule';
 
 // ============================================
 // PROJECT TRACKER CALCULATIONS
@@ -70,11 +71,14 @@ export const calculateProjectSummary = (data: ProjectTrackerData): ProjectSummar
     .filter((co) => co.status === 'approved' || co.status === 'completed')
     .reduce((sum, co) => sum + co.costImpact, 0);
 
-  // Projected completion date (last phase end date)
+  // Projected completion date: the end of the critical path, or the last
+  // phase end date when the phases can't be scheduled
+  const schedule = schedulePhases(renovationPhases, delays);
   const sortedPhases = [...renovationPhases].sort(
     (a, b) => new Date(b.endDate).getTime() - new Date(a.endDate).getTime()
   );
-  const projectedCompletionDate = sortedPhases.length > 0 ? sortedPhases[0].endDate : '';
+  const projectedCompletionDate =
+    (!schedule.error && schedule.projectedCompletionDate) || (sortedPhases.length > 0 ? sortedPhases[0].endDate : '');
 
   // Status flags
   const isOnBudget = budgetVariance >= 0;
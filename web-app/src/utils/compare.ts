@@ -0,0 +1,209 @@
+/**
+ * Side-by-side deal comparison
+ *
+ * Lines saved analyses up metric by metric and ranks them with the shared-core
+ * deal scores, so the web app ranks deals with the same scoring profiles the
+ * Sheets analyzer uses. Each deal is scored as a flip, a rental and (when it
+ * has one) a short-term rental, and ranked on whichever strategy scores higher.
+ */
+
+import { PropertyAnalysisResult } from '../types/property';
+import { ScoringProfile } from '../types/scoring';
+import {
+  calculateFlipScore,
+  calculateRentalScore,
+  calculateSTRScore,
+  compareProperties,
+  getDealRecommendation,
+  getStarRating,
+} from '../shared-core/calculations/scoring.js';
+import { calculateRentalDebtCoverage } from './portfolio';
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 5;
+
+export interface ComparisonInput {
+  propertyId: string;
+  displayAddress: string;
+  results: PropertyAnalysisResult;
+}
+
+export type ComparisonFormat = 'currency' | 'percent' | 'ratio' | 'number';
+
+export interface ComparisonRow {
+  key: string;
+  label: string;
+  format: ComparisonFormat;
+  higherIsBetter: boolean;
+  values: (number | null)[]; // One per input, in input order; null when the analysis lacks it
+  bestIndexes: number[];
+}
+
+export type DealStrategy = 'flip' | 'rental' | 'str';
+
+export const STRATEGY_LABELS: Record<DealStrategy, string> = {
+  flip: 'flip',
+  rental: 'rental',
+  str: 'short-term rental',
+};
+
+export interface RankedDeal {
+  rank: number;
+  propertyId: string;
+  displayAddress: string;
+  strategy: DealStrategy;
+  score: number;
+  flipScore: number | null;
+  rentalScore: number | null;
+  strScore: number | null;
+  stars: string;
+  recommendation: ReturnType<typeof getDealRecommendation>;
+}
+
+export interface DealComparison {
+  rows: ComparisonRow[];
+  ranking: RankedDeal[];
+  averageScore: number;
+}
+
+// ============================================
+// BEST-IN-ROW
+// ============================================
+
+export const findBestIndexes = (values: (number | null)[], higherIsBetter: boolean): number[] => {
+  const present = values.filter((v): v is number => v !== null && isFinite(v));
+  // Nothing to pick between if fewer than two deals have the metric or they all tie
+  if (present.length < 2 || present.every((v) => v === present[0])) {
+    return [];
+  }
+  const best = higherIsBetter ? Math.max(...present) : Math.min(...present);
+  return values.reduce<number[]>((indexes, v, i) => (v === best ? [...indexes, i] : indexes), []);
+};
+
+const buildRow = (
+  key: string,
+  label: string,
+  format: ComparisonFormat,
+  values: (number | null)[],
+  higherIsBetter = true
+): ComparisonRow => ({
+  key,
+  label,
+  format,
+  higherIsBetter,
+  values,
+  bestIndexes: findBestIndexes(values, higherIsBetter),
+});
+
+// ============================================
+// SCORING
+// ============================================
+
+export const scoreFlip = (results: PropertyAnalysisResult, profile: ScoringProfile | null = null): number | null => {
+  const { flip } = results;
+  if (!flip) return null;
+  return calculateFlipScore(
+    {
+      roi: flip.roi / 100,
+      totalProfit: flip.netProfit,
+      timelineMonths: flip.holdingMonths,
+      rehabCost: flip.rehabCost,
+      purchasePrice: flip.purchasePrice,
+    },
+    profile
+  ).total;
+};
+
+export const scoreRental = (results: PropertyAnalysisResult, profile: ScoringProfile | null = null): number | null => {
+  const { rental } = results;
+  if (!rental) return null;
+  return calculateRentalScore(
+    {
+      monthlyCashFlow: rental.cashFlow,
+      roi: rental.cashOnCashReturn / 100,
+      capRate: rental.capRate / 100,
+      dscr: calculateRentalDebtCoverage(rental).dscr ?? 0,
+    },
+    null,
+    profile
+  ).total;
+};
+
+export const scoreSTR = (results: PropertyAnalysisResult, profile: ScoringProfile | null = null): number | null => {
+  const { str } = results;
+  if (!str) return null;
+  return calculateSTRScore(
+    {
+      monthlyCashFlow: str.monthlyCashFlow,
+      roi: str.cocReturn / 100,
+      capRate: str.capRate / 100,
+      dscr: str.dscr,
+      occupancy: str.occupancy / 100,
+      breakEvenOccupancy: str.breakEvenOccupancy === null ? null : str.breakEvenOccupancy / 100,
+    },
+    profile
+  ).total;
+};
+
+/**
+ * The strategy with the highest score; ties go to the earlier of flip, rental, short-term rental
+ */
+export const pickStrategy = (scores: Record<DealStrategy, number | null>): DealStrategy =>
+  (['flip', 'rental', 'str'] as DealStrategy[]).reduce((best, strategy) =>
+    (scores[strategy] ?? -1) > (scores[best] ?? -1) ? strategy : best
+  );
+
+// ============================================
+// COMPARISON
+// ============================================
+
+export const buildDealComparison = (
+  inputs: ComparisonInput[],
+  profile: ScoringProfile | null = null
+): DealComparison => {
+  const rows: ComparisonRow[] = [
+    buildRow('flipRoi', 'Flip ROI', 'percent', inputs.map((i) => i.results.flip?.roi ?? null)),
+    buildRow('netProfit', 'Flip Net Profit', 'currency', inputs.map((i) => i.results.flip?.netProfit ?? null)),
+    buildRow('cashFlow', 'Monthly Cash Flow', 'currency', inputs.map((i) => i.results.rental?.cashFlow ?? null)),
+    buildRow('capRate', 'Cap Rate', 'percent', inputs.map((i) => i.results.rental?.capRate ?? null)),
+    buildRow('cashOnCash', 'Cash-on-Cash Return', 'percent', inputs.map((i) => i.results.rental?.cashOnCashReturn ?? null)),
+    buildRow(
+      'dscr',
+      'DSCR',
+      'ratio',
+      inputs.map((i) => (i.results.rental ? calculateRentalDebtCoverage(i.results.rental).dscr : null))
+    ),
+    buildRow('strCashFlow', 'STR Monthly Cash Flow', 'currency', inputs.map((i) => i.results.str?.monthlyCashFlow ?? null)),
+    buildRow('dealScore', 'Deal Score', 'number', inputs.map((i) => i.results.score?.score ?? null)),
+    buildRow('alerts', 'Alerts', 'number', inputs.map((i) => i.results.alerts?.length ?? 0), false),
+  ];
+
+  const scored = inputs.map((input) => {
+    const flipScore = scoreFlip(input.results, profile);
+    const rentalScore = scoreRental(input.results, profile);
+    const strScore = scoreSTR(input.results, profile);
+    const strategy = pickStrategy({ flip: flipScore, rental: rentalScore, str: strScore });
+    const total = Math.max(flipScore ?? 0, rentalScore ?? 0, strScore ?? 0);
+    return { ...input, flipScore, rentalScore, strScore, strategy, score: { total } };
+  });
+
+  const comparison = compareProperties(scored);
+  const ranking: RankedDeal[] = (comparison?.ranked ?? []).map((deal, index) => ({
+    rank: index + 1,
+    propertyId: deal.propertyId,
+    displayAddress: deal.displayAddress,
+    strategy: deal.strategy,
+    score: deal.score.total,
+    flipScore: deal.flipScore,
+    rentalScore: deal.rentalScore,
+    strScore: deal.strScore,
+    stars: getStarRating(deal.score.total),
+    recommendation: getDealRecommendation(deal.score.total, profile),
+  }));
+
+  return {
+    rows,
+    ranking,
+    averageScore: comparison?.statistics.average ?? 0,
+  };
+};
@@ -4,9 +4,23 @@
  */
 
 import Dexie, { Table } from 'dexie';
-import { PropertyFormData } from '../types/property';
+import { PropertyAnalysisResult, PropertyFormData } from '../types/property';
 import { ProjectTrackerData } from '../types/projectTracker';
 import { PartnershipManagementData } from '../types/partnershipManagement';
+import { Portfolio, PortfolioStrategy } from '../types/portfolio';
+import { AnalysisSnapshot } from '../types/snapshot';
+import { SavedScoringProfile, ScoringProfile } from '../types/scoring';
+import { WorkspaceArchive, WorkspaceImportStrategy, WorkspaceImportSummary } from '../types/workspace';
+import { collectApiSources, getAnalysisMode, isSameRun } from './snapshots';
+import {
+  DB_NAME,
+  SCHEMA_VERSIONS,
+  normalizeAnalysisResults,
+  normalizePartnershipData,
+  normalizeProjectTrackerData,
+} from './dbSchema';
+import { createWorkspaceArchive, mergeWorkspace } from './workspaceArchive';
+import { ApiCacheEntry, ApiCacheStore } from './apiCache';
 
 // ============================================
 // DATABASE SCHEMA INTERFACES
@@ -16,7 +30,7 @@ export interface PropertyAnalysis {
   id?: number;
   propertyId: string;
   formData: PropertyFormData;
-  analysisResults: any; // Full analysis results from API
+  analysisResults: PropertyAnalysisResult; // Backfilled by normalizeAnalysisResults on save and upgrade
   timestamp: string;
   displayAddress: string;
 }
@@ -53,16 +67,20 @@ export class RealEstateDB extends Dexie {
   projectTrackers!: Table<ProjectTracker, number>;
   partnershipData!: Table<PartnershipData, number>;
   propertyHistory!: Table<PropertyHistory, number>;
-
-  constructor() {
-    super('RealEstateAnalysisDB');
-
-    // Define schema
-    this.version(1).stores({
-      propertyAnalyses: '++id, propertyId, timestamp, displayAddress',
-      projectTrackers: '++id, propertyId, lastUpdated',
-      partnershipData: '++id, propertyId, lastUpdated',
-      propertyHistory: '++id, propertyId, timestamp, displayAddress',
+  portfolios!: Table<Portfolio, number>;
+  analysisSnapshots!: Table<AnalysisSnapshot, number>;
+  scoringProfiles!: Table<SavedScoringProfile, number>;
+  apiCache!: Table<ApiCacheEntry, string>;
+
+  constructor(name: string = DB_NAME) {
+    super(name);
+
+    // Versions and their upgrades live in dbSchema.ts
+    SCHEMA_VERSIONS.forEach(({ version, stores, upgrade }) => {
+      const schema = this.version(version).stores(stores);
+      if (upgrade) {
+        schema.upgrade(upgrade);
+      }
     });
   }
 }
@@ -74,12 +92,20 @@ export const db = new RealEstateDB();
 // PROPERTY ANALYSIS FUNCTIONS
 // ============================================
 
+/**
+ * Save the latest analysis for a property and record the run as a snapshot.
+ * The propertyAnalyses row always holds the newest run; earlier runs live on
+ * in analysisSnapshots.
+ */
 export async function savePropertyAnalysis(
   propertyId: string,
   formData: PropertyFormData,
-  analysisResults: any
+  results: PropertyAnalysisResult
 ): Promise<number> {
   const displayAddress = `${formData.address}, ${formData.city}, ${formData.state} ${formData.zip}`;
+  const analysisResults = normalizeAnalysisResults(formData, results);
+
+  await saveAnalysisSnapshot(propertyId, formData, analysisResults);
 
   // Check if analysis already exists for this property
   const existing = await db.propertyAnalyses
@@ -108,6 +134,25 @@ export async function savePropertyAnalysis(
   }
 }
 
+/**
+ * Find the propertyId already used for an address, so re-running it extends the same timeline
+ */
+export async function findSavedPropertyId(formData: PropertyFormData): Promise<string | undefined> {
+  const displayAddress = `${formData.address}, ${formData.city}, ${formData.state} ${formData.zip}`;
+  const existing = await db.propertyAnalyses
+    .where('displayAddress')
+    .equalsIgnoreCase(displayAddress)
+    .first();
+  return existing?.propertyId;
+}
+
+/**
+ * Property ID for a run about to start: the address's saved ID, or a new one for its first run
+ */
+export async function getPropertyIdForRun(formData: PropertyFormData): Promise<string> {
+  return (await findSavedPropertyId(formData)) ?? `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
 export async function getPropertyAnalysis(propertyId: string): Promise<PropertyAnalysis | undefined> {
   return await db.propertyAnalyses.where('propertyId').equals(propertyId).first();
 }
@@ -120,6 +165,65 @@ export async function deletePropertyAnalysis(propertyId: string): Promise<void>
   await db.propertyAnalyses.where('propertyId').equals(propertyId).delete();
 }
 
+// ============================================
+// ANALYSIS SNAPSHOT FUNCTIONS
+// ============================================
+
+/**
+ * Append a run to the property's timeline. Snapshots are never updated; a save
+ * identical to the latest run is skipped and returns that run instead.
+ */
+export async function saveAnalysisSnapshot(
+  propertyId: string,
+  formData: PropertyFormData,
+  results: PropertyAnalysisResult
+): Promise<AnalysisSnapshot> {
+  const analysisResults = normalizeAnalysisResults(formData, results);
+  const latest = await getLatestSnapshot(propertyId);
+  if (latest && isSameRun(latest, formData, analysisResults)) {
+    return latest;
+  }
+
+  const snapshot: AnalysisSnapshot = {
+    snapshotId: `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+    propertyId,
+    runNumber: (latest?.runNumber ?? 0) + 1,
+    displayAddress: `${formData.address}, ${formData.city}, ${formData.state} ${formData.zip}`,
+    formData,
+    analysisResults,
+    analysisMode: getAnalysisMode(formData, analysisResults),
+    apiSources: collectApiSources(analysisResults),
+    timestamp: new Date().toISOString(),
+  };
+  snapshot.id = await db.analysisSnapshots.add(snapshot);
+  return snapshot;
+}
+
+/**
+ * All runs for a property, oldest first
+ */
+export async function getSnapshotsForProperty(propertyId: string): Promise<AnalysisSnapshot[]> {
+  return await db.analysisSnapshots
+    .where('[propertyId+runNumber]')
+    .between([propertyId, Dexie.minKey], [propertyId, Dexie.maxKey])
+    .toArray();
+}
+
+export async function getLatestSnapshot(propertyId: string): Promise<AnalysisSnapshot | undefined> {
+  return await db.analysisSnapshots
+    .where('[propertyId+runNumber]')
+    .between([propertyId, Dexie.minKey], [propertyId, Dexie.maxKey])
+    .last();
+}
+
+export async function getSnapshot(snapshotId: string): Promise<AnalysisSnapshot | undefined> {
+  return await db.analysisSnapshots.where('snapshotId').equals(snapshotId).first();
+}
+
+export async function deleteAnalysisSnapshots(propertyId: string): Promise<void> {
+  await db.analysisSnapshots.where('propertyId').equals(propertyId).delete();
+}
+
 // ============================================
 // PROJECT TRACKER FUNCTIONS
 // ============================================
@@ -245,6 +349,125 @@ export async function clearPropertyHistoryDB(): Promise<void> {
   await db.propertyHistory.clear();
 }
 
+// ============================================
+// PORTFOLIO FUNCTIONS
+// ============================================
+
+export async function createPortfolio(name: string): Promise<Portfolio> {
+  const now = new Date().toISOString();
+  const portfolio: Portfolio = {
+    portfolioId: `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+    name,
+    holdings: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+  portfolio.id = await db.portfolios.add(portfolio);
+  return portfolio;
+}
+
+export async function getPortfolio(portfolioId: string): Promise<Portfolio | undefined> {
+  return await db.portfolios.where('portfolioId').equals(portfolioId).first();
+}
+
+export async function getAllPortfolios(): Promise<Portfolio[]> {
+  return await db.portfolios.orderBy('name').toArray();
+}
+
+export async function renamePortfolio(portfolioId: string, name: string): Promise<void> {
+  await db.portfolios
+    .where('portfolioId')
+    .equals(portfolioId)
+    .modify({ name, updatedAt: new Date().toISOString() });
+}
+
+export async function deletePortfolio(portfolioId: string): Promise<void> {
+  await db.portfolios.where('portfolioId').equals(portfolioId).delete();
+}
+
+/**
+ * Add a saved analysis to a portfolio, or change its strategy if it is already there
+ */
+export async function addPortfolioHolding(
+  portfolioId: string,
+  propertyId: string,
+  strategy: PortfolioStrategy
+): Promise<void> {
+  await db.portfolios
+    .where('portfolioId')
+    .equals(portfolioId)
+    .modify((portfolio) => {
+      const existing = portfolio.holdings.find((h) => h.propertyId === propertyId);
+      if (existing) {
+        existing.strategy = strategy;
+      } else {
+        portfolio.holdings.push({ propertyId, strategy, addedAt: new Date().toISOString() });
+      }
+      portfolio.updatedAt = new Date().toISOString();
+    });
+}
+
+export async function removePortfolioHolding(portfolioId: string, propertyId: string): Promise<void> {
+  await db.portfolios
+    .where('portfolioId')
+    .equals(portfolioId)
+    .modify((portfolio) => {
+      portfolio.holdings = portfolio.holdings.filter((h) => h.propertyId !== propertyId);
+      portfolio.updatedAt = new Date().toISOString();
+    });
+}
+
+export async function isPropertyInAnyPortfolio(propertyId: string): Promise<boolean> {
+  const portfolios = await db.portfolios.toArray();
+  return portfolios.some((p) => p.holdings.some((h) => h.propertyId === propertyId));
+}
+
+// ============================================
+// SCORING PROFILE FUNCTIONS
+// ============================================
+
+export async function getAllScoringProfiles(): Promise<SavedScoringProfile[]> {
+  return await db.scoringProfiles.orderBy('name').toArray();
+}
+
+/**
+ * Save a user-defined scoring profile, replacing the stored copy with the same id
+ */
+export async function saveScoringProfile(profile: ScoringProfile): Promise<SavedScoringProfile> {
+  const now = new Date().toISOString();
+  const existing = await db.scoringProfiles.where('profileId').equals(profile.id).first();
+  const { id: profileId, ...fields } = profile;
+  const row: SavedScoringProfile = {
+    ...fields,
+    profileId,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+  };
+  row.id = await db.scoringProfiles.put(existing ? { ...row, id: existing.id } : row);
+  return row;
+}
+
+export async function deleteScoringProfile(profileId: string): Promise<void> {
+  await db.scoringProfiles.where('profileId').equals(profileId).delete();
+}
+
+// ============================================
+// API CACHE STORE
+// ============================================
+
+/**
+ * IndexedDB persistence for the API response cache (utils/apiCache.ts)
+ */
+export const createApiCacheStore = (database: RealEstateDB = db): ApiCacheStore => ({
+  loadAll: () => database.apiCache.toArray(),
+  put: async (entry) => {
+    await database.apiCache.put(entry);
+  },
+  remove: async (keys) => {
+    await database.apiCache.bulkDelete(keys);
+  },
+});
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
@@ -252,6 +475,7 @@ export async function clearPropertyHistoryDB(): Promise<void> {
 export async function clearAllPropertyData(propertyId: string): Promise<void> {
   await Promise.all([
     deletePropertyAnalysis(propertyId),
+    deleteAnalysisSnapshots(propertyId),
     deleteProjectTracker(propertyId),
     deletePartnershipDataDB(propertyId),
   ]);
@@ -279,6 +503,10 @@ export async function clearAllStoredData(): Promise<void> {
     db.projectTrackers.clear(),
     db.partnershipData.clear(),
     db.propertyHistory.clear(),
+    db.portfolios.clear(),
+    db.analysisSnapshots.clear(),
+    db.scoringProfiles.clear(),
+    db.apiCache.clear(),
   ]);
 }
 
@@ -287,76 +515,202 @@ export async function getDatabaseStats(): Promise<{
   trackers: number;
   partnerships: number;
   history: number;
+  portfolios: number;
+  snapshots: number;
+  scoringProfiles: number;
 }> {
-  const [analyses, trackers, partnerships, history] = await Promise.all([
+  const [analyses, trackers, partnerships, history, portfolios, snapshots, scoringProfiles] = await Promise.all([
     db.propertyAnalyses.count(),
     db.projectTrackers.count(),
     db.partnershipData.count(),
     db.propertyHistory.count(),
+    db.portfolios.count(),
+    db.analysisSnapshots.count(),
+    db.scoringProfiles.count(),
   ]);
 
-  return { analyses, trackers, partnerships, history };
+  return { analyses, trackers, partnerships, history, portfolios, snapshots, scoringProfiles };
+}
+
+// ============================================
+// WORKSPACE BACKUP
+// ============================================
+
+export async function exportWorkspace(): Promise<WorkspaceArchive> {
+  const [
+    propertyAnalyses,
+    projectTrackers,
+    partnershipData,
+    propertyHistory,
+    portfolios,
+    analysisSnapshots,
+    scoringProfiles,
+  ] = await Promise.all([
+    db.propertyAnalyses.toArray(),
+    db.projectTrackers.toArray(),
+    db.partnershipData.toArray(),
+    db.propertyHistory.toArray(),
+    db.portfolios.toArray(),
+    db.analysisSnapshots.toArray(),
+    db.scoringProfiles.toArray(),
+  ]);
+
+  return createWorkspaceArchive({
+    propertyAnalyses,
+    projectTrackers,
+    partnershipData,
+    propertyHistory,
+    portfolios,
+    analysisSnapshots,
+    scoringProfiles,
+  });
+}
+
+/**
+ * Restore a parsed archive (see parseWorkspaceArchive) into the database.
+ * Runs in one transaction, so a failed import leaves the workspace as it was.
+ */
+export async function importWorkspace(
+  archive: WorkspaceArchive,
+  strategy: WorkspaceImportStrategy
+): Promise<WorkspaceImportSummary> {
+  const tables = [
+    db.propertyAnalyses,
+    db.projectTrackers,
+    db.partnershipData,
+    db.propertyHistory,
+    db.portfolios,
+    db.analysisSnapshots,
+    db.scoringProfiles,
+  ];
+
+  return await db.transaction('rw', tables, async () => {
+    const local = (await exportWorkspace()).tables;
+    const { tables: merged, summary } = mergeWorkspace(local, archive.tables, strategy);
+
+    await Promise.all(tables.map((table) => table.clear()));
+    await Promise.all([
+      db.propertyAnalyses.bulkAdd(merged.propertyAnalyses),
+      db.projectTrackers.bulkAdd(merged.projectTrackers),
+      db.partnershipData.bulkAdd(merged.partnershipData),
+      db.propertyHistory.bulkAdd(merged.propertyHistory),
+      db.portfolios.bulkAdd(merged.portfolios),
+      db.analysisSnapshots.bulkAdd(merged.analysisSnapshots),
+      db.scoringProfiles.bulkAdd(merged.scoringProfiles),
+    ]);
+
+    return summary;
+  });
 }
 
 // ============================================
 // MIGRATION FROM LOCALSTORAGE
 // ============================================
 
-export async function migrateFromLocalStorage(): Promise<void> {
-  try {
-    // Check if migration already done
-    const migrationKey = 'indexeddb_migration_complete';
-    if (localStorage.getItem(migrationKey) === 'true') {
-      console.log('IndexedDB migration already completed');
-      return;
-    }
+const LEGACY_TRACKER_PREFIX = 'projectTracker_';
+const LEGACY_PARTNERSHIP_PREFIX = 'partnershipData_';
 
-    console.log('Starting migration from localStorage to IndexedDB...');
+// Store a legacy row unless IndexedDB already holds a newer copy; returns whether it was stored.
+// Legacy data without its own lastUpdated never overwrites an existing row.
+async function upsertLegacyRow<T extends { lastUpdated: string }>(
+  table: Table<{ id?: number; propertyId: string; data: T; lastUpdated: string }, number>,
+  propertyId: string,
+  data: T,
+  legacyUpdated: string | undefined
+): Promise<boolean> {
+  const existing = await table.where('propertyId').equals(propertyId).first();
+  if (existing && (!legacyUpdated || existing.lastUpdated >= legacyUpdated)) {
+    return false;
+  }
+  const row = { propertyId, data, lastUpdated: data.lastUpdated };
+  await table.put(existing ? { ...row, id: existing.id } : row);
+  return true;
+}
 
-    // Migrate property history
-    const historyData = localStorage.getItem('propertySearchHistory');
-    if (historyData) {
-      const history = JSON.parse(historyData);
-      for (const entry of history) {
-        await savePropertyToHistoryDB(entry.formData);
-      }
-      console.log(`Migrated ${history.length} property history entries`);
-    }
+/**
+ * Move data written to localStorage by older builds, or by the localStorage.ts
+ * fallback while IndexedDB was unavailable, into IndexedDB. Each legacy key is
+ * removed once its data is stored, so this is safe to run on every startup and
+ * a key is only ever imported once. An IndexedDB row that is newer than the
+ * legacy copy wins.
+ */
+export async function migrateFromLocalStorage(
+  database: RealEstateDB = db,
+  storage: Storage = localStorage
+): Promise<{ trackers: number; partnerships: number; history: number }> {
+  const migrated = { trackers: 0, partnerships: 0, history: 0 };
 
-    // Migrate project tracker data
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith('projectTracker_')) {
-        const propertyId = key.replace('projectTracker_', '');
-        const data = localStorage.getItem(key);
-        if (data) {
-          const trackerData = JSON.parse(data);
-          await saveProjectTracker(propertyId, trackerData);
-          console.log(`Migrated project tracker for property: ${propertyId}`);
+  try {
+    // Property history only ever lived in localStorage before IndexedDB, so it's imported once
+    const migrationKey = 'indexeddb_migration_complete';
+    if (storage.getItem(migrationKey) !== 'true') {
+      const historyData = storage.getItem('propertySearchHistory');
+      if (historyData) {
+        const history: { formData: PropertyFormData; timestamp?: string }[] = JSON.parse(historyData);
+        for (const entry of history) {
+          const { formData } = entry;
+          const displayAddress = `${formData.address}, ${formData.city}, ${formData.state} ${formData.zip}`;
+          const exists = await database.propertyHistory.where('displayAddress').equalsIgnoreCase(displayAddress).count();
+          if (!exists) {
+            await database.propertyHistory.add({
+              propertyId: `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+              formData,
+              timestamp: entry.timestamp || new Date().toISOString(),
+              displayAddress,
+            });
+            migrated.history++;
+          }
         }
       }
+      storage.setItem(migrationKey, 'true');
     }
 
-    // Migrate partnership data
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith('partnershipData_')) {
-        const propertyId = key.replace('partnershipData_', '');
-        const data = localStorage.getItem(key);
-        if (data) {
-          const partnershipData = JSON.parse(data);
-          await savePartnershipDataDB(propertyId, partnershipData);
-          console.log(`Migrated partnership data for property: ${propertyId}`);
-        }
+    // Snapshot the keys first; removing items while walking storage.key(i) skips entries
+    const keys = Array.from({ length: storage.length }, (_, i) => storage.key(i)).filter(
+      (key): key is string => !!key
+    );
+
+    for (const key of keys) {
+      const isTracker = key.startsWith(LEGACY_TRACKER_PREFIX);
+      const isPartnership = key.startsWith(LEGACY_PARTNERSHIP_PREFIX);
+      if (!isTracker && !isPartnership) continue;
+
+      const raw = storage.getItem(key);
+      if (!raw) continue;
+
+      const propertyId = key.slice((isTracker ? LEGACY_TRACKER_PREFIX : LEGACY_PARTNERSHIP_PREFIX).length);
+      const legacy = JSON.parse(raw);
+      const now = new Date().toISOString();
+      const stored = isTracker
+        ? await upsertLegacyRow(
+            database.projectTrackers,
+            propertyId,
+            normalizeProjectTrackerData(propertyId, legacy, now),
+            legacy.lastUpdated
+          )
+        : await upsertLegacyRow(
+            database.partnershipData,
+            propertyId,
+            normalizePartnershipData(propertyId, legacy, now),
+            legacy.lastUpdated
+          );
+      if (stored) {
+        migrated[isTracker ? 'trackers' : 'partnerships']++;
       }
+      storage.removeItem(key);
     }
 
-    // Mark migration as complete
-    localStorage.setItem(migrationKey, 'true');
-    console.log('Migration from localStorage to IndexedDB completed successfully!');
+    if (migrated.trackers + migrated.partnerships + migrated.history > 0) {
+      console.log(
+        `Migrated from localStorage: ${migrated.trackers} project trackers, ` +
+          `${migrated.partnerships} partnerships, ${migrated.history} history entries`
+      );
+    }
   } catch (error) {
     console.error('Error during migration from localStorage:', error);
   }
+
+  return migrated;
 }
 
 // Auto-run migration on import
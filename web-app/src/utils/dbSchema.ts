@@ -0,0 +1,211 @@
+/**
+ * RealEstateDB schema versions and upgrades
+ *
+ * Every schema change is appended to SCHEMA_VERSIONS rather than editing an
+ * existing entry, because Dexie only runs the upgrades between a browser's
+ * stored version and the newest one. The row types below record what older
+ * versions actually stored, so each upgrade is written against the shape it
+ * reads instead of today's interfaces. The normalize* backfills are shared with
+ * the workspace archive migrations and the localStorage import, so rows reach
+ * the same shape whichever way they arrive.
+ */
+
+import { Transaction } from 'dexie';
+import { PropertyAnalysisResult, PropertyFormData } from '../types/property';
+import { ProjectTrackerData } from '../types/projectTracker';
+import { PartnershipManagementData, WaterfallConfig } from '../types/partnershipManagement';
+import { createMissingFirstRuns } from './snapshots';
+
+export const DB_NAME = 'RealEstateAnalysisDB';
+
+// ============================================
+// ROW SHAPES BY VERSION
+// ============================================
+
+// v1-v3: results were stored exactly as the backend returned them
+export interface PropertyAnalysisRowV1 {
+  id?: number;
+  propertyId: string;
+  formData: PropertyFormData;
+  analysisResults: any;
+  timestamp: string;
+  displayAddress: string;
+}
+
+// v1-v3: tracker and partnership data saved by older builds can lack sections added since
+export interface ProjectTrackerRowV1 {
+  id?: number;
+  propertyId: string;
+  data: Partial<ProjectTrackerData>;
+  lastUpdated: string;
+}
+
+export interface PartnershipRowV1 {
+  id?: number;
+  propertyId: string;
+  data: Partial<PartnershipManagementData>;
+  lastUpdated: string;
+}
+
+// ============================================
+// BACKFILLS
+// ============================================
+
+export const DEFAULT_WATERFALL_CONFIG: WaterfallConfig = {
+  tier1_returnOfCapital: true,
+  tier2_preferredReturnRate: 0.08,
+  tier2_preferredReturnEnabled: true,
+  tier3_catchupEnabled: true,
+  tier3_gpPromotePercent: 0.20,
+  tier4_splitByOwnership: true,
+  distributionFrequency: 'at-exit',
+};
+
+/**
+ * Fill in the PropertyAnalysisResult fields older backends didn't return
+ */
+export const normalizeAnalysisResults = (formData: PropertyFormData, results: any): PropertyAnalysisResult => ({
+  ...results,
+  property: results?.property || {
+    address: formData.address,
+    city: formData.city,
+    state: formData.state,
+    zip: formData.zip,
+  },
+  comps: results?.comps || [],
+  alerts: results?.alerts || [],
+  insights: results?.insights || [],
+  analysisMode: results?.analysisMode || formData.analysisMode || 'STANDARD',
+});
+
+export const normalizeProjectTrackerData = (
+  propertyId: string,
+  data: Partial<ProjectTrackerData>,
+  lastUpdated: string
+): ProjectTrackerData => ({
+  ...data,
+  propertyId: data.propertyId || propertyId,
+  renovationPhases: data.renovationPhases || [],
+  permits: data.permits || [],
+  materialOrders: data.materialOrders || [],
+  criticalMilestones: data.criticalMilestones || [],
+  delays: data.delays || [],
+  contractorPerformance: data.contractorPerformance || [],
+  changeOrders: data.changeOrders || [],
+  lastUpdated: data.lastUpdated || lastUpdated,
+});
+
+export const normalizePartnershipData = (
+  propertyId: string,
+  data: Partial<PartnershipManagementData>,
+  lastUpdated: string
+): PartnershipManagementData => ({
+  ...data,
+  propertyId: data.propertyId || propertyId,
+  partners: data.partners || [],
+  capitalContributions: data.capitalContributions || [],
+  waterfallConfig: { ...DEFAULT_WATERFALL_CONFIG, ...data.waterfallConfig },
+  distributions: data.distributions || [],
+  milestones: data.milestones || [],
+  cashFlowEntries: data.cashFlowEntries || [],
+  lastUpdated: data.lastUpdated || lastUpdated,
+});
+
+// ============================================
+// VERSIONS
+// ============================================
+
+export interface SchemaVersion {
+  version: number;
+  description: string;
+  stores: Record<string, string | null>;
+  upgrade?: (tx: Transaction) => Promise<unknown>;
+}
+
+export const SCHEMA_VERSIONS: SchemaVersion[] = [
+  {
+    version: 1,
+    description: 'Analyses, project trackers, partnership data and search history',
+    stores: {
+      propertyAnalyses: '++id, propertyId, timestamp, displayAddress',
+      projectTrackers: '++id, propertyId, lastUpdated',
+      partnershipData: '++id, propertyId, lastUpdated',
+      propertyHistory: '++id, propertyId, timestamp, displayAddress',
+    },
+  },
+  {
+    version: 2,
+    description: 'Portfolios grouping saved analyses',
+    stores: {
+      portfolios: '++id, portfolioId, name, updatedAt',
+    },
+  },
+  {
+    version: 3,
+    description: 'Append-only snapshot of every analysis run',
+    stores: {
+      analysisSnapshots: '++id, snapshotId, propertyId, [propertyId+runNumber], timestamp',
+    },
+  },
+  {
+    version: 4,
+    description: 'Typed analysis results; tracker and partnership sections backfilled',
+    stores: {},
+    upgrade: async (tx) => {
+      await tx
+        .table<PropertyAnalysisRowV1, number>('propertyAnalyses')
+        .toCollection()
+        .modify((row) => {
+          row.analysisResults = normalizeAnalysisResults(row.formData, row.analysisResults);
+        });
+      // Runs keep their numbers; only missing fields are filled so re-saves still match the latest run
+      await tx
+        .table<PropertyAnalysisRowV1, number>('analysisSnapshots')
+        .toCollection()
+        .modify((row) => {
+          row.analysisResults = normalizeAnalysisResults(row.formData, row.analysisResults);
+        });
+      await tx
+        .table<ProjectTrackerRowV1, number>('projectTrackers')
+        .toCollection()
+        .modify((row) => {
+          row.data = normalizeProjectTrackerData(row.propertyId, row.data, row.lastUpdated);
+        });
+      await tx
+        .table<PartnershipRowV1, number>('partnershipData')
+        .toCollection()
+        .modify((row) => {
+          row.data = normalizePartnershipData(row.propertyId, row.data, row.lastUpdated);
+        });
+    },
+  },
+  {
+    version: 5,
+    description: 'User-defined scoring profiles',
+    stores: {
+      scoringProfiles: '++id, profileId, name, updatedAt',
+    },
+  },
+  {
+    version: 6,
+    description: 'API response cache with TTLs (replaces the localStorage CacheManager)',
+    stores: {
+      apiCache: 'key, propertyKey, dataType, lastAccessed, expiresAt',
+    },
+  },
+  {
+    version: 7,
+    description: 'First runs for analyses saved before run history',
+    stores: {},
+    // v3 added run history without this, so analyses saved earlier had no timeline.
+    // Properties that already have runs are left alone.
+    upgrade: async (tx) => {
+      const analyses = await tx.table<PropertyAnalysisRowV1, number>('propertyAnalyses').toArray();
+      const snapshots = tx.table('analysisSnapshots');
+      const withRuns = (await snapshots.orderBy('propertyId').uniqueKeys()) as string[];
+      await snapshots.bulkAdd(createMissingFirstRuns(analyses, withRuns));
+    },
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = SCHEMA_VERSIONS[SCHEMA_VERSIONS.length - 1].version;
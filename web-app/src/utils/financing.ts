@@ -0,0 +1,151 @@
+/**
+ * Financing plans
+ *
+ * The backend prices every deal on a conventional mortgage. When the form
+ * picks another loan structure, the browser builds the debt schedule with the
+ * shared-core financing module and adjusts the flip and rental results before
+ * they are scored and saved, so the stored analysis reflects the real loan.
+ */
+
+import { FinancingSummary, LoanTerms, LoanType } from '../types/financing';
+import { FlipAnalysis, PropertyAnalysisResult, PropertyFormData, RentalAnalysis } from '../types/property';
+import {
+  LOAN_TYPES,
+  buildFinancingSchedule,
+  createFinancingPlan,
+  createLoan,
+  getFundedAtClosing,
+  sumDebtService,
+} from '../shared-core/calculations/financing.js';
+import type { FinancingSchedule } from '../shared-core/calculations/financing.js';
+
+export const LOAN_TYPE_OPTIONS: { type: LoanType; label: string }[] = (
+  ['HARD_MONEY', 'PRIVATE_MONEY', 'SELLER_CARRY', 'ARM'] as LoanType[]
+).map((type) => ({ type, label: LOAN_TYPES[type].label }));
+
+// Form fields are percents; shared-core takes decimals
+const toDecimal = (value?: number) => (value === undefined || Number.isNaN(value) ? null : value / 100);
+
+// ============================================
+// PLAN
+// ============================================
+
+/**
+ * Loans described by the form's loan structure, empty for the default mortgage
+ */
+export const toFinancingLoans = (formData: PropertyFormData): LoanTerms[] => {
+  const options = formData.financing;
+  if (!options?.type) return [];
+
+  return createFinancingPlan(
+    {
+      type: options.type,
+      ltv: toDecimal(options.ltv),
+      rate: toDecimal(formData.loanInterestRate),
+      points: toDecimal(options.points),
+      termMonths: options.termMonths ?? null,
+      interestOnlyMonths: options.interestOnlyMonths ?? null,
+      fundRehab: Boolean(options.fundRehab),
+    },
+    {
+      purchasePrice: formData.purchasePrice,
+      downPayment: toDecimal(formData.downPayment) ?? 0.2,
+      rehabCost: formData.rehabCost || 0,
+      monthsToFlip: formData.monthsToFlip || 6,
+    }
+  );
+};
+
+/**
+ * Loans behind the deal's debt schedule: the form's plan, or the conventional
+ * mortgage at the form's rate and term when no plan is set
+ */
+export const getDealLoans = (formData: PropertyFormData | undefined, loanAmount: number): LoanTerms[] => {
+  const plan = formData ? toFinancingLoans(formData) : [];
+  if (plan.length > 0) return plan;
+
+  const months = (formData?.loanTerm || 30) * 12;
+  return [
+    createLoan('CONVENTIONAL', loanAmount, {
+      rate: toDecimal(formData?.loanInterestRate) ?? LOAN_TYPES.CONVENTIONAL.rate,
+      termMonths: months,
+      amortizationMonths: months,
+    }),
+  ];
+};
+
+const summarize = (loans: LoanTerms[], financing: FinancingSchedule): FinancingSummary => ({
+  loanNames: loans.map((loan) => loan.name).join(', '),
+  totalInterest: Math.round(financing.totals.interest),
+  upfrontCosts: Math.round(financing.upfrontCosts),
+  drawFunded: Math.round(financing.totals.drawn),
+  loanPayoff: Math.round(financing.totals.endingBalance + financing.totals.balloon),
+  monthlyPayment: Math.round(sumDebtService(financing, 1, 12) / 12),
+  balloons: financing.balloons.map((balloon) => ({ ...balloon, amount: Math.round(balloon.amount) })),
+  rateResets: financing.rateResets,
+});
+
+// ============================================
+// RESULTS
+// ============================================
+
+// Interest, points and fees over the hold come out of the flip's profit
+const applyToFlip = (flip: FlipAnalysis, loans: LoanTerms[]): FlipAnalysis => {
+  const financing = buildFinancingSchedule(loans, flip.holdingMonths || 6);
+  if (financing.error) return flip;
+
+  const financingCosts = Math.round(financing.totals.interest + financing.upfrontCosts);
+  const totalInvestment = flip.totalInvestment + financingCosts;
+  const netProfit = flip.netProfit - financingCosts;
+
+  return {
+    ...flip,
+    financingCosts,
+    totalInvestment,
+    netProfit,
+    roi: totalInvestment > 0 ? (netProfit / totalInvestment) * 100 : 0,
+    financing: summarize(loans, financing),
+  };
+};
+
+// Year-one debt service replaces the mortgage payment; cash-on-cash counts points and fees as cash in
+const applyToRental = (rental: RentalAnalysis, loans: LoanTerms[]): RentalAnalysis => {
+  const financing = buildFinancingSchedule(loans);
+  if (financing.error) return rental;
+
+  const summary = summarize(loans, financing);
+  const loanAmount = getFundedAtClosing(loans);
+  const downPayment = Math.max(0, rental.purchasePrice - loanAmount);
+  const totalExpenses = rental.totalExpenses - rental.monthlyPayment + summary.monthlyPayment;
+  const cashFlow = rental.monthlyRent - totalExpenses;
+  const cashInvested = downPayment + summary.upfrontCosts;
+
+  return {
+    ...rental,
+    loanAmount,
+    downPayment,
+    monthlyPayment: summary.monthlyPayment,
+    totalExpenses,
+    cashFlow,
+    cashOnCashReturn: cashInvested > 0 ? ((cashFlow * 12) / cashInvested) * 100 : 0,
+    financing: summary,
+  };
+};
+
+/**
+ * Re-price the backend's results on the form's loan structure.
+ * Results that already carry a financing summary are returned unchanged.
+ */
+export const applyFinancing = (
+  results: PropertyAnalysisResult,
+  formData: PropertyFormData
+): PropertyAnalysisResult => {
+  const loans = toFinancingLoans(formData);
+  if (loans.length === 0 || results.flip?.financing || results.rental?.financing) return results;
+
+  return {
+    ...results,
+    flip: results.flip ? applyToFlip(results.flip, loans) : results.flip,
+    rental: results.rental ? applyToRental(results.rental, loans) : results.rental,
+  };
+};
@@ -0,0 +1,110 @@
+/**
+ * Live deal: the flip re-run on the Project Tracker's actuals
+ *
+ * Rehab spend is what the phases have cost so far plus the budget left on
+ * unfinished phases, approved change orders and permit fees. The sale moves
+ * with the schedule: the months to flip grow (or shrink) by however far the
+ * critical path now runs past (or short of) the one the phases were planned on.
+ * Both the original and the current case run through shared-core's
+ * calculateFlipAnalysis so the comparison is like for like.
+ */
+
+import { PropertyFormData } from '../types/property';
+import { LiveFlipAnalysis, ProjectTrackerData, RehabProgress } from '../types/projectTracker';
+import { calculateLiveFlipAnalysis } from '../shared-core/calculations/flip.js';
+import { toFinancingLoans } from './financing';
+import { toRehabScope } from './rehab';
+import { schedulePhases } from './schedule';
+
+export const LIVE_DEAL_TARGET_MARGIN_KEY = 'liveDealTargetMargin';
+
+const DAYS_PER_MONTH = 30.4;
+
+const toDecimal = (value?: number) => (value === undefined || Number.isNaN(value) ? undefined : value / 100);
+
+// Target profit margin on ARV (%), or undefined for the shared-core default
+export const loadTargetMargin = (): number | undefined => {
+  const stored = localStorage.getItem(LIVE_DEAL_TARGET_MARGIN_KEY);
+  return stored ? parseFloat(stored) : undefined;
+};
+
+export const saveTargetMargin = (margin: number | undefined): void => {
+  if (margin === undefined) {
+    localStorage.removeItem(LIVE_DEAL_TARGET_MARGIN_KEY);
+  } else {
+    localStorage.setItem(LIVE_DEAL_TARGET_MARGIN_KEY, String(margin));
+  }
+};
+
+/**
+ * shared-core property data for the flip as the form underwrote it
+ */
+export const toFlipPropertyData = (formData: PropertyFormData) => ({
+  purchasePrice: formData.purchasePrice,
+  downPayment: toDecimal(formData.downPayment),
+  loanInterestRate: toDecimal(formData.loanInterestRate),
+  loanTerm: formData.loanTerm,
+  rehabCost: formData.rehabCost || 0,
+  rehabScope: formData.rehabScope?.items.length ? toRehabScope(formData.rehabScope) : undefined,
+  monthsToFlip: formData.monthsToFlip || 6,
+  cashInvestment: formData.cashInvestment,
+  helocInterest: toDecimal(formData.helocInterest),
+  state: formData.state,
+  yearBuilt: formData.yearBuilt,
+  financing: toFinancingLoans(formData),
+});
+
+/**
+ * Days the phases take end to end on the critical path, as estimated or as
+ * currently scheduled, or back to back if their dependencies loop
+ */
+const scheduledDays = (tracker: ProjectTrackerData, baseline: boolean): number => {
+  const schedule = schedulePhases(tracker.renovationPhases, tracker.delays, { baseline });
+  if (!schedule.error) return schedule.totalDays;
+
+  return tracker.renovationPhases.reduce((sum, phase) => {
+    if (baseline) return sum + phase.estimatedDuration;
+    return sum + (phase.status === 'completed' ? phase.actualDuration : Math.max(phase.estimatedDuration, phase.actualDuration));
+  }, 0);
+};
+
+/**
+ * Rehab spend and projected months to flip from the tracker
+ */
+export const getRehabProgress = (tracker: ProjectTrackerData, originalMonthsToFlip: number): RehabProgress => {
+  const phases = tracker.renovationPhases;
+  const changeOrders = tracker.changeOrders.filter((co) => co.status === 'approved' || co.status === 'completed');
+  const slipDays = scheduledDays(tracker, false) - scheduledDays(tracker, true) + changeOrders.reduce((sum, co) => sum + co.timeImpact, 0);
+
+  return {
+    spent: phases.reduce((sum, phase) => sum + phase.actualCost, 0),
+    remaining: phases
+      .filter((phase) => phase.status !== 'completed')
+      .reduce((sum, phase) => sum + Math.max(0, phase.estimatedCost - phase.actualCost), 0),
+    changeOrders: changeOrders.reduce((sum, co) => sum + co.costImpact, 0),
+    permitCosts: tracker.permits
+      .filter((permit) => permit.status !== 'rejected')
+      .reduce((sum, permit) => sum + permit.cost, 0),
+    monthsToFlip: Math.max(1, originalMonthsToFlip + slipDays / DAYS_PER_MONTH),
+  };
+};
+
+/**
+ * Original vs current flip for a deal with tracker data; null before any phases are tracked
+ */
+export const analyzeLiveDeal = (
+  formData: PropertyFormData,
+  arv: number,
+  tracker: ProjectTrackerData | null,
+  targetMargin?: number
+): LiveFlipAnalysis | null => {
+  if (!tracker?.renovationPhases.length) return null;
+
+  const propertyData = toFlipPropertyData(formData);
+  return calculateLiveFlipAnalysis(
+    propertyData,
+    arv,
+    getRehabProgress(tracker, propertyData.monthsToFlip),
+    toDecimal(targetMargin)
+  ) as LiveFlipAnalysis;
+};
@@ -22,6 +22,7 @@ import {
   getAllStoredPropertyIds as getAllStoredPropertyIdsDB,
   clearAllStoredData as clearAllStoredDataDB,
 } from './db';
+import { normalizePartnershipData, normalizeProjectTrackerData } from './dbSchema';
 
 // Storage keys
 const PROJECT_TRACKER_KEY_PREFIX = 'projectTracker_';
@@ -64,7 +65,7 @@ export const loadProjectTrackerData = async (propertyId: string): Promise<Projec
     const key = `${PROJECT_TRACKER_KEY_PREFIX}${propertyId}`;
     const localData = localStorage.getItem(key);
     if (localData) {
-      return JSON.parse(localData) as ProjectTrackerData;
+      return normalizeProjectTrackerData(propertyId, JSON.parse(localData), new Date().toISOString());
     }
     return null;
   } catch (error) {
@@ -122,7 +123,7 @@ export const loadPartnershipData = async (propertyId: string): Promise<Partnersh
     const key = `${PARTNERSHIP_DATA_KEY_PREFIX}${propertyId}`;
     const localData = localStorage.getItem(key);
     if (localData) {
-      return JSON.parse(localData) as PartnershipManagementData;
+      return normalizePartnershipData(propertyId, JSON.parse(localData), new Date().toISOString());
     }
     return null;
   } catch (error) {
@@ -0,0 +1,162 @@
+/**
+ * Portfolio rollup calculations
+ *
+ * Aggregates saved PropertyAnalysisResults into portfolio totals. Rental holdings
+ * contribute cash flow, NOI and debt service from the rental output; flip holdings
+ * are short-term, so they count toward value, debt, equity and concentration but
+ * not toward cash flow, cap rate or DSCR - their projected net profit is reported
+ * on its own instead.
+ */
+
+import { PropertyAnalysisResult, RentalAnalysis } from '../types/property';
+import {
+  ConcentrationSlice,
+  PortfolioHolding,
+  PortfolioHoldingMetrics,
+  PortfolioStrategy,
+  PortfolioSummary,
+} from '../types/portfolio';
+
+// A single state holding more than this share (%) of market value is flagged
+export const CONCENTRATION_WARNING_SHARE = 50;
+
+export interface PortfolioHoldingInput {
+  holding: PortfolioHolding;
+  displayAddress: string;
+  results: PropertyAnalysisResult;
+}
+
+// ============================================
+// PER-HOLDING METRICS
+// ============================================
+
+// DSCR on NOI (rent less operating expenses), not gross rent, so vacancy and upkeep count against coverage
+export const calculateRentalDebtCoverage = (rental: RentalAnalysis) => {
+  const operatingExpenses = rental.totalExpenses - rental.monthlyPayment;
+  const annualNOI = (rental.monthlyRent - operatingExpenses) * 12;
+  const annualDebtService = rental.monthlyPayment * 12;
+  return {
+    annualNOI,
+    annualDebtService,
+    dscr: annualDebtService > 0 ? annualNOI / annualDebtService : null,
+  };
+};
+
+export const calculateHoldingMetrics = ({
+  holding,
+  displayAddress,
+  results,
+}: PortfolioHoldingInput): PortfolioHoldingMetrics => {
+  const { rental, flip } = results;
+  const purchasePrice = rental?.purchasePrice || flip?.purchasePrice || 0;
+  const marketValue = flip?.arv || purchasePrice;
+  // Both strategies are bought with the same purchase loan the rental output sizes
+  const debt = rental?.loanAmount || 0;
+
+  const metrics: PortfolioHoldingMetrics = {
+    propertyId: holding.propertyId,
+    displayAddress,
+    state: (results.property?.state || '').toUpperCase() || 'Unknown',
+    strategy: holding.strategy,
+    purchasePrice,
+    marketValue,
+    debt,
+    equity: marketValue - debt,
+    monthlyCashFlow: 0,
+    annualNOI: 0,
+    annualDebtService: 0,
+    capRate: 0,
+    projectedProfit: 0,
+  };
+
+  if (holding.strategy === 'rental' && rental) {
+    const { annualNOI, annualDebtService } = calculateRentalDebtCoverage(rental);
+    metrics.monthlyCashFlow = rental.cashFlow;
+    metrics.annualNOI = annualNOI;
+    metrics.annualDebtService = annualDebtService;
+    metrics.capRate = purchasePrice > 0 ? (metrics.annualNOI / purchasePrice) * 100 : 0;
+  } else if (holding.strategy === 'flip' && flip) {
+    metrics.projectedProfit = flip.netProfit;
+  }
+
+  return metrics;
+};
+
+// ============================================
+// CONCENTRATION
+// ============================================
+
+export const calculateConcentration = (
+  holdings: PortfolioHoldingMetrics[],
+  keyOf: (holding: PortfolioHoldingMetrics) => string
+): ConcentrationSlice[] => {
+  const totalValue = holdings.reduce((sum, h) => sum + h.marketValue, 0);
+  const slices = new Map<string, ConcentrationSlice>();
+
+  holdings.forEach((holding) => {
+    const key = keyOf(holding);
+    const slice = slices.get(key) || { key, count: 0, marketValue: 0, share: 0 };
+    slice.count += 1;
+    slice.marketValue += holding.marketValue;
+    slices.set(key, slice);
+  });
+
+  return Array.from(slices.values())
+    .map((slice) => ({
+      ...slice,
+      share: totalValue > 0 ? (slice.marketValue / totalValue) * 100 : 0,
+    }))
+    .sort((a, b) => b.share - a.share || a.key.localeCompare(b.key));
+};
+
+// ============================================
+// PORTFOLIO ROLLUP
+// ============================================
+
+export const calculatePortfolioSummary = (inputs: PortfolioHoldingInput[]): PortfolioSummary => {
+  const holdings = inputs.map(calculateHoldingMetrics);
+  const rentals = holdings.filter((h) => h.strategy === 'rental');
+  const sum = (list: PortfolioHoldingMetrics[], field: keyof PortfolioHoldingMetrics) =>
+    list.reduce((total, h) => total + (h[field] as number), 0);
+
+  const annualNOI = sum(rentals, 'annualNOI');
+  const annualDebtService = sum(rentals, 'annualDebtService');
+  const rentalPurchasePrice = sum(rentals, 'purchasePrice');
+
+  const byState = calculateConcentration(holdings, (h) => h.state);
+  const byStrategy = calculateConcentration(holdings, (h) => h.strategy);
+
+  // One property is trivially 100% concentrated, so only warn once there is a mix to compare
+  const concentrationWarnings =
+    holdings.length > 1
+      ? byState
+          .filter((slice) => slice.share > CONCENTRATION_WARNING_SHARE)
+          .map((slice) => `${slice.share.toFixed(0)}% of portfolio value is in ${slice.key}`)
+      : [];
+
+  return {
+    holdings,
+    propertyCount: holdings.length,
+    rentalCount: rentals.length,
+    flipCount: holdings.length - rentals.length,
+    totalMarketValue: sum(holdings, 'marketValue'),
+    totalDebt: sum(holdings, 'debt'),
+    totalEquity: sum(holdings, 'equity'),
+    monthlyCashFlow: sum(rentals, 'monthlyCashFlow'),
+    annualNOI,
+    annualDebtService,
+    blendedCapRate: rentalPurchasePrice > 0 ? (annualNOI / rentalPurchasePrice) * 100 : 0,
+    dscr: annualDebtService > 0 ? annualNOI / annualDebtService : null,
+    projectedFlipProfit: sum(holdings, 'projectedProfit'),
+    byState,
+    byStrategy,
+    concentrationWarnings,
+  };
+};
+
+// Default strategy when adding an analysis: hold it if it cash flows, otherwise flip it
+export const suggestPortfolioStrategy = (results: PropertyAnalysisResult): PortfolioStrategy => {
+  if (!results.rental) return 'flip';
+  if (!results.flip) return 'rental';
+  return results.rental.cashFlow > 0 || results.flip.roi <= 0 ? 'rental' : 'flip';
+};
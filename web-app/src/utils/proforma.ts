@@ -0,0 +1,137 @@
+/**
+ * Multi-year rental pro forma
+ *
+ * Runs shared-core's projectProForma for the Advanced Metrics tab from the
+ * backend's rental result and the deal's primary loan, the same deal the
+ * tax projection uses. Growth, exit and capex assumptions are market views
+ * rather than facts about one property, so they are kept in localStorage
+ * and carry over between analyses.
+ */
+
+import { PropertyFormData, RentalAnalysis } from '../types/property';
+import { ProForma, ProFormaInputs, ProFormaYear } from '../types/proforma';
+import { projectProForma } from '../shared-core/calculations/proforma.js';
+import { toAmortizationLoan } from '../shared-core/calculations/amortization.js';
+import { getDealLoans } from './financing';
+
+export const PROFORMA_ASSUMPTIONS_KEY = 'proFormaAssumptions';
+
+const toDecimal = (value?: number) => (value === undefined || Number.isNaN(value) ? undefined : value / 100);
+
+export const loadProFormaInputs = (): ProFormaInputs => {
+  try {
+    return JSON.parse(localStorage.getItem(PROFORMA_ASSUMPTIONS_KEY) || '{}') as ProFormaInputs;
+  } catch {
+    return {};
+  }
+};
+
+export const saveProFormaInputs = (inputs: ProFormaInputs): void => {
+  localStorage.setItem(PROFORMA_ASSUMPTIONS_KEY, JSON.stringify(inputs));
+};
+
+/**
+ * shared-core pro forma assumptions (decimals) for the tab's inputs (percents)
+ */
+export const toProFormaAssumptions = (inputs: ProFormaInputs) => {
+  const expenseGrowthByLine: Record<string, number> = {};
+  const propertyTaxGrowth = toDecimal(inputs.propertyTaxGrowth);
+  const insuranceGrowth = toDecimal(inputs.insuranceGrowth);
+  if (propertyTaxGrowth !== undefined) expenseGrowthByLine.propertyTaxes = propertyTaxGrowth;
+  if (insuranceGrowth !== undefined) expenseGrowthByLine.insurance = insuranceGrowth;
+
+  return {
+    holdYears: inputs.holdYears,
+    rentGrowth: toDecimal(inputs.rentGrowth),
+    expenseGrowth: toDecimal(inputs.expenseGrowth),
+    expenseGrowthByLine,
+    appreciation: toDecimal(inputs.appreciation),
+    capexReserveRate: toDecimal(inputs.capexReserveRate),
+    capexItems: (inputs.capexItems || []).filter((item) => item.year > 0),
+    exitCapRate: toDecimal(inputs.exitCapRate),
+    sellingCostRate: toDecimal(inputs.sellingCostRate),
+    refinanceYear: inputs.refinanceYear,
+    refinanceLtv: toDecimal(inputs.refinanceLtv),
+    refinanceRate: toDecimal(inputs.refinanceRate),
+  };
+};
+
+/**
+ * Project the rental through its sale. The backend rolls HOA into total
+ * expenses without its own field, so it is whatever operating cost is left
+ * after taxes, insurance and maintenance.
+ */
+export const projectDealProForma = (
+  rental: RentalAnalysis,
+  formData: PropertyFormData | null | undefined,
+  inputs: ProFormaInputs
+): ProForma => {
+  const rehabCost = formData?.rehabCost || 0;
+  const closingCosts = rental.financing?.upfrontCosts || 0;
+  const operatingMonthly = rental.totalExpenses - rental.monthlyPayment - rental.vacancy;
+  const hoaMonthly = Math.max(0, operatingMonthly - rental.propertyTax - rental.insurance - rental.maintenance);
+  const loan = rental.loanAmount > 0
+    ? toAmortizationLoan(getDealLoans(formData ?? undefined, rental.loanAmount)[0]).loan
+    : null;
+
+  return projectProForma(
+    {
+      purchasePrice: rental.purchasePrice,
+      rehabCost,
+      closingCosts,
+      cashInvested: rental.downPayment + rehabCost + (formData?.cashInvestment || 0) + closingCosts,
+      grossRent: rental.monthlyRent * 12,
+      vacancyRate: rental.monthlyRent > 0 ? rental.vacancy / rental.monthlyRent : 0,
+      expenses: {
+        propertyTaxes: rental.propertyTax * 12,
+        insurance: rental.insurance * 12,
+        maintenance: rental.maintenance * 12,
+        hoaFees: hoaMonthly * 12,
+      },
+      loan,
+    },
+    toProFormaAssumptions(inputs)
+  );
+};
+
+const PROFORMA_CSV_COLUMNS: { label: string; value: (year: ProFormaYear) => number }[] = [
+  { label: 'Year', value: (y) => y.year },
+  { label: 'Gross Rent', value: (y) => y.grossRent },
+  { label: 'Vacancy', value: (y) => y.vacancyLoss },
+  { label: 'Operating Expenses', value: (y) => y.operatingExpenses },
+  { label: 'NOI', value: (y) => y.noi },
+  { label: 'Capex Reserve', value: (y) => y.capexReserve },
+  { label: 'Capex Spent', value: (y) => y.capexSpent },
+  { label: 'Interest', value: (y) => y.interest },
+  { label: 'Principal', value: (y) => y.principal },
+  { label: 'Cash Flow', value: (y) => y.cashFlow },
+  { label: 'Refinance Proceeds', value: (y) => y.refinanceProceeds },
+  { label: 'Loan Balance', value: (y) => y.loanBalance },
+  { label: 'Property Value', value: (y) => y.propertyValue },
+  { label: 'Equity', value: (y) => y.equity },
+  { label: 'Cumulative Cash Flow', value: (y) => y.cumulativeCashFlow },
+];
+
+/**
+ * Annual pro forma, sale and returns as CSV for a spreadsheet
+ */
+export const proFormaToCSV = (proForma: ProForma): string => {
+  const percent = (value: number | null) => (value === null ? 'N/A' : `${value}%`);
+  const lines = [
+    PROFORMA_CSV_COLUMNS.map((column) => column.label).join(','),
+    ...proForma.years.map((year) => PROFORMA_CSV_COLUMNS.map((column) => column.value(year)).join(',')),
+    '',
+    `Sale Price (${proForma.sale.method}),${proForma.sale.salePrice}`,
+    `Selling Costs,${proForma.sale.sellingCosts}`,
+    `Loan Payoff,${proForma.sale.loanPayoff}`,
+    `Net Sale Proceeds,${proForma.sale.netProceeds}`,
+    `Cash Invested,${proForma.cashInvested}`,
+    `Levered IRR,${percent(proForma.leveredIRR)}`,
+    `Unlevered IRR,${percent(proForma.unleveredIRR)}`,
+    `Equity Multiple,${proForma.equityMultiple}`,
+  ];
+  if (proForma.refinance) {
+    lines.push(`Refinance Year,${proForma.refinance.year}`, `Refinance Cash Out,${proForma.refinance.cashOut}`);
+  }
+  return lines.join('\n');
+};
@@ -0,0 +1,75 @@
+/**
+ * Rehab scope of work
+ *
+ * The backend takes one rehabCost and adds no contingency to it, so a form
+ * with a scope of work is priced in the browser on shared-core's estimator
+ * and its total budget (contingency included) is sent as rehabCost. The
+ * estimate rides along on the flip result for the Flip Analysis tab and
+ * seeds the Project Tracker's renovation phases.
+ */
+
+import { PropertyAnalysisResult, PropertyFormData } from '../types/property';
+import { RehabEstimate, RehabScopeInputs } from '../types/rehab';
+import { RenovationPhaseFormData } from '../types/projectTracker';
+import { buildRenovationPhases, estimateRehab } from '../shared-core/calculations/rehab.js';
+
+const toDecimal = (value?: number) => (value === undefined || Number.isNaN(value) ? undefined : value / 100);
+
+/**
+ * shared-core scope (decimal contingency) for the form's scope of work (percent contingency)
+ */
+export const toRehabScope = (scope: RehabScopeInputs) => ({
+  finishLevel: scope.finishLevel || 'standard',
+  contingencyRate: toDecimal(scope.contingencyRate) ?? null,
+  items: scope.items.map((row) => ({
+    item: row.item,
+    room: row.room,
+    quantity: row.quantity ?? 0,
+    finishLevel: row.finishLevel,
+    unitCost: row.unitCost ?? null,
+  })),
+});
+
+/**
+ * Price the form's scope of work for its state and year built; null without line items
+ */
+export const estimateFormRehab = (formData: PropertyFormData): RehabEstimate | null => {
+  if (!formData.rehabScope?.items.length) return null;
+  return estimateRehab(toRehabScope(formData.rehabScope), {
+    state: formData.state,
+    yearBuilt: formData.yearBuilt,
+  }) as RehabEstimate;
+};
+
+/**
+ * Form data with rehabCost set to the scope's total budget, ready to submit
+ */
+export const withRehabBudget = (formData: PropertyFormData): PropertyFormData => {
+  const estimate = estimateFormRehab(formData);
+  if (!estimate || estimate.error) return formData;
+  return { ...formData, rehabCost: estimate.totalBudget };
+};
+
+/**
+ * Attach the scope of work's estimate to the flip result
+ */
+export const applyRehabScope = (results: PropertyAnalysisResult, formData: PropertyFormData): PropertyAnalysisResult => {
+  const estimate = estimateFormRehab(formData);
+  if (!estimate || estimate.error || !results.flip) return results;
+  return { ...results, flip: { ...results.flip, rehabScope: estimate } };
+};
+
+/**
+ * Project Tracker phases for an estimate, one per trade, not started and without actuals
+ */
+export const toRenovationPhases = (estimate: RehabEstimate): RenovationPhaseFormData[] =>
+  buildRenovationPhases(estimate).map((phase) => ({
+    ...phase,
+    actualCost: 0,
+    actualDuration: 0,
+    startDate: '',
+    endDate: '',
+    contractor: '',
+    status: 'not-started',
+    notes: '',
+  }));
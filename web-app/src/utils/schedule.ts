@@ -0,0 +1,210 @@
+/**
+ * Renovation schedule: phase dependencies and the critical path
+ *
+ * Phases are linked finish-to-start with an optional lag. A start date
+ * means "start no earlier than", and a phase with both dates lasts from one
+ * to the other, otherwise its estimated (or longer actual) duration. Delays
+ * logged against a phase hold it past its end date. Until any dependency is
+ * set, undated phases run back to back in list order, which is how the
+ * timeline was read before it had dependencies.
+ *
+ * A forward pass gives each phase its earliest start and finish and a
+ * backward pass its latest; the phases without float are the critical path,
+ * and where it ends is the projected completion date.
+ */
+
+import { PhaseDependency, ProjectDelay, RenovationPhase } from '../types/projectTracker';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface ScheduledPhase {
+  id: string;
+  phaseName: string;
+  duration: number; // in days, delays included
+  delayDays: number;
+  earlyStart: number; // days from the project start
+  earlyFinish: number;
+  lateStart: number;
+  lateFinish: number;
+  totalFloat: number;
+  isCritical: boolean;
+  startDate: string; // '' when no phase has a start date
+  endDate: string;
+}
+
+export interface PhaseSchedule {
+  phases: ScheduledPhase[]; // in timeline order
+  criticalPath: string[]; // phase IDs, first to last
+  projectStart: string;
+  projectedCompletionDate: string;
+  totalDays: number;
+  error?: string;
+}
+
+export interface ScheduleOptions {
+  // The plan as estimated: estimated durations only, ignoring dates, actuals and delays
+  baseline?: boolean;
+}
+
+const toTime = (date: string) => (date ? new Date(date).getTime() : NaN);
+const isDate = (date: string) => !Number.isNaN(toTime(date));
+const daysBetween = (from: string, to: string) => Math.round((toTime(to) - toTime(from)) / DAY_MS);
+
+export const addDays = (date: string, days: number): string =>
+  new Date(toTime(date) + days * DAY_MS).toISOString().split('T')[0];
+
+const phaseDuration = (phase: RenovationPhase, baseline: boolean): number => {
+  if (baseline) return phase.estimatedDuration;
+  if (isDate(phase.startDate) && isDate(phase.endDate)) {
+    return Math.max(0, daysBetween(phase.startDate, phase.endDate));
+  }
+  return phase.status === 'completed'
+    ? phase.actualDuration || phase.estimatedDuration
+    : Math.max(phase.estimatedDuration, phase.actualDuration);
+};
+
+/**
+ * Each phase's predecessors: its own dependencies on phases that exist, or
+ * the phase listed before it while no phase has dependencies
+ */
+const predecessorsOf = (phases: RenovationPhase[], baseline: boolean): PhaseDependency[][] => {
+  const ids = new Set(phases.map((phase) => phase.id));
+  const dependencies = phases.map((phase) =>
+    (phase.dependencies || []).filter((dep) => dep.phaseId !== phase.id && ids.has(dep.phaseId))
+  );
+  if (dependencies.some((deps) => deps.length > 0)) return dependencies;
+
+  return phases.map((phase, index) =>
+    index === 0 || (!baseline && isDate(phase.startDate)) ? [] : [{ phaseId: phases[index - 1].id, lagDays: 0 }]
+  );
+};
+
+/**
+ * Earliest and latest dates, float and the critical path for the phases
+ */
+export const schedulePhases = (
+  phases: RenovationPhase[],
+  delays: ProjectDelay[] = [],
+  options: ScheduleOptions = {}
+): PhaseSchedule => {
+  const baseline = !!options.baseline;
+  const starts = baseline ? [] : phases.map((phase) => toTime(phase.startDate)).filter((time) => !Number.isNaN(time));
+  const projectStart = starts.length ? new Date(Math.min(...starts)).toISOString().split('T')[0] : '';
+
+  const positions = new Map(phases.map((phase, index) => [phase.id, index]));
+  const predecessors = predecessorsOf(phases, baseline);
+  const successors: { index: number; lagDays: number }[][] = phases.map(() => []);
+  predecessors.forEach((deps, index) =>
+    deps.forEach((dep) => successors[positions.get(dep.phaseId)!].push({ index, lagDays: dep.lagDays || 0 }))
+  );
+
+  // Topological order; whatever is left over sits on or after a loop
+  const waitingOn = predecessors.map((deps) => deps.length);
+  const queue = phases.map((_, index) => index).filter((index) => waitingOn[index] === 0);
+  const order: number[] = [];
+  while (queue.length) {
+    const index = queue.shift()!;
+    order.push(index);
+    successors[index].forEach((next) => {
+      waitingOn[next.index] -= 1;
+      if (waitingOn[next.index] === 0) queue.push(next.index);
+    });
+  }
+  if (order.length < phases.length) {
+    const looped = phases.filter((_, index) => waitingOn[index] > 0).map((phase) => phase.phaseName);
+    return {
+      phases: [],
+      criticalPath: [],
+      projectStart,
+      projectedCompletionDate: '',
+      totalDays: 0,
+      error: `Phase dependencies loop back on themselves: ${looped.join(', ')}`,
+    };
+  }
+
+  const delayDays = phases.map((phase) =>
+    baseline
+      ? 0
+      : delays.filter((delay) => delay.phaseId === phase.id).reduce((sum, delay) => sum + delay.daysDelayed, 0)
+  );
+  const durations = phases.map((phase, index) => phaseDuration(phase, baseline) + delayDays[index]);
+
+  // Forward pass; a completed phase keeps the start date it actually had
+  const earlyStart = phases.map(() => 0);
+  const earlyFinish = phases.map(() => 0);
+  order.forEach((index) => {
+    const phase = phases[index];
+    const anchor = !baseline && isDate(phase.startDate) ? daysBetween(projectStart, phase.startDate) : 0;
+    earlyStart[index] =
+      !baseline && phase.status === 'completed' && isDate(phase.startDate)
+        ? anchor
+        : predecessors[index].reduce(
+            (start, dep) => Math.max(start, earlyFinish[positions.get(dep.phaseId)!] + (dep.lagDays || 0)),
+            anchor
+          );
+    earlyFinish[index] = earlyStart[index] + durations[index];
+  });
+  const totalDays = Math.max(0, ...earlyFinish);
+
+  // Backward pass from the project finish
+  const lateStart = phases.map(() => totalDays);
+  const lateFinish = phases.map(() => totalDays);
+  [...order].reverse().forEach((index) => {
+    lateFinish[index] = successors[index].reduce(
+      (finish, next) => Math.min(finish, lateStart[next.index] - next.lagDays),
+      totalDays
+    );
+    lateStart[index] = lateFinish[index] - durations[index];
+  });
+
+  const toDate = (offset: number) => (projectStart ? addDays(projectStart, offset) : '');
+  const scheduled: ScheduledPhase[] = phases.map((phase, index) => {
+    const totalFloat = Math.max(0, lateStart[index] - earlyStart[index]);
+    return {
+      id: phase.id,
+      phaseName: phase.phaseName,
+      duration: durations[index],
+      delayDays: delayDays[index],
+      earlyStart: earlyStart[index],
+      earlyFinish: earlyFinish[index],
+      lateStart: lateStart[index],
+      lateFinish: lateFinish[index],
+      totalFloat,
+      isCritical: totalFloat === 0,
+      startDate: toDate(earlyStart[index]),
+      endDate: toDate(earlyFinish[index]),
+    };
+  });
+
+  return {
+    phases: scheduled,
+    criticalPath: order
+      .filter((index) => scheduled[index].isCritical)
+      .sort((a, b) => earlyStart[a] - earlyStart[b])
+      .map((index) => phases[index].id),
+    projectStart,
+    projectedCompletionDate: toDate(totalDays),
+    totalDays,
+  };
+};
+
+/**
+ * Phases with their dates moved back wherever a predecessor now finishes
+ * later, e.g. after a delay is logged. Completed and undated phases are left
+ * as they are.
+ */
+export const reschedulePhases = (phases: RenovationPhase[], delays: ProjectDelay[]): RenovationPhase[] => {
+  const schedule = schedulePhases(phases, delays);
+  if (schedule.error) return phases;
+
+  return phases.map((phase, index) => {
+    if (phase.status === 'completed' || !isDate(phase.startDate)) return phase;
+    const shift = daysBetween(phase.startDate, schedule.phases[index].startDate);
+    if (shift <= 0) return phase;
+    return {
+      ...phase,
+      startDate: schedule.phases[index].startDate,
+      endDate: isDate(phase.endDate) ? addDays(phase.endDate, shift) : phase.endDate,
+    };
+  });
+};
@@ -0,0 +1,84 @@
+/**
+ * Scoring profiles
+ *
+ * The built-in profiles come from shared-core; user-defined ones live in the
+ * scoringProfiles table. Each analysis records the profile it was scored with
+ * in formData.scoringProfileId, and the browser re-scores the backend's
+ * results with that profile so the deal score matches the Sheets sidebar.
+ */
+
+import { DealScore, PropertyAnalysisResult } from '../types/property';
+import { SavedScoringProfile, ScoringProfile } from '../types/scoring';
+import {
+  DEFAULT_SCORING_PROFILE,
+  PRESET_SCORING_PROFILES,
+  getDealRecommendation,
+  resolveScoringProfile,
+} from '../shared-core/calculations/scoring.js';
+import { scoreFlip, scoreRental, scoreSTR } from './compare';
+
+export const ACTIVE_SCORING_PROFILE_KEY = 'activeScoringProfileId';
+
+// ============================================
+// PROFILE LOOKUP
+// ============================================
+
+export const toScoringProfile = ({ profileId, name, weights, thresholds, recommendationBands }: SavedScoringProfile): ScoringProfile =>
+  resolveScoringProfile({ id: profileId, name, weights, thresholds, recommendationBands });
+
+export const isPresetProfile = (profileId: string): boolean =>
+  PRESET_SCORING_PROFILES.some((profile) => profile.id === profileId);
+
+/**
+ * Built-in profiles first, then the user's own in name order
+ */
+export const listScoringProfiles = (saved: SavedScoringProfile[]): ScoringProfile[] => [
+  ...PRESET_SCORING_PROFILES,
+  ...saved.filter((row) => !isPresetProfile(row.profileId)).map(toScoringProfile),
+];
+
+// A deleted profile falls back to the default rather than leaving the analysis unscored
+export const findScoringProfile = (profiles: ScoringProfile[], profileId?: string): ScoringProfile =>
+  profiles.find((profile) => profile.id === profileId) ?? DEFAULT_SCORING_PROFILE;
+
+/**
+ * Copy a profile under a new id so it can be edited without touching the original
+ */
+export const copyScoringProfile = (profile: ScoringProfile, name: string): ScoringProfile => ({
+  ...resolveScoringProfile(profile),
+  id: `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+  name,
+});
+
+export const getActiveScoringProfileId = (): string =>
+  localStorage.getItem(ACTIVE_SCORING_PROFILE_KEY) || DEFAULT_SCORING_PROFILE.id;
+
+export const setActiveScoringProfileId = (profileId: string): void => {
+  localStorage.setItem(ACTIVE_SCORING_PROFILE_KEY, profileId);
+};
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Score an analysis on whichever strategy does better under the profile.
+ * Returns the backend's score unchanged when there is nothing to score.
+ */
+export const scoreAnalysis = (results: PropertyAnalysisResult, profile: ScoringProfile): DealScore | undefined => {
+  const flipScore = scoreFlip(results, profile);
+  const rentalScore = scoreRental(results, profile);
+  const strScore = scoreSTR(results, profile);
+  if (flipScore === null && rentalScore === null && strScore === null) {
+    return results.score;
+  }
+
+  const total = Math.max(flipScore ?? 0, rentalScore ?? 0, strScore ?? 0);
+  return {
+    score: total,
+    stars: Math.max(0, Math.min(5, Math.round(total / 20))),
+    rating: getDealRecommendation(total, profile).label,
+    profileId: profile.id,
+    profileName: profile.name,
+  };
+};
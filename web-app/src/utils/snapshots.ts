@@ -0,0 +1,233 @@
+/**
+ * Analysis snapshot helpers
+ *
+ * Every analysis run is kept as an immutable snapshot (see saveAnalysisSnapshot in
+ * db.ts). These helpers describe what a run was built from and explain what
+ * changed between two runs of the same property, tying output moves back to the
+ * inputs, comps and data sources that caused them.
+ */
+
+import { ComparableProperty, PropertyAnalysisResult, PropertyFormData } from '../types/property';
+import { AnalysisMode, AnalysisSnapshot, SnapshotDiff, SnapshotFieldChange, SnapshotFieldFormat } from '../types/snapshot';
+import { formatCurrency } from './formatters';
+
+interface SnapshotField {
+  key: string;
+  label: string;
+  format: SnapshotFieldFormat;
+  read: (formData: PropertyFormData, results: PropertyAnalysisResult) => number | string | null | undefined;
+}
+
+const INPUT_FIELDS: SnapshotField[] = [
+  { key: 'purchasePrice', label: 'Purchase Price', format: 'currency', read: (f) => f.purchasePrice },
+  { key: 'downPayment', label: 'Down Payment', format: 'percent', read: (f) => f.downPayment },
+  { key: 'loanInterestRate', label: 'Interest Rate', format: 'percent', read: (f) => f.loanInterestRate },
+  { key: 'loanTerm', label: 'Loan Term (years)', format: 'number', read: (f) => f.loanTerm },
+  { key: 'rehabCost', label: 'Rehab Cost', format: 'currency', read: (f) => f.rehabCost },
+  { key: 'monthsToFlip', label: 'Months to Flip', format: 'number', read: (f) => f.monthsToFlip },
+  { key: 'cashInvestment', label: 'Cash Investment', format: 'currency', read: (f) => f.cashInvestment },
+  { key: 'helocInterest', label: 'HELOC Interest', format: 'percent', read: (f) => f.helocInterest },
+  { key: 'beds', label: 'Beds', format: 'number', read: (f) => f.beds },
+  { key: 'baths', label: 'Baths', format: 'number', read: (f) => f.baths },
+  { key: 'sqft', label: 'Square Feet', format: 'number', read: (f) => f.sqft },
+  { key: 'yearBuilt', label: 'Year Built', format: 'number', read: (f) => f.yearBuilt },
+  { key: 'arv', label: 'User ARV', format: 'currency', read: (f) => f.arv },
+  { key: 'userProvidedComps', label: 'User Comps', format: 'number', read: (f) => f.userProvidedComps?.length },
+];
+
+const OUTPUT_FIELDS: SnapshotField[] = [
+  { key: 'arv', label: 'ARV', format: 'currency', read: (_, r) => r.flip?.arv },
+  { key: 'totalInvestment', label: 'Total Investment', format: 'currency', read: (_, r) => r.flip?.totalInvestment },
+  { key: 'netProfit', label: 'Flip Net Profit', format: 'currency', read: (_, r) => r.flip?.netProfit },
+  { key: 'flipRoi', label: 'Flip ROI', format: 'percent', read: (_, r) => r.flip?.roi },
+  { key: 'arvConfidence', label: 'ARV Confidence', format: 'number', read: (_, r) => r.flip?.confidenceScore },
+  { key: 'monthlyRent', label: 'Monthly Rent', format: 'currency', read: (_, r) => r.rental?.monthlyRent },
+  { key: 'cashFlow', label: 'Monthly Cash Flow', format: 'currency', read: (_, r) => r.rental?.cashFlow },
+  { key: 'capRate', label: 'Cap Rate', format: 'percent', read: (_, r) => r.rental?.capRate },
+  { key: 'cashOnCash', label: 'Cash-on-Cash Return', format: 'percent', read: (_, r) => r.rental?.cashOnCashReturn },
+  { key: 'dealScore', label: 'Deal Score', format: 'number', read: (_, r) => r.score?.score },
+  { key: 'compCount', label: 'Comps Used', format: 'number', read: (_, r) => r.comps?.length },
+];
+
+// ============================================
+// RUN METADATA
+// ============================================
+
+export const getAnalysisMode = (
+  formData: Pick<PropertyFormData, 'analysisMode'>,
+  results: Pick<PropertyAnalysisResult, 'analysisMode'>
+): AnalysisMode =>
+  results.analysisMode || formData.analysisMode || 'STANDARD';
+
+/**
+ * Data sources a run drew on: comp providers plus any ARV estimate that came back non-empty
+ */
+export const collectApiSources = (results: Pick<PropertyAnalysisResult, 'dataSource' | 'comps' | 'flip'>): string[] => {
+  const sources = new Set<string>();
+  if (results.dataSource) {
+    sources.add(results.dataSource);
+  }
+  (results.comps || []).forEach((comp) => {
+    if (comp.dataSource) sources.add(comp.dataSource);
+  });
+  Object.entries(results.flip?.arvSources || {}).forEach(([source, value]) => {
+    if (value) sources.add(source);
+  });
+  return Array.from(sources).sort();
+};
+
+/**
+ * Snapshot an analysis saved before run history existed as its property's first run
+ */
+export const createFirstRunSnapshot = (
+  analysis: Pick<AnalysisSnapshot, 'propertyId' | 'displayAddress' | 'formData' | 'analysisResults' | 'timestamp'>,
+  index: number
+): AnalysisSnapshot => ({
+  snapshotId: `${Date.parse(analysis.timestamp) || 0}_backfill_${index}`,
+  propertyId: analysis.propertyId,
+  runNumber: 1,
+  displayAddress: analysis.displayAddress,
+  formData: analysis.formData,
+  analysisResults: analysis.analysisResults,
+  analysisMode: getAnalysisMode(analysis.formData || {}, analysis.analysisResults || {}),
+  apiSources: collectApiSources(analysis.analysisResults || {}),
+  timestamp: analysis.timestamp,
+});
+
+/**
+ * First runs for the saved analyses whose property has no runs yet
+ */
+export const createMissingFirstRuns = (
+  analyses: Array<Parameters<typeof createFirstRunSnapshot>[0]>,
+  propertyIdsWithRuns: Iterable<string>
+): AnalysisSnapshot[] => {
+  const withRuns = new Set(propertyIdsWithRuns);
+  return analyses.filter((analysis) => !withRuns.has(analysis.propertyId)).map(createFirstRunSnapshot);
+};
+
+/**
+ * True when a save carries exactly the inputs and outputs of the snapshot, so
+ * re-saving an unchanged analysis doesn't add a run to the timeline
+ */
+export const isSameRun = (
+  snapshot: Pick<AnalysisSnapshot, 'formData' | 'analysisResults'>,
+  formData: PropertyFormData,
+  results: PropertyAnalysisResult
+): boolean =>
+  JSON.stringify(snapshot.formData) === JSON.stringify(formData) &&
+  JSON.stringify(snapshot.analysisResults) === JSON.stringify(results);
+
+// ============================================
+// DIFF
+// ============================================
+
+const diffField = (
+  field: SnapshotField,
+  before: AnalysisSnapshot,
+  after: AnalysisSnapshot
+): SnapshotFieldChange | null => {
+  const a = field.read(before.formData, before.analysisResults) ?? null;
+  const b = field.read(after.formData, after.analysisResults) ?? null;
+  if (a === b) return null;
+
+  const numeric = typeof a === 'number' && typeof b === 'number';
+  return {
+    key: field.key,
+    label: field.label,
+    format: field.format,
+    before: a,
+    after: b,
+    change: numeric ? b - a : null,
+    changePercent: numeric && a !== 0 ? ((b - a) / Math.abs(a)) * 100 : null,
+  };
+};
+
+const compKey = (comp: ComparableProperty) => comp.address.trim().toLowerCase();
+
+const diffComps = (before: ComparableProperty[], after: ComparableProperty[]) => {
+  const beforeKeys = new Set(before.map(compKey));
+  const afterKeys = new Set(after.map(compKey));
+  return {
+    added: after.filter((c) => !beforeKeys.has(compKey(c))).map((c) => c.address),
+    removed: before.filter((c) => !afterKeys.has(compKey(c))).map((c) => c.address),
+  };
+};
+
+const plural = (count: number, noun: string) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const describeMove = (change: SnapshotFieldChange): string => {
+  const direction = (change.change ?? 0) >= 0 ? 'up' : 'down';
+  const amount =
+    change.changePercent !== null
+      ? `${Math.abs(change.changePercent).toFixed(1)}%`
+      : change.format === 'currency'
+        ? formatCurrency(Math.abs(change.change ?? 0))
+        : String(Math.abs(change.change ?? 0));
+  return `${change.label} moved ${direction} ${amount}`;
+};
+
+/**
+ * Compare two runs of the same property. `before` should be the earlier run.
+ */
+export const diffSnapshots = (before: AnalysisSnapshot, after: AnalysisSnapshot): SnapshotDiff => {
+  const inputChanges = INPUT_FIELDS.map((f) => diffField(f, before, after)).filter(
+    (c): c is SnapshotFieldChange => c !== null
+  );
+  const outputChanges = OUTPUT_FIELDS.map((f) => diffField(f, before, after)).filter(
+    (c): c is SnapshotFieldChange => c !== null
+  );
+  const comps = diffComps(before.analysisResults.comps || [], after.analysisResults.comps || []);
+  const sourcesAdded = after.apiSources.filter((s) => !before.apiSources.includes(s));
+  const sourcesRemoved = before.apiSources.filter((s) => !after.apiSources.includes(s));
+  const modeChanged = before.analysisMode !== after.analysisMode;
+
+  // Explain the headline moves in terms of what fed them
+  const explanations: string[] = [];
+  const compCauses: string[] = [];
+  if (comps.removed.length > 0) compCauses.push(`${plural(comps.removed.length, 'comp')} dropped out`);
+  if (comps.added.length > 0) compCauses.push(`${plural(comps.added.length, 'comp')} added`);
+  const sourceCauses: string[] = [];
+  if (sourcesRemoved.length > 0) sourceCauses.push(`lost ${sourcesRemoved.join(', ')}`);
+  if (sourcesAdded.length > 0) sourceCauses.push(`gained ${sourcesAdded.join(', ')}`);
+
+  const arvChange = outputChanges.find((c) => c.key === 'arv');
+  if (arvChange) {
+    const userArv = inputChanges.find((c) => c.key === 'arv');
+    const causes = [...(userArv ? ['user ARV changed'] : []), ...compCauses, ...sourceCauses];
+    explanations.push(`${describeMove(arvChange)}${causes.length ? ` because ${causes.join(' and ')}` : ''}`);
+  } else if (compCauses.length > 0) {
+    explanations.push(`Comp set changed (${compCauses.join(', ')}) without moving ARV`);
+  }
+
+  const rentChange = outputChanges.find((c) => c.key === 'monthlyRent');
+  if (rentChange) {
+    explanations.push(`${describeMove(rentChange)}${sourceCauses.length ? ` after the run ${sourceCauses.join(' and ')}` : ''}`);
+  }
+
+  if (inputChanges.length > 0) {
+    explanations.push(`Inputs changed: ${inputChanges.map((c) => c.label).join(', ')}`);
+  }
+  if (modeChanged) {
+    explanations.push(`Analysis mode changed from ${before.analysisMode} to ${after.analysisMode}`);
+  }
+  // A different profile moves the deal score without any metric changing
+  const beforeProfile = before.analysisResults.score?.profileName;
+  const afterProfile = after.analysisResults.score?.profileName;
+  if (beforeProfile && afterProfile && before.analysisResults.score?.profileId !== after.analysisResults.score?.profileId) {
+    explanations.push(`Deal score used the ${afterProfile} scoring profile instead of ${beforeProfile}`);
+  }
+  if (outputChanges.length === 0) {
+    explanations.push('No outputs changed between these runs');
+  }
+
+  return {
+    inputChanges,
+    outputChanges,
+    compsAdded: comps.added,
+    compsRemoved: comps.removed,
+    sourcesAdded,
+    sourcesRemoved,
+    modeChanged,
+    explanations,
+  };
+};
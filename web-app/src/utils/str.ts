@@ -0,0 +1,37 @@
+/**
+ * Short-term rental analysis
+ *
+ * The backend only models a long-term lease, so the short-term rental
+ * strategy runs in the browser with shared-core's calculateSTRAnalysis.
+ * Taxes, insurance, maintenance and the loan come from the rental result,
+ * which keeps both rental strategies on the same cost basis and financing.
+ */
+
+import { PropertyAnalysisResult, PropertyFormData } from '../types/property';
+import { STRAnalysis, STRInputs } from '../types/str';
+import { calculateSTRAnalysis } from '../shared-core/calculations/str.js';
+import { toBRRRRPropertyData } from './brrrr';
+
+const toDecimal = (value?: number) => (value === undefined || Number.isNaN(value) ? undefined : value / 100);
+
+/**
+ * shared-core assumptions (decimals) for the form's inputs (percents)
+ */
+export const toSTRAssumptions = (inputs: STRInputs) => ({
+  ...inputs,
+  averageOccupancy: toDecimal(inputs.averageOccupancy),
+  platformFeeRate: toDecimal(inputs.platformFeeRate),
+  managementRate: toDecimal(inputs.managementRate),
+  occupancyTaxRate: toDecimal(inputs.occupancyTaxRate),
+});
+
+/**
+ * Add the short-term rental analysis to the results when the form sets a
+ * nightly rate. Runs after applyFinancing so the rental's loan is final.
+ */
+export const applySTR = (results: PropertyAnalysisResult, formData: PropertyFormData): PropertyAnalysisResult => {
+  if (!formData.str?.nightlyRate || !results.rental) return results;
+
+  const str = calculateSTRAnalysis(toBRRRRPropertyData(results.rental, formData), toSTRAssumptions(formData.str)) as STRAnalysis;
+  return str.error ? results : { ...results, str };
+};
@@ -0,0 +1,74 @@
+/**
+ * Multi-year tax projection
+ *
+ * Runs shared-core's projectTaxes for the Tax Benefits and Advanced Metrics
+ * tabs. Income and operating expenses come from the backend's rental result,
+ * the loan is the deal's primary loan, and the investor's tax profile is kept
+ * in localStorage so it carries over between analyses.
+ */
+
+import { PropertyFormData, RentalAnalysis } from '../types/property';
+import { TaxProfileInputs, TaxProjection } from '../types/tax';
+import { projectTaxes } from '../shared-core/calculations/tax.js';
+import { toAmortizationLoan } from '../shared-core/calculations/amortization.js';
+import { getDealLoans } from './financing';
+
+export const TAX_PROFILE_KEY = 'taxProfile';
+
+const toDecimal = (value?: number) => (value === undefined || Number.isNaN(value) ? undefined : value / 100);
+
+export const loadTaxProfileInputs = (): TaxProfileInputs => {
+  try {
+    return JSON.parse(localStorage.getItem(TAX_PROFILE_KEY) || '{}') as TaxProfileInputs;
+  } catch {
+    return {};
+  }
+};
+
+export const saveTaxProfileInputs = (inputs: TaxProfileInputs): void => {
+  localStorage.setItem(TAX_PROFILE_KEY, JSON.stringify(inputs));
+};
+
+/**
+ * shared-core tax profile (decimals) for the tab's inputs (percents)
+ */
+export const toTaxProfile = (inputs: TaxProfileInputs) => ({
+  ...inputs,
+  landValueRatio: toDecimal(inputs.landValueRatio),
+  costSegregation: {
+    fiveYear: toDecimal(inputs.costSegregation?.fiveYear),
+    sevenYear: toDecimal(inputs.costSegregation?.sevenYear),
+    fifteenYear: toDecimal(inputs.costSegregation?.fifteenYear),
+  },
+  bonusDepreciationRate: toDecimal(inputs.bonusDepreciationRate),
+});
+
+/**
+ * Project the rental's taxes through its sale. Cash invested matches the
+ * Sheets analysis: down payment, rehab, extra cash and lender fees.
+ */
+export const projectDealTaxes = (
+  rental: RentalAnalysis,
+  formData: PropertyFormData | null | undefined,
+  inputs: TaxProfileInputs
+): TaxProjection => {
+  const rehabCost = formData?.rehabCost || 0;
+  const closingCosts = rental.financing?.upfrontCosts || 0;
+  const operatingMonthly = rental.totalExpenses - rental.monthlyPayment - rental.vacancy;
+  const loan = rental.loanAmount > 0
+    ? toAmortizationLoan(getDealLoans(formData ?? undefined, rental.loanAmount)[0]).loan
+    : null;
+
+  return projectTaxes(
+    {
+      purchasePrice: rental.purchasePrice,
+      rehabCost,
+      closingCosts,
+      cashInvested: rental.downPayment + rehabCost + (formData?.cashInvestment || 0) + closingCosts,
+      effectiveGrossIncome: (rental.monthlyRent - rental.vacancy) * 12,
+      operatingExpenses: operatingMonthly * 12,
+      loan,
+    },
+    toTaxProfile(inputs)
+  );
+};
@@ -0,0 +1,80 @@
+/**
+ * Multi-unit rent roll
+ *
+ * The backend prices every property as one unit with one rent estimate.
+ * When the form has a unit mix, the rental is re-priced in the browser on
+ * shared-core's rent roll: rent is the sum of the rented units, vacancy is
+ * taken unit by unit, and an owner-occupied unit earns nothing (house hacking).
+ * Taxes, insurance, maintenance and the loan stay as the backend and
+ * applyFinancing left them.
+ */
+
+import { PropertyAnalysisResult, PropertyFormData, RentalAnalysis } from '../types/property';
+import { HouseHack, RentRoll, UnitInputs } from '../types/units';
+import { buildRentRoll } from '../shared-core/calculations/rentRoll.js';
+
+const toDecimal = (value?: number) => (value === undefined || Number.isNaN(value) ? undefined : value / 100);
+
+/**
+ * shared-core units (decimal vacancy) for the form's unit mix (percent vacancy)
+ */
+export const toRentalUnits = (units: UnitInputs[]) =>
+  units.map((unit, i) => ({
+    ...unit,
+    label: unit.label || `Unit ${i + 1}`,
+    vacancyRate: toDecimal(unit.vacancyRate),
+  }));
+
+// Rent roll with the owner moved out and their unit leased at market
+const movedOut = (units: UnitInputs[]) =>
+  units.map((unit) => (unit.ownerOccupied ? { ...unit, ownerOccupied: false, currentRent: 0 } : unit));
+
+/**
+ * Re-price the rental on the form's unit mix. Runs after applyFinancing so
+ * the loan payment is final.
+ */
+export const applyUnitMix = (results: PropertyAnalysisResult, formData: PropertyFormData): PropertyAnalysisResult => {
+  const rental = results.rental;
+  if (!formData.units?.length || !rental) return results;
+
+  const fallbackVacancy = rental.monthlyRent > 0 ? rental.vacancy / rental.monthlyRent : undefined;
+  const rentRoll = buildRentRoll(toRentalUnits(formData.units), { vacancyRate: fallbackVacancy }) as RentRoll;
+  if (rentRoll.error) return results;
+
+  // Taxes, insurance, maintenance and HOA carry over; rent and vacancy come from the rent roll
+  const operatingExpenses = rental.totalExpenses - rental.monthlyPayment - rental.vacancy;
+  const cashFlowOn = (roll: RentRoll) =>
+    roll.grossMonthlyRent - roll.vacancyLoss - operatingExpenses - rental.monthlyPayment;
+  const cashFlow = cashFlowOn(rentRoll);
+  const cashInvested = rental.downPayment + (rental.financing?.upfrontCosts || 0);
+
+  let houseHack: HouseHack | null = null;
+  if (rentRoll.ownerUnit) {
+    const fullyRented = buildRentRoll(toRentalUnits(movedOut(formData.units)), { vacancyRate: fallbackVacancy }) as RentRoll;
+    houseHack = {
+      ownerUnit: rentRoll.ownerUnit,
+      ownerUnitMarketRent: rentRoll.ownerUnitMarketRent,
+      netHousingCost: -cashFlow,
+      savingsVsRenting: rentRoll.ownerUnitMarketRent + cashFlow,
+      fullyRentedMonthlyCashFlow: fullyRented.error ? null : cashFlowOn(fullyRented),
+    };
+  }
+
+  const updated: RentalAnalysis = {
+    ...rental,
+    monthlyRent: rentRoll.grossMonthlyRent,
+    vacancy: rentRoll.vacancyLoss,
+    totalExpenses: operatingExpenses + rental.monthlyPayment + rentRoll.vacancyLoss,
+    cashFlow,
+    capRate: rental.purchasePrice > 0
+      ? ((rentRoll.effectiveMonthlyRent - operatingExpenses) * 12 / rental.purchasePrice) * 100
+      : 0,
+    cashOnCashReturn: cashInvested > 0 ? ((cashFlow * 12) / cashInvested) * 100 : 0,
+    unitCount: rentRoll.unitCount,
+    pricePerDoor: rental.purchasePrice / rentRoll.unitCount,
+    rentRoll,
+    houseHack,
+  };
+
+  return { ...results, rental: updated };
+};
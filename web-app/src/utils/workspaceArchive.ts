@@ -0,0 +1,414 @@
+/**
+ * Workspace backup and restore
+ *
+ * A workspace archive is every RealEstateDB table serialized into one JSON file,
+ * stamped with the schema version it came from. Parsing validates the shape and
+ * upgrades older archives one version at a time, so a backup taken before a
+ * table existed still restores. Merging is pure: it takes the local tables and
+ * the archive tables and returns what the database should hold afterwards.
+ */
+
+import { AnalysisSnapshot } from '../types/snapshot';
+import {
+  WorkspaceArchive,
+  WorkspaceArchiveParseResult,
+  WorkspaceImportStrategy,
+  WorkspaceImportSummary,
+  WorkspaceTableName,
+  WorkspaceTables,
+} from '../types/workspace';
+import { createFirstRunSnapshot, createMissingFirstRuns } from './snapshots';
+import { normalizeAnalysisResults, normalizePartnershipData, normalizeProjectTrackerData } from './dbSchema';
+
+export const WORKSPACE_ARCHIVE_FORMAT = 'rei-workspace';
+// Tracks RealEstateDB's Dexie schema version; bump both together and add a migration below
+export const WORKSPACE_ARCHIVE_VERSION = 7;
+
+const MAX_REPORTED_ERRORS = 20;
+
+export const WORKSPACE_TABLE_NAMES: WorkspaceTableName[] = [
+  'propertyAnalyses',
+  'projectTrackers',
+  'partnershipData',
+  'propertyHistory',
+  'portfolios',
+  'analysisSnapshots',
+  'scoringProfiles',
+];
+
+// Tables whose rows belong to a single property
+const PROPERTY_TABLES = ['propertyAnalyses', 'projectTrackers', 'partnershipData', 'analysisSnapshots'] as const;
+
+// ============================================
+// EXPORT
+// ============================================
+
+// Auto-increment keys are local to one browser, so archives never carry them
+const withoutId = <T extends { id?: number }>(row: T): T => {
+  const copy = { ...row };
+  delete copy.id;
+  return copy;
+};
+
+const stripIds = (tables: WorkspaceTables): WorkspaceTables => ({
+  propertyAnalyses: tables.propertyAnalyses.map(withoutId),
+  projectTrackers: tables.projectTrackers.map(withoutId),
+  partnershipData: tables.partnershipData.map(withoutId),
+  propertyHistory: tables.propertyHistory.map(withoutId),
+  portfolios: tables.portfolios.map(withoutId),
+  analysisSnapshots: tables.analysisSnapshots.map(withoutId),
+  scoringProfiles: tables.scoringProfiles.map(withoutId),
+});
+
+export const createWorkspaceArchive = (
+  tables: WorkspaceTables,
+  exportedAt: string = new Date().toISOString()
+): WorkspaceArchive => ({
+  format: WORKSPACE_ARCHIVE_FORMAT,
+  version: WORKSPACE_ARCHIVE_VERSION,
+  exportedAt,
+  tables: stripIds(tables),
+});
+
+// ============================================
+// MIGRATIONS
+// ============================================
+
+type RawTables = Record<string, any>;
+
+/**
+ * Upgrades keyed by the version they upgrade from. Version 0 is the single
+ * analysis file written by File > Export Results, which predates archives.
+ */
+const MIGRATIONS: Record<number, (tables: RawTables, raw: any) => RawTables> = {
+  0: (_, raw) => {
+    const timestamp = raw.exportDate || new Date().toISOString();
+    const property = raw.property || {};
+    const displayAddress = `${property.address}, ${property.city}, ${property.state} ${property.zip}`;
+    const propertyId = `${Date.parse(timestamp) || Date.now()}_import`;
+    return {
+      propertyAnalyses: [
+        {
+          propertyId,
+          formData: raw.inputs,
+          analysisResults: { property, flip: raw.flip, rental: raw.rental, comps: raw.comps },
+          timestamp,
+          displayAddress,
+        },
+      ],
+      projectTrackers: [],
+      partnershipData: [],
+      propertyHistory: [],
+    };
+  },
+  // Version 2 added portfolios
+  1: (tables) => ({ ...tables, portfolios: [] }),
+  // Version 3 added run snapshots; each saved analysis becomes its property's first run
+  2: (tables) => ({
+    ...tables,
+    analysisSnapshots: (tables.propertyAnalyses || []).map(createFirstRunSnapshot),
+  }),
+  // Version 4 backfilled result, tracker and partnership fields (same as the Dexie upgrade)
+  3: (tables) => {
+    const withResults = (row: any) =>
+      hasKind(row?.formData, 'object') ? { ...row, analysisResults: normalizeAnalysisResults(row.formData, row.analysisResults) } : row;
+    const withData = (normalize: (propertyId: string, data: any, lastUpdated: string) => unknown) => (row: any) =>
+      hasKind(row?.data, 'object') ? { ...row, data: normalize(row.propertyId, row.data, row.lastUpdated) } : row;
+    const map = (rows: unknown, fn: (row: any) => unknown) => (Array.isArray(rows) ? rows.map(fn) : rows);
+
+    return {
+      ...tables,
+      propertyAnalyses: map(tables.propertyAnalyses, withResults),
+      analysisSnapshots: map(tables.analysisSnapshots, withResults),
+      projectTrackers: map(tables.projectTrackers, withData(normalizeProjectTrackerData)),
+      partnershipData: map(tables.partnershipData, withData(normalizePartnershipData)),
+    };
+  },
+  // Version 5 added scoring profiles
+  4: (tables) => ({ ...tables, scoringProfiles: [] }),
+  // Version 6 added the API response cache, which is disposable and never archived
+  5: (tables) => tables,
+  // Version 7 gave analyses saved before run history their first run (same as the Dexie upgrade)
+  6: (tables) =>
+    Array.isArray(tables.propertyAnalyses) && Array.isArray(tables.analysisSnapshots)
+      ? {
+          ...tables,
+          analysisSnapshots: [
+            ...tables.analysisSnapshots,
+            ...createMissingFirstRuns(
+              tables.propertyAnalyses.filter((row: unknown) => hasKind(row, 'object')),
+              tables.analysisSnapshots.map((run: any) => run?.propertyId)
+            ),
+          ],
+        }
+      : tables,
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+type FieldKind = 'string' | 'number' | 'object' | 'array';
+
+const REQUIRED_FIELDS: Record<WorkspaceTableName, Record<string, FieldKind>> = {
+  propertyAnalyses: {
+    propertyId: 'string',
+    displayAddress: 'string',
+    timestamp: 'string',
+    formData: 'object',
+    analysisResults: 'object',
+  },
+  projectTrackers: { propertyId: 'string', lastUpdated: 'string', data: 'object' },
+  partnershipData: { propertyId: 'string', lastUpdated: 'string', data: 'object' },
+  propertyHistory: { propertyId: 'string', displayAddress: 'string', timestamp: 'string', formData: 'object' },
+  portfolios: { portfolioId: 'string', name: 'string', createdAt: 'string', updatedAt: 'string', holdings: 'array' },
+  analysisSnapshots: {
+    snapshotId: 'string',
+    propertyId: 'string',
+    runNumber: 'number',
+    displayAddress: 'string',
+    analysisMode: 'string',
+    timestamp: 'string',
+    formData: 'object',
+    analysisResults: 'object',
+    apiSources: 'array',
+  },
+  scoringProfiles: { profileId: 'string', name: 'string', createdAt: 'string', updatedAt: 'string' },
+};
+
+const hasKind = (value: unknown, kind: FieldKind): boolean => {
+  switch (kind) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    default:
+      return typeof value === 'string';
+  }
+};
+
+const validateTables = (tables: RawTables): string[] => {
+  const errors: string[] = [];
+  WORKSPACE_TABLE_NAMES.forEach((table) => {
+    const rows = tables[table];
+    if (!Array.isArray(rows)) {
+      errors.push(`${table} must be an array`);
+      return;
+    }
+    rows.forEach((row, index) => {
+      if (!hasKind(row, 'object')) {
+        errors.push(`${table}[${index}] must be an object`);
+        return;
+      }
+      Object.entries(REQUIRED_FIELDS[table]).forEach(([field, kind]) => {
+        if (!hasKind(row[field], kind)) {
+          errors.push(`${table}[${index}].${field} must be ${kind === 'array' || kind === 'object' ? 'an' : 'a'} ${kind}`);
+        }
+      });
+    });
+  });
+  return errors;
+};
+
+const isLegacyExport = (raw: any) => raw.format === undefined && hasKind(raw.inputs, 'object') && hasKind(raw.property, 'object');
+
+/**
+ * Validate an archive read from disk and upgrade it to the current version
+ */
+export const parseWorkspaceArchive = (raw: unknown): WorkspaceArchiveParseResult => {
+  if (!hasKind(raw, 'object')) {
+    return { success: false, errors: ['Archive must be a JSON object'] };
+  }
+  const data = raw as any;
+
+  let version: number;
+  let tables: RawTables;
+  if (isLegacyExport(data)) {
+    version = 0;
+    tables = {};
+  } else {
+    if (data.format !== WORKSPACE_ARCHIVE_FORMAT) {
+      return { success: false, errors: ['Not a workspace archive (missing "format": "rei-workspace")'] };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      return { success: false, errors: ['Archive version must be a positive integer'] };
+    }
+    if (data.version > WORKSPACE_ARCHIVE_VERSION) {
+      return {
+        success: false,
+        errors: [`Archive version ${data.version} is newer than this app supports (${WORKSPACE_ARCHIVE_VERSION}); update the app first`],
+      };
+    }
+    if (!hasKind(data.tables, 'object')) {
+      return { success: false, errors: ['Archive is missing its tables'] };
+    }
+    version = data.version;
+    tables = data.tables;
+  }
+
+  const migratedFrom = version < WORKSPACE_ARCHIVE_VERSION ? version : undefined;
+  for (let v = version; v < WORKSPACE_ARCHIVE_VERSION; v++) {
+    tables = MIGRATIONS[v](tables, data);
+  }
+
+  const errors = validateTables(tables);
+  if (errors.length > 0) {
+    const extra = errors.length - MAX_REPORTED_ERRORS;
+    return {
+      success: false,
+      errors: extra > 0 ? [...errors.slice(0, MAX_REPORTED_ERRORS), `...and ${extra} more`] : errors,
+    };
+  }
+
+  return {
+    success: true,
+    archive: {
+      format: WORKSPACE_ARCHIVE_FORMAT,
+      version: WORKSPACE_ARCHIVE_VERSION,
+      exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : data.exportDate || new Date().toISOString(),
+      tables: stripIds(tables as WorkspaceTables),
+    },
+    migratedFrom,
+    errors: [],
+  };
+};
+
+// ============================================
+// MERGE
+// ============================================
+
+const collectPropertyIds = (tables: WorkspaceTables): Set<string> => {
+  const ids = new Set<string>();
+  PROPERTY_TABLES.forEach((table) => tables[table].forEach((row) => ids.add(row.propertyId)));
+  return ids;
+};
+
+// Merge rows keyed by `keyOf`; on a clash the incoming row wins when `incomingWins` says so
+const mergeKeyed = <T>(
+  local: T[],
+  incoming: T[],
+  keyOf: (row: T) => string,
+  incomingWins: (localRow: T, incomingRow: T) => boolean,
+  onWin?: (row: T) => void
+): T[] => {
+  const merged = new Map(local.map((row) => [keyOf(row), row]));
+  incoming.forEach((row) => {
+    const key = keyOf(row);
+    const existing = merged.get(key);
+    if (!existing || incomingWins(existing, row)) {
+      merged.set(key, row);
+      onWin?.(row);
+    }
+  });
+  return Array.from(merged.values());
+};
+
+// Runs are numbered in timestamp order per property, so merged timelines stay gapless
+const renumberSnapshots = (snapshots: AnalysisSnapshot[]): AnalysisSnapshot[] => {
+  const counters = new Map<string, number>();
+  return [...snapshots]
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .map((snapshot) => {
+      const runNumber = (counters.get(snapshot.propertyId) ?? 0) + 1;
+      counters.set(snapshot.propertyId, runNumber);
+      return { ...snapshot, runNumber };
+    });
+};
+
+/**
+ * Combine the local workspace with an archive.
+ *
+ * replace: for every property in the archive, its local analyses, trackers,
+ * partnership data and runs are dropped in favour of the archive's.
+ * merge: both sides are kept; where a property has a row on each side the more
+ * recently updated one wins, and run timelines are unioned.
+ * Properties only present locally are untouched either way.
+ */
+export const mergeWorkspace = (
+  local: WorkspaceTables,
+  incoming: WorkspaceTables,
+  strategy: WorkspaceImportStrategy
+): { tables: WorkspaceTables; summary: WorkspaceImportSummary } => {
+  local = stripIds(local);
+  const localIds = collectPropertyIds(local);
+  const incomingIds = collectPropertyIds(incoming);
+  const touched = new Set<string>();
+  const replace = strategy === 'replace';
+  const newer = (localStamp: string, incomingStamp: string) => replace || incomingStamp > localStamp;
+  const markTouched = (row: { propertyId: string }) => touched.add(row.propertyId);
+
+  const dropIncoming = <T extends { propertyId: string }>(rows: T[]) =>
+    replace ? rows.filter((row) => !incomingIds.has(row.propertyId)) : rows;
+
+  const tables: WorkspaceTables = {
+    propertyAnalyses: mergeKeyed(
+      dropIncoming(local.propertyAnalyses),
+      incoming.propertyAnalyses,
+      (row) => row.propertyId,
+      (a, b) => newer(a.timestamp, b.timestamp),
+      markTouched
+    ),
+    projectTrackers: mergeKeyed(
+      dropIncoming(local.projectTrackers),
+      incoming.projectTrackers,
+      (row) => row.propertyId,
+      (a, b) => newer(a.lastUpdated, b.lastUpdated),
+      markTouched
+    ),
+    partnershipData: mergeKeyed(
+      dropIncoming(local.partnershipData),
+      incoming.partnershipData,
+      (row) => row.propertyId,
+      (a, b) => newer(a.lastUpdated, b.lastUpdated),
+      markTouched
+    ),
+    analysisSnapshots: renumberSnapshots(
+      mergeKeyed(
+        dropIncoming(local.analysisSnapshots),
+        incoming.analysisSnapshots,
+        (row) => row.snapshotId,
+        () => replace,
+        markTouched
+      )
+    ),
+    propertyHistory: mergeKeyed(
+      local.propertyHistory,
+      incoming.propertyHistory,
+      (row) => row.displayAddress.toLowerCase(),
+      (a, b) => newer(a.timestamp, b.timestamp)
+    ),
+    portfolios: mergeKeyed(
+      local.portfolios,
+      incoming.portfolios,
+      (row) => row.portfolioId,
+      (a, b) => newer(a.updatedAt, b.updatedAt)
+    ),
+    scoringProfiles: mergeKeyed(
+      local.scoringProfiles,
+      incoming.scoringProfiles,
+      (row) => row.profileId,
+      (a, b) => newer(a.updatedAt, b.updatedAt)
+    ),
+  };
+
+  const existing = Array.from(incomingIds).filter((id) => localIds.has(id));
+  const updated = existing.filter((id) => touched.has(id)).length;
+  const counts = WORKSPACE_TABLE_NAMES.reduce(
+    (acc, table) => ({ ...acc, [table]: tables[table].length }),
+    {} as Record<WorkspaceTableName, number>
+  );
+
+  return {
+    tables,
+    summary: {
+      strategy,
+      properties: incomingIds.size,
+      added: incomingIds.size - existing.length,
+      updated,
+      kept: existing.length - updated,
+      counts,
+    },
+  };
+};
@@ -52,6 +52,10 @@ export default defineConfig({
   ],
   server: {
     port: 3000,
+    // src/shared-core is a symlink; serve the real files outside the project root
+    fs: {
+      allow: ['.', '../shared-core']
+    },
     proxy: {
       '/api': {
         target: 'https://script.google.com',